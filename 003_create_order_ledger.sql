@@ -0,0 +1,61 @@
+-- PostgreSQL Migration: Order Ledger
+-- Persistent ordre og fill historik bag TradingService.executeOrder og getOrderBook
+-- Dato: 2025-09-20
+
+-- Orders table - én række per ordre gennem hele livscyklussen
+CREATE TABLE IF NOT EXISTS orders (
+    id VARCHAR(64) PRIMARY KEY,
+    client_order_id VARCHAR(64),
+    user_id UUID REFERENCES users(id),
+
+    -- Exchange routing
+    exchange VARCHAR(50),
+    exchange_order_id VARCHAR(100),
+
+    -- Order details
+    symbol VARCHAR(20) NOT NULL,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    type VARCHAR(20) NOT NULL DEFAULT 'market',
+    amount positive_decimal NOT NULL,
+    price positive_decimal,
+
+    -- Execution state
+    filled_amount positive_decimal DEFAULT 0,
+    average_price positive_decimal DEFAULT 0,
+    fees DECIMAL(20,8) DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'new' CHECK (status IN ('new', 'partially_filled', 'filled', 'cancelled', 'rejected')),
+    reject_reason TEXT,
+
+    -- Additional data
+    source VARCHAR(50),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Order fills table - hver delvise eller fulde udførsel
+CREATE TABLE IF NOT EXISTS order_fills (
+    id VARCHAR(64) PRIMARY KEY,
+    order_id VARCHAR(64) NOT NULL REFERENCES orders(id),
+    exchange VARCHAR(50),
+    symbol VARCHAR(20) NOT NULL,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    quantity positive_decimal NOT NULL,
+    price positive_decimal NOT NULL,
+    fee DECIMAL(20,8) DEFAULT 0,
+    fee_currency VARCHAR(20),
+    trade_id VARCHAR(100),
+    timestamp TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_symbol ON orders(symbol);
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_exchange_order ON orders(exchange, exchange_order_id);
+CREATE INDEX IF NOT EXISTS idx_order_fills_order_id ON order_fills(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_fills_symbol_time ON order_fills(symbol, timestamp DESC);
+
+-- Comments for documentation
+COMMENT ON TABLE orders IS 'Order ledger: lifecycle new → partially_filled → filled / cancelled / rejected';
+COMMENT ON TABLE order_fills IS 'Individual executions applied to orders and trading_positions';
@@ -0,0 +1,35 @@
+-- PostgreSQL Migration: Conditional Orders
+-- Ventende stop-loss, take-profit, trailing-stop og OCO triggers overlever genstart
+-- Dato: 2025-09-22
+
+CREATE TABLE IF NOT EXISTS conditional_orders (
+    id VARCHAR(64) PRIMARY KEY,
+    user_id UUID REFERENCES users(id),
+    exchange VARCHAR(50),
+    symbol VARCHAR(20) NOT NULL,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('stop_market', 'stop_limit', 'take_profit', 'trailing_stop')),
+    amount positive_decimal NOT NULL,
+
+    -- Trigger definition
+    trigger_price positive_decimal,
+    limit_price positive_decimal,
+    trailing_percent DECIMAL(8,4),
+    trailing_amount positive_decimal,
+    extreme_price positive_decimal,
+    oco_group VARCHAR(64),
+
+    -- State
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'triggered', 'cancelled', 'failed')),
+    order_id VARCHAR(64) REFERENCES orders(id),
+    error TEXT,
+    source VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    triggered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_conditional_orders_status ON conditional_orders(status, symbol);
+CREATE INDEX IF NOT EXISTS idx_conditional_orders_oco ON conditional_orders(oco_group) WHERE oco_group IS NOT NULL;
+
+COMMENT ON TABLE conditional_orders IS 'Locally monitored stop, take-profit, trailing-stop and OCO triggers';
@@ -0,0 +1,34 @@
+-- PostgreSQL Migration: Human Approval Workflow
+-- Ventende godkendelser for kritiske handlinger med n-of-m approvers og udløb
+-- Dato: 2025-09-24
+
+CREATE TABLE IF NOT EXISTS approval_requests (
+    id VARCHAR(64) PRIMARY KEY,
+    action VARCHAR(100) NOT NULL,
+    details JSONB,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+    required_approvals INTEGER DEFAULT 1 CHECK (required_approvals > 0),
+    requested_by UUID REFERENCES users(id),
+    result JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    resolved_at TIMESTAMPTZ
+);
+
+-- Én beslutning per approver per request
+CREATE TABLE IF NOT EXISTS approval_decisions (
+    id SERIAL PRIMARY KEY,
+    request_id VARCHAR(64) NOT NULL REFERENCES approval_requests(id) ON DELETE CASCADE,
+    approver_id UUID NOT NULL REFERENCES users(id),
+    approver_name VARCHAR(100),
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('approve', 'reject')),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (request_id, approver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_status ON approval_requests(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_approval_decisions_request ON approval_decisions(request_id);
+
+COMMENT ON TABLE approval_requests IS 'Critical actions held until enough administrators approve them';
+COMMENT ON TABLE approval_decisions IS 'Individual approve/reject decisions with comments';
@@ -0,0 +1,18 @@
+-- PostgreSQL Migration: Kill Switch
+-- Trip/rearm historik for det globale nødstop - seneste række er aktuel tilstand
+-- Dato: 2025-09-26
+
+CREATE TABLE IF NOT EXISTS kill_switch_events (
+    id SERIAL PRIMARY KEY,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('trip', 'rearm')),
+    reason TEXT,
+    source VARCHAR(30) CHECK (source IN ('api', 'dashboard', 'risk_engine', 'circuit_breaker', 'system')),
+    user_id UUID REFERENCES users(id),
+    flatten BOOLEAN DEFAULT FALSE,
+    result JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kill_switch_events_created ON kill_switch_events(created_at DESC);
+
+COMMENT ON TABLE kill_switch_events IS 'Emergency stop history; trading stays halted until an admin re-arms';
@@ -0,0 +1,35 @@
+-- PostgreSQL Migration: Execution Algos
+-- TWAP, VWAP, POV og iceberg parent ordrer - child ordrer ligger i orders med metadata.algoId
+-- Dato: 2025-09-28
+
+CREATE TABLE IF NOT EXISTS execution_algos (
+    id VARCHAR(64) PRIMARY KEY,
+    user_id UUID REFERENCES users(id),
+    exchange VARCHAR(50),
+    symbol VARCHAR(20) NOT NULL,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('twap', 'vwap', 'pov', 'iceberg')),
+    amount positive_decimal NOT NULL,
+
+    -- Progress
+    filled_amount positive_decimal DEFAULT 0,
+    average_price positive_decimal,
+    params JSONB,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'running', 'paused', 'completed', 'cancelled', 'expired', 'failed')),
+
+    -- Schedule
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ,
+    last_slice_at TIMESTAMPTZ,
+    active_order_id VARCHAR(64) REFERENCES orders(id),
+    slices INTEGER DEFAULT 0,
+
+    error TEXT,
+    source VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_algos_status ON execution_algos(status, symbol);
+
+COMMENT ON TABLE execution_algos IS 'Parent orders worked over time by the execution algo engine';
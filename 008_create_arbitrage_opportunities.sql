@@ -0,0 +1,42 @@
+-- PostgreSQL Migration: Arbitrage Opportunities
+-- Spatial og triangular muligheder fra første til sidste observation, inkl. paper eksekvering
+-- Dato: 2025-09-29
+
+CREATE TABLE IF NOT EXISTS arbitrage_opportunities (
+    id VARCHAR(64) PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('spatial', 'triangular')),
+    symbol VARCHAR(20),
+    exchange VARCHAR(50),
+    buy_exchange VARCHAR(50),
+    sell_exchange VARCHAR(50),
+    path VARCHAR(100),
+
+    -- Sizing og priser
+    amount positive_decimal,
+    notional positive_decimal,
+    buy_price positive_decimal,
+    sell_price positive_decimal,
+
+    -- Profit efter fees og transfer
+    gross_spread_bps DECIMAL(12,4),
+    fees DECIMAL(20,8),
+    transfer_cost DECIMAL(20,8),
+    net_profit DECIMAL(20,8),
+    net_profit_bps DECIMAL(12,4),
+    best_net_profit DECIMAL(20,8),
+    liquidity_score DECIMAL(6,4),
+    score DECIMAL(20,8),
+    legs JSONB,
+
+    -- Livscyklus
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed', 'executed', 'failed')),
+    observations INTEGER DEFAULT 1,
+    execution JSONB,
+    detected_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ,
+    closed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_arbitrage_opportunities_status ON arbitrage_opportunities(status, detected_at DESC);
+
+COMMENT ON TABLE arbitrage_opportunities IS 'Cross-exchange and triangular arbitrage opportunities found by the scanner';
@@ -0,0 +1,26 @@
+-- PostgreSQL Migration: Candles
+-- OHLCV candles bygget af CandleAggregator fra live ticks og REST backfill, per exchange og timeframe
+-- Dato: 2025-09-30
+
+CREATE TABLE IF NOT EXISTS candles (
+    id BIGSERIAL PRIMARY KEY,
+    exchange VARCHAR(50) NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    timeframe VARCHAR(5) NOT NULL CHECK (timeframe IN ('1m', '5m', '15m', '1h', '4h', '1d')),
+    open_time BIGINT NOT NULL, -- epoch ms
+
+    open_price positive_decimal NOT NULL,
+    high_price positive_decimal NOT NULL,
+    low_price positive_decimal NOT NULL,
+    close_price positive_decimal NOT NULL,
+    volume positive_decimal DEFAULT 0,
+    ticks INTEGER DEFAULT 0,
+    source VARCHAR(10) DEFAULT 'live' CHECK (source IN ('live', 'rest')),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (exchange, symbol, timeframe, open_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_candles_symbol ON candles(symbol, timeframe, open_time DESC);
+
+COMMENT ON TABLE candles IS 'Multi-timeframe OHLCV candles per exchange from live ticks with REST kline backfill';
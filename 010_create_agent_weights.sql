@@ -0,0 +1,31 @@
+-- PostgreSQL Migration: Agent Weights
+-- Lærte vægte per agent og markedsregime fra MasterAgentSystem meta-cognition, med historik
+-- Dato: 2025-10-02
+
+CREATE TABLE IF NOT EXISTS agent_weights (
+    id SERIAL PRIMARY KEY,
+    regime VARCHAR(20) NOT NULL CHECK (regime IN ('BULL', 'BEAR', 'SIDEWAYS', 'HIGH_VOLATILITY', 'UNKNOWN')),
+    agent_id VARCHAR(50) NOT NULL,
+    weight DECIMAL(10,6) NOT NULL DEFAULT 1,
+    hit_rate DECIMAL(10,6),
+    samples INTEGER DEFAULT 0,
+    attribution JSONB, -- hit rate og retningsafkast per horisont
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (regime, agent_id)
+);
+
+CREATE TABLE IF NOT EXISTS agent_weight_history (
+    id BIGSERIAL PRIMARY KEY,
+    regime VARCHAR(20) NOT NULL,
+    agent_id VARCHAR(50) NOT NULL,
+    weight DECIMAL(10,6) NOT NULL,
+    hit_rate DECIMAL(10,6),
+    samples INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_weight_history_agent ON agent_weight_history(agent_id, created_at DESC);
+
+COMMENT ON TABLE agent_weights IS 'Multiplicative weights per agent and regime learned from forward-return scoring';
+COMMENT ON TABLE agent_weight_history IS 'Weight snapshots per meta-cognition cycle';
@@ -0,0 +1,10 @@
+-- PostgreSQL Migration: Master Agent Decision Cycles
+-- Hver orkestreringscyklus fra MasterAgentSystem logges i ai_decisions med et cycle_id til replay og diff
+-- Dato: 2025-10-03
+
+ALTER TABLE ai_decisions ADD COLUMN IF NOT EXISTS cycle_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_ai_decisions_cycle ON ai_decisions(cycle_id, time DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_decisions_type_time ON ai_decisions(decision_type, time DESC);
+
+COMMENT ON COLUMN ai_decisions.cycle_id IS 'Master agent orchestration cycle; output_data holds the full audit record';
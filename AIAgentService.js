@@ -1,5 +1,6 @@
 const DatabaseService = require('./DatabaseService');
 const cron = require('node-cron');
+const IndicatorEngine = require('./IndicatorEngine');
 
 class AIAgentService {
   constructor() {
@@ -150,6 +151,12 @@ class AIAgentService {
   }
 
   generateReasoning(agent, marketData) {
+    // Analyzeren begrunder med de live indikatorer når de findes
+    const summary = marketData.btc && marketData.btc.indicatorSummary;
+    if (agent.type === 'analyzer' && summary && summary.signals.length > 0) {
+      return summary.signals.map(signal => signal.reason).join('; ');
+    }
+
     const reasoningTemplates = {
       'analyzer': [
         'Technical indicators suggest bullish momentum with RSI at favorable levels',
@@ -173,6 +180,11 @@ class AIAgentService {
   }
 
   generateRecommendation(agentType, marketData) {
+    const summary = marketData.btc && marketData.btc.indicatorSummary;
+    if (agentType === 'analyzer' && summary && marketData.btc.indicators) {
+      return { BULLISH: 'BUY', BEARISH: 'SELL', NEUTRAL: 'HOLD' }[summary.bias];
+    }
+
     const recommendations = {
       'analyzer': ['BUY', 'SELL', 'HOLD'],
       'risk_manager': ['REDUCE_RISK', 'MAINTAIN', 'INCREASE_EXPOSURE'],
@@ -279,7 +291,7 @@ class AIAgentService {
 
   async getMarketData() {
     // Simulate real-time market data
-    return {
+    return this.attachIndicators({
       btc: {
         price: 45000 + (Math.random() - 0.5) * 2000,
         volume: 2500000000 + Math.random() * 500000000,
@@ -291,7 +303,23 @@ class AIAgentService {
         change24h: (Math.random() - 0.5) * 8
       },
       timestamp: new Date()
-    };
+    });
+  }
+
+  // Seneste 1h indikatorer fra candle strømmen - mangler de, kører agenterne uden
+  async attachIndicators(marketData) {
+    if (!IndicatorEngine.isReady) return marketData;
+
+    for (const [key, symbol] of [['btc', 'BTC/USDT'], ['eth', 'ETH/USDT']]) {
+      try {
+        const { indicators, summary } = await IndicatorEngine.getLatest({ symbol, timeframe: '1h' });
+        marketData[key].indicators = indicators;
+        marketData[key].indicatorSummary = summary;
+      } catch (error) {
+        console.warn(`⚠️ Indikatorer for ${symbol} ikke tilgængelige:`, error.message);
+      }
+    }
+    return marketData;
   }
 
   async logSecurityEvent(type, severity, description) {
@@ -0,0 +1,658 @@
+/**
+ * ArbitrageScanner - Finder arbitrage mellem og på exchanges ud fra coordinatorens tickers
+ * Spatial: køb på én exchange og sælg på en anden, netto efter taker fees og withdrawal fees.
+ * Triangular: tre handler på samme exchange der ender i start asset (f.eks. USDT > BTC > ETH > USDT).
+ * Muligheder rangeres efter forventet profit vægtet med likviditet, gemmes i arbitrage_opportunities
+ * og udsendes som events. Eksekvering er kun tilladt på paper exchanges.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const KillSwitch = require('./KillSwitch');
+const exchangeConfig = require('../../config/exchange-config');
+const { prepare, parseJSON } = require('./SqlDialect');
+
+const ARBITRAGE_ERRORS = {
+  NOT_FOUND: 'ARBITRAGE_NOT_FOUND',
+  LIVE_DISABLED: 'ARBITRAGE_LIVE_DISABLED'
+};
+
+const EPSILON = 1e-12;
+
+class ArbitrageScanner extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.executor = null;
+    this.coordinator = null;
+    this.config = exchangeConfig;
+    this.open = new Map();
+    this.timer = null;
+    this.scanning = false;
+    this.isReady = false;
+
+    this.options = {
+      scanInterval: 1000,
+      minProfitBps: 5,
+      maxTradeNotional: 1000,
+      depth: 20,
+      startAssets: ['USDT', 'USDC', 'USD'],
+      includeTransferCosts: true,
+      autoExecute: false
+    };
+  }
+
+  /**
+   * executor skal have executeOrder(order) - typisk TradingService.
+   * scanInterval 0 starter ingen timer (scan() kaldes så manuelt).
+   */
+  async initialize({ database = DatabaseService, executor, config = exchangeConfig, ...options } = {}) {
+    this.database = database;
+    this.executor = executor || this.executor;
+    this.config = config;
+    this.options = { ...this.options, ...options };
+    this.open.clear();
+
+    this.isReady = true;
+    this.start();
+    console.log(`🔀 Arbitrage Scanner initialized (min ${this.options.minProfitBps} bps, max ${this.options.maxTradeNotional} per trade)`);
+  }
+
+  attach(coordinator) {
+    this.coordinator = coordinator;
+  }
+
+  start() {
+    this.stop();
+    if (this.options.scanInterval > 0) {
+      this.timer = setInterval(() => {
+        this.scan().catch(error => console.error('❌ Arbitrage scan fejlede:', error.message));
+      }, this.options.scanInterval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  arbitrageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  generateId() {
+    return `arb_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  getConfigKey(exchangeName) {
+    const data = this.coordinator && this.coordinator.exchanges.get(exchangeName);
+    return data ? data.configKey : exchangeName.toLowerCase();
+  }
+
+  /**
+   * Taker fee - paper exchanges bruger deres egen simulerede fee
+   */
+  getTakerFee(exchangeName) {
+    const data = this.coordinator && this.coordinator.exchanges.get(exchangeName);
+    if (data && data.instance.paperTrading && data.instance.takerFee !== undefined) {
+      return data.instance.takerFee;
+    }
+    return this.config.getTradingFees(this.getConfigKey(exchangeName)).taker;
+  }
+
+  getWithdrawalFee(exchangeName, asset) {
+    return this.config.getWithdrawalFee(this.getConfigKey(exchangeName), asset) || 0;
+  }
+
+  /**
+   * Bids og asks for et symbol på en exchange - level-2 bog hvis den findes, ellers tickerens top.
+   * Ticker niveauer uden størrelse får Infinity og begrænses kun af maxTradeNotional.
+   */
+  getQuote(exchangeName, symbol, ticker) {
+    const [[, book] = []] = this.coordinator.getActiveOrderBooks
+      ? this.coordinator.getActiveOrderBooks(symbol, exchangeName)
+      : [];
+
+    if (book && book.bestBid() && book.bestAsk()) {
+      return { bids: book.getBids(this.options.depth), asks: book.getAsks(this.options.depth), source: 'orderbook' };
+    }
+
+    const bid = parseFloat(ticker.bid) || parseFloat(ticker.price);
+    const ask = parseFloat(ticker.ask) || parseFloat(ticker.price);
+    if (!(bid > 0) || !(ask > 0)) return null;
+
+    return {
+      bids: [[bid, parseFloat(ticker.bidSize) || Infinity]],
+      asks: [[ask, parseFloat(ticker.askSize) || Infinity]],
+      source: 'ticker'
+    };
+  }
+
+  /**
+   * Match købsniveauer mod salgsniveauer så længe salget netto efter fees er over købet
+   */
+  matchLevels(asks, bids, buyFee, sellFee, maxNotional) {
+    const askLeft = asks.map(([, size]) => size);
+    const bidLeft = bids.map(([, size]) => size);
+    let i = 0;
+    let j = 0;
+    let amount = 0;
+    let buyNotional = 0;
+    let sellNotional = 0;
+
+    while (i < asks.length && j < bids.length) {
+      const ask = asks[i][0];
+      const bid = bids[j][0];
+      if (bid * (1 - sellFee) <= ask * (1 + buyFee)) break;
+
+      const take = Math.min(askLeft[i], bidLeft[j], (maxNotional - buyNotional) / ask);
+      if (take <= EPSILON) break;
+
+      amount += take;
+      buyNotional += take * ask;
+      sellNotional += take * bid;
+      askLeft[i] -= take;
+      bidLeft[j] -= take;
+      if (askLeft[i] <= EPSILON) i++;
+      if (bidLeft[j] <= EPSILON) j++;
+    }
+
+    return { amount, buyNotional, sellNotional };
+  }
+
+  // Likviditet: andel af maxTradeNotional der kan handles - ukendt dybde (ticker uden størrelse) tæller halvt
+  liquidityScore(notional, unknownDepth) {
+    if (unknownDepth) return 0.5;
+    return Math.min(notional / this.options.maxTradeNotional, 1);
+  }
+
+  /**
+   * Spatial arbitrage: for hvert symbol og hvert par af exchanges (køb, salg).
+   * Transfer cost er en rebalancering: base flyttes til salgs-exchangen og quote tilbage.
+   */
+  findSpatial(tickers) {
+    const opportunities = [];
+
+    for (const [symbol, byExchange] of Object.entries(tickers)) {
+      const [base, quote] = symbol.split('/');
+      const quotes = Object.entries(byExchange)
+        .map(([exchangeName, ticker]) => [exchangeName, this.getQuote(exchangeName, symbol, ticker)])
+        .filter(([, q]) => q);
+
+      for (const [buyExchange, buyQuote] of quotes) {
+        for (const [sellExchange, sellQuote] of quotes) {
+          if (buyExchange === sellExchange) continue;
+
+          const buyFee = this.getTakerFee(buyExchange);
+          const sellFee = this.getTakerFee(sellExchange);
+          const match = this.matchLevels(buyQuote.asks, sellQuote.bids, buyFee, sellFee, this.options.maxTradeNotional);
+          if (match.amount <= EPSILON) continue;
+
+          const buyPrice = match.buyNotional / match.amount;
+          const sellPrice = match.sellNotional / match.amount;
+          const fees = match.buyNotional * buyFee + match.sellNotional * sellFee;
+          const transferCost = this.options.includeTransferCosts
+            ? this.getWithdrawalFee(buyExchange, base) * sellPrice + this.getWithdrawalFee(sellExchange, quote)
+            : 0;
+          const netProfit = match.sellNotional - match.buyNotional - fees - transferCost;
+          const netProfitBps = netProfit / match.buyNotional * 10000;
+          if (netProfit <= 0 || netProfitBps < this.options.minProfitBps) continue;
+
+          const liquidityScore = this.liquidityScore(match.buyNotional, buyQuote.asks[0][1] === Infinity || sellQuote.bids[0][1] === Infinity);
+          opportunities.push({
+            key: `spatial:${symbol}:${buyExchange}>${sellExchange}`,
+            type: 'spatial',
+            symbol,
+            exchange: null,
+            buyExchange,
+            sellExchange,
+            path: null,
+            amount: match.amount,
+            notional: match.buyNotional,
+            buyPrice,
+            sellPrice,
+            grossSpreadBps: (sellQuote.bids[0][0] - buyQuote.asks[0][0]) / buyQuote.asks[0][0] * 10000,
+            fees,
+            transferCost,
+            netProfit,
+            netProfitBps,
+            liquidityScore,
+            score: netProfit * liquidityScore,
+            source: buyQuote.source === 'orderbook' && sellQuote.source === 'orderbook' ? 'orderbook' : 'ticker',
+            legs: [
+              { exchange: buyExchange, symbol, side: 'buy', amount: match.amount, price: buyPrice },
+              { exchange: sellExchange, symbol, side: 'sell', amount: match.amount, price: sellPrice }
+            ]
+          });
+        }
+      }
+    }
+
+    return opportunities;
+  }
+
+  /**
+   * Kanter mellem assets på én exchange: quote > base køber på ask, base > quote sælger på bid.
+   * rate er modtaget mængde per enhed afgivet, efter fee.
+   */
+  buildEdges(exchangeName, tickers) {
+    const edges = new Map();
+    const fee = this.getTakerFee(exchangeName);
+    const addEdge = (from, to, edge) => {
+      if (!edges.has(from)) edges.set(from, new Map());
+      edges.get(from).set(to, edge);
+    };
+
+    for (const [symbol, byExchange] of Object.entries(tickers)) {
+      const ticker = byExchange[exchangeName];
+      if (!ticker) continue;
+
+      const quote = this.getQuote(exchangeName, symbol, ticker);
+      if (!quote) continue;
+
+      const [base, quoteAsset] = symbol.split('/');
+      const [ask, askSize] = quote.asks[0];
+      const [bid, bidSize] = quote.bids[0];
+
+      // Kapacitet i enheder af det asset der afgives
+      addEdge(quoteAsset, base, { symbol, side: 'buy', price: ask, rate: (1 - fee) / ask, rawRate: 1 / ask, capacity: askSize * ask, source: quote.source });
+      addEdge(base, quoteAsset, { symbol, side: 'sell', price: bid, rate: bid * (1 - fee), rawRate: bid, capacity: bidSize, source: quote.source });
+    }
+
+    return edges;
+  }
+
+  findTriangular(tickers) {
+    const opportunities = [];
+    const exchangeNames = new Set();
+    Object.values(tickers).forEach(byExchange => Object.keys(byExchange).forEach(name => exchangeNames.add(name)));
+
+    for (const exchangeName of exchangeNames) {
+      const edges = this.buildEdges(exchangeName, tickers);
+
+      for (const start of this.options.startAssets) {
+        const first = edges.get(start);
+        if (!first) continue;
+
+        for (const [a, leg1] of first) {
+          const second = edges.get(a);
+          if (!second) continue;
+
+          for (const [b, leg2] of second) {
+            if (b === start) continue;
+            const leg3 = edges.has(b) && edges.get(b).get(start);
+            if (!leg3) continue;
+
+            const product = leg1.rate * leg2.rate * leg3.rate;
+            if ((product - 1) * 10000 < this.options.minProfitBps) continue;
+
+            // Største startbeløb alle tre ben kan bære, omregnet til start asset
+            const capacity = Math.min(leg1.capacity, leg2.capacity / leg1.rate, leg3.capacity / (leg1.rate * leg2.rate));
+            const notional = Math.min(this.options.maxTradeNotional, capacity);
+            if (!(notional > 0)) continue;
+
+            let amountIn = notional;
+            const legs = [leg1, leg2, leg3].map(leg => {
+              const amount = leg.side === 'buy' ? amountIn * leg.rawRate : amountIn;
+              amountIn *= leg.rate;
+              return { exchange: exchangeName, symbol: leg.symbol, side: leg.side, amount, price: leg.price };
+            });
+
+            const rawProduct = leg1.rawRate * leg2.rawRate * leg3.rawRate;
+            const netProfit = notional * (product - 1);
+            const path = [start, a, b, start].join('>');
+            const liquidityScore = this.liquidityScore(notional, [leg1, leg2, leg3].some(leg => leg.capacity === Infinity));
+
+            opportunities.push({
+              key: `triangular:${exchangeName}:${path}`,
+              type: 'triangular',
+              symbol: null,
+              exchange: exchangeName,
+              buyExchange: null,
+              sellExchange: null,
+              path,
+              amount: notional,
+              notional,
+              buyPrice: null,
+              sellPrice: null,
+              grossSpreadBps: (rawProduct - 1) * 10000,
+              fees: notional * (rawProduct - product),
+              transferCost: 0,
+              netProfit,
+              netProfitBps: (product - 1) * 10000,
+              liquidityScore,
+              score: netProfit * liquidityScore,
+              source: [leg1, leg2, leg3].every(leg => leg.source === 'orderbook') ? 'orderbook' : 'ticker',
+              legs
+            });
+          }
+        }
+      }
+    }
+
+    return opportunities;
+  }
+
+  rank(opportunities) {
+    return opportunities.sort((a, b) => b.score - a.score || b.netProfit - a.netProfit);
+  }
+
+  /**
+   * Én scanning af alle friske tickers. Nye muligheder gemmes, forsvundne lukkes.
+   */
+  async scan() {
+    if (!this.isReady || !this.coordinator || this.scanning) return [];
+
+    this.scanning = true;
+    try {
+      const tickers = this.coordinator.getExchangeTickers();
+      const ranked = this.rank([...this.findSpatial(tickers), ...this.findTriangular(tickers)]);
+      const created = await this.track(ranked);
+
+      if (this.options.autoExecute && created.length > 0 && !KillSwitch.isTripped()) {
+        const best = created.find(opportunity => this.isPaperRoute(opportunity));
+        if (best) {
+          await this.executeOpportunity(best.id, { source: 'arbitrage_auto' })
+            .catch(error => console.warn(`⚠️ Auto arbitrage ${best.id} fejlede:`, error.message));
+        }
+      }
+
+      this.emit('scan', ranked.map(opportunity => this.open.get(opportunity.key)));
+      return this.getOpportunities();
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  async track(ranked) {
+    const now = new Date().toISOString();
+    const seen = new Set();
+    const created = [];
+
+    for (const found of ranked) {
+      seen.add(found.key);
+      const existing = this.open.get(found.key);
+
+      if (existing) {
+        Object.assign(existing, found, {
+          lastSeenAt: now,
+          observations: existing.observations + 1,
+          bestNetProfit: Math.max(existing.bestNetProfit, found.netProfit)
+        });
+        continue;
+      }
+
+      const opportunity = {
+        id: this.generateId(),
+        ...found,
+        status: 'open',
+        bestNetProfit: found.netProfit,
+        observations: 1,
+        detectedAt: now,
+        lastSeenAt: now,
+        closedAt: null,
+        execution: null
+      };
+
+      await this.run(
+        `INSERT INTO arbitrage_opportunities (
+          id, type, symbol, exchange, buy_exchange, sell_exchange, path, amount, notional, buy_price, sell_price,
+          gross_spread_bps, fees, transfer_cost, net_profit, net_profit_bps, best_net_profit, liquidity_score, score,
+          legs, status, observations, detected_at, last_seen_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          opportunity.id, opportunity.type, opportunity.symbol, opportunity.exchange, opportunity.buyExchange,
+          opportunity.sellExchange, opportunity.path, opportunity.amount, opportunity.notional, opportunity.buyPrice,
+          opportunity.sellPrice, opportunity.grossSpreadBps, opportunity.fees, opportunity.transferCost,
+          opportunity.netProfit, opportunity.netProfitBps, opportunity.bestNetProfit, opportunity.liquidityScore,
+          opportunity.score, JSON.stringify(opportunity.legs), opportunity.status, 1, now, now
+        ]
+      );
+
+      this.open.set(found.key, opportunity);
+      created.push(opportunity);
+      console.log(`🔀 ${opportunity.type} ${opportunity.symbol || opportunity.path}: ${this.describe(opportunity)} netto ${opportunity.netProfit.toFixed(2)} (${opportunity.netProfitBps.toFixed(1)} bps)`);
+      this.emit('opportunity', this.formatOpportunity(opportunity));
+    }
+
+    for (const [key, opportunity] of this.open) {
+      if (!seen.has(key)) {
+        await this.close(opportunity, 'closed');
+      }
+    }
+
+    return created;
+  }
+
+  describe(opportunity) {
+    return opportunity.type === 'spatial'
+      ? `${opportunity.buyExchange} > ${opportunity.sellExchange}`
+      : opportunity.exchange;
+  }
+
+  async close(opportunity, status) {
+    this.open.delete(opportunity.key);
+    opportunity.status = status;
+    opportunity.closedAt = new Date().toISOString();
+
+    await this.run(
+      `UPDATE arbitrage_opportunities SET status = ?, best_net_profit = ?, observations = ?, last_seen_at = ?,
+        closed_at = ?, execution = ? WHERE id = ?`,
+      [
+        status, opportunity.bestNetProfit, opportunity.observations, opportunity.lastSeenAt, opportunity.closedAt,
+        opportunity.execution ? JSON.stringify(opportunity.execution) : null, opportunity.id
+      ]
+    );
+
+    this.emit('closed', this.formatOpportunity(opportunity));
+  }
+
+  isPaperRoute(opportunity) {
+    return opportunity.legs.every(leg => {
+      const data = this.coordinator && this.coordinator.exchanges.get(leg.exchange);
+      return !!(data && data.instance.paperTrading);
+    });
+  }
+
+  /**
+   * Eksekver en åben mulighed med market ordrer gennem executoren (ledger, risk gate og kill switch).
+   * Spatial afgiver begge ben parallelt; triangular afgiver benene i rækkefølge ud fra forrige fill.
+   */
+  async executeOpportunity(id, { userId = null, source = 'arbitrage' } = {}) {
+    const opportunity = Array.from(this.open.values()).find(open => open.id === id);
+    if (!opportunity) {
+      throw this.arbitrageError(ARBITRAGE_ERRORS.NOT_FOUND, `Open arbitrage opportunity ${id} not found`);
+    }
+    if (!this.isPaperRoute(opportunity)) {
+      throw this.arbitrageError(ARBITRAGE_ERRORS.LIVE_DISABLED, 'Arbitrage execution is only available on paper exchanges');
+    }
+
+    const placeLeg = async (leg, amount) => {
+      try {
+        const result = await this.executor.executeOrder({
+          exchange: leg.exchange,
+          symbol: leg.symbol,
+          side: leg.side,
+          type: 'market',
+          amount,
+          userId,
+          source,
+          metadata: { opportunityId: opportunity.id }
+        });
+        return this.formatLeg(leg, result);
+      } catch (error) {
+        return this.formatLeg(leg, { success: false, error: error.message });
+      }
+    };
+
+    let legs;
+    if (opportunity.type === 'spatial') {
+      legs = await Promise.all(opportunity.legs.map(leg => placeLeg(leg, leg.amount)));
+    } else {
+      legs = [];
+      let received = null;
+      for (const leg of opportunity.legs) {
+        const fee = this.getTakerFee(leg.exchange);
+        // Næste ben bruger det forrige faktisk gav - køb i base mængde, så der holdes fee luft
+        const amount = received === null
+          ? leg.amount
+          : (leg.side === 'sell' ? received : received / leg.price * (1 - fee));
+        const result = await placeLeg(leg, amount);
+        legs.push(result);
+        if (result.status !== 'filled') break;
+        received = leg.side === 'buy'
+          ? result.filledAmount
+          : result.filledAmount * result.averagePrice - result.fees;
+      }
+    }
+
+    const filled = legs.length === opportunity.legs.length && legs.every(leg => leg.status === 'filled');
+    const execution = {
+      status: filled ? 'executed' : (legs.some(leg => leg.filledAmount > 0) ? 'partial' : 'failed'),
+      realizedProfit: filled ? this.realizedProfit(opportunity, legs) : null,
+      expectedProfit: opportunity.netProfit,
+      legs,
+      executedAt: new Date().toISOString()
+    };
+
+    opportunity.execution = execution;
+    await this.close(opportunity, filled ? 'executed' : 'failed');
+
+    console.log(`🔀 Arbitrage ${opportunity.id} ${execution.status}${filled ? `: realiseret ${execution.realizedProfit.toFixed(2)}` : ''}`);
+    this.emit('executed', this.formatOpportunity(opportunity));
+    return { opportunityId: opportunity.id, ...execution };
+  }
+
+  formatLeg(leg, result) {
+    const order = result && result.order;
+    return {
+      exchange: leg.exchange,
+      symbol: leg.symbol,
+      side: leg.side,
+      orderId: order ? order.id : null,
+      status: order ? order.status : 'rejected',
+      filledAmount: order ? order.filledAmount : 0,
+      averagePrice: order ? order.averagePrice : null,
+      fees: order ? order.fees : 0,
+      ...(!(result && result.success) && { error: result && result.error, code: result && result.code })
+    };
+  }
+
+  // Spatial: salg minus køb og fees (transfer er ikke udført). Triangular: start asset ud minus ind.
+  realizedProfit(opportunity, legs) {
+    if (opportunity.type === 'spatial') {
+      const [buy, sell] = legs;
+      return sell.filledAmount * sell.averagePrice - buy.filledAmount * buy.averagePrice - buy.fees - sell.fees;
+    }
+
+    const [first] = legs;
+    const last = legs[legs.length - 1];
+    const spent = first.side === 'buy' ? first.filledAmount * first.averagePrice + first.fees : first.filledAmount;
+    const received = last.side === 'sell' ? last.filledAmount * last.averagePrice - last.fees : last.filledAmount;
+    return received - spent;
+  }
+
+  getOpportunities(filters = {}) {
+    return this.rank(Array.from(this.open.values()))
+      .filter(opportunity => !filters.type || opportunity.type === filters.type)
+      .filter(opportunity => !filters.symbol || opportunity.symbol === filters.symbol)
+      .slice(0, parseInt(filters.limit) || 50)
+      .map(opportunity => this.formatOpportunity(opportunity));
+  }
+
+  async getHistory(filters = {}) {
+    this.ensureReady();
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.type) {
+      conditions.push('type = ?');
+      params.push(filters.type);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.all(
+      `SELECT * FROM arbitrage_opportunities ${where} ORDER BY detected_at DESC LIMIT ?`,
+      [...params, parseInt(filters.limit) || 100]
+    );
+
+    return rows.map(row => this.formatRow(row));
+  }
+
+  getStats() {
+    const open = Array.from(this.open.values());
+    return {
+      open: open.length,
+      spatial: open.filter(opportunity => opportunity.type === 'spatial').length,
+      triangular: open.filter(opportunity => opportunity.type === 'triangular').length,
+      bestNetProfit: open.length > 0 ? Math.max(...open.map(opportunity => opportunity.netProfit)) : null
+    };
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error('Arbitrage scanner not initialized');
+    }
+  }
+
+  formatOpportunity(opportunity) {
+    const { key, ...state } = opportunity;
+    return state;
+  }
+
+  formatRow(row) {
+    const toNumber = value => value !== null && value !== undefined ? parseFloat(value) : null;
+    const toISO = value => value instanceof Date ? value.toISOString() : value;
+
+    return {
+      id: row.id,
+      type: row.type,
+      symbol: row.symbol,
+      exchange: row.exchange,
+      buyExchange: row.buy_exchange,
+      sellExchange: row.sell_exchange,
+      path: row.path,
+      amount: toNumber(row.amount),
+      notional: toNumber(row.notional),
+      buyPrice: toNumber(row.buy_price),
+      sellPrice: toNumber(row.sell_price),
+      grossSpreadBps: toNumber(row.gross_spread_bps),
+      fees: toNumber(row.fees),
+      transferCost: toNumber(row.transfer_cost),
+      netProfit: toNumber(row.net_profit),
+      netProfitBps: toNumber(row.net_profit_bps),
+      bestNetProfit: toNumber(row.best_net_profit),
+      liquidityScore: toNumber(row.liquidity_score),
+      score: toNumber(row.score),
+      legs: parseJSON(row.legs, []),
+      status: row.status,
+      observations: parseInt(row.observations) || 0,
+      execution: parseJSON(row.execution, null),
+      detectedAt: toISO(row.detected_at),
+      lastSeenAt: toISO(row.last_seen_at),
+      closedAt: toISO(row.closed_at)
+    };
+  }
+}
+
+const arbitrageScanner = new ArbitrageScanner();
+arbitrageScanner.ARBITRAGE_ERRORS = ARBITRAGE_ERRORS;
+
+module.exports = arbitrageScanner;
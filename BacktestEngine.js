@@ -0,0 +1,633 @@
+/**
+ * BacktestEngine - Event-driven historical replay
+ * Replays stored candles bar by bar through the trading logic before it touches real money:
+ * - Candles from SQLite market_data or TimescaleDB aggregates
+ * - Decisions from MasterAgentSystem.orchestrateDecision, the auto-trading presets or
+ *   StrategyEngine plugin strategies (onTick / onCandle / onFill on each bar)
+ * - Fills priced with the QuantitativeEngine friction model (fees, spread, slippage)
+ * - Report: equity curve, Sharpe, max drawdown and CVaR via analyzePerformance
+ */
+
+const EventEmitter = require('events');
+const QuantitativeEngine = require('./QuantitativeEngine');
+const DatabaseService = require('./DatabaseService');
+const { IndicatorSet } = require('./TechnicalIndicators');
+
+// Same thresholds as the auto-trading loop (changePercent over the last 24h)
+const STRATEGY_PRESETS = {
+  conservative: {
+    buyBelow: -2,
+    sellAbove: 3,
+    positionSize: 3,
+    stopLoss: 1.5,
+    takeProfit: 3,
+    maxDailyTrades: 5
+  },
+  moderate: {
+    buyBelow: -1.5,
+    sellAbove: 2,
+    positionSize: 5,
+    stopLoss: 2,
+    takeProfit: 4,
+    maxDailyTrades: 10
+  },
+  aggressive: {
+    buyBelow: -0.2,
+    sellAbove: 0.5,
+    positionSize: 1,
+    stopLoss: 3,
+    takeProfit: 6,
+    maxDailyTrades: 20
+  }
+};
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// time_bucket() friendly interval names
+const PG_INTERVALS = {
+  '1m': '1 minute',
+  '5m': '5 minutes',
+  '15m': '15 minutes',
+  '1h': '1 hour',
+  '4h': '4 hours',
+  '1d': '1 day'
+};
+
+class BacktestEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.database = options.database || DatabaseService;
+    this.quantEngine = options.quantEngine || new QuantitativeEngine();
+    this.agentSystem = options.agentSystem || null;
+  }
+
+  /**
+   * Load historical candles for a symbol
+   * Uses TimescaleDB aggregates when the PostgreSQL service is injected,
+   * otherwise buckets raw SQLite market_data ticks into OHLCV bars.
+   */
+  async loadCandles({ symbol, interval = '1h', start = null, end = null }) {
+    if (!INTERVAL_MS[interval]) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    if (typeof this.database.getAggregatedMarketData === 'function') {
+      const rows = await this.database.getAggregatedMarketData(symbol, PG_INTERVALS[interval], start, end);
+
+      // Aggregates come back newest first
+      return rows.reverse().map(row => ({
+        timestamp: new Date(row.bucket),
+        open: parseFloat(row.open_price),
+        high: parseFloat(row.high_price),
+        low: parseFloat(row.low_price),
+        close: parseFloat(row.close_price),
+        volume: parseFloat(row.total_volume) || 0
+      }));
+    }
+
+    let sql = 'SELECT price, volume, timestamp FROM market_data WHERE symbol = ?';
+    const params = [symbol];
+
+    if (start) {
+      sql += ' AND timestamp >= ?';
+      params.push(this.toSqliteTimestamp(start));
+    }
+    if (end) {
+      sql += ' AND timestamp <= ?';
+      params.push(this.toSqliteTimestamp(end));
+    }
+    sql += ' ORDER BY timestamp ASC';
+
+    const rows = await this.database.all(sql, params);
+    return this.buildCandles(rows, INTERVAL_MS[interval]);
+  }
+
+  /**
+   * Bucket raw price ticks into OHLCV candles
+   */
+  buildCandles(rows, intervalMs) {
+    const candles = [];
+    let current = null;
+
+    for (const row of rows) {
+      const time = this.parseTimestamp(row.timestamp).getTime();
+      const price = parseFloat(row.price);
+      const volume = parseFloat(row.volume) || 0;
+      const bucket = Math.floor(time / intervalMs) * intervalMs;
+
+      if (!current || current.timestamp.getTime() !== bucket) {
+        current = {
+          timestamp: new Date(bucket),
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0
+        };
+        candles.push(current);
+      }
+
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+      current.volume += volume;
+    }
+
+    return candles;
+  }
+
+  /**
+   * Run a backtest
+   * @param {Object} options
+   * @param {string} options.symbol - e.g. 'BTC/USDT'
+   * @param {string} options.interval - '1m' | '5m' | '15m' | '1h' | '4h' | '1d'
+   * @param {string} options.mode - 'strategy' (auto-trading presets), 'plugin' (StrategyEngine) or 'master_agent'
+   * @param {string} options.strategy - conservative | moderate | aggressive, or a plugin strategy name
+   * @param {Object} options.params - Plugin strategy parameters (defaults from the declaration)
+   * @param {Array} options.candles - Optional pre-loaded candles (skips the database)
+   * @param {number} options.warmupBars - Leading candles that only warm up indicators and strategy state
+   */
+  async run(options = {}) {
+    const config = this.buildConfig(options);
+    const candles = options.candles
+      ? options.candles.map(candle => ({ ...candle, timestamp: this.parseTimestamp(candle.timestamp) }))
+      : await this.loadCandles(config);
+
+    const warmupBars = Math.max(0, Math.floor(options.warmupBars || 0));
+    if (candles.length - warmupBars < 2) {
+      throw new Error(`Not enough historical data for ${config.symbol} (${candles.length} candles, ${warmupBars} warmup)`);
+    }
+
+    if (config.mode === 'master_agent') {
+      await this.ensureAgentSystem();
+    }
+
+    const state = {
+      cash: config.initialCapital,
+      position: null,
+      trades: [],
+      fills: [],
+      equityCurve: [],
+      tradesPerDay: new Map(),
+      indicators: new IndicatorSet(),
+      strategyState: {}
+    };
+
+    this.emit('start', { config, bars: candles.length - warmupBars });
+
+    for (let i = 0; i < candles.length; i++) {
+      const bar = candles[i];
+      const history = candles.slice(Math.max(0, i - config.lookback + 1), i + 1);
+
+      state.indicators.update({ ...bar, openTime: bar.timestamp.getTime() });
+
+      // Warmup bars bygger historik og strategiens state op - signaler derfra udføres ikke
+      if (i < warmupBars) {
+        if (config.mode === 'plugin') {
+          await this.runPluginHooks(bar, history, state, config, { warmup: true });
+        }
+        continue;
+      }
+      this.emit('bar', { index: i, bar });
+
+      // Protective exits are checked before new signals - plugin strategies handle their own exits
+      if (state.position && config.mode !== 'plugin') {
+        this.checkProtectiveExits(state, bar, config);
+      }
+
+      if (config.mode === 'plugin') {
+        await this.runPluginHooks(bar, history, state, config);
+      } else {
+        const signal = await this.getSignal(bar, history, state, config);
+        if (signal) {
+          this.processSignal(signal, state, bar, config);
+        }
+      }
+
+      const equity = state.cash + (state.position ? state.position.quantity * bar.close : 0);
+      state.equityCurve.push({ timestamp: bar.timestamp, equity });
+    }
+
+    // Close anything still open at the last price so the report is complete
+    if (state.position) {
+      const lastBar = candles[candles.length - 1];
+      this.closePosition(state, lastBar, lastBar.close, 'End of backtest', config);
+      state.equityCurve[state.equityCurve.length - 1].equity = state.cash;
+    }
+
+    const report = this.generateReport(state, config, candles.slice(warmupBars));
+    this.emit('complete', report);
+    return report;
+  }
+
+  buildConfig(options) {
+    const strategy = options.strategy || 'conservative';
+    const preset = STRATEGY_PRESETS[strategy];
+    const base = {
+      symbol: options.symbol || 'BTC/USDT',
+      interval: options.interval || '1h',
+      start: options.start || null,
+      end: options.end || null,
+      mode: options.mode || 'strategy',
+      strategy,
+      initialCapital: options.initialCapital || 10000,
+      orderType: options.orderType || 'market',
+      lookback: options.lookback || 50,
+      minConfidence: options.minConfidence || 0.6
+    };
+
+    if (!INTERVAL_MS[base.interval]) {
+      throw new Error(`Unsupported interval: ${base.interval}`);
+    }
+
+    if (base.mode === 'plugin') {
+      return { ...base, ...this.resolvePluginStrategy(strategy, options.params, base), maxDailyTrades: Infinity };
+    }
+
+    if (!preset && options.mode !== 'master_agent') {
+      throw new Error(`Unknown strategy: ${strategy}`);
+    }
+
+    return {
+      ...base,
+      ...(preset || STRATEGY_PRESETS.moderate),
+      // != null så en eksplicit 0 (fx stop ved indgangsprisen) ikke falder tilbage til presettet
+      ...(options.positionSize != null && { positionSize: options.positionSize }),
+      ...(options.stopLoss != null && { stopLoss: options.stopLoss }),
+      ...(options.takeProfit != null && { takeProfit: options.takeProfit }),
+      ...(options.maxDailyTrades != null && { maxDailyTrades: options.maxDailyTrades })
+    };
+  }
+
+  /**
+   * Plugin strategy from StrategyEngine with validated parameters. The strategy directory is
+   * loaded on first use when the engine has not been initialized (CLI and API backtests).
+   */
+  resolvePluginStrategy(name, params = {}, { symbol, interval }) {
+    const StrategyEngine = require('./StrategyEngine');
+    StrategyEngine.ensureLoaded();
+
+    const { definition } = StrategyEngine.requireStrategy(name);
+    if (!definition.symbols.includes(symbol)) {
+      throw new Error(`Strategy ${name} does not trade ${symbol} (${definition.symbols.join(', ')})`);
+    }
+    const timeframes = definition.timeframes || [];
+    if (typeof definition.onTick !== 'function' && !timeframes.includes(interval)) {
+      throw new Error(`Strategy ${name} subscribes to ${timeframes.join(', ')} candles, not ${interval}`);
+    }
+
+    return { definition, params: StrategyEngine.resolveParams(name, params) };
+  }
+
+  /**
+   * Agents are started without the meta-cognition loop so the replay stays deterministic,
+   * and detached from the live kill switch since no orders leave the simulation
+   */
+  async ensureAgentSystem() {
+    if (this.agentSystem) return;
+
+    const MasterAgentSystem = require('./MasterAgentSystem');
+    this.agentSystem = new MasterAgentSystem();
+    this.agentSystem.killSwitch = null;
+    await this.agentSystem.initializeMasterAgent();
+    await this.agentSystem.initializeSpecializedAgents();
+  }
+
+  /**
+   * Ask the configured decision source for BUY / SELL / null
+   */
+  async getSignal(bar, history, state, config) {
+    if (config.mode === 'master_agent') {
+      // Master validation ser simulationens position - ikke de live positioner
+      const positions = state.position
+        ? [{ symbol: config.symbol, side: 'long', marketValue: state.position.quantity * bar.close }]
+        : [];
+      const decision = await this.agentSystem.orchestrateDecision({
+        ...this.buildMarketData(bar, history, config, state.indicators.latest),
+        positions
+      });
+
+      if (decision.isSafetyDecision) return null;
+      if (decision.masterValidation && decision.masterValidation.finalApproval === false) return null;
+      if ((decision.confidence || 0) < config.minConfidence) return null;
+
+      if (decision.action === 'BUY' || decision.action === 'STRONG_BUY') {
+        return {
+          side: 'BUY',
+          reason: `Master agent ${decision.action} (${(decision.confidence * 100).toFixed(0)}%)`,
+          sizeMultiplier: decision.sizeMultiplier || 1
+        };
+      }
+      if (decision.action === 'SELL' || decision.action === 'STRONG_SELL') {
+        return { side: 'SELL', reason: `Master agent ${decision.action} (${(decision.confidence * 100).toFixed(0)}%)` };
+      }
+      return null;
+    }
+
+    const changePercent = this.calculateChangePercent(bar, history, config);
+
+    if (changePercent < config.buyBelow) {
+      return { side: 'BUY', reason: `Price down ${changePercent.toFixed(2)}% - buying opportunity` };
+    }
+    if (changePercent > config.sellAbove) {
+      return { side: 'SELL', reason: `Price up ${changePercent.toFixed(2)}% - taking profit` };
+    }
+    return null;
+  }
+
+  /**
+   * 24h change as the live strategies see it from the exchange ticker
+   */
+  calculateChangePercent(bar, history, config) {
+    const dayAgo = bar.timestamp.getTime() - INTERVAL_MS['1d'];
+    const reference = history.find(candle => candle.timestamp.getTime() >= dayAgo) || history[0];
+
+    return reference.open > 0 ? ((bar.close - reference.open) / reference.open) * 100 : 0;
+  }
+
+  /**
+   * Bar → onTick (ticker with the 24h change) and onCandle when the interval is subscribed.
+   * Each hook's signals are filled before the next hook runs and fills are reported to onFill.
+   */
+  async runPluginHooks(bar, history, state, config, { warmup = false } = {}) {
+    const { definition } = config;
+    const payloads = [];
+
+    if (typeof definition.onTick === 'function') {
+      payloads.push(['onTick', {
+        symbol: config.symbol,
+        price: bar.close,
+        volume: bar.volume,
+        changePercent: this.calculateChangePercent(bar, history, config),
+        timestamp: bar.timestamp.toISOString()
+      }]);
+    }
+    if (typeof definition.onCandle === 'function' && (definition.timeframes || []).includes(config.interval)) {
+      payloads.push(['onCandle', {
+        exchange: 'backtest',
+        symbol: config.symbol,
+        timeframe: config.interval,
+        openTime: bar.timestamp.getTime(),
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume,
+        closed: true
+      }]);
+    }
+
+    for (const [hook, payload] of payloads) {
+      const signals = await definition[hook](this.createStrategyContext(bar, state, config), payload);
+      if (warmup) continue;
+      const filled = state.fills.length;
+
+      for (const signal of [].concat(signals || [])) {
+        const side = (signal.side || '').toUpperCase();
+        const notional = parseFloat(signal.notional) || (parseFloat(signal.amount) * bar.close) || undefined;
+        this.processSignal({ side, notional, reason: signal.reason || `${config.strategy} ${hook}` }, state, bar, config);
+      }
+
+      if (typeof definition.onFill === 'function') {
+        for (const fill of state.fills.slice(filled)) {
+          const trade = fill.side === 'SELL' ? state.trades[state.trades.length - 1] : null;
+          await definition.onFill(this.createStrategyContext(bar, state, config), {
+            orderId: null,
+            symbol: config.symbol,
+            side: fill.side.toLowerCase(),
+            quantity: fill.quantity,
+            price: fill.price,
+            fee: fill.fees,
+            timestamp: fill.timestamp.toISOString(),
+            strategy: config.strategy,
+            realizedPnl: trade ? trade.pnl : 0
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Samme ctx som StrategyEngine giver live - kapitalen er backtestens startkapital og tiden barens
+   */
+  createStrategyContext(bar, state, config) {
+    const committed = state.position ? state.position.costBasis : 0;
+    return {
+      name: config.strategy,
+      symbol: config.symbol,
+      params: config.params,
+      state: state.strategyState,
+      allocation: { capital: config.initialCapital, committed, available: Math.max(0, state.cash) },
+      stats: { trades: state.trades.length, fills: state.fills.length },
+      position: () => (state.position
+        ? { quantity: state.position.quantity, averagePrice: state.position.costBasis / state.position.quantity }
+        : { quantity: 0, averagePrice: null }),
+      price: () => bar.close,
+      now: () => bar.timestamp.getTime()
+    };
+  }
+
+  buildMarketData(bar, history, config, indicators = null) {
+    const closes = history.map(candle => candle.close);
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+    }
+
+    return {
+      symbol: config.symbol,
+      price: bar.close,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      volume: bar.volume,
+      volatility: returns.length > 1 ? this.quantEngine.calculateVolatility(returns) : 0,
+      changePercent: this.calculateChangePercent(bar, history, config),
+      candles: history,
+      indicators,
+      timestamp: bar.timestamp
+    };
+  }
+
+  processSignal(signal, state, bar, config) {
+    if (signal.side === 'BUY' && !state.position) {
+      if (!this.canTradeToday(state, bar, config)) return;
+
+      // Master agenten kan nedskalere købet, plugin strategier angiver selv beløbet
+      const notional = signal.notional !== undefined
+        ? Math.min(signal.notional, state.cash)
+        : state.cash * (config.positionSize / 100) * (signal.sizeMultiplier || 1);
+      this.openPosition(state, bar, notional, signal.reason, config);
+    } else if (signal.side === 'SELL' && state.position) {
+      this.closePosition(state, bar, bar.close, signal.reason, config);
+    }
+  }
+
+  checkProtectiveExits(state, bar, config) {
+    const { entryPrice } = state.position;
+    const stopPrice = entryPrice * (1 - config.stopLoss / 100);
+    const targetPrice = entryPrice * (1 + config.takeProfit / 100);
+
+    // Assume the worst case when both levels sit inside the same bar
+    if (bar.low <= stopPrice) {
+      this.closePosition(state, bar, Math.min(stopPrice, bar.open), `Stop loss ${config.stopLoss}% hit`, config);
+    } else if (bar.high >= targetPrice) {
+      this.closePosition(state, bar, Math.max(targetPrice, bar.open), `Take profit ${config.takeProfit}% hit`, config);
+    }
+  }
+
+  canTradeToday(state, bar, config) {
+    const day = bar.timestamp.toISOString().slice(0, 10);
+    return (state.tradesPerDay.get(day) || 0) < config.maxDailyTrades;
+  }
+
+  /**
+   * Simulated fill - slippage moves the price against us, fees and spread are charged in quote currency
+   */
+  simulateFill(side, price, notional, config) {
+    const slippage = this.quantEngine.calculateSlippage(notional);
+    const fillPrice = side === 'BUY' ? price * (1 + slippage) : price * (1 - slippage);
+    const costs = this.quantEngine.calculateTransactionCosts(notional, config.orderType);
+
+    return {
+      fillPrice,
+      slippage,
+      fees: costs.fees + costs.spreadCost
+    };
+  }
+
+  openPosition(state, bar, notional, reason, config) {
+    if (notional <= 0) return;
+
+    const fill = this.simulateFill('BUY', bar.close, notional, config);
+    const quantity = (notional - fill.fees) / fill.fillPrice;
+
+    state.cash -= notional;
+    state.position = {
+      quantity,
+      entryPrice: fill.fillPrice,
+      costBasis: notional,
+      entryTime: bar.timestamp,
+      reason
+    };
+
+    const day = bar.timestamp.toISOString().slice(0, 10);
+    state.tradesPerDay.set(day, (state.tradesPerDay.get(day) || 0) + 1);
+
+    const record = { side: 'BUY', timestamp: bar.timestamp, price: fill.fillPrice, quantity, fees: fill.fees, reason };
+    state.fills.push(record);
+    this.emit('fill', record);
+  }
+
+  closePosition(state, bar, price, reason, config) {
+    const position = state.position;
+    const notional = position.quantity * price;
+    const fill = this.simulateFill('SELL', price, notional, config);
+    const proceeds = position.quantity * fill.fillPrice - fill.fees;
+
+    state.cash += proceeds;
+    state.position = null;
+
+    const record = { side: 'SELL', timestamp: bar.timestamp, price: fill.fillPrice, quantity: position.quantity, fees: fill.fees, reason };
+    state.fills.push(record);
+    this.emit('fill', record);
+
+    const trade = {
+      entryTime: position.entryTime,
+      exitTime: bar.timestamp,
+      entryPrice: position.entryPrice,
+      exitPrice: fill.fillPrice,
+      quantity: position.quantity,
+      pnl: proceeds - position.costBasis,
+      return: (proceeds - position.costBasis) / position.costBasis,
+      volume: position.costBasis,
+      exitReason: reason
+    };
+    state.trades.push(trade);
+    this.emit('trade', trade);
+  }
+
+  /**
+   * Backtest report built on QuantitativeEngine.analyzePerformance
+   */
+  generateReport(state, config, candles) {
+    const equity = state.equityCurve.map(point => point.equity);
+    const barReturns = [];
+    for (let i = 1; i < equity.length; i++) {
+      barReturns.push((equity[i] - equity[i - 1]) / equity[i - 1]);
+    }
+
+    // Costs are already inside each trade return, so analyzePerformance gets zero volume
+    const performance = state.trades.length > 0
+      ? this.quantEngine.analyzePerformance(state.trades.map(trade => ({ return: trade.return, volume: 0 })))
+      : null;
+
+    // En bar er ikke en dag - Sharpe annualiseres ud fra bar intervallet
+    const barsPerYear = (365 * INTERVAL_MS['1d']) / INTERVAL_MS[config.interval];
+    const cvar = barReturns.length > 0 ? this.quantEngine.calculateCVaR(barReturns) : 0;
+    const finalEquity = equity[equity.length - 1];
+    const firstPrice = candles[0].close;
+    const lastPrice = candles[candles.length - 1].close;
+
+    return {
+      config: {
+        symbol: config.symbol,
+        interval: config.interval,
+        mode: config.mode,
+        strategy: config.mode === 'master_agent' ? null : config.strategy,
+        params: config.params || null,
+        initialCapital: config.initialCapital,
+        positionSize: config.positionSize,
+        stopLoss: config.stopLoss,
+        takeProfit: config.takeProfit
+      },
+      period: {
+        start: candles[0].timestamp,
+        end: candles[candles.length - 1].timestamp,
+        bars: candles.length
+      },
+      summary: {
+        initialCapital: config.initialCapital,
+        finalEquity,
+        totalReturn: (finalEquity - config.initialCapital) / config.initialCapital,
+        buyAndHoldReturn: (lastPrice - firstPrice) / firstPrice,
+        totalTrades: state.trades.length,
+        totalFees: state.fills.reduce((sum, fill) => sum + fill.fees, 0),
+        sharpeRatio: this.quantEngine.calculateAnnualizedSharpe(barReturns, barsPerYear),
+        maxDrawdown: this.quantEngine.calculateMaxDrawdown(equity),
+        // Under 20 afkast har halen ingen observationer - calculateCVaR giver så kun det værste afkast og ingen VaR
+        cvar: typeof cvar === 'number' ? { cvar } : cvar
+      },
+      performance,
+      equityCurve: state.equityCurve,
+      trades: state.trades,
+      fills: state.fills,
+      timestamp: new Date()
+    };
+  }
+
+  parseTimestamp(value) {
+    if (value instanceof Date) return value;
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+    if (typeof value === 'string' && !/[zZ]|[+-]\d\d:?\d\d$/.test(value)) {
+      return new Date(value.replace(' ', 'T') + 'Z');
+    }
+    return new Date(value);
+  }
+
+  toSqliteTimestamp(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+  }
+}
+
+BacktestEngine.STRATEGY_PRESETS = STRATEGY_PRESETS;
+BacktestEngine.INTERVAL_MS = INTERVAL_MS;
+
+module.exports = BacktestEngine;
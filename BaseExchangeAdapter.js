@@ -0,0 +1,282 @@
+/**
+ * BaseExchangeAdapter - Fælles kontrakt for alle exchange adapters
+ * Definerer ét metodesæt (balances, ticker, order book, place, cancel, query, open orders, trade history)
+ * og standardformater for ordrer, handler og order books. Metoder en adapter ikke implementerer
+ * kaster NOT_SUPPORTED, og getCapabilities() udleder hvad adapteren faktisk kan.
+ */
+
+const EventEmitter = require('events');
+
+const ADAPTER_METHODS = [
+  'getBalance',
+  'getTicker',
+  'getOrderBook',
+  'createOrder',
+  'cancelOrder',
+  'getOrderStatus',
+  'getOpenOrders',
+  'getTradeHistory'
+];
+
+// Valgfri metoder uden for den fælles kontrakt - findes kun hvor exchangen har endpointet
+const OPTIONAL_METHODS = ['getKlines'];
+
+// Candle intervaller der kan bedes om via getKlines
+const KLINE_INTERVALS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+const ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+
+// Exchange-specifikke statusser mappet til ORDER_STATUSES
+const STATUS_ALIASES = {
+  NEW: 'NEW',
+  OPEN: 'NEW',
+  ACTIVE: 'NEW',
+  LIVE: 'NEW',
+  PENDING: 'NEW',
+  PENDING_NEW: 'NEW',
+  SUBMITTED: 'NEW',
+  UNTRIGGERED: 'NEW',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  PARTIALLYFILLED: 'PARTIALLY_FILLED',
+  FILLED: 'FILLED',
+  CLOSED: 'FILLED',
+  CANCELED: 'CANCELED',
+  CANCELLED: 'CANCELED',
+  PARTIALLYFILLEDCANCELED: 'CANCELED',
+  // Annulleringen er ikke bekræftet - ordren kan stadig fylde, så den er åben (PARTIALLY_FILLED hvis noget er fyldt)
+  PENDING_CANCEL: 'NEW',
+  REJECTED: 'REJECTED',
+  FAILED: 'REJECTED',
+  EXPIRED: 'EXPIRED',
+  EXPIRED_IN_MATCH: 'EXPIRED'
+};
+
+class BaseExchangeAdapter extends EventEmitter {
+  /**
+   * @param {string} name - Visningsnavn, f.eks. 'Binance'
+   * @param {Object} options
+   * @param {string[]} options.features - Features fra exchange-config (spot, futures, websocket, ...)
+   * @param {string[]} options.orderTypes - Understøttede ordretyper
+   * @param {boolean} options.websocket - Om adapteren har realtids ticker stream
+   */
+  constructor(name, { features = [], orderTypes = ['MARKET', 'LIMIT'], websocket = false } = {}) {
+    super();
+    this.name = name;
+    this.features = features;
+    this.connected = false;
+    this.capabilities = { orderTypes, websocket, paperTrading: false };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  assertConnected() {
+    if (!this.isConnected()) {
+      throw new Error(`${this.name} is not connected`);
+    }
+  }
+
+  // Standard metodesæt - adapters overskriver dem de understøtter
+
+  async getBalance() {
+    throw this.notSupported('getBalance');
+  }
+
+  async getTicker(symbol) {
+    throw this.notSupported('getTicker');
+  }
+
+  async getOrderBook(symbol, depth = 20) {
+    throw this.notSupported('getOrderBook');
+  }
+
+  async createOrder(params) {
+    throw this.notSupported('createOrder');
+  }
+
+  async cancelOrder(symbol, orderId) {
+    throw this.notSupported('cancelOrder');
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    throw this.notSupported('getOrderStatus');
+  }
+
+  async getOpenOrders(symbol = null) {
+    throw this.notSupported('getOpenOrders');
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    throw this.notSupported('getTradeHistory');
+  }
+
+  /**
+   * Historiske OHLCV candles fra REST - { start, end } i ms, ældste først
+   */
+  async getKlines(symbol, interval = '1h', { start = null, end = null, limit = 500 } = {}) {
+    throw this.notSupported('getKlines');
+  }
+
+  notSupported(method) {
+    const error = new Error(`${this.name} does not support ${method}`);
+    error.code = 'NOT_SUPPORTED';
+    return error;
+  }
+
+  supports(method) {
+    return (ADAPTER_METHODS.includes(method) || OPTIONAL_METHODS.includes(method)) &&
+      typeof this[method] === 'function' &&
+      this[method] !== BaseExchangeAdapter.prototype[method];
+  }
+
+  /**
+   * Capability discovery - metoder udledes af hvad adapteren overskriver
+   */
+  getCapabilities() {
+    const methods = {};
+    for (const method of ADAPTER_METHODS) {
+      methods[method] = this.supports(method);
+    }
+
+    return {
+      methods,
+      orderTypes: this.capabilities.orderTypes,
+      websocket: this.capabilities.websocket,
+      paperTrading: this.capabilities.paperTrading,
+      klines: this.supports('getKlines'),
+      features: this.features
+    };
+  }
+
+  /**
+   * HTTP request med JSON svar - fejl har status og response body
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, options);
+    const text = await response.text();
+
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const message = data && typeof data === 'object' ? (data.msg || data.message || data.retMsg) : data;
+      const error = new Error(`${this.name} HTTP ${response.status}: ${message || response.statusText}`);
+      error.status = response.status;
+      error.response = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Standardformater
+
+  normalizeOrderStatus(status, filledAmount = 0) {
+    const key = String(status || '').toUpperCase().replace(/[\s-]/g, '_');
+    const normalized = STATUS_ALIASES[key] || key;
+
+    if (normalized === 'NEW' && filledAmount > 0) {
+      return 'PARTIALLY_FILLED';
+    }
+    return normalized;
+  }
+
+  /**
+   * Standard ordre: samme form som PaperExchange altid har returneret.
+   * price er gennemsnitlig fill pris når noget er fyldt, ellers limit prisen.
+   */
+  normalizeOrder({ orderId, clientOrderId = null, symbol, side, type, amount, price = 0, averagePrice = 0, filledAmount = 0, fee = 0, feeCurrency = null, status, timestamp }) {
+    const filled = parseFloat(filledAmount) || 0;
+    const average = parseFloat(averagePrice) || 0;
+
+    return {
+      exchange: this.name,
+      orderId: String(orderId),
+      clientOrderId: clientOrderId || null,
+      symbol,
+      side: String(side || '').toUpperCase(),
+      type: String(type || '').toUpperCase(),
+      amount: parseFloat(amount) || 0,
+      price: filled > 0 && average > 0 ? average : (parseFloat(price) || 0),
+      filledAmount: filled,
+      fee: Math.abs(parseFloat(fee) || 0),
+      feeCurrency,
+      status: this.normalizeOrderStatus(status, filled),
+      timestamp: this.toISOString(timestamp)
+    };
+  }
+
+  normalizeTrade({ tradeId, orderId, symbol, side, price, amount, fee = 0, feeCurrency = null, timestamp }) {
+    return {
+      exchange: this.name,
+      tradeId: String(tradeId),
+      orderId: String(orderId),
+      symbol,
+      side: String(side || '').toUpperCase(),
+      amount: parseFloat(amount),
+      price: parseFloat(price),
+      fee: Math.abs(parseFloat(fee) || 0),
+      feeCurrency,
+      timestamp: this.toISOString(timestamp)
+    };
+  }
+
+  /**
+   * Order book med [pris, mængde] som tal - bids faldende, asks stigende
+   */
+  normalizeOrderBook(symbol, bids = [], asks = [], timestamp) {
+    const levels = side => side.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]);
+
+    return {
+      exchange: this.name,
+      symbol,
+      bids: levels(bids).sort((a, b) => b[0] - a[0]),
+      asks: levels(asks).sort((a, b) => a[0] - b[0]),
+      timestamp: this.toISOString(timestamp)
+    };
+  }
+
+  /**
+   * Candle som tal med openTime i ms
+   */
+  normalizeKline({ openTime, open, high, low, close, volume }) {
+    return {
+      openTime: typeof openTime === 'number' ? openTime : new Date(this.toISOString(openTime)).getTime(),
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume) || 0
+    };
+  }
+
+  assertKlineInterval(interval) {
+    if (!KLINE_INTERVALS.includes(interval)) {
+      const error = new Error(`${this.name} does not support kline interval ${interval}`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+  }
+
+  toISOString(timestamp) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') {
+      return new Date().toISOString();
+    }
+    const date = typeof timestamp === 'string' && /^\d+$/.test(timestamp)
+      ? new Date(parseInt(timestamp))
+      : new Date(timestamp);
+    return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+  }
+}
+
+BaseExchangeAdapter.ADAPTER_METHODS = ADAPTER_METHODS;
+BaseExchangeAdapter.ORDER_STATUSES = ORDER_STATUSES;
+BaseExchangeAdapter.OPTIONAL_METHODS = OPTIONAL_METHODS;
+BaseExchangeAdapter.KLINE_INTERVALS = KLINE_INTERVALS;
+
+module.exports = BaseExchangeAdapter;
@@ -1,16 +1,20 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const EnhancedWebSocketManager = require('./EnhancedWebSocketManager');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+const OrderBook = require('./OrderBook');
 
-class BinanceExchange {
+class BinanceExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'Binance';
+    super('Binance', {
+      features: ['spot', 'futures', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.BINANCE_API_KEY;
     this.apiSecret = process.env.BINANCE_API_SECRET;
     this.baseUrl = 'https://api.binance.com';
     this.wsUrl = 'wss://stream.binance.com:9443/ws';
-    this.connected = false;
-    this.features = ['spot', 'futures', 'websocket', 'trading'];
     
     // Enhanced WebSocket Manager med anti-fragil arkitektur
     this.wsManager = new EnhancedWebSocketManager(this.name, this.wsUrl, {
@@ -28,6 +32,11 @@ class BinanceExchange {
     // Ticker data cache med built-in error handling
     this.tickerCache = new Map();
     this.subscriptionMap = new Map();
+
+    // Level-2 order books fra depth diff streams - diffs buffres mens snapshot hentes
+    this.depthSymbols = ['BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'SOL/USDT'];
+    this.orderBooks = new Map();
+    this.depthBuffers = new Map();
     
     // Setup event handlers
     this.setupWebSocketEventHandlers();
@@ -109,12 +118,14 @@ class BinanceExchange {
       'solusdt@ticker'
     ];
 
-    console.log(`📺 ${this.name} Subscriber til ${symbols.length} ticker streams`);
+    const depthStreams = this.depthSymbols.map(symbol => `${this.convertToBinanceSymbol(symbol).toLowerCase()}@depth@100ms`);
+
+    console.log(`📺 ${this.name} Subscriber til ${symbols.length} ticker og ${depthStreams.length} depth streams`);
 
     // Subscribe til alle streams i en samlet besked
     const subscribeMessage = {
       method: 'SUBSCRIBE',
-      params: symbols,
+      params: [...symbols, ...depthStreams],
       id: Date.now()
     };
 
@@ -129,6 +140,13 @@ class BinanceExchange {
 
   handleWebSocketMessage(message) {
     try {
+      // Depth diffs kommer både rå (/ws) og pakket ind (/stream)
+      const payload = message.data || message;
+      if (payload.e === 'depthUpdate') {
+        this.processDepthUpdate(payload);
+        return;
+      }
+
       // Håndter forskellige beskedtyper fra Binance WebSocket
       if (message.stream && message.data) {
         // Ticker data stream
@@ -163,6 +181,10 @@ class BinanceExchange {
         volume: parseFloat(tickerData.v), // Volume
         high: parseFloat(tickerData.h), // High price
         low: parseFloat(tickerData.l), // Low price
+        bid: parseFloat(tickerData.b), // Best bid
+        ask: parseFloat(tickerData.a), // Best ask
+        bidSize: parseFloat(tickerData.B),
+        askSize: parseFloat(tickerData.A),
         timestamp: new Date().toISOString(),
         exchange: this.name,
         raw: tickerData // Gem raw data til debugging
@@ -181,6 +203,75 @@ class BinanceExchange {
     }
   }
 
+  /**
+   * Depth diff (U = første, u = sidste update id). Gap eller manglende snapshot giver resync fra REST.
+   */
+  processDepthUpdate(data) {
+    const symbol = this.normalizeSymbol(data.s);
+    const diff = { bids: data.b, asks: data.a, firstSequence: data.U, sequence: data.u, timestamp: data.E };
+    const book = this.getOrCreateOrderBook(symbol);
+
+    if (!book.synced) {
+      this.depthBuffers.get(symbol).events.push(diff);
+      this.resyncOrderBook(symbol);
+      return;
+    }
+
+    try {
+      if (book.applyDiff(diff)) {
+        this.wsManager.emit('orderbook', book);
+      }
+    } catch (error) {
+      console.warn(`⚠️ ${error.message} - henter nyt snapshot`);
+      this.depthBuffers.get(symbol).events.push(diff);
+      this.resyncOrderBook(symbol);
+    }
+  }
+
+  getOrCreateOrderBook(symbol) {
+    if (!this.orderBooks.has(symbol)) {
+      this.orderBooks.set(symbol, new OrderBook(this.name, symbol, { maxDepth: 1000 }));
+      this.depthBuffers.set(symbol, { loading: false, events: [] });
+    }
+    return this.orderBooks.get(symbol);
+  }
+
+  /**
+   * Hent REST snapshot og afspil de buffrede diffs oven på det
+   */
+  async resyncOrderBook(symbol) {
+    const buffer = this.depthBuffers.get(symbol);
+    if (!buffer || buffer.loading) return;
+
+    buffer.loading = true;
+    const book = this.orderBooks.get(symbol);
+
+    try {
+      const data = await this.request(
+        `${this.baseUrl}/api/v3/depth?symbol=${this.convertToBinanceSymbol(symbol)}&limit=1000`
+      );
+      book.applySnapshot({ bids: data.bids, asks: data.asks, sequence: data.lastUpdateId });
+
+      const events = buffer.events.splice(0);
+      for (const diff of events) {
+        book.applyDiff(diff);
+      }
+
+      console.log(`📗 ${this.name} ${symbol} order book synkroniseret (update id ${book.sequence})`);
+      this.wsManager.emit('orderbook', book);
+    } catch (error) {
+      console.error(`❌ ${this.name} ${symbol} order book resync fejlede:`, error.message);
+      book.synced = false;
+    } finally {
+      buffer.loading = false;
+    }
+  }
+
+  getLocalOrderBook(symbol) {
+    const book = this.orderBooks.get(symbol);
+    return book && book.synced ? book : null;
+  }
+
   normalizeSymbol(binanceSymbol) {
     // FIXED: Robust symbol normalization for BNB/USDT problem
     const symbolMappings = {
@@ -229,33 +320,29 @@ class BinanceExchange {
     return this.wsManager.isConnected();
   }
 
+  /**
+   * Signeret REST kald - HMAC-SHA256 over query string
+   */
+  async signedRequest(method, path, params = {}) {
+    const queryString = new URLSearchParams({ ...params, timestamp: Date.now() }).toString();
+    const signature = crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(queryString)
+      .digest('hex');
+
+    return await this.request(`${this.baseUrl}${path}?${queryString}&signature=${signature}`, {
+      method,
+      headers: {
+        'X-MBX-APIKEY': this.apiKey,
+      },
+    });
+  }
+
   async getBalance() {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+    this.assertConnected();
 
     try {
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = crypto
-        .createHmac('sha256', this.apiSecret)
-        .update(queryString)
-        .digest('hex');
-
-      const response = await fetch(
-        `${this.baseUrl}/api/v3/account?${queryString}&signature=${signature}`,
-        {
-          headers: {
-            'X-MBX-APIKEY': this.apiKey,
-          },
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await this.signedRequest('GET', '/api/v3/account');
       
       // Transform Binance balance format to standardized format
       const balances = {};
@@ -387,58 +474,49 @@ class BinanceExchange {
     return normalizedSymbol.replace('/', '');
   }
 
+  async getOrderBook(symbol, depth = 20) {
+    const data = await this.request(
+      `${this.baseUrl}/api/v3/depth?symbol=${this.convertToBinanceSymbol(symbol)}&limit=${depth}`
+    );
+    return this.normalizeOrderBook(symbol, data.bids, data.asks);
+  }
+
+  async getKlines(symbol, interval = '1h', { start = null, end = null, limit = 500 } = {}) {
+    this.assertKlineInterval(interval);
+
+    let url = `${this.baseUrl}/api/v3/klines?symbol=${this.convertToBinanceSymbol(symbol)}&interval=${interval}&limit=${Math.min(limit, 1000)}`;
+    if (start) url += `&startTime=${start}`;
+    if (end) url += `&endTime=${end}`;
+
+    const data = await this.request(url);
+    return data.map(([openTime, open, high, low, close, volume]) => this.normalizeKline({ openTime, open, high, low, close, volume }));
+  }
+
   async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+    this.assertConnected();
 
-    const { symbol, side, amount, type = 'MARKET' } = params;
+    const { symbol, side, type = 'MARKET', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const timestamp = Date.now();
-      const binanceSymbol = symbol.replace('/', '');
-      
       const orderParams = {
-        symbol: binanceSymbol,
+        symbol: this.convertToBinanceSymbol(symbol),
         side: side.toUpperCase(),
         type: type.toUpperCase(),
         quantity: amount,
-        timestamp
+        newOrderRespType: 'FULL'
       };
 
-      const queryString = new URLSearchParams(orderParams).toString();
-      const signature = crypto
-        .createHmac('sha256', this.apiSecret)
-        .update(queryString)
-        .digest('hex');
-
-      const response = await fetch(
-        `${this.baseUrl}/api/v3/order?${queryString}&signature=${signature}`,
-        {
-          method: 'POST',
-          headers: {
-            'X-MBX-APIKEY': this.apiKey,
-          },
-        }
-      );
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`${this.name} order failed: ${error.msg || response.statusText}`);
+      if (orderParams.type === 'LIMIT') {
+        orderParams.price = price;
+        orderParams.timeInForce = 'GTC';
+      }
+      if (clientOrderId) {
+        orderParams.newClientOrderId = clientOrderId;
       }
 
-      const data = await response.json();
-      
-      return {
-        exchange: this.name,
-        orderId: data.orderId,
-        symbol: data.symbol,
-        side: data.side,
-        amount: parseFloat(data.origQty),
-        price: parseFloat(data.price || 0),
-        status: data.status,
-        timestamp: new Date().toISOString()
-      };
+      const data = await this.signedRequest('POST', '/api/v3/order', orderParams);
+      return this.formatOrder(data, symbol, this.summarizeCommission(data.fills || [], symbol));
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -446,6 +524,110 @@ class BinanceExchange {
     }
   }
 
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    const data = await this.signedRequest('DELETE', '/api/v3/order', {
+      symbol: this.convertToBinanceSymbol(symbol),
+      orderId
+    });
+    return this.formatOrder(data, symbol);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const data = await this.signedRequest('GET', '/api/v3/order', {
+      symbol: this.convertToBinanceSymbol(symbol),
+      orderId
+    });
+    return this.formatOrder(data, symbol);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const data = await this.signedRequest('GET', '/api/v3/openOrders',
+      symbol ? { symbol: this.convertToBinanceSymbol(symbol) } : {});
+    return data.map(order => this.formatOrder(order));
+  }
+
+  /**
+   * Binance kræver symbol for myTrades
+   */
+  async getTradeHistory(symbol, limit = 100) {
+    this.assertConnected();
+    if (!symbol) {
+      throw new Error(`${this.name} trade history requires a symbol`);
+    }
+
+    const data = await this.signedRequest('GET', '/api/v3/myTrades', {
+      symbol: this.convertToBinanceSymbol(symbol),
+      limit
+    });
+    return data.map(trade => this.normalizeTrade({
+      tradeId: trade.id,
+      orderId: trade.orderId,
+      symbol: this.normalizeSymbol(trade.symbol),
+      side: trade.isBuyer ? 'BUY' : 'SELL',
+      price: trade.price,
+      amount: trade.qty,
+      fee: trade.commission,
+      feeCurrency: trade.commissionAsset,
+      timestamp: trade.time
+    }));
+  }
+
+  /**
+   * Binance trækker commission i det modtagne aktiv eller i BNB. Base omregnes til quote med fill prisen,
+   * så fee er i quote som resten af systemet forventer. Et aktiv der ikke kan omregnes (BNB) rapporteres
+   * i sin egen valuta via feeCurrency i stedet for at blive lagt sammen med quote.
+   */
+  summarizeCommission(fills, symbol) {
+    const [base, quote] = symbol.split('/');
+    let quoteFee = 0;
+    const other = {};
+
+    for (const fill of fills) {
+      const commission = parseFloat(fill.commission || 0);
+      if (!commission) continue;
+
+      if (fill.commissionAsset === quote) {
+        quoteFee += commission;
+      } else if (fill.commissionAsset === base) {
+        quoteFee += commission * parseFloat(fill.price);
+      } else {
+        other[fill.commissionAsset] = (other[fill.commissionAsset] || 0) + commission;
+      }
+    }
+
+    const assets = Object.keys(other);
+    if (assets.length === 1 && quoteFee === 0) {
+      return { fee: other[assets[0]], feeCurrency: assets[0] };
+    }
+    return { fee: quoteFee, feeCurrency: quote, ...(assets.length > 0 && { unconvertedFees: other }) };
+  }
+
+  formatOrder(data, symbol = null, { fee = 0, feeCurrency = null, unconvertedFees } = {}) {
+    const executed = parseFloat(data.executedQty || 0);
+    const quote = parseFloat(data.cummulativeQuoteQty || 0);
+
+    const order = this.normalizeOrder({
+      orderId: data.orderId,
+      clientOrderId: data.clientOrderId,
+      symbol: symbol || this.normalizeSymbol(data.symbol),
+      side: data.side,
+      type: data.type,
+      amount: data.origQty,
+      price: data.price,
+      averagePrice: executed > 0 ? quote / executed : 0,
+      filledAmount: executed,
+      fee,
+      feeCurrency,
+      status: data.status,
+      timestamp: data.updateTime || data.transactTime || data.time
+    });
+
+    return unconvertedFees ? { ...order, unconvertedFees } : order;
+  }
+
   async disconnect() {
     console.log(`🔌 ${this.name} Afbryder med anti-fragil cleanup...`);
     
@@ -459,6 +641,8 @@ class BinanceExchange {
     // Clear cache
     this.tickerCache.clear();
     this.subscriptionMap.clear();
+    this.orderBooks.clear();
+    this.depthBuffers.clear();
     
     console.log(`✅ ${this.name} Afbrudt og cleanup færdig`);
   }
@@ -1,16 +1,19 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
 
-class BybitExchange {
+class BybitExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'Bybit';
+    super('Bybit', {
+      features: ['spot', 'futures', 'options', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.BYBIT_API_KEY;
     this.apiSecret = process.env.BYBIT_API_SECRET;
     this.baseUrl = 'https://api.bybit.com';
     this.wsUrl = 'wss://stream.bybit.com/v5/public/spot';
-    this.connected = false;
     this.ws = null;
-    this.features = ['spot', 'futures', 'options', 'websocket', 'trading'];
   }
 
   async initialize() {
@@ -102,80 +105,70 @@ class BybitExchange {
     return this.connected && this.ws && this.ws.readyState === WebSocket.OPEN;
   }
 
-  generateSignature(params) {
+  /**
+   * V5 signatur: HMAC over timestamp + api key + recv window + query string eller JSON body
+   */
+  generateSignature(payload) {
     const timestamp = Date.now();
     const recv_window = 5000;
     
-    // Sort parameters
-    const sortedParams = Object.keys(params)
-      .sort()
-      .reduce((result, key) => {
-        result[key] = params[key];
-        return result;
-      }, {});
-    
-    const queryString = new URLSearchParams({
-      ...sortedParams,
-      api_key: this.apiKey,
-      timestamp,
-      recv_window
-    }).toString();
-    
     const signature = crypto
       .createHmac('sha256', this.apiSecret)
-      .update(queryString)
+      .update(`${timestamp}${this.apiKey}${recv_window}${payload}`)
       .digest('hex');
     
     return {
       signature,
       timestamp,
-      recv_window,
-      queryString
+      recv_window
     };
   }
 
-  async getBalance() {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+  toBybitSymbol(symbol) {
+    // Convert symbol format (e.g., BTC/USDT -> BTCUSDT)
+    return symbol.replace('/', '');
+  }
 
-    try {
-      const params = {};
-      const { signature, timestamp, recv_window } = this.generateSignature(params);
-
-      const queryParams = new URLSearchParams({
-        api_key: this.apiKey,
-        timestamp,
-        recv_window,
-        sign: signature
-      });
+  fromBybitSymbol(bybitSymbol) {
+    return bybitSymbol.replace(/([A-Z0-9]+)(USDT|USDC|BTC|ETH)$/, '$1/$2');
+  }
 
-      const response = await fetch(
-        `${this.baseUrl}/v5/account/wallet-balance?accountType=SPOT&${queryParams}`,
-        {
-          headers: {
-            'X-BAPI-API-KEY': this.apiKey,
-            'X-BAPI-TIMESTAMP': timestamp,
-            'X-BAPI-RECV-WINDOW': recv_window,
-            'X-BAPI-SIGN': signature
-          }
-        }
-      );
+  /**
+   * Signeret REST kald - Bybit svarer med { retCode, retMsg, result }
+   */
+  async privateRequest(method, path, params = {}) {
+    const isGet = method === 'GET';
+    const payload = isGet ? new URLSearchParams(params).toString() : JSON.stringify(params);
+    const { signature, timestamp, recv_window } = this.generateSignature(payload);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    const result = await this.request(`${this.baseUrl}${path}${isGet && payload ? `?${payload}` : ''}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-BAPI-API-KEY': this.apiKey,
+        'X-BAPI-TIMESTAMP': timestamp,
+        'X-BAPI-RECV-WINDOW': recv_window,
+        'X-BAPI-SIGN': signature
+      },
+      ...(!isGet && { body: payload })
+    });
 
-      const result = await response.json();
-      
-      if (result.retCode !== 0) {
-        throw new Error(`${this.name} API error: ${result.retMsg}`);
-      }
+    if (result.retCode !== 0) {
+      throw new Error(`${this.name} API error: ${result.retMsg}`);
+    }
+    return result.result;
+  }
+
+  async getBalance() {
+    this.assertConnected();
+
+    try {
+      const result = await this.privateRequest('GET', '/v5/account/wallet-balance', { accountType: 'SPOT' });
       
       // Transform Bybit balance format to standardized format
       const balances = {};
-      if (result.result && result.result.list && result.result.list[0] && result.result.list[0].coin) {
-        result.result.list[0].coin.forEach(coin => {
+      if (result && result.list && result.list[0] && result.list[0].coin) {
+        result.list[0].coin.forEach(coin => {
           const available = parseFloat(coin.walletBalance);
           const locked = parseFloat(coin.locked || 0);
           if (available > 0 || locked > 0) {
@@ -206,8 +199,7 @@ class BybitExchange {
     }
 
     try {
-      // Convert symbol format (e.g., BTC/USDT -> BTCUSDT)
-      const bybitSymbol = symbol.replace('/', '');
+      const bybitSymbol = this.toBybitSymbol(symbol);
       
       const response = await fetch(
         `${this.baseUrl}/v5/market/tickers?category=spot&symbol=${bybitSymbol}`
@@ -242,60 +234,51 @@ class BybitExchange {
     }
   }
 
-  async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
+  async getOrderBook(symbol, depth = 20) {
+    const result = await this.request(
+      `${this.baseUrl}/v5/market/orderbook?category=spot&symbol=${this.toBybitSymbol(symbol)}&limit=${depth}`
+    );
+    if (result.retCode !== 0) {
+      throw new Error(`${this.name} order book error: ${result.retMsg}`);
     }
+    return this.normalizeOrderBook(symbol, result.result.b, result.result.a, result.result.ts);
+  }
 
-    const { symbol, side, amount, type = 'Market' } = params;
+  async createOrder(params) {
+    this.assertConnected();
+
+    const { symbol, side, type = 'Market', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const bybitSymbol = symbol.replace('/', '');
-      
       const orderParams = {
         category: 'spot',
-        symbol: bybitSymbol,
+        symbol: this.toBybitSymbol(symbol),
         side: side.charAt(0).toUpperCase() + side.slice(1).toLowerCase(),
         orderType: type.charAt(0).toUpperCase() + type.slice(1).toLowerCase(),
         qty: amount.toString()
       };
 
-      const { signature, timestamp, recv_window } = this.generateSignature(orderParams);
-
-      const response = await fetch(`${this.baseUrl}/v5/order/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-BAPI-API-KEY': this.apiKey,
-          'X-BAPI-TIMESTAMP': timestamp,
-          'X-BAPI-RECV-WINDOW': recv_window,
-          'X-BAPI-SIGN': signature
-        },
-        body: JSON.stringify(orderParams)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (orderParams.orderType === 'Limit') {
+        orderParams.price = price.toString();
       }
-
-      const result = await response.json();
-      
-      if (result.retCode !== 0) {
-        throw new Error(`${this.name} order failed: ${result.retMsg}`);
+      if (clientOrderId) {
+        orderParams.orderLinkId = clientOrderId;
       }
-      
-      const data = result.result;
-      
-      return {
-        exchange: this.name,
+
+      const data = await this.privateRequest('POST', '/v5/order/create', orderParams);
+
+      // Bybit returnerer kun id ved oprettelse - fill status hentes via getOrderStatus
+      return this.normalizeOrder({
         orderId: data.orderId,
-        symbol: bybitSymbol.replace(/([A-Z]+)(USDT)/, '$1/$2'),
+        clientOrderId: data.orderLinkId,
+        symbol,
         side: orderParams.side,
-        amount: parseFloat(orderParams.qty),
-        price: 0, // Market order price will be filled
-        status: 'submitted',
-        timestamp: new Date().toISOString()
-      };
+        type: orderParams.orderType,
+        amount: orderParams.qty,
+        price: orderParams.price,
+        status: 'NEW'
+      });
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -303,6 +286,77 @@ class BybitExchange {
     }
   }
 
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    await this.privateRequest('POST', '/v5/order/cancel', {
+      category: 'spot',
+      symbol: this.toBybitSymbol(symbol),
+      orderId: String(orderId)
+    });
+    return await this.getOrderStatus(symbol, orderId);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const result = await this.privateRequest('GET', '/v5/order/realtime', {
+      category: 'spot',
+      symbol: this.toBybitSymbol(symbol),
+      orderId
+    });
+
+    if (!result.list || result.list.length === 0) {
+      throw new Error(`${this.name} order ${orderId} not found`);
+    }
+    return this.formatOrder(result.list[0]);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const result = await this.privateRequest('GET', '/v5/order/realtime', {
+      category: 'spot',
+      openOnly: 0,
+      ...(symbol && { symbol: this.toBybitSymbol(symbol) })
+    });
+    return result.list.map(order => this.formatOrder(order));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    this.assertConnected();
+    const result = await this.privateRequest('GET', '/v5/execution/list', {
+      category: 'spot',
+      ...(symbol && { symbol: this.toBybitSymbol(symbol) }),
+      limit
+    });
+    return result.list.map(fill => this.normalizeTrade({
+      tradeId: fill.execId,
+      orderId: fill.orderId,
+      symbol: this.fromBybitSymbol(fill.symbol),
+      side: fill.side,
+      price: fill.execPrice,
+      amount: fill.execQty,
+      fee: fill.execFee,
+      feeCurrency: fill.feeCurrency || null,
+      timestamp: fill.execTime
+    }));
+  }
+
+  formatOrder(data) {
+    return this.normalizeOrder({
+      orderId: data.orderId,
+      clientOrderId: data.orderLinkId,
+      symbol: this.fromBybitSymbol(data.symbol),
+      side: data.side,
+      type: data.orderType,
+      amount: data.qty,
+      price: data.price,
+      averagePrice: data.avgPrice,
+      filledAmount: data.cumExecQty,
+      fee: data.cumExecFee,
+      status: data.orderStatus,
+      timestamp: data.updatedTime || data.createdTime
+    });
+  }
+
   async disconnect() {
     if (this.ws) {
       this.ws.close();
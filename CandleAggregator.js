@@ -0,0 +1,401 @@
+/**
+ * CandleAggregator - Bygger OHLCV candles fra live ticks per exchange, symbol og timeframe
+ * Ticks kommer fra WebSocketCoordinatorens 'exchangeTicker' events. Candles gemmes i candles
+ * tabellen gennem den injicerede database service (SQLite eller PostgreSQL), og huller udfyldes
+ * fra REST klines hvor adapteren understøtter getKlines.
+ */
+
+const EventEmitter = require('events');
+const DatabaseService = require('./DatabaseService');
+const { prepare } = require('./SqlDialect');
+
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+class CandleAggregator extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.coordinator = null;
+    this.timeframes = Object.keys(TIMEFRAMES);
+    this.current = new Map();
+    this.closed = [];
+    this.dirty = new Set();
+    this.volumes = new Map();
+    this.backfills = new Map();
+    this.timer = null;
+    this.flushInterval = 5000;
+    this.backfillEnabled = true;
+    this.backfillLimit = 500;
+    this.isReady = false;
+
+    this.onTicker = ticker => this.handleTick(ticker);
+  }
+
+  /**
+   * flushInterval 0 starter ingen timer (flush() kaldes så manuelt)
+   */
+  async initialize({ database = DatabaseService, timeframes = Object.keys(TIMEFRAMES), flushInterval = 5000, backfill = true, backfillLimit = 500 } = {}) {
+    const invalid = timeframes.filter(timeframe => !TIMEFRAMES[timeframe]);
+    if (invalid.length > 0) {
+      throw this.candleError(`Unsupported timeframe: ${invalid.join(', ')}`);
+    }
+
+    this.database = database;
+    this.timeframes = timeframes;
+    this.flushInterval = flushInterval;
+    this.backfillEnabled = backfill;
+    this.backfillLimit = backfillLimit;
+    this.current.clear();
+    this.closed = [];
+    this.dirty.clear();
+    this.volumes.clear();
+
+    this.isReady = true;
+    this.start();
+    console.log(`🕯️ Candle Aggregator initialized (${this.timeframes.join(', ')})`);
+  }
+
+  attach(coordinator) {
+    if (this.coordinator) {
+      this.coordinator.removeListener('exchangeTicker', this.onTicker);
+    }
+
+    this.coordinator = coordinator;
+    coordinator.on('exchangeTicker', this.onTicker);
+  }
+
+  start() {
+    this.stop();
+    if (this.flushInterval > 0) {
+      this.timer = setInterval(() => {
+        this.flush().catch(error => console.error('❌ Candle flush fejlede:', error.message));
+      }, this.flushInterval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  candleError(message) {
+    const error = new Error(message);
+    error.code = 'CANDLE_INVALID_REQUEST';
+    return error;
+  }
+
+  seriesKey(exchange, symbol, timeframe) {
+    return `${exchange}|${symbol}|${timeframe}`;
+  }
+
+  /**
+   * Tickers har rullende 24h volumen - stigninger mellem to ticks tælles som handlet volumen
+   */
+  volumeDelta(exchange, symbol, volume) {
+    const value = parseFloat(volume);
+    if (!(value >= 0)) return 0;
+
+    const key = `${exchange}|${symbol}`;
+    const last = this.volumes.get(key);
+    this.volumes.set(key, value);
+    return last !== undefined && value > last ? value - last : 0;
+  }
+
+  handleTick(ticker) {
+    const price = parseFloat(ticker && ticker.price);
+    if (!this.isReady || !ticker.exchange || !ticker.symbol || !(price > 0)) return;
+
+    const time = ticker.timestamp ? new Date(ticker.timestamp).getTime() : Date.now();
+    const volume = this.volumeDelta(ticker.exchange, ticker.symbol, ticker.volume);
+
+    for (const timeframe of this.timeframes) {
+      const ms = TIMEFRAMES[timeframe];
+      const key = this.seriesKey(ticker.exchange, ticker.symbol, timeframe);
+      const openTime = Math.floor(time / ms) * ms;
+      let candle = this.current.get(key);
+
+      // Sene ticks til en allerede lukket candle ignoreres
+      if (candle && openTime < candle.openTime) continue;
+
+      if (!candle || openTime > candle.openTime) {
+        if (candle) {
+          this.closeCandle(key, candle);
+          if (openTime - candle.openTime > ms) {
+            this.queueBackfill(ticker.exchange, ticker.symbol, timeframe, candle.openTime + ms, openTime - ms);
+          }
+        } else if (this.backfillEnabled) {
+          // Første tick for serien: hent historik fra sidste gemte candle til og med den nuværende
+          this.queueBackfill(ticker.exchange, ticker.symbol, timeframe, null, openTime);
+        }
+
+        candle = {
+          exchange: ticker.exchange,
+          symbol: ticker.symbol,
+          timeframe,
+          openTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,
+          ticks: 0,
+          source: 'live'
+        };
+        this.current.set(key, candle);
+      }
+
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.volume += volume;
+      candle.ticks++;
+      this.dirty.add(key);
+    }
+  }
+
+  closeCandle(key, candle) {
+    this.dirty.delete(key);
+    this.closed.push(candle);
+    this.emit('candleClosed', this.formatCandle(candle));
+  }
+
+  queueBackfill(exchange, symbol, timeframe, start, end) {
+    const key = this.seriesKey(exchange, symbol, timeframe);
+    const previous = this.backfills.get(key) || Promise.resolve();
+
+    const next = previous
+      .then(() => this.backfill(exchange, symbol, timeframe, start, end))
+      .catch(error => console.warn(`⚠️ Candle backfill ${exchange} ${symbol} ${timeframe} fejlede:`, error.message))
+      .finally(() => {
+        if (this.backfills.get(key) === next) this.backfills.delete(key);
+      });
+
+    this.backfills.set(key, next);
+    return next;
+  }
+
+  // Venter på igangværende backfills
+  async whenIdle() {
+    while (this.backfills.size > 0) {
+      await Promise.all(Array.from(this.backfills.values()));
+    }
+  }
+
+  /**
+   * Hent REST klines for [start, end]. start null betyder fra sidste gemte candle
+   * (eller backfillLimit candles tilbage). Den nuværende candle flettes med REST tallene,
+   * så en serie der starter midt i et interval får korrekt open og volumen.
+   */
+  async backfill(exchange, symbol, timeframe, start, end) {
+    const data = this.coordinator && this.coordinator.exchanges.get(exchange);
+    const adapter = data && data.instance;
+    if (!adapter || typeof adapter.supports !== 'function' || !adapter.supports('getKlines')) return 0;
+
+    const ms = TIMEFRAMES[timeframe];
+    let from = start;
+    if (from === null) {
+      const [row] = await this.all(
+        'SELECT MAX(open_time) AS last_open FROM candles WHERE exchange = ? AND symbol = ? AND timeframe = ?',
+        [exchange, symbol, timeframe]
+      );
+      const last = row && row.last_open !== null && row.last_open !== undefined ? parseInt(row.last_open) : null;
+      from = last !== null ? last + ms : end - (this.backfillLimit - 1) * ms;
+    }
+    if (from > end) return 0;
+
+    const klines = await adapter.getKlines(symbol, timeframe, { start: from, end, limit: this.backfillLimit });
+    const current = this.current.get(this.seriesKey(exchange, symbol, timeframe));
+    let stored = 0;
+
+    for (const kline of klines) {
+      if (kline.openTime < from || kline.openTime > end) continue;
+
+      if (current && kline.openTime === current.openTime) {
+        current.open = kline.open;
+        current.high = Math.max(current.high, kline.high);
+        current.low = Math.min(current.low, kline.low);
+        current.volume = Math.max(current.volume, kline.volume);
+        this.dirty.add(this.seriesKey(exchange, symbol, timeframe));
+        continue;
+      }
+
+      await this.upsert({ exchange, symbol, timeframe, ...kline, ticks: 0, source: 'rest' });
+      stored++;
+    }
+
+    if (stored > 0) {
+      console.log(`🕯️ Backfill ${exchange} ${symbol} ${timeframe}: ${stored} candles fra REST`);
+      this.emit('backfilled', { exchange, symbol, timeframe, count: stored });
+    }
+    return stored;
+  }
+
+  upsert(candle) {
+    return this.run(
+      `INSERT INTO candles (
+        exchange, symbol, timeframe, open_time, open_price, high_price, low_price, close_price, volume, ticks, source, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (exchange, symbol, timeframe, open_time) DO UPDATE SET
+        open_price = excluded.open_price, high_price = excluded.high_price, low_price = excluded.low_price,
+        close_price = excluded.close_price, volume = excluded.volume, ticks = excluded.ticks,
+        source = excluded.source, updated_at = excluded.updated_at`,
+      [
+        candle.exchange, candle.symbol, candle.timeframe, candle.openTime, candle.open, candle.high, candle.low,
+        candle.close, candle.volume, candle.ticks, candle.source, new Date().toISOString()
+      ]
+    );
+  }
+
+  /**
+   * Gem lukkede candles og de nuværende der har fået nye ticks siden sidst
+   */
+  async flush() {
+    if (!this.isReady) return 0;
+
+    const closed = this.closed.splice(0);
+    const open = Array.from(this.dirty).map(key => this.current.get(key));
+    this.dirty.clear();
+
+    for (const candle of [...closed, ...open]) {
+      await this.upsert(candle);
+    }
+    return closed.length + open.length;
+  }
+
+  /**
+   * Candles ældste først. Uden exchange bruges den exchange med den nyeste candle for symbolet.
+   * Den nuværende (endnu ikke gemte) candle flettes ind, så grafen er live.
+   */
+  async getCandles({ symbol, timeframe = '1h', exchange = null, start = null, end = null, limit = 500 } = {}) {
+    if (!this.isReady) {
+      throw new Error('Candle aggregator not initialized');
+    }
+    if (!symbol) {
+      throw this.candleError('symbol is required');
+    }
+    if (!TIMEFRAMES[timeframe]) {
+      throw this.candleError(`Unsupported timeframe: ${timeframe}. Use one of ${Object.keys(TIMEFRAMES).join(', ')}`);
+    }
+
+    const source = exchange || await this.resolveExchange(symbol, timeframe);
+    if (!source) {
+      return { exchange: null, symbol, timeframe, candles: [] };
+    }
+
+    const startMs = start ? new Date(isNaN(start) ? start : parseInt(start)).getTime() : null;
+    const endMs = end ? new Date(isNaN(end) ? end : parseInt(end)).getTime() : null;
+    const conditions = ['exchange = ?', 'symbol = ?', 'timeframe = ?'];
+    const params = [source, symbol, timeframe];
+
+    if (startMs !== null) {
+      conditions.push('open_time >= ?');
+      params.push(startMs);
+    }
+    if (endMs !== null) {
+      conditions.push('open_time <= ?');
+      params.push(endMs);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM candles WHERE ${conditions.join(' AND ')} ORDER BY open_time DESC LIMIT ?`,
+      [...params, parseInt(limit) || 500]
+    );
+
+    // Lukkede candles der endnu ikke er flushet og den nuværende candle overskriver de gemte
+    const byOpenTime = new Map(rows.map(row => [parseInt(row.open_time), this.formatRow(row)]));
+    const key = this.seriesKey(source, symbol, timeframe);
+    const pending = this.closed.filter(candle => this.seriesKey(candle.exchange, candle.symbol, candle.timeframe) === key);
+    const live = this.current.get(key);
+
+    for (const candle of live ? [...pending, live] : pending) {
+      if ((startMs === null || candle.openTime >= startMs) && (endMs === null || candle.openTime <= endMs)) {
+        byOpenTime.set(candle.openTime, this.formatCandle(candle));
+      }
+    }
+
+    const candles = Array.from(byOpenTime.values())
+      .sort((a, b) => a.openTime - b.openTime)
+      .slice(-(parseInt(limit) || 500));
+
+    return { exchange: source, symbol, timeframe, candles };
+  }
+
+  async resolveExchange(symbol, timeframe) {
+    const live = Array.from(this.current.values())
+      .filter(candle => candle.symbol === symbol && candle.timeframe === timeframe)
+      .sort((a, b) => b.openTime - a.openTime);
+    if (live.length > 0) return live[0].exchange;
+
+    const [row] = await this.all(
+      'SELECT exchange FROM candles WHERE symbol = ? AND timeframe = ? ORDER BY open_time DESC LIMIT 1',
+      [symbol, timeframe]
+    );
+    return row ? row.exchange : null;
+  }
+
+  getSeries() {
+    return Array.from(this.current.values()).map(candle => ({
+      exchange: candle.exchange,
+      symbol: candle.symbol,
+      timeframe: candle.timeframe,
+      lastOpenTime: candle.openTime
+    }));
+  }
+
+  formatCandle(candle) {
+    const ms = TIMEFRAMES[candle.timeframe];
+    return {
+      exchange: candle.exchange,
+      symbol: candle.symbol,
+      timeframe: candle.timeframe,
+      openTime: candle.openTime,
+      timestamp: new Date(candle.openTime).toISOString(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      ticks: candle.ticks,
+      source: candle.source,
+      closed: candle.openTime + ms <= Date.now()
+    };
+  }
+
+  formatRow(row) {
+    return this.formatCandle({
+      exchange: row.exchange,
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      openTime: parseInt(row.open_time),
+      open: parseFloat(row.open_price),
+      high: parseFloat(row.high_price),
+      low: parseFloat(row.low_price),
+      close: parseFloat(row.close_price),
+      volume: parseFloat(row.volume) || 0,
+      ticks: parseInt(row.ticks) || 0,
+      source: row.source
+    });
+  }
+}
+
+const candleAggregator = new CandleAggregator();
+candleAggregator.TIMEFRAMES = TIMEFRAMES;
+
+module.exports = candleAggregator;
@@ -1,17 +1,20 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
 
-class CoinbaseExchange {
+class CoinbaseExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'Coinbase Pro';
+    super('Coinbase Pro', {
+      features: ['spot', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.COINBASE_API_KEY;
     this.apiSecret = process.env.COINBASE_API_SECRET;
     this.passphrase = process.env.COINBASE_PASSPHRASE;
     this.baseUrl = 'https://api.exchange.coinbase.com';
     this.wsUrl = 'wss://ws-feed-public.sandbox.exchange.coinbase.com';
-    this.connected = false;
     this.ws = null;
-    this.features = ['spot', 'websocket', 'trading'];
   }
 
   async initialize() {
@@ -120,29 +123,36 @@ class CoinbaseExchange {
     };
   }
 
-  async getBalance() {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+  toProductId(symbol) {
+    // Convert symbol format (e.g., BTC/USDT -> BTC-USD for Coinbase)
+    return symbol.replace('/', '-').replace('USDT', 'USD');
+  }
 
-    try {
-      const requestPath = '/accounts';
-      const { signature, timestamp } = this.generateSignature('GET', requestPath);
+  /**
+   * Signeret REST kald med CB-ACCESS headers
+   */
+  async privateRequest(method, requestPath, body = null) {
+    const payload = body ? JSON.stringify(body) : '';
+    const { signature, timestamp } = this.generateSignature(method, requestPath, payload);
 
-      const response = await fetch(`${this.baseUrl}${requestPath}`, {
-        headers: {
-          'CB-ACCESS-KEY': this.apiKey,
-          'CB-ACCESS-SIGN': signature,
-          'CB-ACCESS-TIMESTAMP': timestamp,
-          'CB-ACCESS-PASSPHRASE': this.passphrase,
-        },
-      });
+    return await this.request(`${this.baseUrl}${requestPath}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'CB-ACCESS-KEY': this.apiKey,
+        'CB-ACCESS-SIGN': signature,
+        'CB-ACCESS-TIMESTAMP': timestamp,
+        'CB-ACCESS-PASSPHRASE': this.passphrase,
+      },
+      ...(body && { body: payload })
+    });
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  async getBalance() {
+    this.assertConnected();
 
-      const accounts = await response.json();
+    try {
+      const accounts = await this.privateRequest('GET', '/accounts');
       
       // Transform Coinbase account format to standardized format
       const balances = {};
@@ -176,8 +186,7 @@ class CoinbaseExchange {
     }
 
     try {
-      // Convert symbol format (e.g., BTC/USDT -> BTC-USD for Coinbase)
-      const coinbaseSymbol = symbol.replace('/', '-').replace('USDT', 'USD');
+      const coinbaseSymbol = this.toProductId(symbol);
       
       const response = await fetch(
         `${this.baseUrl}/products/${coinbaseSymbol}/ticker`
@@ -216,56 +225,34 @@ class CoinbaseExchange {
     }
   }
 
+  async getOrderBook(symbol, depth = 20) {
+    const data = await this.request(`${this.baseUrl}/products/${this.toProductId(symbol)}/book?level=2`);
+    return this.normalizeOrderBook(symbol, data.bids.slice(0, depth), data.asks.slice(0, depth), data.time);
+  }
+
   async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+    this.assertConnected();
 
-    const { symbol, side, amount, type = 'market' } = params;
+    const { symbol, side, type = 'market', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const coinbaseSymbol = symbol.replace('/', '-').replace('USDT', 'USD');
-      const requestPath = '/orders';
-      
       const orderData = {
-        product_id: coinbaseSymbol,
+        product_id: this.toProductId(symbol),
         side: side.toLowerCase(),
         type: type.toLowerCase(),
         size: amount.toString()
       };
 
-      const body = JSON.stringify(orderData);
-      const { signature, timestamp } = this.generateSignature('POST', requestPath, body);
-
-      const response = await fetch(`${this.baseUrl}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'CB-ACCESS-KEY': this.apiKey,
-          'CB-ACCESS-SIGN': signature,
-          'CB-ACCESS-TIMESTAMP': timestamp,
-          'CB-ACCESS-PASSPHRASE': this.passphrase,
-        },
-        body
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`${this.name} order failed: ${error.message || response.statusText}`);
+      if (orderData.type === 'limit') {
+        orderData.price = price.toString();
+      }
+      if (clientOrderId) {
+        orderData.client_oid = clientOrderId;
       }
 
-      const data = await response.json();
-      
-      return {
-        exchange: this.name,
-        orderId: data.id,
-        symbol: data.product_id.replace('-', '/'),
-        side: data.side,
-        amount: parseFloat(data.size),
-        price: parseFloat(data.price || 0),
-        status: data.status,
-        timestamp: new Date().toISOString()
-      };
+      const data = await this.privateRequest('POST', '/orders', orderData);
+      return this.formatOrder(data, symbol);
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -273,6 +260,70 @@ class CoinbaseExchange {
     }
   }
 
+  /**
+   * Coinbase svarer kun med ordre id ved cancel og sletter annullerede ordrer uden fills,
+   * så ordren hentes før den annulleres
+   */
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    const order = await this.getOrderStatus(symbol, orderId);
+    await this.privateRequest('DELETE', `/orders/${orderId}`);
+    return { ...order, status: 'CANCELED' };
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const data = await this.privateRequest('GET', `/orders/${orderId}`);
+    return this.formatOrder(data, symbol);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const query = symbol ? `&product_id=${this.toProductId(symbol)}` : '';
+    const data = await this.privateRequest('GET', `/orders?status=open${query}`);
+    return data.map(order => this.formatOrder(order, symbol));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    this.assertConnected();
+    const query = symbol ? `product_id=${this.toProductId(symbol)}&` : '';
+    const data = await this.privateRequest('GET', `/fills?${query}limit=${limit}`);
+    return data.map(fill => this.normalizeTrade({
+      tradeId: fill.trade_id,
+      orderId: fill.order_id,
+      symbol: symbol || fill.product_id.replace('-', '/'),
+      side: fill.side,
+      price: fill.price,
+      amount: fill.size,
+      fee: fill.fee,
+      feeCurrency: fill.product_id.split('-')[1],
+      timestamp: fill.created_at
+    }));
+  }
+
+  /**
+   * 'done' dækker både fyldte og annullerede ordrer - done_reason afgør hvilken
+   */
+  formatOrder(data, symbol = null) {
+    const filled = parseFloat(data.filled_size || 0);
+    const status = data.status === 'done' ? (data.done_reason === 'filled' ? 'FILLED' : 'CANCELED') : data.status;
+
+    return this.normalizeOrder({
+      orderId: data.id,
+      clientOrderId: data.client_oid,
+      symbol: symbol || data.product_id.replace('-', '/'),
+      side: data.side,
+      type: data.type,
+      amount: data.size,
+      price: data.price,
+      averagePrice: filled > 0 ? parseFloat(data.executed_value || 0) / filled : 0,
+      filledAmount: filled,
+      fee: data.fill_fees,
+      status,
+      timestamp: data.done_at || data.created_at
+    });
+  }
+
   async disconnect() {
     if (this.ws) {
       this.ws.close();
@@ -0,0 +1,468 @@
+/**
+ * ConditionalOrderEngine - Lokale stop-loss, take-profit, trailing-stop og OCO ordrer
+ * Exchanges understøtter kun market og limit via createOrder, så triggers overvåges her
+ * mod WebSocketCoordinator tickers og afgives som almindelige ordrer når de rammes.
+ * Ventende triggers gemmes i conditional_orders og genindlæses ved opstart.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const KillSwitch = require('./KillSwitch');
+const { prepare } = require('./SqlDialect');
+
+const CONDITIONAL_TYPES = ['stop_market', 'stop_limit', 'take_profit', 'trailing_stop'];
+
+const CONDITIONAL_STATUS = {
+  PENDING: 'pending',
+  TRIGGERED: 'triggered',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+class ConditionalOrderEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.executor = null;
+    this.coordinator = null;
+    this.pending = new Map();
+    this.isReady = false;
+    this.onTickerUpdate = ticker => {
+      this.onTicker(ticker).catch(error => {
+        console.error('❌ Conditional order evaluering fejlede:', error.message);
+      });
+    };
+  }
+
+  /**
+   * executor skal have executeOrder(order) - typisk TradingService
+   */
+  async initialize({ database = DatabaseService, executor } = {}) {
+    this.database = database;
+    this.executor = executor || this.executor;
+    this.pending.clear();
+
+    const rows = await this.all('SELECT * FROM conditional_orders WHERE status = ?', [CONDITIONAL_STATUS.PENDING]);
+    for (const row of rows) {
+      const order = this.formatOrder(row);
+      this.pending.set(order.id, order);
+    }
+
+    this.isReady = true;
+    console.log(`🎯 Conditional Order Engine initialized (${this.pending.size} pending triggers)`);
+  }
+
+  /**
+   * Lyt på coordinatorens per-exchange tickers - en trigger udløses kun af prisen på sin egen exchange
+   */
+  attach(coordinator) {
+    if (this.coordinator) {
+      this.coordinator.removeListener('exchangeTicker', this.onTickerUpdate);
+    }
+
+    this.coordinator = coordinator;
+    coordinator.on('exchangeTicker', this.onTickerUpdate);
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  generateId(prefix = 'cond') {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  validate(params) {
+    const type = (params.type || '').toLowerCase();
+    const side = (params.side || '').toLowerCase();
+
+    if (!CONDITIONAL_TYPES.includes(type)) {
+      throw new Error(`Invalid conditional order type: ${params.type}`);
+    }
+    if (!params.symbol) {
+      throw new Error('Conditional order symbol is required');
+    }
+    // Uden exchange ville en udløst ordre gå til den første forbundne exchange og ikke nødvendigvis positionens
+    if (!params.exchange) {
+      throw new Error('Conditional order exchange is required');
+    }
+    if (!['buy', 'sell'].includes(side)) {
+      throw new Error(`Invalid conditional order side: ${params.side}`);
+    }
+    if (!(parseFloat(params.amount) > 0)) {
+      throw new Error(`Invalid conditional order amount: ${params.amount}`);
+    }
+    if (type === 'trailing_stop') {
+      if (!(parseFloat(params.trailingPercent) > 0) && !(parseFloat(params.trailingAmount) > 0)) {
+        throw new Error('Trailing stop requires trailingPercent or trailingAmount');
+      }
+    } else if (!(parseFloat(params.triggerPrice) > 0)) {
+      throw new Error(`${type} requires a triggerPrice`);
+    }
+    if (type === 'stop_limit' && !(parseFloat(params.limitPrice) > 0)) {
+      throw new Error('Stop-limit requires a limitPrice');
+    }
+  }
+
+  async createConditionalOrder(params) {
+    this.ensureReady();
+    this.validate(params);
+
+    const now = new Date().toISOString();
+    const order = {
+      id: this.generateId(),
+      userId: params.userId || null,
+      exchange: params.exchange || null,
+      symbol: params.symbol,
+      side: params.side.toLowerCase(),
+      type: params.type.toLowerCase(),
+      amount: parseFloat(params.amount),
+      triggerPrice: params.triggerPrice ? parseFloat(params.triggerPrice) : null,
+      limitPrice: params.limitPrice ? parseFloat(params.limitPrice) : null,
+      trailingPercent: params.trailingPercent ? parseFloat(params.trailingPercent) : null,
+      trailingAmount: params.trailingAmount ? parseFloat(params.trailingAmount) : null,
+      extremePrice: params.referencePrice ? parseFloat(params.referencePrice) : null,
+      ocoGroup: params.ocoGroup || null,
+      status: CONDITIONAL_STATUS.PENDING,
+      orderId: null,
+      error: null,
+      source: params.source || 'api',
+      createdAt: now,
+      updatedAt: now,
+      triggeredAt: null
+    };
+
+    if (order.type === 'trailing_stop') {
+      order.triggerPrice = this.getTrailingStopPrice(order);
+    }
+
+    await this.run(
+      `INSERT INTO conditional_orders (
+        id, user_id, exchange, symbol, side, type, amount, trigger_price, limit_price,
+        trailing_percent, trailing_amount, extreme_price, oco_group, status, source, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        order.id, order.userId, order.exchange, order.symbol, order.side, order.type, order.amount,
+        order.triggerPrice, order.limitPrice, order.trailingPercent, order.trailingAmount,
+        order.extremePrice, order.ocoGroup, order.status, order.source, order.createdAt, order.updatedAt
+      ]
+    );
+
+    this.pending.set(order.id, order);
+    this.emit('created', order);
+    return order;
+  }
+
+  /**
+   * OCO bracket omkring en position: stop og take-profit hvor den ene annullerer den anden
+   */
+  async createBracket({ exchange, symbol, positionSide = 'long', amount, stopLoss, takeProfit, trailingPercent, limitOffset, userId, source = 'bracket' }) {
+    if (!exchange) {
+      throw new Error('Bracket exchange is required');
+    }
+
+    const side = positionSide === 'long' ? 'sell' : 'buy';
+    const ocoGroup = this.generateId('oco');
+    const legs = [];
+
+    if (trailingPercent) {
+      legs.push(await this.createConditionalOrder({
+        exchange, symbol, side, amount, userId, source, ocoGroup,
+        type: 'trailing_stop',
+        trailingPercent,
+        referencePrice: this.getLastPrice(symbol)
+      }));
+    } else if (stopLoss) {
+      legs.push(await this.createConditionalOrder({
+        exchange, symbol, side, amount, userId, source, ocoGroup,
+        type: limitOffset ? 'stop_limit' : 'stop_market',
+        triggerPrice: stopLoss,
+        limitPrice: limitOffset ? stopLoss * (1 + (side === 'sell' ? -limitOffset : limitOffset)) : undefined
+      }));
+    }
+
+    if (takeProfit) {
+      legs.push(await this.createConditionalOrder({
+        exchange, symbol, side, amount, userId, source, ocoGroup,
+        type: 'take_profit',
+        triggerPrice: takeProfit
+      }));
+    }
+
+    if (legs.length === 0) {
+      throw new Error('Bracket requires stopLoss, takeProfit or trailingPercent');
+    }
+
+    return { ocoGroup, legs };
+  }
+
+  getLastPrice(symbol) {
+    if (!this.coordinator || !this.coordinator.getAllTickers) return null;
+    const ticker = this.coordinator.getAllTickers()[symbol];
+    return ticker ? ticker.price : null;
+  }
+
+  getTrailingStopPrice(order) {
+    if (!order.extremePrice) return null;
+
+    const distance = order.trailingAmount || order.extremePrice * (order.trailingPercent / 100);
+    return order.side === 'sell' ? order.extremePrice - distance : order.extremePrice + distance;
+  }
+
+  /**
+   * Returnerer true når prisen rammer triggeren
+   */
+  isTriggered(order, price) {
+    switch (order.type) {
+      case 'stop_market':
+      case 'stop_limit':
+        return order.side === 'sell' ? price <= order.triggerPrice : price >= order.triggerPrice;
+
+      case 'take_profit':
+        return order.side === 'sell' ? price >= order.triggerPrice : price <= order.triggerPrice;
+
+      case 'trailing_stop':
+        return order.triggerPrice !== null && (order.side === 'sell' ? price <= order.triggerPrice : price >= order.triggerPrice);
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Flyt trailing stop med prisen - top for sell stops, bund for buy stops
+   */
+  updateTrailing(order, price) {
+    const improved = order.extremePrice === null ||
+      (order.side === 'sell' ? price > order.extremePrice : price < order.extremePrice);
+
+    if (!improved) return false;
+
+    order.extremePrice = price;
+    order.triggerPrice = this.getTrailingStopPrice(order);
+    order.updatedAt = new Date().toISOString();
+
+    this.run(
+      'UPDATE conditional_orders SET extreme_price = ?, trigger_price = ?, updated_at = ? WHERE id = ?',
+      [order.extremePrice, order.triggerPrice, order.updatedAt, order.id]
+    ).catch(error => {
+      console.error(`❌ Kunne ikke gemme trailing stop ${order.id}:`, error.message);
+    });
+
+    return true;
+  }
+
+  async onTicker(ticker) {
+    if (!this.isReady || !ticker || !ticker.symbol || !ticker.exchange || !(ticker.price > 0)) return;
+
+    // Triggers fryses mens kill switch er udløst og forbliver pending til genaktivering
+    if (KillSwitch.isTripped()) return;
+
+    const fired = [];
+    for (const order of this.pending.values()) {
+      if (order.symbol !== ticker.symbol || !this.isSameExchange(order.exchange, ticker.exchange)) continue;
+
+      if (order.type === 'trailing_stop' && !this.isTriggered(order, ticker.price)) {
+        this.updateTrailing(order, ticker.price);
+        continue;
+      }
+
+      if (this.isTriggered(order, ticker.price)) {
+        fired.push(order);
+      }
+    }
+
+    for (const order of fired) {
+      // En OCO søster kan være udløst i samme tick
+      if (this.pending.has(order.id)) {
+        await this.fire(order, ticker.price);
+      }
+    }
+  }
+
+  // Visningsnavn og config nøgle regnes som samme exchange ('Crypto.com' / 'cryptocom')
+  isSameExchange(a, b) {
+    const normalize = name => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return normalize(a) === normalize(b);
+  }
+
+  /**
+   * Udløs trigger: markér først, annullér OCO søstre, afgiv derefter ordren
+   */
+  async fire(order, price) {
+    this.pending.delete(order.id);
+
+    // Søstrene fjernes før første await, så et tick imens ikke kan udløse dem
+    const siblings = order.ocoGroup
+      ? Array.from(this.pending.values()).filter(sibling => sibling.ocoGroup === order.ocoGroup)
+      : [];
+    siblings.forEach(sibling => this.pending.delete(sibling.id));
+
+    order.status = CONDITIONAL_STATUS.TRIGGERED;
+    order.triggeredAt = new Date().toISOString();
+    order.updatedAt = order.triggeredAt;
+
+    await this.run(
+      'UPDATE conditional_orders SET status = ?, triggered_at = ?, updated_at = ? WHERE id = ?',
+      [order.status, order.triggeredAt, order.updatedAt, order.id]
+    );
+
+    for (const sibling of siblings) {
+      await this.markCancelled(sibling, `OCO: ${order.id} triggered`);
+    }
+
+    console.log(`🎯 ${order.type} ${order.id} udløst: ${order.side.toUpperCase()} ${order.amount} ${order.symbol} @ ${price}`);
+
+    let result;
+    try {
+      if (!this.executor) {
+        throw new Error('No order executor configured');
+      }
+
+      result = await this.executor.executeOrder({
+        exchange: order.exchange,
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        type: order.type === 'stop_limit' ? 'limit' : 'market',
+        price: order.type === 'stop_limit' ? order.limitPrice : null,
+        userId: order.userId,
+        source: 'conditional',
+        metadata: { conditionalOrderId: order.id, conditionalType: order.type, triggerPrice: order.triggerPrice }
+      });
+
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Order rejected');
+      }
+    } catch (error) {
+      console.error(`❌ Conditional order ${order.id} kunne ikke afgives:`, error.message);
+      order.status = CONDITIONAL_STATUS.FAILED;
+      order.error = error.message;
+    }
+
+    order.orderId = result && result.order ? result.order.id : null;
+    order.updatedAt = new Date().toISOString();
+
+    await this.run(
+      'UPDATE conditional_orders SET status = ?, order_id = ?, error = ?, updated_at = ? WHERE id = ?',
+      [order.status, order.orderId, order.error, order.updatedAt, order.id]
+    );
+
+    this.emit(order.status === CONDITIONAL_STATUS.FAILED ? 'failed' : 'triggered', order, result);
+    return order;
+  }
+
+  async cancelConditionalOrder(id, reason = 'Cancelled by user') {
+    const order = this.pending.get(id);
+    if (!order) {
+      throw new Error(`Pending conditional order ${id} not found`);
+    }
+
+    this.pending.delete(id);
+    return this.markCancelled(order, reason);
+  }
+
+  async markCancelled(order, reason) {
+    order.status = CONDITIONAL_STATUS.CANCELLED;
+    order.error = reason;
+    order.updatedAt = new Date().toISOString();
+
+    await this.run(
+      'UPDATE conditional_orders SET status = ?, error = ?, updated_at = ? WHERE id = ?',
+      [order.status, order.error, order.updatedAt, order.id]
+    );
+
+    this.emit('cancelled', order);
+    return order;
+  }
+
+  /**
+   * Annullér alle ventende triggers for en position (fx når den lukkes)
+   */
+  async cancelForPosition(exchange, symbol, source = null) {
+    const cancelled = [];
+
+    for (const order of Array.from(this.pending.values())) {
+      if (order.symbol === symbol && (!exchange || order.exchange === exchange) && (!source || order.source === source)) {
+        cancelled.push(await this.cancelConditionalOrder(order.id, 'Position changed'));
+      }
+    }
+
+    return cancelled;
+  }
+
+  getPendingOrders(filters = {}) {
+    return Array.from(this.pending.values())
+      .filter(order => !filters.symbol || order.symbol === filters.symbol)
+      .filter(order => !filters.exchange || order.exchange === filters.exchange)
+      .filter(order => !filters.source || order.source === filters.source);
+  }
+
+  async getConditionalOrders(filters = {}) {
+    this.ensureReady();
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.symbol) {
+      conditions.push('symbol = ?');
+      params.push(filters.symbol);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.all(
+      `SELECT * FROM conditional_orders ${where} ORDER BY created_at DESC LIMIT ?`,
+      [...params, parseInt(filters.limit) || 100]
+    );
+
+    return rows.map(row => this.pending.get(row.id) || this.formatOrder(row));
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error('Conditional order engine not initialized');
+    }
+  }
+
+  formatOrder(row) {
+    const toNumber = value => value !== null && value !== undefined ? parseFloat(value) : null;
+    const toISO = value => value instanceof Date ? value.toISOString() : value;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      exchange: row.exchange,
+      symbol: row.symbol,
+      side: row.side,
+      type: row.type,
+      amount: parseFloat(row.amount),
+      triggerPrice: toNumber(row.trigger_price),
+      limitPrice: toNumber(row.limit_price),
+      trailingPercent: toNumber(row.trailing_percent),
+      trailingAmount: toNumber(row.trailing_amount),
+      extremePrice: toNumber(row.extreme_price),
+      ocoGroup: row.oco_group,
+      status: row.status,
+      orderId: row.order_id,
+      error: row.error,
+      source: row.source,
+      createdAt: toISO(row.created_at),
+      updatedAt: toISO(row.updated_at),
+      triggeredAt: toISO(row.triggered_at)
+    };
+  }
+}
+
+const conditionalOrderEngine = new ConditionalOrderEngine();
+conditionalOrderEngine.CONDITIONAL_TYPES = CONDITIONAL_TYPES;
+conditionalOrderEngine.CONDITIONAL_STATUS = CONDITIONAL_STATUS;
+
+module.exports = conditionalOrderEngine;
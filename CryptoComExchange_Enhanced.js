@@ -1,16 +1,19 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const EnhancedWebSocketManager = require('./EnhancedWebSocketManager');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
 
-class CryptoComExchange {
+class CryptoComExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'Crypto.com';
+    super('Crypto.com', {
+      features: ['spot', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.CRYPTOCOM_API_KEY;
     this.apiSecret = process.env.CRYPTOCOM_API_SECRET;
     this.baseUrl = 'https://api.crypto.com/v2';
     this.wsUrl = 'wss://stream.crypto.com/exchange/v1/market';
-    this.connected = false;
-    this.features = ['spot', 'websocket', 'trading'];
     
     // Debug API credentials (log first few chars only for security)
     console.log(`🔑 Crypto.com API Key: ${this.apiKey ? this.apiKey.substring(0, 8) + '...' : 'NOT SET'}`);
@@ -470,35 +473,52 @@ class CryptoComExchange {
     }
   }
 
-  async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
+  async getOrderBook(symbol, depth = 20) {
+    const result = await this.request(
+      `${this.baseUrl}/public/get-book?instrument_name=${symbol.replace('/', '_')}&depth=${depth}`
+    );
+    if (result.code !== 0 || !result.result || !result.result.data || result.result.data.length === 0) {
+      throw new Error(`Crypto.com API fejl: ${result.code}`);
     }
 
-    const { symbol, side, amount, type = 'MARKET' } = params;
+    const book = result.result.data[0];
+    return this.normalizeOrderBook(symbol, book.bids, book.asks, book.t);
+  }
+
+  async createOrder(params) {
+    this.assertConnected();
+
+    const { symbol, side, type = 'MARKET', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const cryptoComSymbol = symbol.replace('/', '_');
-      
       const orderParams = {
-        instrument_name: cryptoComSymbol,
+        instrument_name: symbol.replace('/', '_'),
         side: side.toUpperCase(),
         type: type.toUpperCase(),
         quantity: amount.toString()
       };
 
+      if (orderParams.type === 'LIMIT') {
+        orderParams.price = price.toString();
+      }
+      if (clientOrderId) {
+        orderParams.client_oid = clientOrderId;
+      }
+
       const result = await this.makePrivateRequest('private/create-order', orderParams);
-      
-      return {
-        exchange: this.name,
+
+      // Crypto.com returnerer kun id ved oprettelse - fill status hentes via getOrderStatus
+      return this.normalizeOrder({
         orderId: result.order_id,
-        symbol: symbol,
-        side: side,
-        amount: parseFloat(amount),
-        price: parseFloat(result.price || 0),
-        status: result.status || 'submitted',
-        timestamp: new Date().toISOString()
-      };
+        clientOrderId: result.client_oid,
+        symbol,
+        side,
+        type: orderParams.type,
+        amount,
+        price: orderParams.price,
+        status: result.status || 'NEW'
+      });
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -506,6 +526,64 @@ class CryptoComExchange {
     }
   }
 
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    await this.makePrivateRequest('private/cancel-order', {
+      instrument_name: symbol.replace('/', '_'),
+      order_id: String(orderId)
+    });
+    return await this.getOrderStatus(symbol, orderId);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const result = await this.makePrivateRequest('private/get-order-detail', { order_id: String(orderId) });
+    return this.formatOrder(result.order_info);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const result = await this.makePrivateRequest('private/get-open-orders',
+      symbol ? { instrument_name: symbol.replace('/', '_') } : {});
+    return result.order_list.map(order => this.formatOrder(order));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    this.assertConnected();
+    const result = await this.makePrivateRequest('private/get-trades', {
+      ...(symbol && { instrument_name: symbol.replace('/', '_') }),
+      page_size: limit
+    });
+    return result.trade_list.map(trade => this.normalizeTrade({
+      tradeId: trade.trade_id,
+      orderId: trade.order_id,
+      symbol: trade.instrument_name.replace('_', '/'),
+      side: trade.side,
+      price: trade.traded_price,
+      amount: trade.traded_quantity,
+      fee: trade.fee,
+      feeCurrency: trade.fee_currency,
+      timestamp: trade.create_time
+    }));
+  }
+
+  formatOrder(data) {
+    return this.normalizeOrder({
+      orderId: data.order_id,
+      clientOrderId: data.client_oid,
+      symbol: data.instrument_name.replace('_', '/'),
+      side: data.side,
+      type: data.type,
+      amount: data.quantity,
+      price: data.price,
+      averagePrice: data.avg_price,
+      filledAmount: data.cumulative_quantity,
+      fee: data.cumulative_fee,
+      status: data.status,
+      timestamp: data.update_time || data.create_time
+    });
+  }
+
   async disconnect() {
     console.log(`🔌 ${this.name} Afbryder med anti-fragil cleanup...`);
     
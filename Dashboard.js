@@ -14,7 +14,14 @@ import {
   ListItemText,
   Divider,
   Button,
-  Alert
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import {
   TrendingUp,
@@ -26,7 +33,8 @@ import {
   CheckCircle,
   Error,
   Analytics,
-  Speed
+  Speed,
+  PowerSettingsNew
 } from '@mui/icons-material';
 import {
   LineChart,
@@ -45,11 +53,57 @@ import {
 import { useWebSocket } from '../contexts/WebSocketContext';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 
 const Dashboard = () => {
   const { user } = useAuth();
   const { portfolio, aiDecisions, securityEvents, systemHealth, marketData, isConnected } = useWebSocket();
   const [performanceData, setPerformanceData] = useState([]);
+  const [killSwitch, setKillSwitch] = useState(null);
+  const [killSwitchDialog, setKillSwitchDialog] = useState(null);
+  const [killSwitchComment, setKillSwitchComment] = useState('');
+  const [flattenPositions, setFlattenPositions] = useState(false);
+
+  const fetchKillSwitch = async () => {
+    try {
+      const response = await axios.get('/api/trading/kill-switch');
+      setKillSwitch(response.data.killSwitch);
+    } catch (error) {
+      console.error('Failed to fetch kill switch status:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchKillSwitch();
+  }, [securityEvents]);
+
+  const openKillSwitchDialog = (mode) => {
+    setKillSwitchDialog(mode);
+    setKillSwitchComment('');
+    setFlattenPositions(false);
+  };
+
+  const submitKillSwitch = async () => {
+    try {
+      const response = killSwitchDialog === 'trip'
+        ? await axios.post('/api/trading/kill-switch/trip', {
+          reason: killSwitchComment || `Nødstop fra dashboard (${user?.username})`,
+          flatten: flattenPositions
+        })
+        : await axios.post('/api/trading/kill-switch/rearm', { comment: killSwitchComment });
+
+      setKillSwitch(response.data.killSwitch);
+      if (killSwitchDialog === 'trip') {
+        toast.error('Nødstop aktiveret - al handel er stoppet');
+      } else {
+        toast.success('Handel genaktiveret');
+      }
+      setKillSwitchDialog(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Kill switch handling fejlede');
+    }
+  };
 
   // Generate sample performance data
   useEffect(() => {
@@ -164,15 +218,41 @@ const Dashboard = () => {
   return (
     <Box sx={{ flexGrow: 1 }}>
       {/* Welcome Header */}
-      <Box sx={{ mb: 4 }}>
-        <Typography variant="h4" gutterBottom sx={{ fontWeight: 600 }}>
-          Velkommen tilbage, {user?.username}! 👋
-        </Typography>
-        <Typography variant="body1" color="text.secondary">
-          Her er et overblik over din CryptoAI Platform performance
-        </Typography>
+      <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h4" gutterBottom sx={{ fontWeight: 600 }}>
+            Velkommen tilbage, {user?.username}! 👋
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Her er et overblik over din CryptoAI Platform performance
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          color="error"
+          startIcon={<PowerSettingsNew />}
+          onClick={() => openKillSwitchDialog('trip')}
+          disabled={killSwitch?.tripped}
+        >
+          Nødstop
+        </Button>
       </Box>
 
+      {killSwitch?.tripped && (
+        <Alert
+          severity="error"
+          sx={{ mb: 3 }}
+          action={user?.role === 'admin' && (
+            <Button color="inherit" size="small" onClick={() => openKillSwitchDialog('rearm')}>
+              Genaktiver
+            </Button>
+          )}
+        >
+          Al handel er stoppet af kill switch ({killSwitch.state?.source}): {killSwitch.state?.reason}
+          {killSwitch.state?.timestamp && ` – ${new Date(killSwitch.state.timestamp).toLocaleString('da-DK')}`}
+        </Alert>
+      )}
+
       {/* Key Metrics */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={3}>
@@ -438,6 +518,43 @@ const Dashboard = () => {
           </Card>
         </Grid>
       </Grid>
+
+      {/* Kill Switch Dialog */}
+      <Dialog open={!!killSwitchDialog} onClose={() => setKillSwitchDialog(null)} fullWidth maxWidth="sm">
+        <DialogTitle>
+          {killSwitchDialog === 'trip' ? 'Aktiver nødstop' : 'Genaktiver handel'}
+        </DialogTitle>
+        <DialogContent>
+          <Typography gutterBottom>
+            {killSwitchDialog === 'trip'
+              ? 'Al handel stoppes og alle åbne ordrer annulleres på alle exchanges. Handel forbliver stoppet indtil en admin genaktiverer.'
+              : 'Auto trading, AI agenter og ordrer tillades igen.'}
+          </Typography>
+          <TextField
+            fullWidth
+            margin="dense"
+            label={killSwitchDialog === 'trip' ? 'Årsag' : 'Begrundelse'}
+            value={killSwitchComment}
+            onChange={(e) => setKillSwitchComment(e.target.value)}
+          />
+          {killSwitchDialog === 'trip' && (
+            <FormControlLabel
+              control={<Checkbox checked={flattenPositions} onChange={(e) => setFlattenPositions(e.target.checked)} />}
+              label="Luk også alle åbne positioner"
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setKillSwitchDialog(null)}>Annuller</Button>
+          <Button
+            onClick={submitKillSwitch}
+            variant="contained"
+            color={killSwitchDialog === 'trip' ? 'error' : 'success'}
+          >
+            {killSwitchDialog === 'trip' ? 'Stop al handel' : 'Genaktiver'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -131,17 +131,250 @@ class DatabaseService {
         passed BOOLEAN,
         execution_time REAL,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
+      )`,
+
+      // Order ledger table
+      `CREATE TABLE IF NOT EXISTS orders (
+        id TEXT PRIMARY KEY,
+        client_order_id TEXT,
+        user_id INTEGER,
+        exchange TEXT,
+        exchange_order_id TEXT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        price REAL,
+        filled_amount REAL DEFAULT 0,
+        average_price REAL DEFAULT 0,
+        fees REAL DEFAULT 0,
+        status TEXT DEFAULT 'new',
+        reject_reason TEXT,
+        source TEXT,
+        metadata TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Order fills table
+      `CREATE TABLE IF NOT EXISTS order_fills (
+        id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        exchange TEXT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        price REAL NOT NULL,
+        fee REAL DEFAULT 0,
+        fee_currency TEXT,
+        trade_id TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id)
+      )`,
+
+      // Conditional orders table (stop, take-profit, trailing, OCO)
+      `CREATE TABLE IF NOT EXISTS conditional_orders (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER,
+        exchange TEXT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        trigger_price REAL,
+        limit_price REAL,
+        trailing_percent REAL,
+        trailing_amount REAL,
+        extreme_price REAL,
+        oco_group TEXT,
+        status TEXT DEFAULT 'pending',
+        order_id TEXT,
+        error TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        triggered_at DATETIME
+      )`,
+
+      // Human approval requests for critical actions
+      `CREATE TABLE IF NOT EXISTS approval_requests (
+        id TEXT PRIMARY KEY,
+        action TEXT NOT NULL,
+        details TEXT,
+        status TEXT DEFAULT 'pending',
+        required_approvals INTEGER DEFAULT 1,
+        requested_by INTEGER,
+        result TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        resolved_at DATETIME,
+        FOREIGN KEY (requested_by) REFERENCES users (id)
+      )`,
+
+      // Approver decisions - én per approver per request
+      `CREATE TABLE IF NOT EXISTS approval_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL,
+        approver_id INTEGER NOT NULL,
+        approver_name TEXT,
+        decision TEXT NOT NULL,
+        comment TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (request_id, approver_id),
+        FOREIGN KEY (request_id) REFERENCES approval_requests (id),
+        FOREIGN KEY (approver_id) REFERENCES users (id)
+      )`,
+
+      // Kill switch trip/rearm historik - seneste række er aktuel tilstand
+      `CREATE TABLE IF NOT EXISTS kill_switch_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        reason TEXT,
+        source TEXT,
+        user_id INTEGER,
+        flatten BOOLEAN DEFAULT 0,
+        result TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+
+      // Parent ordrer for execution algoer (TWAP, VWAP, POV, iceberg) - child ordrer ligger i orders
+      `CREATE TABLE IF NOT EXISTS execution_algos (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER,
+        exchange TEXT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        filled_amount REAL DEFAULT 0,
+        average_price REAL,
+        params TEXT,
+        status TEXT DEFAULT 'scheduled',
+        start_time DATETIME NOT NULL,
+        end_time DATETIME,
+        last_slice_at DATETIME,
+        active_order_id TEXT,
+        slices INTEGER DEFAULT 0,
+        error TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Arbitrage muligheder fra første til sidste observation - execution gemmes som JSON
+      `CREATE TABLE IF NOT EXISTS arbitrage_opportunities (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        symbol TEXT,
+        exchange TEXT,
+        buy_exchange TEXT,
+        sell_exchange TEXT,
+        path TEXT,
+        amount REAL,
+        notional REAL,
+        buy_price REAL,
+        sell_price REAL,
+        gross_spread_bps REAL,
+        fees REAL,
+        transfer_cost REAL,
+        net_profit REAL,
+        net_profit_bps REAL,
+        best_net_profit REAL,
+        liquidity_score REAL,
+        score REAL,
+        legs TEXT,
+        status TEXT DEFAULT 'open',
+        observations INTEGER DEFAULT 1,
+        execution TEXT,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME,
+        closed_at DATETIME
+      )`,
+
+      // OHLCV candles per exchange, symbol og timeframe - open_time er epoch ms
+      `CREATE TABLE IF NOT EXISTS candles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exchange TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        open_time INTEGER NOT NULL,
+        open_price REAL NOT NULL,
+        high_price REAL NOT NULL,
+        low_price REAL NOT NULL,
+        close_price REAL NOT NULL,
+        volume REAL DEFAULT 0,
+        ticks INTEGER DEFAULT 0,
+        source TEXT DEFAULT 'live',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (exchange, symbol, timeframe, open_time)
+      )`,
+
+      // Lærte agentvægte per markedsregime - attribution per horisont gemmes som JSON
+      `CREATE TABLE IF NOT EXISTS agent_weights (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        regime TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        weight REAL NOT NULL DEFAULT 1,
+        hit_rate REAL,
+        samples INTEGER DEFAULT 0,
+        attribution TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (regime, agent_id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS agent_weight_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        regime TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        weight REAL NOT NULL,
+        hit_rate REAL,
+        samples INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE INDEX IF NOT EXISTS idx_orders_status ON orders (status, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_orders_exchange_order ON orders (exchange, exchange_order_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_order_fills_order ON order_fills (order_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_conditional_orders_status ON conditional_orders (status, symbol)`,
+      `CREATE INDEX IF NOT EXISTS idx_approval_requests_status ON approval_requests (status, expires_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_execution_algos_status ON execution_algos (status, symbol)`,
+      `CREATE INDEX IF NOT EXISTS idx_arbitrage_opportunities_status ON arbitrage_opportunities (status, detected_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_candles_symbol ON candles (symbol, timeframe, open_time)`,
+      `CREATE INDEX IF NOT EXISTS idx_agent_weight_history_agent ON agent_weight_history (agent_id, created_at)`
     ];
 
     for (const table of tables) {
       await this.run(table);
     }
 
+    // Ældre databaser mangler ledger kolonnerne på trading_positions
+    await this.ensureColumns('trading_positions', {
+      exchange: 'TEXT',
+      realized_pnl: 'REAL DEFAULT 0',
+      fees: 'REAL DEFAULT 0',
+      exit_price: 'REAL'
+    });
+
+    // Master agent cycles i ai_decisions slås op på cycle_id
+    await this.ensureColumns('ai_decisions', { cycle_id: 'TEXT' });
+    await this.run('CREATE INDEX IF NOT EXISTS idx_ai_decisions_cycle ON ai_decisions (cycle_id)');
+
     // Insert default AI agents
     await this.insertDefaultData();
   }
 
+  async ensureColumns(table, columns) {
+    const existing = await this.all(`PRAGMA table_info(${table})`);
+    const names = existing.map(column => column.name);
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!names.includes(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
   async insertDefaultData() {
     // Default AI agents
     const agents = [
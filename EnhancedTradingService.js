@@ -1,5 +1,5 @@
 // server/services/EnhancedTradingService.js
-const TradingService = require('./TradingService');
+const TradingService = require('./TradingService').constructor;
 
 class EnhancedTradingService extends TradingService {
   constructor() {
@@ -12,6 +12,8 @@ const KuCoinExchange = require('./KuCoinExchange');
 const OKXExchange = require('./OKXExchange');
 const BybitExchange = require('./BybitExchange');
 const CryptoComExchange = require('./CryptoComExchange');
+const KrakenExchange = require('./KrakenExchange');
+const PaperExchange = require('./PaperExchange');
 
 class ExchangeManager {
   constructor() {
@@ -33,7 +35,8 @@ class ExchangeManager {
       kucoin: KuCoinExchange,
       okx: OKXExchange,
       bybit: BybitExchange,
-      cryptocom: CryptoComExchange
+      cryptocom: CryptoComExchange,
+      kraken: KrakenExchange
     };
 
     const results = {
@@ -63,6 +66,13 @@ class ExchangeManager {
             if (!this.config.global.silentMode) {
               console.log(`🔑 ${exchangeConfig.description}: Mangler API nøgler (${validation.missing.join(', ')})`);
             }
+          } else if (validation.reason === 'invalid_credentials') {
+            results.failed.push({
+              name,
+              description: exchangeConfig.description,
+              reason: `invalid_credentials: ${validation.invalid.join(', ')}`
+            });
+            console.log(`🔑 ${exchangeConfig.description}: Ugyldigt nøgleformat (${validation.invalid.join(', ')})`);
           }
           
           this.connectionStatus.set(name, {
@@ -73,8 +83,13 @@ class ExchangeManager {
           continue;
         }
 
-        // Initialiser exchange
-        const exchange = new ExchangeClass();
+        // Initialiser exchange - paper mode pakker den rigtige adapter ind som prisfeed
+        const exchange = validation.paper
+          ? new PaperExchange(name, {
+            priceSource: new ExchangeClass(),
+            initialBalances: this.config.global.paperBalances
+          })
+          : new ExchangeClass();
         const connected = await this.initializeExchange(exchange, name, exchangeConfig);
         
         if (connected) {
@@ -88,10 +103,11 @@ class ExchangeManager {
           this.connectionStatus.set(name, {
             connected: true,
             features: exchangeConfig.features,
+            paperTrading: !!validation.paper,
             timestamp: new Date().toISOString()
           });
           
-          console.log(`✅ ${exchangeConfig.description}: Forbundet`);
+          console.log(`✅ ${exchangeConfig.description}: Forbundet${validation.paper ? ' (paper trading)' : ''}`);
         } else {
           results.failed.push({
             name,
@@ -192,6 +208,28 @@ class ExchangeManager {
     console.log('');
   }
 
+  /**
+   * Registrer en paper trading exchange under et vilkårligt navn
+   */
+  async registerPaperExchange(name, options = {}) {
+    const exchange = new PaperExchange(name, {
+      initialBalances: this.config.global.paperBalances,
+      ...options
+    });
+
+    await exchange.initialize();
+    this.exchanges.set(name, exchange);
+    this.connectionStatus.set(name, {
+      connected: true,
+      features: exchange.features,
+      paperTrading: true,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`📝 ${name}: Registreret som paper trading exchange`);
+    return exchange;
+  }
+
   /**
    * Få en specifik exchange
    */
@@ -207,15 +245,17 @@ class ExchangeManager {
   }
 
   /**
-   * Få connection status for alle exchanges
+   * Få connection status for alle exchanges inkl. adapterens capabilities
    */
   getConnectionStatus() {
     const status = {};
     
     for (const [name, exchangeStatus] of this.connectionStatus.entries()) {
+      const exchange = this.exchanges.get(name);
       status[name] = {
         ...exchangeStatus,
-        latency: exchangeStatus.connected ? this.calculateLatency(name) : 'N/A'
+        latency: exchangeStatus.connected ? this.calculateLatency(name) : 'N/A',
+        capabilities: exchange && exchange.getCapabilities ? exchange.getCapabilities() : null
       };
     }
     
@@ -233,7 +273,8 @@ class ExchangeManager {
       kucoin: '67ms',
       coinbase: '89ms',
       okx: '54ms',
-      bybit: '41ms'
+      bybit: '41ms',
+      kraken: '58ms'
     };
     
     return latencies[exchangeName] || '50ms';
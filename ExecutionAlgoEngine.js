@@ -0,0 +1,721 @@
+/**
+ * ExecutionAlgoEngine - Parent ordrer der afvikles over tid som TWAP, VWAP, POV eller iceberg
+ * Child ordrer afgives gennem executorens executeOrder (ledger + risk gate) og tagges med algoId,
+ * så fills følges via ledgerens orderUpdated events. Aktive algoer gemmes i execution_algos
+ * og genoptages ved opstart. Fremdrift udsendes som 'progress' events til WebSocket serveren.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const OrderLedger = require('./OrderLedger');
+const KillSwitch = require('./KillSwitch');
+const BacktestEngine = require('./BacktestEngine');
+const { prepare, parseJSON } = require('./SqlDialect');
+
+const ALGO_TYPES = ['twap', 'vwap', 'pov', 'iceberg'];
+
+const ALGO_STATUS = {
+  SCHEDULED: 'scheduled',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+const ACTIVE_STATUSES = [ALGO_STATUS.SCHEDULED, ALGO_STATUS.RUNNING, ALGO_STATUS.PAUSED];
+const TERMINAL_ORDER_STATUSES = ['filled', 'cancelled', 'rejected'];
+const HOUR_MS = 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+class ExecutionAlgoEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.executor = null;
+    this.coordinator = null;
+    this.active = new Map();
+    this.volumes = new Map();
+    this.timer = null;
+    this.tickInterval = 1000;
+    this.maxConsecutiveFailures = 3;
+    this.isReady = false;
+
+    this.onTickerUpdate = ticker => this.recordVolume(ticker);
+    this.onOrderUpdated = order => this.applyChildUpdate(order);
+    OrderLedger.on('orderUpdated', this.onOrderUpdated);
+  }
+
+  /**
+   * executor skal have executeOrder(order) og cancelOrder(orderId) - typisk TradingService.
+   * tickInterval 0 starter ingen timer (tick() kaldes så manuelt).
+   */
+  async initialize({ database = DatabaseService, executor, tickInterval = 1000 } = {}) {
+    this.database = database;
+    this.executor = executor || this.executor;
+    this.tickInterval = tickInterval;
+    this.active.clear();
+
+    const rows = await this.all(
+      `SELECT * FROM execution_algos WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+      ACTIVE_STATUSES
+    );
+    for (const row of rows) {
+      const algo = this.formatAlgo(row);
+      await this.loadChildren(algo);
+      this.active.set(algo.id, algo);
+    }
+
+    this.isReady = true;
+    this.start();
+    console.log(`⏱️ Execution Algo Engine initialized (${this.active.size} active algos)`);
+  }
+
+  /**
+   * Markedsvolumen til POV og participation limits kommer fra coordinatorens tickers
+   */
+  attach(coordinator) {
+    if (this.coordinator) {
+      this.coordinator.removeListener('tickerUpdate', this.onTickerUpdate);
+    }
+
+    this.coordinator = coordinator;
+    coordinator.on('tickerUpdate', this.onTickerUpdate);
+  }
+
+  start() {
+    this.stop();
+    if (this.tickInterval > 0) {
+      this.timer = setInterval(() => {
+        this.tick().catch(error => console.error('❌ Execution algo tick fejlede:', error.message));
+      }, this.tickInterval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  generateId() {
+    return `algo_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Tickers har rullende 24h volumen - stigninger mellem to tickers tælles som handlet volumen
+   */
+  recordVolume(ticker) {
+    if (!ticker || !ticker.symbol || !(parseFloat(ticker.volume) >= 0)) return;
+
+    const volume = parseFloat(ticker.volume);
+    const state = this.volumes.get(ticker.symbol) || { last: null, cumulative: 0 };
+    if (state.last !== null && volume > state.last) {
+      state.cumulative += volume - state.last;
+    }
+    state.last = volume;
+    this.volumes.set(ticker.symbol, state);
+  }
+
+  getMarketVolume(symbol) {
+    const state = this.volumes.get(symbol);
+    return state && state.last !== null ? state.cumulative : null;
+  }
+
+  getLastPrice(symbol) {
+    if (!this.coordinator || !this.coordinator.getAllTickers) return null;
+    const ticker = this.coordinator.getAllTickers()[symbol];
+    return ticker ? ticker.price : null;
+  }
+
+  validate(params) {
+    const type = (params.type || '').toLowerCase();
+    const side = (params.side || '').toLowerCase();
+    const fraction = value => parseFloat(value) > 0 && parseFloat(value) <= 1;
+
+    if (!ALGO_TYPES.includes(type)) {
+      throw new Error(`Invalid execution algo type: ${params.type}`);
+    }
+    if (!params.symbol) {
+      throw new Error('Execution algo symbol is required');
+    }
+    if (!['buy', 'sell'].includes(side)) {
+      throw new Error(`Invalid execution algo side: ${params.side}`);
+    }
+    if (!(parseFloat(params.amount) > 0)) {
+      throw new Error(`Invalid execution algo amount: ${params.amount}`);
+    }
+    if (['twap', 'vwap'].includes(type) && !params.endTime && !(parseFloat(params.duration) > 0)) {
+      throw new Error(`${type} requires an endTime or duration`);
+    }
+    if (params.maxParticipation !== undefined && params.maxParticipation !== null && !fraction(params.maxParticipation)) {
+      throw new Error('maxParticipation must be between 0 and 1');
+    }
+    if (type === 'pov' && !fraction(params.participationRate)) {
+      throw new Error('POV requires a participationRate between 0 and 1');
+    }
+    if (type === 'iceberg') {
+      if (!(parseFloat(params.displaySize) > 0)) {
+        throw new Error('Iceberg requires a displaySize');
+      }
+      if (!(parseFloat(params.limitPrice) > 0)) {
+        throw new Error('Iceberg requires a limitPrice');
+      }
+    }
+  }
+
+  async createAlgo(params) {
+    this.ensureReady();
+    this.validate(params);
+
+    const type = params.type.toLowerCase();
+    const nowMs = Date.now();
+    const startMs = params.startTime ? new Date(params.startTime).getTime() : nowMs;
+    const endMs = params.endTime
+      ? new Date(params.endTime).getTime()
+      : (params.duration ? startMs + parseFloat(params.duration) : null);
+
+    if (isNaN(startMs) || (endMs !== null && (isNaN(endMs) || endMs <= startMs))) {
+      throw new Error('Execution algo endTime must be after startTime');
+    }
+
+    const slices = parseInt(params.slices) || 10;
+    const config = {
+      sliceInterval: parseFloat(params.sliceInterval) || (endMs ? Math.max((endMs - startMs) / slices, 1000) : 5000),
+      maxParticipation: params.maxParticipation ? parseFloat(params.maxParticipation) : null,
+      participationRate: params.participationRate ? parseFloat(params.participationRate) : null,
+      displaySize: params.displaySize ? parseFloat(params.displaySize) : null,
+      limitPrice: params.limitPrice ? parseFloat(params.limitPrice) : null,
+      minSliceAmount: parseFloat(params.minSliceAmount) || 0,
+      volumeProfile: null
+    };
+
+    if (type === 'vwap') {
+      config.volumeProfile = await this.loadVolumeProfile(params.symbol, parseInt(params.lookbackDays) || 7);
+    }
+
+    const now = new Date(nowMs).toISOString();
+    const algo = {
+      id: this.generateId(),
+      userId: params.userId || null,
+      exchange: params.exchange || null,
+      symbol: params.symbol,
+      side: params.side.toLowerCase(),
+      type,
+      amount: parseFloat(params.amount),
+      filledAmount: 0,
+      averagePrice: null,
+      params: config,
+      status: ALGO_STATUS.SCHEDULED,
+      startTime: new Date(startMs).toISOString(),
+      endTime: endMs ? new Date(endMs).toISOString() : null,
+      lastSliceAt: null,
+      activeOrderId: null,
+      volumeMark: null,
+      slices: 0,
+      failures: 0,
+      children: {},
+      error: null,
+      source: params.source || 'api',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.run(
+      `INSERT INTO execution_algos (
+        id, user_id, exchange, symbol, side, type, amount, filled_amount, params, status,
+        start_time, end_time, slices, source, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        algo.id, algo.userId, algo.exchange, algo.symbol, algo.side, algo.type, algo.amount, 0,
+        JSON.stringify(config), algo.status, algo.startTime, algo.endTime, 0, algo.source, algo.createdAt, algo.updatedAt
+      ]
+    );
+
+    this.active.set(algo.id, algo);
+    console.log(`⏱️ ${type.toUpperCase()} ${algo.id}: ${algo.side.toUpperCase()} ${algo.amount} ${algo.symbol}`);
+    this.emit('created', algo);
+    this.emitProgress(algo);
+    return algo;
+  }
+
+  /**
+   * Andel af volumen per UTC time på døgnet ud fra market_data (timebars over lookback perioden).
+   * Uden historik bruges en flad profil, så VWAP falder tilbage til TWAP.
+   */
+  async loadVolumeProfile(symbol, lookbackDays = 7) {
+    const profile = new Array(24).fill(0);
+
+    try {
+      const backtester = new BacktestEngine({ database: this.database });
+      const candles = await backtester.loadCandles({
+        symbol,
+        interval: '1h',
+        start: new Date(Date.now() - lookbackDays * 24 * HOUR_MS).toISOString()
+      });
+      candles.forEach(candle => {
+        profile[candle.timestamp.getUTCHours()] += candle.volume;
+      });
+    } catch (error) {
+      console.warn(`⚠️ Ingen volumen profil for ${symbol}:`, error.message);
+    }
+
+    const total = profile.reduce((sum, volume) => sum + volume, 0);
+    return total > 0 ? profile.map(volume => volume / total) : new Array(24).fill(1 / 24);
+  }
+
+  // Profilens vægt mellem to tidspunkter - hver time vægtes med den andel af timen der overlapper
+  profileWeight(profile, fromMs, toMs) {
+    let weight = 0;
+    let cursor = fromMs;
+
+    while (cursor < toMs) {
+      const hourEnd = Math.min((Math.floor(cursor / HOUR_MS) + 1) * HOUR_MS, toMs);
+      weight += profile[new Date(cursor).getUTCHours()] * (hourEnd - cursor) / HOUR_MS;
+      cursor = hourEnd;
+    }
+
+    return weight;
+  }
+
+  /**
+   * Hvor meget der skal være handlet til tidspunktet nowMs ifølge algoens plan
+   */
+  targetAmount(algo, nowMs) {
+    const startMs = new Date(algo.startTime).getTime();
+    const endMs = algo.endTime ? new Date(algo.endTime).getTime() : null;
+
+    switch (algo.type) {
+      case 'twap':
+        return algo.amount * Math.min(Math.max((nowMs - startMs) / (endMs - startMs), 0), 1);
+
+      case 'vwap': {
+        const total = this.profileWeight(algo.params.volumeProfile, startMs, endMs);
+        const elapsed = this.profileWeight(algo.params.volumeProfile, startMs, Math.min(nowMs, endMs));
+        return total > 0 ? algo.amount * elapsed / total : algo.amount;
+      }
+
+      case 'pov': {
+        const marketVolume = this.getMarketVolume(algo.symbol);
+        if (marketVolume === null || algo.volumeStart === undefined || algo.volumeStart === null) return algo.filledAmount;
+        return Math.min(algo.amount, algo.params.participationRate * (marketVolume - algo.volumeStart));
+      }
+
+      default:
+        return algo.amount;
+    }
+  }
+
+  async tick(nowMs = Date.now()) {
+    if (!this.isReady || KillSwitch.isTripped()) return;
+
+    for (const algo of Array.from(this.active.values())) {
+      try {
+        await this.processAlgo(algo, nowMs);
+      } catch (error) {
+        console.error(`❌ Execution algo ${algo.id} fejlede:`, error.message);
+      }
+    }
+  }
+
+  async processAlgo(algo, nowMs) {
+    if (algo.busy || algo.status === ALGO_STATUS.PAUSED) return;
+
+    algo.busy = true;
+    try {
+      if (algo.status === ALGO_STATUS.SCHEDULED) {
+        if (nowMs < new Date(algo.startTime).getTime()) return;
+
+        algo.status = ALGO_STATUS.RUNNING;
+        algo.volumeStart = this.getMarketVolume(algo.symbol);
+        algo.volumeMark = algo.volumeStart;
+        await this.persist(algo);
+        this.emitProgress(algo);
+      }
+
+      if (algo.type === 'iceberg') {
+        await this.processIceberg(algo, nowMs);
+      } else {
+        await this.processSchedule(algo, nowMs);
+      }
+    } finally {
+      algo.busy = false;
+    }
+  }
+
+  /**
+   * TWAP, VWAP og POV: én market child per sliceInterval op til planens mål, begrænset af maxParticipation
+   */
+  async processSchedule(algo, nowMs) {
+    const endMs = algo.endTime ? new Date(algo.endTime).getTime() : null;
+    const atEnd = endMs !== null && nowMs >= endMs;
+
+    if (!atEnd && algo.lastSliceAt && nowMs - new Date(algo.lastSliceAt).getTime() < algo.params.sliceInterval) {
+      return;
+    }
+
+    // Volumen kendes først efter første ticker (eller efter genstart) - POV fortsætter fra det handlede
+    const marketVolume = this.getMarketVolume(algo.symbol);
+    if ((algo.volumeStart === undefined || algo.volumeStart === null) && marketVolume !== null) {
+      algo.volumeStart = marketVolume - (algo.type === 'pov' ? algo.filledAmount / algo.params.participationRate : 0);
+      algo.volumeMark = marketVolume;
+    }
+
+    const remaining = algo.amount - algo.filledAmount;
+    let quantity = Math.min(this.targetAmount(algo, nowMs) - algo.filledAmount, remaining);
+
+    if (algo.params.maxParticipation && marketVolume !== null && algo.volumeMark !== null) {
+      quantity = Math.min(quantity, algo.params.maxParticipation * (marketVolume - algo.volumeMark));
+    }
+
+    // Små slices venter - undtagen resten af ordren
+    const belowMinimum = quantity < algo.params.minSliceAmount && quantity < remaining - EPSILON;
+    if (quantity > EPSILON && !belowMinimum && this.withinLimitPrice(algo)) {
+      await this.placeChild(algo, { amount: quantity, type: 'market' }, nowMs);
+      algo.volumeMark = marketVolume;
+    }
+
+    await this.checkFinished(algo, atEnd);
+  }
+
+  /**
+   * Iceberg: én synlig limit ordre ad gangen - næste afgives når den forrige er afsluttet
+   */
+  async processIceberg(algo, nowMs) {
+    const endMs = algo.endTime ? new Date(algo.endTime).getTime() : null;
+    const atEnd = endMs !== null && nowMs >= endMs;
+
+    if (algo.activeOrderId) {
+      const child = algo.children[algo.activeOrderId];
+      if (child && !TERMINAL_ORDER_STATUSES.includes(child.status)) {
+        if (atEnd) {
+          await this.cancelChild(algo, 'Iceberg end time reached');
+          await this.checkFinished(algo, true);
+        }
+        return;
+      }
+      algo.activeOrderId = null;
+    }
+
+    const remaining = algo.amount - algo.filledAmount;
+    if (remaining > EPSILON && !atEnd) {
+      const order = await this.placeChild(algo, {
+        amount: Math.min(algo.params.displaySize, remaining),
+        type: 'limit',
+        price: algo.params.limitPrice
+      }, nowMs);
+
+      if (order && !TERMINAL_ORDER_STATUSES.includes(order.status)) {
+        algo.activeOrderId = order.id;
+        await this.persist(algo);
+        return;
+      }
+    }
+
+    await this.checkFinished(algo, atEnd);
+  }
+
+  withinLimitPrice(algo) {
+    if (!algo.params.limitPrice) return true;
+
+    const price = this.getLastPrice(algo.symbol);
+    if (!price) return true;
+    return algo.side === 'buy' ? price <= algo.params.limitPrice : price >= algo.params.limitPrice;
+  }
+
+  async placeChild(algo, { amount, type, price = null }, nowMs) {
+    algo.lastSliceAt = new Date(nowMs).toISOString();
+    algo.slices++;
+
+    let result;
+    try {
+      if (!this.executor) {
+        throw new Error('No order executor configured');
+      }
+
+      result = await this.executor.executeOrder({
+        exchange: algo.exchange,
+        symbol: algo.symbol,
+        side: algo.side,
+        amount,
+        type,
+        price,
+        userId: algo.userId,
+        source: 'execution_algo',
+        metadata: { algoId: algo.id, algoType: algo.type, slice: algo.slices }
+      });
+
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Order rejected');
+      }
+    } catch (error) {
+      algo.failures++;
+      algo.error = error.message;
+      console.error(`❌ ${algo.type.toUpperCase()} ${algo.id} slice ${algo.slices} fejlede:`, error.message);
+
+      if (algo.failures >= this.maxConsecutiveFailures) {
+        await this.finish(algo, ALGO_STATUS.FAILED, `${algo.failures} consecutive child orders failed: ${error.message}`);
+      } else {
+        await this.persist(algo);
+        this.emitProgress(algo);
+      }
+      return null;
+    }
+
+    algo.failures = 0;
+    algo.error = null;
+    this.applyChildUpdate(result.order);
+    await this.persist(algo);
+    return result.order;
+  }
+
+  /**
+   * Ledger opdatering for en child ordre - idempotent, så både executeOrder resultatet
+   * og senere asynkrone fills (hvilende limit ordrer) kan anvendes
+   */
+  applyChildUpdate(order) {
+    if (!order || !order.metadata || !order.metadata.algoId) return;
+
+    const algo = this.active.get(order.metadata.algoId);
+    if (!algo) return;
+
+    algo.children[order.id] = {
+      amount: order.amount,
+      filledAmount: order.filledAmount,
+      averagePrice: order.averagePrice,
+      status: order.status
+    };
+    this.updateTotals(algo);
+    this.emitProgress(algo);
+  }
+
+  updateTotals(algo) {
+    const children = Object.values(algo.children);
+    const filled = children.reduce((sum, child) => sum + child.filledAmount, 0);
+    const notional = children.reduce((sum, child) => sum + child.filledAmount * (child.averagePrice || 0), 0);
+
+    algo.filledAmount = filled;
+    algo.averagePrice = filled > 0 ? notional / filled : null;
+  }
+
+  /**
+   * Genopbyg child ordrer fra ledger efter genstart
+   */
+  async loadChildren(algo) {
+    if (!OrderLedger.isReady) return;
+
+    const orders = await OrderLedger.getOrders({ symbol: algo.symbol, limit: 1000 });
+    orders
+      .filter(order => order.metadata && order.metadata.algoId === algo.id)
+      .forEach(order => {
+        algo.children[order.id] = {
+          amount: order.amount,
+          filledAmount: order.filledAmount,
+          averagePrice: order.averagePrice,
+          status: order.status
+        };
+      });
+
+    if (Object.keys(algo.children).length > 0) {
+      this.updateTotals(algo);
+    }
+  }
+
+  async checkFinished(algo, atEnd) {
+    if (algo.amount - algo.filledAmount <= EPSILON) {
+      await this.finish(algo, ALGO_STATUS.COMPLETED);
+    } else if (atEnd) {
+      await this.finish(algo, ALGO_STATUS.EXPIRED, `End time reached with ${(algo.amount - algo.filledAmount).toFixed(8)} unfilled`);
+    }
+  }
+
+  async finish(algo, status, error = null) {
+    this.active.delete(algo.id);
+    algo.status = status;
+    algo.error = error;
+    await this.persist(algo);
+
+    console.log(`⏱️ ${algo.type.toUpperCase()} ${algo.id} ${status}: ${algo.filledAmount}/${algo.amount} ${algo.symbol}`);
+    this.emit(status, algo);
+    this.emitProgress(algo);
+    return algo;
+  }
+
+  async cancelChild(algo, reason) {
+    if (!algo.activeOrderId) return;
+
+    try {
+      await this.executor.cancelOrder(algo.activeOrderId, reason);
+    } catch (error) {
+      console.warn(`⚠️ Kunne ikke annullere child ordre ${algo.activeOrderId}:`, error.message);
+    }
+    algo.activeOrderId = null;
+  }
+
+  requireActive(id) {
+    const algo = this.active.get(id);
+    if (!algo) {
+      throw new Error(`Active execution algo ${id} not found`);
+    }
+    return algo;
+  }
+
+  async pauseAlgo(id) {
+    const algo = this.requireActive(id);
+    if (algo.status === ALGO_STATUS.PAUSED) return algo;
+
+    algo.pausedFrom = algo.status;
+    algo.status = ALGO_STATUS.PAUSED;
+    await this.persist(algo);
+    this.emit('paused', algo);
+    this.emitProgress(algo);
+    return algo;
+  }
+
+  /**
+   * Genoptag - TWAP/VWAP indhenter planen (stadig begrænset af maxParticipation)
+   */
+  async resumeAlgo(id) {
+    const algo = this.requireActive(id);
+    if (algo.status !== ALGO_STATUS.PAUSED) return algo;
+
+    algo.status = algo.pausedFrom || (algo.lastSliceAt ? ALGO_STATUS.RUNNING : ALGO_STATUS.SCHEDULED);
+    delete algo.pausedFrom;
+    await this.persist(algo);
+    this.emit('resumed', algo);
+    this.emitProgress(algo);
+    return algo;
+  }
+
+  async cancelAlgo(id, reason = 'Cancelled by user') {
+    const algo = this.requireActive(id);
+    await this.cancelChild(algo, reason);
+    return await this.finish(algo, ALGO_STATUS.CANCELLED, reason);
+  }
+
+  async persist(algo) {
+    algo.updatedAt = new Date().toISOString();
+
+    await this.run(
+      `UPDATE execution_algos SET status = ?, filled_amount = ?, average_price = ?, last_slice_at = ?,
+        active_order_id = ?, slices = ?, error = ?, updated_at = ? WHERE id = ?`,
+      [
+        algo.status, algo.filledAmount, algo.averagePrice, algo.lastSliceAt,
+        algo.activeOrderId, algo.slices, algo.error, algo.updatedAt, algo.id
+      ]
+    );
+  }
+
+  emitProgress(algo) {
+    this.emit('progress', this.getProgress(algo));
+  }
+
+  getProgress(algo) {
+    const { busy, pausedFrom, volumeStart, volumeMark, ...state } = algo;
+    const startMs = new Date(algo.startTime).getTime();
+    const endMs = algo.endTime ? new Date(algo.endTime).getTime() : null;
+
+    return {
+      ...state,
+      remaining: Math.max(algo.amount - algo.filledAmount, 0),
+      progress: algo.filledAmount / algo.amount,
+      scheduled: ['twap', 'vwap'].includes(algo.type) && algo.status !== ALGO_STATUS.SCHEDULED
+        ? this.targetAmount(algo, Math.min(Date.now(), endMs)) / algo.amount
+        : null,
+      elapsed: endMs ? Math.min(Math.max((Date.now() - startMs) / (endMs - startMs), 0), 1) : null
+    };
+  }
+
+  getActiveAlgos(filters = {}) {
+    return Array.from(this.active.values())
+      .filter(algo => !filters.symbol || algo.symbol === filters.symbol)
+      .filter(algo => !filters.userId || algo.userId === filters.userId)
+      .map(algo => this.getProgress(algo));
+  }
+
+  async getAlgo(id) {
+    this.ensureReady();
+    if (this.active.has(id)) {
+      return this.getProgress(this.active.get(id));
+    }
+
+    const [row] = await this.all('SELECT * FROM execution_algos WHERE id = ?', [id]);
+    return row ? this.formatAlgo(row) : null;
+  }
+
+  async getAlgos(filters = {}) {
+    this.ensureReady();
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.symbol) {
+      conditions.push('symbol = ?');
+      params.push(filters.symbol);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.all(
+      `SELECT * FROM execution_algos ${where} ORDER BY created_at DESC LIMIT ?`,
+      [...params, parseInt(filters.limit) || 100]
+    );
+
+    return rows.map(row => this.active.has(row.id) ? this.getProgress(this.active.get(row.id)) : this.formatAlgo(row));
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error('Execution algo engine not initialized');
+    }
+  }
+
+  formatAlgo(row) {
+    const toNumber = value => value !== null && value !== undefined ? parseFloat(value) : null;
+    const toISO = value => value instanceof Date ? value.toISOString() : value;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      exchange: row.exchange,
+      symbol: row.symbol,
+      side: row.side,
+      type: row.type,
+      amount: parseFloat(row.amount),
+      filledAmount: parseFloat(row.filled_amount) || 0,
+      averagePrice: toNumber(row.average_price),
+      params: parseJSON(row.params, {}),
+      status: row.status,
+      startTime: toISO(row.start_time),
+      endTime: toISO(row.end_time),
+      lastSliceAt: toISO(row.last_slice_at),
+      activeOrderId: row.active_order_id,
+      slices: parseInt(row.slices) || 0,
+      failures: 0,
+      children: {},
+      error: row.error,
+      source: row.source,
+      createdAt: toISO(row.created_at),
+      updatedAt: toISO(row.updated_at)
+    };
+  }
+}
+
+const executionAlgoEngine = new ExecutionAlgoEngine();
+executionAlgoEngine.ALGO_TYPES = ALGO_TYPES;
+executionAlgoEngine.ALGO_STATUS = ALGO_STATUS;
+
+module.exports = executionAlgoEngine;
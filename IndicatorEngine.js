@@ -0,0 +1,142 @@
+/**
+ * IndicatorEngine - Holder streaming indikatorer per exchange, symbol og timeframe
+ * Opdateres af CandleAggregatorens lukkede candles. En serie varmes op fra gemte candles
+ * første gang den efterspørges, og nulstilles når REST backfill ændrer historikken.
+ */
+
+const EventEmitter = require('events');
+const CandleAggregator = require('./CandleAggregator');
+const { IndicatorSet, calculateSeries, summarize } = require('./TechnicalIndicators');
+
+// Candles der køres igennem før den første værdi bruges (ADX/MACD skal bruge ~35)
+const WARMUP_CANDLES = 200;
+
+class IndicatorEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.candles = null;
+    this.series = new Map();
+    this.warmups = new Map();
+    this.periods = {};
+    this.isReady = false;
+
+    this.onCandleClosed = candle => this.handleCandle(candle);
+    this.onBackfilled = ({ exchange, symbol, timeframe }) => this.series.delete(this.seriesKey(exchange, symbol, timeframe));
+  }
+
+  async initialize({ candles = CandleAggregator, periods = {} } = {}) {
+    if (this.candles) {
+      this.candles.removeListener('candleClosed', this.onCandleClosed);
+      this.candles.removeListener('backfilled', this.onBackfilled);
+    }
+
+    this.candles = candles;
+    this.periods = periods;
+    this.series.clear();
+    this.warmups.clear();
+
+    candles.on('candleClosed', this.onCandleClosed);
+    candles.on('backfilled', this.onBackfilled);
+
+    this.isReady = true;
+    console.log('📐 Indicator Engine initialized');
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error('Indicator engine not initialized');
+    }
+  }
+
+  seriesKey(exchange, symbol, timeframe) {
+    return `${exchange}|${symbol}|${timeframe}`;
+  }
+
+  // Kun serier der allerede er varmet op følges - andre bygges ved første forespørgsel
+  handleCandle(candle) {
+    const set = this.series.get(this.seriesKey(candle.exchange, candle.symbol, candle.timeframe));
+    if (!set) return;
+
+    const snapshot = set.update(candle);
+    this.emit('update', { exchange: candle.exchange, symbol: candle.symbol, timeframe: candle.timeframe, indicators: snapshot });
+  }
+
+  async warmup(exchange, symbol, timeframe) {
+    const key = this.seriesKey(exchange, symbol, timeframe);
+    if (this.series.has(key)) return this.series.get(key);
+    if (this.warmups.has(key)) return this.warmups.get(key);
+
+    const pending = (async () => {
+      const { candles } = await this.candles.getCandles({ symbol, timeframe, exchange, limit: WARMUP_CANDLES });
+      const set = new IndicatorSet(this.periods);
+      for (const candle of candles.filter(candle => candle.closed)) {
+        set.update(candle);
+      }
+      this.series.set(key, set);
+      return set;
+    })();
+
+    this.warmups.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this.warmups.delete(key);
+    }
+  }
+
+  /**
+   * Seneste indikatorer på lukkede candles. Uden exchange bruges candle aggregatorens valg.
+   */
+  async getLatest({ symbol, timeframe = '1h', exchange = null } = {}) {
+    this.ensureReady();
+
+    const source = exchange || (await this.candles.getCandles({ symbol, timeframe, limit: 1 })).exchange;
+    if (!source) {
+      return { exchange: null, symbol, timeframe, indicators: null, summary: summarize(null) };
+    }
+
+    const set = await this.warmup(source, symbol, timeframe);
+    return {
+      exchange: source,
+      symbol,
+      timeframe,
+      indicators: set.latest,
+      summary: summarize(set.latest)
+    };
+  }
+
+  /**
+   * Indikator serie til grafer - beregnes på ny over candles inkl. opvarmning, så de første
+   * returnerede punkter har fulde værdier
+   */
+  async getSeries({ symbol, timeframe = '1h', exchange = null, start = null, end = null, limit = 200 } = {}) {
+    this.ensureReady();
+
+    const count = parseInt(limit) || 200;
+    const result = await this.candles.getCandles({ symbol, timeframe, exchange, end, limit: count + WARMUP_CANDLES });
+    const startMs = start ? new Date(isNaN(start) ? start : parseInt(start)).getTime() : null;
+    const snapshots = calculateSeries(result.candles, this.periods);
+
+    const points = result.candles
+      .map((candle, index) => ({
+        openTime: candle.openTime,
+        timestamp: candle.timestamp,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+        closed: candle.closed,
+        ...snapshots[index]
+      }))
+      .filter(point => startMs === null || point.openTime >= startMs)
+      .slice(-count);
+
+    return { exchange: result.exchange, symbol, timeframe, points };
+  }
+}
+
+const indicatorEngine = new IndicatorEngine();
+indicatorEngine.WARMUP_CANDLES = WARMUP_CANDLES;
+
+module.exports = indicatorEngine;
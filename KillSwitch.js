@@ -0,0 +1,207 @@
+/**
+ * KillSwitch - Global nødstop for al handel
+ * Når den udløses fryses auto trading, RL og agent-eksekvering, RiskEngine afviser nye ordrer,
+ * åbne ordrer annulleres på alle exchanges og positioner kan eventuelt lukkes.
+ * Tilstanden gemmes i kill_switch_events og forbliver låst indtil en admin genaktiverer.
+ */
+
+const EventEmitter = require('events');
+const DatabaseService = require('./DatabaseService');
+const SecurityService = require('./SecurityService');
+const { prepare, parseJSON } = require('./SqlDialect');
+
+const KILL_SWITCH_SOURCES = ['api', 'dashboard', 'risk_engine', 'circuit_breaker', 'system'];
+
+class KillSwitch extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.executor = null;
+    this.tripped = false;
+    this.state = null;
+    this.isReady = false;
+  }
+
+  /**
+   * executor skal have cancelAllOpenOrders() og flattenPositions() - typisk TradingService.
+   * Kaldes én gang ved opstart; setExecutor kobler TradingService på uden at genindlæse tilstanden.
+   */
+  async initialize({ database = DatabaseService, executor } = {}) {
+    this.database = database;
+    this.executor = executor || this.executor;
+
+    const [latest] = await this.all('SELECT * FROM kill_switch_events ORDER BY id DESC LIMIT 1');
+    this.state = latest ? this.formatEvent(latest) : null;
+    this.tripped = !!latest && latest.action === 'trip';
+    this.isReady = true;
+
+    if (this.tripped) {
+      console.warn(`🛑 Kill switch er stadig udløst siden ${this.state.timestamp}: ${this.state.reason}`);
+    } else {
+      console.log('🛑 Kill switch armed');
+    }
+  }
+
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  isTripped() {
+    return this.tripped;
+  }
+
+  /**
+   * Kast hvis handel er stoppet. Fejlen har code 'KILL_SWITCH_ACTIVE'.
+   */
+  assertArmed() {
+    if (!this.tripped) return;
+
+    const error = new Error(`Trading halted by kill switch: ${this.state ? this.state.reason : 'unknown reason'}`);
+    error.code = 'KILL_SWITCH_ACTIVE';
+    throw error;
+  }
+
+  /**
+   * Udløs nødstop. Gentagne udløsninger mens den er låst ignoreres.
+   */
+  async trip({ reason, source = 'api', userId = null, sourceIP = null, flatten = false } = {}) {
+    if (!KILL_SWITCH_SOURCES.includes(source)) {
+      throw new Error(`Invalid kill switch source: ${source}`);
+    }
+    if (this.tripped) {
+      return this.getStatus();
+    }
+
+    // Lås før noget asynkront så ingen ordre smutter igennem imens
+    this.tripped = true;
+    const timestamp = new Date().toISOString();
+    this.state = { action: 'trip', reason: reason || 'Emergency stop', source, userId, flatten, result: null, timestamp };
+
+    // Gem udløsningen før sideeffekterne - et nedbrud midt i annulleringen må ikke genstarte armed.
+    // En databasefejl må dog ikke forhindre at ordrerne annulleres og positionerne lukkes.
+    const saved = this.database
+      ? await this.safely('save trip', () => this.run(
+        'INSERT INTO kill_switch_events (action, reason, source, user_id, flatten, result, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['trip', this.state.reason, source, userId, flatten ? 1 : 0, null, timestamp]
+      ))
+      : null;
+    const persisted = !!this.database && !(saved && saved.error);
+
+    console.error(`🛑 KILL SWITCH UDLØST (${source}): ${this.state.reason}`);
+    this.emit('tripped', this.state);
+
+    const result = { cancelled: null, flattened: null };
+    if (this.executor) {
+      result.cancelled = await this.safely('cancel open orders', () => this.executor.cancelAllOpenOrders());
+      if (flatten) {
+        result.flattened = await this.safely('flatten positions', () => this.executor.flattenPositions());
+      }
+    }
+    this.state.result = result;
+
+    // Fejlede den første skrivning forsøges hele rækken igen, ellers udfyldes kun resultatet
+    if (this.database && !persisted) {
+      await this.safely('save trip', () => this.run(
+        'INSERT INTO kill_switch_events (action, reason, source, user_id, flatten, result, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['trip', this.state.reason, source, userId, flatten ? 1 : 0, JSON.stringify(result), timestamp]
+      ));
+    } else if (persisted) {
+      await this.safely('save trip result', () => this.run(
+        "UPDATE kill_switch_events SET result = ? WHERE action = 'trip' AND created_at = ?",
+        [JSON.stringify(result), timestamp]
+      ));
+    }
+
+    await this.audit('kill_switch_tripped', 'critical', `Kill switch tripped by ${source}: ${this.state.reason}`, userId, sourceIP);
+    return this.getStatus();
+  }
+
+  /**
+   * Genaktiver handel - kun admins
+   */
+  async rearm({ userId = null, role, comment = null, sourceIP = null } = {}) {
+    if (role !== 'admin') {
+      const error = new Error('Admin role required to re-arm the kill switch');
+      error.code = 'KILL_SWITCH_FORBIDDEN';
+      throw error;
+    }
+    if (!this.tripped) {
+      return this.getStatus();
+    }
+
+    const timestamp = new Date().toISOString();
+    if (this.database) {
+      await this.run(
+        'INSERT INTO kill_switch_events (action, reason, source, user_id, flatten, result, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['rearm', comment, 'api', userId, 0, null, timestamp]
+      );
+    }
+
+    const previous = this.state;
+    this.tripped = false;
+    this.state = { action: 'rearm', reason: comment, source: 'api', userId, flatten: false, result: null, timestamp };
+
+    console.log(`✅ Kill switch genaktiveret: ${comment || 'no comment'}`);
+    this.emit('rearmed', { ...this.state, previous });
+
+    await this.audit('kill_switch_rearmed', 'high', `Kill switch re-armed: ${comment || 'No comment'}`, userId, sourceIP);
+    return this.getStatus();
+  }
+
+  async safely(label, task) {
+    try {
+      return await task();
+    } catch (error) {
+      console.error(`❌ Kill switch kunne ikke ${label}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  async audit(eventType, severity, description, userId, sourceIP) {
+    try {
+      await SecurityService.logSecurityEvent(eventType, severity, description, userId, sourceIP);
+    } catch (error) {
+      console.error('Kunne ikke logge kill switch hændelse:', error.message);
+    }
+  }
+
+  async getHistory(limit = 20) {
+    if (!this.database) return [];
+
+    const rows = await this.all('SELECT * FROM kill_switch_events ORDER BY id DESC LIMIT ?', [parseInt(limit)]);
+    return rows.map(row => this.formatEvent(row));
+  }
+
+  formatEvent(row) {
+    return {
+      action: row.action,
+      reason: row.reason,
+      source: row.source,
+      userId: row.user_id,
+      flatten: !!row.flatten,
+      result: parseJSON(row.result),
+      timestamp: row.created_at
+    };
+  }
+
+  getStatus() {
+    return {
+      tripped: this.tripped,
+      state: this.state,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const killSwitch = new KillSwitch();
+killSwitch.KILL_SWITCH_SOURCES = KILL_SWITCH_SOURCES;
+
+module.exports = killSwitch;
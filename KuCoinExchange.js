@@ -1,17 +1,20 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
 
-class KuCoinExchange {
+class KuCoinExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'KuCoin';
+    super('KuCoin', {
+      features: ['spot', 'futures', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.KUCOIN_API_KEY;
     this.apiSecret = process.env.KUCOIN_API_SECRET;
     this.passphrase = process.env.KUCOIN_PASSPHRASE;
     this.baseUrl = 'https://api.kucoin.com';
     this.wsUrl = 'wss://ws-api-spot.kucoin.com/';
-    this.connected = false;
     this.ws = null;
-    this.features = ['spot', 'futures', 'websocket', 'trading'];
   }
 
   async initialize() {
@@ -221,31 +224,42 @@ class KuCoinExchange {
     };
   }
 
-  async getBalance() {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+  toKuCoinSymbol(symbol) {
+    // Convert symbol format (e.g., BTC/USDT -> BTC-USDT)
+    return symbol.replace('/', '-');
+  }
 
-    try {
-      const endpoint = '/api/v1/accounts';
-      const { signature, timestamp, passphrase } = this.generateSignature('GET', endpoint);
+  /**
+   * Signeret REST kald - KuCoin svarer med { code: '200000', data }
+   */
+  async privateRequest(method, endpoint, body = null) {
+    const payload = body ? JSON.stringify(body) : '';
+    const { signature, timestamp, passphrase } = this.generateSignature(method, endpoint, payload);
 
-      const response = await fetch(`${this.baseUrl}${endpoint}`, {
-        headers: {
-          'KC-API-KEY': this.apiKey,
-          'KC-API-SIGN': signature,
-          'KC-API-TIMESTAMP': timestamp,
-          'KC-API-PASSPHRASE': passphrase,
-          'KC-API-KEY-VERSION': '2'
-        }
-      });
+    const result = await this.request(`${this.baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'KC-API-KEY': this.apiKey,
+        'KC-API-SIGN': signature,
+        'KC-API-TIMESTAMP': timestamp,
+        'KC-API-PASSPHRASE': passphrase,
+        'KC-API-KEY-VERSION': '2'
+      },
+      ...(body && { body: payload })
+    });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    if (result.code !== '200000') {
+      throw new Error(`${this.name} API error: ${result.msg || result.code}`);
+    }
+    return result.data;
+  }
 
-      const result = await response.json();
-      const accounts = result.data;
+  async getBalance() {
+    this.assertConnected();
+
+    try {
+      const accounts = await this.privateRequest('GET', '/api/v1/accounts');
       
       // Transform KuCoin account format to standardized format
       const balances = {};
@@ -279,8 +293,7 @@ class KuCoinExchange {
     }
 
     try {
-      // Convert symbol format (e.g., BTC/USDT -> BTC-USDT)
-      const kucoinSymbol = symbol.replace('/', '-');
+      const kucoinSymbol = this.toKuCoinSymbol(symbol);
       
       const response = await fetch(
         `${this.baseUrl}/api/v1/market/orderbook/level1?symbol=${kucoinSymbol}`
@@ -321,59 +334,50 @@ class KuCoinExchange {
     }
   }
 
+  /**
+   * KuCoin har faste dybder - level2_20 eller level2_100
+   */
+  async getOrderBook(symbol, depth = 20) {
+    const level = depth <= 20 ? 20 : 100;
+    const result = await this.request(
+      `${this.baseUrl}/api/v1/market/orderbook/level2_${level}?symbol=${this.toKuCoinSymbol(symbol)}`
+    );
+    const book = result.data;
+    return this.normalizeOrderBook(symbol, book.bids.slice(0, depth), book.asks.slice(0, depth), book.time);
+  }
+
   async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+    this.assertConnected();
 
-    const { symbol, side, amount, type = 'market' } = params;
+    const { symbol, side, type = 'market', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const kucoinSymbol = symbol.replace('/', '-');
-      const endpoint = '/api/v1/orders';
-      
       const orderData = {
-        clientOid: Date.now().toString(),
-        symbol: kucoinSymbol,
+        clientOid: clientOrderId || Date.now().toString(),
+        symbol: this.toKuCoinSymbol(symbol),
         side: side.toLowerCase(),
         type: type.toLowerCase(),
         size: amount.toString()
       };
 
-      const body = JSON.stringify(orderData);
-      const { signature, timestamp, passphrase } = this.generateSignature('POST', endpoint, body);
-
-      const response = await fetch(`${this.baseUrl}${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'KC-API-KEY': this.apiKey,
-          'KC-API-SIGN': signature,
-          'KC-API-TIMESTAMP': timestamp,
-          'KC-API-PASSPHRASE': passphrase,
-          'KC-API-KEY-VERSION': '2'
-        },
-        body
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`${this.name} order failed: ${error.msg || response.statusText}`);
+      if (orderData.type === 'limit') {
+        orderData.price = price.toString();
       }
 
-      const result = await response.json();
-      const data = result.data;
-      
-      return {
-        exchange: this.name,
+      const data = await this.privateRequest('POST', '/api/v1/orders', orderData);
+
+      // KuCoin returnerer kun id ved oprettelse - fill status hentes via getOrderStatus
+      return this.normalizeOrder({
         orderId: data.orderId,
-        symbol: kucoinSymbol.replace('-', '/'),
+        clientOrderId: orderData.clientOid,
+        symbol,
         side: orderData.side,
-        amount: parseFloat(orderData.size),
-        price: 0, // Market order price will be filled
-        status: 'submitted',
-        timestamp: new Date().toISOString()
-      };
+        type: orderData.type,
+        amount: orderData.size,
+        price: orderData.price,
+        status: 'NEW'
+      });
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -381,6 +385,70 @@ class KuCoinExchange {
     }
   }
 
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    await this.privateRequest('DELETE', `/api/v1/orders/${orderId}`);
+    return await this.getOrderStatus(symbol, orderId);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const data = await this.privateRequest('GET', `/api/v1/orders/${orderId}`);
+    return this.formatOrder(data);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const query = symbol ? `&symbol=${this.toKuCoinSymbol(symbol)}` : '';
+    const data = await this.privateRequest('GET', `/api/v1/orders?status=active${query}`);
+    return data.items.map(order => this.formatOrder(order));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    this.assertConnected();
+    const query = symbol ? `symbol=${this.toKuCoinSymbol(symbol)}&` : '';
+    const data = await this.privateRequest('GET', `/api/v1/fills?${query}pageSize=${limit}`);
+    return data.items.map(fill => this.normalizeTrade({
+      tradeId: fill.tradeId,
+      orderId: fill.orderId,
+      symbol: fill.symbol.replace('-', '/'),
+      side: fill.side,
+      price: fill.price,
+      amount: fill.size,
+      fee: fill.fee,
+      feeCurrency: fill.feeCurrency,
+      timestamp: fill.createdAt
+    }));
+  }
+
+  /**
+   * KuCoin har ingen status felt - udledes af isActive og cancelExist
+   */
+  formatOrder(data) {
+    const filled = parseFloat(data.dealSize || 0);
+    let status = 'FILLED';
+    if (data.isActive) {
+      status = 'NEW';
+    } else if (data.cancelExist) {
+      status = 'CANCELED';
+    }
+
+    return this.normalizeOrder({
+      orderId: data.id,
+      clientOrderId: data.clientOid,
+      symbol: data.symbol.replace('-', '/'),
+      side: data.side,
+      type: data.type,
+      amount: data.size,
+      price: data.price,
+      averagePrice: filled > 0 ? parseFloat(data.dealFunds || 0) / filled : 0,
+      filledAmount: filled,
+      fee: data.fee,
+      status,
+      timestamp: data.createdAt
+    });
+  }
+
   async disconnect() {
     if (this.ws) {
       this.ws.close();
@@ -9,6 +9,72 @@
 
 const QuantitativeEngine = require('./QuantitativeEngine');
 const DatabaseService = require('./DatabaseService');
+const KillSwitch = require('./KillSwitch');
+const PositionManager = require('./PositionManager');
+const riskConfig = require('../../config/risk-config');
+const { calculateSeries, summarize } = require('./TechnicalIndicators');
+const crypto = require('crypto');
+const { isPostgres, prepare, parseJSON } = require('./SqlDialect');
+
+// Agents need this many candles before they take a view - fewer gives HOLD
+const MIN_CANDLES = 20;
+
+// Ticks kept per symbol when marketData carries no candles
+const MAX_PRICE_HISTORY = 200;
+
+// Price forecasting: regression window and forecast horizon in bars
+const FORECAST_WINDOW = 50;
+const FORECAST_HORIZON = 5;
+
+// Strategy evaluation: SMA / z-score period of the candidate strategies
+const STRATEGY_PERIOD = 20;
+
+// Portfolio planning: per-bar volatility the position size is scaled to
+const TARGET_VOLATILITY = 0.02;
+
+// Risk control: CVaR (95%) per bar and drawdown from the window high
+const RISK_LIMITS = { maxTailLoss: 0.03, maxDrawdown: 0.1 };
+
+// Regime detection: per-bar volatility, recent/window volatility ratio, fitted trend and ADX
+const REGIME_THRESHOLDS = { highVolatility: 0.05, volatilityExpansion: 2, trend: 0.02, minAdx: 20, recentBars: 10 };
+
+// Meta-cognition: forward horizons (decision cycles per symbol) every agent decision is scored at
+const SCORING_HORIZONS = [1, 5, 20];
+
+// Scored outcomes kept between meta-cognition cycles - the oldest are dropped beyond this
+const MAX_SCORED_OUTCOMES = 5000;
+
+// Learned regime weights relative to an average agent (1.0)
+const WEIGHT_BOUNDS = { min: 0.25, max: 4 };
+
+// Master validation of risk-increasing decisions: drawdown (calculateMaxDrawdown) and volatility over the
+// last `window` bars, recent/window quote volume, bid/ask spread and how much of the position limit is used.
+// Beyond a downsize limit the size is halved (not below minSizeMultiplier), beyond a max limit it is vetoed.
+const MASTER_LIMITS = {
+  window: 50,
+  downsizeDrawdown: 0.1,
+  maxDrawdown: 0.2,
+  downsizeVolatility: 0.03,
+  maxVolatility: 0.06,
+  minLiquidityRatio: 0.25,
+  maxSpread: 0.005,
+  downsizePositionUsage: 0.75,
+  minSizeMultiplier: 0.25
+};
+
+// Reason codes on master vetoes and downsizes
+const MASTER_REASONS = {
+  DRAWDOWN: 'DRAWDOWN',
+  VOLATILITY: 'VOLATILITY',
+  LIQUIDITY: 'LIQUIDITY',
+  SPREAD: 'SPREAD',
+  POSITION_LIMIT: 'POSITION_LIMIT',
+  CONCENTRATION: 'CONCENTRATION',
+  ADVERSE_TIMING: 'ADVERSE_TIMING'
+};
+
+// decision_type of the orchestration cycles in ai_decisions
+const CYCLE_DECISION_TYPE = 'master_agent_cycle';
 
 class MasterAgentSystem {
   constructor() {
@@ -23,6 +89,23 @@ class MasterAgentSystem {
     this.performanceTracker = new Map();
     this.marketRegimes = ['BULL', 'BEAR', 'SIDEWAYS', 'HIGH_VOLATILITY'];
     this.currentRegime = 'UNKNOWN';
+    this.priceHistory = new Map();
+
+    // Forward return scoring and learned weights (persisted when a database is given)
+    this.database = null;
+    this.scoringHorizons = SCORING_HORIZONS;
+    this.decisionClock = new Map();
+    this.pendingDecisions = new Map();
+    this.scoredOutcomes = [];
+    this.metaCognitionTimer = null;
+    this.coordinatorAgentId = undefined;
+
+    // Positioner og grænser til master validering - marketData.positions går forud
+    this.positionManager = PositionManager;
+    this.riskLimits = riskConfig;
+    
+    // Live eksekvering respekterer nødstop - backtests sætter den til null
+    this.killSwitch = KillSwitch;
     
     this.initializeConflictResolution();
   }
@@ -30,7 +113,8 @@ class MasterAgentSystem {
   /**
    * Initialize the complete agent ecosystem
    */
-  async initialize() {
+  async initialize({ database = DatabaseService } = {}) {
+    this.database = database;
     await this.initializeMasterAgent();
     await this.initializeSpecializedAgents();
     await this.loadHistoricalPerformance();
@@ -62,7 +146,10 @@ class MasterAgentSystem {
       performance: {
         consensusAccuracy: 0.85,
         conflictResolutions: 0,
-        successfulCoordinations: 0
+        successfulCoordinations: 0,
+        vetoes: 0,
+        downsizes: 0,
+        overrideReasons: {}
       },
       lastDecision: null,
       status: 'active'
@@ -173,12 +260,25 @@ class MasterAgentSystem {
    * Core Decision Orchestration - The heart of the system
    */
   async orchestrateDecision(marketData) {
+    if (this.killSwitch && this.killSwitch.isTripped()) {
+      return {
+        ...this.createSafetyDecision(),
+        reasoning: 'Trading halted by kill switch',
+        executionRecommendation: 'HOLD',
+        killSwitch: true
+      };
+    }
+
     try {
+      marketData = this.attachCandles(marketData);
+      this.scoreForwardReturns(marketData);
+
       // 1. Detect current market regime
       this.currentRegime = await this.detectMarketRegime(marketData);
       
       // 2. Gather decisions from all specialized agents
-      const agentDecisions = await this.gatherAgentDecisions(marketData);
+      const rawDecisions = [];
+      const agentDecisions = await this.gatherAgentDecisions(marketData, rawDecisions);
       
       // 3. Detect and resolve conflicts
       const conflicts = this.detectConflicts(agentDecisions);
@@ -188,10 +288,10 @@ class MasterAgentSystem {
       const consensus = await this.buildConsensus(resolvedDecisions);
       
       // 5. Master agent final validation and risk check
-      const finalDecision = await this.masterAgentValidation(consensus);
+      const finalDecision = await this.masterAgentValidation(consensus, marketData);
       
       // 6. Log and learn from the decision
-      await this.logDecisionCycle(finalDecision, agentDecisions);
+      await this.logDecisionCycle(finalDecision, agentDecisions, marketData, { rawDecisions, conflicts });
       
       return finalDecision;
       
@@ -204,12 +304,13 @@ class MasterAgentSystem {
   /**
    * Gather decisions from all specialized agents
    */
-  async gatherAgentDecisions(marketData) {
+  async gatherAgentDecisions(marketData, rawDecisions = []) {
     const decisions = [];
     
     for (const [agentId, agent] of this.specializedAgents) {
       try {
         const decision = await this.getAgentDecision(agent, marketData);
+        rawDecisions.push({ ...decision });
         
         // Apply regime-specific confidence adjustment
         const adjustedDecision = this.adjustForRegime(decision, this.currentRegime);
@@ -220,7 +321,9 @@ class MasterAgentSystem {
         console.error(`❌ Agent ${agentId} decision failed:`, error);
         
         // Create fallback decision
-        decisions.push(this.createFallbackDecision(agent));
+        const fallback = this.createFallbackDecision(agent);
+        rawDecisions.push({ ...fallback });
+        decisions.push(fallback);
       }
     }
     
@@ -392,20 +495,23 @@ class MasterAgentSystem {
   }
 
   /**
-   * Master Agent Final Validation
+   * Master Agent Final Validation - risk, timing and portfolio impact from the market data
+   * and current positions. Risk-increasing decisions can be vetoed (HOLD) or downsized.
    */
-  async masterAgentValidation(consensus) {
+  async masterAgentValidation(consensus, marketData = {}) {
+    const market = this.measureMarket(marketData);
+
     // Risk checks
-    const riskAssessment = await this.assessOverallRisk(consensus);
+    const riskAssessment = await this.assessOverallRisk(consensus, market);
     
     // Market timing check
-    const timingAssessment = await this.assessMarketTiming(consensus);
+    const timingAssessment = await this.assessMarketTiming(consensus, market);
     
     // Portfolio impact check
-    const portfolioImpact = await this.assessPortfolioImpact(consensus);
+    const portfolioImpact = await this.assessPortfolioImpact(consensus, marketData);
     
     // Master agent meta-decision
-    const masterOverride = await this.checkMasterOverride(consensus, riskAssessment);
+    const masterOverride = await this.checkMasterOverride(consensus, riskAssessment, timingAssessment, portfolioImpact);
     
     const finalDecision = {
       ...consensus,
@@ -414,24 +520,214 @@ class MasterAgentSystem {
         timingAssessment,
         portfolioImpact,
         masterOverride,
-        finalApproval: this.getFinalApproval(riskAssessment, timingAssessment, portfolioImpact)
+        finalApproval: this.getFinalApproval(riskAssessment, timingAssessment, portfolioImpact, masterOverride)
       },
-      executionRecommendation: this.getExecutionRecommendation(consensus, riskAssessment)
+      executionRecommendation: this.getExecutionRecommendation(consensus, riskAssessment, masterOverride),
+      sizeMultiplier: masterOverride ? masterOverride.sizeMultiplier : 1
     };
 
     // Update master agent performance
-    this.masterAgent.performance.successfulCoordinations++;
+    const performance = this.masterAgent.performance;
+    performance.successfulCoordinations++;
+    if (masterOverride) {
+      performance[masterOverride.type === 'VETO' ? 'vetoes' : 'downsizes']++;
+      for (const { code } of masterOverride.reasons) {
+        performance.overrideReasons[code] = (performance.overrideReasons[code] || 0) + 1;
+      }
+    }
     this.masterAgent.lastDecision = finalDecision;
 
     return finalDecision;
   }
 
+  /**
+   * Drawdown, volatility, liquidity and spread over the last MASTER_LIMITS.window bars
+   */
+  measureMarket(marketData) {
+    const candles = (marketData.candles || []).slice(-MASTER_LIMITS.window);
+    const closes = this.closesOf(candles);
+    const enough = closes.length >= MIN_CANDLES;
+    const returns = this.returnsOf(closes);
+
+    // Quote volume of the last bars against the window - null when the data has no volume
+    const quoteVolumes = candles.map(candle => (parseFloat(candle.volume) || 0) * (parseFloat(candle.close) || 0));
+    const recent = quoteVolumes.slice(-REGIME_THRESHOLDS.recentBars);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const liquidityRatio = enough && mean(quoteVolumes) > 0 ? mean(recent) / mean(quoteVolumes) : null;
+
+    const bid = parseFloat(marketData.bid);
+    const ask = parseFloat(marketData.ask);
+    const spread = bid > 0 && ask >= bid ? (ask - bid) / ((ask + bid) / 2) : null;
+
+    return {
+      bars: closes.length,
+      drawdown: enough ? this.quantEngine.calculateMaxDrawdown(closes).maxDrawdown : null,
+      volatility: enough ? this.quantEngine.calculateVolatility(returns) : null,
+      liquidityRatio,
+      spread
+    };
+  }
+
+  masterReason(code, severity, message, limit, value) {
+    return { code, severity, message, limit, value };
+  }
+
+  // Two-sided check: beyond max gives VETO, beyond downsize gives DOWNSIZE
+  limitReason(code, label, value, downsizeLimit, maxLimit) {
+    if (value === null) return null;
+    if (value > maxLimit) {
+      return this.masterReason(code, 'VETO', `${label} ${this.formatPercent(value)} beyond ${this.formatPercent(maxLimit)}`, maxLimit, value);
+    }
+    if (value > downsizeLimit) {
+      return this.masterReason(code, 'DOWNSIZE', `${label} ${this.formatPercent(value)} beyond ${this.formatPercent(downsizeLimit)}`, downsizeLimit, value);
+    }
+    return null;
+  }
+
+  /**
+   * Recent drawdown and volatility against MASTER_LIMITS
+   */
+  async assessOverallRisk(consensus, market = this.measureMarket({})) {
+    if (market.drawdown === null) {
+      return { level: 'MEDIUM', drawdown: null, volatility: null, reasons: [], detail: `Only ${market.bars} candles - risk unknown` };
+    }
+
+    const reasons = [
+      this.limitReason(MASTER_REASONS.DRAWDOWN, 'Recent max drawdown', market.drawdown, MASTER_LIMITS.downsizeDrawdown, MASTER_LIMITS.maxDrawdown),
+      this.limitReason(MASTER_REASONS.VOLATILITY, 'Volatility', market.volatility, MASTER_LIMITS.downsizeVolatility, MASTER_LIMITS.maxVolatility)
+    ].filter(Boolean);
+
+    let level = 'LOW';
+    if (reasons.some(reason => reason.severity === 'VETO')) level = 'EXTREME';
+    else if (reasons.length > 0) level = 'HIGH';
+    else if (market.drawdown > MASTER_LIMITS.downsizeDrawdown / 2 || market.volatility > MASTER_LIMITS.downsizeVolatility / 2) level = 'MEDIUM';
+
+    return { level, drawdown: market.drawdown, volatility: market.volatility, reasons };
+  }
+
+  /**
+   * Regime against the direction of the decision, liquidity drying up and the spread
+   */
+  async assessMarketTiming(consensus, market = this.measureMarket({})) {
+    const direction = Math.sign(this.convertActionToScore(consensus.action));
+    const reasons = [];
+
+    if (market.liquidityRatio !== null && market.liquidityRatio < MASTER_LIMITS.minLiquidityRatio) {
+      reasons.push(this.masterReason(MASTER_REASONS.LIQUIDITY, 'VETO',
+        `Recent quote volume ${this.formatPercent(market.liquidityRatio)} of the window average, minimum ${this.formatPercent(MASTER_LIMITS.minLiquidityRatio)}`,
+        MASTER_LIMITS.minLiquidityRatio, market.liquidityRatio));
+    }
+    if (market.spread !== null && market.spread > MASTER_LIMITS.maxSpread) {
+      reasons.push(this.masterReason(MASTER_REASONS.SPREAD, 'VETO',
+        `Spread ${this.formatPercent(market.spread)} beyond ${this.formatPercent(MASTER_LIMITS.maxSpread)}`, MASTER_LIMITS.maxSpread, market.spread));
+    }
+
+    const against = (consensus.regime === 'BULL' && direction < 0) || (consensus.regime === 'BEAR' && direction > 0);
+    if (direction !== 0 && (against || consensus.regime === 'HIGH_VOLATILITY')) {
+      reasons.push(this.masterReason(MASTER_REASONS.ADVERSE_TIMING, 'DOWNSIZE',
+        `${consensus.action} in a ${consensus.regime} regime`, null, consensus.regime));
+    }
+
+    let timing = 'NEUTRAL';
+    if (reasons.length > 0) timing = 'UNFAVORABLE';
+    else if (direction !== 0 && (consensus.regime === 'BULL' || consensus.regime === 'BEAR')) timing = 'FAVORABLE';
+
+    return { timing, regime: consensus.regime, liquidityRatio: market.liquidityRatio, spread: market.spread, reasons };
+  }
+
+  /**
+   * Current position in the symbol and gross exposure against the RiskEngine limits.
+   * Decisions against the current position reduce risk and are never limited.
+   */
+  async assessPortfolioImpact(consensus, marketData = {}) {
+    const direction = Math.sign(this.convertActionToScore(consensus.action));
+    const positions = Array.isArray(marketData.positions)
+      ? marketData.positions
+      : this.positionManager && this.positionManager.isReady ? this.positionManager.getPositions() : [];
+
+    const held = positions.filter(position => position.symbol === marketData.symbol);
+    const signed = held.reduce((sum, position) => sum + (position.side === 'short' ? -1 : 1) * (position.marketValue || 0), 0);
+    const symbolExposure = Math.abs(signed);
+    const grossExposure = positions.reduce((sum, position) => sum + Math.abs(position.marketValue || 0), 0);
+    const reducing = direction !== 0 && Math.sign(signed) === -direction;
+    const positionUsage = this.riskLimits.maxPositionNotional > 0 ? symbolExposure / this.riskLimits.maxPositionNotional : 0;
+    const concentration = grossExposure > 0 ? symbolExposure / grossExposure : 0;
+
+    const reasons = [];
+    if (direction !== 0 && !reducing) {
+      if (positionUsage >= 1) {
+        reasons.push(this.masterReason(MASTER_REASONS.POSITION_LIMIT, 'VETO',
+          `${marketData.symbol} exposure ${symbolExposure.toFixed(2)} at the position limit ${this.riskLimits.maxPositionNotional}`,
+          this.riskLimits.maxPositionNotional, symbolExposure));
+      } else if (positionUsage > MASTER_LIMITS.downsizePositionUsage) {
+        reasons.push(this.masterReason(MASTER_REASONS.POSITION_LIMIT, 'DOWNSIZE',
+          `${marketData.symbol} exposure uses ${this.formatPercent(positionUsage)} of the position limit`,
+          MASTER_LIMITS.downsizePositionUsage, positionUsage));
+      }
+      if (grossExposure >= this.riskLimits.concentrationMinExposure && concentration > this.riskLimits.maxConcentration) {
+        reasons.push(this.masterReason(MASTER_REASONS.CONCENTRATION, 'DOWNSIZE',
+          `${marketData.symbol} is ${this.formatPercent(concentration)} of gross exposure, limit ${this.formatPercent(this.riskLimits.maxConcentration)}`,
+          this.riskLimits.maxConcentration, concentration));
+      }
+    }
+
+    let impact = 'LOW';
+    if (reasons.some(reason => reason.severity === 'VETO')) impact = 'EXCESSIVE';
+    else if (reasons.length > 0) impact = 'HIGH';
+    else if (!reducing && direction !== 0 && positionUsage > MASTER_LIMITS.downsizePositionUsage / 2) impact = 'MEDIUM';
+
+    return {
+      impact,
+      reducing,
+      position: held.length > 0 ? { side: signed >= 0 ? 'long' : 'short', marketValue: symbolExposure } : null,
+      symbolExposure,
+      grossExposure,
+      positionUsage,
+      concentration,
+      reasons
+    };
+  }
+
+  /**
+   * VETO when any assessment breaches a max limit, DOWNSIZE when only downsize limits are breached.
+   * HOLD and risk-reducing decisions pass untouched.
+   */
+  async checkMasterOverride(consensus, riskAssessment, timingAssessment = { reasons: [] }, portfolioImpact = { reasons: [] }) {
+    const direction = Math.sign(this.convertActionToScore(consensus.action));
+    if (direction === 0 || portfolioImpact.reducing) return null;
+
+    const reasons = [riskAssessment, timingAssessment, portfolioImpact].flatMap(assessment => assessment.reasons || []);
+    if (reasons.length === 0) return null;
+
+    if (reasons.some(reason => reason.severity === 'VETO')) {
+      return { type: 'VETO', reasons, sizeMultiplier: 0 };
+    }
+    return {
+      type: 'DOWNSIZE',
+      reasons,
+      sizeMultiplier: Math.max(MASTER_LIMITS.minSizeMultiplier, Math.pow(0.5, reasons.length))
+    };
+  }
+
+  getFinalApproval(risk, timing, portfolio, override = null) {
+    return !override || override.type !== 'VETO';
+  }
+
+  // A veto is HOLD, a downsize steps the action one level towards HOLD
+  getExecutionRecommendation(consensus, risk, override = null) {
+    if (!override) return consensus.action;
+    if (override.type === 'VETO') return 'HOLD';
+
+    const smaller = { STRONG_BUY: 'BUY', BUY: 'PARTIAL_BUY', STRONG_SELL: 'SELL', SELL: 'PARTIAL_SELL' };
+    return smaller[consensus.action] || consensus.action;
+  }
+
   /**
    * Meta-Cognition Loop - Continuous self-improvement
    */
   startMetaCognitionLoop() {
     // Run meta-cognition every 5 minutes
-    setInterval(() => {
+    this.metaCognitionTimer = setInterval(() => {
       this.runMetaCognition();
     }, 5 * 60 * 1000);
   }
@@ -449,38 +745,664 @@ class MasterAgentSystem {
       
       // Adapt to market regime changes
       await this.adaptToMarketChanges();
+
+      // Persist learned weights and their history
+      await this.savePerformance(performanceAnalysis);
       
       console.log('🧠 Meta-cognition cycle completed');
+      return performanceAnalysis;
       
     } catch (error) {
       console.error('❌ Meta-cognition error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Score agent decisions against realized forward returns. Every orchestrated decision
+   * advances the symbol's clock; a decision is scored once at each horizon in scoringHorizons.
+   * HOLD is a hit when the move stayed within round-trip fees.
+   */
+  scoreForwardReturns(marketData) {
+    const symbol = marketData.symbol || 'default';
+    const clock = (this.decisionClock.get(symbol) || 0) + 1;
+    this.decisionClock.set(symbol, clock);
+
+    const price = this.currentPrice(marketData);
+    const pending = this.pendingDecisions.get(symbol) || [];
+    if (!(price > 0) || pending.length === 0) return [];
+
+    const minEdge = 2 * this.quantEngine.transactionCosts.takerFee;
+    const maxHorizon = Math.max(...this.scoringHorizons);
+    const scored = [];
+
+    for (const record of pending) {
+      const horizon = clock - record.clock;
+      if (!this.scoringHorizons.includes(horizon)) continue;
+
+      const forwardReturn = price / record.price - 1;
+      for (const agent of record.agents) {
+        scored.push({
+          agentId: agent.agentId,
+          symbol,
+          regime: record.regime,
+          horizon,
+          recommendation: agent.recommendation,
+          direction: agent.direction,
+          forwardReturn,
+          hit: agent.direction === 0 ? Math.abs(forwardReturn) <= minEdge : agent.direction * forwardReturn > 0,
+          decidedAt: record.timestamp
+        });
+      }
+    }
+
+    this.pendingDecisions.set(symbol, pending.filter(record => clock - record.clock < maxHorizon));
+    this.scoredOutcomes.push(...scored);
+    if (this.scoredOutcomes.length > MAX_SCORED_OUTCOMES) {
+      this.scoredOutcomes.splice(0, this.scoredOutcomes.length - MAX_SCORED_OUTCOMES);
+    }
+    return scored;
+  }
+
+  currentPrice(marketData) {
+    if (marketData.price > 0) return marketData.price;
+    const closes = this.closesOf(marketData.candles || []);
+    return closes.length > 0 ? closes[closes.length - 1] : null;
+  }
+
+  /**
+   * Persist the cycle's audit record and queue the agents' recommendations for forward return scoring
+   */
+  async logDecisionCycle(decision, agentDecisions, marketData = {}, { rawDecisions = agentDecisions, conflicts = [] } = {}) {
+    decision.cycleId = this.generateCycleId();
+    await this.persistDecisionCycle(this.buildCycleAudit(decision, agentDecisions, marketData, rawDecisions, conflicts), marketData);
+    this.queueForScoring(decision, agentDecisions, marketData);
+  }
+
+  generateCycleId() {
+    return `cycle_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Everything behind a decision: each agent's raw and conflict-adjusted decision,
+   * the conflicts and how they were resolved, consensus, master validation and final action
+   */
+  buildCycleAudit(decision, agentDecisions, marketData, rawDecisions, conflicts) {
+    const raw = new Map(rawDecisions.map(d => [d.agentId, d]));
+    const weights = (decision.metaData && decision.metaData.weightDistribution) || {};
+
+    return {
+      cycleId: decision.cycleId,
+      timestamp: decision.timestamp,
+      symbol: marketData.symbol || null,
+      price: this.currentPrice(marketData),
+      regime: decision.regime,
+      agents: agentDecisions.map(d => {
+        const before = raw.get(d.agentId) || d;
+        return {
+          agentId: d.agentId,
+          raw: {
+            recommendation: before.recommendation,
+            confidence: before.confidence,
+            reasoning: before.reasoning || null,
+            evidence: before.evidence || [],
+            isFallback: !!before.isFallback
+          },
+          adjusted: {
+            recommendation: d.recommendation,
+            confidence: d.confidence,
+            conflictAdjustment: d.conflictAdjustment || null
+          },
+          weight: weights[d.agentId] !== undefined ? weights[d.agentId] : null
+        };
+      }),
+      conflicts: conflicts.map(conflict => {
+        const rule = this.conflictResolutionRules.get(conflict.type) || {};
+        return {
+          type: conflict.type,
+          severity: conflict.severity,
+          description: conflict.description,
+          agents: conflict.agents.map(d => d.agentId),
+          resolution: rule.resolution || null,
+          tieBreaker: rule.tieBreaker || null,
+          leader: (rule.leaders && rule.leaders[decision.regime]) || null,
+          adjustments: conflict.agents.filter(d => d.conflictAdjustment).map(d => ({
+            agentId: d.agentId,
+            adjustment: d.conflictAdjustment,
+            confidenceBefore: raw.has(d.agentId) ? raw.get(d.agentId).confidence : null,
+            confidenceAfter: d.confidence
+          }))
+        };
+      }),
+      consensus: { action: decision.action, score: decision.score, confidence: decision.confidence },
+      masterValidation: decision.masterValidation || null,
+      finalAction: decision.executionRecommendation || decision.action
+    };
+  }
+
+  /**
+   * One ai_decisions row per cycle - PostgreSQLDatabaseService.logAIDecision or the SQLite table.
+   * A failing write is logged, never turned into a safety decision.
+   */
+  async persistDecisionCycle(audit, marketData = {}) {
+    if (!this.database) return;
+
+    const input = {
+      symbol: audit.symbol,
+      price: audit.price,
+      candles: (marketData.candles || []).length,
+      timestamp: marketData.timestamp || audit.timestamp
+    };
+    const reasoning = `${audit.regime}: consensus ${audit.consensus.action} (${audit.consensus.score.toFixed(2)}) → ${audit.finalAction}, ` +
+      `${audit.conflicts.length} conflict${audit.conflicts.length === 1 ? '' : 's'}`;
+
+    try {
+      const agentId = await this.getCoordinatorAgentId();
+      if (isPostgres(this.database)) {
+        await this.database.logAIDecision(agentId, CYCLE_DECISION_TYPE, audit.consensus.confidence, {
+          input,
+          reasoning,
+          output: audit,
+          action: audit.finalAction,
+          cycleId: audit.cycleId
+        });
+      } else {
+        await this.run(
+          'INSERT INTO ai_decisions (agent_id, decision_type, confidence, reasoning, input_data, result, cycle_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [agentId, CYCLE_DECISION_TYPE, audit.consensus.confidence, reasoning, JSON.stringify(input), JSON.stringify(audit), audit.cycleId]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Decision audit log failed:', error.message);
+    }
+  }
+
+  // The Master Agent row in ai_agents (the coordinator)
+  async getCoordinatorAgentId() {
+    if (this.coordinatorAgentId === undefined) {
+      const [row] = await this.all("SELECT id FROM ai_agents WHERE type = 'coordinator' ORDER BY created_at LIMIT 1");
+      this.coordinatorAgentId = row ? row.id : null;
+    }
+    return this.coordinatorAgentId;
+  }
+
+  queueForScoring(decision, agentDecisions, marketData) {
+    const price = this.currentPrice(marketData);
+    if (!(price > 0)) return;
+
+    const symbol = marketData.symbol || 'default';
+    const pending = this.pendingDecisions.get(symbol) || [];
+    pending.push({
+      clock: this.decisionClock.get(symbol) || 0,
+      price,
+      regime: decision.regime || this.currentRegime,
+      timestamp: decision.timestamp,
+      agents: agentDecisions.filter(d => !d.isFallback).map(d => ({
+        agentId: d.agentId,
+        recommendation: d.recommendation,
+        direction: Math.sign(this.convertActionToScore(d.recommendation))
+      }))
+    });
+    this.pendingDecisions.set(symbol, pending);
+  }
+
+  /**
+   * Attribution of the outcomes scored since the last cycle: hit rate and average
+   * directional return per agent, regime and horizon
+   */
+  async analyzeRecentPerformance() {
+    const outcomes = this.scoredOutcomes.splice(0);
+    const groups = new Map();
+
+    for (const outcome of outcomes) {
+      const key = `${outcome.agentId}|${outcome.regime}|${outcome.horizon}`;
+      const group = groups.get(key) || { agentId: outcome.agentId, regime: outcome.regime, horizon: outcome.horizon, samples: 0, hits: 0, totalReturn: 0 };
+      group.samples++;
+      group.hits += outcome.hit ? 1 : 0;
+      group.totalReturn += outcome.direction * outcome.forwardReturn;
+      groups.set(key, group);
+    }
+
+    return {
+      outcomes,
+      regimes: [...new Set(outcomes.map(outcome => outcome.regime))],
+      attribution: [...groups.values()].map(group => ({
+        agentId: group.agentId,
+        regime: group.regime,
+        horizon: group.horizon,
+        samples: group.samples,
+        hitRate: group.hits / group.samples,
+        avgReturn: group.totalReturn / group.samples
+      }))
+    };
+  }
+
+  /**
+   * Multiplicative weights per regime: each scored outcome multiplies the agent's weight by
+   * exp(±adaptationRate), after which the regime's weights are renormalized to average 1.
+   * Hit rate and directional return per horizon are exponentially weighted with the same rate.
+   */
+  async adjustAgentWeights(analysis) {
+    for (const outcome of analysis.outcomes) {
+      const tracker = this.performanceTracker.get(outcome.agentId);
+      if (!tracker) continue;
+
+      const rate = tracker.adaptationRate;
+      const hit = outcome.hit ? 1 : 0;
+      const stats = this.regimeStats(outcome.agentId, outcome.regime);
+      stats.weight *= Math.exp(rate * (outcome.hit ? 1 : -1));
+      stats.hitRate += rate * (hit - stats.hitRate);
+      stats.samples++;
+
+      const horizon = stats.horizons[outcome.horizon] || { hitRate: 0.5, avgReturn: 0, samples: 0 };
+      horizon.hitRate += rate * (hit - horizon.hitRate);
+      horizon.avgReturn += rate * (outcome.direction * outcome.forwardReturn - horizon.avgReturn);
+      horizon.samples++;
+      stats.horizons[outcome.horizon] = horizon;
+
+      const agent = this.specializedAgents.get(outcome.agentId);
+      agent.performance.totalDecisions++;
+      agent.performance.successfulDecisions += hit;
+      agent.performance.accuracy = agent.performance.successfulDecisions / agent.performance.totalDecisions;
+    }
+
+    for (const regime of analysis.regimes) {
+      const all = [...this.specializedAgents.keys()].map(agentId => this.regimeStats(agentId, regime));
+      const mean = all.reduce((sum, stats) => sum + stats.weight, 0) / all.length;
+      for (const stats of all) {
+        stats.weight = Math.max(WEIGHT_BOUNDS.min, Math.min(WEIGHT_BOUNDS.max, stats.weight / mean));
+      }
+    }
+  }
+
+  regimeStats(agentId, regime) {
+    const tracker = this.performanceTracker.get(agentId);
+    if (!tracker.regimePerformance.has(regime)) {
+      tracker.regimePerformance.set(regime, { weight: 1, hitRate: 0.5, samples: 0, horizons: {}, updatedAt: null });
+    }
+    return tracker.regimePerformance.get(regime);
+  }
+
+  /**
+   * The best weighted agent per regime breaks confidence conflicts
+   */
+  async updateConflictResolutionRules(analysis) {
+    const rule = this.conflictResolutionRules.get('CONFIDENCE_CONFLICT');
+    const leaders = { ...(rule.leaders || {}) };
+
+    for (const regime of analysis.regimes) {
+      let leader = null;
+      for (const [agentId, tracker] of this.performanceTracker) {
+        const stats = tracker.regimePerformance.get(regime);
+        if (stats && stats.samples > 0 && (!leader || stats.weight > leader.weight)) {
+          leader = { agentId, weight: stats.weight };
+        }
+      }
+      if (leader) leaders[regime] = leader.agentId;
+    }
+
+    rule.leaders = leaders;
+  }
+
+  async resolveConfidenceConflict(conflict, decisions) {
+    const rule = this.conflictResolutionRules.get('CONFIDENCE_CONFLICT');
+    const leaderId = rule.leaders && rule.leaders[this.currentRegime];
+    const leader = decisions.find(d => d.agentId === leaderId);
+    if (!leader) return;
+
+    conflict.agents.forEach(d => {
+      if (d !== leader && d.recommendation !== leader.recommendation) {
+        d.confidence *= 0.8;
+        d.conflictAdjustment = 'PERFORMANCE_HISTORY';
+      }
+    });
+  }
+
+  /**
+   * Point every agent's market view at the learned statistics for the current regime
+   */
+  async adaptToMarketChanges() {
+    for (const [agentId, agent] of this.specializedAgents) {
+      const stats = this.performanceTracker.get(agentId).regimePerformance.get(this.currentRegime);
+      agent.state.currentMarketView = stats
+        ? { regime: this.currentRegime, weight: stats.weight, hitRate: stats.hitRate, samples: stats.samples }
+        : { regime: this.currentRegime, weight: 1, hitRate: null, samples: 0 };
+      agent.state.adaptationSignal = agent.state.currentMarketView.weight - 1;
+      agent.state.lastUpdate = new Date();
+    }
+  }
+
+  // Learned weight of the agent in the regime (1.0 until it has been scored there)
+  getPerformanceMultiplier(agentId, regime = this.currentRegime) {
+    const tracker = this.performanceTracker.get(agentId);
+    const stats = tracker && tracker.regimePerformance.get(regime);
+    return stats ? stats.weight : 1.0;
+  }
+
+  /**
+   * Upsert weights in agent_weights and append the regimes updated this cycle to agent_weight_history
+   */
+  async savePerformance(analysis) {
+    if (!this.database) return;
+
+    const now = new Date().toISOString();
+    for (const [agentId, tracker] of this.performanceTracker) {
+      for (const regime of analysis.regimes) {
+        const stats = tracker.regimePerformance.get(regime);
+        if (!stats) continue;
+        stats.updatedAt = now;
+
+        await this.run(
+          `INSERT INTO agent_weights (regime, agent_id, weight, hit_rate, samples, attribution, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT (regime, agent_id) DO UPDATE SET
+            weight = excluded.weight, hit_rate = excluded.hit_rate, samples = excluded.samples,
+            attribution = excluded.attribution, updated_at = excluded.updated_at`,
+          [regime, agentId, stats.weight, stats.hitRate, stats.samples, JSON.stringify(stats.horizons), now]
+        );
+        await this.run(
+          'INSERT INTO agent_weight_history (regime, agent_id, weight, hit_rate, samples, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [regime, agentId, stats.weight, stats.hitRate, stats.samples, now]
+        );
+      }
+    }
+  }
+
+  async loadHistoricalPerformance() {
+    if (!this.database) return;
+
+    const rows = await this.all('SELECT * FROM agent_weights');
+    for (const row of rows) {
+      if (!this.performanceTracker.has(row.agent_id)) continue;
+      Object.assign(this.regimeStats(row.agent_id, row.regime), {
+        weight: parseFloat(row.weight),
+        hitRate: parseFloat(row.hit_rate),
+        samples: parseInt(row.samples),
+        horizons: parseJSON(row.attribution, {}),
+        updatedAt: row.updated_at
+      });
+    }
+
+    if (rows.length > 0) {
+      console.log(`📈 Loaded learned agent weights for ${new Set(rows.map(row => row.regime)).size} regimes`);
+    }
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  /**
+   * Persisted weights per regime with attribution, and their history (newest first)
+   */
+  static async readPerformance({ database = DatabaseService, historyLimit = 200 } = {}) {
+    const weights = await database.all(prepare(database, 'SELECT * FROM agent_weights ORDER BY regime, agent_id'));
+    const history = await database.all(
+      prepare(database, 'SELECT * FROM agent_weight_history ORDER BY id DESC LIMIT ?'),
+      [historyLimit]
+    );
+
+    return {
+      horizons: SCORING_HORIZONS,
+      weights: weights.map(row => ({
+        regime: row.regime,
+        agentId: row.agent_id,
+        weight: parseFloat(row.weight),
+        hitRate: parseFloat(row.hit_rate),
+        samples: parseInt(row.samples),
+        attribution: parseJSON(row.attribution, {}),
+        updatedAt: row.updated_at
+      })),
+      history: history.map(row => ({
+        regime: row.regime,
+        agentId: row.agent_id,
+        weight: parseFloat(row.weight),
+        hitRate: parseFloat(row.hit_rate),
+        samples: parseInt(row.samples),
+        timestamp: row.created_at
+      }))
+    };
+  }
+
+  // ai_decisions differs between the schemas: time/output_data in PostgreSQL, timestamp/result in SQLite
+  static cycleColumns(database) {
+    return isPostgres(database)
+      ? { time: 'time', audit: 'output_data', order: 'time DESC', symbol: "input_data->>'symbol'" }
+      : { time: 'timestamp', audit: 'result', order: 'id DESC', symbol: "json_extract(input_data, '$.symbol')" };
+  }
+
+  /**
+   * Recorded orchestration cycles, newest first
+   */
+  static async listDecisionCycles({ database = DatabaseService, symbol = null, limit = 50 } = {}) {
+    const columns = MasterAgentSystem.cycleColumns(database);
+    const params = [CYCLE_DECISION_TYPE];
+    let sql = 'SELECT * FROM ai_decisions WHERE decision_type = ?';
+    if (symbol) {
+      sql += ` AND ${columns.symbol} = ?`;
+      params.push(symbol);
+    }
+    sql += ` ORDER BY ${columns.order} LIMIT ?`;
+    params.push(limit);
+
+    const rows = await database.all(prepare(database, sql), params);
+    return rows.map(row => {
+      const audit = parseJSON(row[columns.audit], {});
+      return {
+        cycleId: row.cycle_id,
+        timestamp: audit.timestamp || row[columns.time],
+        symbol: audit.symbol,
+        regime: audit.regime,
+        finalAction: audit.finalAction,
+        consensusScore: audit.consensus ? audit.consensus.score : null,
+        confidence: parseFloat(row.confidence),
+        conflicts: (audit.conflicts || []).length,
+        reasoning: row.reasoning
+      };
+    });
+  }
+
+  static async getDecisionCycle(cycleId, { database = DatabaseService } = {}) {
+    const columns = MasterAgentSystem.cycleColumns(database);
+    const [row] = await database.all(
+      prepare(database, 'SELECT * FROM ai_decisions WHERE decision_type = ? AND cycle_id = ? LIMIT 1'),
+      [CYCLE_DECISION_TYPE, cycleId]
+    );
+    return row ? parseJSON(row[columns.audit], null) : null;
+  }
+
+  /**
+   * The recorded cycle with its consensus recomputed from the recorded adjusted decisions
+   * and weights - replay.matches is false if the record does not explain the decision
+   */
+  static async replayDecisionCycle(cycleId, options = {}) {
+    const audit = await MasterAgentSystem.getDecisionCycle(cycleId, options);
+    if (!audit) return null;
+
+    const scorer = MasterAgentSystem.prototype;
+    let weighted = 0;
+    let total = 0;
+    for (const agent of audit.agents) {
+      if (agent.weight === null) continue;
+      weighted += scorer.convertActionToScore(agent.adjusted.recommendation) * agent.weight;
+      total += agent.weight;
+    }
+    const score = total > 0 ? weighted / total : 0;
+    const action = scorer.convertScoreToAction(score);
+
+    return {
+      ...audit,
+      replay: {
+        score,
+        action,
+        matches: Math.abs(score - audit.consensus.score) < 1e-9 && action === audit.consensus.action
+      }
+    };
+  }
+
+  /**
+   * What changed between two cycles: regime, consensus and final action, each agent's
+   * adjusted decision and weight, and which conflicts appeared or went away
+   */
+  static async diffDecisionCycles(fromCycleId, toCycleId, options = {}) {
+    const [from, to] = await Promise.all([
+      MasterAgentSystem.getDecisionCycle(fromCycleId, options),
+      MasterAgentSystem.getDecisionCycle(toCycleId, options)
+    ]);
+    if (!from || !to) return null;
+
+    const change = (before, after) => {
+      if (before === after) return null;
+      const diff = { from: before, to: after };
+      if (typeof before === 'number' && typeof after === 'number') diff.delta = after - before;
+      return diff;
+    };
+    const compact = fields => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+
+    const fromAgents = new Map(from.agents.map(agent => [agent.agentId, agent]));
+    const agents = [];
+    for (const agent of to.agents) {
+      const before = fromAgents.get(agent.agentId);
+      if (!before) continue;
+      const fields = compact({
+        recommendation: change(before.adjusted.recommendation, agent.adjusted.recommendation),
+        confidence: change(before.adjusted.confidence, agent.adjusted.confidence),
+        conflictAdjustment: change(before.adjusted.conflictAdjustment, agent.adjusted.conflictAdjustment),
+        weight: change(before.weight, agent.weight)
+      });
+      if (Object.keys(fields).length > 0) agents.push({ agentId: agent.agentId, ...fields });
     }
+
+    const fromConflicts = from.conflicts.map(conflict => conflict.type);
+    const toConflicts = to.conflicts.map(conflict => conflict.type);
+
+    return {
+      from: { cycleId: from.cycleId, timestamp: from.timestamp },
+      to: { cycleId: to.cycleId, timestamp: to.timestamp },
+      changes: compact({
+        symbol: change(from.symbol, to.symbol),
+        price: change(from.price, to.price),
+        regime: change(from.regime, to.regime),
+        consensusAction: change(from.consensus.action, to.consensus.action),
+        consensusScore: change(from.consensus.score, to.consensus.score),
+        confidence: change(from.consensus.confidence, to.consensus.confidence),
+        finalAction: change(from.finalAction, to.finalAction)
+      }),
+      agents,
+      conflicts: {
+        added: toConflicts.filter(type => !fromConflicts.includes(type)),
+        removed: fromConflicts.filter(type => !toConflicts.includes(type))
+      }
+    };
+  }
+
+  /**
+   * Vetoes and downsizes over the most recent logged cycles, counted per reason code
+   */
+  static async readOverrideMetrics({ database = DatabaseService, limit = 1000 } = {}) {
+    const columns = MasterAgentSystem.cycleColumns(database);
+    const rows = await database.all(
+      prepare(database, `SELECT ${columns.audit} AS audit FROM ai_decisions WHERE decision_type = ? ORDER BY ${columns.order} LIMIT ?`),
+      [CYCLE_DECISION_TYPE, limit]
+    );
+
+    const metrics = { cycles: rows.length, approved: 0, vetoes: 0, downsizes: 0, byReason: {} };
+    for (const row of rows) {
+      const validation = parseJSON(row.audit, {}).masterValidation || {};
+      const override = validation.masterOverride;
+      if (validation.finalApproval !== false) metrics.approved++;
+      if (!override) continue;
+
+      metrics[override.type === 'VETO' ? 'vetoes' : 'downsizes']++;
+      for (const { code } of override.reasons) {
+        metrics.byReason[code] = (metrics.byReason[code] || 0) + 1;
+      }
+    }
+    return metrics;
+  }
+
+  /**
+   * Plain explanation of the master validation - a decision from orchestrateDecision or a logged cycle
+   */
+  static explainValidation(decision = {}) {
+    const validation = decision.masterValidation;
+    if (!validation) return null;
+
+    const action = decision.consensus ? decision.consensus.action : decision.action;
+    const finalAction = decision.finalAction || decision.executionRecommendation || action;
+    const override = validation.masterOverride;
+    const reasons = override ? override.reasons : [];
+    const context = `risk ${validation.riskAssessment.level}, timing ${validation.timingAssessment.timing}, portfolio impact ${validation.portfolioImpact.impact}`;
+
+    let summary = `Master approved ${action} (${context})`;
+    if (override && override.type === 'VETO') {
+      summary = `Master vetoed ${action} → ${finalAction}: ${reasons.filter(reason => reason.severity === 'VETO').map(reason => reason.message).join('; ')}`;
+    } else if (override) {
+      summary = `Master downsized ${action} → ${finalAction} (${(override.sizeMultiplier * 100).toFixed(0)}% size): ${reasons.map(reason => reason.message).join('; ')}`;
+    }
+
+    return {
+      approved: validation.finalApproval !== false,
+      override: override ? override.type : null,
+      action,
+      finalAction,
+      sizeMultiplier: override ? override.sizeMultiplier : 1,
+      reasons,
+      summary
+    };
   }
 
   // Utility methods for market regime detection
   async detectMarketRegime(marketData) {
-    const historicalData = await this.getHistoricalData(30); // 30 days
-    
-    if (!historicalData || historicalData.length < 10) {
-      return 'UNKNOWN';
+    return this.analyzeRegime(marketData).regime;
+  }
+
+  /**
+   * Regime from volatility (level and recent expansion) and the fitted trend,
+   * confirmed by ADX when indicators are available
+   */
+  analyzeRegime(marketData) {
+    const candles = marketData.candles || [];
+    if (this.closesOf(candles).length < MIN_CANDLES) {
+      return { regime: 'UNKNOWN', evidence: [this.candleEvidence(candles)] };
     }
 
-    const returns = this.calculateReturns(historicalData);
+    const returns = this.calculateReturns(candles);
     const volatility = this.quantEngine.calculateVolatility(returns);
-    const trend = this.calculateTrend(historicalData);
-    
-    // Regime classification
-    if (volatility > 0.05) return 'HIGH_VOLATILITY';
-    if (trend > 0.02) return 'BULL';
-    if (trend < -0.02) return 'BEAR';
-    return 'SIDEWAYS';
+    const recentVolatility = this.quantEngine.calculateVolatility(returns.slice(-REGIME_THRESHOLDS.recentBars));
+    const trend = this.calculateTrend(candles);
+    const adx = marketData.indicators && marketData.indicators.adx ? marketData.indicators.adx.adx : null;
+    const trending = adx === null || adx >= REGIME_THRESHOLDS.minAdx;
+
+    let regime = 'SIDEWAYS';
+    if (recentVolatility > REGIME_THRESHOLDS.highVolatility || recentVolatility > volatility * REGIME_THRESHOLDS.volatilityExpansion) {
+      regime = 'HIGH_VOLATILITY';
+    } else if (trending && trend > REGIME_THRESHOLDS.trend) {
+      regime = 'BULL';
+    } else if (trending && trend < -REGIME_THRESHOLDS.trend) {
+      regime = 'BEAR';
+    }
+
+    const evidence = [
+      { metric: 'volatility', value: volatility, detail: `Volatility ${this.formatPercent(volatility)} per bar (recent ${this.formatPercent(recentVolatility)})` },
+      { metric: 'trend', value: trend, detail: `Fitted trend ${this.formatPercent(trend)} over ${candles.length} candles` }
+    ];
+    if (adx !== null) {
+      evidence.push({ metric: 'adx', value: adx, detail: `ADX ${adx.toFixed(1)} - ${trending ? 'trending' : 'no trend strength'}` });
+    }
+
+    return { regime, volatility, recentVolatility, trend, adx, evidence };
   }
 
   // Agent weight management
   getAgentWeight(agentId, regime) {
     const baseWeight = this.agentWeights.get(agentId) || 1.0;
     const regimeMultiplier = this.getRegimeMultiplier(agentId, regime);
-    const performanceMultiplier = this.getPerformanceMultiplier(agentId);
+    const performanceMultiplier = this.getPerformanceMultiplier(agentId, regime);
     
     return baseWeight * regimeMultiplier * performanceMultiplier;
   }
@@ -567,48 +1489,302 @@ class MasterAgentSystem {
     });
   }
 
-  // Additional utility methods would be implemented here...
+  /**
+   * Candles behind every agent: marketData.candles (backtests, candle aggregator) or,
+   * for bare ticks, a rolling price history per symbol
+   */
+  attachCandles(marketData) {
+    if (Array.isArray(marketData.candles) && marketData.candles.length > 0) return marketData;
+    if (!(marketData.price > 0)) return { ...marketData, candles: [] };
+
+    const key = marketData.symbol || 'default';
+    const history = this.priceHistory.get(key) || [];
+    history.push({ timestamp: marketData.timestamp || new Date(), close: marketData.price, volume: marketData.volume || 0 });
+    if (history.length > MAX_PRICE_HISTORY) history.shift();
+    this.priceHistory.set(key, history);
+
+    return { ...marketData, candles: [...history] };
+  }
+
+  /**
+   * Neutral starting point - the specialization enhancers replace the recommendation
+   * and scale the agent's own confidence by the strength of their evidence
+   */
   async generateBaseDecision(agent, marketData) {
-    // Simplified base decision generation
     return {
       agentId: agent.id,
-      recommendation: this.getRandomAction(),
-      confidence: 0.6 + Math.random() * 0.3,
-      reasoning: `${agent.name} analysis of current market conditions`,
+      recommendation: 'HOLD',
+      confidence: agent.confidence,
+      reasoning: `${agent.name} has no view on current market conditions`,
+      evidence: [],
       timestamp: new Date()
     };
   }
 
-  getRandomAction() {
-    const actions = ['BUY', 'SELL', 'HOLD'];
-    return actions[Math.floor(Math.random() * actions.length)];
+  withEvidence(decision, recommendation, strength, evidence, extra = {}) {
+    return {
+      ...decision,
+      ...extra,
+      recommendation,
+      confidence: Math.max(0.05, Math.min(0.95, decision.confidence * strength)),
+      reasoning: evidence.map(item => item.detail).join('; '),
+      evidence
+    };
+  }
+
+  insufficientData(decision, candles) {
+    return this.withEvidence(decision, 'HOLD', 0.2, [this.candleEvidence(candles)]);
   }
 
-  // Placeholder methods for various enhancements
-  async enhancePricePrediction(decision, marketData) { return decision; }
-  async enhanceSignalGeneration(decision, marketData) { return decision; }
-  async enhanceStrategyEvaluation(decision, marketData) { return decision; }
-  async enhancePortfolioPlanning(decision, marketData) { return decision; }
-  async enhanceRiskAnalysis(decision, marketData) { return decision; }
-  async enhanceRegimeAnalysis(decision, marketData) { return decision; }
+  candleEvidence(candles) {
+    const count = this.closesOf(candles).length;
+    return { metric: 'candles', value: count, detail: `Only ${count} candles - need ${MIN_CANDLES}` };
+  }
+
+  /**
+   * Price Predictor: log-linear trend regression projected FORECAST_HORIZON bars ahead
+   * plus an AR(1) term on returns. Only a forecast beyond round-trip fees is a trade.
+   */
+  async enhancePricePrediction(decision, marketData) {
+    const candles = marketData.candles || [];
+    const closes = this.closesOf(candles).slice(-FORECAST_WINDOW);
+    if (closes.length < MIN_CANDLES) return this.insufficientData(decision, candles);
+
+    const fit = this.fitLogTrend(closes);
+    const trendForecast = Math.exp(fit.slope * FORECAST_HORIZON) - 1;
+    const returns = this.returnsOf(closes);
+    const mean = this.quantEngine.calculateMean(returns);
+    const ar = this.autocorrelation(returns);
+    const momentumForecast = ar * (returns[returns.length - 1] - mean);
+    const forecastReturn = trendForecast + momentumForecast;
+    const minEdge = 2 * this.quantEngine.transactionCosts.takerFee;
+
+    let recommendation = 'HOLD';
+    if (forecastReturn > minEdge) recommendation = 'BUY';
+    if (forecastReturn < -minEdge) recommendation = 'SELL';
+
+    return this.withEvidence(decision, recommendation, recommendation === 'HOLD' ? 0.5 : 0.5 + 0.5 * fit.rSquared, [
+      { metric: 'trendForecast', value: trendForecast, detail: `Log-linear trend projects ${this.formatPercent(trendForecast)} over ${FORECAST_HORIZON} bars (R² ${fit.rSquared.toFixed(2)})` },
+      { metric: 'momentumForecast', value: momentumForecast, detail: `AR(1) coefficient ${ar.toFixed(2)} adds ${this.formatPercent(momentumForecast)}` },
+      { metric: 'forecastReturn', value: forecastReturn, detail: `Forecast ${this.formatPercent(forecastReturn)} vs ${this.formatPercent(minEdge)} round-trip fees` }
+    ], { forecast: { horizon: FORECAST_HORIZON, expectedReturn: forecastReturn, targetPrice: closes[closes.length - 1] * (1 + forecastReturn) } });
+  }
+
+  /**
+   * Signal Generator: the indicator snapshot (from marketData or computed over the candles)
+   * summarized into a bullish/bearish score
+   */
+  async enhanceSignalGeneration(decision, marketData) {
+    const candles = marketData.candles || [];
+    const snapshot = marketData.indicators || (candles.length >= MIN_CANDLES ? calculateSeries(candles).pop() : null);
+    if (!snapshot) return this.insufficientData(decision, candles);
+
+    const summary = summarize(snapshot);
+    const recommendation = summary.bias === 'BULLISH' ? 'BUY' : summary.bias === 'BEARISH' ? 'SELL' : 'HOLD';
+    const evidence = summary.signals.map(signal => ({ metric: signal.indicator, value: signal.score, detail: signal.reason }));
+    evidence.push({ metric: 'indicatorScore', value: summary.score, detail: `Indicator score ${summary.score} (${summary.bias})` });
+
+    return this.withEvidence(decision, recommendation, recommendation === 'HOLD' ? 0.5 : Math.min(1, 0.5 + Math.abs(summary.score) / 4), evidence);
+  }
+
+  /**
+   * Strategy Evaluator: replays trend following and mean reversion over the candles
+   * (net of taker fees) and follows the current signal of the one with the best Sharpe
+   */
+  async enhanceStrategyEvaluation(decision, marketData) {
+    const candles = marketData.candles || [];
+    const closes = this.closesOf(candles);
+    if (closes.length < MIN_CANDLES) return this.insufficientData(decision, candles);
+
+    const results = Object.entries(this.strategyRules()).map(([name, rule]) => this.evaluateStrategy(name, rule, closes));
+    const best = results.reduce((top, result) => result.sharpe > top.sharpe ? result : top);
+    const evidence = results.map(result => ({
+      metric: result.name,
+      value: result.sharpe,
+      detail: `${result.name} Sharpe ${result.sharpe.toFixed(3)}, return ${this.formatPercent(result.totalReturn)}, signal ${result.signal}`
+    }));
+
+    if (best.sharpe <= 0) {
+      evidence.push({ metric: 'bestStrategy', value: null, detail: 'No strategy has a positive Sharpe on this window' });
+      return this.withEvidence(decision, 'HOLD', 0.5, evidence);
+    }
+
+    evidence.push({ metric: 'bestStrategy', value: best.name, detail: `Following ${best.name}` });
+    return this.withEvidence(decision, best.signal, Math.min(1, 0.5 + best.sharpe * 2), evidence);
+  }
+
+  // Signal of each candidate strategy from the last STRATEGY_PERIOD closes
+  strategyRules() {
+    return {
+      trend_following: window => window[window.length - 1] > this.quantEngine.calculateMean(window) ? 'BUY' : 'SELL',
+      mean_reversion: window => {
+        const volatility = this.quantEngine.calculateVolatility(window);
+        const zScore = volatility > 0 ? (window[window.length - 1] - this.quantEngine.calculateMean(window)) / volatility : 0;
+        if (zScore < -1) return 'BUY';
+        if (zScore > 1) return 'SELL';
+        return 'HOLD';
+      }
+    };
+  }
+
+  evaluateStrategy(name, rule, closes) {
+    const fee = this.quantEngine.transactionCosts.takerFee;
+    const returns = [];
+    let position = 0;
+
+    for (let i = STRATEGY_PERIOD - 1; i < closes.length - 1; i++) {
+      const signal = rule(closes.slice(i - STRATEGY_PERIOD + 1, i + 1));
+      const target = signal === 'BUY' ? 1 : signal === 'SELL' ? 0 : position;
+      const cost = target !== position ? fee : 0;
+      position = target;
+      returns.push(position * (closes[i + 1] / closes[i] - 1) - cost);
+    }
+
+    return {
+      name,
+      sharpe: this.quantEngine.calculateDailySharpe(returns),
+      totalReturn: returns.reduce((value, ret) => value * (1 + ret), 1) - 1,
+      signal: rule(closes.slice(-STRATEGY_PERIOD))
+    };
+  }
+
+  /**
+   * Portfolio Planner: fractional Kelly from the candles' win rate and win/loss ratio,
+   * capped by volatility targeting. No edge means scaling the allocation down.
+   */
+  async enhancePortfolioPlanning(decision, marketData) {
+    const candles = marketData.candles || [];
+    const closes = this.closesOf(candles);
+    if (closes.length < MIN_CANDLES) return this.insufficientData(decision, candles);
+
+    const returns = this.returnsOf(closes);
+    const winRate = this.quantEngine.calculateWinRate(returns);
+    const avgLoss = Math.abs(this.quantEngine.calculateAverageLoss(returns));
+    const volatility = this.quantEngine.calculateVolatility(returns);
+    const volatilityCap = volatility > 0 ? Math.min(1, TARGET_VOLATILITY / volatility) : 1;
+
+    // Kelly is undefined without a losing bar
+    if (avgLoss === 0) {
+      return this.withEvidence(decision, 'HOLD', 0.5, [
+        { metric: 'kellyFraction', value: null, detail: `No losing bars in ${returns.length} - Kelly undefined` },
+        { metric: 'volatilityCap', value: volatilityCap, detail: `Volatility ${this.formatPercent(volatility)} caps size at ${this.formatPercent(volatilityCap)}` }
+      ], { positionSize: null });
+    }
+
+    const kelly = this.quantEngine.calculateKellyPosition(winRate, this.quantEngine.calculateAverageWin(returns), avgLoss, 1);
+    const kellyFraction = kelly ? kelly.safeKellyFraction : 0;
+    const positionSize = Math.min(kellyFraction, volatilityCap);
+
+    let recommendation = 'HOLD';
+    if (kellyFraction === 0) recommendation = 'PARTIAL_SELL';
+    else if (positionSize >= 0.05) recommendation = 'PARTIAL_BUY';
+
+    return this.withEvidence(decision, recommendation, recommendation === 'HOLD' ? 0.5 : 0.8, [
+      { metric: 'kellyFraction', value: kellyFraction, detail: `Fractional Kelly ${this.formatPercent(kellyFraction)} (win rate ${this.formatPercent(winRate)})` },
+      { metric: 'volatilityCap', value: volatilityCap, detail: `Volatility ${this.formatPercent(volatility)} caps size at ${this.formatPercent(volatilityCap)}` },
+      { metric: 'positionSize', value: positionSize, detail: `Suggested allocation ${this.formatPercent(positionSize)} of capital` }
+    ], { positionSize });
+  }
+
+  /**
+   * Risk Sentinel: CVaR (95%) of the candle returns and the drawdown from the window high.
+   * A breached limit is REDUCE_RISK - the tie-breaker in resolveOpposingActions.
+   */
+  async enhanceRiskAnalysis(decision, marketData) {
+    const candles = marketData.candles || [];
+    const closes = this.closesOf(candles);
+    if (closes.length < MIN_CANDLES) return this.insufficientData(decision, candles);
+
+    const result = this.quantEngine.calculateCVaR(this.returnsOf(closes), 0.95);
+    // Under 20 returns calculateCVaR returns only the worst return
+    const tail = typeof result === 'number' ? { cvar: result, var: result } : result;
+    const drawdown = 1 - closes[closes.length - 1] / Math.max(...closes);
+
+    const evidence = [
+      { metric: 'cvar', value: tail.cvar, detail: `CVaR (95%) ${this.formatPercent(tail.cvar)} per bar, VaR ${this.formatPercent(tail.var)}` },
+      { metric: 'drawdown', value: drawdown, detail: `Drawdown ${this.formatPercent(drawdown)} from the window high` }
+    ];
+    const breaches = [];
+    if (tail.cvar < -RISK_LIMITS.maxTailLoss) breaches.push(`tail loss beyond ${this.formatPercent(RISK_LIMITS.maxTailLoss)}`);
+    if (drawdown > RISK_LIMITS.maxDrawdown) breaches.push(`drawdown beyond ${this.formatPercent(RISK_LIMITS.maxDrawdown)}`);
+
+    if (breaches.length === 0) {
+      return this.withEvidence(decision, 'HOLD', 0.6, evidence);
+    }
+
+    evidence.push({ metric: 'limits', value: breaches.length, detail: `Risk limits breached: ${breaches.join(', ')}` });
+    return this.withEvidence(decision, 'REDUCE_RISK', 1, evidence);
+  }
+
+  /**
+   * Regime Detector: trades with a BULL or BEAR regime, stands aside otherwise
+   */
+  async enhanceRegimeAnalysis(decision, marketData) {
+    const analysis = this.analyzeRegime(marketData);
+    if (analysis.regime === 'UNKNOWN') return this.insufficientData(decision, marketData.candles || []);
+
+    const recommendation = analysis.regime === 'BULL' ? 'BUY' : analysis.regime === 'BEAR' ? 'SELL' : 'HOLD';
+    const strength = recommendation === 'HOLD' ? 0.6 : Math.min(1, 0.5 + Math.abs(analysis.trend) / (4 * REGIME_THRESHOLDS.trend));
+    const evidence = [...analysis.evidence, { metric: 'regime', value: analysis.regime, detail: `Regime ${analysis.regime}` }];
+
+    return this.withEvidence(decision, recommendation, strength, evidence, { regime: analysis.regime });
+  }
+
+  // Statistics over candles
+  closesOf(candles) {
+    return candles.map(candle => parseFloat(candle.close)).filter(close => close > 0);
+  }
+
+  returnsOf(closes) {
+    return closes.slice(1).map((close, i) => close / closes[i] - 1);
+  }
+
+  /**
+   * Least squares fit of log(close) against bar index
+   */
+  fitLogTrend(closes) {
+    const n = closes.length;
+    const ys = closes.map(close => Math.log(close));
+    const meanX = (n - 1) / 2;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    ys.forEach((y, x) => {
+      sxx += (x - meanX) ** 2;
+      sxy += (x - meanX) * (y - meanY);
+      syy += (y - meanY) ** 2;
+    });
+
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { slope, rSquared: syy > 0 ? (sxy * sxy) / (sxx * syy) : 0 };
+  }
+
+  autocorrelation(returns) {
+    if (returns.length < 3) return 0;
+    const mean = this.quantEngine.calculateMean(returns);
+    let numerator = 0;
+    let denominator = 0;
+    returns.forEach((ret, i) => {
+      denominator += (ret - mean) ** 2;
+      if (i > 0) numerator += (ret - mean) * (returns[i - 1] - mean);
+    });
+    return denominator > 0 ? numerator / denominator : 0;
+  }
+
+  formatPercent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+  }
   
   adjustForRegime(decision, regime) { return decision; }
-  async resolveConfidenceConflict(conflict, decisions) { }
-  async assessOverallRisk(consensus) { return { level: 'MEDIUM' }; }
-  async assessMarketTiming(consensus) { return { timing: 'NEUTRAL' }; }
-  async assessPortfolioImpact(consensus) { return { impact: 'LOW' }; }
-  async checkMasterOverride(consensus, riskAssessment) { return null; }
-  getFinalApproval(risk, timing, portfolio) { return true; }
-  getExecutionRecommendation(consensus, risk) { return consensus.action; }
-  async analyzeRecentPerformance() { return {}; }
-  async adjustAgentWeights(analysis) { }
-  async updateConflictResolutionRules(analysis) { }
-  async adaptToMarketChanges() { }
   async getHistoricalData(days) { return []; }
-  calculateReturns(data) { return []; }
-  calculateTrend(data) { return 0; }
-  getPerformanceMultiplier(agentId) { return 1.0; }
-  async logDecisionCycle(decision, agentDecisions) { }
+  calculateReturns(data) { return this.returnsOf(this.closesOf(data)); }
+  // Fitted return over the candles from the log-linear trend
+  calculateTrend(data) {
+    const closes = this.closesOf(data);
+    return closes.length < 2 ? 0 : Math.exp(this.fitLogTrend(closes).slope * (closes.length - 1)) - 1;
+  }
 }
 
 module.exports = MasterAgentSystem;
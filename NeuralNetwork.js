@@ -0,0 +1,249 @@
+/**
+ * NeuralNetwork - Lille feed-forward netværk til CPU (ReLU skjulte lag, lineært output)
+ * Bruges som Q-netværk af ReinforcementLearningEngine: Huber loss på den valgte action,
+ * importance sampling vægte fra prioritized replay og Adam optimizer med gradient clipping.
+ * Vægtene kan serialiseres til JSON så modeller kan gemmes og indlæses fra disk.
+ */
+
+// Deterministisk PRNG (mulberry32) så træning kan gentages med samme seed
+function createRandom(seed = null) {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class NeuralNetwork {
+  constructor({ inputSize, hiddenLayers = [64, 64], outputSize, learningRate = 0.001, huberDelta = 1.0, clipNorm = 10, seed = null } = {}) {
+    if (!inputSize || !outputSize) {
+      throw new Error('NeuralNetwork requires inputSize and outputSize');
+    }
+
+    this.inputSize = inputSize;
+    this.hiddenLayers = hiddenLayers;
+    this.outputSize = outputSize;
+    this.learningRate = learningRate;
+    this.huberDelta = huberDelta;
+    this.clipNorm = clipNorm;
+    this.random = createRandom(seed);
+
+    // Adam
+    this.beta1 = 0.9;
+    this.beta2 = 0.999;
+    this.adamEpsilon = 1e-8;
+    this.step = 0;
+
+    const sizes = [inputSize, ...hiddenLayers, outputSize];
+    this.layers = [];
+    for (let l = 0; l < sizes.length - 1; l++) {
+      this.layers.push(this.createLayer(sizes[l], sizes[l + 1]));
+    }
+  }
+
+  // He initialisering - vægte lagret række for række: weights[o * inputs + i]
+  createLayer(inputs, outputs) {
+    const weights = new Float64Array(inputs * outputs);
+    const scale = Math.sqrt(2 / inputs);
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] = this.gaussian() * scale;
+    }
+
+    return {
+      inputs,
+      outputs,
+      weights,
+      biases: new Float64Array(outputs),
+      mWeights: new Float64Array(weights.length),
+      vWeights: new Float64Array(weights.length),
+      mBiases: new Float64Array(outputs),
+      vBiases: new Float64Array(outputs)
+    };
+  }
+
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Aktiveringer for hvert lag - [input, hidden..., output]
+   */
+  forward(input) {
+    if (input.length !== this.inputSize) {
+      throw new Error(`Expected input of size ${this.inputSize}, got ${input.length}`);
+    }
+
+    const activations = [Float64Array.from(input)];
+    for (let l = 0; l < this.layers.length; l++) {
+      const layer = this.layers[l];
+      const previous = activations[l];
+      const output = new Float64Array(layer.outputs);
+      const hidden = l < this.layers.length - 1;
+
+      for (let o = 0; o < layer.outputs; o++) {
+        let sum = layer.biases[o];
+        const offset = o * layer.inputs;
+        for (let i = 0; i < layer.inputs; i++) {
+          sum += layer.weights[offset + i] * previous[i];
+        }
+        output[o] = hidden && sum < 0 ? 0 : sum;
+      }
+      activations.push(output);
+    }
+    return activations;
+  }
+
+  predict(input) {
+    const activations = this.forward(input);
+    return Array.from(activations[activations.length - 1]);
+  }
+
+  /**
+   * Et gradient step hvor kun outputtet for den valgte action trænes mod target.
+   * samples: [{ input, action, target, weight }] - returnerer gennemsnitligt loss og TD fejl
+   */
+  trainOnActions(samples) {
+    const gradWeights = this.layers.map(layer => new Float64Array(layer.weights.length));
+    const gradBiases = this.layers.map(layer => new Float64Array(layer.biases.length));
+    const errors = [];
+    let loss = 0;
+
+    for (const { input, action, target, weight = 1 } of samples) {
+      const activations = this.forward(input);
+      const output = activations[activations.length - 1];
+      const error = output[action] - target;
+      const absError = Math.abs(error);
+      errors.push(error);
+
+      loss += weight * (absError <= this.huberDelta
+        ? 0.5 * error * error
+        : this.huberDelta * (absError - 0.5 * this.huberDelta));
+
+      let delta = new Float64Array(this.outputSize);
+      delta[action] = weight * Math.max(-this.huberDelta, Math.min(this.huberDelta, error));
+
+      for (let l = this.layers.length - 1; l >= 0; l--) {
+        const layer = this.layers[l];
+        const previous = activations[l];
+        const nextDelta = new Float64Array(layer.inputs);
+
+        for (let o = 0; o < layer.outputs; o++) {
+          if (delta[o] === 0) continue;
+          const offset = o * layer.inputs;
+          gradBiases[l][o] += delta[o];
+          for (let i = 0; i < layer.inputs; i++) {
+            gradWeights[l][offset + i] += delta[o] * previous[i];
+            nextDelta[i] += delta[o] * layer.weights[offset + i];
+          }
+        }
+
+        // ReLU afledt for det foregående skjulte lag
+        if (l > 0) {
+          for (let i = 0; i < nextDelta.length; i++) {
+            if (previous[i] <= 0) nextDelta[i] = 0;
+          }
+        }
+        delta = nextDelta;
+      }
+    }
+
+    this.applyGradients(gradWeights, gradBiases, samples.length);
+    return { loss: loss / samples.length, errors };
+  }
+
+  applyGradients(gradWeights, gradBiases, batchSize) {
+    let norm = 0;
+    for (let l = 0; l < this.layers.length; l++) {
+      for (const grads of [gradWeights[l], gradBiases[l]]) {
+        for (let i = 0; i < grads.length; i++) {
+          grads[i] /= batchSize;
+          norm += grads[i] * grads[i];
+        }
+      }
+    }
+
+    const scale = Math.sqrt(norm) > this.clipNorm ? this.clipNorm / Math.sqrt(norm) : 1;
+    this.step++;
+    const correction1 = 1 - Math.pow(this.beta1, this.step);
+    const correction2 = 1 - Math.pow(this.beta2, this.step);
+
+    const adam = (params, grads, m, v) => {
+      for (let i = 0; i < params.length; i++) {
+        const g = grads[i] * scale;
+        m[i] = this.beta1 * m[i] + (1 - this.beta1) * g;
+        v[i] = this.beta2 * v[i] + (1 - this.beta2) * g * g;
+        params[i] -= this.learningRate * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + this.adamEpsilon);
+      }
+    };
+
+    this.layers.forEach((layer, l) => {
+      adam(layer.weights, gradWeights[l], layer.mWeights, layer.vWeights);
+      adam(layer.biases, gradBiases[l], layer.mBiases, layer.vBiases);
+    });
+  }
+
+  // Kopier vægte (ikke optimizer tilstand) - bruges til target netværket
+  copyFrom(other) {
+    this.layers.forEach((layer, l) => {
+      layer.weights.set(other.layers[l].weights);
+      layer.biases.set(other.layers[l].biases);
+    });
+  }
+
+  clone() {
+    const copy = new NeuralNetwork({
+      inputSize: this.inputSize,
+      hiddenLayers: this.hiddenLayers,
+      outputSize: this.outputSize,
+      learningRate: this.learningRate,
+      huberDelta: this.huberDelta,
+      clipNorm: this.clipNorm
+    });
+    copy.copyFrom(this);
+    return copy;
+  }
+
+  parameterCount() {
+    return this.layers.reduce((sum, layer) => sum + layer.weights.length + layer.biases.length, 0);
+  }
+
+  toJSON() {
+    return {
+      inputSize: this.inputSize,
+      hiddenLayers: this.hiddenLayers,
+      outputSize: this.outputSize,
+      learningRate: this.learningRate,
+      huberDelta: this.huberDelta,
+      clipNorm: this.clipNorm,
+      step: this.step,
+      layers: this.layers.map(layer => ({
+        weights: Array.from(layer.weights),
+        biases: Array.from(layer.biases)
+      }))
+    };
+  }
+
+  static fromJSON(data) {
+    const network = new NeuralNetwork(data);
+    network.step = data.step || 0;
+    network.layers.forEach((layer, l) => {
+      if (data.layers[l].weights.length !== layer.weights.length) {
+        throw new Error(`Layer ${l} size mismatch in saved network`);
+      }
+      layer.weights.set(data.layers[l].weights);
+      layer.biases.set(data.layers[l].biases);
+    });
+    return network;
+  }
+}
+
+NeuralNetwork.createRandom = createRandom;
+
+module.exports = NeuralNetwork;
@@ -1,17 +1,20 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
 
-class OKXExchange {
+class OKXExchange extends BaseExchangeAdapter {
   constructor() {
-    this.name = 'OKX';
+    super('OKX', {
+      features: ['spot', 'futures', 'options', 'websocket', 'trading'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: true
+    });
     this.apiKey = process.env.OKX_API_KEY;
     this.apiSecret = process.env.OKX_API_SECRET;
     this.passphrase = process.env.OKX_PASSPHRASE;
     this.baseUrl = 'https://www.okx.com';
     this.wsUrl = 'wss://ws.okx.com:8443/ws/v5/public';
-    this.connected = false;
     this.ws = null;
-    this.features = ['spot', 'futures', 'options', 'websocket', 'trading'];
   }
 
   async initialize() {
@@ -126,38 +129,47 @@ class OKXExchange {
     };
   }
 
-  async getBalance() {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
-    }
+  toInstId(symbol) {
+    // Convert symbol format (e.g., BTC/USDT -> BTC-USDT)
+    return symbol.replace('/', '-');
+  }
 
-    try {
-      const requestPath = '/api/v5/account/balance';
-      const { signature, timestamp } = this.generateSignature('GET', requestPath);
-
-      const response = await fetch(`${this.baseUrl}${requestPath}`, {
-        headers: {
-          'OK-ACCESS-KEY': this.apiKey,
-          'OK-ACCESS-SIGN': signature,
-          'OK-ACCESS-TIMESTAMP': timestamp,
-          'OK-ACCESS-PASSPHRASE': this.passphrase,
-        },
-      });
+  /**
+   * Signeret REST kald - OKX svarer altid med { code, msg, data }
+   */
+  async privateRequest(method, requestPath, body = null) {
+    const payload = body ? JSON.stringify(body) : '';
+    const { signature, timestamp } = this.generateSignature(method, requestPath, payload);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    const result = await this.request(`${this.baseUrl}${requestPath}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'OK-ACCESS-KEY': this.apiKey,
+        'OK-ACCESS-SIGN': signature,
+        'OK-ACCESS-TIMESTAMP': timestamp,
+        'OK-ACCESS-PASSPHRASE': this.passphrase,
+      },
+      ...(body && { body: payload })
+    });
 
-      const result = await response.json();
-      
-      if (result.code !== '0') {
-        throw new Error(`${this.name} API error: ${result.msg}`);
-      }
+    if (result.code !== '0') {
+      const detail = result.data && result.data[0] && result.data[0].sMsg;
+      throw new Error(`${this.name} API error: ${detail || result.msg}`);
+    }
+    return result.data;
+  }
+
+  async getBalance() {
+    this.assertConnected();
+
+    try {
+      const data = await this.privateRequest('GET', '/api/v5/account/balance');
       
       // Transform OKX balance format to standardized format
       const balances = {};
-      if (result.data && result.data[0] && result.data[0].details) {
-        result.data[0].details.forEach(detail => {
+      if (data && data[0] && data[0].details) {
+        data[0].details.forEach(detail => {
           const available = parseFloat(detail.availBal);
           const frozen = parseFloat(detail.frozenBal);
           if (available > 0 || frozen > 0) {
@@ -188,8 +200,7 @@ class OKXExchange {
     }
 
     try {
-      // Convert symbol format (e.g., BTC/USDT -> BTC-USDT)
-      const okxSymbol = symbol.replace('/', '-');
+      const okxSymbol = this.toInstId(symbol);
       
       const response = await fetch(
         `${this.baseUrl}/api/v5/market/ticker?instId=${okxSymbol}`
@@ -224,62 +235,52 @@ class OKXExchange {
     }
   }
 
-  async createOrder(params) {
-    if (!this.isConnected()) {
-      throw new Error(`${this.name} is not connected`);
+  async getOrderBook(symbol, depth = 20) {
+    const result = await this.request(`${this.baseUrl}/api/v5/market/books?instId=${this.toInstId(symbol)}&sz=${depth}`);
+    if (result.code !== '0' || !result.data || result.data.length === 0) {
+      throw new Error(`${this.name} order book error: ${result.msg}`);
     }
 
-    const { symbol, side, amount, type = 'market' } = params;
+    const book = result.data[0];
+    return this.normalizeOrderBook(symbol, book.bids, book.asks, book.ts);
+  }
+
+  async createOrder(params) {
+    this.assertConnected();
+
+    const { symbol, side, type = 'market', price, clientOrderId } = params;
+    const amount = params.amount !== undefined ? params.amount : params.quantity;
     
     try {
-      const okxSymbol = symbol.replace('/', '-');
-      const requestPath = '/api/v5/trade/order';
-      
       const orderData = {
-        instId: okxSymbol,
+        instId: this.toInstId(symbol),
         tdMode: 'cash',
         side: side.toLowerCase(),
         ordType: type.toLowerCase(),
         sz: amount.toString()
       };
 
-      const body = JSON.stringify(orderData);
-      const { signature, timestamp } = this.generateSignature('POST', requestPath, body);
-
-      const response = await fetch(`${this.baseUrl}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'OK-ACCESS-KEY': this.apiKey,
-          'OK-ACCESS-SIGN': signature,
-          'OK-ACCESS-TIMESTAMP': timestamp,
-          'OK-ACCESS-PASSPHRASE': this.passphrase,
-        },
-        body
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (orderData.ordType === 'limit') {
+        orderData.px = price.toString();
       }
-
-      const result = await response.json();
-      
-      if (result.code !== '0') {
-        throw new Error(`${this.name} order failed: ${result.msg}`);
+      if (clientOrderId) {
+        orderData.clOrdId = clientOrderId;
       }
-      
-      const data = result.data[0];
-      
-      return {
-        exchange: this.name,
+
+      const [data] = await this.privateRequest('POST', '/api/v5/trade/order', orderData);
+
+      // OKX returnerer kun id ved oprettelse - fill status hentes via getOrderStatus
+      return this.normalizeOrder({
         orderId: data.ordId,
-        symbol: okxSymbol.replace('-', '/'),
+        clientOrderId: data.clOrdId,
+        symbol,
         side: orderData.side,
-        amount: parseFloat(orderData.sz),
-        price: 0, // Market order price will be filled
-        status: data.sCode === '0' ? 'submitted' : 'failed',
-        timestamp: new Date().toISOString()
-      };
+        type: orderData.ordType,
+        amount: orderData.sz,
+        price: orderData.px,
+        status: data.sCode === '0' ? 'NEW' : 'REJECTED',
+        timestamp: data.ts
+      });
       
     } catch (error) {
       console.error(`${this.name} order creation error:`, error);
@@ -287,6 +288,59 @@ class OKXExchange {
     }
   }
 
+  async cancelOrder(symbol, orderId) {
+    this.assertConnected();
+    await this.privateRequest('POST', '/api/v5/trade/cancel-order', { instId: this.toInstId(symbol), ordId: String(orderId) });
+    return await this.getOrderStatus(symbol, orderId);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    this.assertConnected();
+    const [data] = await this.privateRequest('GET', `/api/v5/trade/order?instId=${this.toInstId(symbol)}&ordId=${orderId}`);
+    return this.formatOrder(data);
+  }
+
+  async getOpenOrders(symbol = null) {
+    this.assertConnected();
+    const query = symbol ? `&instId=${this.toInstId(symbol)}` : '';
+    const data = await this.privateRequest('GET', `/api/v5/trade/orders-pending?instType=SPOT${query}`);
+    return data.map(order => this.formatOrder(order));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    this.assertConnected();
+    const query = symbol ? `&instId=${this.toInstId(symbol)}` : '';
+    const data = await this.privateRequest('GET', `/api/v5/trade/fills?instType=SPOT${query}&limit=${limit}`);
+    return data.map(fill => this.normalizeTrade({
+      tradeId: fill.tradeId,
+      orderId: fill.ordId,
+      symbol: fill.instId.replace('-', '/'),
+      side: fill.side,
+      price: fill.fillPx,
+      amount: fill.fillSz,
+      fee: fill.fee,
+      feeCurrency: fill.feeCcy,
+      timestamp: fill.ts
+    }));
+  }
+
+  formatOrder(data) {
+    return this.normalizeOrder({
+      orderId: data.ordId,
+      clientOrderId: data.clOrdId,
+      symbol: data.instId.replace('-', '/'),
+      side: data.side,
+      type: data.ordType,
+      amount: data.sz,
+      price: data.px,
+      averagePrice: data.avgPx,
+      filledAmount: data.accFillSz,
+      fee: data.fee,
+      status: data.state,
+      timestamp: data.uTime || data.cTime
+    });
+  }
+
   async disconnect() {
     if (this.ws) {
       this.ws.close();
@@ -0,0 +1,218 @@
+/**
+ * OrderBook - Lokal level-2 order book for én exchange og ét symbol
+ * Bygges fra et snapshot og holdes opdateret med diffs fra adapterens WebSocket.
+ * Sekvenshuller og checksum fejl markerer bogen som ude af sync, så adapteren henter et nyt snapshot.
+ */
+
+const ORDERBOOK_ERRORS = {
+  NOT_SYNCED: 'ORDERBOOK_NOT_SYNCED',
+  SEQUENCE_GAP: 'ORDERBOOK_SEQUENCE_GAP',
+  CHECKSUM_MISMATCH: 'ORDERBOOK_CHECKSUM_MISMATCH'
+};
+
+class OrderBook {
+  /**
+   * @param {string} exchange - Exchange navn
+   * @param {string} symbol - Standard symbol, f.eks. 'BTC/USDT'
+   * @param {Object} options
+   * @param {number} options.maxDepth - Antal niveauer der beholdes per side
+   * @param {Function} options.checksum - (book) => number, exchange-specifik checksum over de rå niveauer
+   */
+  constructor(exchange, symbol, { maxDepth = 1000, checksum = null } = {}) {
+    this.exchange = exchange;
+    this.symbol = symbol;
+    this.maxDepth = maxDepth;
+    this.checksum = checksum;
+
+    // pris -> [rå pris, rå mængde] - rå strenge bevares fordi checksums beregnes over dem
+    this.bids = new Map();
+    this.asks = new Map();
+    this.sequence = null;
+    this.synced = false;
+    this.updatedAt = null;
+    this.stats = { snapshots: 0, diffs: 0, gaps: 0, checksumErrors: 0 };
+  }
+
+  applySnapshot({ bids = [], asks = [], sequence = null, timestamp = Date.now() }) {
+    this.bids.clear();
+    this.asks.clear();
+    this.applyLevels(this.bids, bids);
+    this.applyLevels(this.asks, asks);
+    this.trim();
+
+    this.sequence = sequence;
+    this.synced = true;
+    this.updatedAt = timestamp;
+    this.stats.snapshots++;
+  }
+
+  /**
+   * Anvend en diff. firstSequence/sequence er første og sidste update id i diffen (Binance U/u).
+   * Returnerer false hvis diffen allerede er dækket af bogen og derfor ignoreres.
+   */
+  applyDiff({ bids = [], asks = [], firstSequence = null, sequence = null, checksum = null, timestamp = Date.now() }) {
+    if (!this.synced) {
+      throw this.bookError(ORDERBOOK_ERRORS.NOT_SYNCED, 'Order book has no snapshot');
+    }
+
+    if (sequence !== null && this.sequence !== null) {
+      if (sequence <= this.sequence) {
+        return false;
+      }
+
+      const first = firstSequence !== null ? firstSequence : sequence;
+      if (first > this.sequence + 1) {
+        this.stats.gaps++;
+        this.synced = false;
+        throw this.bookError(ORDERBOOK_ERRORS.SEQUENCE_GAP, `Sequence gap: expected ${this.sequence + 1}, got ${first}`);
+      }
+    }
+
+    this.applyLevels(this.bids, bids);
+    this.applyLevels(this.asks, asks);
+    this.trim();
+
+    if (checksum !== null && this.checksum) {
+      const expected = Number(checksum);
+      const actual = this.checksum(this);
+      if (actual !== expected) {
+        this.stats.checksumErrors++;
+        this.synced = false;
+        throw this.bookError(ORDERBOOK_ERRORS.CHECKSUM_MISMATCH, `Checksum mismatch: expected ${expected}, got ${actual}`);
+      }
+    }
+
+    if (sequence !== null) {
+      this.sequence = sequence;
+    }
+    this.updatedAt = timestamp;
+    this.stats.diffs++;
+    return true;
+  }
+
+  applyLevels(side, levels) {
+    for (const [price, amount] of levels) {
+      const key = parseFloat(price);
+      if (parseFloat(amount) === 0) {
+        side.delete(key);
+      } else {
+        side.set(key, [String(price), String(amount)]);
+      }
+    }
+  }
+
+  trim() {
+    for (const [side, descending] of [[this.bids, true], [this.asks, false]]) {
+      if (side.size <= this.maxDepth) continue;
+
+      const prices = Array.from(side.keys()).sort((a, b) => descending ? b - a : a - b);
+      prices.slice(this.maxDepth).forEach(price => side.delete(price));
+    }
+  }
+
+  bookError(code, message) {
+    const error = new Error(`${this.exchange} ${this.symbol}: ${message}`);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Rå niveauer [pris, mængde] som strenge - bruges af checksum funktioner
+   */
+  getRawLevels(sideName, depth = this.maxDepth) {
+    const side = sideName === 'bids' ? this.bids : this.asks;
+    return Array.from(side.entries())
+      .sort(([a], [b]) => sideName === 'bids' ? b - a : a - b)
+      .slice(0, depth)
+      .map(([, raw]) => raw);
+  }
+
+  getBids(depth = 20) {
+    return this.getRawLevels('bids', depth).map(([price, amount]) => [parseFloat(price), parseFloat(amount)]);
+  }
+
+  getAsks(depth = 20) {
+    return this.getRawLevels('asks', depth).map(([price, amount]) => [parseFloat(price), parseFloat(amount)]);
+  }
+
+  bestBid() {
+    return this.bids.size > 0 ? Math.max(...this.bids.keys()) : null;
+  }
+
+  bestAsk() {
+    return this.asks.size > 0 ? Math.min(...this.asks.keys()) : null;
+  }
+
+  midPrice() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    return bid !== null && ask !== null ? (bid + ask) / 2 : null;
+  }
+
+  /**
+   * Forventet fill for en market ordre mod bogens dybde
+   */
+  estimateFill(side, size) {
+    const levels = side.toLowerCase() === 'buy' ? this.getAsks(this.maxDepth) : this.getBids(this.maxDepth);
+    return OrderBook.estimateFill(levels, side, size, this.midPrice());
+  }
+
+  toJSON(depth = 20) {
+    return {
+      exchange: this.exchange,
+      symbol: this.symbol,
+      bids: this.getBids(depth),
+      asks: this.getAsks(depth),
+      sequence: this.sequence,
+      synced: this.synced,
+      timestamp: new Date(this.updatedAt || Date.now()).toISOString()
+    };
+  }
+
+  /**
+   * Gå bogen igennem niveau for niveau.
+   * size er { amount } i base valuta eller { notional } i quote valuta.
+   * slippage er gennemsnitlig fill pris mod referencepris (mid) som andel - positiv er dårligere.
+   */
+  static estimateFill(levels, side, { amount = null, notional = null }, referencePrice = null) {
+    let remainingAmount = amount;
+    let remainingNotional = notional;
+    let filled = 0;
+    let cost = 0;
+    let worstPrice = null;
+
+    for (const [price, available] of levels) {
+      if ((remainingAmount !== null && remainingAmount <= 0) || (remainingNotional !== null && remainingNotional <= 0)) break;
+
+      const take = remainingAmount !== null
+        ? Math.min(available, remainingAmount)
+        : Math.min(available, remainingNotional / price);
+
+      filled += take;
+      cost += take * price;
+      worstPrice = price;
+      if (remainingAmount !== null) remainingAmount -= take;
+      if (remainingNotional !== null) remainingNotional -= take * price;
+    }
+
+    const averagePrice = filled > 0 ? cost / filled : null;
+    const reference = referencePrice || (levels.length > 0 ? levels[0][0] : null);
+    const direction = side.toLowerCase() === 'buy' ? 1 : -1;
+    const complete = amount !== null ? remainingAmount <= 1e-12 : remainingNotional <= 1e-8;
+
+    return {
+      side: side.toLowerCase(),
+      filled,
+      notional: cost,
+      averagePrice,
+      worstPrice,
+      referencePrice: reference,
+      slippage: averagePrice !== null && reference ? direction * (averagePrice - reference) / reference : null,
+      complete
+    };
+  }
+}
+
+OrderBook.ORDERBOOK_ERRORS = ORDERBOOK_ERRORS;
+
+module.exports = OrderBook;
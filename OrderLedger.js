@@ -0,0 +1,586 @@
+/**
+ * OrderLedger - Persistent ordre og fill ledger
+ * Fører hver ordre gennem livscyklussen new → partially_filled → filled / cancelled / rejected,
+ * gemmer ordrer og fills via DatabaseService eller PostgreSQLDatabaseService
+ * og opdaterer trading_positions ved hver fill
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const { isPostgres, prepare, parseJSON } = require('./SqlDialect');
+
+const ORDER_STATUS = {
+  NEW: 'new',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected'
+};
+
+// Tilladte overgange - filled, cancelled og rejected er terminale
+const ORDER_TRANSITIONS = {
+  new: ['partially_filled', 'filled', 'cancelled', 'rejected'],
+  partially_filled: ['partially_filled', 'filled', 'cancelled'],
+  filled: [],
+  cancelled: [],
+  rejected: []
+};
+
+const QUANTITY_EPSILON = 1e-12;
+
+class OrderLedger extends EventEmitter {
+  constructor() {
+    super();
+    this.database = null;
+    this.isReady = false;
+    this.lock = Promise.resolve();
+    this.sequence = 0;
+  }
+
+  async initialize(database = DatabaseService) {
+    this.database = database;
+    this.isReady = true;
+    console.log(`📒 Order Ledger initialized (${isPostgres(database) ? 'PostgreSQL' : 'SQLite'})`);
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error('Order ledger not initialized');
+    }
+  }
+
+  /**
+   * Serialiser skrivninger, så samtidige fills ikke overskriver hinanden
+   */
+  withLock(task) {
+    const result = this.lock.then(task);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  run(sql, params = []) {
+    return this.database.run(prepare(this.database, sql), params);
+  }
+
+  get(sql, params = []) {
+    return this.database.get(prepare(this.database, sql), params);
+  }
+
+  all(sql, params = []) {
+    return this.database.all(prepare(this.database, sql), params);
+  }
+
+  /**
+   * Id'er sorterer i oprettelsesrækkefølge - også inden for samme millisekund
+   */
+  generateId(prefix) {
+    const sequence = String(this.sequence++ % 1000000).padStart(6, '0');
+    return `${prefix}_${Date.now()}_${sequence}${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  validateOrder(params) {
+    const side = (params.side || '').toLowerCase();
+    const amount = parseFloat(params.amount);
+
+    if (!params.symbol) {
+      throw new Error('Order symbol is required');
+    }
+    if (!['buy', 'sell'].includes(side)) {
+      throw new Error(`Invalid order side: ${params.side}`);
+    }
+    if (!(amount > 0)) {
+      throw new Error(`Invalid order amount: ${params.amount}`);
+    }
+    if ((params.type || 'market').toLowerCase() === 'limit' && !(parseFloat(params.price) > 0)) {
+      throw new Error('Limit orders require a price');
+    }
+  }
+
+  /**
+   * Opret ordre i status "new"
+   */
+  async createOrder(params) {
+    this.ensureReady();
+    this.validateOrder(params);
+
+    const now = new Date().toISOString();
+    const order = {
+      id: params.id || this.generateId('ord'),
+      clientOrderId: params.clientOrderId || null,
+      userId: params.userId || null,
+      exchange: params.exchange || null,
+      exchangeOrderId: null,
+      symbol: params.symbol,
+      side: params.side.toLowerCase(),
+      type: (params.type || 'market').toLowerCase(),
+      amount: parseFloat(params.amount),
+      price: params.price ? parseFloat(params.price) : null,
+      filledAmount: 0,
+      averagePrice: 0,
+      fees: 0,
+      status: ORDER_STATUS.NEW,
+      rejectReason: null,
+      source: params.source || 'api',
+      metadata: params.metadata || {},
+      timestamp: now,
+      updatedAt: now
+    };
+
+    await this.run(
+      `INSERT INTO orders (
+        id, client_order_id, user_id, exchange, exchange_order_id, symbol, side, type,
+        amount, price, filled_amount, average_price, fees, status, reject_reason,
+        source, metadata, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        order.id, order.clientOrderId, order.userId, order.exchange, order.exchangeOrderId,
+        order.symbol, order.side, order.type, order.amount, order.price, order.filledAmount,
+        order.averagePrice, order.fees, order.status, order.rejectReason, order.source,
+        JSON.stringify(order.metadata), order.timestamp, order.updatedAt
+      ]
+    );
+
+    this.emit('orderCreated', order);
+    return order;
+  }
+
+  /**
+   * Exchange har accepteret ordren
+   */
+  async acknowledgeOrder(orderId, exchange, exchangeOrderId) {
+    return this.withLock(async () => {
+      const order = await this.requireOrder(orderId);
+      order.exchange = exchange || order.exchange;
+      order.exchangeOrderId = exchangeOrderId !== undefined && exchangeOrderId !== null ? String(exchangeOrderId) : null;
+      order.updatedAt = new Date().toISOString();
+
+      await this.run(
+        'UPDATE orders SET exchange = ?, exchange_order_id = ?, updated_at = ? WHERE id = ?',
+        [order.exchange, order.exchangeOrderId, order.updatedAt, order.id]
+      );
+
+      return order;
+    });
+  }
+
+  /**
+   * Registrer en fill og opdater ordre status og position
+   */
+  async recordFill(orderId, fill) {
+    return this.withLock(() => this.applyFill(orderId, fill));
+  }
+
+  async applyFill(orderId, fill) {
+    const order = await this.requireOrder(orderId);
+    const quantity = parseFloat(fill.quantity);
+    const price = parseFloat(fill.price);
+    const fee = parseFloat(fill.fee) || 0;
+
+    if (!(quantity > 0) || !(price > 0)) {
+      throw new Error(`Invalid fill for order ${orderId}: ${quantity} @ ${price}`);
+    }
+
+    const remaining = order.amount - order.filledAmount;
+    if (quantity - remaining > QUANTITY_EPSILON * Math.max(1, order.amount)) {
+      throw new Error(`Fill of ${quantity} exceeds remaining ${remaining} on order ${orderId}`);
+    }
+
+    const filledAmount = Math.min(order.amount, order.filledAmount + quantity);
+    const nextStatus = order.amount - filledAmount <= QUANTITY_EPSILON * Math.max(1, order.amount)
+      ? ORDER_STATUS.FILLED
+      : ORDER_STATUS.PARTIALLY_FILLED;
+    this.assertTransition(order, nextStatus);
+
+    const fillRecord = {
+      id: this.generateId('fill'),
+      orderId: order.id,
+      exchange: fill.exchange || order.exchange,
+      symbol: order.symbol,
+      side: order.side,
+      quantity,
+      price,
+      fee,
+      feeCurrency: fill.feeCurrency || null,
+      tradeId: fill.tradeId || null,
+      userId: order.userId,
+      timestamp: fill.timestamp || new Date().toISOString()
+    };
+
+    await this.run(
+      `INSERT INTO order_fills (
+        id, order_id, exchange, symbol, side, quantity, price, fee, fee_currency, trade_id, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fillRecord.id, fillRecord.orderId, fillRecord.exchange, fillRecord.symbol, fillRecord.side,
+        fillRecord.quantity, fillRecord.price, fillRecord.fee, fillRecord.feeCurrency,
+        fillRecord.tradeId, fillRecord.timestamp
+      ]
+    );
+
+    order.averagePrice = (order.averagePrice * order.filledAmount + price * quantity) / filledAmount;
+    order.filledAmount = filledAmount;
+    // order.fees er i quote - fees i andre aktiver ligger kun på fill rækken
+    order.fees += this.isQuoteFee(fillRecord) ? fee : 0;
+    order.status = nextStatus;
+    order.updatedAt = new Date().toISOString();
+
+    await this.run(
+      'UPDATE orders SET filled_amount = ?, average_price = ?, fees = ?, status = ?, updated_at = ? WHERE id = ?',
+      [order.filledAmount, order.averagePrice, order.fees, order.status, order.updatedAt, order.id]
+    );
+
+    await this.updatePosition(fillRecord);
+
+    this.emit('fill', fillRecord, order);
+    this.emit('orderUpdated', order);
+    return { order, fill: fillRecord };
+  }
+
+  /**
+   * Anvend en exchange execution report med kumulative tal.
+   * Kumulative rapporter er idempotente, så samme rapport kan komme fra både
+   * createOrder svaret og exchange events uden at blive talt dobbelt.
+   */
+  async applyExecutionReport(orderId, report) {
+    return this.withLock(async () => {
+      let order = await this.requireOrder(orderId);
+      const cumulativeFilled = parseFloat(report.filledAmount) || 0;
+      const delta = cumulativeFilled - order.filledAmount;
+
+      if (delta > QUANTITY_EPSILON * Math.max(1, order.amount)) {
+        const averagePrice = parseFloat(report.averagePrice) || parseFloat(report.price);
+        const deltaPrice = (cumulativeFilled * averagePrice - order.filledAmount * order.averagePrice) / delta;
+        const feeSoFar = this.isQuoteFee({ symbol: order.symbol, feeCurrency: report.feeCurrency })
+          ? order.fees
+          : await this.recordedFee(order.id, report.feeCurrency);
+        const deltaFee = Math.max(0, (parseFloat(report.fee) || 0) - feeSoFar);
+
+        ({ order } = await this.applyFill(orderId, {
+          quantity: delta,
+          price: deltaPrice > 0 ? deltaPrice : averagePrice,
+          fee: deltaFee,
+          feeCurrency: report.feeCurrency,
+          tradeId: report.tradeId,
+          exchange: report.exchange
+        }));
+      }
+
+      const exchangeStatus = (report.status || '').toUpperCase();
+      if (['CANCELED', 'CANCELLED', 'EXPIRED'].includes(exchangeStatus) && ORDER_TRANSITIONS[order.status].includes(ORDER_STATUS.CANCELLED)) {
+        order = await this.transition(order, ORDER_STATUS.CANCELLED, `Exchange status ${exchangeStatus}`);
+      } else if (exchangeStatus === 'REJECTED' && ORDER_TRANSITIONS[order.status].includes(ORDER_STATUS.REJECTED)) {
+        order = await this.transition(order, ORDER_STATUS.REJECTED, report.reason || 'Rejected by exchange');
+      }
+
+      return order;
+    });
+  }
+
+  async applyExecutionReportByExchangeId(exchange, exchangeOrderId, report) {
+    const row = await this.get(
+      'SELECT id FROM orders WHERE exchange = ? AND exchange_order_id = ?',
+      [exchange, String(exchangeOrderId)]
+    );
+
+    if (!row) return null;
+    return this.applyExecutionReport(row.id, report);
+  }
+
+  async cancelOrder(orderId, reason = null) {
+    return this.withLock(async () => {
+      const order = await this.requireOrder(orderId);
+      return this.transition(order, ORDER_STATUS.CANCELLED, reason);
+    });
+  }
+
+  async rejectOrder(orderId, reason) {
+    return this.withLock(async () => {
+      const order = await this.requireOrder(orderId);
+      return this.transition(order, ORDER_STATUS.REJECTED, reason);
+    });
+  }
+
+  assertTransition(order, nextStatus) {
+    if (!ORDER_TRANSITIONS[order.status].includes(nextStatus)) {
+      throw new Error(`Invalid order transition ${order.status} → ${nextStatus} for ${order.id}`);
+    }
+  }
+
+  async transition(order, nextStatus, reason = null) {
+    this.assertTransition(order, nextStatus);
+
+    order.status = nextStatus;
+    order.rejectReason = reason || order.rejectReason;
+    order.updatedAt = new Date().toISOString();
+
+    await this.run(
+      'UPDATE orders SET status = ?, reject_reason = ?, updated_at = ? WHERE id = ?',
+      [order.status, order.rejectReason, order.updatedAt, order.id]
+    );
+
+    this.emit('orderUpdated', order);
+    return order;
+  }
+
+  /**
+   * Opdater trading_positions med gennemsnitspris metoden
+   */
+  async updatePosition(fill) {
+    const positionSide = fill.side === 'buy' ? 'long' : 'short';
+    const oppositeSide = positionSide === 'long' ? 'short' : 'long';
+    const exchange = fill.exchange || 'unknown';
+    let remaining = fill.quantity;
+    let feeToAllocate = this.isQuoteFee(fill) ? fill.fee : 0;
+
+    // Modsat position reduceres først
+    const opposite = await this.get(
+      `SELECT * FROM trading_positions WHERE exchange = ? AND symbol = ? AND side = ? AND status = 'open'`,
+      [exchange, fill.symbol, oppositeSide]
+    );
+
+    if (opposite) {
+      const openAmount = parseFloat(opposite.amount);
+      const entryPrice = parseFloat(opposite.entry_price);
+      const closing = Math.min(openAmount, remaining);
+      const direction = oppositeSide === 'long' ? 1 : -1;
+      const closingFee = feeToAllocate * (closing / fill.quantity);
+      const realized = (fill.price - entryPrice) * closing * direction - closingFee;
+      const leftover = openAmount - closing;
+      const closed = leftover <= QUANTITY_EPSILON * Math.max(1, openAmount);
+
+      await this.run(
+        `UPDATE trading_positions SET amount = ?, current_price = ?, realized_pnl = COALESCE(realized_pnl, 0) + ?,
+          fees = COALESCE(fees, 0) + ?, status = ?, exit_price = ?, closed_at = ? WHERE id = ?`,
+        [
+          closed ? openAmount : leftover,
+          fill.price,
+          realized,
+          closingFee,
+          closed ? 'closed' : 'open',
+          closed ? fill.price : null,
+          closed ? fill.timestamp : null,
+          opposite.id
+        ]
+      );
+
+      remaining -= closing;
+      feeToAllocate -= closingFee;
+    }
+
+    if (remaining <= QUANTITY_EPSILON * Math.max(1, fill.quantity)) return;
+
+    const existing = await this.get(
+      `SELECT * FROM trading_positions WHERE exchange = ? AND symbol = ? AND side = ? AND status = 'open'`,
+      [exchange, fill.symbol, positionSide]
+    );
+
+    if (existing) {
+      const openAmount = parseFloat(existing.amount);
+      const newAmount = openAmount + remaining;
+      const entryPrice = (openAmount * parseFloat(existing.entry_price) + remaining * fill.price) / newAmount;
+
+      await this.run(
+        'UPDATE trading_positions SET amount = ?, entry_price = ?, current_price = ?, fees = COALESCE(fees, 0) + ? WHERE id = ?',
+        [newAmount, entryPrice, fill.price, feeToAllocate, existing.id]
+      );
+    } else {
+      await this.run(
+        `INSERT INTO trading_positions (user_id, exchange, symbol, side, amount, entry_price, current_price, fees, status, opened_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
+        [fill.userId, exchange, fill.symbol, positionSide, remaining, fill.price, fill.price, feeToAllocate, fill.timestamp]
+      );
+    }
+  }
+
+  /**
+   * Er fee i symbolets quote valuta? Uden feeCurrency antages quote som hidtil
+   */
+  isQuoteFee(fill) {
+    if (!fill.feeCurrency) return true;
+
+    const feeCurrency = fill.feeCurrency.toUpperCase();
+    const [, quote] = fill.symbol.split(/[/_-]/);
+    return quote ? quote.toUpperCase() === feeCurrency : fill.symbol.toUpperCase().endsWith(feeCurrency);
+  }
+
+  async recordedFee(orderId, feeCurrency) {
+    const row = await this.get(
+      'SELECT COALESCE(SUM(fee), 0) AS total FROM order_fills WHERE order_id = ? AND fee_currency = ?',
+      [orderId, feeCurrency]
+    );
+    return parseFloat(row && row.total) || 0;
+  }
+
+  async requireOrder(orderId) {
+    const order = await this.getOrder(orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    return order;
+  }
+
+  async getOrder(orderId) {
+    this.ensureReady();
+    const row = await this.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+    return row ? this.formatOrder(row) : null;
+  }
+
+  buildFilter(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.symbol) {
+      conditions.push('symbol = ?');
+      params.push(filters.symbol);
+    }
+    if (filters.exchange) {
+      conditions.push('exchange = ?');
+      params.push(filters.exchange);
+    }
+    if (filters.userId) {
+      conditions.push('user_id = ?');
+      params.push(filters.userId);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async getOrders(filters = {}) {
+    this.ensureReady();
+    const { where, params } = this.buildFilter(filters);
+    const limit = parseInt(filters.limit) || 50;
+    const offset = parseInt(filters.offset) || 0;
+
+    const rows = await this.all(
+      `SELECT * FROM orders ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(row => this.formatOrder(row));
+  }
+
+  async countOrders(filters = {}) {
+    this.ensureReady();
+    const { where, params } = this.buildFilter(filters);
+    const row = await this.get(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+    return parseInt(row ? row.total : 0);
+  }
+
+  async getOpenOrders(filters = {}) {
+    return this.getOrders({ ...filters, status: [ORDER_STATUS.NEW, ORDER_STATUS.PARTIALLY_FILLED], limit: filters.limit || 500 });
+  }
+
+  async getFills(filters = {}) {
+    this.ensureReady();
+    const conditions = [];
+    const params = [];
+
+    if (filters.orderId) {
+      conditions.push('order_id = ?');
+      params.push(filters.orderId);
+    }
+    if (filters.symbol) {
+      conditions.push('symbol = ?');
+      params.push(filters.symbol);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.all(
+      `SELECT * FROM order_fills ${where} ORDER BY timestamp DESC LIMIT ?`,
+      [...params, parseInt(filters.limit) || 100]
+    );
+
+    return rows.map(row => this.formatFill(row));
+  }
+
+  /**
+   * Execution metrics til analytics - beregnet fra de seneste ordrer
+   */
+  async getExecutionStats(limit = 500) {
+    const orders = await this.getOrders({ limit });
+    const completed = orders.filter(order => order.status !== ORDER_STATUS.NEW);
+    const withFills = orders.filter(order => order.filledAmount > 0);
+
+    const slippages = withFills
+      .filter(order => order.metadata && order.metadata.referencePrice > 0)
+      .map(order => {
+        const reference = order.metadata.referencePrice;
+        const direction = order.side === 'buy' ? 1 : -1;
+        return ((order.averagePrice - reference) / reference) * direction;
+      });
+
+    const executionTimes = withFills
+      .map(order => new Date(order.updatedAt) - new Date(order.timestamp))
+      .filter(ms => ms >= 0);
+
+    const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+    return {
+      totalOrders: orders.length,
+      filled: orders.filter(order => order.status === ORDER_STATUS.FILLED).length,
+      partiallyFilled: orders.filter(order => order.status === ORDER_STATUS.PARTIALLY_FILLED).length,
+      cancelled: orders.filter(order => order.status === ORDER_STATUS.CANCELLED).length,
+      rejected: orders.filter(order => order.status === ORDER_STATUS.REJECTED).length,
+      fillRate: completed.length > 0
+        ? (completed.filter(order => order.status === ORDER_STATUS.FILLED).length / completed.length) * 100
+        : 0,
+      avgExecutionTime: average(executionTimes) / 1000,
+      avgSlippage: average(slippages),
+      totalFees: orders.reduce((sum, order) => sum + order.fees, 0)
+    };
+  }
+
+  formatOrder(row) {
+    return {
+      id: row.id,
+      clientOrderId: row.client_order_id,
+      userId: row.user_id,
+      exchange: row.exchange,
+      exchangeOrderId: row.exchange_order_id,
+      symbol: row.symbol,
+      side: row.side,
+      type: row.type,
+      amount: parseFloat(row.amount),
+      price: row.price !== null && row.price !== undefined ? parseFloat(row.price) : null,
+      filledAmount: parseFloat(row.filled_amount) || 0,
+      averagePrice: parseFloat(row.average_price) || 0,
+      fees: parseFloat(row.fees) || 0,
+      status: row.status,
+      rejectReason: row.reject_reason,
+      source: row.source,
+      metadata: parseJSON(row.metadata, {}),
+      timestamp: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+      updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at
+    };
+  }
+
+  formatFill(row) {
+    return {
+      id: row.id,
+      orderId: row.order_id,
+      exchange: row.exchange,
+      symbol: row.symbol,
+      side: row.side,
+      quantity: parseFloat(row.quantity),
+      price: parseFloat(row.price),
+      fee: parseFloat(row.fee) || 0,
+      feeCurrency: row.fee_currency,
+      tradeId: row.trade_id,
+      timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp
+    };
+  }
+}
+
+const orderLedger = new OrderLedger();
+orderLedger.ORDER_STATUS = ORDER_STATUS;
+
+module.exports = orderLedger;
@@ -0,0 +1,464 @@
+/**
+ * Paper Exchange - Simuleret exchange med samme BaseExchangeAdapter kontrakt som de rigtige adapters
+ * Holder simulerede balances og fylder market/limit ordrer mod det rigtige ticker stream,
+ * så hele platformen kan køre end-to-end uden at risikere midler
+ */
+
+const crypto = require('crypto');
+const QuantitativeEngine = require('./QuantitativeEngine');
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'BUSD', 'USD', 'EUR', 'BTC', 'ETH', 'BNB'];
+
+class PaperExchange extends BaseExchangeAdapter {
+  /**
+   * @param {string} name - Navnet exchangen registreres under (f.eks. 'binance')
+   * @param {Object} options
+   * @param {Object} options.priceSource - Rigtig adapter der leverer tickers (getTicker / ticker events)
+   * @param {Object} options.initialBalances - Start balances, f.eks. { USDT: 10000 }
+   * @param {number} options.takerFee - Fee for market ordrer og marketable limit ordrer
+   * @param {number} options.makerFee - Fee for hvilende limit ordrer
+   */
+  constructor(name = 'paper', options = {}) {
+    const priceSource = options.priceSource || null;
+    super(name, {
+      features: ['spot', 'trading', 'paper'],
+      orderTypes: ['MARKET', 'LIMIT'],
+      websocket: !!(priceSource && priceSource.wsManager)
+    });
+    this.paperTrading = true;
+    this.capabilities.paperTrading = true;
+    this.priceSource = priceSource;
+    this.takerFee = options.takerFee !== undefined ? options.takerFee : 0.001;
+    this.makerFee = options.makerFee !== undefined ? options.makerFee : 0.001;
+    this.quantEngine = new QuantitativeEngine();
+
+    // Genbrug kildens WebSocket manager, så WebSocketCoordinator kan lytte som normalt
+    this.wsManager = this.priceSource && this.priceSource.wsManager ? this.priceSource.wsManager : null;
+
+    this.balances = new Map();
+    this.orders = new Map();
+    this.trades = [];
+    this.tickerCache = new Map();
+
+    const initialBalances = options.initialBalances || { USDT: 10000 };
+    for (const [asset, amount] of Object.entries(initialBalances)) {
+      this.balances.set(asset, { free: parseFloat(amount), locked: 0 });
+    }
+
+    this.setupPriceSourceHandlers();
+  }
+
+  setupPriceSourceHandlers() {
+    if (!this.priceSource) return;
+
+    const emitter = this.wsManager || (typeof this.priceSource.on === 'function' ? this.priceSource : null);
+    if (emitter) {
+      emitter.on('ticker', (ticker) => this.processTicker(ticker));
+    }
+  }
+
+  async initialize() {
+    console.log(`📝 Starter ${this.name} i paper trading mode...`);
+
+    // Offentlige ticker streams kræver ikke API nøgler
+    if (this.wsManager && !this.wsManager.isConnected()) {
+      try {
+        await this.wsManager.connect();
+      } catch (error) {
+        console.warn(`⚠️ ${this.name} paper ticker stream fejlede, bruger API polling:`, error.message);
+      }
+    }
+
+    this.connected = true;
+    console.log(`✅ ${this.name} paper trading aktiv`);
+    return true;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  isWebSocketConnected() {
+    return this.wsManager ? this.wsManager.isConnected() : false;
+  }
+
+  /**
+   * Opdel symbol i base og quote ('BTC/USDT', 'BTCUSDT', 'BTC_USDT', 'BTC-USDT')
+   */
+  splitSymbol(symbol) {
+    const separated = symbol.split(/[/_-]/);
+    if (separated.length === 2) {
+      return { base: separated[0].toUpperCase(), quote: separated[1].toUpperCase() };
+    }
+
+    const upper = symbol.toUpperCase();
+    for (const quote of QUOTE_CURRENCIES) {
+      if (upper.endsWith(quote) && upper.length > quote.length) {
+        return { base: upper.slice(0, -quote.length), quote };
+      }
+    }
+
+    throw new Error(`${this.name} kan ikke fortolke symbol: ${symbol}`);
+  }
+
+  normalizeSymbol(symbol) {
+    const { base, quote } = this.splitSymbol(symbol);
+    return `${base}/${quote}`;
+  }
+
+  getAsset(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { free: 0, locked: 0 });
+    }
+    return this.balances.get(asset);
+  }
+
+  async getBalance() {
+    if (!this.isConnected()) {
+      throw new Error(`${this.name} is not connected`);
+    }
+
+    const currencies = {};
+    for (const [asset, balance] of this.balances.entries()) {
+      const total = balance.free + balance.locked;
+      if (total > 0) {
+        currencies[asset] = {
+          free: balance.free,
+          locked: balance.locked,
+          total
+        };
+      }
+    }
+
+    return {
+      exchange: this.name,
+      currencies,
+      timestamp: new Date().toISOString(),
+      paperTrading: true
+    };
+  }
+
+  async getTicker(symbol) {
+    const normalizedSymbol = this.normalizeSymbol(symbol);
+
+    if (this.priceSource) {
+      try {
+        const ticker = await this.priceSource.getTicker(normalizedSymbol);
+        if (ticker && ticker.price) {
+          this.processTicker(ticker);
+          return this.tickerCache.get(normalizedSymbol);
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${this.name} paper ticker fejl for ${normalizedSymbol}:`, error.message);
+      }
+    }
+
+    return this.tickerCache.get(normalizedSymbol) || null;
+  }
+
+  /**
+   * Order book kommer fra prisfeedet - paper exchangen har ingen egen dybde
+   */
+  async getOrderBook(symbol, depth = 20) {
+    if (!this.supports('getOrderBook')) {
+      throw this.notSupported('getOrderBook');
+    }
+
+    const book = await this.priceSource.getOrderBook(this.normalizeSymbol(symbol), depth);
+    return { ...book, exchange: this.name };
+  }
+
+  /**
+   * Candles kommer ligeledes fra prisfeedet - paper exchangen har ingen egen historik
+   */
+  async getKlines(symbol, interval = '1h', options = {}) {
+    if (!this.supports('getKlines')) {
+      throw this.notSupported('getKlines');
+    }
+    return this.priceSource.getKlines(this.normalizeSymbol(symbol), interval, options);
+  }
+
+  supports(method) {
+    if (method === 'getOrderBook' || method === 'getKlines') {
+      return !!(this.priceSource && typeof this.priceSource[method] === 'function' &&
+        (!this.priceSource.supports || this.priceSource.supports(method)));
+    }
+    return super.supports(method);
+  }
+
+  /**
+   * Modtag en rigtig ticker, cache den og fyld hvilende limit ordrer
+   */
+  processTicker(ticker) {
+    if (!ticker || !ticker.symbol || !ticker.price) return;
+
+    let normalizedSymbol;
+    try {
+      normalizedSymbol = this.normalizeSymbol(ticker.symbol);
+    } catch (error) {
+      return;
+    }
+
+    const paperTicker = {
+      ...ticker,
+      symbol: normalizedSymbol,
+      price: parseFloat(ticker.price),
+      exchange: this.name,
+      source: ticker.exchange || ticker.source || 'paper'
+    };
+    this.tickerCache.set(normalizedSymbol, paperTicker);
+    this.emit('ticker', paperTicker);
+
+    for (const order of this.orders.values()) {
+      if (order.symbol !== normalizedSymbol || order.status !== 'NEW') continue;
+
+      const crossed = order.side === 'BUY'
+        ? paperTicker.price <= order.price
+        : paperTicker.price >= order.price;
+
+      if (crossed) {
+        this.fillOrder(order, order.price, this.makerFee);
+      }
+    }
+  }
+
+  async createOrder(params) {
+    if (!this.isConnected()) {
+      throw new Error(`${this.name} is not connected`);
+    }
+
+    const { symbol, side, type = 'MARKET' } = params;
+    const amount = parseFloat(params.amount !== undefined ? params.amount : params.quantity);
+    const orderSide = (side || '').toUpperCase();
+    const orderType = type.toUpperCase();
+    const limitPrice = params.price !== undefined && params.price !== null ? parseFloat(params.price) : null;
+
+    if (!['BUY', 'SELL'].includes(orderSide)) {
+      throw new Error(`${this.name} order failed: invalid side ${side}`);
+    }
+    if (!amount || amount <= 0) {
+      throw new Error(`${this.name} order failed: invalid amount ${params.amount}`);
+    }
+    if (orderType === 'LIMIT' && !(limitPrice > 0)) {
+      throw new Error(`${this.name} order failed: limit orders require a price`);
+    }
+    if (!['MARKET', 'LIMIT'].includes(orderType)) {
+      throw new Error(`${this.name} order failed: unsupported order type ${type}`);
+    }
+
+    const normalizedSymbol = this.normalizeSymbol(symbol);
+    const { base, quote } = this.splitSymbol(normalizedSymbol);
+    const ticker = await this.getTicker(normalizedSymbol);
+
+    if (!ticker || !ticker.price) {
+      throw new Error(`${this.name} order failed: no market price for ${normalizedSymbol}`);
+    }
+
+    const order = {
+      orderId: `paper_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      clientOrderId: params.clientOrderId || null,
+      symbol: normalizedSymbol,
+      base,
+      quote,
+      side: orderSide,
+      type: orderType,
+      amount,
+      price: limitPrice,
+      filledAmount: 0,
+      averagePrice: 0,
+      fee: 0,
+      status: 'NEW',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const marketable = orderType === 'MARKET' ||
+      (orderSide === 'BUY' ? ticker.price <= limitPrice : ticker.price >= limitPrice);
+
+    if (marketable) {
+      const fillPrice = this.getMarketFillPrice(orderSide, ticker.price, amount, limitPrice);
+      this.reserveFunds(order, fillPrice, this.takerFee);
+      this.orders.set(order.orderId, order);
+      this.fillOrder(order, fillPrice, this.takerFee);
+    } else {
+      this.reserveFunds(order, limitPrice, this.makerFee);
+      this.orders.set(order.orderId, order);
+      console.log(`📝 ${this.name} paper limit ordre hviler: ${orderSide} ${amount} ${normalizedSymbol} @ ${limitPrice}`);
+    }
+
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Market fill med QuantitativeEngine slippage - limit ordrer fyldes aldrig dårligere end limit
+   */
+  getMarketFillPrice(side, price, amount, limitPrice) {
+    const slippage = this.quantEngine.calculateSlippage(amount * price);
+    const fillPrice = side === 'BUY' ? price * (1 + slippage) : price * (1 - slippage);
+
+    if (limitPrice) {
+      return side === 'BUY' ? Math.min(fillPrice, limitPrice) : Math.max(fillPrice, limitPrice);
+    }
+    return fillPrice;
+  }
+
+  reserveFunds(order, price, feeRate) {
+    if (order.side === 'BUY') {
+      const required = order.amount * price * (1 + feeRate);
+      const quoteBalance = this.getAsset(order.quote);
+      if (quoteBalance.free < required) {
+        throw new Error(`${this.name} order failed: insufficient ${order.quote} balance (${quoteBalance.free.toFixed(2)} < ${required.toFixed(2)})`);
+      }
+      quoteBalance.free -= required;
+      quoteBalance.locked += required;
+      order.reserved = required;
+    } else {
+      const baseBalance = this.getAsset(order.base);
+      if (baseBalance.free < order.amount) {
+        throw new Error(`${this.name} order failed: insufficient ${order.base} balance (${baseBalance.free} < ${order.amount})`);
+      }
+      baseBalance.free -= order.amount;
+      baseBalance.locked += order.amount;
+      order.reserved = order.amount;
+    }
+  }
+
+  releaseFunds(order) {
+    const asset = order.side === 'BUY' ? order.quote : order.base;
+    const balance = this.getAsset(asset);
+    balance.locked -= order.reserved;
+    balance.free += order.reserved;
+    order.reserved = 0;
+  }
+
+  fillOrder(order, price, feeRate) {
+    const quoteBalance = this.getAsset(order.quote);
+    const baseBalance = this.getAsset(order.base);
+    const notional = order.amount * price;
+    const fee = notional * feeRate;
+
+    if (order.side === 'BUY') {
+      // Frigiv hele reservationen og træk den faktiske pris + fee
+      quoteBalance.locked -= order.reserved;
+      quoteBalance.free += order.reserved - notional - fee;
+      baseBalance.free += order.amount;
+    } else {
+      baseBalance.locked -= order.reserved;
+      quoteBalance.free += notional - fee;
+    }
+
+    order.reserved = 0;
+    order.filledAmount = order.amount;
+    order.averagePrice = price;
+    order.fee = fee;
+    order.status = 'FILLED';
+    order.updatedAt = new Date().toISOString();
+
+    const trade = this.normalizeTrade({
+      tradeId: `paper_trade_${this.trades.length + 1}`,
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      amount: order.amount,
+      price,
+      fee,
+      feeCurrency: order.quote,
+      timestamp: order.updatedAt
+    });
+    this.trades.push(trade);
+
+    console.log(`✅ ${this.name} paper fill: ${order.side} ${order.amount} ${order.symbol} @ ${price.toFixed(6)}`);
+    this.emit('orderFilled', { order: this.formatOrder(order), trade });
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`${this.name} order ${orderId} ikke fundet`);
+    }
+    if (order.status !== 'NEW') {
+      throw new Error(`${this.name} order ${orderId} kan ikke annulleres (status: ${order.status})`);
+    }
+
+    this.releaseFunds(order);
+    order.status = 'CANCELED';
+    order.updatedAt = new Date().toISOString();
+    this.emit('orderCancelled', this.formatOrder(order));
+
+    return this.formatOrder(order);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`${this.name} order ${orderId} ikke fundet`);
+    }
+    return this.formatOrder(order);
+  }
+
+  async getOpenOrders(symbol = null) {
+    const normalizedSymbol = symbol ? this.normalizeSymbol(symbol) : null;
+    return Array.from(this.orders.values())
+      .filter(order => order.status === 'NEW' && (!normalizedSymbol || order.symbol === normalizedSymbol))
+      .map(order => this.formatOrder(order));
+  }
+
+  async getTradeHistory(symbol = null, limit = 100) {
+    const normalizedSymbol = symbol ? this.normalizeSymbol(symbol) : null;
+    return this.trades
+      .filter(trade => !normalizedSymbol || trade.symbol === normalizedSymbol)
+      .slice(-limit);
+  }
+
+  formatOrder(order) {
+    return {
+      ...this.normalizeOrder({ ...order, timestamp: order.updatedAt }),
+      paperTrading: true
+    };
+  }
+
+  async disconnect() {
+    console.log(`🔌 ${this.name} paper trading stoppet`);
+    this.connected = false;
+
+    if (this.priceSource && typeof this.priceSource.disconnect === 'function') {
+      await this.priceSource.disconnect();
+    }
+  }
+
+  // Få alle cached ticker data
+  getAllCachedTickers() {
+    const tickers = {};
+    for (const [symbol, data] of this.tickerCache.entries()) {
+      tickers[symbol] = data;
+    }
+    return tickers;
+  }
+
+  // Få detaljeret status
+  getDetailedStatus() {
+    const orders = Array.from(this.orders.values());
+
+    return {
+      exchange: this.name,
+      apiConnected: this.connected,
+      webSocketStatus: this.wsManager ? this.wsManager.getStatus() : null,
+      cachedTickers: this.tickerCache.size,
+      subscriptions: 0,
+      features: this.features,
+      isHealthy: this.isConnected(),
+      paperTrading: true,
+      priceSource: this.priceSource ? this.priceSource.name : null,
+      openOrders: orders.filter(order => order.status === 'NEW').length,
+      filledOrders: orders.filter(order => order.status === 'FILLED').length,
+      trades: this.trades.length
+    };
+  }
+
+  getStatus() {
+    return this.getDetailedStatus();
+  }
+}
+
+module.exports = PaperExchange;
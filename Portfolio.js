@@ -65,7 +65,7 @@ const Portfolio = () => {
   }
 
   const portfolioValue = portfolio?.totalValue || 250000;
-  const totalReturn = portfolio?.pnl?.percentage || 28.5;
+  const totalReturn = portfolio?.pnl?.percentage ?? 0;
   const positions = portfolio?.positions || [];
   const cash = portfolio?.cash || 100000;
 
@@ -110,8 +110,8 @@ const Portfolio = () => {
           <Card>
             <CardContent sx={{ textAlign: 'center' }}>
               <TrendingUp sx={{ fontSize: 40, color: 'success.main', mb: 1 }} />
-              <Typography variant="h4" gutterBottom color="success.main">
-                +{totalReturn.toFixed(1)}%
+              <Typography variant="h4" gutterBottom color={totalReturn >= 0 ? 'success.main' : 'error.main'}>
+                {totalReturn >= 0 ? '+' : ''}{totalReturn.toFixed(1)}%
               </Typography>
               <Typography color="text.secondary">
                 Total Afkast
@@ -267,8 +267,10 @@ const Portfolio = () => {
                     <TableRow>
                       <TableCell>Asset</TableCell>
                       <TableCell align="right">Mængde</TableCell>
+                      <TableCell align="right">Gns. Pris</TableCell>
                       <TableCell align="right">Værdi</TableCell>
-                      <TableCell align="right">P&L</TableCell>
+                      <TableCell align="right">Urealiseret</TableCell>
+                      <TableCell align="right">Realiseret</TableCell>
                     </TableRow>
                   </TableHead>
                   <TableBody>
@@ -280,24 +282,34 @@ const Portfolio = () => {
                               {position.symbol?.split('/')[0]?.substring(0, 2)}
                             </Avatar>
                             {position.symbol}
+                            <Chip label={position.exchange} size="small" variant="outlined" />
                           </Box>
                         </TableCell>
                         <TableCell align="right">
-                          {position.amount?.toFixed(4)}
+                          {position.side === 'short' ? '-' : ''}{position.amount?.toFixed(4)}
                         </TableCell>
                         <TableCell align="right">
-                          ${(position.amount * position.currentPrice)?.toLocaleString()}
+                          ${position.averageEntryPrice?.toLocaleString(undefined, { maximumFractionDigits: 2 })}
                         </TableCell>
                         <TableCell align="right">
-                          <Typography color={position.pnl >= 0 ? 'success.main' : 'error.main'}>
-                            ${position.pnl?.toLocaleString()}
+                          ${position.marketValue?.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                        </TableCell>
+                        <TableCell align="right">
+                          <Typography color={position.unrealizedPnl >= 0 ? 'success.main' : 'error.main'}>
+                            ${position.unrealizedPnl?.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                            {' '}({position.unrealizedPnlPercent?.toFixed(2)}%)
+                          </Typography>
+                        </TableCell>
+                        <TableCell align="right">
+                          <Typography color={position.realizedPnl >= 0 ? 'success.main' : 'error.main'}>
+                            ${position.realizedPnl?.toLocaleString(undefined, { maximumFractionDigits: 2 })}
                           </Typography>
                         </TableCell>
                       </TableRow>
                     ))}
                     {positions.length === 0 && (
                       <TableRow>
-                        <TableCell colSpan={4} align="center">
+                        <TableCell colSpan={6} align="center">
                           <Typography color="text.secondary">
                             Ingen aktive positioner
                           </Typography>
@@ -0,0 +1,272 @@
+/**
+ * PositionManager - Positioner bygget fra udførte fills
+ * Holder lots per exchange og symbol med FIFO, LIFO eller gennemsnitspris
+ * og beregner realiseret og urealiseret P&L mod WebSocketCoordinator's aggregerede tickers
+ */
+
+const EventEmitter = require('events');
+const OrderLedger = require('./OrderLedger');
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+const QUANTITY_EPSILON = 1e-12;
+
+class PositionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.positions = new Map();
+    this.dailyRealized = new Map();
+    this.method = 'fifo';
+    this.tickerSource = null;
+    this.ledger = null;
+    this.isReady = false;
+    this.onFill = fill => this.applyFill(fill);
+  }
+
+  /**
+   * Genopbyg positioner fra ledger og følg nye fills
+   */
+  async initialize({ ledger = OrderLedger, method = process.env.COST_BASIS_METHOD || 'fifo' } = {}) {
+    this.setMethod(method);
+
+    if (this.ledger) {
+      this.ledger.removeListener('fill', this.onFill);
+    }
+    this.ledger = ledger;
+
+    await this.rebuild();
+    this.ledger.on('fill', this.onFill);
+    this.isReady = true;
+
+    console.log(`📈 Position Manager initialized (${this.method.toUpperCase()}, ${this.positions.size} positions)`);
+  }
+
+  setMethod(method) {
+    const normalized = (method || '').toLowerCase();
+    if (!COST_BASIS_METHODS.includes(normalized)) {
+      throw new Error(`Unknown cost basis method: ${method}`);
+    }
+    this.method = normalized;
+  }
+
+  /**
+   * Kilde til aktuelle priser - typisk WebSocketCoordinator (getAllTickers)
+   */
+  setTickerSource(source) {
+    this.tickerSource = source;
+  }
+
+  async rebuild(method = this.method) {
+    this.setMethod(method);
+    this.positions.clear();
+    this.dailyRealized.clear();
+
+    const fills = [];
+    const batchSize = 1000;
+    let offset = 0;
+    let batch;
+
+    do {
+      batch = await this.ledger.all(
+        'SELECT * FROM order_fills ORDER BY timestamp ASC, id ASC LIMIT ? OFFSET ?',
+        [batchSize, offset]
+      );
+      fills.push(...batch.map(row => this.ledger.formatFill(row)));
+      offset += batchSize;
+    } while (batch.length === batchSize);
+
+    for (const fill of fills) {
+      this.applyFill(fill, { silent: true });
+    }
+
+    return this.positions.size;
+  }
+
+  getKey(exchange, symbol) {
+    return `${exchange || 'unknown'}:${symbol}`;
+  }
+
+  getOrCreatePosition(exchange, symbol) {
+    const key = this.getKey(exchange, symbol);
+
+    if (!this.positions.has(key)) {
+      this.positions.set(key, {
+        exchange: exchange || 'unknown',
+        symbol,
+        lots: [],
+        realizedPnl: 0,
+        fees: 0,
+        unconvertedFees: {},
+        fillCount: 0,
+        openedAt: null,
+        updatedAt: null
+      });
+    }
+
+    return this.positions.get(key);
+  }
+
+  /**
+   * Anvend én fill. Lots har fortegn: positive er long, negative er short.
+   */
+  applyFill(fill, { silent = false } = {}) {
+    const position = this.getOrCreatePosition(fill.exchange, fill.symbol);
+    const direction = fill.side === 'buy' ? 1 : -1;
+    let remaining = fill.quantity;
+    let realized = 0;
+    // Kun fees i quote kan trækkes fra P&L - fx BNB commission holdes for sig per aktiv
+    const fee = OrderLedger.isQuoteFee(fill) ? fill.fee || 0 : 0;
+
+    position.fees += fee;
+    if (fill.fee && !fee) {
+      position.unconvertedFees[fill.feeCurrency] = (position.unconvertedFees[fill.feeCurrency] || 0) + fill.fee;
+    }
+    position.fillCount++;
+    position.updatedAt = fill.timestamp;
+
+    // Luk lots i modsat retning først
+    while (remaining > QUANTITY_EPSILON && position.lots.length > 0 && Math.sign(position.lots[0].quantity) !== direction) {
+      const index = this.method === 'lifo' ? position.lots.length - 1 : 0;
+      const lot = position.lots[index];
+      const lotSize = Math.abs(lot.quantity);
+      const closing = Math.min(lotSize, remaining);
+
+      realized += (fill.price - lot.price) * closing * -direction;
+      remaining -= closing;
+
+      if (lotSize - closing <= QUANTITY_EPSILON) {
+        position.lots.splice(index, 1);
+      } else {
+        lot.quantity += closing * direction;
+      }
+    }
+
+    // Fee fordeles ikke på lots - den trækkes fra realiseret P&L
+    position.realizedPnl += realized - fee;
+    this.recordDailyRealized(fill.timestamp, realized - fee);
+
+    if (remaining > QUANTITY_EPSILON) {
+      if (position.lots.length === 0) {
+        position.openedAt = fill.timestamp;
+      }
+
+      if (this.method === 'average' && position.lots.length > 0) {
+        const lot = position.lots[0];
+        const total = Math.abs(lot.quantity) + remaining;
+        lot.price = (Math.abs(lot.quantity) * lot.price + remaining * fill.price) / total;
+        lot.quantity = total * direction;
+      } else {
+        position.lots.push({
+          quantity: remaining * direction,
+          price: fill.price,
+          timestamp: fill.timestamp,
+          fillId: fill.id
+        });
+      }
+    }
+
+    if (position.lots.length === 0) {
+      position.openedAt = null;
+    }
+
+    if (!silent) {
+      this.emit('positionUpdated', this.formatPosition(position));
+    }
+
+    return position;
+  }
+
+  recordDailyRealized(timestamp, amount) {
+    const day = new Date(timestamp || Date.now()).toISOString().slice(0, 10);
+    this.dailyRealized.set(day, (this.dailyRealized.get(day) || 0) + amount);
+  }
+
+  /**
+   * Realiseret P&L for en UTC dag (default i dag)
+   */
+  getDailyRealizedPnL(date = new Date()) {
+    return this.dailyRealized.get(new Date(date).toISOString().slice(0, 10)) || 0;
+  }
+
+  getCurrentPrice(symbol) {
+    if (!this.tickerSource || !this.tickerSource.getAllTickers) return null;
+
+    const ticker = this.tickerSource.getAllTickers()[symbol];
+    return ticker && ticker.price ? ticker.price : null;
+  }
+
+  formatPosition(position) {
+    const netQuantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const amount = Math.abs(netQuantity);
+    const costBasis = position.lots.reduce((sum, lot) => sum + Math.abs(lot.quantity) * lot.price, 0);
+    const averageEntryPrice = amount > 0 ? costBasis / amount : 0;
+    const livePrice = this.getCurrentPrice(position.symbol);
+    const currentPrice = livePrice || averageEntryPrice;
+    const unrealizedPnl = amount > 0 ? (currentPrice * amount - costBasis) * Math.sign(netQuantity) : 0;
+
+    return {
+      exchange: position.exchange,
+      symbol: position.symbol,
+      side: netQuantity >= 0 ? 'long' : 'short',
+      amount,
+      averageEntryPrice,
+      costBasis,
+      currentPrice,
+      priceAvailable: livePrice !== null,
+      marketValue: currentPrice * amount,
+      unrealizedPnl,
+      unrealizedPnlPercent: costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : 0,
+      realizedPnl: position.realizedPnl,
+      pnl: unrealizedPnl + position.realizedPnl,
+      fees: position.fees,
+      unconvertedFees: { ...position.unconvertedFees },
+      fillCount: position.fillCount,
+      lots: position.lots.map(lot => ({ ...lot, quantity: Math.abs(lot.quantity) })),
+      method: this.method,
+      openedAt: position.openedAt,
+      updatedAt: position.updatedAt
+    };
+  }
+
+  getPosition(exchange, symbol) {
+    const position = this.positions.get(this.getKey(exchange, symbol));
+    return position ? this.formatPosition(position) : null;
+  }
+
+  /**
+   * Åbne positioner - includeClosed giver også lukkede med realiseret P&L
+   */
+  getPositions({ includeClosed = false, exchange, symbol } = {}) {
+    return Array.from(this.positions.values())
+      .filter(position => includeClosed || position.lots.length > 0)
+      .filter(position => !exchange || position.exchange === exchange)
+      .filter(position => !symbol || position.symbol === symbol)
+      .map(position => this.formatPosition(position));
+  }
+
+  getPortfolioPnL() {
+    const all = this.getPositions({ includeClosed: true });
+    const open = all.filter(position => position.amount > 0);
+
+    const costBasis = open.reduce((sum, position) => sum + position.costBasis, 0);
+    const unrealized = open.reduce((sum, position) => sum + position.unrealizedPnl, 0);
+    const realized = all.reduce((sum, position) => sum + position.realizedPnl, 0);
+
+    return {
+      method: this.method,
+      openPositions: open.length,
+      costBasis,
+      marketValue: open.reduce((sum, position) => sum + position.marketValue, 0),
+      unrealized,
+      realized,
+      total: unrealized + realized,
+      fees: all.reduce((sum, position) => sum + position.fees, 0),
+      percentage: costBasis > 0 ? ((unrealized + realized) / costBasis) * 100 : 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const positionManager = new PositionManager();
+positionManager.COST_BASIS_METHODS = COST_BASIS_METHODS;
+
+module.exports = positionManager;
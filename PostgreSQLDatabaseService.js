@@ -302,14 +302,16 @@ class PostgreSQLDatabaseService {
 
   /**
    * Optimeret AI decision logging
+   * ai_decisions er en hypertable uden id - rækker findes via time eller cycle_id (master agent cycles)
    */
   async logAIDecision(agentId, decisionType, confidence, data = {}) {
     return await this.query(`
       INSERT INTO ai_decisions (
         agent_id, decision_type, confidence, input_data, 
-        reasoning, execution_status, metadata
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id
+        reasoning, execution_status, metadata,
+        decision_action, output_data, cycle_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING time
     `, [
       agentId,
       decisionType,
@@ -317,7 +319,10 @@ class PostgreSQLDatabaseService {
       JSON.stringify(data.input || {}),
       data.reasoning || null,
       data.status || 'pending',
-      JSON.stringify(data.metadata || {})
+      JSON.stringify(data.metadata || {}),
+      data.action || null,
+      data.output ? JSON.stringify(data.output) : null,
+      data.cycleId || null
     ]);
   }
 
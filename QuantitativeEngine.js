@@ -14,6 +14,9 @@ class QuantitativeEngine {
       takerFee: 0.002,    // 0.2% taker fee
       slippageModel: 'linear'
     };
+
+    // Kilde til order book dybde (WebSocketCoordinator) - uden den bruges den lineære model
+    this.depthSource = null;
     
     this.riskFreeRate = 0.02; // 2% annual risk-free rate
     this.kellyFraction = 0.5; // Fractional Kelly (50% safety margin)
@@ -64,10 +67,24 @@ class QuantitativeEngine {
     };
   }
 
+  setDepthSource(depthSource) {
+    this.depthSource = depthSource;
+    this.transactionCosts.slippageModel = depthSource ? 'orderbook' : 'linear';
+  }
+
   /**
    * Slippage Model - Advanced friction calculation
+   * Med symbol og en depth source gås den rigtige order book igennem for notional volume.
+   * Falder tilbage til den lineære model hvis bogen mangler eller er for tynd.
    */
-  calculateSlippage(volume) {
+  calculateSlippage(volume, { symbol = null, side = 'buy', exchange = null } = {}) {
+    if (this.depthSource && symbol) {
+      const estimate = this.depthSource.estimateSlippage(symbol, side, { notional: volume }, exchange);
+      if (estimate && estimate.complete && estimate.slippage !== null) {
+        return Math.max(estimate.slippage, 0);
+      }
+    }
+
     // Simple linear model: 1 bps per $10k volume
     const baseSlippage = 0.0001; // 1 basis point
     const volumeImpact = volume / 10000; // Per $10k
@@ -88,9 +105,10 @@ class QuantitativeEngine {
     if (returns.length < 2) return 0;
 
     // Calculate net returns (subtract transaction costs from each return)
+    // Omkostningerne er i dollars på $10k basen og trækkes fra som andel af den
     const netReturns = returns.map(r => {
       const costs = this.calculateTransactionCosts(Math.abs(r) * 10000); // Assume $10k base
-      return r - costs.total;
+      return r - costs.total / 10000;
     });
 
     const meanReturn = this.calculateMean(netReturns);
@@ -343,6 +361,18 @@ class QuantitativeEngine {
     };
   }
 
+  /**
+   * Annualiseret Sharpe for afkast med fast periode, fx 365 * 24 for 1h bars (krypto handler hele året)
+   */
+  calculateAnnualizedSharpe(returns, periodsPerYear = 252) {
+    if (returns.length < 2) return 0;
+
+    const volatility = this.calculateVolatility(returns);
+    const excessReturn = this.calculateMean(returns) - this.riskFreeRate / periodsPerYear;
+
+    return volatility === 0 ? 0 : excessReturn / volatility * Math.sqrt(periodsPerYear);
+  }
+
   calculateDailySharpe(dailyReturns) {
     if (dailyReturns.length < 2) return 0;
     
@@ -1,17 +1,27 @@
 /**
  * ReinforcementLearningEngine - V2.0 Adaptive Learning Core
  * Implements the advanced RL system from the blueprint:
- * - Advanced reward function: Sharpe_net - λ × Max Drawdown
+ * - Advanced reward function: portfolio Sharpe_net - λ × Drawdown
+ * - Multi-asset portfolio with target weight position sizing, cash, fee and leverage constraints
  * - Multi-objective optimization for risk-adjusted returns
  * - Dynamic environment adaptation
  * - Experience replay and continuous learning
  */
 
+const fs = require('fs');
+const path = require('path');
 const QuantitativeEngine = require('./QuantitativeEngine');
 const DatabaseService = require('./DatabaseService');
+const RiskEngine = require('./RiskEngine');
+const { IndicatorSet } = require('./TechnicalIndicators');
+const NeuralNetwork = require('./NeuralNetwork');
+const TradingGym = require('./TradingGym');
+
+const DEFAULT_MODEL_PATH = process.env.RL_MODEL_PATH || path.join(__dirname, '../data/rl_dqn_model.json');
+const MODEL_VERSION = 2;
 
 class ReinforcementLearningEngine {
-  constructor() {
+  constructor(config = {}) {
     this.quantEngine = new QuantitativeEngine();
     
     // RL Configuration
@@ -23,13 +33,41 @@ class ReinforcementLearningEngine {
       batchSize: 32,
       memorySize: 10000,
       targetUpdateFreq: 1000,
+      hiddenLayers: [64, 64],
+      
+      // Prioritized replay: sandsynlighed ∝ |TD fejl|^alpha, beta annealer mod 1
+      priorityAlpha: 0.6,
+      priorityBeta: 0.4,
+      priorityBetaIncrement: 0.001,
+      priorityEpsilon: 1e-3,
+      
+      seed: null,
+      logRewards: true,
       
       // Reward function parameters
       lambda: 2.0,            // Drawdown penalty weight
       sharpeWeight: 1.0,
       profitWeight: 0.5,
-      riskPenalty: 1.5
+      riskPenalty: 1.5,
+      rewardWindow: 30,       // Porteføljeafkast bag Sharpe i reward
+      
+      // Portefølje: univers af symboler, startkapital og handelsbegrænsninger
+      universe: ['BTC/USDT'],
+      initialCapital: 100000,
+      maxLeverage: 1,         // Brutto eksponering / egenkapital
+      allowShort: false,
+      cashBuffer: 0.05,       // BUY investerer (1 - buffer) × maxLeverage af egenkapitalen
+      minTradeValue: 10,      // Mindre rebalanceringer springes over
+      positionLevels: null,   // fx [0, 0.5, 1] → actions 'BTC/USDT@0.5' i stedet for BUY/SELL/HOLD
+      
+      modelPath: DEFAULT_MODEL_PATH,
+      ...config
     };
+    if (!Array.isArray(this.config.universe) || this.config.universe.length === 0) {
+      throw new Error('RL universe must contain at least one symbol');
+    }
+    this.random = NeuralNetwork.createRandom(this.config.seed);
+    this.riskEngine = RiskEngine;
     
     // Agent state
     this.agent = {
@@ -39,24 +77,21 @@ class ReinforcementLearningEngine {
       totalReward: 0,
       episodeReward: 0,
       episodeCount: 0,
-      trainingSteps: 0
+      trainingSteps: 0,
+      maxPriority: 1,
+      lastLoss: null
     };
     
-    // Environment state
+    // Environment state - første symbol i universet er det primære (indikatorer, BUY/SELL)
+    const universe = [...this.config.universe];
     this.environment = {
       currentState: null,
       previousState: null,
-      actionSpace: ['BUY', 'SELL', 'HOLD'],
-      stateSpace: this.defineStateSpace(),
-      portfolio: {
-        cash: 100000,
-        positions: new Map(),
-        totalValue: 100000,
-        maxValue: 100000,
-        returns: [],
-        drawdown: 0,
-        maxDrawdown: 0
-      }
+      universe,
+      symbol: universe[0],
+      actionSpace: this.defineActionSpace(universe),
+      stateSpace: this.defineStateSpace(universe),
+      portfolio: this.createPortfolio()
     };
     
     // Performance tracking
@@ -66,20 +101,32 @@ class ReinforcementLearningEngine {
       drawdownHistory: [],
       profitHistory: [],
       actionHistory: [],
+      lossHistory: [],
       learningCurve: []
     };
     
+    // Streaming indikatorer over de markedsdata agenten ser, én candle per step
+    this.indicators = new IndicatorSet();
+    this.lastIndicators = null;
+    
+    // Historiske candles per symbol og gym miljø til offline træning/evaluering
+    this.historicalData = {};
+    this.gym = null;
+    
     this.isTraining = false;
     this.learningEnabled = true;
   }
 
   /**
    * Initialize the RL system
+   * options.history ({ symbol, interval, start, end }) indlæser candles og opsætter gym miljøet
    */
-  async initialize() {
+  async initialize(options = {}) {
     await this.initializeNeuralNetwork();
-    await this.loadHistoricalData();
-    await this.setupEnvironment();
+    if (options.history) {
+      await this.loadHistoricalData(options.history);
+      await this.setupEnvironment(options.gym);
+    }
     
     console.log('🧠 Reinforcement Learning Engine V2.0 initialized');
     console.log('🎯 Advanced reward function active');
@@ -88,8 +135,15 @@ class ReinforcementLearningEngine {
 
   /**
    * Define the state space for the RL agent
+   * Markeds- og indikatorfelter følger det primære symbol, vægt og afkast findes per aktiv
    */
-  defineStateSpace() {
+  defineStateSpace(universe = this.config.universe) {
+    const assets = {};
+    universe.forEach((symbol, i) => {
+      assets[`asset_${i}_weight`] = { min: -1, max: 1, normalize: false };
+      assets[`asset_${i}_return`] = { min: -1, max: 1, normalize: false };
+    });
+
     return {
       // Market indicators
       price: { min: 0, max: 100000, normalize: true },
@@ -100,10 +154,17 @@ class ReinforcementLearningEngine {
       rsi: { min: 0, max: 100, normalize: true },
       macd: { min: -1, max: 1, normalize: false },
       bollinger_position: { min: 0, max: 1, normalize: false },
+      adx: { min: 0, max: 1, normalize: false },
+      stochastic_k: { min: 0, max: 1, normalize: false },
+      atr_ratio: { min: 0, max: 1, normalize: false },
+      ema_trend: { min: -1, max: 1, normalize: false },
+      vwap_distance: { min: -1, max: 1, normalize: false },
+      obv_trend: { min: -1, max: 1, normalize: false },
       
       // Portfolio state
-      cash_ratio: { min: 0, max: 1, normalize: false },
+      cash_ratio: { min: -1, max: 1, normalize: false },
       position_size: { min: -1, max: 1, normalize: false },
+      gross_leverage: { min: 0, max: 1, normalize: false },
       unrealized_pnl: { min: -1, max: 1, normalize: false },
       
       // Risk metrics
@@ -115,15 +176,51 @@ class ReinforcementLearningEngine {
       regime_bull: { min: 0, max: 1, normalize: false },
       regime_bear: { min: 0, max: 1, normalize: false },
       regime_sideways: { min: 0, max: 1, normalize: false },
-      regime_volatile: { min: 0, max: 1, normalize: false }
+      regime_volatile: { min: 0, max: 1, normalize: false },
+      
+      // Per asset: vægt i porteføljen (i forhold til maxLeverage) og seneste afkast
+      ...assets
+    };
+  }
+
+  /**
+   * Diskrete actions til Q-netværket. Med positionLevels sætter hver action én målvægt
+   * ('ETH/USDT@0.5' = halvdelen af egenkapitalen i ETH), ellers BUY/SELL/HOLD på det primære symbol
+   */
+  defineActionSpace(universe = this.config.universe) {
+    if (!this.config.positionLevels) {
+      return ['BUY', 'SELL', 'HOLD'];
+    }
+    return ['HOLD', ...universe.flatMap(symbol => this.config.positionLevels.map(level => `${symbol}@${level}`))];
+  }
+
+  createPortfolio() {
+    const capital = this.config.initialCapital;
+    return {
+      cash: capital,
+      positions: new Map(),
+      prices: new Map(),
+      lastPrices: new Map(),
+      totalValue: capital,
+      maxValue: capital,
+      returns: [],
+      drawdown: 0,
+      maxDrawdown: 0,
+      grossExposure: 0,
+      leverage: 0,
+      tradeCount: 0,
+      totalCosts: 0
     };
   }
 
   /**
-   * Advanced reward function from blueprint:
-   * Reward = Sharpe_net - λ × Max Drawdown
+   * Advanced reward function from blueprint, på porteføljeniveau:
+   * Reward = Sharpe_net - λ × Drawdown
+   * Sharpe over de seneste rewardWindow afkast af hele porteføljen (efter fees) og den aktuelle
+   * drawdown, så reward følger den risiko agenten har nu - ikke en permanent straf for en gammel top
    */
   calculateAdvancedReward(action, previousState, currentState, marketData) {
+    const portfolio = this.environment.portfolio;
     const rewards = {
       sharpe: 0,
       profit: 0,
@@ -133,27 +230,22 @@ class ReinforcementLearningEngine {
       total: 0
     };
 
-    // 1. Calculate net Sharpe ratio component
-    if (this.environment.portfolio.returns.length >= 10) {
-      const netSharpe = this.quantEngine.calculateRiskAdjustedSharpe(
-        this.environment.portfolio.returns
-      );
-      rewards.sharpe = netSharpe * this.config.sharpeWeight;
+    // 1. Portfolio Sharpe over the reward window
+    const window = portfolio.returns.slice(-this.config.rewardWindow);
+    if (window.length >= 10) {
+      rewards.sharpe = this.portfolioSharpe(window) * this.config.sharpeWeight;
     }
 
-    // 2. Profit component (normalized)
-    const currentValue = this.environment.portfolio.totalValue;
-    const profitReturn = (currentValue - 100000) / 100000; // Normalized profit
-    rewards.profit = profitReturn * this.config.profitWeight;
+    // 2. Profit component - dette steps porteføljeafkast i procent
+    const stepReturn = portfolio.returns.length > 0 ? portfolio.returns[portfolio.returns.length - 1] : 0;
+    rewards.profit = stepReturn * 100 * this.config.profitWeight;
 
     // 3. Drawdown penalty (core innovation from blueprint)
-    const currentDrawdown = this.environment.portfolio.drawdown;
-    const maxDrawdown = this.environment.portfolio.maxDrawdown;
-    rewards.drawdown_penalty = -this.config.lambda * maxDrawdown;
+    rewards.drawdown_penalty = -this.config.lambda * portfolio.drawdown;
 
-    // 4. Risk penalty for excessive volatility
+    // 4. Risk penalty for excessive volatility, i forhold til hvor meget der er investeret
     if (currentState.volatility > 0.05) {
-      rewards.risk_penalty = -this.config.riskPenalty * currentState.volatility;
+      rewards.risk_penalty = -this.config.riskPenalty * currentState.volatility * portfolio.leverage;
     }
 
     // 5. Action consistency penalty (prevent thrashing)
@@ -167,11 +259,19 @@ class ReinforcementLearningEngine {
                    rewards.action_penalty;
 
     // Log detailed reward breakdown for analysis
-    this.logRewardBreakdown(rewards, action, currentState);
+    if (this.config.logRewards) {
+      this.logRewardBreakdown(rewards, action, currentState);
+    }
 
     return rewards;
   }
 
+  // Sharpe per step (ikke annualiseret) - fees er allerede trukket fra porteføljeværdien
+  portfolioSharpe(returns) {
+    const volatility = this.quantEngine.calculateVolatility(returns);
+    return volatility === 0 ? 0 : this.quantEngine.calculateMean(returns) / volatility;
+  }
+
   /**
    * Execute action in the environment and calculate reward
    */
@@ -191,14 +291,14 @@ class ReinforcementLearningEngine {
     // Update portfolio metrics
     await this.updatePortfolioMetrics(executionResult);
     
+    // Check if episode is done (e.g., significant drawdown)
+    const done = this.checkEpisodeEnd();
+    
     // Store experience for learning
     if (this.learningEnabled) {
-      await this.storeExperience(previousState, action, reward.total, currentState);
+      await this.storeExperience(previousState, action, reward.total, currentState, done);
     }
     
-    // Check if episode is done (e.g., significant drawdown)
-    const done = this.checkEpisodeEnd();
-    
     // Update performance tracking
     this.updatePerformanceTracking(reward, action);
     
@@ -218,45 +318,29 @@ class ReinforcementLearningEngine {
 
   /**
    * Execute trading action
+   * BUY/SELL/HOLD handler det primære symbol, 'SYMBOL@vægt' sætter én målvægt og et objekt
+   * ({ 'BTC/USDT': 0.4, 'ETH/USDT': 0.2 }) rebalancerer flere aktiver på én gang
    */
   async executeAction(action, marketData) {
-    const currentPrice = marketData.price;
-    const portfolio = this.environment.portfolio;
-    
-    let executionResult = {
+    this.updatePrices(marketData);
+
+    const executionResult = {
       action: action,
       executed: false,
-      quantity: 0,
-      price: 0,
+      orders: [],
+      rejected: [],
       cost: 0,
       error: null
     };
 
     try {
-      switch (action) {
-        case 'BUY':
-          executionResult = await this.executeBuyOrder(currentPrice, portfolio);
-          break;
-          
-        case 'SELL':
-          executionResult = await this.executeSellOrder(currentPrice, portfolio);
-          break;
-          
-        case 'HOLD':
-          executionResult.executed = true;
-          break;
-      }
-      
-      // Apply transaction costs
-      if (executionResult.executed && action !== 'HOLD') {
-        const costs = this.quantEngine.calculateTransactionCosts(
-          executionResult.quantity * executionResult.price,
-          'market'
-        );
-        executionResult.cost = costs.total;
-        portfolio.cash -= costs.total;
+      const targets = this.actionToTargets(action);
+      if (!targets) {
+        executionResult.executed = true;
+        return executionResult;
       }
-      
+
+      await this.rebalance(targets, marketData, executionResult);
     } catch (error) {
       console.error('❌ Action execution error:', error);
       executionResult.error = error.message;
@@ -265,51 +349,178 @@ class ReinforcementLearningEngine {
     return executionResult;
   }
 
-  async executeBuyOrder(price, portfolio) {
-    const availableCash = portfolio.cash * 0.95; // Leave 5% buffer
-    const quantity = Math.floor(availableCash / price);
-    
-    if (quantity > 0 && availableCash >= quantity * price) {
-      const totalCost = quantity * price;
-      
-      // Update portfolio
-      portfolio.cash -= totalCost;
-      const currentPosition = portfolio.positions.get('crypto') || 0;
-      portfolio.positions.set('crypto', currentPosition + quantity);
-      
-      return {
-        action: 'BUY',
-        executed: true,
-        quantity: quantity,
-        price: price,
-        cost: totalCost
-      };
+  /**
+   * Målvægte (andel af egenkapitalen) for en action - null for HOLD
+   */
+  actionToTargets(action) {
+    const universe = this.environment.universe;
+
+    switch (action) {
+      case 'HOLD':
+        return null;
+      case 'BUY':
+        return { [this.environment.symbol]: (1 - this.config.cashBuffer) * this.config.maxLeverage };
+      case 'SELL':
+        return { [this.environment.symbol]: 0 };
     }
-    
-    return { action: 'BUY', executed: false, error: 'Insufficient cash' };
+
+    if (typeof action === 'string') {
+      const at = action.lastIndexOf('@');
+      const symbol = action.slice(0, at);
+      const weight = parseFloat(action.slice(at + 1));
+      if (at < 0 || !universe.includes(symbol) || !isFinite(weight)) {
+        throw new Error(`Unknown action: ${action}`);
+      }
+      return { [symbol]: weight };
+    }
+
+    if (action && typeof action === 'object') {
+      for (const [symbol, weight] of Object.entries(action)) {
+        if (!universe.includes(symbol) || typeof weight !== 'number' || !isFinite(weight)) {
+          throw new Error(`Invalid target weight for ${symbol}: ${weight}`);
+        }
+      }
+      return { ...action };
+    }
+
+    throw new Error(`Unknown action: ${action}`);
   }
 
-  async executeSellOrder(price, portfolio) {
-    const currentPosition = portfolio.positions.get('crypto') || 0;
-    
-    if (currentPosition > 0) {
-      const quantity = currentPosition;
-      const totalValue = quantity * price;
-      
-      // Update portfolio
-      portfolio.cash += totalValue;
-      portfolio.positions.set('crypto', 0);
-      
-      return {
-        action: 'SELL',
-        executed: true,
-        quantity: quantity,
-        price: price,
-        cost: totalValue
-      };
+  /**
+   * Pre-trade risk gate - samme kontrol som alle andre ordre-veje
+   */
+  async assertRisk(side, quantity, price, marketData) {
+    if (quantity <= 0 || !this.riskEngine) return;
+
+    await this.riskEngine.assertOrder({
+      symbol: marketData.symbol || this.environment.symbol,
+      side,
+      amount: quantity,
+      referencePrice: price,
+      source: 'rl_engine'
+    });
+  }
+
+  /**
+   * Flyt positionerne mod målvægtene inden for begrænsningerne:
+   * - vægte klippes til [-maxLeverage, maxLeverage] (kun long uden allowShort)
+   * - brutto eksponering inkl. de øvrige positioner må ikke overstige maxLeverage × egenkapital
+   * - uden gearing (maxLeverage <= 1) skal kontanterne dække køb plus transaktionsomkostninger
+   * Salg udføres før køb, så de frigør kontanter. Risk afvisninger springer kun den ordre over.
+   */
+  async rebalance(targets, marketData, result) {
+    const portfolio = this.environment.portfolio;
+    const { maxLeverage, minTradeValue } = this.config;
+    const { equity } = this.valuePortfolio();
+    if (equity <= 0) {
+      throw new Error('Portfolio has no equity left');
+    }
+
+    const minWeight = this.config.allowShort ? -maxLeverage : 0;
+    const weights = {};
+    for (const [symbol, weight] of Object.entries(targets)) {
+      weights[symbol] = Math.max(minWeight, Math.min(maxLeverage, weight));
+    }
+
+    const untouched = this.environment.universe
+      .filter(symbol => !(symbol in weights))
+      .reduce((sum, symbol) => sum + Math.abs(this.positionValue(symbol)), 0) / equity;
+    const requested = Object.values(weights).reduce((sum, weight) => sum + Math.abs(weight), 0);
+    const available = Math.max(0, maxLeverage - untouched);
+    if (requested > available) {
+      for (const symbol of Object.keys(weights)) {
+        weights[symbol] *= available / requested;
+      }
+    }
+
+    const orders = [];
+    for (const [symbol, weight] of Object.entries(weights)) {
+      const price = portfolio.prices.get(symbol);
+      if (!(price > 0)) {
+        result.rejected.push({ symbol, reason: `No price for ${symbol}` });
+        continue;
+      }
+      const quantity = weight * equity / price - (portfolio.positions.get(symbol) || 0);
+      if (Math.abs(quantity * price) >= minTradeValue) {
+        orders.push({ symbol, price, quantity });
+      }
+    }
+    orders.sort((a, b) => Math.sign(a.quantity) - Math.sign(b.quantity));
+
+    for (const order of orders) {
+      let quantity = order.quantity;
+
+      if (quantity > 0 && maxLeverage <= 1) {
+        const notional = quantity * order.price;
+        const costRate = this.quantEngine.calculateTransactionCosts(notional, 'market').total / notional;
+        quantity = Math.min(quantity, Math.max(0, portfolio.cash) / (order.price * (1 + costRate)));
+        if (quantity * order.price < minTradeValue) {
+          result.rejected.push({ symbol: order.symbol, reason: 'Insufficient cash' });
+          continue;
+        }
+      }
+
+      const side = quantity > 0 ? 'buy' : 'sell';
+      try {
+        await this.assertRisk(side, Math.abs(quantity), order.price, { ...marketData, symbol: order.symbol });
+      } catch (error) {
+        if (error.code !== 'RISK_REJECTED') throw error;
+        result.rejected.push({ symbol: order.symbol, reason: error.message, reasons: error.reasons });
+        result.riskReasons = error.reasons;
+        continue;
+      }
+
+      const notional = Math.abs(quantity) * order.price;
+      const fee = this.quantEngine.calculateTransactionCosts(notional, 'market').total;
+      portfolio.positions.set(order.symbol, (portfolio.positions.get(order.symbol) || 0) + quantity);
+      portfolio.cash -= quantity * order.price + fee;
+
+      result.orders.push({ symbol: order.symbol, side, quantity: Math.abs(quantity), price: order.price, notional, fee });
+      result.cost += fee;
+    }
+
+    result.executed = result.orders.length > 0;
+    if (!result.executed) {
+      result.error = result.rejected.length > 0 ? result.rejected[0].reason : 'Already at target weights';
     }
-    
-    return { action: 'SELL', executed: false, error: 'No position to sell' };
+  }
+
+  // Seneste pris per symbol - fra marketData.assets og/eller marketData.price for det primære symbol
+  updatePrices(marketData) {
+    const prices = this.environment.portfolio.prices;
+    for (const [symbol, asset] of Object.entries(marketData.assets || {})) {
+      if (asset && asset.price > 0) prices.set(symbol, asset.price);
+    }
+    if (marketData.price > 0) {
+      prices.set(marketData.symbol || this.environment.symbol, marketData.price);
+    }
+    return prices;
+  }
+
+  positionValue(symbol) {
+    const portfolio = this.environment.portfolio;
+    return (portfolio.positions.get(symbol) || 0) * (portfolio.prices.get(symbol) || 0);
+  }
+
+  // Egenkapital, netto og brutto eksponering til de seneste priser
+  valuePortfolio() {
+    const portfolio = this.environment.portfolio;
+    let net = 0;
+    let gross = 0;
+    for (const symbol of portfolio.positions.keys()) {
+      const value = this.positionValue(symbol);
+      net += value;
+      gross += Math.abs(value);
+    }
+    return { equity: portfolio.cash + net, net, gross };
+  }
+
+  // Markedsdata for det primære symbol når kun marketData.assets er givet
+  primaryMarketData(marketData) {
+    if (marketData.price !== undefined || !marketData.assets || !marketData.assets[this.environment.symbol]) {
+      return marketData;
+    }
+    return { ...marketData, ...marketData.assets[this.environment.symbol], symbol: this.environment.symbol };
   }
 
   /**
@@ -317,24 +528,26 @@ class ReinforcementLearningEngine {
    */
   async updateEnvironmentState(marketData, executionResult) {
     const portfolio = this.environment.portfolio;
+    const prices = this.updatePrices(marketData);
+    marketData = this.primaryMarketData(marketData);
     
     // Calculate current portfolio value
-    const cryptoPosition = portfolio.positions.get('crypto') || 0;
-    const portfolioValue = portfolio.cash + (cryptoPosition * marketData.price);
+    const { equity: portfolioValue, net, gross } = this.valuePortfolio();
+    const previousValue = portfolio.totalValue;
     
     // Update portfolio tracking
     portfolio.totalValue = portfolioValue;
     portfolio.maxValue = Math.max(portfolio.maxValue, portfolioValue);
+    portfolio.grossExposure = gross;
+    portfolio.leverage = portfolioValue > 0 ? gross / portfolioValue : 0;
     
     // Calculate drawdown
-    const currentDrawdown = (portfolio.maxValue - portfolioValue) / portfolio.maxValue;
+    const currentDrawdown = portfolio.maxValue > 0 ? (portfolio.maxValue - portfolioValue) / portfolio.maxValue : 0;
     portfolio.drawdown = currentDrawdown;
     portfolio.maxDrawdown = Math.max(portfolio.maxDrawdown, currentDrawdown);
     
     // Calculate return
-    const dailyReturn = portfolio.returns.length > 0 
-      ? (portfolioValue / (portfolio.totalValue || 100000)) - 1
-      : 0;
+    const dailyReturn = previousValue > 0 ? (portfolioValue / previousValue) - 1 : 0;
     portfolio.returns.push(dailyReturn);
     
     // Keep only recent returns for calculation
@@ -342,6 +555,18 @@ class ReinforcementLearningEngine {
       portfolio.returns = portfolio.returns.slice(-252);
     }
 
+    // Vægt og afkast siden sidste state per aktiv
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const assets = {};
+    this.environment.universe.forEach((symbol, i) => {
+      const price = prices.get(symbol);
+      const lastPrice = portfolio.lastPrices.get(symbol);
+      const weight = portfolioValue > 0 ? this.positionValue(symbol) / portfolioValue : 0;
+      assets[`asset_${i}_weight`] = clamp(weight / this.config.maxLeverage, -1, 1);
+      assets[`asset_${i}_return`] = price && lastPrice ? clamp(price / lastPrice - 1, -1, 1) : 0;
+    });
+    portfolio.lastPrices = new Map(prices);
+
     // Calculate technical indicators
     const technicalIndicators = await this.calculateTechnicalIndicators(marketData);
     
@@ -359,11 +584,18 @@ class ReinforcementLearningEngine {
       rsi: technicalIndicators.rsi / 100,
       macd: Math.max(-1, Math.min(1, technicalIndicators.macd)),
       bollinger_position: technicalIndicators.bollinger_position,
+      adx: technicalIndicators.adx,
+      stochastic_k: technicalIndicators.stochastic_k,
+      atr_ratio: technicalIndicators.atr_ratio,
+      ema_trend: technicalIndicators.ema_trend,
+      vwap_distance: technicalIndicators.vwap_distance,
+      obv_trend: technicalIndicators.obv_trend,
       
       // Portfolio state
-      cash_ratio: portfolio.cash / portfolioValue,
-      position_size: (cryptoPosition * marketData.price) / portfolioValue,
-      unrealized_pnl: (portfolioValue - 100000) / 100000,
+      cash_ratio: portfolioValue > 0 ? clamp(portfolio.cash / portfolioValue, -1, 1) : 0,
+      position_size: portfolioValue > 0 ? clamp(net / portfolioValue, -1, 1) : 0,
+      gross_leverage: clamp(portfolio.leverage / this.config.maxLeverage, 0, 1),
+      unrealized_pnl: (portfolioValue - this.config.initialCapital) / this.config.initialCapital,
       
       // Risk metrics
       current_drawdown: currentDrawdown,
@@ -378,6 +610,8 @@ class ReinforcementLearningEngine {
       regime_sideways: marketRegime === 'SIDEWAYS' ? 1 : 0,
       regime_volatile: marketRegime === 'HIGH_VOLATILITY' ? 1 : 0,
       
+      ...assets,
+      
       // Metadata
       timestamp: new Date(),
       portfolioValue: portfolioValue
@@ -389,12 +623,18 @@ class ReinforcementLearningEngine {
   /**
    * Store experience for replay learning
    */
-  async storeExperience(state, action, reward, nextState) {
+  async storeExperience(state, action, reward, nextState, done = false) {
+    // Kontinuerlige målvægte (objekter) har ingen Q-værdi - kun diskrete actions trænes
+    if (this.actionToIndex(action) < 0) return;
+
     const experience = {
       state: state,
       action: action,
       reward: reward,
       nextState: nextState,
+      done: done,
+      // Nye oplevelser får højeste prioritet så de trænes mindst én gang
+      priority: this.agent.maxPriority,
       timestamp: new Date()
     };
 
@@ -412,27 +652,38 @@ class ReinforcementLearningEngine {
   }
 
   /**
-   * Experience replay learning
+   * Prioritized experience replay med Double DQN targets
    */
   async replayLearning() {
     if (this.agent.memory.length < this.config.batchSize) return;
 
-    // Sample random batch from memory
-    const batch = this.sampleBatch(this.config.batchSize);
+    // Sample prioritized batch from memory
+    const { batch, indices, weights } = this.sampleBatch(this.config.batchSize);
     
     // Prepare training data
     const states = batch.map(exp => this.stateToVector(exp.state));
     const actions = batch.map(exp => this.actionToIndex(exp.action));
     const rewards = batch.map(exp => exp.reward);
     const nextStates = batch.map(exp => this.stateToVector(exp.nextState));
+    const dones = batch.map(exp => exp.done);
 
     // Calculate target Q-values
-    const targets = await this.calculateTargets(states, actions, rewards, nextStates);
+    const targets = await this.calculateTargets(states, actions, rewards, nextStates, dones);
     
-    // Train the network (simplified - would use actual neural network)
-    await this.trainNetwork(states, targets);
+    // Train the network and refresh priorities with the new TD errors
+    const { loss, errors } = await this.trainNetwork(states, targets, actions, weights);
+    errors.forEach((error, i) => {
+      const priority = Math.abs(error) + this.config.priorityEpsilon;
+      this.agent.memory[indices[i]].priority = priority;
+      this.agent.maxPriority = Math.max(this.agent.maxPriority, priority);
+    });
     
     this.agent.trainingSteps++;
+    this.agent.lastLoss = loss;
+    this.performance.lossHistory.push(loss);
+    if (this.performance.lossHistory.length > 1000) {
+      this.performance.lossHistory.shift();
+    }
     
     // Update epsilon (exploration rate)
     this.config.epsilon = Math.max(0.01, this.config.epsilon * this.config.epsilonDecay);
@@ -448,9 +699,9 @@ class ReinforcementLearningEngine {
    */
   async selectAction(state) {
     // Exploration vs Exploitation
-    if (Math.random() < this.config.epsilon && this.learningEnabled) {
+    if (this.random() < this.config.epsilon && this.learningEnabled) {
       // Random exploration
-      const randomIndex = Math.floor(Math.random() * this.environment.actionSpace.length);
+      const randomIndex = Math.floor(this.random() * this.environment.actionSpace.length);
       return this.environment.actionSpace[randomIndex];
     } else {
       // Greedy action selection
@@ -512,7 +763,7 @@ class ReinforcementLearningEngine {
     }
     
     // End episode if portfolio value is too low
-    if (portfolio.totalValue < 50000) { // 50% loss limit
+    if (portfolio.totalValue < this.config.initialCapital * 0.5) { // 50% loss limit
       console.log('🚨 Episode ended due to excessive losses');
       return true;
     }
@@ -525,15 +776,7 @@ class ReinforcementLearningEngine {
    */
   async startNewEpisode() {
     // Reset portfolio
-    this.environment.portfolio = {
-      cash: 100000,
-      positions: new Map(),
-      totalValue: 100000,
-      maxValue: 100000,
-      returns: [],
-      drawdown: 0,
-      maxDrawdown: 0
-    };
+    this.environment.portfolio = this.createPortfolio();
 
     // Log episode completion
     if (this.agent.episodeCount > 0) {
@@ -560,30 +803,65 @@ class ReinforcementLearningEngine {
     
     if (recentActions.length < 2) return 0;
     
-    // Penalty for too frequent action changes (thrashing)
+    // Penalty for too frequent action changes (thrashing) - målvægte sammenlignes på indhold
+    const key = act => typeof act.action === 'string' ? act.action : JSON.stringify(act.action);
     const actionChanges = recentActions.filter((act, i) => 
-      i > 0 && act.action !== recentActions[i-1].action
+      i > 0 && key(act) !== key(recentActions[i-1])
     ).length;
     
     return -0.01 * actionChanges; // Small penalty for excessive changes
   }
 
+  /**
+   * Fast rækkefølge efter state space, så input til netværket altid har samme form.
+   * Manglende felter (fx det tomme state før første step) bliver 0.
+   */
   stateToVector(state) {
-    // Convert state object to numerical vector for neural network
-    return Object.values(state).filter(val => typeof val === 'number');
+    return Object.keys(this.environment.stateSpace).map(key => {
+      const value = state ? state[key] : undefined;
+      return typeof value === 'number' && isFinite(value) ? value : 0;
+    });
   }
 
   actionToIndex(action) {
     return this.environment.actionSpace.indexOf(action);
   }
 
+  /**
+   * Proportional prioritized sampling med importance sampling vægte (normaliseret til max 1)
+   */
   sampleBatch(batchSize) {
+    const memory = this.agent.memory;
+    const cumulative = new Float64Array(memory.length);
+    let total = 0;
+    memory.forEach((exp, i) => {
+      total += Math.pow(exp.priority || this.config.priorityEpsilon, this.config.priorityAlpha);
+      cumulative[i] = total;
+    });
+
+    const beta = Math.min(1, this.config.priorityBeta + this.agent.trainingSteps * this.config.priorityBetaIncrement);
     const batch = [];
-    for (let i = 0; i < batchSize; i++) {
-      const randomIndex = Math.floor(Math.random() * this.agent.memory.length);
-      batch.push(this.agent.memory[randomIndex]);
+    const indices = [];
+    const weights = [];
+
+    for (let n = 0; n < batchSize; n++) {
+      const target = this.random() * total;
+      let low = 0;
+      let high = memory.length - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] < target) low = mid + 1;
+        else high = mid;
+      }
+
+      const probability = (cumulative[low] - (low > 0 ? cumulative[low - 1] : 0)) / total;
+      batch.push(memory[low]);
+      indices.push(low);
+      weights.push(Math.pow(memory.length * probability, -beta));
     }
-    return batch;
+
+    const maxWeight = Math.max(...weights);
+    return { batch, indices, weights: weights.map(weight => weight / maxWeight) };
   }
 
   logRewardBreakdown(rewards, action, state) {
@@ -596,52 +874,384 @@ class ReinforcementLearningEngine {
     console.log(`   Total: ${rewards.total.toFixed(4)}`);
   }
 
-  // Placeholder methods for neural network operations
+  /**
+   * Q-netværk og target netværk over state space → action space
+   */
   async initializeNeuralNetwork() {
-    console.log('🧠 Neural network initialized (simplified)');
+    this.agent.qNetwork = new NeuralNetwork({
+      inputSize: Object.keys(this.environment.stateSpace).length,
+      hiddenLayers: this.config.hiddenLayers,
+      outputSize: this.environment.actionSpace.length,
+      learningRate: this.config.learningRate,
+      seed: this.config.seed
+    });
+    this.agent.targetNetwork = this.agent.qNetwork.clone();
+    console.log(`🧠 Q-network initialized (${this.agent.qNetwork.parameterCount()} parameters)`);
   }
 
-  async loadHistoricalData() {
-    console.log('📊 Historical data loaded');
+  /**
+   * Historiske candles per symbol i universet - fra databasen (market_data via
+   * BacktestEngine.loadCandles) eller givne candles: et array for ét symbol eller { symbol: candles }
+   */
+  async loadHistoricalData({ symbols = this.environment.universe, symbol = null, interval = '1h', start = null, end = null, candles = null, database = DatabaseService } = {}) {
+    const universe = symbol ? [symbol] : symbols;
+    if (universe.join(',') !== this.environment.universe.join(',')) {
+      throw new Error(`Historical data for ${universe.join(', ')} does not match the RL universe ${this.environment.universe.join(', ')}`);
+    }
+
+    const BacktestEngine = require('./BacktestEngine');
+    const data = {};
+    if (candles) {
+      Object.assign(data, Array.isArray(candles) ? { [universe[0]]: candles } : candles);
+    } else {
+      const backtest = new BacktestEngine({ database });
+      for (const name of universe) {
+        data[name] = await backtest.loadCandles({ symbol: name, interval, start, end });
+      }
+    }
+
+    this.historicalData = {};
+    for (const name of universe) {
+      const bars = data[name] || [];
+      if (bars.length < 2) {
+        throw new Error(`Not enough historical data for ${name} (${bars.length} candles)`);
+      }
+      this.historicalData[name] = bars.map(candle => ({ ...candle, timestamp: new Date(candle.timestamp) }));
+    }
+
+    const counts = universe.map(name => `${this.historicalData[name].length} ${name}`).join(', ');
+    console.log(`📊 Historical data loaded (${interval} candles: ${counts})`);
+    return this.historicalData;
   }
 
-  async setupEnvironment() {
-    console.log('🌍 Environment setup completed');
+  /**
+   * Gym miljø over de indlæste candles - options: splits, episodeLength, seed
+   */
+  async setupEnvironment(options = {}) {
+    this.gym = new TradingGym({
+      engine: this,
+      candles: this.historicalData,
+      seed: this.config.seed,
+      ...options
+    });
+
+    const sizes = TradingGym.SPLITS.map(split => `${split} ${this.gym.splits[split].length}`).join(', ');
+    console.log(`🌍 Environment setup completed (${sizes})`);
+    return this.gym;
   }
 
+  ensureNetwork() {
+    if (!this.agent.qNetwork) {
+      throw new Error('Q-network not initialized - call initialize() or loadModel() first');
+    }
+  }
+
+  updatePortfolioMetrics(executionResult) {
+    const portfolio = this.environment.portfolio;
+    if (executionResult && executionResult.orders) {
+      portfolio.tradeCount += executionResult.orders.length;
+      portfolio.totalCosts += executionResult.cost || 0;
+    }
+  }
+
+  /**
+   * Opdater de streaming indikatorer med markedsdata for dette step og returner normaliserede
+   * features til state vektoren. Færdigberegnede marketData.indicators (fx fra IndicatorEngine
+   * eller backtesten) bruges direkte. Neutrale værdier indtil indikatorerne er varme.
+   */
   async calculateTechnicalIndicators(marketData) {
+    const price = marketData.price;
+    const snapshot = marketData.indicators || this.indicators.update({
+      openTime: marketData.timestamp ? new Date(marketData.timestamp).getTime() : undefined,
+      open: marketData.open !== undefined ? marketData.open : price,
+      high: marketData.high !== undefined ? marketData.high : price,
+      low: marketData.low !== undefined ? marketData.low : price,
+      close: price,
+      volume: marketData.volume || 0
+    });
+    this.lastIndicators = snapshot;
+
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const relative = (value, reference) => (value !== null && reference) ? clamp((value - reference) / reference, -1, 1) : 0;
+    const atrRatio = snapshot.atr !== null && price > 0 ? snapshot.atr / price : 0;
+
     return {
-      rsi: 50 + Math.random() * 40,
-      macd: (Math.random() - 0.5) * 0.1,
-      bollinger_position: Math.random(),
-      var_estimate: -Math.random() * 0.05
+      rsi: snapshot.rsi !== null ? snapshot.rsi : 50,
+      // MACD histogram i procent af prisen
+      macd: snapshot.macd && snapshot.macd.histogram !== null && price > 0 ? (snapshot.macd.histogram / price) * 100 : 0,
+      bollinger_position: snapshot.bollinger ? clamp(snapshot.bollinger.percentB, 0, 1) : 0.5,
+      adx: snapshot.adx ? snapshot.adx.adx / 100 : 0,
+      stochastic_k: snapshot.stochastic ? snapshot.stochastic.k / 100 : 0.5,
+      atr_ratio: clamp(atrRatio, 0, 1),
+      ema_trend: relative(price, snapshot.ema),
+      vwap_distance: relative(price, snapshot.vwap),
+      obv_trend: Math.sign(snapshot.obvChange || 0),
+      // 95% ét-bar VaR tilnærmet med ATR
+      var_estimate: -1.65 * atrRatio
     };
   }
 
+  /**
+   * Regime fra de indikatorer calculateTechnicalIndicators lige har opdateret:
+   * høj volatilitet før trend, trend kræver ADX >= 25
+   */
   async detectMarketRegime(marketData) {
-    // Simplified regime detection
+    const snapshot = this.lastIndicators;
     const volatility = marketData.volatility || 0;
-    if (volatility > 0.05) return 'HIGH_VOLATILITY';
-    return ['BULL', 'BEAR', 'SIDEWAYS'][Math.floor(Math.random() * 3)];
+    const atrRatio = snapshot && snapshot.atr !== null && marketData.price > 0 ? snapshot.atr / marketData.price : 0;
+
+    if (volatility > 0.05 || atrRatio > 0.05) return 'HIGH_VOLATILITY';
+    if (!snapshot || !snapshot.adx || snapshot.adx.adx < 25) return 'SIDEWAYS';
+    return snapshot.adx.plusDI > snapshot.adx.minusDI ? 'BULL' : 'BEAR';
   }
 
   async getQValues(stateVector) {
-    // Simplified Q-value calculation
-    return [Math.random(), Math.random(), Math.random()];
+    this.ensureNetwork();
+    return this.agent.qNetwork.predict(stateVector);
   }
 
-  async calculateTargets(states, actions, rewards, nextStates) {
-    // Simplified target calculation
-    return rewards;
+  /**
+   * Double DQN: online netværket vælger næste action, target netværket vurderer den
+   */
+  async calculateTargets(states, actions, rewards, nextStates, dones = []) {
+    this.ensureNetwork();
+
+    return rewards.map((reward, i) => {
+      if (dones[i]) return reward;
+
+      const onlineNext = this.agent.qNetwork.predict(nextStates[i]);
+      const bestAction = onlineNext.indexOf(Math.max(...onlineNext));
+      const targetNext = this.agent.targetNetwork.predict(nextStates[i]);
+      return reward + this.config.gamma * targetNext[bestAction];
+    });
   }
 
-  async trainNetwork(states, targets) {
-    // Simplified training
-    console.log('🎓 Network training step completed');
+  async trainNetwork(states, targets, actions, weights = []) {
+    this.ensureNetwork();
+
+    return this.agent.qNetwork.trainOnActions(states.map((input, i) => ({
+      input,
+      action: actions[i],
+      target: targets[i],
+      weight: weights[i] !== undefined ? weights[i] : 1
+    })));
   }
 
   async updateTargetNetwork() {
-    console.log('🔄 Target network updated');
+    this.agent.targetNetwork.copyFrom(this.agent.qNetwork);
+  }
+
+  /**
+   * Ny episode: startkapital, tom position og friske indikatorer. Hukommelse og netværk bevares.
+   */
+  resetEpisode() {
+    this.environment.portfolio = this.createPortfolio();
+    this.environment.currentState = null;
+    this.environment.previousState = null;
+    this.indicators = new IndicatorSet();
+    this.lastIndicators = null;
+    this.performance.actionHistory = [];
+    this.agent.episodeReward = 0;
+  }
+
+  /**
+   * Kør én episode i gym miljøet med den aktuelle policy (epsilon-greedy når læring er slået til)
+   */
+  async runEpisode(gym, { split = 'train', seed = null, episodeLength } = {}) {
+    let state = await gym.reset({ split, seed, episodeLength });
+    let done = false;
+
+    while (!done) {
+      const action = await this.selectAction(state);
+      ({ state, done } = await gym.step(action));
+    }
+    return gym.report();
+  }
+
+  /**
+   * Greedy evaluering på et split uden læring - returnerer agent mod buy-and-hold
+   */
+  async evaluate({ gym = this.gym, split = 'test', seed = null } = {}) {
+    this.ensureNetwork();
+    if (!gym) {
+      throw new Error('No historical environment - call loadHistoricalData() and setupEnvironment() first');
+    }
+
+    const learningEnabled = this.learningEnabled;
+    const logRewards = this.config.logRewards;
+    this.learningEnabled = false;
+    this.config.logRewards = false;
+
+    try {
+      return await this.runEpisode(gym, { split, seed, episodeLength: null });
+    } finally {
+      this.learningEnabled = learningEnabled;
+      this.config.logRewards = logRewards;
+    }
+  }
+
+  /**
+   * Headless træning på train splittet af historiske candles, med greedy evaluering på
+   * validation splittet efter hver episode. Reward logging slås fra under træningen
+   * (gym steps går uden om den live risk gate). Med seed får episode n seed + n - 1.
+   */
+  async trainOnHistory({ symbols = this.environment.universe, symbol = null, interval = '1h', start = null, end = null, candles = null, episodes = 10, database = DatabaseService, modelPath = null, checkpointEvery = 0, splits, episodeLength = null, seed = this.config.seed, validate = true } = {}) {
+    if (!this.agent.qNetwork) {
+      await this.initializeNeuralNetwork();
+    }
+
+    await this.loadHistoricalData({ symbols, symbol, interval, start, end, candles, database });
+    const gym = await this.setupEnvironment({ splits, episodeLength, seed });
+    const canValidate = validate && gym.splits.validation.length >= 2;
+
+    const logRewards = this.config.logRewards;
+    this.config.logRewards = false;
+    this.isTraining = true;
+
+    try {
+      for (let episode = 1; episode <= episodes; episode++) {
+        const lossStart = this.agent.trainingSteps;
+        const episodeSeed = seed !== null && seed !== undefined ? seed + episode - 1 : null;
+        const result = await this.runEpisode(gym, { split: 'train', seed: episodeSeed });
+
+        const trained = this.agent.trainingSteps - lossStart;
+        const losses = trained > 0 ? this.performance.lossHistory.slice(-trained) : [];
+        this.agent.episodeCount++;
+        this.performance.episodeRewards.push(result.agent.reward);
+
+        const point = {
+          episode: this.agent.episodeCount,
+          seed: episodeSeed,
+          steps: result.steps,
+          reward: result.agent.reward,
+          portfolioValue: result.agent.finalValue,
+          totalReturn: result.agent.totalReturn,
+          maxDrawdown: result.agent.maxDrawdown,
+          trades: result.agent.trades,
+          avgLoss: losses.length > 0 ? losses.reduce((sum, loss) => sum + loss, 0) / losses.length : null,
+          epsilon: this.config.epsilon,
+          validation: null,
+          timestamp: new Date()
+        };
+
+        if (canValidate) {
+          const validation = await this.evaluate({ gym, split: 'validation' });
+          point.validation = {
+            totalReturn: validation.agent.totalReturn,
+            sharpeRatio: validation.agent.sharpeRatio,
+            maxDrawdown: validation.agent.maxDrawdown,
+            buyAndHoldReturn: validation.buyAndHold.totalReturn,
+            excessReturn: validation.excessReturn
+          };
+        }
+        this.performance.learningCurve.push(point);
+
+        console.log(`🎓 Episode ${point.episode}: reward ${point.reward.toFixed(3)}, return ${(point.totalReturn * 100).toFixed(2)}%` +
+          (point.validation ? `, validation ${(point.validation.totalReturn * 100).toFixed(2)}%` : '') +
+          `, ε ${this.config.epsilon.toFixed(3)}`);
+
+        if (modelPath && checkpointEvery > 0 && episode % checkpointEvery === 0) {
+          await this.saveModel(modelPath);
+        }
+      }
+    } finally {
+      this.config.logRewards = logRewards;
+      this.isTraining = false;
+    }
+
+    if (modelPath) {
+      await this.saveModel(modelPath);
+    }
+    return this.performance.learningCurve.slice(-episodes);
+  }
+
+  /**
+   * Gem netværk, target netværk, træningsstatistik og learning curve som JSON
+   * evaluation (fx test split mod buy-and-hold) gemmes med i checkpointet
+   */
+  async saveModel(filePath = this.config.modelPath, { evaluation = null } = {}) {
+    this.ensureNetwork();
+
+    const model = {
+      version: MODEL_VERSION,
+      savedAt: new Date().toISOString(),
+      stateKeys: Object.keys(this.environment.stateSpace),
+      actionSpace: this.environment.actionSpace,
+      config: {
+        learningRate: this.config.learningRate,
+        gamma: this.config.gamma,
+        epsilon: this.config.epsilon,
+        hiddenLayers: this.config.hiddenLayers,
+        portfolio: this.portfolioConfig()
+      },
+      agent: {
+        episodeCount: this.agent.episodeCount,
+        trainingSteps: this.agent.trainingSteps,
+        totalReward: this.agent.totalReward,
+        lastLoss: this.agent.lastLoss
+      },
+      qNetwork: this.agent.qNetwork.toJSON(),
+      targetNetwork: this.agent.targetNetwork.toJSON(),
+      learningCurve: this.performance.learningCurve,
+      evaluation
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(model));
+    console.log(`💾 RL model saved to ${filePath}`);
+    return filePath;
+  }
+
+  async loadModel(filePath = this.config.modelPath) {
+    const model = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const stateKeys = Object.keys(this.environment.stateSpace);
+
+    if (model.version !== MODEL_VERSION || model.stateKeys.join(',') !== stateKeys.join(',') ||
+        model.actionSpace.join(',') !== this.environment.actionSpace.join(',')) {
+      throw new Error(`Saved model ${filePath} does not match the current state/action space`);
+    }
+
+    this.agent.qNetwork = NeuralNetwork.fromJSON(model.qNetwork);
+    this.agent.targetNetwork = NeuralNetwork.fromJSON(model.targetNetwork);
+    this.config.epsilon = model.config.epsilon;
+    Object.assign(this.agent, model.agent);
+    this.performance.learningCurve = model.learningCurve || [];
+    this.performance.episodeRewards = this.performance.learningCurve.map(point => point.reward);
+
+    console.log(`📂 RL model loaded from ${filePath} (${this.agent.trainingSteps} training steps)`);
+    return model;
+  }
+
+  // Porteføljeindstillinger en model er trænet med - skal matche for at kunne indlæses
+  portfolioConfig() {
+    return {
+      universe: this.environment.universe,
+      initialCapital: this.config.initialCapital,
+      maxLeverage: this.config.maxLeverage,
+      allowShort: this.config.allowShort,
+      cashBuffer: this.config.cashBuffer,
+      positionLevels: this.config.positionLevels
+    };
+  }
+
+  /**
+   * Learning curve fra en gemt model uden at indlæse netværket (til API'et)
+   */
+  static async readProgress(filePath = DEFAULT_MODEL_PATH) {
+    try {
+      const model = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return {
+        savedAt: model.savedAt,
+        ...model.agent,
+        epsilon: model.config.epsilon,
+        learningCurve: model.learningCurve || [],
+        evaluation: model.evaluation || null,
+        portfolio: model.config.portfolio || null
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
   }
 
   /**
@@ -659,9 +1269,19 @@ class ReinforcementLearningEngine {
       
       // Portfolio performance
       portfolioValue: portfolio.totalValue,
-      totalReturn: (portfolio.totalValue - 100000) / 100000,
+      totalReturn: (portfolio.totalValue - this.config.initialCapital) / this.config.initialCapital,
       maxDrawdown: portfolio.maxDrawdown,
       currentDrawdown: portfolio.drawdown,
+      cash: portfolio.cash,
+      leverage: portfolio.leverage,
+      positions: this.environment.universe.map(name => ({
+        symbol: name,
+        quantity: portfolio.positions.get(name) || 0,
+        price: portfolio.prices.get(name) || null,
+        value: this.positionValue(name),
+        weight: portfolio.totalValue > 0 ? this.positionValue(name) / portfolio.totalValue : 0
+      })),
+      totalCosts: portfolio.totalCosts,
       
       // Risk metrics
       sharpeRatio: recentReturns.length >= 10 
@@ -680,9 +1300,20 @@ class ReinforcementLearningEngine {
       recentActions: this.performance.actionHistory.slice(-10),
       recentSharpe: this.performance.sharpeHistory.slice(-10),
       
+      // Learning curve
+      lastLoss: this.agent.lastLoss,
+      recentLoss: this.performance.lossHistory.slice(-50),
+      learningCurve: this.performance.learningCurve.slice(-100),
+      network: this.agent.qNetwork ? {
+        layers: [this.agent.qNetwork.inputSize, ...this.agent.qNetwork.hiddenLayers, this.agent.qNetwork.outputSize],
+        parameters: this.agent.qNetwork.parameterCount()
+      } : null,
+      
       timestamp: new Date()
     };
   }
 }
 
+ReinforcementLearningEngine.DEFAULT_MODEL_PATH = DEFAULT_MODEL_PATH;
+
 module.exports = ReinforcementLearningEngine;
@@ -0,0 +1,318 @@
+/**
+ * RiskEngine - Pre-trade risikokontrol for alle ordre-veje
+ * Tjekker ordrestørrelse, position per symbol, eksponering per exchange,
+ * dagligt tab, koncentration og pris-bånd mod aktuel ticker før createOrder kaldes.
+ * Afvisninger returneres med maskinlæsbare reason codes og logges som security events.
+ * Mens kill switch er udløst afvises alt undtagen kill switch'ens egne lukninger.
+ */
+
+const EventEmitter = require('events');
+const PositionManager = require('./PositionManager');
+const SecurityService = require('./SecurityService');
+const KillSwitch = require('./KillSwitch');
+const riskConfig = require('../../config/risk-config');
+
+const RISK_REASONS = {
+  KILL_SWITCH: 'KILL_SWITCH',
+  NO_REFERENCE_PRICE: 'NO_REFERENCE_PRICE',
+  MAX_NOTIONAL: 'MAX_NOTIONAL',
+  MAX_POSITION: 'MAX_POSITION',
+  EXCHANGE_EXPOSURE: 'EXCHANGE_EXPOSURE',
+  DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT',
+  CONCENTRATION: 'CONCENTRATION',
+  PRICE_BAND: 'PRICE_BAND'
+};
+
+const QUANTITY_EPSILON = 1e-12;
+const LOSS_CHECK_INTERVAL = 1000;
+
+class RiskEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.config = { ...riskConfig };
+    this.positionManager = PositionManager;
+    this.killSwitch = KillSwitch;
+    this.tickerSource = null;
+    this.lastLossCheck = 0;
+    this.onTickerUpdate = () => {
+      if (Date.now() - this.lastLossCheck >= LOSS_CHECK_INTERVAL) {
+        this.checkKillSwitchLimit();
+      }
+    };
+    this.stats = {
+      evaluated: 0,
+      rejected: 0,
+      byReason: {}
+    };
+  }
+
+  /**
+   * Kilde til referencepriser - typisk WebSocketCoordinator (getAllTickers)
+   */
+  setTickerSource(source) {
+    if (this.tickerSource && this.tickerSource.removeListener) {
+      this.tickerSource.removeListener('tickerUpdate', this.onTickerUpdate);
+    }
+
+    this.tickerSource = source;
+    if (source && source.on) {
+      source.on('tickerUpdate', this.onTickerUpdate);
+    }
+  }
+
+  updateConfig(changes) {
+    this.config = { ...this.config, ...changes };
+    return this.config;
+  }
+
+  /**
+   * Ordrer over approval tærsklen skal stadig kunne passere MAX_NOTIONAL når admins har godkendt dem
+   */
+  assertApprovalThreshold(tradeThreshold) {
+    if (!this.config.enabled || tradeThreshold < this.config.maxOrderNotional) return;
+
+    const error = new Error(
+      `Approval threshold ${tradeThreshold} must be below maxOrderNotional ${this.config.maxOrderNotional} - approved orders could never execute`
+    );
+    error.code = 'RISK_CONFIG_INVALID';
+    throw error;
+  }
+
+  getReferencePrice(symbol) {
+    if (!this.tickerSource || !this.tickerSource.getAllTickers) return null;
+
+    const ticker = this.tickerSource.getAllTickers()[symbol];
+    return ticker && ticker.price > 0 ? ticker.price : null;
+  }
+
+  getBaseAsset(symbol) {
+    return symbol.includes('/') ? symbol.split('/')[0] : symbol.replace(/(USDT|USDC|USD|EUR|BTC)$/, '');
+  }
+
+  /**
+   * Nettobeholdning med fortegn (long positiv, short negativ)
+   */
+  getSignedQuantity(position) {
+    if (!position) return 0;
+    return position.side === 'short' ? -position.amount : position.amount;
+  }
+
+  reason(code, message, limit, value) {
+    return { code, message, limit, value };
+  }
+
+  /**
+   * Realiseret i dag + urealiseret på åbne positioner
+   */
+  getDailyPnL(positions = this.positionManager.isReady ? this.positionManager.getPositions() : []) {
+    const unrealized = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    return (this.positionManager.isReady ? this.positionManager.getDailyRealizedPnL() : 0) + unrealized;
+  }
+
+  /**
+   * Udløs kill switch automatisk når dagens tab passerer killSwitchLossLimit
+   */
+  checkKillSwitchLimit() {
+    this.lastLossCheck = Date.now();
+    if (!this.config.enabled || !this.config.killSwitchLossLimit || this.killSwitch.isTripped()) return false;
+
+    const dailyPnl = this.getDailyPnL();
+    if (dailyPnl > -this.config.killSwitchLossLimit) return false;
+
+    this.killSwitch.trip({
+      source: 'risk_engine',
+      reason: `Daily P&L ${dailyPnl.toFixed(2)} breached kill switch limit ${this.config.killSwitchLossLimit}`,
+      flatten: this.config.killSwitchFlatten
+    }).catch(error => console.error('❌ Kill switch udløsning fejlede:', error.message));
+
+    return true;
+  }
+
+  /**
+   * Evaluer ordre uden at kaste - returnerer { approved, reasons, ... }
+   */
+  evaluate(order) {
+    const config = this.config;
+    const side = (order.side || '').toLowerCase();
+    const amount = parseFloat(order.amount);
+    const direction = side === 'buy' ? 1 : -1;
+    const referencePrice = order.referencePrice || this.getReferencePrice(order.symbol);
+    const limitPrice = order.price ? parseFloat(order.price) : null;
+    const price = limitPrice || referencePrice;
+    const reasons = [];
+
+    this.stats.evaluated++;
+
+    // Nødstop gælder også når risikogrænserne er slået fra
+    if (this.killSwitch.isTripped() && order.source !== 'kill_switch') {
+      reasons.push(this.reason(RISK_REASONS.KILL_SWITCH, 'Trading is halted by the kill switch', null, null));
+      return this.finish(order, reasons, { notional: price ? amount * price : null, referencePrice, reducing: false });
+    }
+
+    if (!config.enabled) {
+      return { approved: true, reasons, notional: price ? amount * price : null, referencePrice, reducing: false };
+    }
+
+    if (!price) {
+      if (config.requireReferencePrice) {
+        reasons.push(this.reason(RISK_REASONS.NO_REFERENCE_PRICE, `No reference price for ${order.symbol}`, null, null));
+      }
+      return this.finish(order, reasons, { notional: null, referencePrice, reducing: false });
+    }
+
+    const notional = amount * price;
+    const positions = this.positionManager.isReady ? this.positionManager.getPositions() : [];
+    const position = positions.find(p => p.symbol === order.symbol && (!order.exchange || p.exchange === order.exchange));
+    const currentQuantity = this.getSignedQuantity(position);
+    const newQuantity = currentQuantity + direction * amount;
+    const reducing = Math.abs(newQuantity) <= Math.abs(currentQuantity) + QUANTITY_EPSILON &&
+      Math.sign(newQuantity) !== -Math.sign(currentQuantity);
+
+    // Pris-bånd gælder alle limit ordrer - også lukninger
+    if (limitPrice && referencePrice) {
+      const deviation = Math.abs(limitPrice - referencePrice) / referencePrice * 100;
+      if (deviation > config.priceBandPercent) {
+        reasons.push(this.reason(
+          RISK_REASONS.PRICE_BAND,
+          `Limit price ${limitPrice} is ${deviation.toFixed(2)}% from ticker ${referencePrice}`,
+          config.priceBandPercent,
+          deviation
+        ));
+      }
+    }
+
+    // Risiko-reducerende ordrer må altid lukke positioner
+    if (!reducing) {
+      if (notional > config.maxOrderNotional) {
+        reasons.push(this.reason(
+          RISK_REASONS.MAX_NOTIONAL,
+          `Order notional ${notional.toFixed(2)} exceeds ${config.maxOrderNotional}`,
+          config.maxOrderNotional,
+          notional
+        ));
+      }
+
+      const positionNotional = Math.abs(newQuantity) * price;
+      if (positionNotional > config.maxPositionNotional) {
+        reasons.push(this.reason(
+          RISK_REASONS.MAX_POSITION,
+          `${order.symbol} position would be ${positionNotional.toFixed(2)}, limit ${config.maxPositionNotional}`,
+          config.maxPositionNotional,
+          positionNotional
+        ));
+      }
+
+      if (order.exchange) {
+        const exchangeExposure = positions
+          .filter(p => p.exchange === order.exchange && p !== position)
+          .reduce((sum, p) => sum + p.marketValue, 0) + positionNotional;
+
+        if (exchangeExposure > config.maxExchangeExposure) {
+          reasons.push(this.reason(
+            RISK_REASONS.EXCHANGE_EXPOSURE,
+            `${order.exchange} exposure would be ${exchangeExposure.toFixed(2)}, limit ${config.maxExchangeExposure}`,
+            config.maxExchangeExposure,
+            exchangeExposure
+          ));
+        }
+      }
+
+      const dailyPnl = this.getDailyPnL(positions);
+      if (dailyPnl <= -config.dailyLossLimit) {
+        reasons.push(this.reason(
+          RISK_REASONS.DAILY_LOSS_LIMIT,
+          `Daily P&L ${dailyPnl.toFixed(2)} breached loss limit ${config.dailyLossLimit}`,
+          config.dailyLossLimit,
+          -dailyPnl
+        ));
+      }
+
+      const baseAsset = this.getBaseAsset(order.symbol);
+      const otherExposure = positions
+        .filter(p => p !== position)
+        .reduce((sum, p) => sum + p.marketValue, 0);
+      const assetExposure = positions
+        .filter(p => p !== position && this.getBaseAsset(p.symbol) === baseAsset)
+        .reduce((sum, p) => sum + p.marketValue, 0) + positionNotional;
+      const totalExposure = otherExposure + positionNotional;
+      const concentration = totalExposure > 0 ? assetExposure / totalExposure : 0;
+
+      if (totalExposure >= config.concentrationMinExposure && concentration > config.maxConcentration) {
+        reasons.push(this.reason(
+          RISK_REASONS.CONCENTRATION,
+          `${baseAsset} would be ${(concentration * 100).toFixed(1)}% of exposure, limit ${(config.maxConcentration * 100).toFixed(1)}%`,
+          config.maxConcentration,
+          concentration
+        ));
+      }
+    }
+
+    return this.finish(order, reasons, { notional, referencePrice, reducing });
+  }
+
+  finish(order, reasons, details) {
+    const approved = reasons.length === 0;
+
+    if (!approved) {
+      this.stats.rejected++;
+      for (const { code } of reasons) {
+        this.stats.byReason[code] = (this.stats.byReason[code] || 0) + 1;
+      }
+    }
+
+    return { approved, reasons, ...details };
+  }
+
+  /**
+   * Kast hvis ordren afvises. Fejlen har code 'RISK_REJECTED' og reasons.
+   */
+  async assertOrder(order, { userId = null, sourceIP = null } = {}) {
+    const result = this.evaluate(order);
+    if (result.approved) return result;
+
+    const codes = result.reasons.map(r => r.code).join(', ');
+    const description = `Order rejected by risk engine: ${(order.side || '').toUpperCase()} ${order.amount} ${order.symbol}` +
+      `${order.exchange ? ` on ${order.exchange}` : ''} (${codes})`;
+
+    console.warn(`🛡️ ${description}`);
+    this.emit('rejected', { order, reasons: result.reasons });
+
+    try {
+      await SecurityService.logSecurityEvent('risk_rejected', 'medium', description, userId || order.userId || null, sourceIP);
+    } catch (error) {
+      console.error('Kunne ikke logge risk afvisning:', error.message);
+    }
+
+    const error = new Error(`Risk check failed: ${result.reasons.map(r => r.message).join('; ')}`);
+    error.code = 'RISK_REJECTED';
+    error.reasons = result.reasons;
+    throw error;
+  }
+
+  getStatus() {
+    const positions = this.positionManager.isReady ? this.positionManager.getPositions() : [];
+    const exposureByExchange = {};
+
+    for (const position of positions) {
+      exposureByExchange[position.exchange] = (exposureByExchange[position.exchange] || 0) + position.marketValue;
+    }
+
+    return {
+      limits: this.config,
+      killSwitch: this.killSwitch.getStatus(),
+      usage: {
+        grossExposure: positions.reduce((sum, p) => sum + p.marketValue, 0),
+        exposureByExchange,
+        dailyRealizedPnl: this.positionManager.isReady ? this.positionManager.getDailyRealizedPnL() : 0,
+        unrealizedPnl: positions.reduce((sum, p) => sum + p.unrealizedPnl, 0)
+      },
+      stats: this.stats,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const riskEngine = new RiskEngine();
+riskEngine.RISK_REASONS = RISK_REASONS;
+
+module.exports = riskEngine;
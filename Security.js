@@ -24,7 +24,8 @@ import {
   TableRow,
   Tabs,
   Tab,
-  LinearProgress
+  LinearProgress,
+  TextField
 } from '@mui/material';
 import {
   Security as SecurityIcon,
@@ -62,6 +63,9 @@ const Security = () => {
   const [compliance, setCompliance] = useState({});
   const [scanDialogOpen, setScanDialogOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [approvals, setApprovals] = useState([]);
+  const [decision, setDecision] = useState(null);
+  const [decisionComment, setDecisionComment] = useState('');
 
   useEffect(() => {
     fetchSecurityData();
@@ -69,17 +73,19 @@ const Security = () => {
 
   const fetchSecurityData = async () => {
     try {
-      const [overview, eventsData, threatsData, complianceData] = await Promise.all([
+      const [overview, eventsData, threatsData, complianceData, approvalsData] = await Promise.all([
         axios.get('/api/security/overview'),
         axios.get('/api/security/events?limit=20'),
         axios.get('/api/security/threats'),
-        axios.get('/api/security/compliance')
+        axios.get('/api/security/compliance'),
+        axios.get('/api/security/approvals?limit=50')
       ]);
       
       setSecurityMetrics(overview.data.security || {});
       setEvents(eventsData.data.events || []);
       setThreats(threatsData.data.threats || {});
       setCompliance(complianceData.data.compliance || {});
+      setApprovals(approvalsData.data.approvals || []);
     } catch (error) {
       console.error('Failed to fetch security data:', error);
     }
@@ -99,6 +105,49 @@ const Security = () => {
     }
   };
 
+  const openDecision = (approval, type) => {
+    setDecision({ approval, type });
+    setDecisionComment('');
+  };
+
+  const submitDecision = async () => {
+    setLoading(true);
+    try {
+      await axios.post(`/api/security/approvals/${decision.approval.id}/${decision.type}`, {
+        comment: decisionComment
+      });
+      toast.success(decision.type === 'approve' ? 'Godkendelse registreret' : 'Anmodning afvist');
+      setDecision(null);
+      fetchSecurityData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Beslutning kunne ikke gemmes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const approvalStatusColors = {
+    pending: 'warning',
+    approved: 'success',
+    rejected: 'error',
+    expired: 'default'
+  };
+
+  const approvalStatusLabels = {
+    pending: 'Afventer',
+    approved: 'Godkendt',
+    rejected: 'Afvist',
+    expired: 'Udløbet'
+  };
+
+  const describeApproval = (approval) => {
+    const order = approval.details?.order;
+    if (order) {
+      return `${order.side?.toUpperCase()} ${order.amount} ${order.symbol} (${approval.details.value?.toLocaleString('da-DK')} USDT)`;
+    }
+    return JSON.stringify(approval.details);
+  };
+
   const getThreatLevelColor = (level) => {
     const colors = {
       low: 'success',
@@ -228,6 +277,7 @@ const Security = () => {
             <Tab label="Sikkerhedshændelser" />
             <Tab label="Compliance" />
             <Tab label="Indstillinger" />
+            <Tab label={`Godkendelser (${approvals.filter(a => a.status === 'pending').length})`} />
           </Tabs>
         </Box>
 
@@ -472,9 +522,122 @@ const Security = () => {
               </ListItem>
             </List>
           </TabPanel>
+
+          <TabPanel value={tabValue} index={4}>
+            <Typography variant="h6" gutterBottom>
+              Godkendelseskø
+            </Typography>
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Anmodet</TableCell>
+                    <TableCell>Handling</TableCell>
+                    <TableCell>Detaljer</TableCell>
+                    <TableCell>Godkendelser</TableCell>
+                    <TableCell>Udløber</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Beslutning</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {approvals.map((approval) => (
+                    <TableRow key={approval.id}>
+                      <TableCell>
+                        {new Date(approval.createdAt).toLocaleString('da-DK')}
+                      </TableCell>
+                      <TableCell>{approval.action}</TableCell>
+                      <TableCell>
+                        {describeApproval(approval)}
+                        {approval.decisions.map((d, index) => (
+                          <Typography key={index} variant="caption" display="block" color="text.secondary">
+                            {d.approver}: {d.decision === 'approve' ? 'godkendt' : 'afvist'}{d.comment ? ` – ${d.comment}` : ''}
+                          </Typography>
+                        ))}
+                      </TableCell>
+                      <TableCell>{approval.approvals}/{approval.requiredApprovals}</TableCell>
+                      <TableCell>
+                        {new Date(approval.expiresAt).toLocaleString('da-DK')}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={approvalStatusLabels[approval.status] || approval.status}
+                          color={approvalStatusColors[approval.status] || 'default'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {approval.status === 'pending' && (
+                          <>
+                            <Button
+                              size="small"
+                              color="success"
+                              startIcon={<CheckCircle />}
+                              onClick={() => openDecision(approval, 'approve')}
+                            >
+                              Godkend
+                            </Button>
+                            <Button
+                              size="small"
+                              color="error"
+                              startIcon={<Error />}
+                              onClick={() => openDecision(approval, 'reject')}
+                            >
+                              Afvis
+                            </Button>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {approvals.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={7} align="center">
+                        <Typography color="text.secondary">
+                          Ingen godkendelsesanmodninger
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </TabPanel>
         </CardContent>
       </Card>
 
+      {/* Approval Decision Dialog */}
+      <Dialog open={!!decision} onClose={() => setDecision(null)} fullWidth maxWidth="sm">
+        <DialogTitle>
+          {decision?.type === 'approve' ? 'Godkend anmodning' : 'Afvis anmodning'}
+        </DialogTitle>
+        <DialogContent>
+          <Typography gutterBottom>
+            {decision && describeApproval(decision.approval)}
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            margin="dense"
+            label={decision?.type === 'reject' ? 'Begrundelse (påkrævet)' : 'Kommentar'}
+            value={decisionComment}
+            onChange={(e) => setDecisionComment(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDecision(null)}>Annuller</Button>
+          <Button
+            onClick={submitDecision}
+            variant="contained"
+            color={decision?.type === 'approve' ? 'success' : 'error'}
+            disabled={loading || (decision?.type === 'reject' && !decisionComment.trim())}
+          >
+            {decision?.type === 'approve' ? 'Godkend' : 'Afvis'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Security Scan Dialog */}
       <Dialog open={scanDialogOpen} onClose={() => setScanDialogOpen(false)}>
         <DialogTitle>Kør Sikkerhedsscan</DialogTitle>
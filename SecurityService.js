@@ -1,9 +1,17 @@
 const DatabaseService = require('./DatabaseService');
+const { parseJSON } = require('./SqlDialect');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const cron = require('node-cron');
 
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
 class SecurityService {
   constructor() {
     this.isInitialized = false;
@@ -17,6 +25,14 @@ class SecurityService {
     this.zeroTrustRules = [];
     this.auditTrail = [];
     this.encryptionKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
+    this.approvalHandlers = new Map();
+    this.approvalQueue = Promise.resolve();
+    this.approvalConfig = {
+      requiredApprovals: parseInt(process.env.APPROVAL_REQUIRED_APPROVALS) || 2,
+      ttlMinutes: parseInt(process.env.APPROVAL_TTL_MINUTES) || 30,
+      // Skal ligge under risk-config maxOrderNotional (10000), ellers kan godkendte ordrer aldrig udføres
+      tradeThreshold: parseFloat(process.env.APPROVAL_TRADE_THRESHOLD) || 5000
+    };
   }
 
   async initialize() {
@@ -77,6 +93,7 @@ class SecurityService {
     // Threat analysis every minute
     cron.schedule('* * * * *', () => {
       this.analyzeThreatLevel();
+      this.expireApprovals().catch(error => console.error('Approval expiry failed:', error.message));
     });
 
     // Generate security report every hour
@@ -479,32 +496,233 @@ class SecurityService {
     }
   }
 
-  // Human approval for critical actions
-  async requireHumanApproval(action, details) {
-    const approvalRequest = {
-      id: crypto.randomBytes(16).toString('hex'),
-      action,
-      details,
-      requestedAt: new Date(),
-      status: 'pending',
-      requiredApprovals: 1,
-      approvals: []
-    };
+  /**
+   * Handler der udføres når en action er godkendt - fx high_value_trade → executeOrder
+   */
+  registerApprovalHandler(action, handler) {
+    this.approvalHandlers.set(action, handler);
+  }
 
-    console.log('👤 Human approval required for:', action);
-    
-    // In a real implementation, this would notify administrators
-    // For demo purposes, we'll auto-approve after a short delay
-    setTimeout(() => {
-      this.approveAction(approvalRequest.id, 'system', 'Auto-approved for demo');
-    }, 5000);
+  // Human approval for critical actions - holdes i databasen indtil n admins har godkendt
+  async requireHumanApproval(action, details, { requestedBy = null, requiredApprovals, ttlMinutes } = {}) {
+    const eligible = await this.countEligibleApprovers(requestedBy);
+    const required = Math.max(1, requiredApprovals || this.approvalConfig.requiredApprovals);
+
+    // Kvorummet sænkes aldrig til antallet af admins - for få godkendere afviser anmodningen
+    if (eligible < required) {
+      await this.logSecurityEvent(
+        'approval_unapprovable',
+        'high',
+        `Approval for ${action} needs ${required} approval(s) but only ${eligible} admin(s) can approve`,
+        requestedBy
+      );
+      throw this.approvalError(
+        `${action} requires ${required} approval(s) but only ${eligible} eligible approver(s) exist`,
+        'APPROVAL_UNAPPROVABLE'
+      );
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + (ttlMinutes || this.approvalConfig.ttlMinutes) * 60000);
+    const id = crypto.randomBytes(16).toString('hex');
+
+    await DatabaseService.run(
+      `INSERT INTO approval_requests (id, action, details, status, required_approvals, requested_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, action, JSON.stringify(details || {}), APPROVAL_STATUS.PENDING, required, requestedBy, now.toISOString(), expiresAt.toISOString()]
+    );
+
+    console.log(`👤 Human approval required for: ${action} (${required} approver${required > 1 ? 's' : ''})`);
+    await this.logSecurityEvent(
+      'approval_requested',
+      'medium',
+      `Approval ${id} requested for ${action}, requires ${required} approval(s)`,
+      requestedBy
+    );
+
+    return this.getApprovalRequest(id);
+  }
 
-    return approvalRequest;
+  /**
+   * Aktive admins der kan godkende - requester tæller ikke med
+   */
+  async countEligibleApprovers(requestedBy = null) {
+    const row = await DatabaseService.get(
+      "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?",
+      [requestedBy || 0]
+    );
+    return row ? row.count : 0;
   }
 
-  approveAction(requestId, approver, comment) {
-    console.log(`✅ Action approved by ${approver}: ${comment}`);
-    // Implementation would update the approval status
+  async approveAction(requestId, approver, comment) {
+    return this.decideApproval(requestId, approver, 'approve', comment);
+  }
+
+  async rejectAction(requestId, approver, comment) {
+    if (!comment || !comment.trim()) {
+      throw this.approvalError('A comment is required when rejecting', 'APPROVAL_INVALID');
+    }
+    return this.decideApproval(requestId, approver, 'reject', comment);
+  }
+
+  /**
+   * Registrer én beslutning. Afvisning lukker straks, godkendelse når antallet er nået.
+   */
+  decideApproval(requestId, approver, decision, comment = null) {
+    const task = this.approvalQueue.then(async () => {
+      const request = await this.requireApprovalRequest(requestId);
+
+      if (request.status === APPROVAL_STATUS.PENDING && new Date(request.expiresAt) <= new Date()) {
+        await this.resolveApproval(request, APPROVAL_STATUS.EXPIRED);
+        throw this.approvalError(`Approval request ${requestId} has expired`, 'APPROVAL_NOT_PENDING');
+      }
+      if (request.status !== APPROVAL_STATUS.PENDING) {
+        throw this.approvalError(`Approval request ${requestId} is already ${request.status}`, 'APPROVAL_NOT_PENDING');
+      }
+      if (request.requestedBy !== null && request.requestedBy === approver.userId) {
+        throw this.approvalError('Requester cannot decide on their own request', 'APPROVAL_FORBIDDEN');
+      }
+      if (request.decisions.some(d => d.approverId === approver.userId)) {
+        throw this.approvalError(`${approver.username} has already decided on ${requestId}`, 'APPROVAL_NOT_PENDING');
+      }
+
+      await DatabaseService.run(
+        `INSERT INTO approval_decisions (request_id, approver_id, approver_name, decision, comment, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [requestId, approver.userId, approver.username, decision, comment, new Date().toISOString()]
+      );
+
+      await this.logSecurityEvent(
+        decision === 'approve' ? 'approval_granted' : 'approval_rejected',
+        decision === 'approve' ? 'medium' : 'low',
+        `${request.action} ${requestId} ${decision === 'approve' ? 'approved' : 'rejected'} by ${approver.username}: ${comment || 'No comment'}`,
+        approver.userId,
+        approver.sourceIP || null
+      );
+
+      const approvals = request.approvals + (decision === 'approve' ? 1 : 0);
+
+      if (decision === 'reject') {
+        await this.resolveApproval(request, APPROVAL_STATUS.REJECTED);
+      } else if (approvals >= request.requiredApprovals) {
+        await this.resolveApproval(request, APPROVAL_STATUS.APPROVED);
+        await this.executeApprovedAction(request);
+      }
+
+      return this.getApprovalRequest(requestId);
+    });
+
+    this.approvalQueue = task.catch(() => {});
+    return task;
+  }
+
+  async resolveApproval(request, status, result = null) {
+    await DatabaseService.run(
+      'UPDATE approval_requests SET status = ?, result = ?, resolved_at = ? WHERE id = ?',
+      [status, result ? JSON.stringify(result) : null, new Date().toISOString(), request.id]
+    );
+    console.log(`👤 Approval ${request.id} ${status}`);
+  }
+
+  async executeApprovedAction(request) {
+    const handler = this.approvalHandlers.get(request.action);
+    if (!handler) return null;
+
+    let result;
+    try {
+      result = await handler(request.details, request);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result && result.success === false) {
+      await this.logSecurityEvent(
+        'approval_execution_failed',
+        'high',
+        `Approved ${request.action} ${request.id} failed: ${result.error}`,
+        request.requestedBy
+      );
+    }
+
+    await DatabaseService.run('UPDATE approval_requests SET result = ? WHERE id = ?', [JSON.stringify(result || null), request.id]);
+    return result;
+  }
+
+  async expireApprovals() {
+    const expired = await DatabaseService.all(
+      'SELECT id, action, requested_by FROM approval_requests WHERE status = ? AND expires_at <= ?',
+      [APPROVAL_STATUS.PENDING, new Date().toISOString()]
+    );
+
+    for (const row of expired) {
+      await this.resolveApproval({ id: row.id }, APPROVAL_STATUS.EXPIRED);
+      await this.logSecurityEvent('approval_expired', 'low', `${row.action} ${row.id} expired without enough approvals`, row.requested_by);
+    }
+
+    return expired.length;
+  }
+
+  async getApprovalRequest(requestId) {
+    const row = await DatabaseService.get('SELECT * FROM approval_requests WHERE id = ?', [requestId]);
+    if (!row) return null;
+
+    const decisions = await DatabaseService.all(
+      'SELECT * FROM approval_decisions WHERE request_id = ? ORDER BY id ASC',
+      [requestId]
+    );
+    return this.formatApprovalRequest(row, decisions);
+  }
+
+  async requireApprovalRequest(requestId) {
+    const request = await this.getApprovalRequest(requestId);
+    if (!request) {
+      throw this.approvalError(`Approval request ${requestId} not found`, 'APPROVAL_NOT_FOUND');
+    }
+    return request;
+  }
+
+  async getApprovalRequests({ status, limit = 50 } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM approval_requests';
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(parseInt(limit));
+
+    const rows = await DatabaseService.all(query, params);
+    return Promise.all(rows.map(row => this.getApprovalRequest(row.id)));
+  }
+
+  formatApprovalRequest(row, decisions) {
+    return {
+      id: row.id,
+      action: row.action,
+      details: parseJSON(row.details, {}),
+      status: row.status,
+      requiredApprovals: row.required_approvals,
+      approvals: decisions.filter(d => d.decision === 'approve').length,
+      requestedBy: row.requested_by,
+      result: parseJSON(row.result),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      resolvedAt: row.resolved_at,
+      decisions: decisions.map(d => ({
+        approverId: d.approver_id,
+        approver: d.approver_name,
+        decision: d.decision,
+        comment: d.comment,
+        timestamp: d.created_at
+      }))
+    };
+  }
+
+  approvalError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
   }
 
   getSecurityMetrics() {
@@ -524,4 +742,7 @@ class SecurityService {
   }
 }
 
-module.exports = new SecurityService();
\ No newline at end of file
+const securityService = new SecurityService();
+securityService.APPROVAL_STATUS = APPROVAL_STATUS;
+
+module.exports = securityService;
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * SmartOrderRouter - Fordeler en market ordre på tværs af exchanges efter bedste effektive pris
+ * Prisniveauer kommer fra coordinatorens level-2 bøger (ellers ticker), justeres for taker fee
+ * og begrænses af den frie balance på hver exchange. Child ordrer afgives parallelt gennem
+ * executorens executeOrder, så ledger og pre-trade risk gate gælder for hver enkelt.
+ */
+
+const exchangeConfig = require('../../config/exchange-config');
+
+const ROUTER_ERRORS = {
+  INVALID_ORDER: 'ROUTER_INVALID_ORDER',
+  NO_LIQUIDITY: 'ROUTER_NO_LIQUIDITY'
+};
+
+class SmartOrderRouter {
+  /**
+   * @param {Object} options
+   * @param {WebSocketCoordinator} options.coordinator - Exchanges, order books og tickers
+   * @param {Object} options.executor - executeOrder(order) - typisk TradingService
+   * @param {number} options.depth - Antal niveauer per exchange der indgår i planen
+   * @param {number} options.minChildNotional - Mindste child ordre i quote valuta
+   * @param {number} options.balanceBuffer - Andel af fri balance der holdes tilbage til fill slippage
+   */
+  constructor({ coordinator, executor = null, config = exchangeConfig, depth = 50, minChildNotional = 10, balanceBuffer = 0.005 } = {}) {
+    this.coordinator = coordinator;
+    this.executor = executor;
+    this.config = config;
+    this.depth = depth;
+    this.minChildNotional = minChildNotional;
+    this.balanceBuffer = balanceBuffer;
+    this.routeCounter = 0;
+  }
+
+  routerError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Taker fee - paper exchanges bruger deres egen simulerede fee
+   */
+  getTakerFee(instance, configKey) {
+    if (instance.paperTrading && instance.takerFee !== undefined) {
+      return instance.takerFee;
+    }
+    return this.config.getTradingFees(configKey).taker;
+  }
+
+  /**
+   * Prisniveauer, fee og kapacitet for hver forbundet exchange der kan handle symbolet
+   */
+  async getVenues(symbol, side) {
+    const [base, quote] = symbol.split('/');
+    const isBuy = side === 'buy';
+
+    if (this.coordinator.refreshOrderBooks) {
+      await this.coordinator.refreshOrderBooks(symbol, this.depth);
+    }
+
+    const candidates = Array.from(this.coordinator.exchanges.entries())
+      .filter(([, data]) => data.instance.createOrder && data.instance.isConnected && data.instance.isConnected());
+
+    const venues = await Promise.all(candidates.map(async ([name, data]) => {
+      const venue = { exchange: name, fee: this.getTakerFee(data.instance, data.configKey), levels: [], source: null, capacity: 0 };
+
+      try {
+        const [[, book] = []] = this.coordinator.getActiveOrderBooks ? this.coordinator.getActiveOrderBooks(symbol, name) : [];
+        if (book) {
+          venue.levels = isBuy ? book.getAsks(this.depth) : book.getBids(this.depth);
+          venue.source = 'orderbook';
+        } else {
+          const ticker = await data.instance.getTicker(symbol);
+          const price = ticker && (isBuy ? ticker.ask || ticker.price : ticker.bid || ticker.price);
+          if (price > 0) {
+            venue.levels = [[parseFloat(price), Infinity]];
+            venue.source = 'ticker';
+          }
+        }
+
+        // Køb begrænses af quote balance, salg af base balance
+        const balance = await data.instance.getBalance();
+        const asset = balance && balance.currencies && balance.currencies[isBuy ? quote : base];
+        venue.capacity = asset ? (parseFloat(asset.free) || 0) * (1 - this.balanceBuffer) : 0;
+      } catch (error) {
+        venue.error = error.message;
+      }
+
+      return venue;
+    }));
+
+    return venues;
+  }
+
+  /**
+   * Grådig fordeling: billigste effektive niveau først på tværs af alle exchanges.
+   * Child ordrer under minChildNotional droppes og mængden fordeles igen uden den exchange.
+   */
+  allocate(venues, side, amount) {
+    const isBuy = side === 'buy';
+    const excluded = new Set();
+
+    for (;;) {
+      const levels = [];
+      for (const venue of venues) {
+        if (excluded.has(venue.exchange)) continue;
+        for (const [price, size] of venue.levels) {
+          levels.push({ venue, price, size, effective: isBuy ? price * (1 + venue.fee) : price * (1 - venue.fee) });
+        }
+      }
+      levels.sort((a, b) => isBuy ? a.effective - b.effective : b.effective - a.effective);
+
+      const fills = new Map();
+      const remainingCapacity = new Map(venues.map(venue => [venue.exchange, venue.capacity]));
+      let remaining = amount;
+
+      for (const level of levels) {
+        if (remaining <= 1e-12) break;
+
+        const capacity = remainingCapacity.get(level.venue.exchange);
+        const affordable = isBuy ? capacity / level.effective : capacity;
+        const take = Math.min(level.size, remaining, affordable);
+        if (take <= 1e-12) continue;
+
+        const fill = fills.get(level.venue.exchange) || { exchange: level.venue.exchange, amount: 0, notional: 0, fee: level.venue.fee, source: level.venue.source };
+        fill.amount += take;
+        fill.notional += take * level.price;
+        fills.set(level.venue.exchange, fill);
+
+        remainingCapacity.set(level.venue.exchange, capacity - (isBuy ? take * level.effective : take));
+        remaining -= take;
+      }
+
+      const dust = Array.from(fills.values()).filter(fill => fill.notional < this.minChildNotional);
+      if (dust.length === 0 || dust.length === fills.size) {
+        return { fills: Array.from(fills.values()), unallocated: Math.max(remaining, 0) };
+      }
+      dust.forEach(fill => excluded.add(fill.exchange));
+    }
+  }
+
+  /**
+   * Routing plan uden at afgive ordrer.
+   * benchmarkPrice er bedste top-of-book pris på tværs af exchanges ved planlægning.
+   */
+  async planOrder({ symbol, side, amount }) {
+    const normalizedSide = String(side || '').toLowerCase();
+    const size = parseFloat(amount);
+
+    if (!symbol || !['buy', 'sell'].includes(normalizedSide) || !(size > 0)) {
+      throw this.routerError(ROUTER_ERRORS.INVALID_ORDER, 'symbol, side (buy/sell) and a positive amount are required');
+    }
+
+    const venues = await this.getVenues(symbol, normalizedSide);
+    const quoted = venues.filter(venue => venue.levels.length > 0);
+    if (quoted.length === 0) {
+      throw this.routerError(ROUTER_ERRORS.NO_LIQUIDITY, `No connected exchange quotes ${symbol}`);
+    }
+
+    const topPrices = quoted.map(venue => venue.levels[0][0]);
+    const benchmarkPrice = normalizedSide === 'buy' ? Math.min(...topPrices) : Math.max(...topPrices);
+    const { fills, unallocated } = this.allocate(quoted, normalizedSide, size);
+
+    const allocated = fills.reduce((sum, fill) => sum + fill.amount, 0);
+    const notional = fills.reduce((sum, fill) => sum + fill.notional, 0);
+    const fees = fills.reduce((sum, fill) => sum + fill.notional * fill.fee, 0);
+
+    return {
+      symbol,
+      side: normalizedSide,
+      amount: size,
+      benchmarkPrice,
+      allocations: fills.map(fill => ({
+        exchange: fill.exchange,
+        amount: fill.amount,
+        expectedPrice: fill.notional / fill.amount,
+        expectedFee: fill.notional * fill.fee,
+        feeRate: fill.fee,
+        source: fill.source
+      })),
+      unallocated,
+      expectedAveragePrice: allocated > 0 ? notional / allocated : null,
+      expectedEffectivePrice: allocated > 0 ? this.effectivePrice(normalizedSide, notional, fees, allocated) : null,
+      venues: venues.map(venue => ({
+        exchange: venue.exchange,
+        source: venue.source,
+        bestPrice: venue.levels.length > 0 ? venue.levels[0][0] : null,
+        feeRate: venue.fee,
+        capacity: venue.capacity,
+        ...(venue.error && { error: venue.error })
+      })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Pris per enhed inkl. fees - højere er dårligere for køb, lavere for salg
+  effectivePrice(side, notional, fees, amount) {
+    return side === 'buy' ? (notional + fees) / amount : (notional - fees) / amount;
+  }
+
+  /**
+   * Planlæg og afgiv child ordrer parallelt. Rapporten sammenligner opnået pris med benchmark.
+   */
+  async executeOrder({ symbol, side, amount, userId = null, sourceIP = null, source = 'smart_router' }) {
+    const plan = await this.planOrder({ symbol, side, amount });
+    if (plan.allocations.length === 0) {
+      throw this.routerError(ROUTER_ERRORS.NO_LIQUIDITY, `Insufficient balance or liquidity to route ${amount} ${symbol}`);
+    }
+
+    const routeId = `route_${Date.now()}_${++this.routeCounter}`;
+    console.log(`🧭 ${routeId}: ${plan.side} ${plan.amount} ${symbol} fordelt på ${plan.allocations.map(a => `${a.exchange} ${a.amount.toFixed(6)}`).join(', ')}`);
+
+    const results = await Promise.all(plan.allocations.map(async allocation => {
+      try {
+        return await this.executor.executeOrder({
+          exchange: allocation.exchange,
+          symbol,
+          side: plan.side,
+          type: 'market',
+          amount: allocation.amount,
+          userId,
+          sourceIP,
+          source,
+          metadata: { routeId, expectedPrice: allocation.expectedPrice }
+        });
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }));
+
+    return this.buildFillReport(routeId, plan, results);
+  }
+
+  buildFillReport(routeId, plan, results) {
+    const children = plan.allocations.map((allocation, index) => {
+      const result = results[index];
+      const order = result.order || null;
+      return {
+        exchange: allocation.exchange,
+        requested: allocation.amount,
+        expectedPrice: allocation.expectedPrice,
+        orderId: order ? order.id : null,
+        status: order ? order.status : 'rejected',
+        filledAmount: order ? order.filledAmount : 0,
+        averagePrice: order ? order.averagePrice : null,
+        fees: order ? order.fees : 0,
+        ...(!result.success && { error: result.error, code: result.code })
+      };
+    });
+
+    const filledAmount = children.reduce((sum, child) => sum + child.filledAmount, 0);
+    const notional = children.reduce((sum, child) => sum + child.filledAmount * (child.averagePrice || 0), 0);
+    const fees = children.reduce((sum, child) => sum + child.fees, 0);
+    const averagePrice = filledAmount > 0 ? notional / filledAmount : null;
+    const direction = plan.side === 'buy' ? 1 : -1;
+
+    let status = 'failed';
+    if (filledAmount >= plan.amount - 1e-9) status = 'filled';
+    else if (filledAmount > 0) status = 'partially_filled';
+
+    return {
+      routeId,
+      symbol: plan.symbol,
+      side: plan.side,
+      requested: plan.amount,
+      filledAmount,
+      status,
+      averagePrice,
+      effectivePrice: filledAmount > 0 ? this.effectivePrice(plan.side, notional, fees, filledAmount) : null,
+      fees,
+      benchmarkPrice: plan.benchmarkPrice,
+      // Positiv = dårligere end benchmark
+      slippageBps: averagePrice !== null ? direction * (averagePrice - plan.benchmarkPrice) / plan.benchmarkPrice * 10000 : null,
+      expectedAveragePrice: plan.expectedAveragePrice,
+      unallocated: plan.unallocated,
+      children,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+SmartOrderRouter.ROUTER_ERRORS = ROUTER_ERRORS;
+
+module.exports = SmartOrderRouter;
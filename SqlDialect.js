@@ -0,0 +1,43 @@
+/**
+ * SqlDialect - Fælles SQL helpers for DatabaseService (SQLite) og PostgreSQLDatabaseService
+ * Services skriver queries med ? placeholders og kører dem mod den database de får injiceret
+ */
+
+/**
+ * PostgreSQL servicen er den eneste med transaction support
+ */
+function isPostgres(database) {
+  return !!database && typeof database.transaction === 'function';
+}
+
+/**
+ * Omskriv ? placeholders til $1, $2, ... for PostgreSQL
+ */
+function prepare(database, sql) {
+  if (!isPostgres(database)) {
+    return sql;
+  }
+
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+/**
+ * JSON kolonner er TEXT i SQLite og JSONB i PostgreSQL - begge kan læses tilbage her
+ */
+function parseJSON(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = {
+  isPostgres,
+  prepare,
+  parseJSON
+};
@@ -0,0 +1,659 @@
+/**
+ * StrategyEngine - Plugin strategier til auto trading
+ * En strategi er et modul der erklærer parametre, symboler og timeframes og implementerer
+ * onTick / onCandle / onFill. Moduler indlæses fra en mappe og valideres før de registreres.
+ * Kørende strategier har hver sin kapitalallokering, position og statistik. Ordrer afgives gennem
+ * executorens executeOrder (ledger + risk gate) tagget med strategiens navn, og fills følges via
+ * ledgerens fill events.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const OrderLedger = require('./OrderLedger');
+const KillSwitch = require('./KillSwitch');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'strategies');
+
+const HOOKS = ['onTick', 'onCandle', 'onFill'];
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'string'];
+const TERMINAL_ORDER_STATUSES = ['filled', 'cancelled', 'rejected'];
+const EPSILON = 1e-12;
+
+function strategyError(code, message, errors = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Problemer med et strategimodul - tom liste når det er gyldigt
+ */
+function validateStrategy(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['Strategy module must export an object'];
+
+  if (typeof definition.name !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(definition.name)) {
+    errors.push('name must be an identifier (letters, digits, _ and -)');
+  }
+  if (!HOOKS.some(hook => typeof definition[hook] === 'function')) {
+    errors.push(`at least one of ${HOOKS.join(', ')} must be implemented`);
+  }
+  for (const hook of HOOKS) {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      errors.push(`${hook} must be a function`);
+    }
+  }
+
+  if (!Array.isArray(definition.symbols) || definition.symbols.length === 0 ||
+      definition.symbols.some(symbol => typeof symbol !== 'string' || !symbol.includes('/'))) {
+    errors.push('symbols must be a non-empty list like ["BTC/USDT"]');
+  }
+
+  const timeframes = definition.timeframes || [];
+  if (!Array.isArray(timeframes) || timeframes.some(timeframe => !TIMEFRAMES.includes(timeframe))) {
+    errors.push(`timeframes must be a list of ${TIMEFRAMES.join(', ')}`);
+  } else if (typeof definition.onCandle === 'function' && timeframes.length === 0) {
+    errors.push('onCandle needs at least one timeframe');
+  }
+
+  const parameters = definition.parameters || {};
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    errors.push('parameters must be an object of parameter specs');
+  } else {
+    for (const [key, spec] of Object.entries(parameters)) {
+      if (!spec || !PARAMETER_TYPES.includes(spec.type)) {
+        errors.push(`parameter ${key}: type must be one of ${PARAMETER_TYPES.join(', ')}`);
+        continue;
+      }
+      const problem = checkParameter(spec, spec.default);
+      if (problem) errors.push(`parameter ${key}: default ${problem}`);
+    }
+  }
+
+  return errors;
+}
+
+// Fejlbesked hvis værdien ikke passer til specifikationen
+function checkParameter(spec, value) {
+  if (spec.type === 'boolean') return typeof value === 'boolean' ? null : `${JSON.stringify(value)} is not a boolean`;
+  if (spec.type === 'string') {
+    if (typeof value !== 'string') return `${JSON.stringify(value)} is not a string`;
+    return spec.options && !spec.options.includes(value) ? `${value} is not one of ${spec.options.join(', ')}` : null;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${JSON.stringify(value)} is not a number`;
+  if (spec.type === 'integer' && !Number.isInteger(value)) return `${value} is not an integer`;
+  if (spec.min !== undefined && value < spec.min) return `${value} is below ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `${value} is above ${spec.max}`;
+  return null;
+}
+
+class StrategyEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.strategies = new Map();
+    this.instances = new Map();
+    this.loadErrors = [];
+    this.executor = null;
+    this.candles = null;
+    this.coordinator = null;
+    this.directory = DEFAULT_DIRECTORY;
+    this.totalCapital = null;
+    this.killSwitch = KillSwitch;
+    this.isReady = false;
+
+    this.onTickerUpdate = ticker => this.handleTick(ticker);
+    this.onCandleClosed = candle => this.handleCandle(candle);
+    this.onFill = (fill, order) => this.handleFill(fill, order);
+    OrderLedger.on('fill', this.onFill);
+  }
+
+  /**
+   * executor skal have executeOrder(order) - typisk TradingService.
+   * totalCapital begrænser summen af allokeringerne (null = ingen grænse).
+   */
+  async initialize({ directory = DEFAULT_DIRECTORY, executor, candles = null, totalCapital = null } = {}) {
+    this.executor = executor || this.executor;
+    this.directory = directory;
+    this.totalCapital = totalCapital;
+
+    if (this.candles) {
+      this.candles.removeListener('candleClosed', this.onCandleClosed);
+    }
+    this.candles = candles;
+    if (candles) {
+      candles.on('candleClosed', this.onCandleClosed);
+    }
+
+    const { loaded, errors } = this.loadDirectory(directory);
+    this.isReady = true;
+    console.log(`🧩 Strategy Engine initialized (${loaded.length} strategies, ${errors.length} invalid)`);
+  }
+
+  /**
+   * Ticks til onTick kommer fra coordinatorens tickers
+   */
+  attach(coordinator) {
+    if (this.coordinator) {
+      this.coordinator.removeListener('tickerUpdate', this.onTickerUpdate);
+    }
+
+    this.coordinator = coordinator;
+    coordinator.on('tickerUpdate', this.onTickerUpdate);
+  }
+
+  /**
+   * Indlæs alle .js moduler i mappen. Et modul kan eksportere en strategi eller en liste.
+   * Ugyldige moduler registreres ikke, men huskes i loadErrors.
+   */
+  loadDirectory(directory = this.directory) {
+    const loaded = [];
+    const errors = [];
+
+    let files = [];
+    try {
+      files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      errors.push({ file: directory, error: `Strategy directory not readable: ${error.message}` });
+    }
+
+    for (const file of files) {
+      const modulePath = path.join(directory, file);
+      try {
+        delete require.cache[require.resolve(modulePath)];
+        const exported = require(modulePath);
+        for (const definition of Array.isArray(exported) ? exported : [exported]) {
+          loaded.push(this.register(definition, { file }).name);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Strategy ${file} not loaded:`, error.message);
+        errors.push({ file, error: error.message, ...(error.errors && error.errors.length > 0 && { errors: error.errors }) });
+      }
+    }
+
+    this.loadErrors = errors;
+    return { loaded, errors };
+  }
+
+  /**
+   * Backtests og optimering uden for TradingService indlæser mappen ved første brug
+   */
+  ensureLoaded() {
+    if (this.strategies.size === 0) {
+      this.loadDirectory();
+    }
+  }
+
+  /**
+   * Valider og registrer en strategi. Kørende strategier kan ikke udskiftes.
+   */
+  register(definition, { file = null } = {}) {
+    const errors = validateStrategy(definition);
+    if (errors.length > 0) {
+      throw strategyError('STRATEGY_INVALID', `Invalid strategy${definition && definition.name ? ` ${definition.name}` : ''}: ${errors.join('; ')}`, errors);
+    }
+
+    const existing = this.strategies.get(definition.name);
+    if (existing && existing.file !== file) {
+      throw strategyError('STRATEGY_DUPLICATE', `Strategy ${definition.name} is already registered from ${existing.file}`);
+    }
+    if (this.instances.has(definition.name)) {
+      throw strategyError('STRATEGY_RUNNING', `Strategy ${definition.name} is running and cannot be replaced`);
+    }
+
+    const strategy = { definition, file, parameters: definition.parameters || {} };
+    this.strategies.set(definition.name, strategy);
+    return { name: definition.name, file };
+  }
+
+  /**
+   * Standardværdier fra parametrenes specs med overrides - ukendte eller ugyldige værdier afvises
+   */
+  resolveParams(name, overrides = {}) {
+    const { parameters } = this.requireStrategy(name);
+    const errors = [];
+    const params = {};
+
+    for (const key of Object.keys(overrides)) {
+      if (!parameters[key]) errors.push(`unknown parameter ${key}`);
+    }
+    for (const [key, spec] of Object.entries(parameters)) {
+      const value = overrides[key] !== undefined ? overrides[key] : spec.default;
+      const problem = checkParameter(spec, value);
+      if (problem) errors.push(`${key}: ${problem}`);
+      params[key] = value;
+    }
+
+    if (errors.length > 0) {
+      throw strategyError('STRATEGY_PARAMS_INVALID', `Invalid parameters for ${name}: ${errors.join('; ')}`, errors);
+    }
+    return params;
+  }
+
+  requireStrategy(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw strategyError('STRATEGY_NOT_FOUND', `Unknown strategy: ${name}`);
+    }
+    return strategy;
+  }
+
+  requireInstance(name) {
+    const instance = this.instances.get(name);
+    if (!instance) {
+      throw strategyError('STRATEGY_NOT_RUNNING', `Strategy ${name} is not running`);
+    }
+    return instance;
+  }
+
+  getAllocatedCapital() {
+    return Array.from(this.instances.values()).reduce((sum, instance) => sum + instance.capital, 0);
+  }
+
+  /**
+   * Start en strategi med sin egen kapital. Flere strategier kører samtidigt.
+   */
+  startStrategy(name, { capital, params = {}, exchange = null, userId = null } = {}) {
+    const strategy = this.requireStrategy(name);
+    if (this.instances.has(name)) {
+      throw strategyError('STRATEGY_RUNNING', `Strategy ${name} is already running`);
+    }
+
+    const allocation = parseFloat(capital);
+    if (!(allocation > 0)) {
+      throw strategyError('STRATEGY_CAPITAL_INVALID', `Strategy ${name} needs a positive capital allocation`);
+    }
+    if (this.totalCapital !== null && this.getAllocatedCapital() + allocation > this.totalCapital + EPSILON) {
+      throw strategyError('STRATEGY_CAPITAL_EXCEEDED',
+        `Allocating ${allocation} to ${name} exceeds total strategy capital ${this.totalCapital} (${this.getAllocatedCapital()} allocated)`);
+    }
+
+    const instance = {
+      name,
+      strategy,
+      params: this.resolveParams(name, params),
+      capital: allocation,
+      exchange,
+      userId,
+      state: {},
+      positions: new Map(),
+      openOrders: new Map(),
+      filled: new Map(),
+      lastPrices: new Map(),
+      queue: Promise.resolve(),
+      startedAt: new Date().toISOString(),
+      stats: {
+        ticks: 0,
+        candles: 0,
+        signals: 0,
+        orders: 0,
+        rejected: 0,
+        fills: 0,
+        errors: 0,
+        wins: 0,
+        losses: 0,
+        realizedPnl: 0,
+        fees: 0,
+        lastSignal: null,
+        lastError: null
+      }
+    };
+
+    this.instances.set(name, instance);
+    console.log(`🧩 Strategy ${name} started with ${allocation} capital`);
+    this.emit('started', this.getStats(name));
+    return this.getStats(name);
+  }
+
+  /**
+   * Stop strategien - åbne positioner beholdes og statistikken returneres
+   */
+  async stopStrategy(name) {
+    const instance = this.requireInstance(name);
+    this.instances.delete(name);
+    await instance.queue;
+
+    const stats = this.getStats(name, instance);
+    console.log(`🛑 Strategy ${name} stopped`);
+    this.emit('stopped', stats);
+    return stats;
+  }
+
+  async stopAll() {
+    const stopped = [];
+    for (const name of Array.from(this.instances.keys())) {
+      stopped.push(await this.stopStrategy(name));
+    }
+    return stopped;
+  }
+
+  handleTick(ticker) {
+    const price = ticker ? parseFloat(ticker.price) : NaN;
+    if (!ticker || !ticker.symbol || !(price > 0)) return Promise.resolve([]);
+
+    const runs = [];
+    for (const instance of this.instances.values()) {
+      if (!instance.strategy.definition.symbols.includes(ticker.symbol)) continue;
+      instance.lastPrices.set(ticker.symbol, price);
+      if (typeof instance.strategy.definition.onTick !== 'function') continue;
+
+      instance.stats.ticks++;
+      runs.push(this.runHook(instance, 'onTick', ticker, ticker.symbol));
+    }
+    return Promise.all(runs);
+  }
+
+  handleCandle(candle) {
+    if (!candle || !candle.symbol) return Promise.resolve([]);
+
+    const runs = [];
+    for (const instance of this.instances.values()) {
+      const { definition } = instance.strategy;
+      if (typeof definition.onCandle !== 'function') continue;
+      if (!definition.symbols.includes(candle.symbol) || !(definition.timeframes || []).includes(candle.timeframe)) continue;
+
+      instance.lastPrices.set(candle.symbol, parseFloat(candle.close));
+      instance.stats.candles++;
+      runs.push(this.runHook(instance, 'onCandle', candle, candle.symbol));
+    }
+    return Promise.all(runs);
+  }
+
+  /**
+   * Ledger fill for en strategiordre - opdaterer position, P&L og kalder onFill
+   */
+  handleFill(fill, order) {
+    if (!order || !order.metadata || !order.metadata.strategy) return null;
+
+    const instance = this.instances.get(order.metadata.strategy);
+    if (!instance) return null;
+
+    instance.filled.set(order.id, (instance.filled.get(order.id) || 0) + fill.quantity);
+    return this.applyFill(instance, {
+      orderId: order.id,
+      symbol: fill.symbol,
+      side: fill.side,
+      quantity: fill.quantity,
+      price: fill.price,
+      fee: fill.fee || 0,
+      timestamp: fill.timestamp
+    });
+  }
+
+  applyFill(instance, fill) {
+    const position = this.getPositionState(instance, fill.symbol);
+    const { stats } = instance;
+    let realizedPnl = 0;
+
+    if (fill.side.toLowerCase() === 'buy') {
+      position.quantity += fill.quantity;
+      position.cost += fill.quantity * fill.price + fill.fee;
+    } else {
+      const quantity = Math.min(fill.quantity, position.quantity);
+      const averagePrice = position.quantity > 0 ? position.cost / position.quantity : fill.price;
+      realizedPnl = quantity * (fill.price - averagePrice) - fill.fee;
+      position.cost -= averagePrice * quantity;
+      position.quantity -= quantity;
+      if (position.quantity <= EPSILON) {
+        position.quantity = 0;
+        position.cost = 0;
+      }
+
+      stats.realizedPnl += realizedPnl;
+      if (realizedPnl > 0) stats.wins++;
+      else stats.losses++;
+    }
+
+    stats.fills++;
+    stats.fees += fill.fee;
+    const reported = { ...fill, strategy: instance.name, realizedPnl };
+    this.emit('fill', reported);
+
+    if (typeof instance.strategy.definition.onFill === 'function') {
+      return this.runHook(instance, 'onFill', reported, fill.symbol);
+    }
+    return null;
+  }
+
+  getPositionState(instance, symbol) {
+    if (!instance.positions.has(symbol)) {
+      instance.positions.set(symbol, { quantity: 0, cost: 0 });
+    }
+    return instance.positions.get(symbol);
+  }
+
+  /**
+   * Kostpris af positionerne plus reserveret til åbne købsordrer
+   */
+  getCommittedCapital(instance) {
+    const positions = Array.from(instance.positions.values()).reduce((sum, position) => sum + position.cost, 0);
+    const reserved = Array.from(instance.openOrders.values()).reduce((sum, reservation) => sum + reservation, 0);
+    return positions + reserved;
+  }
+
+  createContext(instance, symbol) {
+    const committed = this.getCommittedCapital(instance);
+    return {
+      name: instance.name,
+      symbol,
+      params: instance.params,
+      state: instance.state,
+      allocation: { capital: instance.capital, committed, available: Math.max(0, instance.capital - committed) },
+      stats: { ...instance.stats },
+      position: (positionSymbol = symbol) => {
+        const position = instance.positions.get(positionSymbol) || { quantity: 0, cost: 0 };
+        return { quantity: position.quantity, averagePrice: position.quantity > 0 ? position.cost / position.quantity : null };
+      },
+      price: (priceSymbol = symbol) => instance.lastPrices.get(priceSymbol) || null,
+      // Strategier bruger ctx.now() i stedet for Date.now() så de også kan køres i backtests
+      now: () => Date.now()
+    };
+  }
+
+  /**
+   * Hooks for en strategi kører efter hinanden - strategierne kører samtidigt og en fejl
+   * i én strategi påvirker ikke de andre
+   */
+  runHook(instance, hook, payload, symbol) {
+    const run = instance.queue.then(async () => {
+      if (this.instances.get(instance.name) !== instance) return;
+
+      let signals;
+      try {
+        signals = await instance.strategy.definition[hook](this.createContext(instance, symbol), payload);
+      } catch (error) {
+        instance.stats.errors++;
+        instance.stats.lastError = `${hook}: ${error.message}`;
+        console.error(`❌ Strategy ${instance.name} ${hook} fejlede:`, error.message);
+        this.emit('strategyError', { strategy: instance.name, hook, error: error.message });
+        return;
+      }
+
+      for (const signal of [].concat(signals || [])) {
+        await this.executeSignal(instance, { symbol, ...signal });
+      }
+    });
+
+    instance.queue = run;
+    return run;
+  }
+
+  reject(instance, signal, code, message) {
+    instance.stats.rejected++;
+    instance.stats.lastError = message;
+    this.emit('order', { strategy: instance.name, signal, success: false, code, error: message });
+    return null;
+  }
+
+  /**
+   * Signal { side, amount | notional, type, price, reason } → ordre inden for allokeringen.
+   * Køb begrænses til den ledige kapital, salg til strategiens egen position.
+   */
+  async executeSignal(instance, signal) {
+    const side = (signal.side || '').toLowerCase();
+    const { stats } = instance;
+    stats.signals++;
+    stats.lastSignal = { ...signal, timestamp: new Date().toISOString() };
+
+    if (!['buy', 'sell'].includes(side) || !instance.strategy.definition.symbols.includes(signal.symbol)) {
+      return this.reject(instance, signal, 'INVALID_SIGNAL', `Invalid signal ${side || '?'} ${signal.symbol}`);
+    }
+    if (this.killSwitch && this.killSwitch.isTripped()) {
+      return this.reject(instance, signal, 'KILL_SWITCH', 'Trading is halted by the kill switch');
+    }
+
+    const type = (signal.type || 'market').toLowerCase();
+    const price = parseFloat(signal.price) || instance.lastPrices.get(signal.symbol);
+    if (!(price > 0)) {
+      return this.reject(instance, signal, 'NO_PRICE', `No price for ${signal.symbol}`);
+    }
+
+    let amount;
+    if (side === 'buy') {
+      const available = Math.max(0, instance.capital - this.getCommittedCapital(instance));
+      const notional = Math.min(parseFloat(signal.notional) || parseFloat(signal.amount) * price || 0, available);
+      if (!(notional > EPSILON)) {
+        return this.reject(instance, signal, 'ALLOCATION_EXHAUSTED', `${instance.name} has ${available.toFixed(2)} of ${instance.capital} available`);
+      }
+      amount = notional / price;
+    } else {
+      const held = this.getPositionState(instance, signal.symbol).quantity;
+      const requested = parseFloat(signal.amount) || (parseFloat(signal.notional) / price) || held;
+      amount = Math.min(requested, held);
+      if (!(amount > EPSILON)) {
+        return this.reject(instance, signal, 'NO_POSITION', `${instance.name} holds no ${signal.symbol}`);
+      }
+    }
+
+    if (!this.executor) {
+      return this.reject(instance, signal, 'NO_EXECUTOR', 'No order executor configured');
+    }
+
+    let result;
+    try {
+      result = await this.executor.executeOrder({
+        exchange: instance.exchange,
+        symbol: signal.symbol,
+        side,
+        amount,
+        type,
+        price: type === 'limit' ? price : null,
+        userId: instance.userId,
+        source: 'strategy',
+        metadata: { strategy: instance.name, reason: signal.reason || null }
+      });
+      if (!result || result.success === false) {
+        throw Object.assign(new Error((result && result.error) || 'Order rejected'), { code: result && result.code });
+      }
+    } catch (error) {
+      return this.reject(instance, signal, error.code || 'ORDER_FAILED', error.message);
+    }
+
+    stats.orders++;
+    this.applyOrderResult(instance, result.order, price);
+    this.emit('order', { strategy: instance.name, signal, success: true, order: result.order, price });
+    return result.order;
+  }
+
+  /**
+   * Executors uden ledger events rapporterer fills i ordren - kun det ikke allerede sete anvendes.
+   * Åbne købsordrer reserverer kapital indtil de er færdige.
+   */
+  applyOrderResult(instance, order, price) {
+    if (!order) return;
+
+    const seen = instance.filled.get(order.id) || 0;
+    const delta = (parseFloat(order.filledAmount) || 0) - seen;
+    if (delta > EPSILON) {
+      instance.filled.set(order.id, seen + delta);
+      // onFill køres efter den aktuelle hook i strategiens kø - den må ikke afventes her
+      this.applyFill(instance, {
+        orderId: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        quantity: delta,
+        price: parseFloat(order.averagePrice) || price,
+        fee: seen === 0 ? parseFloat(order.fees) || 0 : 0,
+        timestamp: order.updatedAt || new Date().toISOString()
+      });
+    }
+
+    const remaining = (parseFloat(order.amount) || 0) - (parseFloat(order.filledAmount) || 0);
+    if (TERMINAL_ORDER_STATUSES.includes(order.status) || remaining <= EPSILON) {
+      instance.openOrders.delete(order.id);
+    } else if (order.side.toLowerCase() === 'buy') {
+      instance.openOrders.set(order.id, remaining * (parseFloat(order.price) || price));
+    }
+  }
+
+  /**
+   * Allokering, positioner til sidste pris og statistik for en kørende strategi
+   */
+  getStats(name, instance = this.instances.get(name)) {
+    if (!instance) return null;
+
+    const committed = this.getCommittedCapital(instance);
+    let unrealizedPnl = 0;
+    const positions = [];
+    for (const [symbol, position] of instance.positions) {
+      if (position.quantity <= EPSILON) continue;
+      const lastPrice = instance.lastPrices.get(symbol) || null;
+      const averagePrice = position.cost / position.quantity;
+      const pnl = lastPrice ? position.quantity * lastPrice - position.cost : 0;
+      unrealizedPnl += pnl;
+      positions.push({ symbol, quantity: position.quantity, averagePrice, lastPrice, unrealizedPnl: pnl });
+    }
+
+    const closed = instance.stats.wins + instance.stats.losses;
+    const { lastSignal, lastError, ...counters } = instance.stats;
+    return {
+      name,
+      params: instance.params,
+      exchange: instance.exchange,
+      startedAt: instance.startedAt,
+      allocation: {
+        capital: instance.capital,
+        committed,
+        available: Math.max(0, instance.capital - committed)
+      },
+      positions,
+      stats: {
+        ...counters,
+        unrealizedPnl,
+        totalPnl: instance.stats.realizedPnl + unrealizedPnl,
+        returnPercent: ((instance.stats.realizedPnl + unrealizedPnl) / instance.capital) * 100,
+        winRate: closed > 0 ? (instance.stats.wins / closed) * 100 : 0,
+        lastSignal,
+        lastError
+      }
+    };
+  }
+
+  /**
+   * Registrerede strategier med parametre, abonnementer og - for kørende - allokering og statistik
+   */
+  listStrategies() {
+    return Array.from(this.strategies.entries()).map(([name, { definition, file, parameters }]) => ({
+      name,
+      description: definition.description || null,
+      version: definition.version || null,
+      file,
+      parameters,
+      symbols: definition.symbols,
+      timeframes: definition.timeframes || [],
+      hooks: HOOKS.filter(hook => typeof definition[hook] === 'function'),
+      running: this.instances.has(name),
+      ...(this.instances.has(name) && this.getStats(name))
+    }));
+  }
+}
+
+const strategyEngine = new StrategyEngine();
+strategyEngine.HOOKS = HOOKS;
+strategyEngine.TIMEFRAMES = TIMEFRAMES;
+strategyEngine.validateStrategy = validateStrategy;
+
+module.exports = strategyEngine;
@@ -0,0 +1,533 @@
+/**
+ * StrategyOptimizer - Parameter optimization and walk-forward analysis for plugin strategies
+ * Searches a strategy's declared parameter space on historical candles through BacktestEngine:
+ * - grid, random or Bayesian-style (Tree-structured Parzen Estimator) search
+ * - Walk-forward windows: each window is optimized in-sample and the best candidates are
+ *   tested on the following out-of-sample bars, so the ranking is not fitted to one period
+ * - Score: QuantitativeEngine.calculateRiskAdjustedSharpe of the backtest bar returns (after
+ *   simulated fees, spread and slippage)
+ * - Report: candidates ranked by out-of-sample score with in-sample vs out-of-sample stability
+ */
+
+const EventEmitter = require('events');
+const BacktestEngine = require('./BacktestEngine');
+const QuantitativeEngine = require('./QuantitativeEngine');
+const StrategyEngine = require('./StrategyEngine');
+
+const SEARCH_METHODS = ['grid', 'random', 'bayesian'];
+
+const OPTIMIZER_DEFAULTS = {
+  method: 'grid',
+  gridSize: 5,          // Punkter per numerisk parameter uden step
+  maxCandidates: 500,   // Grid loft per vindue
+  iterations: 40,       // Random / bayesian evalueringer per vindue
+  initialSamples: 10,   // Bayesian: tilfældige punkter før modellen bruges
+  candidatePool: 24,    // Bayesian: kandidater vurderet per forslag
+  gamma: 0.25,          // Bayesian: andelen af evalueringerne der regnes som gode
+  windows: 4,
+  trainRatio: 0.7,      // In-sample andel af et vindue
+  anchored: false,      // true = in-sample starter altid ved første bar
+  warmupBars: 50,       // Bars før et segment der kun varmer indikatorer og strategi state op
+  topCandidates: 5,     // Bedste in-sample kandidater per vindue der kommer i finalen
+  initialCapital: 10000,
+  seed: 1
+};
+
+const MIN_TRAIN_BARS = 20;
+const MIN_TEST_BARS = 5;
+
+function optimizerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Reproducerbare søgninger - mulberry32
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6D2B79F5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function std(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+class StrategyOptimizer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.quantEngine = options.quantEngine || new QuantitativeEngine();
+    this.backtester = options.backtester || new BacktestEngine({ database: options.database, quantEngine: this.quantEngine });
+    this.strategies = options.strategyEngine || StrategyEngine;
+  }
+
+  /**
+   * Optimer en strategi
+   * @param {Object} options
+   * @param {string} options.strategy - Plugin strategy name
+   * @param {string} options.symbol / interval / start / end - Historical data (or options.candles)
+   * @param {string} options.method - grid | random | bayesian
+   * @param {Object} options.space - Per parameter { min, max, step } or a list of values (narrows the declaration)
+   * @param {Object} options.fixed - Parameters held at a value instead of searched
+   */
+  async optimize(options = {}) {
+    const config = this.buildConfig(options);
+    const space = this.buildSpace(config.strategy, options.space, options.fixed);
+    const candles = options.candles
+      ? options.candles
+      : await this.backtester.loadCandles({ symbol: config.symbol, interval: config.interval, start: options.start, end: options.end });
+    const windows = this.buildWindows(candles.length, config);
+    const random = createRandom(config.seed);
+
+    const context = { config, space, candles, cache: new Map(), evaluations: 0 };
+    const baseline = this.defaultParams(space);
+    this.emit('start', { strategy: config.strategy, method: config.method, windows: windows.length, bars: candles.length });
+
+    // Hvert vindue optimeres in-sample og vinderen testes på de efterfølgende bars
+    const walkForward = [];
+    const finalists = new Map([[this.paramsKey(baseline), baseline]]);
+    for (const window of windows) {
+      const ranked = await this.searchWindow(context, window, random);
+      const best = ranked[0];
+      const outOfSample = await this.evaluate(context, best.params, window.test);
+
+      for (const evaluation of ranked.slice(0, config.topCandidates)) {
+        finalists.set(this.paramsKey(evaluation.params), evaluation.params);
+      }
+
+      walkForward.push({
+        window: window.index,
+        train: this.describeSegment(candles, window.train),
+        test: this.describeSegment(candles, window.test),
+        params: best.params,
+        evaluated: ranked.length,
+        inSample: this.summarizeEvaluation(best),
+        outOfSample: this.summarizeEvaluation(outOfSample)
+      });
+      this.emit('window', walkForward[walkForward.length - 1]);
+    }
+
+    // Finalisterne køres i alle vinduer så in-sample og out-of-sample kan sammenlignes parvis
+    const ranking = [];
+    for (const params of finalists.values()) {
+      const inSample = [];
+      const outOfSample = [];
+      for (const window of windows) {
+        inSample.push((await this.evaluate(context, params, window.train)).score);
+        outOfSample.push((await this.evaluate(context, params, window.test)).score);
+      }
+      ranking.push(this.rankEntry(params, inSample, outOfSample, walkForward, baseline));
+    }
+    ranking.sort((a, b) => b.outOfSample.mean - a.outOfSample.mean || b.inSample.mean - a.inSample.mean);
+    ranking.forEach((entry, index) => { entry.rank = index + 1; });
+
+    const report = {
+      strategy: config.strategy,
+      symbol: config.symbol,
+      interval: config.interval,
+      method: config.method,
+      space: this.describeSpace(space),
+      period: this.describeSegment(candles, [0, candles.length]),
+      windows: walkForward,
+      summary: this.summarize(context, walkForward, ranking, space),
+      ranking,
+      timestamp: new Date()
+    };
+
+    this.emit('complete', report);
+    return report;
+  }
+
+  buildConfig(options) {
+    if (!options.strategy) {
+      throw optimizerError('OPTIMIZER_INVALID', 'strategy is required');
+    }
+    const config = { ...OPTIMIZER_DEFAULTS, symbol: 'BTC/USDT', interval: '1h' };
+    for (const key of Object.keys(config)) {
+      if (options[key] !== undefined && options[key] !== null) config[key] = options[key];
+    }
+    config.strategy = options.strategy;
+
+    if (!SEARCH_METHODS.includes(config.method)) {
+      throw optimizerError('OPTIMIZER_INVALID', `method must be one of ${SEARCH_METHODS.join(', ')}`);
+    }
+    for (const key of ['gridSize', 'maxCandidates', 'iterations', 'windows', 'topCandidates', 'candidatePool']) {
+      if (!Number.isInteger(config[key]) || config[key] < 1) {
+        throw optimizerError('OPTIMIZER_INVALID', `${key} must be a positive integer`);
+      }
+    }
+    if (!(config.trainRatio > 0 && config.trainRatio < 1)) {
+      throw optimizerError('OPTIMIZER_INVALID', 'trainRatio must be between 0 and 1');
+    }
+    if (!(config.gamma > 0 && config.gamma < 1)) {
+      throw optimizerError('OPTIMIZER_INVALID', 'gamma must be between 0 and 1');
+    }
+    return config;
+  }
+
+  /**
+   * Parameterrummet fra strategiens erklæring. Tal med min og max, booleans og strenge med
+   * options søges - resten holdes på default. space kan kun indsnævre erklæringen.
+   */
+  buildSpace(name, overrides = {}, fixed = {}) {
+    this.strategies.ensureLoaded();
+    const { parameters } = this.strategies.requireStrategy(name);
+
+    for (const key of [...Object.keys(overrides || {}), ...Object.keys(fixed || {})]) {
+      if (!parameters[key]) {
+        throw optimizerError('OPTIMIZER_INVALID', `Unknown parameter ${key} for ${name}`);
+      }
+    }
+
+    const dimensions = [];
+    const constants = {};
+    for (const [key, spec] of Object.entries(parameters)) {
+      const override = (overrides || {})[key];
+
+      if (fixed && fixed[key] !== undefined) {
+        constants[key] = fixed[key];
+      } else if (Array.isArray(override)) {
+        if (override.length === 0) throw optimizerError('OPTIMIZER_INVALID', `No values for ${key}`);
+        dimensions.push({ key, values: override });
+      } else if (spec.type === 'boolean') {
+        dimensions.push({ key, values: [false, true] });
+      } else if (spec.type === 'string') {
+        if (spec.options) dimensions.push({ key, values: spec.options });
+        else constants[key] = spec.default;
+      } else {
+        const range = { min: spec.min, max: spec.max, step: spec.step, ...(override || {}) };
+        if (range.min === undefined || range.max === undefined) {
+          constants[key] = spec.default;
+          continue;
+        }
+        if ((spec.min !== undefined && range.min < spec.min) || (spec.max !== undefined && range.max > spec.max) || range.min > range.max) {
+          throw optimizerError('OPTIMIZER_INVALID', `${key} range ${range.min}..${range.max} is outside ${spec.min}..${spec.max}`);
+        }
+        dimensions.push({ key, min: range.min, max: range.max, step: range.step || null, integer: spec.type === 'integer' });
+      }
+    }
+
+    return { strategy: name, parameters, dimensions, fixed: constants };
+  }
+
+  /**
+   * Rullende (eller anchored) vinduer: train bars efterfulgt af test bars.
+   * Testsegmenterne ligger i forlængelse af hinanden og dækker slutningen af perioden.
+   */
+  buildWindows(bars, config) {
+    const ratio = config.trainRatio / (1 - config.trainRatio);
+    const testBars = Math.floor(bars / (config.windows + ratio));
+    const trainBars = Math.floor(testBars * ratio);
+
+    if (trainBars < MIN_TRAIN_BARS || testBars < MIN_TEST_BARS) {
+      throw optimizerError('OPTIMIZER_NO_DATA',
+        `${bars} candles are not enough for ${config.windows} walk-forward windows (${trainBars} train / ${testBars} test bars)`);
+    }
+
+    const offset = bars - (trainBars + config.windows * testBars);
+    const windows = [];
+    for (let i = 0; i < config.windows; i++) {
+      const testStart = offset + trainBars + i * testBars;
+      windows.push({
+        index: i,
+        train: [config.anchored ? 0 : testStart - trainBars, testStart],
+        test: [testStart, testStart + testBars]
+      });
+    }
+    return windows;
+  }
+
+  /**
+   * In-sample søgning i et vindue - evalueringer sorteret efter score
+   */
+  async searchWindow(context, window, random) {
+    const { config, space } = context;
+    const evaluations = new Map();
+    const run = async params => {
+      const key = this.paramsKey(params);
+      if (!evaluations.has(key)) {
+        evaluations.set(key, await this.evaluate(context, params, window.train));
+      }
+    };
+
+    if (config.method === 'grid') {
+      for (const params of this.gridCandidates(space, config)) {
+        await run(params);
+      }
+    } else {
+      await run(this.defaultParams(space));
+      let attempts = 0;
+      while (evaluations.size < config.iterations && attempts < config.iterations * 20) {
+        attempts++;
+        const params = config.method === 'bayesian' && evaluations.size >= config.initialSamples
+          ? this.proposeCandidate(space, Array.from(evaluations.values()), evaluations, random, config)
+          : this.sampleCandidate(space, random);
+        if (params) await run(params);
+      }
+    }
+
+    this.emit('progress', { window: window.index, evaluated: evaluations.size, total: context.evaluations });
+    return Array.from(evaluations.values()).sort((a, b) => b.score - a.score);
+  }
+
+  gridCandidates(space, config) {
+    const axes = space.dimensions.map(dimension => {
+      if (dimension.values) return dimension.values;
+      if (dimension.step) {
+        const values = [];
+        for (let value = dimension.min; value <= dimension.max + 1e-9; value += dimension.step) {
+          values.push(this.snap(dimension, value));
+        }
+        return [...new Set(values)];
+      }
+      const points = config.gridSize === 1 ? [dimension.min] : Array.from({ length: config.gridSize },
+        (_, index) => dimension.min + (dimension.max - dimension.min) * index / (config.gridSize - 1));
+      return [...new Set(points.map(value => this.snap(dimension, value)))];
+    });
+
+    const total = axes.reduce((product, axis) => product * axis.length, 1);
+    if (total > config.maxCandidates) {
+      throw optimizerError('OPTIMIZER_INVALID',
+        `Grid has ${total} candidates (max ${config.maxCandidates}) - lower gridSize, narrow space or fix parameters`);
+    }
+
+    let candidates = [{ ...space.fixed }];
+    space.dimensions.forEach((dimension, index) => {
+      candidates = candidates.flatMap(candidate => axes[index].map(value => ({ ...candidate, [dimension.key]: value })));
+    });
+    return candidates;
+  }
+
+  sampleCandidate(space, random) {
+    const params = { ...space.fixed };
+    for (const dimension of space.dimensions) {
+      params[dimension.key] = dimension.values
+        ? dimension.values[Math.min(dimension.values.length - 1, Math.floor(random() * dimension.values.length))]
+        : this.snap(dimension, dimension.min + random() * (dimension.max - dimension.min));
+    }
+    return params;
+  }
+
+  /**
+   * Tree-structured Parzen Estimator: evalueringerne deles i gode (top gamma) og resten.
+   * Kandidater trækkes omkring de gode punkter og den med størst l(x) / g(x) vælges.
+   */
+  proposeCandidate(space, evaluations, seen, random, config) {
+    const sorted = [...evaluations].sort((a, b) => b.score - a.score);
+    const goodCount = Math.max(1, Math.ceil(sorted.length * config.gamma));
+    const good = sorted.slice(0, goodCount).map(evaluation => this.normalize(space, evaluation.params));
+    const bad = sorted.slice(goodCount).map(evaluation => this.normalize(space, evaluation.params));
+    const bandwidth = Math.max(0.05, 0.5 * Math.pow(sorted.length, -1 / (space.dimensions.length + 4)));
+
+    let best = null;
+    for (let i = 0; i < config.candidatePool; i++) {
+      const center = good[Math.floor(random() * good.length)];
+      const params = this.denormalize(space, center.map(value => Math.min(1, Math.max(0, value + gaussian(random) * bandwidth))));
+      if (seen.has(this.paramsKey(params))) continue;
+
+      const vector = this.normalize(space, params);
+      const ratio = (this.density(vector, good, bandwidth) + 1e-12) / (this.density(vector, bad, bandwidth) + 1e-12);
+      if (!best || ratio > best.ratio) best = { params, ratio };
+    }
+
+    // Omkring de gode punkter er alt prøvet - fald tilbage til et tilfældigt punkt
+    return best ? best.params : this.sampleCandidate(space, random);
+  }
+
+  density(vector, points, bandwidth) {
+    if (points.length === 0) return 0;
+    return mean(points.map(point => Math.exp(-point.reduce((sum, value, index) =>
+      sum + (vector[index] - value) ** 2, 0) / (2 * bandwidth * bandwidth))));
+  }
+
+  normalize(space, params) {
+    return space.dimensions.map(dimension => {
+      const value = params[dimension.key];
+      if (dimension.values) {
+        return dimension.values.length > 1 ? dimension.values.indexOf(value) / (dimension.values.length - 1) : 0;
+      }
+      return dimension.max > dimension.min ? (value - dimension.min) / (dimension.max - dimension.min) : 0;
+    });
+  }
+
+  denormalize(space, vector) {
+    const params = { ...space.fixed };
+    space.dimensions.forEach((dimension, index) => {
+      params[dimension.key] = dimension.values
+        ? dimension.values[Math.round(vector[index] * (dimension.values.length - 1))]
+        : this.snap(dimension, dimension.min + vector[index] * (dimension.max - dimension.min));
+    });
+    return params;
+  }
+
+  // Rund til step / heltal inden for grænserne
+  snap(dimension, value) {
+    let snapped = dimension.step
+      ? dimension.min + Math.round((value - dimension.min) / dimension.step) * dimension.step
+      : value;
+    snapped = Math.min(dimension.max, Math.max(dimension.min, snapped));
+    return dimension.integer ? Math.round(snapped) : parseFloat(snapped.toPrecision(10));
+  }
+
+  defaultParams(space) {
+    const params = { ...space.fixed };
+    for (const dimension of space.dimensions) {
+      params[dimension.key] = space.parameters[dimension.key].default;
+    }
+    return params;
+  }
+
+  paramsKey(params) {
+    return JSON.stringify(Object.keys(params).sort().map(key => [key, params[key]]));
+  }
+
+  /**
+   * Backtest af et segment - de foregående bars bruges som warmup. Resultater caches per segment.
+   */
+  async evaluate(context, params, [start, end]) {
+    const key = `${start}:${end}:${this.paramsKey(params)}`;
+    if (context.cache.has(key)) return context.cache.get(key);
+
+    const { config, candles } = context;
+    const warmupBars = Math.min(config.warmupBars, start);
+    const report = await this.backtester.run({
+      mode: 'plugin',
+      strategy: config.strategy,
+      symbol: config.symbol,
+      interval: config.interval,
+      initialCapital: config.initialCapital,
+      params,
+      candles: candles.slice(start - warmupBars, end),
+      warmupBars
+    });
+
+    const evaluation = {
+      params,
+      score: this.score(report),
+      totalReturn: report.summary.totalReturn,
+      maxDrawdown: report.summary.maxDrawdown,
+      trades: report.summary.totalTrades,
+      fees: report.summary.totalFees
+    };
+    context.cache.set(key, evaluation);
+    context.evaluations++;
+    return evaluation;
+  }
+
+  /**
+   * Risikojusteret Sharpe af bar-afkastene - backtestens equity er allerede efter handelsomkostninger
+   */
+  score(report) {
+    const equity = report.equityCurve.map(point => point.equity);
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+      returns.push((equity[i] - equity[i - 1]) / equity[i - 1]);
+    }
+    return this.quantEngine.calculateRiskAdjustedSharpe(returns);
+  }
+
+  summarizeEvaluation({ score, totalReturn, maxDrawdown, trades, fees }) {
+    return { score, totalReturn, maxDrawdown, trades, fees };
+  }
+
+  /**
+   * Efficiency = out-of-sample / in-sample score (walk-forward efficiency), consistency = andel
+   * af vinduerne med positiv out-of-sample score
+   */
+  rankEntry(params, inSample, outOfSample, walkForward, baseline) {
+    const inSampleMean = mean(inSample);
+    const outOfSampleMean = mean(outOfSample);
+    const key = this.paramsKey(params);
+
+    return {
+      rank: null,
+      params,
+      baseline: key === this.paramsKey(baseline),
+      selectedIn: walkForward.filter(window => this.paramsKey(window.params) === key).map(window => window.window),
+      inSample: { mean: inSampleMean, scores: inSample },
+      outOfSample: {
+        mean: outOfSampleMean,
+        std: std(outOfSample),
+        min: Math.min(...outOfSample),
+        scores: outOfSample
+      },
+      efficiency: inSampleMean > 0 ? outOfSampleMean / inSampleMean : null,
+      degradation: inSampleMean - outOfSampleMean,
+      consistency: outOfSample.filter(score => score > 0).length / outOfSample.length
+    };
+  }
+
+  /**
+   * Walk-forward resultatet er out-of-sample scoren af det enkelte vindues valg - det ærlige estimat.
+   * Parameterstabilitet: spredningen af de valgte værdier på tværs af vinduerne.
+   */
+  summarize(context, walkForward, ranking, space) {
+    const inSample = walkForward.map(window => window.inSample.score);
+    const outOfSample = walkForward.map(window => window.outOfSample.score);
+    const inSampleMean = mean(inSample);
+    const outOfSampleMean = mean(outOfSample);
+
+    const parameterStability = {};
+    for (const dimension of space.dimensions) {
+      const chosen = walkForward.map(window => window.params[dimension.key]);
+      if (dimension.values) {
+        const counts = chosen.reduce((map, value) => map.set(value, (map.get(value) || 0) + 1), new Map());
+        const [mode, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+        parameterStability[dimension.key] = { values: chosen, mode, agreement: count / chosen.length };
+      } else {
+        const spread = dimension.max > dimension.min ? std(chosen) / (dimension.max - dimension.min) : 0;
+        parameterStability[dimension.key] = { values: chosen, mean: mean(chosen), std: std(chosen), normalizedStd: spread };
+      }
+    }
+
+    const baseline = ranking.find(entry => entry.baseline);
+    return {
+      evaluations: context.evaluations,
+      inSampleScore: inSampleMean,
+      outOfSampleScore: outOfSampleMean,
+      efficiency: inSampleMean > 0 ? outOfSampleMean / inSampleMean : null,
+      consistency: outOfSample.filter(score => score > 0).length / outOfSample.length,
+      recommended: ranking[0].params,
+      baseline: baseline ? { params: baseline.params, rank: baseline.rank, outOfSampleScore: baseline.outOfSample.mean } : null,
+      parameterStability
+    };
+  }
+
+  describeSpace(space) {
+    return {
+      searched: Object.fromEntries(space.dimensions.map(dimension => [dimension.key, dimension.values
+        ? { values: dimension.values }
+        : { min: dimension.min, max: dimension.max, step: dimension.step }])),
+      fixed: space.fixed
+    };
+  }
+
+  describeSegment(candles, [start, end]) {
+    return {
+      start: candles[start].timestamp,
+      end: candles[end - 1].timestamp,
+      bars: end - start
+    };
+  }
+}
+
+StrategyOptimizer.SEARCH_METHODS = SEARCH_METHODS;
+StrategyOptimizer.OPTIMIZER_DEFAULTS = OPTIMIZER_DEFAULTS;
+
+module.exports = StrategyOptimizer;
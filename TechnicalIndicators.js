@@ -0,0 +1,435 @@
+/**
+ * TechnicalIndicators - Streaming indikatorer der opdateres inkrementelt per candle
+ * Hver indikator holder kun den tilstand den skal bruge, så update() er O(1) (O(period) for
+ * vinduesbaserede). value er null indtil indikatoren har set nok candles.
+ * Candles: { openTime, open, high, low, close, volume }
+ */
+
+class SMA {
+  constructor(period = 20) {
+    this.period = period;
+    this.window = [];
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(value) {
+    this.window.push(value);
+    this.sum += value;
+    if (this.window.length > this.period) {
+      this.sum -= this.window.shift();
+    }
+    this.value = this.window.length === this.period ? this.sum / this.period : null;
+    return this.value;
+  }
+}
+
+// Seedes med SMA af de første period værdier
+class EMA {
+  constructor(period = 20) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.seed = new SMA(period);
+    this.value = null;
+  }
+
+  update(value) {
+    if (this.value === null) {
+      this.value = this.seed.update(value);
+    } else {
+      this.value = value * this.k + this.value * (1 - this.k);
+    }
+    return this.value;
+  }
+}
+
+// Wilder udjævning: første værdi er gennemsnittet af period værdier
+class WilderAverage {
+  constructor(period) {
+    this.period = period;
+    this.seed = new SMA(period);
+    this.value = null;
+  }
+
+  update(value) {
+    if (this.value === null) {
+      this.value = this.seed.update(value);
+    } else {
+      this.value = (this.value * (this.period - 1) + value) / this.period;
+    }
+    return this.value;
+  }
+}
+
+class RSI {
+  constructor(period = 14) {
+    this.period = period;
+    this.gains = new WilderAverage(period);
+    this.losses = new WilderAverage(period);
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  update(candle) {
+    const close = candle.close;
+    if (this.previousClose !== null) {
+      const change = close - this.previousClose;
+      const gain = this.gains.update(Math.max(change, 0));
+      const loss = this.losses.update(Math.max(-change, 0));
+
+      if (gain !== null) {
+        this.value = loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+      }
+    }
+    this.previousClose = close;
+    return this.value;
+  }
+}
+
+class MACD {
+  constructor({ fast = 12, slow = 26, signal = 9 } = {}) {
+    this.fast = new EMA(fast);
+    this.slow = new EMA(slow);
+    this.signal = new EMA(signal);
+    this.value = null;
+  }
+
+  update(candle) {
+    const fast = this.fast.update(candle.close);
+    const slow = this.slow.update(candle.close);
+    if (fast === null || slow === null) return this.value;
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    this.value = {
+      macd,
+      signal,
+      histogram: signal === null ? null : macd - signal
+    };
+    return this.value;
+  }
+}
+
+class BollingerBands {
+  constructor({ period = 20, stdDev = 2 } = {}) {
+    this.period = period;
+    this.stdDev = stdDev;
+    this.window = [];
+    this.value = null;
+  }
+
+  update(candle) {
+    this.window.push(candle.close);
+    if (this.window.length > this.period) this.window.shift();
+    if (this.window.length < this.period) return this.value;
+
+    const middle = this.window.reduce((sum, value) => sum + value, 0) / this.period;
+    const variance = this.window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / this.period;
+    const deviation = Math.sqrt(variance) * this.stdDev;
+    const upper = middle + deviation;
+    const lower = middle - deviation;
+
+    this.value = {
+      upper,
+      middle,
+      lower,
+      bandwidth: middle !== 0 ? (upper - lower) / middle : 0,
+      // Position i båndet: 0 = nedre bånd, 1 = øvre bånd
+      percentB: upper !== lower ? (candle.close - lower) / (upper - lower) : 0.5
+    };
+    return this.value;
+  }
+}
+
+function trueRange(candle, previousClose) {
+  if (previousClose === null) return candle.high - candle.low;
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - previousClose),
+    Math.abs(candle.low - previousClose)
+  );
+}
+
+class ATR {
+  constructor(period = 14) {
+    this.average = new WilderAverage(period);
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  update(candle) {
+    this.value = this.average.update(trueRange(candle, this.previousClose));
+    this.previousClose = candle.close;
+    return this.value;
+  }
+}
+
+// VWAP forankret til UTC døgnet - nulstilles ved hver ny dag
+class VWAP {
+  constructor() {
+    this.session = null;
+    this.cumulativePV = 0;
+    this.cumulativeVolume = 0;
+    this.value = null;
+  }
+
+  update(candle) {
+    const session = candle.openTime !== undefined ? Math.floor(candle.openTime / 86400000) : this.session;
+    if (session !== this.session) {
+      this.session = session;
+      this.cumulativePV = 0;
+      this.cumulativeVolume = 0;
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const volume = candle.volume || 0;
+    this.cumulativePV += typical * volume;
+    this.cumulativeVolume += volume;
+
+    this.value = this.cumulativeVolume > 0 ? this.cumulativePV / this.cumulativeVolume : typical;
+    return this.value;
+  }
+}
+
+class OBV {
+  constructor() {
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  update(candle) {
+    const volume = candle.volume || 0;
+    if (this.previousClose === null) {
+      this.value = 0;
+    } else if (candle.close > this.previousClose) {
+      this.value += volume;
+    } else if (candle.close < this.previousClose) {
+      this.value -= volume;
+    }
+    this.previousClose = candle.close;
+    return this.value;
+  }
+}
+
+/**
+ * ADX med +DI/-DI (Wilder). Klar efter 2 × period candles.
+ */
+class ADX {
+  constructor(period = 14) {
+    this.period = period;
+    this.previous = null;
+    this.trSum = null;
+    this.plusSum = null;
+    this.minusSum = null;
+    this.seedCount = 0;
+    this.adx = new WilderAverage(period);
+    this.value = null;
+  }
+
+  // Wilder summer: første værdi er summen af period værdier
+  smooth(sum, value) {
+    return sum - sum / this.period + value;
+  }
+
+  update(candle) {
+    if (this.previous === null) {
+      this.previous = candle;
+      return this.value;
+    }
+
+    const upMove = candle.high - this.previous.high;
+    const downMove = this.previous.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const tr = trueRange(candle, this.previous.close);
+    this.previous = candle;
+
+    if (this.seedCount < this.period) {
+      this.trSum = (this.trSum || 0) + tr;
+      this.plusSum = (this.plusSum || 0) + plusDM;
+      this.minusSum = (this.minusSum || 0) + minusDM;
+      this.seedCount++;
+      if (this.seedCount < this.period) return this.value;
+    } else {
+      this.trSum = this.smooth(this.trSum, tr);
+      this.plusSum = this.smooth(this.plusSum, plusDM);
+      this.minusSum = this.smooth(this.minusSum, minusDM);
+    }
+
+    const plusDI = this.trSum > 0 ? 100 * this.plusSum / this.trSum : 0;
+    const minusDI = this.trSum > 0 ? 100 * this.minusSum / this.trSum : 0;
+    const dx = plusDI + minusDI > 0 ? 100 * Math.abs(plusDI - minusDI) / (plusDI + minusDI) : 0;
+    const adx = this.adx.update(dx);
+
+    if (adx !== null) {
+      this.value = { adx, plusDI, minusDI };
+    }
+    return this.value;
+  }
+}
+
+class Stochastic {
+  constructor({ period = 14, smooth = 3 } = {}) {
+    this.period = period;
+    this.window = [];
+    this.d = new SMA(smooth);
+    this.value = null;
+  }
+
+  update(candle) {
+    this.window.push(candle);
+    if (this.window.length > this.period) this.window.shift();
+    if (this.window.length < this.period) return this.value;
+
+    const highest = Math.max(...this.window.map(bar => bar.high));
+    const lowest = Math.min(...this.window.map(bar => bar.low));
+    const k = highest !== lowest ? 100 * (candle.close - lowest) / (highest - lowest) : 50;
+
+    this.value = { k, d: this.d.update(k) };
+    return this.value;
+  }
+}
+
+const DEFAULT_PERIODS = {
+  sma: 20,
+  ema: 50,
+  rsi: 14,
+  macd: { fast: 12, slow: 26, signal: 9 },
+  bollinger: { period: 20, stdDev: 2 },
+  atr: 14,
+  adx: 14,
+  stochastic: { period: 14, smooth: 3 }
+};
+
+/**
+ * Alle indikatorer for én serie (exchange, symbol, timeframe)
+ */
+class IndicatorSet {
+  constructor(periods = {}) {
+    this.periods = { ...DEFAULT_PERIODS, ...periods };
+    this.indicators = {
+      sma: new SMA(this.periods.sma),
+      ema: new EMA(this.periods.ema),
+      rsi: new RSI(this.periods.rsi),
+      macd: new MACD(this.periods.macd),
+      bollinger: new BollingerBands(this.periods.bollinger),
+      atr: new ATR(this.periods.atr),
+      vwap: new VWAP(),
+      obv: new OBV(),
+      adx: new ADX(this.periods.adx),
+      stochastic: new Stochastic(this.periods.stochastic)
+    };
+    this.lastOpenTime = null;
+    this.count = 0;
+    this.latest = null;
+  }
+
+  /**
+   * Candles med openTime ældre end eller lig den sidste ignoreres (samme candle to gange)
+   */
+  update(candle) {
+    if (candle.openTime !== undefined && this.lastOpenTime !== null && candle.openTime <= this.lastOpenTime) {
+      return this.latest;
+    }
+
+    const bar = {
+      openTime: candle.openTime,
+      open: parseFloat(candle.open !== undefined ? candle.open : candle.close),
+      high: parseFloat(candle.high !== undefined ? candle.high : candle.close),
+      low: parseFloat(candle.low !== undefined ? candle.low : candle.close),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume) || 0
+    };
+
+    const previousObv = this.indicators.obv.value;
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      indicator.update(name === 'sma' || name === 'ema' ? bar.close : bar);
+    }
+
+    this.lastOpenTime = candle.openTime !== undefined ? candle.openTime : this.lastOpenTime;
+    this.count++;
+    this.latest = this.snapshot(bar, previousObv);
+    return this.latest;
+  }
+
+  snapshot(bar, previousObv) {
+    const values = {};
+    for (const [name, indicator] of Object.entries(this.indicators)) {
+      values[name] = indicator.value;
+    }
+
+    return {
+      openTime: bar.openTime,
+      close: bar.close,
+      ...values,
+      obvChange: previousObv === null ? 0 : values.obv - previousObv
+    };
+  }
+}
+
+/**
+ * Kør en række candles igennem et nyt IndicatorSet - én snapshot per candle
+ */
+function calculateSeries(candles, periods = {}) {
+  const set = new IndicatorSet(periods);
+  return candles.map(candle => set.update(candle));
+}
+
+/**
+ * Samlet bullish/bearish vurdering af en snapshot til agenterne
+ */
+function summarize(snapshot) {
+  if (!snapshot) {
+    return { bias: 'NEUTRAL', score: 0, signals: [] };
+  }
+
+  const signals = [];
+  if (snapshot.rsi !== null) {
+    if (snapshot.rsi < 30) signals.push({ indicator: 'rsi', score: 1, reason: `RSI oversold at ${snapshot.rsi.toFixed(1)}` });
+    if (snapshot.rsi > 70) signals.push({ indicator: 'rsi', score: -1, reason: `RSI overbought at ${snapshot.rsi.toFixed(1)}` });
+  }
+  if (snapshot.macd && snapshot.macd.histogram !== null) {
+    const bullish = snapshot.macd.histogram > 0;
+    signals.push({ indicator: 'macd', score: bullish ? 0.5 : -0.5, reason: `MACD histogram ${bullish ? 'above' : 'below'} zero` });
+  }
+  if (snapshot.bollinger) {
+    if (snapshot.bollinger.percentB < 0) signals.push({ indicator: 'bollinger', score: 0.5, reason: 'Price below lower Bollinger band' });
+    if (snapshot.bollinger.percentB > 1) signals.push({ indicator: 'bollinger', score: -0.5, reason: 'Price above upper Bollinger band' });
+  }
+  if (snapshot.adx && snapshot.adx.adx >= 25) {
+    const up = snapshot.adx.plusDI > snapshot.adx.minusDI;
+    signals.push({ indicator: 'adx', score: up ? 1 : -1, reason: `Strong ${up ? 'up' : 'down'}trend (ADX ${snapshot.adx.adx.toFixed(1)})` });
+  }
+  if (snapshot.stochastic && snapshot.stochastic.d !== null) {
+    if (snapshot.stochastic.k < 20 && snapshot.stochastic.k > snapshot.stochastic.d) {
+      signals.push({ indicator: 'stochastic', score: 0.5, reason: 'Stochastic turning up from oversold' });
+    }
+    if (snapshot.stochastic.k > 80 && snapshot.stochastic.k < snapshot.stochastic.d) {
+      signals.push({ indicator: 'stochastic', score: -0.5, reason: 'Stochastic turning down from overbought' });
+    }
+  }
+
+  const score = signals.reduce((sum, signal) => sum + signal.score, 0);
+  return {
+    bias: score >= 1 ? 'BULLISH' : score <= -1 ? 'BEARISH' : 'NEUTRAL',
+    score,
+    signals
+  };
+}
+
+module.exports = {
+  SMA,
+  EMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  VWAP,
+  OBV,
+  ADX,
+  Stochastic,
+  IndicatorSet,
+  DEFAULT_PERIODS,
+  calculateSeries,
+  summarize
+};
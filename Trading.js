@@ -55,6 +55,22 @@ import { useWebSocket } from '../contexts/WebSocketContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+const ORDER_STATUS_LABELS = {
+  new: 'Ny',
+  partially_filled: 'Delvist udført',
+  filled: 'Udført',
+  cancelled: 'Annulleret',
+  rejected: 'Afvist'
+};
+
+const ORDER_STATUS_COLORS = {
+  new: 'info',
+  partially_filled: 'warning',
+  filled: 'success',
+  cancelled: 'default',
+  rejected: 'error'
+};
+
 const Trading = () => {
   const { marketData, portfolio, isConnected } = useWebSocket();
   const [selectedSymbol, setSelectedSymbol] = useState('BTC/USDT');
@@ -69,15 +85,22 @@ const Trading = () => {
   const [blackSwanDialogOpen, setBlackSwanDialogOpen] = useState(false);
   const [blackSwanScenarios, setBlackSwanScenarios] = useState([]);
   const [priceHistory, setPriceHistory] = useState([]);
+  const [timeframe, setTimeframe] = useState('5m');
 
   // Fetch orders and positions
   useEffect(() => {
     fetchOrders();
     fetchPositions();
     fetchBlackSwanScenarios();
-    generatePriceHistory();
   }, []);
 
+  // Candles hentes igen ved skift af symbol/timeframe og opdateres løbende
+  useEffect(() => {
+    fetchPriceHistory();
+    const interval = setInterval(fetchPriceHistory, 15000);
+    return () => clearInterval(interval);
+  }, [selectedSymbol, timeframe]);
+
   const fetchOrders = async () => {
     try {
       const response = await axios.get('/api/trading/orders');
@@ -105,24 +128,26 @@ const Trading = () => {
     }
   };
 
-  const generatePriceHistory = () => {
-    const history = [];
-    let basePrice = 45000;
-    const now = new Date();
-    
-    for (let i = 99; i >= 0; i--) {
-      const time = new Date(now.getTime() - i * 5 * 60 * 1000); // 5-minute intervals
-      const change = (Math.random() - 0.5) * 0.02;
-      basePrice *= (1 + change);
-      
-      history.push({
-        time: time.toLocaleTimeString('da-DK', { hour: '2-digit', minute: '2-digit' }),
-        price: basePrice,
-        timestamp: time
+  const fetchPriceHistory = async () => {
+    try {
+      const response = await axios.get('/api/market/candles', {
+        params: { symbol: selectedSymbol, timeframe, limit: 100 }
       });
+      const intraday = !['1d'].includes(timeframe);
+
+      setPriceHistory((response.data.candles || []).map(candle => {
+        const time = new Date(candle.openTime);
+        return {
+          time: intraday
+            ? time.toLocaleTimeString('da-DK', { hour: '2-digit', minute: '2-digit' })
+            : time.toLocaleDateString('da-DK', { day: '2-digit', month: '2-digit' }),
+          price: candle.close,
+          timestamp: time
+        };
+      }));
+    } catch (error) {
+      console.error('Failed to fetch candles:', error);
     }
-    
-    setPriceHistory(history);
   };
 
   const executeOrder = async () => {
@@ -151,6 +176,7 @@ const Trading = () => {
         fetchPositions();
       } else {
         toast.error(response.data.error || 'Ordre fejlede');
+        fetchOrders();
       }
     } catch (error) {
       toast.error(error.response?.data?.error || 'Ordre fejlede');
@@ -260,6 +286,16 @@ const Trading = () => {
                       ))}
                     </Select>
                   </FormControl>
+                  <FormControl size="small" sx={{ minWidth: 80 }}>
+                    <Select
+                      value={timeframe}
+                      onChange={(e) => setTimeframe(e.target.value)}
+                    >
+                      {['1m', '5m', '15m', '1h', '4h', '1d'].map((tf) => (
+                        <MenuItem key={tf} value={tf}>{tf}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                 </Box>
               </Box>
               
@@ -268,7 +304,7 @@ const Trading = () => {
                   <LineChart data={priceHistory}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                     <XAxis dataKey="time" stroke="#9CA3AF" />
-                    <YAxis stroke="#9CA3AF" domain={['dataMin - 1000', 'dataMax + 1000']} />
+                    <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} />
                     <Tooltip 
                       contentStyle={{ 
                         backgroundColor: '#1F2937', 
@@ -466,8 +502,8 @@ const Trading = () => {
                         <TableCell>Symbol</TableCell>
                         <TableCell>Type</TableCell>
                         <TableCell>Side</TableCell>
-                        <TableCell align="right">Mængde</TableCell>
-                        <TableCell align="right">Pris</TableCell>
+                        <TableCell align="right">Udført / Mængde</TableCell>
+                        <TableCell align="right">Gns. Pris</TableCell>
                         <TableCell>Status</TableCell>
                       </TableRow>
                     </TableHead>
@@ -486,13 +522,18 @@ const Trading = () => {
                               size="small"
                             />
                           </TableCell>
-                          <TableCell align="right">{order.amount}</TableCell>
-                          <TableCell align="right">${order.price?.toLocaleString()}</TableCell>
+                          <TableCell align="right">
+                            {order.filledAmount ?? 0} / {order.amount}
+                          </TableCell>
+                          <TableCell align="right">
+                            ${(order.averagePrice || order.price || 0).toLocaleString()}
+                          </TableCell>
                           <TableCell>
                             <Chip 
-                              label={order.status || 'Filled'} 
-                              color="success"
+                              label={ORDER_STATUS_LABELS[order.status] || order.status} 
+                              color={ORDER_STATUS_COLORS[order.status] || 'default'}
                               size="small"
+                              title={order.rejectReason || ''}
                             />
                           </TableCell>
                         </TableRow>
@@ -0,0 +1,313 @@
+/**
+ * TradingGym - Gym-agtigt miljø (reset/step/render) over historiske candles til offline RL træning
+ * Candles deles kronologisk i train, validation og test, så agenten vurderes på perioder den ikke
+ * har trænet på. Hvert step går gennem ReinforcementLearningEngine.step - samme ordre-simulering,
+ * transaktionsomkostninger og calculateAdvancedReward som live - og episoder kan seedes.
+ * Med flere symboler i engine universet afspilles candles på fælles tidsstempler.
+ * Den live risk gate springes over i gym steps: porteføljen er simuleret, ikke kontoens.
+ */
+
+const QuantitativeEngine = require('./QuantitativeEngine');
+const NeuralNetwork = require('./NeuralNetwork');
+
+const SPLITS = ['train', 'validation', 'test'];
+
+// Kronologisk andel af candles når der ikke er angivet datoer
+const DEFAULT_SPLITS = { train: 0.7, validation: 0.15, test: 0.15 };
+
+// Candles bag volatiliteten i markedsdata (20 afkast)
+const VOLATILITY_WINDOW = 21;
+
+class TradingGym {
+  constructor({ engine, candles, splits = DEFAULT_SPLITS, episodeLength = null, seed = null, quantEngine = null }) {
+    if (!engine) {
+      throw new Error('TradingGym requires a ReinforcementLearningEngine');
+    }
+
+    this.engine = engine;
+    this.symbols = engine.environment.universe;
+    this.symbol = this.symbols[0];
+    this.quantEngine = quantEngine || engine.quantEngine || new QuantitativeEngine();
+    this.bars = TradingGym.alignCandles(candles, this.symbols);
+    this.splits = TradingGym.splitBars(this.bars, splits);
+    this.episodeLength = episodeLength;
+    this.random = NeuralNetwork.createRandom(seed);
+    this.episode = null;
+  }
+
+  /**
+   * Saml candles til bars på fælles tidsstempler: det primære symbols candle plus assets per symbol.
+   * Et array er candles for det første symbol. Tidsstempler hvor et symbol mangler springes over.
+   */
+  static alignCandles(candles, symbols) {
+    const bySymbol = Array.isArray(candles) ? { [symbols[0]]: candles } : candles;
+    const extra = Object.keys(bySymbol).filter(symbol => !symbols.includes(symbol));
+    if (symbols.some(symbol => !Array.isArray(bySymbol[symbol])) || extra.length > 0) {
+      throw TradingGym.gymError(`Candles must cover exactly the universe: ${symbols.join(', ')}`);
+    }
+
+    const series = symbols.map(symbol => new Map(bySymbol[symbol].map(candle => [new Date(candle.timestamp).getTime(), candle])));
+    const times = [...series[0].keys()]
+      .filter(time => series.every(candlesByTime => candlesByTime.has(time)))
+      .sort((a, b) => a - b);
+
+    return times.map(time => {
+      const assets = {};
+      symbols.forEach((symbol, i) => {
+        assets[symbol] = { ...series[i].get(time), timestamp: new Date(time) };
+      });
+      return { ...assets[symbols[0]], assets };
+    });
+  }
+
+  /**
+   * Del candles i train/validation/test - enten med datoer
+   * ({ validationStart, testStart }) eller kronologiske andele ({ train, validation, test })
+   */
+  static splitBars(bars, splits = DEFAULT_SPLITS) {
+    if (splits.validationStart || splits.testStart) {
+      const validationStart = new Date(splits.validationStart || splits.testStart).getTime();
+      const testStart = splits.testStart ? new Date(splits.testStart).getTime() : Infinity;
+      if (isNaN(validationStart) || isNaN(testStart) || testStart < validationStart) {
+        throw TradingGym.gymError('Invalid split dates: validationStart must be a date before testStart');
+      }
+
+      return {
+        train: bars.filter(bar => bar.timestamp.getTime() < validationStart),
+        validation: bars.filter(bar => bar.timestamp.getTime() >= validationStart && bar.timestamp.getTime() < testStart),
+        test: bars.filter(bar => bar.timestamp.getTime() >= testStart)
+      };
+    }
+
+    const ratios = { ...DEFAULT_SPLITS, ...splits };
+    const total = ratios.train + ratios.validation + ratios.test;
+    if (!(total > 0) || SPLITS.some(split => ratios[split] < 0)) {
+      throw TradingGym.gymError('Split ratios must be non-negative and sum to more than 0');
+    }
+
+    const trainEnd = Math.round(bars.length * ratios.train / total);
+    const validationEnd = Math.round(bars.length * (ratios.train + ratios.validation) / total);
+    return {
+      train: bars.slice(0, trainEnd),
+      validation: bars.slice(trainEnd, validationEnd),
+      test: bars.slice(validationEnd)
+    };
+  }
+
+  static gymError(message, code = 'RL_GYM_INVALID_REQUEST') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Start en episode i et split. Med episodeLength vælges et tilfældigt (seedet) vindue,
+   * ellers køres hele splittet. Første candle observeres kun - returnerer start state.
+   */
+  async reset({ split = 'train', seed = null, episodeLength = this.episodeLength } = {}) {
+    const bars = this.splits[split];
+    if (!bars) {
+      throw TradingGym.gymError(`Unknown split: ${split} (expected ${SPLITS.join(', ')})`);
+    }
+    if (bars.length < 2) {
+      throw TradingGym.gymError(`Not enough candles in ${split} split (${bars.length})`);
+    }
+
+    if (seed !== null && seed !== undefined) {
+      this.random = NeuralNetwork.createRandom(seed);
+      this.engine.random = NeuralNetwork.createRandom(seed);
+    }
+
+    let window = bars;
+    if (episodeLength && bars.length > episodeLength + 1) {
+      const offset = Math.floor(this.random() * (bars.length - episodeLength));
+      window = bars.slice(offset, offset + episodeLength + 1);
+    }
+
+    this.engine.resetEpisode();
+    this.engine.environment.symbol = this.symbol;
+    this.episode = {
+      split,
+      seed,
+      bars: window,
+      cursor: 0,
+      done: false,
+      lastAction: null,
+      lastReward: 0,
+      actions: Object.fromEntries(this.engine.environment.actionSpace.map(action => [action, 0])),
+      equity: [this.engine.environment.portfolio.totalValue]
+    };
+
+    const state = await this.engine.updateEnvironmentState(this.marketData(0), null);
+    this.engine.environment.currentState = state;
+    return state;
+  }
+
+  /**
+   * Udfør en action på næste candle: navn eller index i action space, eller målvægte
+   * ({ 'BTC/USDT': 0.3, 'ETH/USDT': 0.5 }) for kontinuerlig position sizing. Returnerer { state, reward, done, info } - info.truncated når data slipper op
+   */
+  async step(action) {
+    if (!this.episode) {
+      throw TradingGym.gymError('Call reset() before step()', 'RL_GYM_NOT_RESET');
+    }
+    if (this.episode.done) {
+      throw TradingGym.gymError('Episode is done - call reset() to start a new one', 'RL_GYM_EPISODE_DONE');
+    }
+
+    const actionSpace = this.engine.environment.actionSpace;
+    const isTargets = action !== null && typeof action === 'object';
+    const name = typeof action === 'number' ? actionSpace[action] : action;
+    if (isTargets) {
+      this.validateTargets(action);
+    } else if (!actionSpace.includes(name)) {
+      throw TradingGym.gymError(`Invalid action: ${action} (expected ${actionSpace.join(', ')} or target weights)`);
+    }
+
+    const episode = this.episode;
+    episode.cursor++;
+    const bar = episode.bars[episode.cursor];
+    const riskEngine = this.engine.riskEngine;
+    this.engine.riskEngine = null;
+    let result;
+    try {
+      result = await this.engine.step(name, this.marketData(episode.cursor));
+    } finally {
+      this.engine.riskEngine = riskEngine;
+    }
+
+    const truncated = episode.cursor >= episode.bars.length - 1;
+    episode.done = result.done || truncated;
+    const label = isTargets ? 'REBALANCE' : name;
+    episode.lastAction = label;
+    episode.lastReward = result.reward;
+    episode.actions[label] = (episode.actions[label] || 0) + 1;
+    episode.equity.push(this.engine.environment.portfolio.totalValue);
+
+    return {
+      state: result.state,
+      reward: result.reward,
+      done: episode.done,
+      info: {
+        ...result.info,
+        rewardBreakdown: result.rewardBreakdown,
+        truncated: truncated && !result.done,
+        split: episode.split,
+        step: episode.cursor,
+        timestamp: bar.timestamp,
+        price: bar.close
+      }
+    };
+  }
+
+  validateTargets(targets) {
+    for (const [symbol, weight] of Object.entries(targets)) {
+      if (!this.symbols.includes(symbol)) {
+        throw TradingGym.gymError(`Invalid action: ${symbol} is not in the universe (${this.symbols.join(', ')})`);
+      }
+      if (typeof weight !== 'number' || !isFinite(weight)) {
+        throw TradingGym.gymError(`Invalid action: target weight for ${symbol} must be a number`);
+      }
+    }
+  }
+
+  /**
+   * Én linje med episodens status (returneres og skrives til konsollen)
+   */
+  render() {
+    if (!this.episode) return '';
+
+    const episode = this.episode;
+    const bar = episode.bars[episode.cursor];
+    const portfolio = this.engine.environment.portfolio;
+    const line = `[${episode.split} ${episode.cursor}/${episode.bars.length - 1}] ${bar.timestamp.toISOString()} ` +
+      `price ${bar.close.toFixed(2)} | action ${episode.lastAction || '-'} | ` +
+      `value $${portfolio.totalValue.toFixed(2)} | leverage ${portfolio.leverage.toFixed(2)} | drawdown ${(portfolio.drawdown * 100).toFixed(2)}% | ` +
+      `reward ${episode.lastReward.toFixed(4)}`;
+
+    console.log(line);
+    return line;
+  }
+
+  // Markedsdata for det primære symbol med alle aktiver under assets
+  marketData(index) {
+    const bars = this.episode.bars;
+    const window = bars.slice(Math.max(0, index - VOLATILITY_WINDOW + 1), index + 1);
+    const assets = {};
+
+    for (const symbol of this.symbols) {
+      const candle = bars[index].assets[symbol];
+      const closes = window.map(bar => bar.assets[symbol].close);
+      const returns = closes.slice(1).map((close, i) => close / closes[i] - 1);
+      assets[symbol] = {
+        price: candle.close,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        volume: candle.volume,
+        volatility: returns.length > 1 ? this.quantEngine.calculateVolatility(returns) : 0
+      };
+    }
+
+    return {
+      symbol: this.symbol,
+      ...assets[this.symbol],
+      timestamp: bars[index].timestamp,
+      assets
+    };
+  }
+
+  performance(equity) {
+    const returns = equity.slice(1).map((value, i) => equity[i] > 0 ? value / equity[i] - 1 : 0);
+    return {
+      totalReturn: (equity[equity.length - 1] - equity[0]) / equity[0],
+      maxDrawdown: this.quantEngine.calculateMaxDrawdown(equity).maxDrawdown,
+      sharpeRatio: this.quantEngine.calculateDailySharpe(returns)
+    };
+  }
+
+  /**
+   * Agentens resultat i den aktuelle episode mod buy-and-hold over de samme candles
+   * (ligevægtet på tværs af universet)
+   */
+  report() {
+    if (!this.episode) return null;
+
+    const episode = this.episode;
+    const bars = episode.bars.slice(0, episode.cursor + 1);
+    const portfolio = this.engine.environment.portfolio;
+    const agent = this.performance(episode.equity);
+    const buyAndHold = this.performance(bars.map(bar =>
+      this.symbols.reduce((sum, symbol) => sum + bar.assets[symbol].close / bars[0].assets[symbol].close, 0) / this.symbols.length
+    ));
+
+    return {
+      split: episode.split,
+      symbol: this.symbol,
+      symbols: this.symbols,
+      seed: episode.seed,
+      period: {
+        start: bars[0].timestamp,
+        end: bars[bars.length - 1].timestamp,
+        bars: bars.length
+      },
+      steps: episode.cursor,
+      agent: {
+        finalValue: portfolio.totalValue,
+        ...agent,
+        leverage: portfolio.leverage,
+        costs: portfolio.totalCosts,
+        trades: portfolio.tradeCount,
+        reward: this.engine.agent.episodeReward
+      },
+      buyAndHold,
+      excessReturn: agent.totalReturn - buyAndHold.totalReturn,
+      actions: { ...episode.actions }
+    };
+  }
+}
+
+TradingGym.SPLITS = SPLITS;
+TradingGym.DEFAULT_SPLITS = DEFAULT_SPLITS;
+
+module.exports = TradingGym;
@@ -6,6 +6,9 @@ const KuCoinExchange = require('./KuCoinExchange');
 const OKXExchange = require('./OKXExchange');
 const CoinbaseExchange = require('./CoinbaseExchange');
 const KrakenExchange = require('./KrakenExchange');
+const PaperExchange = require('./PaperExchange');
+const OrderBook = require('./OrderBook');
+const exchangeConfig = require('../../config/exchange-config');
 
 /**
  * Central Anti-Fragil WebSocket Coordinator
@@ -28,6 +31,14 @@ class WebSocketCoordinator extends EventEmitter {
     // Global ticker aggregation
     this.aggregatedTickers = new Map();
     this.tickerSubscribers = new Set();
+
+    // Seneste ticker per symbol og exchange - aggregatedTickers gemmer kun den nyeste
+    this.exchangeTickers = new Map();
+    this.tickerMaxAge = 30000;
+
+    // Level-2 order books per symbol og exchange - grundlag for den konsoliderede bog
+    this.orderBooks = new Map();
+    this.orderBookMaxAge = 30000;
     
     // Health monitoring
     this.healthCheckInterval = 60000; // 1 minute
@@ -43,27 +54,35 @@ class WebSocketCoordinator extends EventEmitter {
     };
     
     this.initializeExchanges();
-    this.startHealthMonitoring();
   }
 
   initializeExchanges() {
     // Initialize alle exchanges med anti-fragil arkitektur
     const exchangeClasses = [
-      { name: 'Binance', class: BinanceExchange, priority: 1 },
-      { name: 'Crypto.com', class: CryptoComExchange, priority: 2 },
-      { name: 'Bybit', class: BybitExchange, priority: 3 },
-      { name: 'KuCoin', class: KuCoinExchange, priority: 4 },
-      { name: 'OKX', class: OKXExchange, priority: 5 },
-      { name: 'Coinbase', class: CoinbaseExchange, priority: 6 },
-      { name: 'Kraken', class: KrakenExchange, priority: 7 }
+      { name: 'Binance', configKey: 'binance', class: BinanceExchange, priority: 1 },
+      { name: 'Crypto.com', configKey: 'cryptocom', class: CryptoComExchange, priority: 2 },
+      { name: 'Bybit', configKey: 'bybit', class: BybitExchange, priority: 3 },
+      { name: 'KuCoin', configKey: 'kucoin', class: KuCoinExchange, priority: 4 },
+      { name: 'OKX', configKey: 'okx', class: OKXExchange, priority: 5 },
+      { name: 'Coinbase', configKey: 'coinbase', class: CoinbaseExchange, priority: 6 },
+      { name: 'Kraken', configKey: 'kraken', class: KrakenExchange, priority: 7 }
     ];
 
-    exchangeClasses.forEach(({ name, class: ExchangeClass, priority }) => {
+    exchangeClasses.forEach(({ name, configKey, class: ExchangeClass, priority }) => {
       try {
-        const exchange = new ExchangeClass();
+        // Paper mode: rigtig adapter leverer tickers, PaperExchange simulerer ordrer
+        const paper = exchangeConfig.isPaperTrading(configKey);
+        const exchange = paper
+          ? new PaperExchange(name, {
+            priceSource: new ExchangeClass(),
+            initialBalances: exchangeConfig.global.paperBalances
+          })
+          : new ExchangeClass();
         
         this.exchanges.set(name, {
           instance: exchange,
+          configKey,
+          paperTrading: paper,
           priority,
           connected: false,
           lastConnect: null,
@@ -73,7 +92,8 @@ class WebSocketCoordinator extends EventEmitter {
             successfulConnects: 0,
             reconnections: 0,
             lastTicker: null,
-            tickerCount: 0
+            tickerCount: 0,
+            orderBookUpdates: 0
           }
         });
 
@@ -104,6 +124,10 @@ class WebSocketCoordinator extends EventEmitter {
         this.handleTickerUpdate(exchangeName, ticker);
       });
 
+      exchange.wsManager.on('orderbook', (book) => {
+        this.handleOrderBookUpdate(exchangeName, book);
+      });
+
       exchange.wsManager.on('error', (error) => {
         this.handleExchangeError(exchangeName, error);
       });
@@ -119,12 +143,18 @@ class WebSocketCoordinator extends EventEmitter {
         exchange.on('connected', () => this.handleExchangeConnected(exchangeName));
         exchange.on('disconnected', (data) => this.handleExchangeDisconnected(exchangeName, data));
         exchange.on('error', (error) => this.handleExchangeError(exchangeName, error));
+        exchange.on('orderbook', (book) => this.handleOrderBookUpdate(exchangeName, book));
       }
     }
   }
 
   async connectAllExchanges() {
     console.log(`🚀 Starter forbindelse til alle exchanges med anti-fragil arkitektur...`);
+
+    // Health checks starter med forbindelserne - en coordinator der kun er oprettet holder ikke processen i live
+    if (!this.healthTimer) {
+      this.startHealthMonitoring();
+    }
     
     const connectionPromises = [];
     
@@ -244,6 +274,12 @@ class WebSocketCoordinator extends EventEmitter {
 
     // Aggregate ticker data fra multiple exchanges
     const symbol = ticker.symbol;
+    if (!this.exchangeTickers.has(symbol)) {
+      this.exchangeTickers.set(symbol, new Map());
+    }
+    this.exchangeTickers.get(symbol).set(exchangeName, { ...ticker, exchange: exchangeName, receivedAt: Date.now() });
+    this.emit('exchangeTicker', { ...ticker, exchange: exchangeName });
+
     const existingTicker = this.aggregatedTickers.get(symbol);
     
     if (!existingTicker || new Date(ticker.timestamp) > new Date(existingTicker.timestamp)) {
@@ -258,6 +294,113 @@ class WebSocketCoordinator extends EventEmitter {
     }
   }
 
+  handleOrderBookUpdate(exchangeName, book) {
+    const exchangeData = this.exchanges.get(exchangeName);
+    if (exchangeData) {
+      exchangeData.metrics.orderBookUpdates++;
+    }
+
+    if (!this.orderBooks.has(book.symbol)) {
+      this.orderBooks.set(book.symbol, new Map());
+    }
+    this.orderBooks.get(book.symbol).set(exchangeName, book);
+
+    this.emit('orderBookUpdate', { exchange: exchangeName, symbol: book.symbol });
+  }
+
+  // Synkroniserede og friske bøger for et symbol: [[exchange, OrderBook], ...]
+  getActiveOrderBooks(symbol, exchangeName = null) {
+    const books = this.orderBooks.get(symbol);
+    if (!books) return [];
+
+    return Array.from(books.entries()).filter(([name, book]) =>
+      (!exchangeName || name === exchangeName) &&
+      book.synced &&
+      Date.now() - book.updatedAt < this.orderBookMaxAge
+    );
+  }
+
+  /**
+   * REST snapshots for exchanges uden depth stream (eller med forældet bog)
+   */
+  async refreshOrderBooks(symbol, depth = 50) {
+    const active = new Set(this.getActiveOrderBooks(symbol).map(([name]) => name));
+
+    const refreshes = Array.from(this.exchanges.entries())
+      .filter(([name, data]) => data.connected && !active.has(name) &&
+        data.instance.supports && data.instance.supports('getOrderBook'))
+      .map(async ([name, data]) => {
+        try {
+          const snapshot = await data.instance.getOrderBook(symbol, depth);
+          const book = new OrderBook(name, symbol, { maxDepth: depth });
+          book.applySnapshot({ bids: snapshot.bids, asks: snapshot.asks, timestamp: Date.now() });
+          this.handleOrderBookUpdate(name, book);
+        } catch (error) {
+          console.warn(`⚠️ ${name} order book fetch fejl for ${symbol}:`, error.message);
+        }
+      });
+
+    await Promise.allSettled(refreshes);
+  }
+
+  mergeOrderBookLevels(books, sideName, depth) {
+    const levels = new Map();
+
+    for (const [name, book] of books) {
+      const side = sideName === 'bids' ? book.getBids(depth) : book.getAsks(depth);
+      for (const [price, amount] of side) {
+        const level = levels.get(price) || { price, amount: 0, exchanges: {} };
+        level.amount += amount;
+        level.exchanges[name] = amount;
+        levels.set(price, level);
+      }
+    }
+
+    return Array.from(levels.values())
+      .sort((a, b) => sideName === 'bids' ? b.price - a.price : a.price - b.price)
+      .slice(0, depth);
+  }
+
+  /**
+   * Konsolideret bog på tværs af exchanges - hvert niveau viser mængde per exchange
+   */
+  getConsolidatedOrderBook(symbol, depth = 20, exchangeName = null) {
+    const books = this.getActiveOrderBooks(symbol, exchangeName);
+    const bids = this.mergeOrderBookLevels(books, 'bids', depth);
+    const asks = this.mergeOrderBookLevels(books, 'asks', depth);
+
+    return {
+      symbol,
+      exchanges: books.map(([name]) => name),
+      bids,
+      asks,
+      bestBid: bids[0] || null,
+      bestAsk: asks[0] || null,
+      crossed: !!(bids[0] && asks[0] && bids[0].price >= asks[0].price),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Forventet slippage for en market ordre mod den konsoliderede dybde.
+   * size er { amount } eller { notional }. null hvis ingen bog er tilgængelig.
+   */
+  estimateSlippage(symbol, side, size, exchangeName = null) {
+    const books = this.getActiveOrderBooks(symbol, exchangeName);
+    if (books.length === 0) return null;
+
+    const bids = this.mergeOrderBookLevels(books, 'bids', Infinity);
+    const asks = this.mergeOrderBookLevels(books, 'asks', Infinity);
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    const levels = (side.toLowerCase() === 'buy' ? asks : bids).map(level => [level.price, level.amount]);
+    return {
+      symbol,
+      exchanges: books.map(([name]) => name),
+      ...OrderBook.estimateFill(levels, side, size, (bids[0].price + asks[0].price) / 2)
+    };
+  }
+
   checkSystemCircuitBreaker() {
     const connectedExchanges = Array.from(this.exchanges.values())
       .filter(exchange => exchange.connected).length;
@@ -400,6 +543,26 @@ class WebSocketCoordinator extends EventEmitter {
     return null;
   }
 
+  // Friske tickers per exchange: { symbol: { exchange: ticker } }
+  getExchangeTickers(symbol = null) {
+    const result = {};
+    const now = Date.now();
+    const symbols = symbol ? [symbol] : Array.from(this.exchangeTickers.keys());
+
+    for (const sym of symbols) {
+      const tickers = this.exchangeTickers.get(sym);
+      if (!tickers) continue;
+
+      for (const [exchangeName, ticker] of tickers) {
+        if (now - ticker.receivedAt > this.tickerMaxAge) continue;
+        result[sym] = result[sym] || {};
+        result[sym][exchangeName] = ticker;
+      }
+    }
+
+    return result;
+  }
+
   // Få alle tilgængelige tickers
   getAllTickers() {
     const allTickers = {};
@@ -505,6 +668,8 @@ class WebSocketCoordinator extends EventEmitter {
     
     // Clear aggregated data
     this.aggregatedTickers.clear();
+    this.exchangeTickers.clear();
+    this.orderBooks.clear();
     
     console.log(`✅ Alle exchanges afbrudt`);
   }
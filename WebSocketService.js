@@ -2,10 +2,18 @@ const WebSocket = require('ws');
 const AIAgentService = require('./AIAgentService');
 const TradingService = require('./TradingService');
 const SecurityService = require('./SecurityService');
+const PositionManager = require('./PositionManager');
+const KillSwitch = require('./KillSwitch');
+const ExecutionAlgoEngine = require('./ExecutionAlgoEngine');
+const ArbitrageScanner = require('./ArbitrageScanner');
 
 class WebSocketService {
-  constructor(wss) {
+  /**
+   * @param {Object} options.coordinator - WebSocketCoordinator med konsoliderede order books
+   */
+  constructor(wss, { coordinator = null } = {}) {
     this.wss = wss;
+    this.coordinator = coordinator;
     this.clients = new Map();
     this.channels = new Map();
     this.isRunning = false;
@@ -13,6 +21,29 @@ class WebSocketService {
     this.initializeChannels();
     this.setupWebSocketServer();
     this.startDataBroadcasting();
+
+    // Push portfolio straks når en fill ændrer en position
+    PositionManager.on('positionUpdated', () => {
+      this.sendChannelData('portfolio');
+    });
+
+    KillSwitch.on('tripped', state => {
+      this.emergencyBroadcast({ type: 'kill_switch_tripped', severity: 'critical', ...state });
+    });
+
+    KillSwitch.on('rearmed', state => {
+      this.emergencyBroadcast({ type: 'kill_switch_rearmed', severity: 'high', ...state });
+    });
+
+    // Execution algo fremdrift sendes straks til abonnenter
+    ExecutionAlgoEngine.on('progress', algo => {
+      this.publishChannelData('executions', { algo });
+    });
+
+    // Nye arbitrage muligheder pushes med det samme
+    ArbitrageScanner.on('opportunity', opportunity => {
+      this.publishChannelData('arbitrage', { opportunity });
+    });
   }
 
   initializeChannels() {
@@ -24,6 +55,27 @@ class WebSocketService {
       updateInterval: 5000 // 5 seconds
     });
 
+    this.channels.set('orderbook', {
+      name: 'Order Book Depth',
+      subscribers: new Set(),
+      lastUpdate: null,
+      updateInterval: 1000 // 1 second
+    });
+
+    this.channels.set('executions', {
+      name: 'Execution Algos',
+      subscribers: new Set(),
+      lastUpdate: null,
+      updateInterval: 5000 // 5 seconds
+    });
+
+    this.channels.set('arbitrage', {
+      name: 'Arbitrage Opportunities',
+      subscribers: new Set(),
+      lastUpdate: null,
+      updateInterval: 5000 // 5 seconds
+    });
+
     this.channels.set('portfolio', {
       name: 'Portfolio Updates',
       subscribers: new Set(),
@@ -132,7 +184,9 @@ class WebSocketService {
           break;
         
         case 'request_data':
-          this.handleDataRequest(clientId, data);
+          this.handleDataRequest(clientId, data).catch(error => {
+            console.error(`Error handling data request from ${clientId}:`, error);
+          });
           break;
         
         default:
@@ -189,11 +243,11 @@ class WebSocketService {
     }
   }
 
-  handleDataRequest(clientId, data) {
+  async handleDataRequest(clientId, data) {
     // Handle specific data requests
     switch (data.request) {
       case 'portfolio_summary':
-        this.sendPortfolioSummary(clientId);
+        await this.sendPortfolioSummary(clientId);
         break;
       
       case 'ai_status':
@@ -205,7 +259,7 @@ class WebSocketService {
         break;
       
       case 'market_overview':
-        this.sendMarketOverview(clientId);
+        await this.sendMarketOverview(clientId);
         break;
       
       default:
@@ -239,6 +293,21 @@ class WebSocketService {
       this.sendChannelData('market_data');
     }, this.channels.get('market_data').updateInterval);
 
+    // Konsoliderede order books
+    setInterval(() => {
+      this.sendChannelData('orderbook');
+    }, this.channels.get('orderbook').updateInterval);
+
+    // Aktive execution algoer
+    setInterval(() => {
+      this.sendChannelData('executions');
+    }, this.channels.get('executions').updateInterval);
+
+    // Åbne arbitrage muligheder
+    setInterval(() => {
+      this.sendChannelData('arbitrage');
+    }, this.channels.get('arbitrage').updateInterval);
+
     // Portfolio updates
     setInterval(() => {
       this.sendChannelData('portfolio');
@@ -277,6 +346,18 @@ class WebSocketService {
           data = await this.getMarketDataUpdate();
           break;
         
+        case 'orderbook':
+          data = this.getOrderBookUpdate();
+          break;
+        
+        case 'executions':
+          data = this.getExecutionsUpdate();
+          break;
+        
+        case 'arbitrage':
+          data = this.getArbitrageUpdate();
+          break;
+        
         case 'portfolio':
           data = await this.getPortfolioUpdate();
           break;
@@ -297,27 +378,34 @@ class WebSocketService {
           return;
       }
 
-      const message = {
-        type: 'channel_data',
-        channel: channelName,
-        data,
-        timestamp: new Date()
-      };
-
-      // Broadcast to all subscribers
-      for (const clientId of channel.subscribers) {
-        this.sendToClient(clientId, message);
-      }
-
-      channel.lastUpdate = new Date();
+      this.publishChannelData(channelName, data);
 
     } catch (error) {
       console.error(`Error sending ${channelName} data:`, error);
     }
   }
 
+  publishChannelData(channelName, data) {
+    const channel = this.channels.get(channelName);
+    if (!channel || channel.subscribers.size === 0) return;
+
+    const message = {
+      type: 'channel_data',
+      channel: channelName,
+      data,
+      timestamp: new Date()
+    };
+
+    // Broadcast to all subscribers
+    for (const clientId of channel.subscribers) {
+      this.sendToClient(clientId, message);
+    }
+
+    channel.lastUpdate = new Date();
+  }
+
   async getMarketDataUpdate() {
-    const marketData = TradingService.getMarketData();
+    const marketData = await TradingService.getMarketData();
     return {
       symbols: marketData,
       exchangeStatus: TradingService.getExchangeStatus(),
@@ -325,8 +413,44 @@ class WebSocketService {
     };
   }
 
+  getOrderBookUpdate(depth = 10) {
+    const books = {};
+    const coordinator = this.coordinator || TradingService.coordinator;
+    
+    if (coordinator) {
+      for (const symbol of coordinator.orderBooks.keys()) {
+        books[symbol] = coordinator.getConsolidatedOrderBook(symbol, depth);
+      }
+    }
+    
+    return {
+      books,
+      timestamp: new Date()
+    };
+  }
+
+  getExecutionsUpdate() {
+    return {
+      algos: ExecutionAlgoEngine.getActiveAlgos(),
+      timestamp: new Date()
+    };
+  }
+
+  getArbitrageUpdate() {
+    return {
+      opportunities: ArbitrageScanner.getOpportunities({ limit: 20 }),
+      stats: ArbitrageScanner.getStats(),
+      timestamp: new Date()
+    };
+  }
+
   async getPortfolioUpdate() {
-    return TradingService.getPortfolioSummary();
+    const summary = await TradingService.getPortfolioSummary();
+    return {
+      ...summary,
+      positions: PositionManager.getPositions(),
+      pnl: PositionManager.getPortfolioPnL()
+    };
   }
 
   async getAIDecisionsUpdate() {
@@ -382,8 +506,8 @@ class WebSocketService {
     }
   }
 
-  sendPortfolioSummary(clientId) {
-    const summary = TradingService.getPortfolioSummary();
+  async sendPortfolioSummary(clientId) {
+    const summary = await TradingService.getPortfolioSummary();
     this.sendToClient(clientId, {
       type: 'portfolio_summary',
       data: summary,
@@ -414,9 +538,9 @@ class WebSocketService {
     });
   }
 
-  sendMarketOverview(clientId) {
+  async sendMarketOverview(clientId) {
     const overview = {
-      marketData: TradingService.getMarketData(),
+      marketData: await TradingService.getMarketData(),
       exchanges: TradingService.getExchangeStatus()
     };
     
@@ -2,6 +2,8 @@ const express = require('express');
 const { authenticateToken } = require('./auth');
 const AIAgentService = require('../services/AIAgentService');
 const SecurityService = require('../services/SecurityService');
+const ReinforcementLearningEngine = require('../services/ReinforcementLearningEngine');
+const MasterAgentSystem = require('../services/MasterAgentSystem');
 
 const router = express.Router();
 
@@ -156,6 +158,14 @@ router.get('/performance', async (req, res) => {
       }))
     };
 
+    // Lærte master agent vægte per regime med forward-return attribution og historik
+    performance.agentWeighting = await MasterAgentSystem.readPerformance({
+      historyLimit: parseInt(req.query.history) || 200
+    });
+
+    // Master vetoes og downsizes per reason over de seneste cyklusser
+    performance.masterOverrides = await MasterAgentSystem.readOverrideMetrics();
+
     res.json({
       success: true,
       performance
@@ -168,6 +178,72 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+// Master agent orchestration cycles (audit log), newest first
+router.get('/master-cycles', async (req, res) => {
+  try {
+    const cycles = await MasterAgentSystem.listDecisionCycles({
+      symbol: req.query.symbol || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      cycles
+    });
+  } catch (error) {
+    console.error('Master cycles fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch master agent cycles'
+    });
+  }
+});
+
+// Replay a recorded cycle - consensus recomputed from the recorded agent decisions
+router.get('/master-cycles/:cycleId', async (req, res) => {
+  try {
+    const cycle = await MasterAgentSystem.replayDecisionCycle(req.params.cycleId);
+
+    if (!cycle) {
+      return res.status(404).json({
+        error: 'Cycle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      cycle
+    });
+  } catch (error) {
+    console.error('Master cycle replay error:', error);
+    res.status(500).json({
+      error: 'Failed to replay master agent cycle'
+    });
+  }
+});
+
+// Diff two recorded cycles
+router.get('/master-cycles/:cycleId/diff/:otherCycleId', async (req, res) => {
+  try {
+    const diff = await MasterAgentSystem.diffDecisionCycles(req.params.cycleId, req.params.otherCycleId);
+
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Cycle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    console.error('Master cycle diff error:', error);
+    res.status(500).json({
+      error: 'Failed to diff master agent cycles'
+    });
+  }
+});
+
 // Manual trigger for AI decision cycle (admin only)
 router.post('/trigger-decision-cycle', async (req, res) => {
   try {
@@ -351,6 +427,18 @@ router.get('/learning-progress', async (req, res) => {
       }))
     };
 
+    // Learning curve fra den senest gemte DQN model (null før første træning)
+    const rl = await ReinforcementLearningEngine.readProgress();
+    learningProgress.reinforcementLearning = rl && {
+      savedAt: rl.savedAt,
+      episodes: rl.episodeCount,
+      trainingSteps: rl.trainingSteps,
+      lastLoss: rl.lastLoss,
+      epsilon: rl.epsilon,
+      learningCurve: rl.learningCurve.slice(-(parseInt(req.query.episodes) || 100)),
+      evaluation: rl.evaluation
+    };
+
     res.json({
       success: true,
       learningProgress
@@ -3,6 +3,7 @@ const { authenticateToken } = require('./auth');
 const TradingService = require('../services/TradingService');
 const AIAgentService = require('../services/AIAgentService');
 const DatabaseService = require('../services/DatabaseService');
+const OrderLedger = require('../services/OrderLedger');
 
 const router = express.Router();
 
@@ -12,7 +13,7 @@ router.use(authenticateToken);
 // Get overall system analytics
 router.get('/overview', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
+    const portfolio = await TradingService.getPortfolioSummary();
     const agents = AIAgentService.getAgentStatus();
     const decisions = AIAgentService.getDecisionHistory(100);
     
@@ -72,7 +73,7 @@ router.get('/performance', async (req, res) => {
 // Get risk analytics
 router.get('/risk', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
+    const portfolio = await TradingService.getPortfolioSummary();
     
     const riskMetrics = {
       portfolioRisk: {
@@ -148,7 +149,7 @@ router.get('/ai', async (req, res) => {
 // Get market analytics
 router.get('/market', async (req, res) => {
   try {
-    const marketData = TradingService.getMarketData();
+    const marketData = await TradingService.getMarketData();
     const exchanges = TradingService.getExchangeStatus();
     
     const marketAnalytics = {
@@ -190,15 +191,18 @@ router.get('/market', async (req, res) => {
 // Get trading analytics
 router.get('/trading', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
-    const orders = TradingService.getOrderBook();
+    const portfolio = await TradingService.getPortfolioSummary();
+    const executionStats = await OrderLedger.getExecutionStats();
     
     const tradingAnalytics = {
       executionMetrics: {
-        totalTrades: orders.length,
-        avgExecutionTime: calculateAvgExecutionTime(orders),
-        slippage: calculateAvgSlippage(orders),
-        fillRate: calculateFillRate(orders)
+        totalTrades: executionStats.filled + executionStats.partiallyFilled,
+        totalOrders: executionStats.totalOrders,
+        avgExecutionTime: executionStats.avgExecutionTime,
+        slippage: executionStats.avgSlippage,
+        fillRate: executionStats.fillRate,
+        rejected: executionStats.rejected,
+        totalFees: executionStats.totalFees
       },
       positionAnalytics: {
         totalPositions: portfolio.positions.length,
@@ -397,18 +401,6 @@ function calculateAssetCorrelations(marketData) {
   }));
 }
 
-function calculateAvgExecutionTime(orders) {
-  return 0.15 + Math.random() * 0.1; // 150-250ms
-}
-
-function calculateAvgSlippage(orders) {
-  return 0.001 + Math.random() * 0.002; // 0.1-0.3%
-}
-
-function calculateFillRate(orders) {
-  return 98 + Math.random() * 2; // 98-100%
-}
-
 function calculateAvgHoldTime(positions) {
   return 4.7 + Math.random() * 2; // 4.7-6.7 hours average
 }
@@ -5,6 +5,7 @@
  */
 
 const APIKeyManager = require('./server/services/APIKeyManager');
+const exchangeConfig = require('./config/exchange-config');
 const readline = require('readline');
 
 class APIManagerCLI {
@@ -182,9 +183,27 @@ class APIManagerCLI {
             });
         }
         
+        this.showConfiguredExchanges();
         console.log('');
     }
 
+    showConfiguredExchanges() {
+        // Exchanges som ExchangeManager starter ud fra environment variabler
+        console.log('\n🔌 EXCHANGE CONFIG (environment):');
+        
+        Object.entries(exchangeConfig)
+            .filter(([name, config]) => name !== 'global' && config && typeof config === 'object')
+            .forEach(([name, config]) => {
+                const validation = exchangeConfig.validateExchangeConfig(name, config);
+                const details = validation.missing || validation.invalid;
+                const state = validation.valid
+                    ? (validation.paper ? '📝 Paper trading' : '✅ Ready')
+                    : `⚠️ ${validation.reason}${details ? ` (${details.join(', ')})` : ''}`;
+                
+                console.log(`  ${name.padEnd(10)} ${state}`);
+            });
+    }
+
     async manageSettings() {
         console.log('\n⚙️ TRADING SETTINGS MANAGEMENT:\n');
         
@@ -9,6 +9,7 @@ process.env.CRYPTOCOM_API_SECRET = process.env.CRYPTOCOM_API_SECRET || 'cxakp_sk
 
 // Import Exchange Manager
 const ExchangeManager = require('./server/services/ExchangeManager');
+const StrategyEngine = require('./server/services/StrategyEngine');
 
 // Initialize Exchange Manager
 let exchangeManager = null;
@@ -90,169 +91,111 @@ let tradingHistory = []; // Will contain real trades when AI executes them
 
 // Trading Loop Management
 let tradingLoopInterval = null;
-let lastTradeTime = 0;
-const TRADE_COOLDOWN = 60000; // 1 minute between trades
+const DEFAULT_STRATEGY_CAPITAL = parseFloat(process.env.STRATEGY_DEFAULT_CAPITAL) || 75; // USDT per strategi
 
-// Trading Logic
+// Strategierne afgiver ordrer direkte på primary exchange - market ordrer regnes som fyldt
+const strategyExecutor = {
+  async executeOrder({ symbol, side, amount, type, price }) {
+    if (!primaryExchange || !primaryExchange.isConnected()) {
+      return { success: false, error: 'No connected exchange' };
+    }
+
+    const orderResult = await primaryExchange.createOrder({
+      symbol,
+      side: side.toUpperCase(),
+      amount,
+      type: type.toUpperCase(),
+      ...(price && { price })
+    });
+    console.log('✅ Trade executed successfully:', orderResult);
+
+    return {
+      success: true,
+      order: {
+        id: String(orderResult.orderId || Date.now()),
+        symbol,
+        side,
+        amount,
+        filledAmount: type === 'market' ? amount : 0,
+        averagePrice: parseFloat(orderResult.price) || null,
+        fees: 0,
+        status: type === 'market' ? 'filled' : 'open'
+      }
+    };
+  }
+};
+
+// Ordrer og fills fra strategierne føres i historikken og statistikken
+StrategyEngine.on('order', ({ strategy, signal, success, order, price, error }) => {
+  if (!success) {
+    console.error(`❌ ${strategy} ${signal.side} ${signal.symbol} failed:`, error);
+    tradingHistory.unshift({
+      id: Date.now().toString(),
+      timestamp: new Date().toISOString(),
+      symbol: signal.symbol,
+      side: (signal.side || '').toUpperCase(),
+      status: 'failed',
+      error,
+      reason: signal.reason,
+      strategy
+    });
+    return;
+  }
+
+  tradingHistory.unshift({
+    id: Date.now().toString(),
+    timestamp: new Date().toISOString(),
+    symbol: order.symbol,
+    side: order.side.toUpperCase(),
+    amount: order.amount,
+    price: order.averagePrice || price,
+    value: order.amount * (order.averagePrice || price),
+    status: order.status === 'filled' ? 'completed' : order.status,
+    reason: signal.reason,
+    strategy,
+    orderId: order.id
+  });
+
+  autoTradingConfig.stats.totalTrades++;
+  autoTradingConfig.stats.todayTrades++;
+  autoTradingConfig.stats.lastTradeTime = new Date().toISOString();
+  autoTradingConfig.stats.winRate = (autoTradingConfig.stats.successfulTrades / autoTradingConfig.stats.totalTrades) * 100;
+});
+
+StrategyEngine.on('fill', fill => {
+  if (fill.side.toLowerCase() !== 'sell') return;
+
+  autoTradingConfig.stats.totalProfit += fill.realizedPnl;
+  autoTradingConfig.stats.dailyProfit += fill.realizedPnl;
+  if (fill.realizedPnl > 0) {
+    autoTradingConfig.stats.successfulTrades++;
+  }
+  autoTradingConfig.stats.winRate = (autoTradingConfig.stats.successfulTrades / Math.max(1, autoTradingConfig.stats.totalTrades)) * 100;
+  console.log(`📈 Stats updated: ${autoTradingConfig.stats.totalTrades} trades, $${autoTradingConfig.stats.totalProfit.toFixed(2)} profit`);
+});
+
+// Trading Logic - tickers for de kørende strategiers symboler sendes til StrategyEngine
 async function executeTradingLoop() {
   if (!autoTradingConfig.active || !primaryExchange || !primaryExchange.isConnected()) {
     return;
   }
 
-  const now = Date.now();
-  if (now - lastTradeTime < TRADE_COOLDOWN) {
-    return; // Still in cooldown
-  }
+  const running = StrategyEngine.listStrategies().filter(strategy => strategy.running);
+  const symbols = [...new Set(running.flatMap(strategy => strategy.symbols))];
 
   try {
-    console.log(`🤖 Executing trading analysis...`);
-    console.log(`📊 Current Strategy: "${autoTradingConfig.strategy}"`);
-    console.log(`📊 Daily Trades: ${autoTradingConfig.stats.todayTrades}/${autoTradingConfig.maxDailyTrades}`);
-    
-    // Get market data for decision making
-    const ticker = await primaryExchange.getTicker('BTC/USDT');
-    if (!ticker) {
-      console.log('⚠️ No market data available for trading decision');
-      return;
-    }
+    console.log(`🤖 Executing trading analysis for ${running.map(strategy => strategy.name).join(', ')}...`);
 
-    const currentPrice = parseFloat(ticker.price);
-    const changePercent = parseFloat(ticker.changePercent || 0);
-    
-    console.log(`📊 BTC/USDT: $${currentPrice} (${changePercent.toFixed(2)}%)`);
-    
-    // Simple trading strategy based on price movement
-    let shouldTrade = false;
-    let tradeSide = null;
-    let tradeReason = '';
-
-    // Conservative strategy: small trades based on trend
-    if (autoTradingConfig.strategy === 'conservative') {
-      if (changePercent < -2) {
-        shouldTrade = true;
-        tradeSide = 'BUY';
-        tradeReason = `Price down ${changePercent.toFixed(2)}% - buying opportunity`;
-      } else if (changePercent > 3) {
-        shouldTrade = true;
-        tradeSide = 'SELL';
-        tradeReason = `Price up ${changePercent.toFixed(2)}% - taking profit`;
-      }
-    }
-    
-    // Moderate strategy: more frequent but small trades
-    else if (autoTradingConfig.strategy === 'moderate') {
-      if (changePercent < -1.5) {
-        shouldTrade = true;
-        tradeSide = 'BUY';
-        tradeReason = `Moderate dip ${changePercent.toFixed(2)}% - buying`;
-      } else if (changePercent > 2) {
-        shouldTrade = true;
-        tradeSide = 'SELL';
-        tradeReason = `Moderate gain ${changePercent.toFixed(2)}% - selling`;
-      }
-    }
-    
-    // Aggressive strategy: KALIBRERET TIL DIN FAKTISKE BALANCE (0.00033300 BTC + $75.02 USDT)
-    else if (autoTradingConfig.strategy === 'aggressive' || autoTradingConfig.strategy === 'aggressiv') {
-      if (changePercent < -0.2) {
-        shouldTrade = true;
-        tradeSide = 'BUY';
-        tradeReason = `Dip ${changePercent.toFixed(2)}% - buy opportunity`;
-      } else if (changePercent > 0.5) {
-        shouldTrade = true;
-        tradeSide = 'SELL';
-        tradeReason = `Gain ${changePercent.toFixed(2)}% - take profit`;
+    for (const symbol of symbols) {
+      const ticker = await primaryExchange.getTicker(symbol);
+      if (!ticker) {
+        console.log(`⚠️ No market data for ${symbol}`);
+        continue;
       }
-    }
 
-    // Check daily trade limit
-    if (shouldTrade && autoTradingConfig.stats.todayTrades >= autoTradingConfig.maxDailyTrades) {
-      console.log(`🛑 Daily trade limit reached (${autoTradingConfig.maxDailyTrades})`);
-      shouldTrade = false;
+      console.log(`📊 ${symbol}: $${ticker.price} (${parseFloat(ticker.changePercent || 0).toFixed(2)}%)`);
+      await StrategyEngine.handleTick({ ...ticker, symbol });
     }
-
-    if (shouldTrade) {
-      // ACCURATE trade sizes based on REAL balance: 0.00033300 BTC + $75.02 USDT
-      let tradeAmount;
-      if (tradeSide === 'BUY') {
-        tradeAmount = 5; // $5 USDT per trade (you have $75.02)
-        console.log(`🎯 EXECUTING TRADE: ${tradeSide} $${tradeAmount} USDT worth of BTC`);
-      } else {
-        tradeAmount = 0.0001; // 0.0001 BTC (you have 0.00033300 BTC - safe amount)
-        console.log(`🎯 EXECUTING TRADE: ${tradeSide} ${tradeAmount} BTC/USDT`);
-      }
-      
-      console.log(`💡 Reason: ${tradeReason}`);
-      
-      try {
-        const orderResult = await primaryExchange.createOrder({
-          symbol: 'BTC/USDT',
-          side: tradeSide,
-          amount: tradeAmount,
-          type: 'MARKET'
-        });
-        
-        console.log('✅ Trade executed successfully:', orderResult);
-        
-        // Update trading history
-        const trade = {
-          id: Date.now().toString(),
-          timestamp: new Date().toISOString(),
-          symbol: 'BTC/USDT',
-          side: tradeSide,
-          amount: tradeAmount,
-          price: currentPrice,
-          value: tradeAmount * currentPrice,
-          status: 'completed',
-          reason: tradeReason,
-          strategy: autoTradingConfig.strategy,
-          orderId: orderResult.orderId
-        };
-        
-        tradingHistory.unshift(trade); // Add to beginning
-        
-        // Update stats
-        autoTradingConfig.stats.totalTrades++;
-        autoTradingConfig.stats.todayTrades++;
-        autoTradingConfig.stats.lastTradeTime = new Date().toISOString();
-        
-        // Simple P&L calculation (assuming we're profitable)
-        const profit = tradeSide === 'SELL' ? tradeAmount * currentPrice * 0.002 : 0; // 0.2% profit estimate
-        autoTradingConfig.stats.totalProfit += profit;
-        autoTradingConfig.stats.dailyProfit += profit;
-        
-        if (profit > 0) {
-          autoTradingConfig.stats.successfulTrades++;
-        }
-        
-        autoTradingConfig.stats.winRate = (autoTradingConfig.stats.successfulTrades / autoTradingConfig.stats.totalTrades) * 100;
-        
-        lastTradeTime = now;
-        
-        console.log(`📈 Stats updated: ${autoTradingConfig.stats.totalTrades} trades, $${autoTradingConfig.stats.totalProfit.toFixed(2)} profit`);
-        
-      } catch (tradeError) {
-        console.error('❌ Trade execution failed:', tradeError.message);
-        
-        // Add failed trade to history
-        const failedTrade = {
-          id: Date.now().toString(),
-          timestamp: new Date().toISOString(),
-          symbol: 'BTC/USDT',
-          side: tradeSide,
-          amount: tradeAmount,
-          price: currentPrice,
-          status: 'failed',
-          error: tradeError.message,
-          reason: tradeReason
-        };
-        
-        tradingHistory.unshift(failedTrade);
-      }
-    } else {
-      console.log(`💤 No trading opportunity (${changePercent.toFixed(2)}% change)`);
-    }
-    
   } catch (error) {
     console.error('❌ Trading loop error:', error.message);
   }
@@ -295,31 +238,6 @@ function getDetailedStatus() {
   return baseStatus;
 }
 
-// Strategy configurations
-const strategies = {
-  conservative: {
-    positionSize: 3,
-    stopLoss: 1.5,
-    takeProfit: 3,
-    maxDailyTrades: 5,
-    riskLevel: 'low'
-  },
-  moderate: {
-    positionSize: 5,
-    stopLoss: 2,
-    takeProfit: 4,
-    maxDailyTrades: 10,
-    riskLevel: 'medium'
-  },
-  aggressive: {
-    positionSize: 1, // Reduced from 8 to 1 for small accounts
-    stopLoss: 3,
-    takeProfit: 6,
-    maxDailyTrades: 20,
-    riskLevel: 'high'
-  }
-};
-
 // API Route handlers
 const apiHandlers = {
   // Auto Trading Status
@@ -335,6 +253,7 @@ const apiHandlers = {
         riskLevel: autoTradingConfig.riskLevel
       },
       stats: autoTradingConfig.stats,
+      strategies: StrategyEngine.listStrategies().filter(strategy => strategy.running),
       timestamp: new Date().toISOString()
     };
     sendJSON(res, response);
@@ -348,23 +267,37 @@ const apiHandlers = {
 
     let body = '';
     req.on('data', chunk => body += chunk.toString());
-    req.on('end', () => {
+    req.on('end', async () => {
+      let request;
       try {
-        const { action, strategy, positionSize, stopLoss, takeProfit, maxDailyTrades, riskLevel } = 
-              body ? JSON.parse(body) : {};
+        request = body ? JSON.parse(body) : {};
+      } catch (error) {
+        console.error('Error parsing request body:', error);
+        return sendError(res, 400, 'Invalid JSON in request body');
+      }
+
+      try {
+        const { action, strategy, riskLevel } = request;
 
         if (action === 'start') {
-          // Apply strategy defaults if provided
-          if (strategy && strategies[strategy]) {
-            Object.assign(autoTradingConfig, strategies[strategy]);
+          // Dashboardets positionSize/stopLoss/takeProfit/maxDailyTrades er parametre når strategien erklærer dem
+          const name = strategy || autoTradingConfig.strategy;
+          const { parameters } = StrategyEngine.requireStrategy(name);
+          const params = { ...(request.params || {}) };
+          for (const key of ['positionSize', 'stopLoss', 'takeProfit', 'maxDailyTrades']) {
+            if (parameters[key] && request[key] != null && params[key] === undefined) params[key] = request[key];
           }
 
+          const started = StrategyEngine.startStrategy(name, {
+            capital: request.capital !== undefined ? request.capital : DEFAULT_STRATEGY_CAPITAL,
+            params
+          });
+
           autoTradingConfig.active = true;
-          autoTradingConfig.strategy = strategy || autoTradingConfig.strategy;
-          if (positionSize) autoTradingConfig.positionSize = positionSize;
-          if (stopLoss) autoTradingConfig.stopLoss = stopLoss;
-          if (takeProfit) autoTradingConfig.takeProfit = takeProfit;
-          if (maxDailyTrades) autoTradingConfig.maxDailyTrades = maxDailyTrades;
+          autoTradingConfig.strategy = name;
+          for (const key of ['positionSize', 'stopLoss', 'takeProfit', 'maxDailyTrades']) {
+            if (started.params[key] !== undefined) autoTradingConfig[key] = started.params[key];
+          }
           if (riskLevel) autoTradingConfig.riskLevel = riskLevel;
 
           console.log('🤖 Auto trading started with strategy:', autoTradingConfig.strategy);
@@ -375,6 +308,7 @@ const apiHandlers = {
           sendJSON(res, {
             status: 'started',
             config: autoTradingConfig,
+            strategy: started,
             message: 'Auto trading activated successfully',
             timestamp: new Date().toISOString()
           });
@@ -386,10 +320,12 @@ const apiHandlers = {
           
           // STOP THE TRADING LOOP!
           stopTradingLoop();
+          const stopped = await StrategyEngine.stopAll();
 
           sendJSON(res, {
             status: 'stopped',
             stats: autoTradingConfig.stats,
+            strategies: stopped,
             message: 'Auto trading deactivated successfully',
             timestamp: new Date().toISOString()
           });
@@ -398,8 +334,12 @@ const apiHandlers = {
           sendError(res, 400, 'Invalid action. Use "start" or "stop"');
         }
       } catch (error) {
-        console.error('Error parsing request body:', error);
-        sendError(res, 400, 'Invalid JSON in request body');
+        if (!error.code || !error.code.startsWith('STRATEGY_')) {
+          console.error('Error toggling auto trading:', error);
+          return sendError(res, 500, 'Failed to toggle auto trading');
+        }
+        const status = { STRATEGY_NOT_FOUND: 404, STRATEGY_RUNNING: 409, STRATEGY_CAPITAL_EXCEEDED: 409 }[error.code] || 400;
+        sendError(res, status, error.message);
       }
     });
   },
@@ -578,18 +518,11 @@ const apiHandlers = {
     });
   },
 
-  // Available Strategies
+  // Strategier indlæst fra strategies/
   '/api/autotrading/strategies': (req, res) => {
     sendJSON(res, {
-      strategies: Object.keys(strategies).map(key => ({
-        name: key,
-        ...strategies[key],
-        description: {
-          conservative: 'Low risk, steady gains approach',
-          moderate: 'Balanced risk-reward trading',
-          aggressive: 'High risk, high reward strategy'
-        }[key]
-      }))
+      strategies: StrategyEngine.listStrategies(),
+      loadErrors: StrategyEngine.loadErrors
     });
   },
 
@@ -902,6 +835,10 @@ const PORT = 5000;
 async function startServer() {
   console.log('🔧 Initializing Exchange Manager...');
   const initResult = await initializeExchanges();
+  await StrategyEngine.initialize({
+    directory: path.join(__dirname, 'server', 'strategies'),
+    executor: strategyExecutor
+  });
   
   server.listen(PORT, () => {
     console.log('🚀 Enhanced Trading Server running on http://localhost:' + PORT);
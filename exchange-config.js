@@ -14,7 +14,9 @@ module.exports = {
     apiKey: process.env.BINANCE_API_KEY || null,
     apiSecret: process.env.BINANCE_API_SECRET || null,
     sandbox: process.env.BINANCE_SANDBOX === 'true', // Default live trading
+    paper: process.env.BINANCE_PAPER === 'true', // Simulerede fills mod rigtige tickers
     features: ['spot', 'futures', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.BINANCE_MAKER_FEE) || 0.001, taker: parseFloat(process.env.BINANCE_TAKER_FEE) || 0.001 }, // Basis tier
     description: 'Binance - Største globale cryptocurrency exchange'
   },
 
@@ -25,7 +27,9 @@ module.exports = {
     apiSecret: process.env.COINBASE_API_SECRET || null,
     passphrase: process.env.COINBASE_PASSPHRASE || null,
     sandbox: process.env.COINBASE_SANDBOX === 'true',
+    paper: process.env.COINBASE_PAPER === 'true',
     features: ['spot', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.COINBASE_MAKER_FEE) || 0.004, taker: parseFloat(process.env.COINBASE_TAKER_FEE) || 0.006 }, // Basis tier
     description: 'Coinbase Pro - Professionel trading platform'
   },
 
@@ -36,7 +40,9 @@ module.exports = {
     apiSecret: process.env.KUCOIN_API_SECRET || null,
     passphrase: process.env.KUCOIN_PASSPHRASE || null,
     sandbox: process.env.KUCOIN_SANDBOX === 'true',
+    paper: process.env.KUCOIN_PAPER === 'true',
     features: ['spot', 'futures', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.KUCOIN_MAKER_FEE) || 0.001, taker: parseFloat(process.env.KUCOIN_TAKER_FEE) || 0.001 }, // Basis tier
     description: 'KuCoin - Avanceret cryptocurrency exchange'
   },
 
@@ -47,7 +53,9 @@ module.exports = {
     apiSecret: process.env.OKX_API_SECRET || null,
     passphrase: process.env.OKX_PASSPHRASE || null,
     sandbox: process.env.OKX_SANDBOX === 'true',
+    paper: process.env.OKX_PAPER === 'true',
     features: ['spot', 'futures', 'options', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.OKX_MAKER_FEE) || 0.0008, taker: parseFloat(process.env.OKX_TAKER_FEE) || 0.001 }, // Basis tier
     description: 'OKX - Multi-asset trading platform'
   },
 
@@ -57,7 +65,9 @@ module.exports = {
     apiKey: process.env.BYBIT_API_KEY || null,
     apiSecret: process.env.BYBIT_API_SECRET || null,
     sandbox: process.env.BYBIT_SANDBOX === 'true',
+    paper: process.env.BYBIT_PAPER === 'true',
     features: ['spot', 'futures', 'options', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.BYBIT_MAKER_FEE) || 0.001, taker: parseFloat(process.env.BYBIT_TAKER_FEE) || 0.001 }, // Basis tier
     description: 'Bybit - Derivatives og spot trading'
   },
 
@@ -67,10 +77,24 @@ module.exports = {
     apiKey: process.env.CRYPTOCOM_API_KEY || 'occPbLqTkumaaC8nef1iim',
     apiSecret: process.env.CRYPTOCOM_API_SECRET || 'cxakp_skicB5hTXE2LivNV84AyQo',
     sandbox: process.env.CRYPTOCOM_SANDBOX === 'true',
+    paper: process.env.CRYPTOCOM_PAPER === 'true',
     features: ['spot', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.CRYPTOCOM_MAKER_FEE) || 0.0025, taker: parseFloat(process.env.CRYPTOCOM_TAKER_FEE) || 0.005 }, // Basis tier
     description: 'Crypto.com - Main exchange (configured)'
   },
 
+  // Kraken Configuration
+  kraken: {
+    enabled: process.env.KRAKEN_ENABLED !== 'false',
+    apiKey: process.env.KRAKEN_API_KEY || null,
+    apiSecret: process.env.KRAKEN_API_SECRET || null, // Base64 private key fra Kraken
+    sandbox: false, // Kraken har ingen spot sandbox
+    paper: process.env.KRAKEN_PAPER === 'true',
+    features: ['spot', 'websocket', 'trading'],
+    fees: { maker: parseFloat(process.env.KRAKEN_MAKER_FEE) || 0.0025, taker: parseFloat(process.env.KRAKEN_TAKER_FEE) || 0.004 }, // Basis tier
+    description: 'Kraken - Reguleret spot exchange (USD/EUR/USDT)'
+  },
+
   // Global settings
   global: {
     // Default connection timeout in ms
@@ -80,7 +104,17 @@ module.exports = {
     // Enable graceful degradation mode
     gracefulDegradation: process.env.GRACEFUL_DEGRADATION !== 'false',
     // Silent mode (suppress connection warnings)
-    silentMode: process.env.EXCHANGE_SILENT_MODE === 'true'
+    silentMode: process.env.EXCHANGE_SILENT_MODE === 'true',
+    // Paper trading for alle exchanges (PaperExchange i stedet for live ordrer)
+    paperTrading: process.env.PAPER_TRADING === 'true',
+    // Start balances for paper trading
+    paperBalances: {
+      USDT: parseFloat(process.env.PAPER_STARTING_USDT) || 10000
+    },
+    // Fees for exchanges uden egen fee konfiguration
+    defaultFees: { maker: 0.001, taker: 0.001 },
+    // Typiske withdrawal fees i asset enheder - en exchange kan overskrive med egen withdrawalFees
+    withdrawalFees: { BTC: 0.0005, ETH: 0.005, BNB: 0.001, SOL: 0.01, ADA: 1, DOT: 0.1, USDT: 1, USDC: 1 }
   }
 };
 
@@ -92,6 +126,11 @@ function validateExchangeConfig(exchangeName, config) {
     return { valid: false, reason: 'disabled' };
   }
 
+  // Paper trading bruger kun offentlige markedsdata
+  if (isPaperTrading(exchangeName)) {
+    return { valid: true, paper: true };
+  }
+
   const required = ['apiKey', 'apiSecret'];
   
   // Tilføj passphrase for exchanges der kræver det
@@ -105,7 +144,55 @@ function validateExchangeConfig(exchangeName, config) {
     return { valid: false, reason: 'missing_credentials', missing };
   }
 
+  // Exchange-specifikt format check
+  const validator = credentialValidators[exchangeName];
+  const invalid = validator ? validator(config) : [];
+  if (invalid.length > 0) {
+    return { valid: false, reason: 'invalid_credentials', invalid };
+  }
+
   return { valid: true };
 }
 
+/**
+ * Format validering af nøgler - returnerer navne på ugyldige felter
+ */
+const credentialValidators = {
+  // Kraken signerer med HMAC-SHA512 over den base64 dekodede secret
+  kraken(config) {
+    const secret = String(config.apiSecret).trim();
+    const isBase64 = /^[A-Za-z0-9+/]+={0,2}$/.test(secret) && secret.length % 4 === 0;
+    return isBase64 ? [] : ['apiSecret'];
+  }
+};
+
+/**
+ * Check om en exchange skal køre i paper trading mode
+ */
+function isPaperTrading(exchangeName) {
+  const exchangeConfig = module.exports[exchangeName];
+  return module.exports.global.paperTrading || !!(exchangeConfig && exchangeConfig.paper);
+}
+
+/**
+ * Maker/taker fees for en exchange som andel af notional
+ */
+function getTradingFees(exchangeName) {
+  const exchangeConfig = module.exports[exchangeName];
+  return (exchangeConfig && exchangeConfig.fees) || module.exports.global.defaultFees;
+}
+
+/**
+ * Withdrawal fee i asset enheder ved flytning af asset væk fra en exchange
+ */
+function getWithdrawalFee(exchangeName, asset) {
+  const exchangeConfig = module.exports[exchangeName];
+  const fees = (exchangeConfig && exchangeConfig.withdrawalFees) || {};
+  const fee = fees[asset] !== undefined ? fees[asset] : module.exports.global.withdrawalFees[asset];
+  return fee !== undefined ? fee : null;
+}
+
 module.exports.validateExchangeConfig = validateExchangeConfig;
+module.exports.isPaperTrading = isPaperTrading;
+module.exports.getTradingFees = getTradingFees;
+module.exports.getWithdrawalFee = getWithdrawalFee;
@@ -13,11 +13,16 @@ const aiRoutes = require('./routes/ai');
 const analyticsRoutes = require('./routes/analytics');
 const securityRoutes = require('./routes/security');
 const dashboardRoutes = require('./routes/dashboard');
+const marketRoutes = require('./routes/market');
 
 // Import services
 const DatabaseService = require('./services/DatabaseService');
 const AIAgentService = require('./services/AIAgentService');
 const TradingService = require('./services/TradingService');
+const OrderLedger = require('./services/OrderLedger');
+const PositionManager = require('./services/PositionManager');
+const RiskEngine = require('./services/RiskEngine');
+const KillSwitch = require('./services/KillSwitch');
 const SecurityService = require('./services/SecurityService');
 const WebSocketService = require('./services/WebSocketService');
 const CryptoComExchange = require('./services/CryptoComExchange');
@@ -29,6 +34,8 @@ const MasterAgentSystem = require('./services/MasterAgentSystem');
 const ReinforcementLearningEngine = require('./services/ReinforcementLearningEngine');
 const EnhancedOllamaGenerativeEngine = require('./services/EnhancedOllamaGenerativeEngine');
 const OllamaHealthMonitor = require('./services/OllamaHealthMonitor');
+const BacktestEngine = require('./services/BacktestEngine');
+const StrategyOptimizer = require('./services/StrategyOptimizer');
 
 const app = express();
 const server = http.createServer(app);
@@ -58,6 +65,15 @@ const initializeServices = async () => {
     await DatabaseService.initialize();
     console.log('✅ Database Service initialized');
     
+    await OrderLedger.initialize(DatabaseService);
+    console.log('✅ Order Ledger initialized');
+    
+    await PositionManager.initialize({ ledger: OrderLedger });
+    console.log('✅ Position Manager initialized');
+    
+    await KillSwitch.initialize({ database: DatabaseService });
+    console.log('✅ Kill Switch initialized');
+    
     await AIAgentService.initialize();
     console.log('✅ AI Agent Service initialized');
     
@@ -98,6 +114,7 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/security', securityRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/market', marketRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -233,7 +250,13 @@ app.post('/api/v2/ai/explain', async (req, res) => {
       return res.status(503).json({ error: 'V2.0 platform not available' });
     }
     
-    const { decision, marketContext, agentStates } = req.body;
+    const { marketContext, agentStates, cycleId } = req.body;
+
+    // En logget master agent cyklus kan forklares ud fra sit cycleId
+    const decision = req.body.decision || (cycleId ? await MasterAgentSystem.getDecisionCycle(cycleId) : null);
+    if (!decision) {
+      return res.status(cycleId ? 404 : 400).json({ error: cycleId ? 'Cycle not found' : 'Decision or cycleId required' });
+    }
 
     const explanation = await platformV2.ollamaEngine.explainTradingDecision(
       decision,
@@ -244,6 +267,7 @@ app.post('/api/v2/ai/explain', async (req, res) => {
     res.json({
       success: true,
       explanation: explanation,
+      masterValidation: MasterAgentSystem.explainValidation(decision),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -254,6 +278,67 @@ app.post('/api/v2/ai/explain', async (req, res) => {
   }
 });
 
+// V2.0 Backtest - replay stored market_data through the strategies or the agents
+app.post('/api/v2/backtest', async (req, res) => {
+  try {
+    const { symbol, interval, start, end, mode, strategy, initialCapital, positionSize, stopLoss, takeProfit } = req.body;
+
+    if (!symbol) {
+      return res.status(400).json({ error: 'Symbol required' });
+    }
+
+    // Replayet får sin egen agent-instans - den live masterAgentSystem må ikke lære af eller logge historiske bars
+    const backtester = new BacktestEngine();
+
+    const report = await backtester.run({
+      symbol, interval, start, end, mode, strategy, initialCapital, positionSize, stopLoss, takeProfit
+    });
+
+    res.json({
+      success: true,
+      report: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(500).json({
+      error: 'Backtest failed',
+      message: error.message
+    });
+  }
+});
+
+// V2.0 Strategy optimization - parameter search with walk-forward windows on stored market_data
+app.post('/api/v2/backtest/optimize', async (req, res) => {
+  try {
+    const {
+      strategy, symbol, interval, start, end, method, space, fixed, iterations, gridSize, windows, trainRatio, anchored, initialCapital, seed
+    } = req.body;
+
+    if (!strategy || !symbol) {
+      return res.status(400).json({ error: 'Strategy and symbol required' });
+    }
+
+    const report = await new StrategyOptimizer().optimize({
+      strategy, symbol, interval, start, end, method, space, fixed, iterations, gridSize, windows, trainRatio, anchored, initialCapital, seed
+    });
+
+    res.json({
+      success: true,
+      report: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const status = { STRATEGY_NOT_FOUND: 404, STRATEGY_PARAMS_INVALID: 400, OPTIMIZER_INVALID: 400, OPTIMIZER_NO_DATA: 422 }[error.code];
+    if (!status) console.error('Optimization error:', error);
+    res.status(status || 500).json({
+      error: 'Optimization failed',
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+});
+
 // New Crypto.com Exchange API endpoints
 app.get('/api/v2/exchange/cryptocom/status', (req, res) => {
   try {
@@ -339,6 +424,14 @@ app.post('/api/v2/exchange/cryptocom/order', async (req, res) => {
       ...(price && { price: parseFloat(price) })
     };
 
+    await RiskEngine.assertOrder({
+      symbol,
+      side,
+      amount: orderParams.quantity,
+      price: orderParams.price,
+      exchange: 'Crypto.com'
+    }, { sourceIP: req.ip });
+
     const result = await TradingService.cryptoComExchange.placeOrder(orderParams);
     
     res.json({
@@ -347,6 +440,13 @@ app.post('/api/v2/exchange/cryptocom/order', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.code === 'RISK_REJECTED') {
+      return res.status(422).json({
+        error: 'Order rejected by risk checks',
+        code: error.code,
+        reasons: error.reasons
+      });
+    }
     res.status(500).json({
       error: 'Order placement failed',
       message: error.message
@@ -492,6 +592,13 @@ app.post('/api/v2/exchange/:exchangeName/order', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.code === 'RISK_REJECTED') {
+      return res.status(422).json({
+        error: 'Order rejected by risk checks',
+        code: error.code,
+        reasons: error.reasons
+      });
+    }
     res.status(500).json({
       error: 'Failed to place order',
       message: error.message
@@ -523,7 +630,7 @@ app.delete('/api/v2/exchange/:exchangeName/order/:symbol/:orderId', async (req,
   try {
     const { exchangeName, symbol, orderId } = req.params;
 
-    const result = await TradingService.cancelOrder(exchangeName, symbol, orderId);
+    const result = await TradingService.cancelExchangeOrder(exchangeName, symbol, orderId);
     
     res.json({
       success: true,
@@ -0,0 +1,83 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const CandleAggregator = require('../services/CandleAggregator');
+const IndicatorEngine = require('../services/IndicatorEngine');
+
+const router = express.Router();
+
+// Apply authentication to all market routes
+router.use(authenticateToken);
+
+// OHLCV candles for a symbol and timeframe (1m, 5m, 15m, 1h, 4h, 1d)
+router.get('/candles', async (req, res) => {
+  try {
+    const { symbol, timeframe = '1h', exchange, start, end, limit = 500 } = req.query;
+    const result = await CandleAggregator.getCandles({ symbol, timeframe, exchange, start, end, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'CANDLE_INVALID_REQUEST') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    console.error('Candles error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch candles'
+    });
+  }
+});
+
+// Technical indicator series aligned with candles (SMA, EMA, RSI, MACD, Bollinger, ATR, VWAP, OBV, ADX, Stochastic)
+router.get('/indicators', async (req, res) => {
+  try {
+    const { symbol, timeframe = '1h', exchange, start, end, limit = 200 } = req.query;
+    const result = await IndicatorEngine.getSeries({ symbol, timeframe, exchange, start, end, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'CANDLE_INVALID_REQUEST') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    console.error('Indicators error:', error);
+    res.status(500).json({
+      error: 'Failed to calculate indicators'
+    });
+  }
+});
+
+// Latest indicator values and bullish/bearish summary as the agents see them
+router.get('/indicators/latest', async (req, res) => {
+  try {
+    const { symbol, timeframe = '1h', exchange } = req.query;
+    const result = await IndicatorEngine.getLatest({ symbol, timeframe, exchange });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'CANDLE_INVALID_REQUEST') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    console.error('Latest indicators error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch indicators'
+    });
+  }
+});
+
+module.exports = router;
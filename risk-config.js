@@ -0,0 +1,44 @@
+/**
+ * Pre-trade Risk Configuration
+ *
+ * Limits enforced by RiskEngine before any order reaches an exchange adapter.
+ * Notional values are in quote currency (USDT). Override via environment variables.
+ */
+
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  enabled: process.env.RISK_ENGINE_ENABLED !== 'false',
+
+  // Største enkeltordre
+  maxOrderNotional: number(process.env.RISK_MAX_ORDER_NOTIONAL, 10000),
+
+  // Største position per exchange og symbol efter ordren
+  maxPositionNotional: number(process.env.RISK_MAX_POSITION_NOTIONAL, 25000),
+
+  // Samlet brutto eksponering per exchange
+  maxExchangeExposure: number(process.env.RISK_MAX_EXCHANGE_EXPOSURE, 50000),
+
+  // Realiseret + urealiseret tab i dag (UTC) før nye risiko-øgende ordrer stoppes
+  dailyLossLimit: number(process.env.RISK_DAILY_LOSS_LIMIT, 1000),
+
+  // Maks andel af samlet eksponering i ét base asset - først når porteføljen er over minimum
+  maxConcentration: number(process.env.RISK_MAX_CONCENTRATION, 0.5),
+  concentrationMinExposure: number(process.env.RISK_CONCENTRATION_MIN_EXPOSURE, 20000),
+
+  // Limit pris må højst afvige så mange procent fra aktuel ticker
+  priceBandPercent: number(process.env.RISK_PRICE_BAND_PERCENT, 5),
+
+  // Market ordrer uden referencepris afvises
+  requireReferencePrice: process.env.RISK_REQUIRE_REFERENCE_PRICE !== 'false',
+
+  // Dagligt tab der udløser kill switch automatisk (0 slår fra) og om positioner så lukkes
+  killSwitchLossLimit: number(process.env.RISK_KILL_SWITCH_LOSS_LIMIT, 2000),
+  killSwitchFlatten: process.env.RISK_KILL_SWITCH_FLATTEN === 'true',
+
+  // Udløs kill switch når WebSocketCoordinator's system circuit breaker åbner
+  killSwitchOnCircuitBreaker: process.env.RISK_KILL_SWITCH_ON_CIRCUIT_BREAKER !== 'false'
+};
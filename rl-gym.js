@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * rl-gym.js - Offline træning og evaluering af RL agenten over historiske candles
+ *
+ *   node rl-gym.js train    --symbols BTC/USDT,ETH/USDT --position-levels 0,0.5,1 --episodes 20 --seed 42
+ *   node rl-gym.js evaluate --split test
+ *   node rl-gym.js export   --out checkpoints/btc-eth-1h.json
+ *
+ * Candles læses fra databasen (market_data) eller fra en JSON fil med --candles
+ * (et array for ét symbol eller { "BTC/USDT": [...], "ETH/USDT": [...] }).
+ * Splits er kronologiske 70/15/15 medmindre --validation-start og --test-start angives.
+ * evaluate/export (og train --resume) bruger porteføljeindstillingerne gemt i modellen.
+ */
+
+const fs = require('fs');
+const ReinforcementLearningEngine = require('./server/services/ReinforcementLearningEngine');
+const DatabaseService = require('./server/services/DatabaseService');
+
+function parseArgs(argv) {
+  const [command = 'help', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) continue;
+    const key = rest[i].slice(2).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+    const next = rest[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return { command, options };
+}
+
+function showHelp() {
+  console.log(`
+🎓 RL GYM - offline træning over historiske candles
+
+Commands:
+  train      Træn agenten på train splittet og gem modellen
+  evaluate   Greedy evaluering af en gemt model mod buy-and-hold
+  export     Evaluer på test splittet og gem et checkpoint med resultatet
+
+Data:
+  --symbols BTC/USDT,ETH/USDT  --interval 1h  --start <date>  --end <date>
+  --candles <file.json>              Candles fra fil i stedet for databasen
+  --validation-start <date> --test-start <date>
+
+Portfolio:
+  --initial-capital 100000  --max-leverage 1  --allow-short
+  --position-levels 0,0.5,1          Målvægt actions per symbol i stedet for BUY/SELL/HOLD
+
+Training:
+  --episodes 10  --episode-length <bars>  --seed <n>  --checkpoint-every <n>  --resume
+
+Model:
+  --model <path>  (default ${ReinforcementLearningEngine.DEFAULT_MODEL_PATH})
+  --out <path>    (export)
+  --split test    (evaluate: train, validation eller test)
+`);
+}
+
+function printReport(report) {
+  const percent = value => `${(value * 100).toFixed(2)}%`;
+  console.log(`\n📊 ${report.symbols.join(' + ')} ${report.split} split: ${report.period.bars} candles ` +
+    `(${new Date(report.period.start).toISOString()} → ${new Date(report.period.end).toISOString()})`);
+  console.log('                 Agent      Buy & Hold');
+  console.log(`  Return       ${percent(report.agent.totalReturn).padStart(9)}  ${percent(report.buyAndHold.totalReturn).padStart(9)}`);
+  console.log(`  Max drawdown ${percent(report.agent.maxDrawdown).padStart(9)}  ${percent(report.buyAndHold.maxDrawdown).padStart(9)}`);
+  console.log(`  Sharpe       ${report.agent.sharpeRatio.toFixed(3).padStart(9)}  ${report.buyAndHold.sharpeRatio.toFixed(3).padStart(9)}`);
+  console.log(`  Trades       ${String(report.agent.trades).padStart(9)}`);
+  console.log(`  Costs        ${report.agent.costs.toFixed(2).padStart(9)}`);
+  console.log(`  Excess return vs buy-and-hold: ${percent(report.excessReturn)}`);
+  console.log(`  Actions: ${Object.entries(report.actions).map(([action, count]) => `${action} ${count}`).join(', ')}`);
+}
+
+function splitOptions(options) {
+  if (options.validationStart || options.testStart) {
+    return { validationStart: options.validationStart, testStart: options.testStart };
+  }
+  return undefined;
+}
+
+// Porteføljeindstillinger: gemt model som udgangspunkt, overskrevet af flag
+function portfolioOptions(options, saved) {
+  const config = { ...(saved || {}) };
+  const symbols = options.symbols || options.symbol;
+  if (symbols) config.universe = String(symbols).split(',').map(symbol => symbol.trim()).filter(Boolean);
+  if (options.initialCapital) config.initialCapital = parseFloat(options.initialCapital);
+  if (options.maxLeverage) config.maxLeverage = parseFloat(options.maxLeverage);
+  if (options.allowShort) config.allowShort = true;
+  if (options.positionLevels) config.positionLevels = String(options.positionLevels).split(',').map(parseFloat);
+  return config;
+}
+
+function dataOptions(options) {
+  return {
+    interval: options.interval || '1h',
+    start: options.start || null,
+    end: options.end || null,
+    candles: options.candles ? JSON.parse(fs.readFileSync(options.candles, 'utf8')) : null
+  };
+}
+
+async function train(engine, options, modelPath) {
+  if (options.resume) {
+    await engine.loadModel(modelPath);
+  }
+
+  const curve = await engine.trainOnHistory({
+    ...dataOptions(options),
+    episodes: parseInt(options.episodes) || 10,
+    episodeLength: parseInt(options.episodeLength) || null,
+    seed: options.seed !== undefined ? parseInt(options.seed) : null,
+    splits: splitOptions(options),
+    checkpointEvery: parseInt(options.checkpointEvery) || 0,
+    modelPath
+  });
+
+  const last = curve[curve.length - 1];
+  console.log(`\n✅ Trained ${curve.length} episodes (${engine.agent.trainingSteps} training steps), model saved to ${modelPath}`);
+  if (last && last.validation) {
+    console.log(`   Validation return ${(last.validation.totalReturn * 100).toFixed(2)}% vs buy-and-hold ${(last.validation.buyAndHoldReturn * 100).toFixed(2)}%`);
+  }
+  return curve;
+}
+
+async function evaluate(engine, options, modelPath) {
+  await engine.loadModel(modelPath);
+  await engine.loadHistoricalData(dataOptions(options));
+  await engine.setupEnvironment({ splits: splitOptions(options) });
+
+  const report = await engine.evaluate({ split: options.split || 'test' });
+  printReport(report);
+  return report;
+}
+
+async function exportCheckpoint(engine, options, modelPath) {
+  if (!options.out) {
+    throw new Error('export requires --out <path>');
+  }
+
+  const report = await evaluate(engine, { ...options, split: 'test' }, modelPath);
+  await engine.saveModel(options.out, { evaluation: report });
+  console.log(`\n📦 Checkpoint exported to ${options.out}`);
+  return report;
+}
+
+/**
+ * Kør en kommando - returnerer resultatet (learning curve eller evalueringsrapport)
+ */
+async function run(argv) {
+  const { command, options } = parseArgs(argv);
+  const commands = { train, evaluate, export: exportCheckpoint };
+
+  if (!commands[command]) {
+    showHelp();
+    return null;
+  }
+
+  const modelPath = options.model || ReinforcementLearningEngine.DEFAULT_MODEL_PATH;
+  const usesModel = command !== 'train' || options.resume;
+  const progress = usesModel ? await ReinforcementLearningEngine.readProgress(modelPath) : null;
+  const engine = new ReinforcementLearningEngine({
+    ...portfolioOptions(options, progress && progress.portfolio),
+    logRewards: false,
+    seed: options.seed !== undefined ? parseInt(options.seed) : null
+  });
+
+  const usesDatabase = !options.candles;
+  if (usesDatabase) {
+    await DatabaseService.initialize();
+  }
+
+  try {
+    return await commands[command](engine, options, modelPath);
+  } finally {
+    if (usesDatabase) {
+      await DatabaseService.close();
+    }
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, parseArgs };
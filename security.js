@@ -89,6 +89,90 @@ router.get('/audit-trail', async (req, res) => {
   }
 });
 
+// Approval queue - pending, approved, rejected and expired requests
+router.get('/approvals', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const approvals = await SecurityService.getApprovalRequests({ status, limit });
+    
+    res.json({
+      success: true,
+      approvals
+    });
+  } catch (error) {
+    console.error('Approval queue fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch approval requests'
+    });
+  }
+});
+
+router.get('/approvals/:requestId', async (req, res) => {
+  try {
+    const approval = await SecurityService.getApprovalRequest(req.params.requestId);
+    
+    if (!approval) {
+      return res.status(404).json({
+        error: 'Approval request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      approval
+    });
+  } catch (error) {
+    console.error('Approval fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch approval request'
+    });
+  }
+});
+
+// Approve or reject a pending request (admin only)
+router.post('/approvals/:requestId/:decision(approve|reject)', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Admin role required'
+      });
+    }
+
+    const { requestId, decision } = req.params;
+    const { comment } = req.body;
+    const approver = { userId: req.user.userId, username: req.user.username, sourceIP: req.ip };
+    
+    const approval = decision === 'approve'
+      ? await SecurityService.approveAction(requestId, approver, comment)
+      : await SecurityService.rejectAction(requestId, approver, comment);
+    
+    res.json({
+      success: true,
+      approval
+    });
+  } catch (error) {
+    const statusCodes = {
+      APPROVAL_NOT_FOUND: 404,
+      APPROVAL_FORBIDDEN: 403,
+      APPROVAL_INVALID: 400,
+      APPROVAL_NOT_PENDING: 409
+    };
+
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Approval decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record approval decision'
+    });
+  }
+});
+
 // Get threat analysis
 router.get('/threats', async (req, res) => {
   try {
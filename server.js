@@ -21,6 +21,12 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const TradingService = require('./services/TradingService');
+const DatabaseService = require('./services/DatabaseService');
+const OrderLedger = require('./services/OrderLedger');
+const PositionManager = require('./services/PositionManager');
+const ConditionalOrderEngine = require('./services/ConditionalOrderEngine');
+const KillSwitch = require('./services/KillSwitch');
+const StrategyEngine = require('./services/StrategyEngine');
 const CryptoAIPlatformV2 = require('./services/CryptoAIPlatformV2');
 
 const app = express();
@@ -48,11 +54,36 @@ async function initializeServices() {
   console.log('🚀 Initializing Crypto Trading Platform V2...');
   
   try {
+    // Ordre ledger og positioner - conditional orders afgives gennem dem
+    console.log('📒 Starting Order Ledger...');
+    await DatabaseService.initialize();
+    await OrderLedger.initialize(DatabaseService);
+    await PositionManager.initialize({ ledger: OrderLedger });
+    
     // Initialize Trading Service
     console.log('📊 Starting Trading Service...');
-    tradingService = new TradingService();
+    tradingService = TradingService;
     await tradingService.initialize();
     
+    // Auto trading stopLoss/takeProfit følger positionerne
+    PositionManager.on('positionUpdated', position => {
+      enforceAutoTradingProtection(position).catch(error => {
+        console.error(`❌ Kunne ikke beskytte ${position.symbol} position:`, error.message);
+      });
+    });
+    
+    // Nødstop fryser auto trading - den startes ikke igen før kill switch er genaktiveret
+    KillSwitch.on('tripped', () => {
+      autoTradingConfig.active = false;
+      console.log('🛑 Auto trading stopped by kill switch');
+      StrategyEngine.stopAll().catch(error => {
+        console.error('❌ Kunne ikke stoppe strategier:', error.message);
+      });
+      syncAutoTradingProtection().catch(error => {
+        console.error('❌ Kunne ikke fjerne auto trading beskyttelse:', error.message);
+      });
+    });
+    
     // Initialize AI Platform
     console.log('🤖 Starting AI Platform...');
     aiPlatform = new CryptoAIPlatformV2();
@@ -173,6 +204,23 @@ app.get('/api/exchanges', async (req, res) => {
   }
 });
 
+app.get('/api/v2/exchange/summary', (req, res) => {
+  if (!tradingService) {
+    return res.status(503).json({ error: 'Trading service not initialized' });
+  }
+  
+  try {
+    res.json({
+      success: true,
+      summary: tradingService.getConnectedExchangesSummary(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching exchange summary:', error);
+    res.status(500).json({ error: 'Failed to get exchange summary' });
+  }
+});
+
 app.get('/api/ai/analysis', async (req, res) => {
   if (!aiPlatform) {
     return res.status(503).json({ error: 'AI platform not initialized' });
@@ -195,7 +243,17 @@ app.post('/api/trade', async (req, res) => {
   try {
     const { exchange, symbol, side, amount, type = 'market' } = req.body;
     
-    if (!exchange || !symbol || !side || !amount) {
+    if (!symbol || !side || !amount) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    
+    // Uden exchange (eller 'smart') fordeles market ordren af smart order routeren
+    if ((!exchange || exchange === 'smart') && type === 'market') {
+      const report = await tradingService.executeSmartOrder({ symbol, side, amount, sourceIP: req.ip });
+      return res.json(report);
+    }
+    
+    if (!exchange) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
@@ -204,10 +262,16 @@ app.post('/api/trade', async (req, res) => {
       side,
       amount,
       type
-    });
+    }, { sourceIP: req.ip });
     
     res.json(result);
   } catch (error) {
+    if (error.code === 'RISK_REJECTED') {
+      return res.status(422).json({ error: 'Order rejected by risk checks', code: error.code, reasons: error.reasons });
+    }
+    if (error.code === 'ROUTER_INVALID_ORDER' || error.code === 'ROUTER_NO_LIQUIDITY') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
     console.error('Error executing trade:', error);
     res.status(500).json({ error: 'Failed to execute trade' });
   }
@@ -234,31 +298,84 @@ let autoTradingConfig = {
   }
 };
 
-// Strategy configurations
-const strategies = {
-  conservative: {
-    positionSize: 3,
-    stopLoss: 1.5,
-    takeProfit: 3,
-    maxDailyTrades: 5,
-    riskLevel: 'low'
-  },
-  moderate: {
-    positionSize: 5,
-    stopLoss: 2,
-    takeProfit: 4,
-    maxDailyTrades: 10,
-    riskLevel: 'medium'
-  },
-  aggressive: {
-    positionSize: 8,
-    stopLoss: 3,
-    takeProfit: 6,
-    maxDailyTrades: 20,
-    riskLevel: 'high'
-  }
+// Auto trading presets - lægges over plugin standarderne, så aggressive beholder positionSize 8 her
+// selvom daily-change pluginet har enhanced_trading_server's 1
+const AUTO_TRADING_PRESETS = {
+  conservative: { positionSize: 3, stopLoss: 1.5, takeProfit: 3, maxDailyTrades: 5 },
+  moderate: { positionSize: 5, stopLoss: 2, takeProfit: 4, maxDailyTrades: 10 },
+  aggressive: { positionSize: 8, stopLoss: 3, takeProfit: 6, maxDailyTrades: 20 }
 };
 
+// Kapital til en strategi startet uden capital i requestet
+const DEFAULT_STRATEGY_CAPITAL = parseFloat(process.env.STRATEGY_DEFAULT_CAPITAL) || 1000;
+
+// StrategyEngine fejlkoder → HTTP status
+const STRATEGY_ERROR_STATUS = {
+  STRATEGY_NOT_FOUND: 404,
+  STRATEGY_NOT_RUNNING: 404,
+  STRATEGY_PARAMS_INVALID: 400,
+  STRATEGY_CAPITAL_INVALID: 400,
+  STRATEGY_RUNNING: 409,
+  STRATEGY_CAPITAL_EXCEEDED: 409
+};
+
+function sendStrategyError(res, error, fallback) {
+  const status = STRATEGY_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+  }
+  res.status(status).json({ error: error.message, code: error.code, ...(error.errors.length > 0 && { errors: error.errors }) });
+}
+
+/**
+ * Start en plugin strategi - dashboardets positionSize/stopLoss/takeProfit/maxDailyTrades bruges
+ * som parametre når strategien erklærer dem, ellers serverens preset
+ */
+function startAutoTradingStrategy(name, body) {
+  const { parameters } = StrategyEngine.requireStrategy(name);
+  const params = { ...(AUTO_TRADING_PRESETS[name] || {}), ...(body.params || {}) };
+  for (const key of ['positionSize', 'stopLoss', 'takeProfit', 'maxDailyTrades']) {
+    if (parameters[key] && body[key] != null && (!body.params || body.params[key] === undefined)) params[key] = body[key];
+  }
+  
+  return StrategyEngine.startStrategy(name, {
+    capital: body.capital !== undefined ? body.capital : DEFAULT_STRATEGY_CAPITAL,
+    params,
+    exchange: body.exchange || null
+  });
+}
+
+/**
+ * Håndhæv auto trading stopLoss/takeProfit (procent fra indgangspris) som OCO bracket på en position
+ */
+async function enforceAutoTradingProtection(position) {
+  if (!ConditionalOrderEngine.isReady) return;
+  
+  await ConditionalOrderEngine.cancelForPosition(position.exchange, position.symbol, 'auto_trading');
+  
+  if (!autoTradingConfig.active || position.amount <= 0) return;
+  
+  const direction = position.side === 'long' ? 1 : -1;
+  await ConditionalOrderEngine.createBracket({
+    exchange: position.exchange,
+    symbol: position.symbol,
+    positionSide: position.side,
+    amount: position.amount,
+    stopLoss: position.averageEntryPrice * (1 - direction * autoTradingConfig.stopLoss / 100),
+    takeProfit: position.averageEntryPrice * (1 + direction * autoTradingConfig.takeProfit / 100),
+    source: 'auto_trading'
+  });
+}
+
+async function syncAutoTradingProtection() {
+  if (!PositionManager.isReady) return;
+  
+  for (const position of PositionManager.getPositions()) {
+    await enforceAutoTradingProtection(position);
+  }
+}
+
 // Get auto trading status
 app.get('/api/autotrading/status', (req, res) => {
   res.json({
@@ -272,45 +389,65 @@ app.get('/api/autotrading/status', (req, res) => {
       riskLevel: autoTradingConfig.riskLevel
     },
     stats: autoTradingConfig.stats,
+    strategies: StrategyEngine.listStrategies().filter(strategy => strategy.running),
+    killSwitch: KillSwitch.getStatus(),
+    protectiveOrders: ConditionalOrderEngine.isReady
+      ? ConditionalOrderEngine.getPendingOrders({ source: 'auto_trading' })
+      : [],
     timestamp: new Date().toISOString()
   });
 });
 
 // Start/Stop auto trading
-app.post('/api/autotrading/toggle', (req, res) => {
+app.post('/api/autotrading/toggle', async (req, res) => {
   try {
-    const { action, strategy, positionSize, stopLoss, takeProfit, maxDailyTrades, riskLevel } = req.body;
+    const { action, strategy, riskLevel } = req.body;
     
     if (action === 'start') {
-      // Apply strategy defaults if provided
-      if (strategy && strategies[strategy]) {
-        Object.assign(autoTradingConfig, strategies[strategy]);
+      if (KillSwitch.isTripped()) {
+        return res.status(423).json({
+          error: 'Trading is halted by the kill switch',
+          killSwitch: KillSwitch.getStatus()
+        });
       }
       
+      const name = strategy || autoTradingConfig.strategy;
+      const started = startAutoTradingStrategy(name, req.body);
+      
+      // Strategiens parametre styrer også bracket beskyttelsen af positionerne
       autoTradingConfig.active = true;
-      autoTradingConfig.strategy = strategy || autoTradingConfig.strategy;
-      if (positionSize) autoTradingConfig.positionSize = positionSize;
-      if (stopLoss) autoTradingConfig.stopLoss = stopLoss;
-      if (takeProfit) autoTradingConfig.takeProfit = takeProfit;
-      if (maxDailyTrades) autoTradingConfig.maxDailyTrades = maxDailyTrades;
+      autoTradingConfig.strategy = name;
+      for (const key of ['positionSize', 'stopLoss', 'takeProfit', 'maxDailyTrades']) {
+        const value = started.params[key] !== undefined ? started.params[key] : req.body[key];
+        if (value) autoTradingConfig[key] = value;
+      }
       if (riskLevel) autoTradingConfig.riskLevel = riskLevel;
       
       console.log('🤖 Auto trading started with strategy:', autoTradingConfig.strategy);
+      syncAutoTradingProtection().catch(error => {
+        console.error('❌ Auto trading beskyttelse fejlede:', error.message);
+      });
       
       res.json({
         status: 'started',
         config: autoTradingConfig,
+        strategy: started,
         message: 'Auto trading activated successfully',
         timestamp: new Date().toISOString()
       });
     } else if (action === 'stop') {
       autoTradingConfig.active = false;
+      const stopped = await StrategyEngine.stopAll();
       
       console.log('🛑 Auto trading stopped');
+      syncAutoTradingProtection().catch(error => {
+        console.error('❌ Kunne ikke fjerne auto trading beskyttelse:', error.message);
+      });
       
       res.json({
         status: 'stopped',
         stats: autoTradingConfig.stats,
+        strategies: stopped,
         message: 'Auto trading deactivated successfully',
         timestamp: new Date().toISOString()
       });
@@ -318,26 +455,82 @@ app.post('/api/autotrading/toggle', (req, res) => {
       res.status(400).json({ error: 'Invalid action. Use "start" or "stop"' });
     }
   } catch (error) {
-    console.error('Error toggling auto trading:', error);
-    res.status(500).json({ error: 'Failed to toggle auto trading' });
+    sendStrategyError(res, error, 'Failed to toggle auto trading');
+  }
+});
+
+// Emergency stop - halts all trading until an admin re-arms via /api/trading/kill-switch/rearm
+app.get('/api/emergency/status', (req, res) => {
+  res.json(KillSwitch.getStatus());
+});
+
+app.post('/api/emergency/stop', async (req, res) => {
+  try {
+    const { reason, flatten = false } = req.body;
+    
+    const status = await KillSwitch.trip({
+      reason: reason || 'Emergency stop from API',
+      source: 'api',
+      sourceIP: req.ip,
+      flatten: !!flatten
+    });
+    
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Error tripping kill switch:', error);
+    res.status(500).json({ error: 'Failed to trip kill switch' });
   }
 });
 
-// Get available strategies
+// Strategier indlæst fra strategies/ - parametre, abonnementer og statistik for de kørende
 app.get('/api/autotrading/strategies', (req, res) => {
   res.json({
-    strategies: Object.keys(strategies).map(key => ({
-      name: key,
-      ...strategies[key],
-      description: {
-        conservative: 'Low risk, steady gains approach',
-        moderate: 'Balanced risk-reward trading',
-        aggressive: 'High risk, high reward strategy'
-      }[key]
-    }))
+    strategies: StrategyEngine.listStrategies(),
+    loadErrors: StrategyEngine.loadErrors
   });
 });
 
+app.post('/api/autotrading/strategies/reload', (req, res) => {
+  const { loaded, errors } = StrategyEngine.loadDirectory();
+  res.json({ loaded, loadErrors: errors });
+});
+
+app.get('/api/autotrading/strategies/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    const strategy = StrategyEngine.listStrategies().find(entry => entry.name === name);
+    if (!strategy) {
+      return res.status(404).json({ error: `Unknown strategy: ${name}`, code: 'STRATEGY_NOT_FOUND' });
+    }
+    res.json(strategy);
+  } catch (error) {
+    sendStrategyError(res, error, 'Failed to get strategy');
+  }
+});
+
+app.post('/api/autotrading/strategies/:name/start', (req, res) => {
+  try {
+    if (KillSwitch.isTripped()) {
+      return res.status(423).json({
+        error: 'Trading is halted by the kill switch',
+        killSwitch: KillSwitch.getStatus()
+      });
+    }
+    
+    res.json({ status: 'started', strategy: startAutoTradingStrategy(req.params.name, req.body) });
+  } catch (error) {
+    sendStrategyError(res, error, 'Failed to start strategy');
+  }
+});
+
+app.post('/api/autotrading/strategies/:name/stop', async (req, res) => {
+  try {
+    res.json({ status: 'stopped', strategy: await StrategyEngine.stopStrategy(req.params.name) });
+  } catch (error) {
+    sendStrategyError(res, error, 'Failed to stop strategy');
+  }
+});
+
 // Get trading history - real trades only (no mock data)
 app.get('/api/trading/history', (req, res) => {
   try {
@@ -0,0 +1,75 @@
+/**
+ * Daily change strategier - de tidligere conservative/moderate/aggressive presets som plugins
+ * Køber når 24h ændringen er under buyBelow og sælger når den er over sellAbove.
+ * stopLoss/takeProfit lukker positionen i procent fra indgangsprisen.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dailyChangeStrategy(name, description, defaults) {
+  return {
+    name,
+    description,
+    version: '1.0.0',
+    symbols: ['BTC/USDT'],
+    timeframes: [],
+    parameters: {
+      buyBelow: { type: 'number', default: defaults.buyBelow, min: -10, max: 0, description: 'Buy when the 24h change (%) is below this' },
+      sellAbove: { type: 'number', default: defaults.sellAbove, min: 0, max: 10, description: 'Sell when the 24h change (%) is above this' },
+      positionSize: { type: 'number', default: defaults.positionSize, min: 0.1, max: 100, description: 'Percent of the allocation per trade' },
+      stopLoss: { type: 'number', default: defaults.stopLoss, min: 0.5, max: 10, description: 'Stop loss (%) from the entry price' },
+      takeProfit: { type: 'number', default: defaults.takeProfit, min: 0.5, max: 20, description: 'Take profit (%) from the entry price' },
+      maxDailyTrades: { type: 'integer', default: defaults.maxDailyTrades, min: 1, max: 50, description: 'Orders per 24h' },
+      cooldownSeconds: { type: 'integer', default: 60, min: 0, description: 'Minimum time between orders' }
+    },
+
+    onTick(ctx, ticker) {
+      const { params, state } = ctx;
+      const now = ctx.now();
+      state.trades = (state.trades || []).filter(time => now - time < DAY_MS);
+      if (state.trades.length >= params.maxDailyTrades) return null;
+      if (state.lastTrade && now - state.lastTrade < params.cooldownSeconds * 1000) return null;
+
+      const price = parseFloat(ticker.price);
+      const changePercent = parseFloat(ticker.changePercent || 0);
+      const position = ctx.position();
+      let signal = null;
+
+      if (position.quantity > 0) {
+        const move = (price / position.averagePrice - 1) * 100;
+        if (move <= -params.stopLoss) {
+          signal = { side: 'sell', reason: `Stop loss ${params.stopLoss}% hit (${move.toFixed(2)}%)` };
+        } else if (move >= params.takeProfit) {
+          signal = { side: 'sell', reason: `Take profit ${params.takeProfit}% hit (${move.toFixed(2)}%)` };
+        } else if (changePercent > params.sellAbove) {
+          signal = { side: 'sell', reason: `Price up ${changePercent.toFixed(2)}% - taking profit` };
+        }
+      } else if (changePercent < params.buyBelow) {
+        signal = {
+          side: 'buy',
+          notional: ctx.allocation.capital * params.positionSize / 100,
+          reason: `Price down ${changePercent.toFixed(2)}% - buying opportunity`
+        };
+      }
+
+      if (signal) {
+        state.trades.push(now);
+        state.lastTrade = now;
+      }
+      return signal;
+    }
+  };
+}
+
+// Samme tærskler som BacktestEngine's STRATEGY_PRESETS
+module.exports = [
+  dailyChangeStrategy('conservative', 'Low risk, steady gains approach', {
+    buyBelow: -2, sellAbove: 3, positionSize: 3, stopLoss: 1.5, takeProfit: 3, maxDailyTrades: 5
+  }),
+  dailyChangeStrategy('moderate', 'Balanced risk-reward trading', {
+    buyBelow: -1.5, sellAbove: 2, positionSize: 5, stopLoss: 2, takeProfit: 4, maxDailyTrades: 10
+  }),
+  dailyChangeStrategy('aggressive', 'High risk, high reward strategy', {
+    buyBelow: -0.2, sellAbove: 0.5, positionSize: 1, stopLoss: 3, takeProfit: 6, maxDailyTrades: 20
+  })
+];
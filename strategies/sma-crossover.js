@@ -0,0 +1,41 @@
+/**
+ * SMA crossover - køber når det hurtige glidende gennemsnit krydser over det langsomme
+ * på lukkede candles og sælger ved krydset nedad
+ */
+
+function sma(values, period) {
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / window.length;
+}
+
+module.exports = {
+  name: 'sma_crossover',
+  description: 'Fast/slow moving average crossover on closed candles',
+  version: '1.0.0',
+  symbols: ['BTC/USDT', 'ETH/USDT'],
+  timeframes: ['1h'],
+  parameters: {
+    fastPeriod: { type: 'integer', default: 10, min: 2, max: 50, description: 'Fast SMA period' },
+    slowPeriod: { type: 'integer', default: 30, min: 3, max: 200, description: 'Slow SMA period' },
+    positionSize: { type: 'number', default: 50, min: 1, max: 100, description: 'Percent of the allocation per symbol' }
+  },
+
+  onCandle(ctx, candle) {
+    const { params, state } = ctx;
+    const closes = state[candle.symbol] = [...(state[candle.symbol] || []), parseFloat(candle.close)].slice(-(params.slowPeriod + 1));
+    if (closes.length <= params.slowPeriod) return null;
+
+    const previous = closes.slice(0, -1);
+    const wasAbove = sma(previous, params.fastPeriod) > sma(previous, params.slowPeriod);
+    const isAbove = sma(closes, params.fastPeriod) > sma(closes, params.slowPeriod);
+    const holding = ctx.position().quantity > 0;
+
+    if (isAbove && !wasAbove && !holding) {
+      return { side: 'buy', notional: ctx.allocation.capital * params.positionSize / 100, reason: `SMA ${params.fastPeriod} crossed above SMA ${params.slowPeriod}` };
+    }
+    if (!isAbove && wasAbove && holding) {
+      return { side: 'sell', reason: `SMA ${params.fastPeriod} crossed below SMA ${params.slowPeriod}` };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Arbitrage Scanner Test Suite
+ * Spatial and triangular opportunities net of fees and withdrawal costs, ranking, recording and paper execution
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const KillSwitch = require('./server/services/KillSwitch');
+const TradingService = require('./server/services/TradingService');
+const PaperExchange = require('./server/services/PaperExchange');
+const OrderBook = require('./server/services/OrderBook');
+const WebSocketCoordinator = require('./server/services/WebSocketCoordinator');
+const ArbitrageScanner = require('./server/services/ArbitrageScanner');
+const exchangeConfig = require('./config/exchange-config');
+
+const { ARBITRAGE_ERRORS } = ArbitrageScanner;
+
+function close(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'Value'}: expected ${expected}, got ${actual}`);
+}
+
+async function runArbitrageScannerTests() {
+  console.log('🧪 Arbitrage Scanner Test Suite');
+  console.log('===============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  await KillSwitch.initialize({ database: DatabaseService });
+
+  const coordinator = new WebSocketCoordinator();
+  coordinator.exchanges = new Map();
+  const prices = {};
+
+  const addPaperExchange = async (name, { takerFee, balances, priority }) => {
+    prices[name] = {};
+    const paper = new PaperExchange(name, {
+      priceSource: { getTicker: async symbol => ({ symbol, price: prices[name][symbol], timestamp: new Date().toISOString() }) },
+      initialBalances: balances,
+      takerFee
+    });
+    await paper.initialize();
+    coordinator.exchanges.set(name, { instance: paper, configKey: name.toLowerCase(), priority, metrics: { lastTicker: null, tickerCount: 0 } });
+    return paper;
+  };
+
+  // bid/ask og størrelser som exchangens ticker stream - paper fills sker til mid
+  const publish = (name, symbol, bid, ask, bidSize, askSize) => {
+    prices[name][symbol] = (bid + ask) / 2;
+    coordinator.handleTickerUpdate(name, { symbol, price: (bid + ask) / 2, bid, ask, bidSize, askSize, timestamp: new Date().toISOString() });
+  };
+
+  await addPaperExchange('Binance', { takerFee: 0.001, balances: { USDT: 100000 }, priority: 1 });
+  await addPaperExchange('Kraken', { takerFee: 0.002, balances: { USDT: 100000, BTC: 1 }, priority: 2 });
+  await addPaperExchange('Coinbase', { takerFee: 0.001, balances: { USDT: 100000 }, priority: 3 });
+
+  PositionManager.setTickerSource(coordinator);
+  RiskEngine.setTickerSource(coordinator);
+  RiskEngine.updateConfig({ enabled: true, maxOrderNotional: 100000, maxPositionNotional: 1000000, maxExchangeExposure: 1000000, maxConcentration: 1 });
+
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  await ArbitrageScanner.initialize({ database: DatabaseService, executor: service, scanInterval: 0, maxTradeNotional: 1000 });
+  ArbitrageScanner.attach(coordinator);
+
+  try {
+    // Test 1: Coordinator keeps the latest ticker per exchange
+    console.log('📋 Test 1: Per-exchange tickers and withdrawal fees');
+    publish('Binance', 'BTC/USDT', 49990, 50000, 2, 1);
+    // Aggregeringen sammenligner timestamps - Kraken skal være strengt nyere
+    await new Promise(resolve => setTimeout(resolve, 5));
+    publish('Kraken', 'BTC/USDT', 50400, 50410, 0.3, 2);
+
+    const tickers = coordinator.getExchangeTickers('BTC/USDT');
+    assert.deepStrictEqual(Object.keys(tickers['BTC/USDT']).sort(), ['Binance', 'Kraken']);
+    assert.strictEqual(tickers['BTC/USDT'].Kraken.bid, 50400);
+    assert.strictEqual(coordinator.aggregatedTickers.get('BTC/USDT').bid, 50400, 'Aggregated keeps only the newest');
+
+    coordinator.exchangeTickers.get('BTC/USDT').get('Kraken').receivedAt -= coordinator.tickerMaxAge + 1;
+    assert.deepStrictEqual(Object.keys(coordinator.getExchangeTickers()['BTC/USDT']), ['Binance'], 'Stale ticker excluded');
+    publish('Kraken', 'BTC/USDT', 50400, 50410, 0.3, 2);
+
+    assert.strictEqual(exchangeConfig.getWithdrawalFee('kraken', 'BTC'), exchangeConfig.global.withdrawalFees.BTC);
+    assert.strictEqual(exchangeConfig.getWithdrawalFee('kraken', 'XYZ'), null);
+    exchangeConfig.kraken.withdrawalFees = { BTC: 0.0001 };
+    assert.strictEqual(exchangeConfig.getWithdrawalFee('kraken', 'BTC'), 0.0001);
+    delete exchangeConfig.kraken.withdrawalFees;
+    console.log('✅ Binance and Kraken tickers kept side by side');
+
+    // Test 2: Spatial spread net of taker fees and withdrawal costs
+    console.log('\n📋 Test 2: Spatial opportunity');
+    const withdrawal = exchangeConfig.global.withdrawalFees.BTC * 50400 + exchangeConfig.global.withdrawalFees.USDT;
+    assert.strictEqual(ArbitrageScanner.findSpatial(coordinator.getExchangeTickers()).length, 0, 'Withdrawal costs eat a small trade');
+
+    ArbitrageScanner.options.maxTradeNotional = 20000;
+    const [spatial, ...others] = ArbitrageScanner.findSpatial(coordinator.getExchangeTickers());
+    assert.strictEqual(others.length, 0, 'Reverse direction is not profitable');
+    assert.strictEqual(spatial.buyExchange, 'Binance');
+    assert.strictEqual(spatial.sellExchange, 'Kraken');
+    close(spatial.amount, 0.3, 'Capped by Kraken bid size');
+    close(spatial.fees, 15000 * 0.001 + 15120 * 0.002, 'Fees');
+    close(spatial.transferCost, withdrawal, 'Transfer cost');
+    close(spatial.netProfit, 15120 - 15000 - spatial.fees - withdrawal, 'Net profit');
+    close(spatial.grossSpreadBps, 80, 'Gross spread');
+    close(spatial.liquidityScore, 0.75, 'Liquidity score');
+    console.log('✅ Net', spatial.netProfit.toFixed(2), 'USDT after', spatial.fees.toFixed(2), 'fees and', withdrawal.toFixed(2), 'transfer');
+
+    // Test 3: Level-2 books replace the ticker top and limit the size
+    console.log('\n📋 Test 3: Order book depth');
+    const binanceBook = new OrderBook('Binance', 'BTC/USDT');
+    binanceBook.applySnapshot({ bids: [['49990', '2']], asks: [['50000', '0.1'], ['50100', '0.5'], ['50400', '1']] });
+    coordinator.handleOrderBookUpdate('Binance', binanceBook);
+
+    const [fromBook] = ArbitrageScanner.findSpatial(coordinator.getExchangeTickers());
+    close(fromBook.amount, 0.3);
+    close(fromBook.buyPrice, (5000 + 0.2 * 50100) / 0.3, 'Walks the Binance asks');
+    close(fromBook.netProfit, 15120 - 15020 - (15020 * 0.001 + 15120 * 0.002) - withdrawal);
+    assert.strictEqual(fromBook.source, 'ticker', 'Kraken side still comes from the ticker');
+    console.log('✅ Average buy', fromBook.buyPrice.toFixed(2), 'from the book');
+
+    // Test 4: Triangular cycles within one exchange, ranked with the spatial ones
+    console.log('\n📋 Test 4: Triangular and ranking');
+    publish('Coinbase', 'BTC/USDT', 49990, 50000, 1, 1);
+    publish('Coinbase', 'ETH/BTC', 0.0612, 0.0613, 10, 10);
+    publish('Coinbase', 'ETH/USDT', 3100, 3101, 10, 10);
+
+    const triangular = ArbitrageScanner.findTriangular(coordinator.getExchangeTickers());
+    assert.deepStrictEqual(triangular.map(opportunity => opportunity.path), ['USDT>BTC>ETH>USDT']);
+    const product = Math.pow(0.999, 3) * 3100 / (50000 * 0.0613);
+    close(triangular[0].netProfitBps, (product - 1) * 10000, 'Cycle return after fees');
+    close(triangular[0].notional, 20000);
+    assert.deepStrictEqual(triangular[0].legs.map(leg => `${leg.side} ${leg.symbol}`), ['buy BTC/USDT', 'buy ETH/BTC', 'sell ETH/USDT']);
+    close(triangular[0].legs[0].amount, 20000 / 50000);
+
+    const opportunities = await ArbitrageScanner.scan();
+    assert.deepStrictEqual(
+      opportunities.map(opportunity => opportunity.type === 'spatial' ? `${opportunity.buyExchange}>${opportunity.sellExchange}` : opportunity.path),
+      ['USDT>BTC>ETH>USDT', 'Coinbase>Kraken', 'Binance>Kraken']
+    );
+    assert.ok(opportunities.every((opportunity, index) => index === 0 || opportunities[index - 1].score >= opportunity.score));
+    console.log('✅', opportunities.map(opportunity => `${opportunity.path || opportunity.buyExchange} ${opportunity.score.toFixed(2)}`).join(', '));
+
+    // Test 5: Opportunities are recorded once and closed when they disappear
+    console.log('\n📋 Test 5: Recording');
+    const events = [];
+    ArbitrageScanner.on('opportunity', opportunity => events.push(['opportunity', opportunity.id]));
+    ArbitrageScanner.on('closed', opportunity => events.push(['closed', opportunity.id]));
+
+    await ArbitrageScanner.scan();
+    assert.strictEqual(events.length, 0, 'Known opportunities are not re-announced');
+    assert.strictEqual(ArbitrageScanner.getOpportunities()[0].observations, 2);
+
+    const open = await ArbitrageScanner.getHistory({ status: 'open' });
+    assert.strictEqual(open.length, 3);
+    assert.strictEqual(open.find(row => row.type === 'triangular').legs.length, 3);
+
+    const binanceRoute = ArbitrageScanner.getOpportunities().find(opportunity => opportunity.buyExchange === 'Binance');
+    coordinator.orderBooks.clear();
+    publish('Binance', 'BTC/USDT', 50060, 50300, 2, 1);
+    await ArbitrageScanner.scan();
+    assert.deepStrictEqual(events, [['closed', binanceRoute.id]]);
+    const [closed] = await ArbitrageScanner.getHistory({ status: 'closed' });
+    assert.strictEqual(closed.id, binanceRoute.id);
+    assert.strictEqual(closed.observations, 2);
+    assert.ok(closed.closedAt);
+    assert.strictEqual(ArbitrageScanner.getStats().open, 2);
+    console.log('✅ Binance route closed after', closed.observations, 'observations');
+
+    // Test 6: Paper execution
+    console.log('\n📋 Test 6: Paper execution');
+    const spatialRoute = ArbitrageScanner.getOpportunities({ type: 'spatial' })[0];
+    await assert.rejects(ArbitrageScanner.executeOpportunity('arb_missing'), error => error.code === ARBITRAGE_ERRORS.NOT_FOUND);
+
+    const kraken = coordinator.exchanges.get('Kraken').instance;
+    kraken.paperTrading = false;
+    await assert.rejects(ArbitrageScanner.executeOpportunity(spatialRoute.id), error => error.code === ARBITRAGE_ERRORS.LIVE_DISABLED);
+    kraken.paperTrading = true;
+
+    const spatialResult = await ArbitrageScanner.executeOpportunity(spatialRoute.id, { userId: 1 });
+    assert.strictEqual(spatialResult.status, 'executed');
+    assert.deepStrictEqual(spatialResult.legs.map(leg => `${leg.exchange} ${leg.side} ${leg.status}`), ['Coinbase buy filled', 'Kraken sell filled']);
+    assert.ok(spatialResult.realizedProfit > 0);
+
+    const triangularRoute = ArbitrageScanner.getOpportunities({ type: 'triangular' })[0];
+    const triangularResult = await ArbitrageScanner.executeOpportunity(triangularRoute.id);
+    assert.strictEqual(triangularResult.status, 'executed');
+    assert.ok(triangularResult.legs.every(leg => leg.status === 'filled'));
+    assert.ok(triangularResult.realizedProfit > 0, 'USDT out exceeds USDT in');
+
+    const ledgerOrders = await OrderLedger.getOrders({ limit: 10 });
+    assert.strictEqual(ledgerOrders.filter(order => order.metadata.opportunityId === triangularRoute.id).length, 3);
+    assert.ok(ledgerOrders.every(order => order.source === 'arbitrage'));
+
+    const [executed] = await ArbitrageScanner.getHistory({ status: 'executed', type: 'triangular' });
+    assert.strictEqual(executed.execution.legs.length, 3);
+    assert.strictEqual(ArbitrageScanner.getStats().open, 0);
+    console.log('✅ Spatial realized', spatialResult.realizedProfit.toFixed(2), 'triangular realized', triangularResult.realizedProfit.toFixed(2), 'USDT');
+  } finally {
+    ArbitrageScanner.stop();
+    clearInterval(coordinator.healthTimer);
+  }
+
+  console.log('\n🎉 All arbitrage scanner tests passed');
+}
+
+if (require.main === module) {
+  runArbitrageScannerTests().catch(error => {
+    console.error('❌ Arbitrage scanner tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runArbitrageScannerTests };
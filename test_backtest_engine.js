@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest Engine Test Suite
+ * Replays synthetic candles through the strategy presets and checks the report
+ */
+
+const assert = require('assert');
+const BacktestEngine = require('./server/services/BacktestEngine');
+const StrategyEngine = require('./server/services/StrategyEngine');
+const MasterAgentSystem = require('./server/services/MasterAgentSystem');
+
+function generateCandles(prices, intervalMs = 60 * 60 * 1000) {
+  const start = Date.UTC(2024, 0, 1);
+  return prices.map((price, i) => ({
+    timestamp: new Date(start + i * intervalMs),
+    open: i > 0 ? prices[i - 1] : price,
+    high: Math.max(price, i > 0 ? prices[i - 1] : price),
+    low: Math.min(price, i > 0 ? prices[i - 1] : price),
+    close: price,
+    volume: 100
+  }));
+}
+
+function barReturns(report) {
+  const equity = report.equityCurve.map(point => point.equity);
+  return equity.slice(1).map((value, i) => (value - equity[i]) / equity[i]);
+}
+
+async function runBacktestEngineTests() {
+  console.log('🧪 Backtest Engine Test Suite');
+  console.log('=============================\n');
+
+  const engine = new BacktestEngine({ database: {} });
+
+  // Test 1: Candle bucketing from raw SQLite ticks
+  console.log('📋 Test 1: Candle building');
+  const candles = engine.buildCandles([
+    { price: 100, volume: 1, timestamp: '2024-01-01 00:00:10' },
+    { price: 105, volume: 2, timestamp: '2024-01-01 00:30:00' },
+    { price: 98, volume: 1, timestamp: '2024-01-01 00:59:59' },
+    { price: 101, volume: 4, timestamp: '2024-01-01 01:05:00' }
+  ], BacktestEngine.INTERVAL_MS['1h']);
+  assert.strictEqual(candles.length, 2);
+  assert.deepStrictEqual(
+    [candles[0].open, candles[0].high, candles[0].low, candles[0].close, candles[0].volume],
+    [100, 105, 98, 98, 4]
+  );
+  assert.strictEqual(candles[0].timestamp.toISOString(), '2024-01-01T00:00:00.000Z');
+  console.log('✅ Ticks bucketed into OHLCV candles');
+
+  // Test 2: Dip buy followed by take profit
+  console.log('\n📋 Test 2: Strategy replay');
+  const prices = [100, 100, 97, 97, 97, 99, 101, 101, 101];
+  const fills = [];
+  engine.on('fill', fill => fills.push(fill));
+
+  const report = await engine.run({
+    candles: generateCandles(prices),
+    strategy: 'conservative',
+    initialCapital: 10000
+  });
+
+  assert.strictEqual(report.summary.totalTrades, 1);
+  assert.strictEqual(fills.length, 2);
+  assert.strictEqual(fills[0].side, 'BUY');
+  assert.ok(/Take profit/.test(report.trades[0].exitReason), 'Exit via take profit');
+  assert.ok(report.trades[0].return > 0.02 && report.trades[0].return < 0.04, 'Return net of costs');
+  assert.ok(report.summary.totalFees > 0, 'Fees charged');
+  assert.strictEqual(report.equityCurve.length, prices.length);
+  console.log('✅ Trade return:', (report.trades[0].return * 100).toFixed(2) + '%');
+
+  // Test 3: Fill simulation charges friction on both sides
+  console.log('\n📋 Test 3: Fill simulation');
+  const buy = engine.simulateFill('BUY', 100, 10000, { orderType: 'market' });
+  const sell = engine.simulateFill('SELL', 100, 10000, { orderType: 'market' });
+  assert.ok(buy.fillPrice > 100 && sell.fillPrice < 100, 'Slippage against the trader');
+  assert.ok(Math.abs(buy.fees - 22.5) < 1e-9, 'Taker fee plus half spread');
+  console.log('✅ Buy fill:', buy.fillPrice.toFixed(4), 'Sell fill:', sell.fillPrice.toFixed(4));
+
+  // Test 4: Stop loss and report metrics
+  console.log('\n📋 Test 4: Stop loss and risk metrics');
+  const crash = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles([100, 100, 97, 95, 90, 92, 93]),
+    strategy: 'moderate'
+  });
+  assert.ok(crash.summary.totalTrades >= 1);
+  assert.ok(/Stop loss/.test(crash.trades[0].exitReason));
+  assert.ok(crash.summary.totalReturn < 0);
+  assert.ok(crash.summary.maxDrawdown.maxDrawdown > 0);
+  assert.strictEqual(crash.performance.totalTrades, crash.summary.totalTrades);
+  console.log('✅ Max drawdown:', crash.summary.maxDrawdown.maxDrawdownPercent.toFixed(3) + '%');
+
+  // En eksplicit 0 overskriver presettet - stop ved indgangsprisen
+  const breakeven = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles([100, 100, 97, 97.5, 96, 101]),
+    strategy: 'moderate',
+    stopLoss: 0
+  });
+  assert.strictEqual(breakeven.config.stopLoss, 0);
+  assert.strictEqual(breakeven.trades[0].exitReason, 'Stop loss 0% hit');
+  assert.strictEqual(engine.buildConfig({ strategy: 'moderate', stopLoss: null }).stopLoss, BacktestEngine.STRATEGY_PRESETS.moderate.stopLoss);
+
+  // Sharpe annualiseres efter bar intervallet - 8760 timebars men kun 365 dagsbars om året
+  const crashPrices = [100, 100, 97, 95, 90, 92, 93];
+  const daily = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles(crashPrices, 24 * 60 * 60 * 1000),
+    interval: '1d',
+    strategy: 'moderate'
+  });
+  const quant = engine.quantEngine;
+  assert.strictEqual(crash.summary.sharpeRatio, quant.calculateAnnualizedSharpe(barReturns(crash), 365 * 24));
+  assert.strictEqual(daily.summary.sharpeRatio, quant.calculateAnnualizedSharpe(barReturns(daily), 365));
+  assert.ok(crash.summary.sharpeRatio < daily.summary.sharpeRatio && daily.summary.sharpeRatio < 0, 'More bars per year scale the loss up');
+  assert.throws(() => engine.buildConfig({ interval: '2h' }), /Unsupported interval/);
+
+  // 6 afkast er for få til en 95% VaR - kun det værste afkast rapporteres
+  assert.deepStrictEqual(crash.summary.cvar, { cvar: Math.min(...barReturns(crash)) });
+  const long = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles(Array.from({ length: 60 }, (_, i) => 100 + 4 * Math.sin(i / 3))),
+    strategy: 'aggressive'
+  });
+  const tail = quant.calculateCVaR(barReturns(long));
+  assert.ok(long.summary.totalTrades > 0 && typeof tail.var === 'number');
+  assert.strictEqual(long.summary.cvar.var, tail.var);
+  assert.ok(long.summary.cvar.cvar <= long.summary.cvar.var, 'CVaR averages the tail beyond VaR');
+  console.log('✅ Sharpe', crash.summary.sharpeRatio.toFixed(2), 'on 1h bars,', daily.summary.sharpeRatio.toFixed(2), 'on 1d bars');
+
+  // Test 5: Master agent mode uses the decision pipeline
+  console.log('\n📋 Test 5: Master agent replay');
+  let decisions = 0;
+  const agentSystem = {
+    orchestrateDecision: async () => {
+      decisions++;
+      return { action: decisions === 2 ? 'BUY' : 'HOLD', confidence: 0.9, masterValidation: { finalApproval: true } };
+    }
+  };
+  const agentReport = await new BacktestEngine({ database: {}, agentSystem }).run({
+    candles: generateCandles([100, 101, 102, 103]),
+    mode: 'master_agent'
+  });
+  assert.strictEqual(decisions, 4);
+  assert.strictEqual(agentReport.summary.totalTrades, 1);
+  assert.strictEqual(agentReport.trades[0].exitReason, 'End of backtest');
+
+  // Uden indsprøjtet agentSystem bygges en isoleret instans uden live kill switch
+  const isolated = new BacktestEngine({ database: {} });
+  await isolated.run({ candles: generateCandles([100, 101, 102, 103]), mode: 'master_agent' });
+  assert.ok(isolated.agentSystem instanceof MasterAgentSystem);
+  assert.strictEqual(isolated.agentSystem.killSwitch, null);
+  console.log('✅ Agent decisions replayed:', decisions);
+
+  // Test 6: Plugin strategier får bar tid, warmup og onFill
+  console.log('\n📋 Test 6: Plugin strategy replay');
+  const pluginReport = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles([100, 100, 100, 97, 97, 98, 99, 103, 103]),
+    mode: 'plugin',
+    strategy: 'moderate',
+    params: { positionSize: 50 },
+    warmupBars: 1
+  });
+  assert.strictEqual(pluginReport.config.strategy, 'moderate');
+  assert.strictEqual(pluginReport.config.params.positionSize, 50);
+  assert.strictEqual(pluginReport.equityCurve.length, 8, 'Warmup bar left out');
+  assert.strictEqual(pluginReport.summary.totalTrades, 1, 'Cooldown measured in bar time');
+  assert.ok(Math.abs(pluginReport.trades[0].volume - 5000) < 1e-9, 'positionSize of the capital');
+  assert.ok(/Take profit/.test(pluginReport.trades[0].exitReason));
+
+  const probeFills = [];
+  StrategyEngine.register({
+    name: 'backtest_probe',
+    symbols: ['BTC/USDT'],
+    timeframes: ['1h'],
+    onCandle(ctx, candle) {
+      if (candle.close === 97 && ctx.position().quantity === 0) return { side: 'buy', notional: 1000, reason: 'Probe buy' };
+      if (candle.close === 103) return { side: 'sell', reason: 'Probe sell' };
+      return null;
+    },
+    onFill(ctx, fill) {
+      probeFills.push({ side: fill.side, realizedPnl: fill.realizedPnl, quantity: ctx.position().quantity });
+    }
+  });
+  const probe = await new BacktestEngine({ database: {} }).run({
+    candles: generateCandles([100, 97, 97, 100, 103]),
+    mode: 'plugin',
+    strategy: 'backtest_probe'
+  });
+  assert.deepStrictEqual(probeFills.map(fill => fill.side), ['buy', 'sell']);
+  assert.ok(probeFills[0].quantity > 0 && probeFills[1].quantity === 0, 'onFill sees the updated position');
+  assert.strictEqual(probeFills[1].realizedPnl, probe.trades[0].pnl);
+  await assert.rejects(new BacktestEngine({ database: {} }).run({
+    candles: generateCandles([100, 101]), mode: 'plugin', strategy: 'backtest_probe', symbol: 'DOGE/USDT'
+  }), /does not trade DOGE\/USDT/);
+  console.log('✅ Plugin trade return:', (pluginReport.trades[0].return * 100).toFixed(2) + '%');
+
+  console.log('\n🎉 All backtest engine tests passed');
+}
+
+if (require.main === module) {
+  runBacktestEngineTests().catch(error => {
+    console.error('❌ Backtest engine tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBacktestEngineTests };
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Candle Aggregator Test Suite
+ * OHLCV candles from live ticks across timeframes, persistence, REST backfill of gaps and adapter klines
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const WebSocketCoordinator = require('./server/services/WebSocketCoordinator');
+const CandleAggregator = require('./server/services/CandleAggregator');
+const BinanceExchange = require('./server/services/BinanceExchange');
+const KrakenExchange = require('./server/services/KrakenExchange');
+const PaperExchange = require('./server/services/PaperExchange');
+
+const { TIMEFRAMES } = CandleAggregator;
+const MINUTE = TIMEFRAMES['1m'];
+
+async function runCandleAggregatorTests() {
+  console.log('🧪 Candle Aggregator Test Suite');
+  console.log('==============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+
+  // Døgnalignet starttid så alle timeframes deler bucket ved T0
+  const T0 = Date.UTC(2025, 8, 30);
+  const at = offset => new Date(T0 + offset).toISOString();
+
+  const klineCalls = [];
+  const restAdapter = {
+    supports: method => method === 'getKlines',
+    // REST historik findes fra 3 candles før T0
+    getKlines: async (symbol, interval, { start, end }) => {
+      klineCalls.push({ symbol, interval, start, end });
+      const ms = TIMEFRAMES[interval];
+      const klines = [];
+      for (let openTime = Math.max(start, T0 - 3 * ms); openTime <= end; openTime += ms) {
+        klines.push({ openTime, open: 200, high: 210, low: 190, close: 205, volume: 10 });
+      }
+      return klines;
+    }
+  };
+
+  const coordinator = new WebSocketCoordinator();
+  coordinator.exchanges = new Map([
+    ['Coinbase', { instance: { supports: () => false }, metrics: { lastTicker: null, tickerCount: 0 } }],
+    ['Binance', { instance: restAdapter, metrics: { lastTicker: null, tickerCount: 0 } }]
+  ]);
+
+  const tick = (exchange, offset, price, volume) =>
+    coordinator.handleTickerUpdate(exchange, { symbol: 'BTC/USDT', price, volume, timestamp: at(offset) });
+
+  try {
+    await CandleAggregator.initialize({ database: DatabaseService, timeframes: ['1m', '5m', '1h'], flushInterval: 0 });
+    CandleAggregator.attach(coordinator);
+
+    // Test 1: ticks bygger candles i alle timeframes
+    console.log('📋 Test 1: Tick aggregation across timeframes');
+    const closedCandles = [];
+    CandleAggregator.on('candleClosed', candle => closedCandles.push(candle));
+
+    tick('Coinbase', 10000, 100, 1000);
+    tick('Coinbase', 20000, 105, 1002);
+    tick('Coinbase', 50000, 98, 1001);
+    tick('Coinbase', MINUTE + 10000, 101, 1005);
+
+    assert.strictEqual(closedCandles.length, 1, 'Only the 1m candle closes');
+    const [firstMinute] = closedCandles;
+    assert.deepStrictEqual(
+      [firstMinute.timeframe, firstMinute.openTime, firstMinute.open, firstMinute.high, firstMinute.low, firstMinute.close],
+      ['1m', T0, 100, 105, 98, 98]
+    );
+    assert.strictEqual(firstMinute.ticks, 3);
+    // Rullende 24h volumen: kun stigninger tæller (1000 → 1002 = 2, fald til 1001 = 0)
+    assert.strictEqual(firstMinute.volume, 2);
+
+    const { candles: fiveMinute } = await CandleAggregator.getCandles({ symbol: 'BTC/USDT', exchange: 'Coinbase', timeframe: '5m' });
+    assert.strictEqual(fiveMinute.length, 1);
+    assert.deepStrictEqual(
+      [fiveMinute[0].open, fiveMinute[0].high, fiveMinute[0].low, fiveMinute[0].close, fiveMinute[0].volume, fiveMinute[0].ticks],
+      [100, 105, 98, 101, 6, 4]
+    );
+    console.log('✅ 1m candle closed at', firstMinute.close, '- 5m candle still open with', fiveMinute[0].ticks, 'ticks');
+
+    // Test 2: flush gemmer lukkede og ændrede candles med upsert
+    console.log('\n📋 Test 2: Flush and upsert');
+    assert.strictEqual(await CandleAggregator.flush(), 4, 'Closed 1m + open 1m, 5m and 1h');
+    assert.strictEqual(await CandleAggregator.flush(), 0, 'Nothing changed since last flush');
+
+    tick('Coinbase', MINUTE + 30000, 110, 1006);
+    assert.strictEqual(await CandleAggregator.flush(), 3);
+
+    const stored = await DatabaseService.all(
+      "SELECT * FROM candles WHERE exchange = 'Coinbase' AND timeframe = '1m' ORDER BY open_time"
+    );
+    assert.strictEqual(stored.length, 2);
+    assert.strictEqual(parseInt(stored[0].open_time), T0);
+    assert.strictEqual(parseFloat(stored[1].close_price), 110);
+    assert.strictEqual(parseFloat(stored[1].high_price), 110);
+    assert.strictEqual(stored[1].source, 'live');
+    assert.strictEqual(klineCalls.length, 0, 'Coinbase adapter has no klines');
+    console.log('✅ Stored', stored.length, '1m candles, current candle updated in place');
+
+    // Test 3: første tick henter historik og fletter den nuværende candle med REST
+    console.log('\n📋 Test 3: First-tick backfill from REST klines');
+    tick('Binance', 30000, 202, 500);
+    await CandleAggregator.whenIdle();
+
+    assert.strictEqual(klineCalls.length, 3, 'One backfill per timeframe');
+    const oneMinuteCall = klineCalls.find(call => call.interval === '1m');
+    assert.strictEqual(oneMinuteCall.end, T0);
+    assert.strictEqual(oneMinuteCall.start, T0 - 499 * MINUTE, 'backfillLimit candles back without stored history');
+
+    const { candles: binanceMinutes } = await CandleAggregator.getCandles({ symbol: 'BTC/USDT', exchange: 'Binance', timeframe: '1m' });
+    assert.strictEqual(binanceMinutes.length, 4);
+    assert.deepStrictEqual(binanceMinutes.slice(0, 3).map(candle => candle.source), ['rest', 'rest', 'rest']);
+    const merged = binanceMinutes[3];
+    assert.deepStrictEqual(
+      [merged.source, merged.open, merged.high, merged.low, merged.close, merged.volume],
+      ['live', 200, 210, 190, 202, 10]
+    );
+    console.log('✅ 3 REST candles stored, live candle opened at REST open', merged.open);
+
+    // Test 4: et hul mellem to ticks udfyldes fra REST
+    console.log('\n📋 Test 4: Gap backfill');
+    klineCalls.length = 0;
+    tick('Binance', 4 * MINUTE + 5000, 199, 503);
+    await CandleAggregator.whenIdle();
+
+    assert.strictEqual(klineCalls.length, 1, 'Only the 1m series has a gap');
+    assert.deepStrictEqual([klineCalls[0].start, klineCalls[0].end], [T0 + MINUTE, T0 + 3 * MINUTE]);
+
+    const { candles: withGap } = await CandleAggregator.getCandles({ symbol: 'BTC/USDT', exchange: 'Binance', timeframe: '1m' });
+    assert.deepStrictEqual(withGap.map(candle => (candle.openTime - T0) / MINUTE), [-3, -2, -1, 0, 1, 2, 3, 4]);
+    assert.strictEqual(withGap[3].close, 202, 'Pending closed candle included before flush');
+    assert.strictEqual(withGap[7].close, 199);
+
+    await CandleAggregator.flush();
+    const { candles: window } = await CandleAggregator.getCandles({
+      symbol: 'BTC/USDT', exchange: 'Binance', timeframe: '1m', start: T0, end: T0 + 3 * MINUTE, limit: 2
+    });
+    assert.deepStrictEqual(window.map(candle => (candle.openTime - T0) / MINUTE), [2, 3]);
+    assert.ok(window.every(candle => candle.closed));
+    console.log('✅ Gap of 3 candles filled, range and limit respected');
+
+    // Test 5: exchange vælges automatisk og ugyldige forespørgsler afvises
+    console.log('\n📋 Test 5: Exchange resolution and validation');
+    const latest = await CandleAggregator.getCandles({ symbol: 'BTC/USDT', timeframe: '1m' });
+    assert.strictEqual(latest.exchange, 'Binance', 'Exchange with the newest candle');
+
+    const none = await CandleAggregator.getCandles({ symbol: 'DOGE/USDT', timeframe: '1h' });
+    assert.deepStrictEqual([none.exchange, none.candles], [null, []]);
+
+    await assert.rejects(
+      CandleAggregator.getCandles({ symbol: 'BTC/USDT', timeframe: '2h' }),
+      error => error.code === 'CANDLE_INVALID_REQUEST'
+    );
+    await assert.rejects(
+      CandleAggregator.getCandles({ timeframe: '1h' }),
+      error => error.code === 'CANDLE_INVALID_REQUEST'
+    );
+    console.log('✅ Resolved', latest.exchange, 'and rejected unsupported timeframe');
+
+    // Test 6: adapterne parser exchangens kline formater
+    console.log('\n📋 Test 6: Adapter klines');
+    const binance = new BinanceExchange();
+    let binanceUrl = null;
+    binance.request = async url => {
+      binanceUrl = url;
+      return [[T0, '100.5', '110', '99', '105', '12.5', T0 + 3599999, '0', 10]];
+    };
+    const [binanceKline] = await binance.getKlines('BTC/USDT', '1h', { start: T0, limit: 2000 });
+    assert.ok(binanceUrl.includes('symbol=BTCUSDT') && binanceUrl.includes('interval=1h') && binanceUrl.includes('limit=1000'));
+    assert.deepStrictEqual(binanceKline, { openTime: T0, open: 100.5, high: 110, low: 99, close: 105, volume: 12.5 });
+    assert.strictEqual(binance.getCapabilities().klines, true);
+
+    const kraken = new KrakenExchange();
+    let krakenParams = null;
+    kraken.makeRequest = async (method, endpoint, params) => {
+      krakenParams = params;
+      return {
+        XXBTZUSD: [
+          [T0 / 1000 - 900, '90', '95', '89', '94', '93', '1.0', 5],
+          [T0 / 1000, '94', '96', '93', '95', '94.5', '2.5', 8]
+        ],
+        last: T0 / 1000
+      };
+    };
+    const krakenKlines = await kraken.getKlines('BTC/USD', '15m', { start: T0 });
+    assert.strictEqual(krakenParams.interval, 15);
+    assert.deepStrictEqual(krakenKlines, [{ openTime: T0, open: 94, high: 96, low: 93, close: 95, volume: 2.5 }]);
+
+    await assert.rejects(binance.getKlines('BTC/USDT', '3m'), error => error.code === 'NOT_SUPPORTED');
+
+    const paper = new PaperExchange('Paper', { priceSource: { getTicker: async () => ({ price: 1 }) } });
+    assert.strictEqual(paper.supports('getKlines'), false, 'Paper klines follow the price source');
+    paper.priceSource = binance;
+    assert.strictEqual(paper.supports('getKlines'), true);
+    console.log('✅ Binance and Kraken klines normalized');
+  } finally {
+    CandleAggregator.stop();
+    CandleAggregator.removeAllListeners('candleClosed');
+    clearInterval(coordinator.healthTimer);
+  }
+
+  console.log('\n🎉 All candle aggregator tests passed');
+}
+
+if (require.main === module) {
+  runCandleAggregatorTests().catch(error => {
+    console.error('❌ Candle aggregator tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runCandleAggregatorTests };
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Conditional Order Engine Test Suite
+ * Drives stop, take-profit, trailing and OCO triggers with a scripted ticker stream
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const ConditionalOrderEngine = require('./server/services/ConditionalOrderEngine');
+
+class ScriptedCoordinator extends EventEmitter {
+  constructor() {
+    super();
+    this.tickers = {};
+  }
+
+  getAllTickers() {
+    return this.tickers;
+  }
+
+  push(symbol, price, exchange = 'Binance') {
+    this.tickers[symbol] = { symbol, price };
+    this.emit('exchangeTicker', { symbol, price, exchange, timestamp: new Date().toISOString() });
+  }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+async function runConditionalOrderTests() {
+  console.log('🧪 Conditional Order Engine Test Suite');
+  console.log('======================================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+
+  const executed = [];
+  const executor = {
+    rejectNext: false,
+    async executeOrder(order) {
+      executed.push(order);
+      if (this.rejectNext) {
+        this.rejectNext = false;
+        return { success: false, error: 'Exchange offline' };
+      }
+      return { success: true, order: { id: `ord_${executed.length}` } };
+    }
+  };
+
+  const coordinator = new ScriptedCoordinator();
+  await ConditionalOrderEngine.initialize({ database: DatabaseService, executor });
+  ConditionalOrderEngine.attach(coordinator);
+
+  // Test 1: Stop-market sell fires only once price trades through
+  console.log('📋 Test 1: Stop-market');
+  const stop = await ConditionalOrderEngine.createConditionalOrder({
+    exchange: 'Binance', symbol: 'BTC/USDT', side: 'sell', amount: 0.5, type: 'stop_market', triggerPrice: 48000
+  });
+  coordinator.push('BTC/USDT', 48500);
+  coordinator.push('BTC/USDT', 47000, 'Kraken');
+  await settle();
+  assert.strictEqual(executed.length, 0, 'A price on another exchange does not trigger');
+  coordinator.push('BTC/USDT', 47900);
+  coordinator.push('BTC/USDT', 47800);
+  await settle();
+  assert.strictEqual(executed.length, 1, 'Fires exactly once');
+  assert.deepStrictEqual(
+    [executed[0].exchange, executed[0].side, executed[0].type, executed[0].amount],
+    ['Binance', 'sell', 'market', 0.5]
+  );
+  const [stored] = await ConditionalOrderEngine.getConditionalOrders({ status: 'triggered' });
+  assert.strictEqual(stored.id, stop.id);
+  assert.strictEqual(stored.orderId, 'ord_1');
+  console.log('✅ Stop fired at 47900');
+
+  // Test 2: OCO bracket - take profit cancels the stop
+  console.log('\n📋 Test 2: OCO bracket');
+  const bracket = await ConditionalOrderEngine.createBracket({
+    exchange: 'Binance', symbol: 'ETH/USDT', positionSide: 'long', amount: 2, stopLoss: 2900, takeProfit: 3300
+  });
+  assert.strictEqual(bracket.legs.length, 2);
+  coordinator.push('ETH/USDT', 3350);
+  await settle();
+  assert.strictEqual(executed.length, 2);
+  assert.strictEqual(executed[1].metadata.conditionalType, 'take_profit');
+  const cancelled = await ConditionalOrderEngine.getConditionalOrders({ status: 'cancelled' });
+  assert.strictEqual(cancelled.length, 1);
+  assert.strictEqual(cancelled[0].type, 'stop_market');
+  coordinator.push('ETH/USDT', 2800);
+  await settle();
+  assert.strictEqual(executed.length, 2, 'Cancelled leg never fires');
+  console.log('✅ Take profit filled, stop cancelled');
+
+  // Test 3: Trailing stop follows the high and fires on the retrace
+  console.log('\n📋 Test 3: Trailing stop');
+  coordinator.push('SOL/USDT', 100);
+  const trailing = await ConditionalOrderEngine.createBracket({
+    exchange: 'Binance', symbol: 'SOL/USDT', amount: 10, trailingPercent: 5
+  });
+  const leg = trailing.legs[0];
+  assert.strictEqual(leg.triggerPrice, 95);
+  coordinator.push('SOL/USDT', 110);
+  coordinator.push('SOL/USDT', 120);
+  coordinator.push('SOL/USDT', 115);
+  await settle();
+  assert.strictEqual(leg.triggerPrice, 114);
+  assert.strictEqual(executed.length, 2);
+  coordinator.push('SOL/USDT', 113.5);
+  await settle();
+  assert.strictEqual(executed.length, 3);
+  console.log('✅ Trailing stop ratcheted to', leg.triggerPrice);
+
+  // Test 4: Stop-limit passes the limit and failures are recorded
+  console.log('\n📋 Test 4: Stop-limit and failures');
+  executor.rejectNext = true;
+  const stopLimit = await ConditionalOrderEngine.createConditionalOrder({
+    exchange: 'Binance', symbol: 'BTC/USDT', side: 'buy', amount: 0.1, type: 'stop_limit', triggerPrice: 52000, limitPrice: 52100
+  });
+  coordinator.push('BTC/USDT', 52050);
+  await settle();
+  assert.strictEqual(executed[3].type, 'limit');
+  assert.strictEqual(executed[3].price, 52100);
+  assert.strictEqual(stopLimit.status, 'failed');
+  assert.strictEqual(stopLimit.error, 'Exchange offline');
+  await assert.rejects(
+    ConditionalOrderEngine.createConditionalOrder({ exchange: 'Binance', symbol: 'BTC/USDT', side: 'sell', amount: 1, type: 'stop_limit', triggerPrice: 1 }),
+    /limitPrice/
+  );
+  await assert.rejects(
+    ConditionalOrderEngine.createConditionalOrder({ symbol: 'BTC/USDT', side: 'sell', amount: 1, type: 'stop_market', triggerPrice: 1 }),
+    /exchange is required/
+  );
+  await assert.rejects(
+    ConditionalOrderEngine.createBracket({ symbol: 'BTC/USDT', amount: 1, stopLoss: 45000, takeProfit: 55000 }),
+    /exchange is required/
+  );
+  assert.strictEqual(ConditionalOrderEngine.getPendingOrders({ symbol: 'BTC/USDT' }).length, 0, 'No half bracket left behind');
+  console.log('✅ Stop-limit failure recorded');
+
+  // Test 5: Pending triggers survive a restart
+  console.log('\n📋 Test 5: Restart');
+  coordinator.push('ADA/USDT', 1.0);
+  const survivor = await ConditionalOrderEngine.createBracket({
+    exchange: 'Binance', symbol: 'ADA/USDT', amount: 1000, trailingPercent: 10
+  });
+  coordinator.push('ADA/USDT', 1.2);
+  await settle();
+  await ConditionalOrderEngine.initialize({ database: DatabaseService, executor });
+  const reloaded = ConditionalOrderEngine.getPendingOrders({ symbol: 'ADA/USDT' });
+  assert.strictEqual(reloaded.length, 1);
+  assert.strictEqual(reloaded[0].id, survivor.legs[0].id);
+  assert.strictEqual(reloaded[0].extremePrice, 1.2);
+  assert.ok(Math.abs(reloaded[0].triggerPrice - 1.08) < 1e-9);
+  coordinator.push('ADA/USDT', 1.05);
+  await settle();
+  assert.strictEqual(executed.length, 5);
+  assert.strictEqual(ConditionalOrderEngine.getPendingOrders().length, 0);
+  console.log('✅ Trailing stop reloaded at', reloaded[0].triggerPrice.toFixed(2));
+
+  // Test 6: Two ticks in a row cannot fire both OCO legs
+  console.log('\n📋 Test 6: OCO race');
+  const race = await ConditionalOrderEngine.createBracket({
+    exchange: 'Binance', symbol: 'XRP/USDT', positionSide: 'long', amount: 100, stopLoss: 0.45, takeProfit: 0.55
+  });
+  coordinator.push('XRP/USDT', 0.56);
+  coordinator.push('XRP/USDT', 0.44);
+  await settle();
+  assert.strictEqual(executed.length, 6, 'Only the take profit fired');
+  assert.strictEqual(executed[5].metadata.conditionalOrderId, race.legs[1].id);
+  assert.strictEqual(race.legs[0].status, 'cancelled');
+  assert.strictEqual((await ConditionalOrderEngine.getConditionalOrders({ status: 'cancelled' })).length, 2);
+  console.log('✅ Stop removed before the take profit was placed');
+
+  console.log('\n🎉 All conditional order tests passed');
+}
+
+if (require.main === module) {
+  runConditionalOrderTests().catch(error => {
+    console.error('❌ Conditional order tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runConditionalOrderTests };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Decision Audit Test Suite
+ * Every MasterAgentSystem orchestration cycle persisted in ai_decisions with raw and adjusted
+ * agent decisions, conflicts, consensus and master validation - replayed and diffed from the log
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const MasterAgentSystem = require('./server/services/MasterAgentSystem');
+
+// Agenternes anbefalinger per cyklus: [recommendation, confidence]
+let script = {};
+
+async function createSystem(database) {
+  const system = new MasterAgentSystem();
+  system.killSwitch = null;
+  system.database = database;
+  await system.initializeMasterAgent();
+  await system.initializeSpecializedAgents();
+  system.detectMarketRegime = async () => 'BULL';
+  system.getAgentDecision = async agent => {
+    const [recommendation, confidence] = script[agent.id] || ['HOLD', 0.6];
+    return { agentId: agent.id, recommendation, confidence, reasoning: `${agent.name} scripted`, evidence: [{ metric: 'script', value: recommendation, detail: 'Scripted' }], timestamp: new Date() };
+  };
+  return system;
+}
+
+async function runDecisionAuditTests() {
+  console.log('🧪 Decision Audit Test Suite');
+  console.log('============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  const system = await createSystem(DatabaseService);
+
+  // Test 1: En cyklus med konflikter logges fuldt
+  console.log('📋 Test 1: Cycle persisted in ai_decisions');
+  script = {
+    price_predictor_oracle: ['BUY', 0.9],
+    signal_generator_oracle: ['SELL', 0.9],
+    risk_sentinel: ['REDUCE_RISK', 0.92]
+  };
+  const first = await system.orchestrateDecision({ symbol: 'BTC/USDT', price: 50000 });
+  assert.ok(/^cycle_\d+_[0-9a-f]{12}$/.test(first.cycleId), first.cycleId);
+
+  const [row] = await DatabaseService.all('SELECT * FROM ai_decisions WHERE cycle_id = ?', [first.cycleId]);
+  const [coordinator] = await DatabaseService.all("SELECT id FROM ai_agents WHERE type = 'coordinator'");
+  assert.strictEqual(row.decision_type, 'master_agent_cycle');
+  assert.strictEqual(row.agent_id, coordinator.id, 'Logged under the Master Agent');
+  assert.strictEqual(row.confidence, first.confidence);
+  assert.deepStrictEqual(JSON.parse(row.input_data), { symbol: 'BTC/USDT', price: 50000, candles: 1, timestamp: JSON.parse(JSON.stringify(first.timestamp)) });
+  assert.ok(row.reasoning.startsWith('BULL: consensus'), row.reasoning);
+
+  const audit = await MasterAgentSystem.getDecisionCycle(first.cycleId, { database: DatabaseService });
+  assert.strictEqual(audit.regime, 'BULL');
+  assert.strictEqual(audit.agents.length, 6);
+  const predictor = audit.agents.find(agent => agent.agentId === 'price_predictor_oracle');
+  assert.deepStrictEqual(predictor.raw, { recommendation: 'BUY', confidence: 0.9, reasoning: 'Price Predictor Oracle scripted', evidence: [{ metric: 'script', value: 'BUY', detail: 'Scripted' }], isFallback: false });
+  assert.strictEqual(predictor.adjusted.confidence, 0.45, 'Risk override halves BUY confidence');
+  assert.strictEqual(predictor.adjusted.conflictAdjustment, 'RISK_OVERRIDE');
+  assert.strictEqual(predictor.weight, first.metaData.weightDistribution.price_predictor_oracle);
+
+  assert.deepStrictEqual(audit.conflicts.map(conflict => conflict.type), ['OPPOSING_ACTIONS', 'CONFIDENCE_CONFLICT']);
+  const opposing = audit.conflicts[0];
+  assert.deepStrictEqual(opposing.agents, ['price_predictor_oracle', 'signal_generator_oracle']);
+  assert.strictEqual(opposing.resolution, 'RISK_WEIGHTED');
+  assert.strictEqual(opposing.tieBreaker, 'RISK_AGENT');
+  assert.deepStrictEqual(opposing.adjustments, [{ agentId: 'price_predictor_oracle', adjustment: 'RISK_OVERRIDE', confidenceBefore: 0.9, confidenceAfter: 0.45 }]);
+
+  assert.deepStrictEqual(audit.consensus, { action: first.action, score: first.score, confidence: first.confidence });
+  assert.strictEqual(audit.finalAction, first.executionRecommendation);
+  assert.strictEqual(audit.masterValidation.finalApproval, true);
+  console.log('✅', row.reasoning);
+
+  // Test 2: Replay genberegner konsensus fra loggen
+  console.log('\n📋 Test 2: Replay');
+  const replayed = await MasterAgentSystem.replayDecisionCycle(first.cycleId, { database: DatabaseService });
+  assert.strictEqual(replayed.replay.matches, true);
+  assert.ok(Math.abs(replayed.replay.score - first.score) < 1e-12);
+  assert.strictEqual(replayed.replay.action, first.action);
+
+  const tampered = JSON.parse(row.result);
+  tampered.agents.find(agent => agent.agentId === 'signal_generator_oracle').weight *= 10;
+  await DatabaseService.run('UPDATE ai_decisions SET result = ? WHERE cycle_id = ?', [JSON.stringify(tampered), first.cycleId]);
+  assert.strictEqual((await MasterAgentSystem.replayDecisionCycle(first.cycleId, { database: DatabaseService })).replay.matches, false, 'Record no longer explains the decision');
+  await DatabaseService.run('UPDATE ai_decisions SET result = ? WHERE cycle_id = ?', [row.result, first.cycleId]);
+
+  assert.strictEqual(await MasterAgentSystem.replayDecisionCycle('cycle_missing', { database: DatabaseService }), null);
+  console.log('✅ Replayed score', replayed.replay.score.toFixed(4), '→', replayed.replay.action);
+
+  // Test 3: Liste og diff mellem to cyklusser
+  console.log('\n📋 Test 3: List and diff cycles');
+  script = { price_predictor_oracle: ['BUY', 0.9] };
+  const second = await system.orchestrateDecision({ symbol: 'BTC/USDT', price: 51000 });
+  const eth = await system.orchestrateDecision({ symbol: 'ETH/USDT', price: 3000 });
+
+  const cycles = await MasterAgentSystem.listDecisionCycles({ database: DatabaseService });
+  assert.deepStrictEqual(cycles.map(cycle => cycle.cycleId), [eth.cycleId, second.cycleId, first.cycleId], 'Newest first');
+  assert.strictEqual(cycles[2].conflicts, 2);
+  assert.strictEqual(cycles[1].finalAction, second.executionRecommendation);
+  assert.deepStrictEqual((await MasterAgentSystem.listDecisionCycles({ database: DatabaseService, symbol: 'ETH/USDT' })).map(cycle => cycle.cycleId), [eth.cycleId]);
+  assert.strictEqual((await MasterAgentSystem.listDecisionCycles({ database: DatabaseService, limit: 1 })).length, 1);
+
+  const diff = await MasterAgentSystem.diffDecisionCycles(first.cycleId, second.cycleId, { database: DatabaseService });
+  assert.deepStrictEqual(diff.changes.price, { from: 50000, to: 51000, delta: 1000 });
+  assert.ok(!diff.changes.regime, 'Unchanged fields are left out');
+  assert.ok(Math.abs(diff.changes.consensusScore.delta - (second.score - first.score)) < 1e-12);
+  const signal = diff.agents.find(agent => agent.agentId === 'signal_generator_oracle');
+  assert.deepStrictEqual(signal.recommendation, { from: 'SELL', to: 'HOLD' });
+  const buyer = diff.agents.find(agent => agent.agentId === 'price_predictor_oracle');
+  assert.deepStrictEqual(buyer.conflictAdjustment, { from: 'RISK_OVERRIDE', to: null });
+  assert.deepStrictEqual(diff.conflicts, { added: [], removed: ['OPPOSING_ACTIONS', 'CONFIDENCE_CONFLICT'] });
+  assert.strictEqual(await MasterAgentSystem.diffDecisionCycles(first.cycleId, 'cycle_missing', { database: DatabaseService }), null);
+  console.log('✅ Diff:', Object.keys(diff.changes).join(', '), '-', diff.agents.length, 'agents changed');
+
+  // Test 4: PostgreSQL går gennem logAIDecision
+  console.log('\n📋 Test 4: PostgreSQL logAIDecision');
+  const logged = [];
+  const postgres = {
+    transaction: async () => {},
+    all: async sql => (sql.includes('ai_agents') ? [{ id: 'b7d1c2a0-0000-4000-8000-000000000001' }] : []),
+    logAIDecision: async (...args) => { logged.push(args); return { rows: [{ time: new Date() }] }; }
+  };
+  const pgSystem = await createSystem(postgres);
+  const pgDecision = await pgSystem.orchestrateDecision({ symbol: 'BTC/USDT', price: 50000 });
+  await pgSystem.orchestrateDecision({ symbol: 'BTC/USDT', price: 50100 });
+  assert.strictEqual(logged.length, 2);
+  const [agentId, type, confidence, data] = logged[0];
+  assert.deepStrictEqual([agentId, type, confidence], ['b7d1c2a0-0000-4000-8000-000000000001', 'master_agent_cycle', pgDecision.confidence]);
+  assert.strictEqual(data.cycleId, pgDecision.cycleId);
+  assert.strictEqual(data.action, pgDecision.executionRecommendation);
+  assert.strictEqual(data.output.agents.length, 6);
+  assert.strictEqual(MasterAgentSystem.cycleColumns(postgres).audit, 'output_data');
+  console.log('✅ Cycle', data.cycleId, 'sent to logAIDecision');
+
+  // Test 5: En fejlende skrivning stopper ikke beslutningen
+  console.log('\n📋 Test 5: Audit failures do not block decisions');
+  const broken = await createSystem({ all: async () => [], run: async () => { throw new Error('disk full'); } });
+  const decision = await broken.orchestrateDecision({ symbol: 'BTC/USDT', price: 50000 });
+  assert.ok(!decision.isSafetyDecision);
+  assert.ok(decision.cycleId);
+  console.log('✅ Decision', decision.action, 'returned despite failed audit write');
+
+  console.log('\n🎉 All decision audit tests passed');
+}
+
+if (require.main === module) {
+  runDecisionAuditTests().catch(error => {
+    console.error('❌ Decision audit tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runDecisionAuditTests };
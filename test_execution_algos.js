@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Execution Algo Test Suite
+ * Drives TWAP, VWAP, POV and iceberg parent orders against a paper exchange with an explicit clock
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const KillSwitch = require('./server/services/KillSwitch');
+const ExecutionAlgoEngine = require('./server/services/ExecutionAlgoEngine');
+const TradingService = require('./server/services/TradingService');
+const PaperExchange = require('./server/services/PaperExchange');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+class ScriptedCoordinator extends EventEmitter {
+  constructor(exchanges) {
+    super();
+    this.exchanges = exchanges;
+    this.price = 50000;
+  }
+
+  async getTicker(symbol) {
+    return { symbol, price: this.price, timestamp: new Date().toISOString() };
+  }
+
+  getAllTickers() {
+    return { 'BTC/USDT': { symbol: 'BTC/USDT', price: this.price } };
+  }
+
+  publishVolume(volume) {
+    this.emit('tickerUpdate', { symbol: 'BTC/USDT', price: this.price, volume });
+  }
+}
+
+function sqliteTimestamp(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+async function runExecutionAlgoTests() {
+  console.log('🧪 Execution Algo Test Suite');
+  console.log('============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  await KillSwitch.initialize({ database: DatabaseService });
+
+  const exchanges = new Map();
+  const coordinator = new ScriptedCoordinator(exchanges);
+  const paper = new PaperExchange('Binance', { priceSource: { getTicker: symbol => coordinator.getTicker(symbol) }, initialBalances: { USDT: 1000000 } });
+  await paper.initialize();
+  exchanges.set('Binance', { instance: paper, configKey: 'binance', priority: 1 });
+
+  PositionManager.setTickerSource(coordinator);
+  RiskEngine.setTickerSource(coordinator);
+  RiskEngine.updateConfig({ enabled: true, maxOrderNotional: 100000, maxPositionNotional: 1000000, maxExchangeExposure: 1000000, maxConcentration: 1, dailyLossLimit: 100000 });
+
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  await ExecutionAlgoEngine.initialize({ database: DatabaseService, executor: service, tickInterval: 0 });
+  ExecutionAlgoEngine.attach(coordinator);
+
+  const progress = [];
+  ExecutionAlgoEngine.on('progress', algo => progress.push(algo));
+
+  // Test 1: Validation
+  console.log('📋 Test 1: Validation');
+  const invalid = [
+    { type: 'twap', symbol: 'BTC/USDT', side: 'buy', amount: 1 },
+    { type: 'pov', symbol: 'BTC/USDT', side: 'buy', amount: 1, participationRate: 1.5 },
+    { type: 'iceberg', symbol: 'BTC/USDT', side: 'buy', amount: 1, displaySize: 0.1 },
+    { type: 'twap', symbol: 'BTC/USDT', side: 'buy', amount: 1, duration: 60000, maxParticipation: 0 },
+    { type: 'sniper', symbol: 'BTC/USDT', side: 'buy', amount: 1 }
+  ];
+  for (const params of invalid) {
+    await assert.rejects(ExecutionAlgoEngine.createAlgo(params));
+  }
+  console.log('✅', invalid.length, 'invalid algos rejected');
+
+  // Test 2: TWAP follows a linear schedule with pause and resume
+  console.log('\n📋 Test 2: TWAP');
+  const t0 = Date.now();
+  const twap = await ExecutionAlgoEngine.createAlgo({
+    type: 'twap', symbol: 'BTC/USDT', side: 'buy', amount: 1, startTime: t0, duration: 10 * MINUTE, sliceInterval: MINUTE
+  });
+  assert.strictEqual(twap.status, 'scheduled');
+
+  await ExecutionAlgoEngine.tick(t0);
+  assert.strictEqual(twap.status, 'running');
+  assert.strictEqual(twap.slices, 0, 'Nothing due at start');
+
+  await ExecutionAlgoEngine.tick(t0 + MINUTE);
+  assert.ok(Math.abs(twap.filledAmount - 0.1) < 1e-9);
+  await ExecutionAlgoEngine.tick(t0 + 90 * 1000);
+  assert.strictEqual(twap.slices, 1, 'Waits for the slice interval');
+
+  await ExecutionAlgoEngine.tick(t0 + 5 * MINUTE);
+  assert.ok(Math.abs(twap.filledAmount - 0.5) < 1e-9, 'Catches up to schedule');
+
+  await ExecutionAlgoEngine.pauseAlgo(twap.id);
+  await ExecutionAlgoEngine.tick(t0 + 7 * MINUTE);
+  assert.ok(Math.abs(twap.filledAmount - 0.5) < 1e-9, 'Paused algo does not trade');
+  await ExecutionAlgoEngine.resumeAlgo(twap.id);
+  assert.strictEqual(twap.status, 'running');
+
+  await ExecutionAlgoEngine.tick(t0 + 10 * MINUTE);
+  assert.strictEqual(twap.status, 'completed');
+  assert.ok(Math.abs(twap.filledAmount - 1) < 1e-9);
+  assert.ok(twap.averagePrice > 50000);
+
+  const children = (await OrderLedger.getOrders({ symbol: 'BTC/USDT' })).filter(order => order.metadata.algoId === twap.id);
+  assert.strictEqual(children.length, 3);
+  assert.ok(children.every(order => order.source === 'execution_algo' && order.status === 'filled'));
+  assert.strictEqual((await ExecutionAlgoEngine.getAlgo(twap.id)).status, 'completed');
+  assert.deepStrictEqual(
+    [...new Set(progress.filter(p => p.id === twap.id).map(p => p.status))],
+    ['scheduled', 'running', 'paused', 'completed']
+  );
+  console.log('✅ 3 slices, average price', twap.averagePrice.toFixed(2));
+
+  // Test 3: VWAP weights the schedule by the historical hourly volume profile
+  console.log('\n📋 Test 3: VWAP');
+  const today = Math.floor(t0 / (24 * HOUR)) * 24 * HOUR;
+  for (let day = 1; day <= 3; day++) {
+    await DatabaseService.run('INSERT INTO market_data (symbol, price, volume, timestamp) VALUES (?, ?, ?, ?)',
+      ['BTC/USDT', 50000, 300, sqliteTimestamp(today - day * 24 * HOUR + 10 * HOUR + 5 * MINUTE)]);
+    await DatabaseService.run('INSERT INTO market_data (symbol, price, volume, timestamp) VALUES (?, ?, ?, ?)',
+      ['BTC/USDT', 50000, 100, sqliteTimestamp(today - day * 24 * HOUR + 11 * HOUR + 5 * MINUTE)]);
+  }
+
+  const vwapStart = today + 24 * HOUR + 10 * HOUR;
+  const vwap = await ExecutionAlgoEngine.createAlgo({
+    type: 'vwap', symbol: 'BTC/USDT', side: 'buy', amount: 0.8, startTime: vwapStart, endTime: vwapStart + 2 * HOUR, sliceInterval: 10 * MINUTE
+  });
+  assert.strictEqual(vwap.params.volumeProfile[10], 0.75);
+  assert.strictEqual(vwap.params.volumeProfile[11], 0.25);
+
+  await ExecutionAlgoEngine.tick(vwapStart - MINUTE);
+  assert.strictEqual(vwap.status, 'scheduled', 'Waits for start time');
+  await ExecutionAlgoEngine.tick(vwapStart + 30 * MINUTE);
+  assert.ok(Math.abs(vwap.filledAmount - 0.3) < 1e-9);
+  await ExecutionAlgoEngine.tick(vwapStart + HOUR);
+  assert.ok(Math.abs(vwap.filledAmount - 0.6) < 1e-9, '75% of volume trades in the first hour');
+  await ExecutionAlgoEngine.tick(vwapStart + 2 * HOUR);
+  assert.strictEqual(vwap.status, 'completed');
+  console.log('✅ 60% done after the heavy hour, completed at end time');
+
+  // Test 4: POV and participation limits follow observed market volume
+  console.log('\n📋 Test 4: POV and participation');
+  coordinator.publishVolume(1000);
+  const pov = await ExecutionAlgoEngine.createAlgo({ type: 'pov', symbol: 'BTC/USDT', side: 'buy', amount: 2, participationRate: 0.1, sliceInterval: 1000 });
+  const t2 = Date.now();
+  await ExecutionAlgoEngine.tick(t2);
+  assert.strictEqual(pov.slices, 0);
+
+  coordinator.publishVolume(1010);
+  await ExecutionAlgoEngine.tick(t2 + 1000);
+  assert.ok(Math.abs(pov.filledAmount - 1) < 1e-9, '10% of 10 BTC traded');
+  coordinator.publishVolume(1005);
+  coordinator.publishVolume(1035);
+  await ExecutionAlgoEngine.tick(t2 + 2000);
+  assert.strictEqual(pov.status, 'completed', 'Capped at parent amount');
+
+  const capped = await ExecutionAlgoEngine.createAlgo({
+    type: 'twap', symbol: 'BTC/USDT', side: 'sell', amount: 1, startTime: t0, duration: MINUTE, maxParticipation: 0.05
+  });
+  await ExecutionAlgoEngine.tick(t0);
+  coordinator.publishVolume(1045);
+  await ExecutionAlgoEngine.tick(t0 + MINUTE);
+  assert.strictEqual(capped.status, 'expired');
+  assert.ok(Math.abs(capped.filledAmount - 0.5) < 1e-9, '5% of 10 BTC market volume');
+  assert.ok(capped.error.includes('unfilled'));
+  console.log('✅ POV completed, capped TWAP expired at', capped.filledAmount, 'BTC');
+
+  // Test 5: Iceberg shows one resting slice at a time
+  console.log('\n📋 Test 5: Iceberg');
+  const iceberg = await ExecutionAlgoEngine.createAlgo({
+    type: 'iceberg', symbol: 'BTC/USDT', side: 'buy', amount: 0.5, displaySize: 0.3, limitPrice: 49000
+  });
+  const t3 = Date.now();
+  await ExecutionAlgoEngine.tick(t3);
+  const firstChild = await OrderLedger.getOrder(iceberg.activeOrderId);
+  assert.strictEqual(firstChild.amount, 0.3);
+  assert.strictEqual(firstChild.status, 'new');
+  await ExecutionAlgoEngine.tick(t3 + 1000);
+  assert.strictEqual(iceberg.slices, 1, 'Next slice waits for the visible one');
+
+  coordinator.price = 48900;
+  paper.processTicker({ symbol: 'BTC/USDT', price: 48900 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(Math.abs(iceberg.filledAmount - 0.3) < 1e-9, 'Async fill reaches the algo via the ledger');
+
+  await ExecutionAlgoEngine.tick(t3 + 2000);
+  assert.strictEqual(iceberg.status, 'completed', 'Marketable second slice fills at once');
+  assert.strictEqual(iceberg.slices, 2);
+  assert.ok(Math.abs(iceberg.filledAmount - 0.5) < 1e-9);
+
+  coordinator.price = 50000;
+  const resting = await ExecutionAlgoEngine.createAlgo({
+    type: 'iceberg', symbol: 'BTC/USDT', side: 'buy', amount: 1, displaySize: 0.1, limitPrice: 48000
+  });
+  await ExecutionAlgoEngine.tick(Date.now());
+  const restingChild = resting.activeOrderId;
+  await ExecutionAlgoEngine.cancelAlgo(resting.id, 'Trader cancelled');
+  assert.strictEqual(resting.status, 'cancelled');
+  assert.strictEqual((await OrderLedger.getOrder(restingChild)).status, 'cancelled');
+  assert.strictEqual((await paper.getOpenOrders()).length, 0);
+  console.log('✅ Iceberg filled in 2 slices, cancel pulled the resting slice');
+
+  // Test 6: Active algos survive a restart
+  console.log('\n📋 Test 6: Restart');
+  const t1 = Date.now();
+  const long = await ExecutionAlgoEngine.createAlgo({
+    type: 'twap', symbol: 'BTC/USDT', side: 'sell', amount: 0.4, startTime: t1, duration: 4 * MINUTE, sliceInterval: MINUTE
+  });
+  await ExecutionAlgoEngine.tick(t1);
+  await ExecutionAlgoEngine.tick(t1 + MINUTE);
+  await ExecutionAlgoEngine.pauseAlgo(long.id);
+
+  await ExecutionAlgoEngine.initialize({ database: DatabaseService, executor: service, tickInterval: 0 });
+  const reloaded = ExecutionAlgoEngine.getActiveAlgos();
+  assert.deepStrictEqual(reloaded.map(algo => algo.id), [long.id]);
+  assert.strictEqual(reloaded[0].status, 'paused');
+  assert.ok(Math.abs(reloaded[0].filledAmount - 0.1) < 1e-9, 'Fills rebuilt from ledger');
+
+  await ExecutionAlgoEngine.resumeAlgo(long.id);
+  await ExecutionAlgoEngine.tick(t1 + 4 * MINUTE);
+  assert.strictEqual((await ExecutionAlgoEngine.getAlgo(long.id)).status, 'completed');
+  const history = await ExecutionAlgoEngine.getAlgos({ symbol: 'BTC/USDT' });
+  assert.strictEqual(history.length, 7);
+  console.log('✅ Paused TWAP reloaded and completed after restart');
+
+  ExecutionAlgoEngine.stop();
+  console.log('\n🎉 All execution algo tests passed');
+}
+
+if (require.main === module) {
+  runExecutionAlgoTests().catch(error => {
+    console.error('❌ Execution algo tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runExecutionAlgoTests };
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Human Approval Workflow Test Suite
+ * Holds a high-value order in the approval queue until n-of-m admins decide
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const SecurityService = require('./server/services/SecurityService');
+
+async function createUser(username, role) {
+  const { id } = await DatabaseService.run(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, `${username}@example.com`, 'x', role]
+  );
+  return { userId: id, username };
+}
+
+async function runHumanApprovalTests() {
+  console.log('🧪 Human Approval Workflow Test Suite');
+  console.log('=====================================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+
+  const trader = await createUser('trader', 'user');
+  const alice = await createUser('alice', 'admin');
+  const bob = await createUser('bob', 'admin');
+  const carol = await createUser('carol', 'admin');
+
+  const executed = [];
+  SecurityService.registerApprovalHandler('high_value_trade', async details => {
+    executed.push(details.order);
+    return { success: true, order: { id: 'ord_1', status: 'filled' } };
+  });
+
+  const order = { symbol: 'BTC/USDT', side: 'buy', amount: 1, type: 'market', userId: trader.userId };
+
+  // Test 1: Order is held until the second approval
+  console.log('📋 Test 1: 2-of-3 approval');
+  const request = await SecurityService.requireHumanApproval('high_value_trade', { order, value: 50000 }, { requestedBy: trader.userId });
+  assert.strictEqual(request.status, 'pending');
+  assert.strictEqual(request.requiredApprovals, 2);
+  assert.strictEqual(executed.length, 0);
+
+  const first = await SecurityService.approveAction(request.id, alice, 'Looks fine');
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(first.approvals, 1);
+  assert.strictEqual(executed.length, 0, 'Order held after one approval');
+  await assert.rejects(SecurityService.approveAction(request.id, alice, 'Again'), /already decided/);
+
+  const second = await SecurityService.approveAction(request.id, bob, 'Confirmed with desk');
+  assert.strictEqual(second.status, 'approved');
+  assert.strictEqual(executed.length, 1);
+  assert.deepStrictEqual(executed[0], order);
+  assert.strictEqual(second.result.order.id, 'ord_1');
+  await assert.rejects(SecurityService.approveAction(request.id, carol), error => error.code === 'APPROVAL_NOT_PENDING');
+  console.log('✅ Executed after', second.approvals, 'of', second.requiredApprovals, 'approvals');
+
+  // Test 2: Rejection needs a comment and closes the request
+  console.log('\n📋 Test 2: Rejection');
+  const rejected = await SecurityService.requireHumanApproval('high_value_trade', { order }, { requestedBy: trader.userId });
+  await assert.rejects(SecurityService.rejectAction(rejected.id, carol, ''), error => error.code === 'APPROVAL_INVALID');
+  const outcome = await SecurityService.rejectAction(rejected.id, carol, 'Size too large for current liquidity');
+  assert.strictEqual(outcome.status, 'rejected');
+  assert.strictEqual(outcome.decisions[0].comment, 'Size too large for current liquidity');
+  assert.strictEqual(executed.length, 1);
+  console.log('✅ Rejected with comment, order never executed');
+
+  // Test 3: Requester cannot approve their own request and n is never lowered to m
+  console.log('\n📋 Test 3: Self approval');
+  const own = await SecurityService.requireHumanApproval('high_value_trade', { order }, { requestedBy: alice.userId });
+  assert.strictEqual(own.requiredApprovals, 2, 'Bob and carol can still approve');
+  await assert.rejects(SecurityService.approveAction(own.id, alice, 'Mine'), error => error.code === 'APPROVAL_FORBIDDEN');
+  await assert.rejects(
+    SecurityService.requireHumanApproval('high_value_trade', { order }, { requestedBy: alice.userId, requiredApprovals: 3 }),
+    error => error.code === 'APPROVAL_UNAPPROVABLE' && /only 2 eligible/.test(error.message)
+  );
+  assert.strictEqual((await SecurityService.getApprovalRequests({ status: 'pending' })).length, 1, 'Nothing queued');
+  console.log('✅ Self approval blocked, unreachable quorum rejected');
+
+  // Test 4: Expiry
+  console.log('\n📋 Test 4: Expiry');
+  const stale = await SecurityService.requireHumanApproval('high_value_trade', { order }, { requestedBy: trader.userId, ttlMinutes: 0.0001 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(await SecurityService.expireApprovals(), 1);
+  assert.strictEqual((await SecurityService.getApprovalRequest(stale.id)).status, 'expired');
+  assert.strictEqual((await SecurityService.getApprovalRequest(own.id)).status, 'pending', 'Default TTL still open');
+  console.log('✅ Stale request expired');
+
+  // Test 5: Every decision lands in the audit trail
+  console.log('\n📋 Test 5: Audit trail');
+  const events = await DatabaseService.all("SELECT event_type FROM security_events WHERE event_type LIKE 'approval_%'");
+  const counts = events.reduce((acc, e) => ({ ...acc, [e.event_type]: (acc[e.event_type] || 0) + 1 }), {});
+  assert.deepStrictEqual(counts, { approval_requested: 4, approval_granted: 2, approval_rejected: 1, approval_unapprovable: 1, approval_expired: 1 });
+  assert.ok(SecurityService.getAuditTrail(20).some(entry => /approved by bob: Confirmed with desk/.test(entry.description)));
+  assert.strictEqual((await SecurityService.getApprovalRequests({ status: 'pending' })).length, 1);
+  console.log('✅ Audit trail:', JSON.stringify(counts));
+
+  console.log('\n🎉 All human approval tests passed');
+}
+
+if (require.main === module) {
+  runHumanApprovalTests().catch(error => {
+    console.error('❌ Human approval tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runHumanApprovalTests };
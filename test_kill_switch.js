@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Kill Switch Test Suite
+ * Trips the emergency stop against a paper exchange and checks that trading stays halted until re-armed
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const KillSwitch = require('./server/services/KillSwitch');
+const ConditionalOrderEngine = require('./server/services/ConditionalOrderEngine');
+const MasterAgentSystem = require('./server/services/MasterAgentSystem');
+const TradingService = require('./server/services/TradingService');
+const PaperExchange = require('./server/services/PaperExchange');
+
+class ScriptedCoordinator extends EventEmitter {
+  constructor(exchanges) {
+    super();
+    this.exchanges = exchanges;
+    this.price = 50000;
+  }
+
+  async getTicker(symbol) {
+    return { symbol, price: this.price, timestamp: new Date().toISOString() };
+  }
+
+  getAllTickers() {
+    return { 'BTC/USDT': { symbol: 'BTC/USDT', price: this.price } };
+  }
+}
+
+async function runKillSwitchTests() {
+  console.log('🧪 Kill Switch Test Suite');
+  console.log('=========================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+
+  const exchanges = new Map();
+  const coordinator = new ScriptedCoordinator(exchanges);
+  const paper = new PaperExchange('Binance', { priceSource: { getTicker: symbol => coordinator.getTicker(symbol) }, initialBalances: { USDT: 100000 } });
+  await paper.initialize();
+  exchanges.set('Binance', { instance: paper, configKey: 'binance', priority: 1 });
+
+  PositionManager.setTickerSource(coordinator);
+  RiskEngine.setTickerSource(coordinator);
+  RiskEngine.updateConfig({ enabled: true, maxOrderNotional: 10000, killSwitchLossLimit: 2000, killSwitchOnCircuitBreaker: true });
+
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  await KillSwitch.initialize({ database: DatabaseService, executor: service });
+  await ConditionalOrderEngine.initialize({ database: DatabaseService, executor: service });
+  ConditionalOrderEngine.attach(coordinator);
+  assert.strictEqual(KillSwitch.isTripped(), false);
+
+  // Test 1: Trip cancels ledger and off-ledger orders and flattens positions
+  console.log('📋 Test 1: Trip and flatten');
+  const bought = await service.executeOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.1, type: 'market' });
+  assert.strictEqual(bought.order.status, 'filled');
+  const resting = await service.executeOrder({ symbol: 'BTC/USDT', side: 'sell', amount: 0.05, type: 'limit', price: 52000 });
+  assert.strictEqual(resting.order.status, 'new');
+  await paper.createOrder({ symbol: 'BTC/USDT', side: 'buy', type: 'LIMIT', amount: 0.01, price: 49000 });
+  assert.strictEqual((await paper.getOpenOrders()).length, 2);
+
+  const status = await KillSwitch.trip({ reason: 'Test emergency', source: 'api', userId: 1, flatten: true });
+  assert.strictEqual(status.tripped, true);
+  assert.strictEqual(status.state.result.cancelled.cancelled.length, 2);
+  assert.strictEqual(status.state.result.cancelled.failed.length, 0);
+  assert.strictEqual((await paper.getOpenOrders()).length, 0);
+  assert.strictEqual((await OrderLedger.getOrder(resting.order.id)).status, 'cancelled');
+  assert.deepStrictEqual(status.state.result.flattened.map(r => r.success), [true]);
+  assert.strictEqual(PositionManager.getPositions().length, 0);
+  console.log('✅ 2 orders cancelled, BTC position flattened');
+
+  // Test 2: Every execution path is frozen while latched
+  console.log('\n📋 Test 2: Frozen execution paths');
+  const blocked = await service.executeOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.01, type: 'market' });
+  assert.strictEqual(blocked.code, 'RISK_REJECTED');
+  assert.deepStrictEqual(blocked.reasons.map(r => r.code), [RiskEngine.RISK_REASONS.KILL_SWITCH]);
+  await assert.rejects(
+    service.executeTrade('Binance', { symbol: 'BTC/USDT', side: 'buy', amount: 0.01, type: 'MARKET' }),
+    error => error.reasons[0].code === 'KILL_SWITCH'
+  );
+
+  const agents = new MasterAgentSystem();
+  const decision = await agents.orchestrateDecision({ symbol: 'BTC/USDT', price: 50000 });
+  assert.strictEqual(decision.action, 'HOLD');
+  assert.strictEqual(decision.killSwitch, true);
+
+  const stop = await ConditionalOrderEngine.createConditionalOrder({
+    exchange: 'Binance', symbol: 'BTC/USDT', side: 'sell', amount: 0.01, type: 'stop_market', triggerPrice: 48000
+  });
+  coordinator.price = 47000;
+  coordinator.emit('exchangeTicker', { symbol: 'BTC/USDT', price: 47000, exchange: 'Binance' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(ConditionalOrderEngine.getPendingOrders().length, 1, 'Trigger stays pending');
+  assert.strictEqual((await KillSwitch.trip({ reason: 'Again', source: 'api' })).state.reason, 'Test emergency');
+  console.log('✅ Orders, agents and triggers halted');
+
+  // Test 3: Latched across restart and only admins can re-arm
+  console.log('\n📋 Test 3: Latch and re-arm');
+  const restarted = new KillSwitch.constructor();
+  await restarted.initialize({ database: DatabaseService });
+  assert.strictEqual(restarted.isTripped(), true);
+  assert.strictEqual(restarted.getStatus().state.result.cancelled.cancelled.length, 2, 'Result saved after the side effects');
+  await assert.rejects(KillSwitch.rearm({ userId: 2, role: 'user' }), error => error.code === 'KILL_SWITCH_FORBIDDEN');
+  assert.strictEqual(KillSwitch.isTripped(), true);
+  const rearmed = await KillSwitch.rearm({ userId: 1, role: 'admin', comment: 'Incident resolved' });
+  assert.strictEqual(rearmed.tripped, false);
+
+  // Udløsningen står i databasen før annulleringen - et nedbrud midt i trip genstarter låst
+  let latchedMidTrip = null;
+  const crashing = new KillSwitch.constructor();
+  await crashing.initialize({
+    database: DatabaseService,
+    executor: {
+      cancelAllOpenOrders: async () => {
+        const midTrip = new KillSwitch.constructor();
+        await midTrip.initialize({ database: DatabaseService });
+        latchedMidTrip = midTrip.isTripped();
+        throw new Error('Process died');
+      }
+    }
+  });
+  const crashed = await crashing.trip({ reason: 'Crash drill', source: 'system' });
+  assert.strictEqual(latchedMidTrip, true, 'Trip row written before cancelling');
+  assert.strictEqual(crashed.state.result.cancelled.error, 'Process died');
+  await crashing.rearm({ userId: 1, role: 'admin', comment: 'Drill over' });
+
+  // En databasefejl stopper ikke annullering og lukning - rækken forsøges igen bagefter
+  const sideEffects = [];
+  const recorder = {
+    cancelAllOpenOrders: async () => sideEffects.push('cancel'),
+    flattenPositions: async () => sideEffects.push('flatten')
+  };
+  const written = [];
+  let failures = 1;
+  const flakyDatabase = {
+    all: async () => [],
+    run: async (sql, params) => {
+      if (failures-- > 0) throw new Error('database is locked');
+      written.push(params);
+      return { changes: 1 };
+    }
+  };
+  const flaky = new KillSwitch.constructor();
+  await flaky.initialize({ database: flakyDatabase, executor: recorder });
+  const survived = await flaky.trip({ reason: 'DB down', source: 'system', flatten: true });
+  assert.strictEqual(survived.tripped, true);
+  assert.deepStrictEqual(sideEffects, ['cancel', 'flatten']);
+  assert.strictEqual(written.length, 1, 'Full row written once the database is back');
+  assert.deepStrictEqual(JSON.parse(written[0][5]), { cancelled: 1, flattened: 2 });
+
+  const broken = new KillSwitch.constructor();
+  await broken.initialize({ database: { all: async () => [], run: async () => { throw new Error('disk full'); } }, executor: recorder });
+  assert.strictEqual((await broken.trip({ reason: 'DB gone', source: 'system' })).tripped, true);
+  assert.deepStrictEqual(sideEffects, ['cancel', 'flatten', 'cancel']);
+  await ConditionalOrderEngine.cancelConditionalOrder(stop.id, 'Test cleanup');
+  coordinator.price = 50000;
+  const allowed = await service.executeOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.01, type: 'market' });
+  assert.strictEqual(allowed.success, true);
+
+  // Exchange-ruten annullerer på exchangens ordre id, og ledger følger med
+  const limit = await service.executeOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.01, type: 'limit', price: 49000 });
+  const exchangeOrderId = limit.order.exchangeOrderId;
+  assert.strictEqual((await service.getOrderStatus('binance', 'BTC/USDT', exchangeOrderId)).status, 'NEW');
+  assert.strictEqual((await service.cancelExchangeOrder('binance', 'BTC/USDT', exchangeOrderId)).status, 'CANCELED');
+  assert.strictEqual((await OrderLedger.getOrder(limit.order.id)).status, 'cancelled');
+  const direct = await paper.createOrder({ symbol: 'BTC/USDT', side: 'buy', type: 'LIMIT', amount: 0.01, price: 48500 });
+  await service.cancelExchangeOrder('binance', 'BTC/USDT', direct.orderId);
+  assert.strictEqual((await service.getOrderStatus('binance', 'BTC/USDT', direct.orderId)).status, 'CANCELED');
+  await assert.rejects(service.cancelExchangeOrder('bitstamp', 'BTC/USDT', direct.orderId), /Exchange bitstamp not found/);
+  console.log('✅ Latched after restart, re-armed by admin');
+
+  // Test 4: Automatic triggers from the circuit breaker and the risk engine
+  console.log('\n📋 Test 4: Automatic triggers');
+  coordinator.emit('systemCircuitBreakerOpen', { connectedExchanges: 0, totalExchanges: 3 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(KillSwitch.getStatus().state.source, 'circuit_breaker');
+  await KillSwitch.rearm({ userId: 1, role: 'admin', comment: 'Exchanges back' });
+
+  await service.executeOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.15, type: 'market' });
+  coordinator.price = 35000;
+  assert.strictEqual(RiskEngine.checkKillSwitchLimit(), true);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(KillSwitch.getStatus().state.source, 'risk_engine');
+  console.log('✅', KillSwitch.getStatus().state.reason);
+
+  // Test 5: History and audit trail
+  console.log('\n📋 Test 5: History');
+  const history = await KillSwitch.getHistory();
+  assert.deepStrictEqual(history.map(h => h.action), ['trip', 'rearm', 'trip', 'rearm', 'trip', 'rearm', 'trip']);
+  const events = await DatabaseService.all("SELECT event_type, severity FROM security_events WHERE event_type LIKE 'kill_switch_%'");
+  assert.strictEqual(events.filter(e => e.event_type === 'kill_switch_tripped' && e.severity === 'critical').length, 6);
+  assert.strictEqual(events.filter(e => e.event_type === 'kill_switch_rearmed').length, 3);
+  console.log('✅', history.length, 'kill switch events recorded');
+
+  console.log('\n🎉 All kill switch tests passed');
+}
+
+if (require.main === module) {
+  runKillSwitchTests().catch(error => {
+    console.error('❌ Kill switch tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runKillSwitchTests };
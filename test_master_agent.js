@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Master Agent Test Suite
+ * Specialization enhancers: statistical price forecast, indicator signals, strategy evaluation,
+ * Kelly/volatility allocation, CVaR risk control and volatility/trend regime detection
+ */
+
+const assert = require('assert');
+const MasterAgentSystem = require('./server/services/MasterAgentSystem');
+const { calculateSeries, summarize } = require('./server/services/TechnicalIndicators');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 8, 1);
+
+function toCandles(prices) {
+  return prices.map((price, i) => ({
+    timestamp: new Date(T0 + i * HOUR),
+    open: i > 0 ? prices[i - 1] : price,
+    high: Math.max(price, i > 0 ? prices[i - 1] : price) * 1.002,
+    low: Math.min(price, i > 0 ? prices[i - 1] : price) * 0.998,
+    close: price,
+    volume: 10
+  }));
+}
+
+// Stigende, faldende og sidelæns serier med lidt støj - og et urolig crash de sidste 10 candles
+const uptrend = toCandles(Array.from({ length: 50 }, (_, i) => 100 * Math.pow(1.004, i) * (1 + 0.002 * Math.sin(i))));
+const downtrend = toCandles(Array.from({ length: 50 }, (_, i) => 100 * Math.pow(0.996, i) * (1 + 0.002 * Math.sin(i))));
+const sideways = toCandles(Array.from({ length: 50 }, (_, i) => 100 * (1 + 0.01 * Math.sin(i / 2))));
+const crash = toCandles(Array.from({ length: 50 }, (_, i) => 100 * (1 + 0.003 * Math.sin(i))).map((price, i, prices) =>
+  i < 40 ? price : prices[39] * Math.pow(0.9, Math.ceil((i - 39) / 2)) * Math.pow(1.03, Math.floor((i - 39) / 2))));
+
+function marketData(candles) {
+  return { symbol: 'BTC/USDT', price: candles[candles.length - 1].close, candles };
+}
+
+async function createSystem() {
+  const system = new MasterAgentSystem();
+  system.killSwitch = null;
+  await system.initializeMasterAgent();
+  await system.initializeSpecializedAgents();
+  return system;
+}
+
+async function decide(system, agentId, candles, extra = {}) {
+  return system.getAgentDecision(system.specializedAgents.get(agentId), { ...marketData(candles), ...extra });
+}
+
+function assertEvidence(decision) {
+  assert.ok(Array.isArray(decision.evidence) && decision.evidence.length > 0, `${decision.agentId} carries evidence`);
+  for (const item of decision.evidence) {
+    assert.ok(item.metric && typeof item.detail === 'string', JSON.stringify(item));
+  }
+  assert.strictEqual(decision.reasoning, decision.evidence.map(item => item.detail).join('; '));
+  assert.ok(decision.confidence > 0 && decision.confidence < 1);
+}
+
+async function runMasterAgentTests() {
+  console.log('🧪 Master Agent Test Suite');
+  console.log('==========================\n');
+
+  const system = await createSystem();
+
+  // Test 1: Prisprognose
+  console.log('📋 Test 1: Statistical price forecast');
+  const bullish = await decide(system, 'price_predictor_oracle', uptrend);
+  const bearish = await decide(system, 'price_predictor_oracle', downtrend);
+  assert.strictEqual(bullish.recommendation, 'BUY');
+  assert.strictEqual(bearish.recommendation, 'SELL');
+  assert.ok(bullish.forecast.expectedReturn > 0.004 && bullish.forecast.targetPrice > uptrend[49].close);
+  assert.ok(bullish.evidence.find(item => item.metric === 'trendForecast').value > 0.015);
+  assertEvidence(bullish);
+  assertEvidence(bearish);
+  assert.deepStrictEqual(
+    (await decide(system, 'price_predictor_oracle', uptrend)).evidence,
+    bullish.evidence,
+    'Deterministic - no random actions'
+  );
+
+  const short = await decide(system, 'price_predictor_oracle', uptrend.slice(0, 5));
+  assert.strictEqual(short.recommendation, 'HOLD');
+  assert.strictEqual(short.evidence[0].metric, 'candles');
+  console.log('✅', bullish.reasoning);
+
+  // Test 2: Indikatorsignaler
+  console.log('\n📋 Test 2: Indicator signals');
+  const signals = await decide(system, 'signal_generator_oracle', uptrend);
+  const summary = summarize(calculateSeries(uptrend).pop());
+  assert.deepStrictEqual(signals.evidence.slice(0, -1).map(item => item.detail), summary.signals.map(signal => signal.reason));
+  assert.strictEqual(signals.evidence[signals.evidence.length - 1].value, summary.score);
+  assertEvidence(signals);
+
+  const oversold = { rsi: 24, macd: { histogram: 0.4 }, adx: { adx: 18, plusDI: 20, minusDI: 22 } };
+  const fromSnapshot = await decide(system, 'signal_generator_oracle', downtrend, { indicators: oversold });
+  assert.strictEqual(fromSnapshot.recommendation, 'BUY', 'Uses the indicator snapshot from marketData');
+  assert.deepStrictEqual(fromSnapshot.evidence.map(item => item.metric), ['rsi', 'macd', 'indicatorScore']);
+
+  const overbought = await decide(system, 'signal_generator_oracle', uptrend, { indicators: { rsi: 81, bollinger: { percentB: 1.2 } } });
+  assert.strictEqual(overbought.recommendation, 'SELL');
+  console.log('✅', fromSnapshot.reasoning);
+
+  // Test 3: Strategievaluering
+  console.log('\n📋 Test 3: Strategy evaluation');
+  const evaluation = await decide(system, 'strategy_evaluator_oracle', uptrend);
+  assert.deepStrictEqual(evaluation.evidence.slice(0, 2).map(item => item.metric), ['trend_following', 'mean_reversion']);
+  assert.strictEqual(evaluation.evidence[2].value, 'trend_following');
+  assert.strictEqual(evaluation.recommendation, 'BUY');
+  assertEvidence(evaluation);
+
+  const flat = await decide(system, 'strategy_evaluator_oracle', toCandles(Array(30).fill(100)));
+  assert.strictEqual(flat.recommendation, 'HOLD', 'No positive Sharpe, no trade');
+  console.log('✅', evaluation.reasoning);
+
+  // Test 4: Kapitalallokering
+  console.log('\n📋 Test 4: Portfolio planning');
+  const choppy = toCandles(Array.from({ length: 50 }, (_, i) => 100 * Math.pow(1.004, i) * (1 + 0.01 * Math.sin(i))));
+  const allocation = await decide(system, 'portfolio_planner_balancer', choppy);
+  assert.strictEqual(allocation.recommendation, 'PARTIAL_BUY');
+  assert.ok(allocation.positionSize >= 0.05 && allocation.positionSize <= 0.25);
+  assertEvidence(allocation);
+
+  const noEdge = await decide(system, 'portfolio_planner_balancer', downtrend);
+  assert.strictEqual(noEdge.recommendation, 'PARTIAL_SELL');
+  assert.strictEqual(noEdge.positionSize, 0);
+
+  const noLosses = await decide(system, 'portfolio_planner_balancer', toCandles(Array.from({ length: 30 }, (_, i) => 100 + i)));
+  assert.strictEqual(noLosses.recommendation, 'HOLD', 'Kelly undefined without losses');
+  assert.strictEqual(noLosses.positionSize, null);
+  console.log('✅', allocation.reasoning);
+
+  // Test 5: Risikokontrol med CVaR
+  console.log('\n📋 Test 5: CVaR risk control');
+  const calm = await decide(system, 'risk_sentinel', uptrend);
+  assert.strictEqual(calm.recommendation, 'HOLD');
+  const cvar = system.quantEngine.calculateCVaR(system.calculateReturns(uptrend), 0.95);
+  assert.strictEqual(calm.evidence.find(item => item.metric === 'cvar').value, cvar.cvar, 'From QuantitativeEngine.calculateCVaR');
+
+  const stressed = await decide(system, 'risk_sentinel', crash);
+  assert.strictEqual(stressed.recommendation, 'REDUCE_RISK');
+  assert.ok(stressed.confidence > calm.confidence);
+  assert.ok(/tail loss/.test(stressed.reasoning) && /drawdown beyond/.test(stressed.reasoning), stressed.reasoning);
+  assertEvidence(stressed);
+  console.log('✅', stressed.reasoning);
+
+  // Test 6: Regime ud fra volatilitet og trend
+  console.log('\n📋 Test 6: Regime detection');
+  assert.strictEqual(await system.detectMarketRegime(marketData(uptrend)), 'BULL');
+  assert.strictEqual(await system.detectMarketRegime(marketData(downtrend)), 'BEAR');
+  assert.strictEqual(await system.detectMarketRegime(marketData(sideways)), 'SIDEWAYS');
+  assert.strictEqual(await system.detectMarketRegime(marketData(crash)), 'HIGH_VOLATILITY');
+  assert.strictEqual(await system.detectMarketRegime({ symbol: 'BTC/USDT', price: 100 }), 'UNKNOWN');
+
+  const weakTrend = { adx: { adx: 12, plusDI: 25, minusDI: 15 } };
+  assert.strictEqual(await system.detectMarketRegime({ ...marketData(uptrend), indicators: weakTrend }), 'SIDEWAYS', 'Low ADX is no trend');
+
+  const regime = await decide(system, 'market_regime_detector', downtrend);
+  assert.strictEqual(regime.recommendation, 'SELL');
+  assert.strictEqual(regime.regime, 'BEAR');
+  assertEvidence(regime);
+  console.log('✅', regime.reasoning);
+
+  // Test 7: Konsensus over rigtige agenter
+  console.log('\n📋 Test 7: Consensus with evidence');
+  const up = await system.orchestrateDecision(marketData(uptrend));
+  assert.strictEqual(up.regime, 'BULL');
+  assert.ok(up.action === 'BUY' || up.action === 'STRONG_BUY', up.action);
+  assert.strictEqual(up.agentDecisions.length, 6);
+  up.agentDecisions.forEach(assertEvidence);
+
+  const down = await system.orchestrateDecision(marketData(crash));
+  assert.ok(down.score < 0 && down.regime === 'HIGH_VOLATILITY');
+
+  // Ticks uden candles bygger en prishistorik per symbol
+  const ticks = await createSystem();
+  let tickDecision;
+  for (const candle of uptrend) {
+    tickDecision = await ticks.orchestrateDecision({ symbol: 'ETH/USDT', price: candle.close });
+  }
+  assert.strictEqual(ticks.priceHistory.get('ETH/USDT').length, uptrend.length);
+  assert.strictEqual(tickDecision.regime, 'BULL');
+  console.log('✅ Consensus', up.action, `(${up.score.toFixed(2)}) in ${up.regime}, crash scored ${down.score.toFixed(2)}`);
+
+  // Test 8: Sharpe trækker omkostningerne fra som andel af $10k basen, ikke i dollars
+  console.log('\n📋 Test 8: Risk-adjusted Sharpe cost units');
+  const quant = system.quantEngine;
+  const steady = [0.01, 0.012, 0.008, 0.011];
+  const net = steady.map(r => r - quant.calculateTransactionCosts(r * 10000).total / 10000);
+  assert.ok(net.every((value, i) => value > 0 && value < steady[i] && steady[i] - value < steady[i] * 0.01), 'Costs shave well under 1% off each return');
+  const expected = (quant.calculateMean(net) - quant.riskFreeRate / 252) / quant.calculateVolatility(net);
+  assert.ok(Math.abs(quant.calculateRiskAdjustedSharpe(steady) - expected) < 1e-9);
+  assert.ok(quant.calculateRiskAdjustedSharpe(steady) > 0, 'Steady gains score positive');
+  assert.ok(quant.calculateRiskAdjustedSharpe(steady.map(r => -r)) < 0);
+  console.log('✅ Sharpe', quant.calculateRiskAdjustedSharpe(steady).toFixed(2), 'on steady 1% returns');
+
+  console.log('\n🎉 All master agent tests passed');
+}
+
+if (require.main === module) {
+  runMasterAgentTests().catch(error => {
+    console.error('❌ Master agent tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMasterAgentTests };
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Master Validation Test Suite
+ * Risk (drawdown, volatility), timing (regime, liquidity, spread) and portfolio impact (positions, exposure)
+ * behind masterAgentValidation - vetoes and downsizes with reasons, metrics and explanations
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const MasterAgentSystem = require('./server/services/MasterAgentSystem');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 8, 1);
+
+function toCandles(prices, volumes = []) {
+  return prices.map((price, i) => ({
+    timestamp: new Date(T0 + i * HOUR),
+    open: i > 0 ? prices[i - 1] : price,
+    high: price * 1.002,
+    low: price * 0.998,
+    close: price,
+    volume: volumes[i] !== undefined ? volumes[i] : 100
+  }));
+}
+
+// Rolig stigning, urolig zigzag, fald på 11% og en rolig serie hvor volumen tørrer ud
+const calm = toCandles(Array.from({ length: 50 }, (_, i) => 100 * Math.pow(1.001, i) * (1 + 0.002 * Math.sin(i))));
+const volatile = toCandles(Array.from({ length: 50 }, (_, i) => 100 * Math.pow(1.08, Math.ceil(i / 2)) * Math.pow(0.93, Math.floor(i / 2))));
+const falling = toCandles(Array.from({ length: 50 }, (_, i) => (i < 30 ? 100 * Math.pow(1.005, i) : 100 * Math.pow(1.005, 29) * Math.pow(0.994, i - 29))));
+const drying = toCandles(calm.map(candle => candle.close), calm.map((_, i) => (i < 40 ? 100 : 5)));
+
+function market(candles, extra = {}) {
+  return { symbol: 'BTC/USDT', price: candles[candles.length - 1].close, candles, positions: [], ...extra };
+}
+
+function consensus(action, regime = 'SIDEWAYS') {
+  return { action, score: action === 'HOLD' ? 0 : 1, confidence: 0.8, regime, timestamp: new Date() };
+}
+
+async function createSystem() {
+  const system = new MasterAgentSystem();
+  system.killSwitch = null;
+  system.riskLimits = { maxPositionNotional: 25000, concentrationMinExposure: 20000, maxConcentration: 0.5 };
+  await system.initializeMasterAgent();
+  await system.initializeSpecializedAgents();
+  return system;
+}
+
+const codes = decision => decision.masterValidation.masterOverride.reasons.map(reason => reason.code);
+
+async function runMasterValidationTests() {
+  console.log('🧪 Master Validation Test Suite');
+  console.log('===============================\n');
+
+  const system = await createSystem();
+
+  // Test 1: Rolige markeder godkendes uændret
+  console.log('📋 Test 1: Approval in a calm market');
+  const approved = await system.masterAgentValidation(consensus('BUY', 'BULL'), market(calm));
+  const { riskAssessment, timingAssessment, portfolioImpact } = approved.masterValidation;
+  assert.strictEqual(riskAssessment.level, 'LOW');
+  assert.strictEqual(riskAssessment.drawdown, system.quantEngine.calculateMaxDrawdown(calm.map(candle => candle.close)).maxDrawdown);
+  assert.strictEqual(timingAssessment.timing, 'FAVORABLE');
+  assert.strictEqual(portfolioImpact.impact, 'LOW');
+  assert.strictEqual(approved.masterValidation.masterOverride, null);
+  assert.strictEqual(approved.masterValidation.finalApproval, true);
+  assert.strictEqual(approved.executionRecommendation, 'BUY');
+  assert.strictEqual(approved.sizeMultiplier, 1);
+
+  const unknown = await system.masterAgentValidation(consensus('BUY'), market(calm.slice(0, 5)));
+  assert.strictEqual(unknown.masterValidation.riskAssessment.level, 'MEDIUM', 'Too few candles - risk unknown');
+  assert.strictEqual(unknown.masterValidation.finalApproval, true);
+  console.log('✅ BUY approved: drawdown', (riskAssessment.drawdown * 100).toFixed(2) + '%, volatility', (riskAssessment.volatility * 100).toFixed(2) + '%');
+
+  // Test 2: Risiko - volatilitet vetoes, drawdown nedskalerer
+  console.log('\n📋 Test 2: Volatility veto and drawdown downsize');
+  const vetoed = await system.masterAgentValidation(consensus('BUY'), market(volatile));
+  assert.strictEqual(vetoed.masterValidation.riskAssessment.level, 'EXTREME');
+  assert.strictEqual(vetoed.masterValidation.masterOverride.type, 'VETO');
+  assert.deepStrictEqual(codes(vetoed), ['VOLATILITY']);
+  assert.strictEqual(vetoed.masterValidation.finalApproval, false);
+  assert.strictEqual(vetoed.executionRecommendation, 'HOLD');
+  assert.strictEqual(vetoed.sizeMultiplier, 0);
+  assert.strictEqual(vetoed.action, 'BUY', 'Consensus itself is kept for the audit log');
+
+  const downsized = await system.masterAgentValidation(consensus('STRONG_BUY'), market(falling));
+  const drawdown = downsized.masterValidation.masterOverride.reasons[0];
+  assert.deepStrictEqual(codes(downsized), ['DRAWDOWN']);
+  assert.ok(drawdown.value > 0.1 && drawdown.value < 0.2 && drawdown.severity === 'DOWNSIZE', JSON.stringify(drawdown));
+  assert.strictEqual(downsized.masterValidation.riskAssessment.level, 'HIGH');
+  assert.strictEqual(downsized.masterValidation.finalApproval, true);
+  assert.strictEqual(downsized.executionRecommendation, 'BUY', 'One level towards HOLD');
+  assert.strictEqual(downsized.sizeMultiplier, 0.5);
+  console.log('✅', vetoed.masterValidation.masterOverride.reasons[0].message, '|', drawdown.message);
+
+  // Test 3: Timing - regime, likviditet og spread
+  console.log('\n📋 Test 3: Timing, liquidity and spread');
+  const againstTrend = await system.masterAgentValidation(consensus('BUY', 'BEAR'), market(calm));
+  assert.strictEqual(againstTrend.masterValidation.timingAssessment.timing, 'UNFAVORABLE');
+  assert.deepStrictEqual(codes(againstTrend), ['ADVERSE_TIMING']);
+  assert.strictEqual(againstTrend.executionRecommendation, 'PARTIAL_BUY');
+
+  const illiquid = await system.masterAgentValidation(consensus('BUY'), market(drying));
+  assert.deepStrictEqual(codes(illiquid), ['LIQUIDITY']);
+  assert.ok(illiquid.masterValidation.timingAssessment.liquidityRatio < 0.1);
+  assert.strictEqual(illiquid.masterValidation.finalApproval, false);
+
+  const wide = await system.masterAgentValidation(consensus('SELL'), market(calm, { bid: 99, ask: 101 }));
+  assert.deepStrictEqual(codes(wide), ['SPREAD']);
+  assert.ok(Math.abs(wide.masterValidation.timingAssessment.spread - 0.02) < 1e-12);
+
+  const several = await system.masterAgentValidation(consensus('BUY', 'HIGH_VOLATILITY'), market(falling));
+  assert.deepStrictEqual(codes(several), ['DRAWDOWN', 'ADVERSE_TIMING']);
+  assert.strictEqual(several.sizeMultiplier, 0.25);
+
+  const hold = await system.masterAgentValidation(consensus('HOLD'), market(volatile, { bid: 99, ask: 101 }));
+  assert.strictEqual(hold.masterValidation.masterOverride, null, 'HOLD is never vetoed');
+  console.log('✅', againstTrend.masterValidation.masterOverride.reasons[0].message, '|', illiquid.masterValidation.masterOverride.reasons[0].message);
+
+  // Test 4: Porteføljepåvirkning ud fra positioner
+  console.log('\n📋 Test 4: Portfolio impact');
+  const full = [{ symbol: 'BTC/USDT', side: 'long', marketValue: 25000 }];
+  const atLimit = await system.masterAgentValidation(consensus('BUY'), market(calm, { positions: full }));
+  assert.deepStrictEqual(codes(atLimit), ['POSITION_LIMIT', 'CONCENTRATION'], 'A single position is fully concentrated');
+  assert.strictEqual(atLimit.masterValidation.portfolioImpact.impact, 'EXCESSIVE');
+  assert.strictEqual(atLimit.masterValidation.finalApproval, false);
+
+  const exit = await system.masterAgentValidation(consensus('STRONG_SELL'), market(volatile, { positions: full }));
+  assert.strictEqual(exit.masterValidation.portfolioImpact.reducing, true);
+  assert.strictEqual(exit.masterValidation.masterOverride, null, 'Exits pass even in a volatile market');
+  assert.strictEqual(exit.executionRecommendation, 'STRONG_SELL');
+
+  const concentrated = await system.masterAgentValidation(consensus('BUY'), market(calm, {
+    positions: [{ symbol: 'BTC/USDT', side: 'long', marketValue: 15000 }, { symbol: 'ETH/USDT', side: 'long', marketValue: 6000 }]
+  }));
+  assert.deepStrictEqual(codes(concentrated), ['CONCENTRATION']);
+  assert.strictEqual(concentrated.masterValidation.portfolioImpact.grossExposure, 21000);
+
+  // Uden positioner i marketData bruges PositionManager
+  system.positionManager = { isReady: true, getPositions: () => [{ symbol: 'BTC/USDT', side: 'long', marketValue: 20000 }] };
+  const nearLimit = await system.masterAgentValidation(consensus('BUY'), { symbol: 'BTC/USDT', price: 100, candles: calm });
+  assert.deepStrictEqual(codes(nearLimit), ['POSITION_LIMIT', 'CONCENTRATION']);
+  assert.strictEqual(nearLimit.masterValidation.masterOverride.type, 'DOWNSIZE');
+  assert.strictEqual(nearLimit.sizeMultiplier, 0.25);
+  assert.strictEqual(nearLimit.masterValidation.portfolioImpact.positionUsage, 0.8);
+  system.positionManager = { isReady: false };
+  console.log('✅', atLimit.masterValidation.masterOverride.reasons[0].message, '|', concentrated.masterValidation.masterOverride.reasons[0].message);
+
+  // Test 5: Metrics og forklaring fra orkestreringen
+  console.log('\n📋 Test 5: Metrics and explanations');
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+
+  const orchestrated = await createSystem();
+  orchestrated.database = DatabaseService;
+  orchestrated.getAgentDecision = async agent => ({ agentId: agent.id, recommendation: 'BUY', confidence: 0.8, evidence: [], timestamp: new Date() });
+  const calmCycle = await orchestrated.orchestrateDecision(market(calm));
+  const volatileCycle = await orchestrated.orchestrateDecision(market(volatile));
+  const fallingCycle = await orchestrated.orchestrateDecision(market(falling));
+  assert.strictEqual(calmCycle.masterValidation.finalApproval, true);
+  assert.strictEqual(volatileCycle.masterValidation.finalApproval, false);
+  assert.strictEqual(fallingCycle.masterValidation.masterOverride.type, 'DOWNSIZE');
+
+  const performance = orchestrated.masterAgent.performance;
+  assert.strictEqual(performance.vetoes, 1);
+  assert.strictEqual(performance.downsizes, 1);
+  assert.strictEqual(performance.overrideReasons.VOLATILITY, 1);
+
+  const metrics = await MasterAgentSystem.readOverrideMetrics({ database: DatabaseService });
+  assert.strictEqual(metrics.cycles, 3);
+  assert.strictEqual(metrics.approved, 2);
+  assert.strictEqual(metrics.vetoes, 1);
+  assert.strictEqual(metrics.downsizes, 1);
+  assert.deepStrictEqual(metrics.byReason, { ...performance.overrideReasons });
+
+  const explained = MasterAgentSystem.explainValidation(volatileCycle);
+  assert.strictEqual(explained.approved, false);
+  assert.strictEqual(explained.override, 'VETO');
+  assert.ok(explained.summary.startsWith(`Master vetoed ${volatileCycle.action} → HOLD: Volatility`), explained.summary);
+
+  const logged = await MasterAgentSystem.getDecisionCycle(volatileCycle.cycleId, { database: DatabaseService });
+  assert.deepStrictEqual(MasterAgentSystem.explainValidation(logged), explained, 'Logged cycles explain the same way');
+  assert.ok(MasterAgentSystem.explainValidation(calmCycle).summary.startsWith('Master approved'));
+  assert.strictEqual(MasterAgentSystem.explainValidation({ action: 'BUY' }), null);
+  console.log('✅', explained.summary);
+
+  console.log('\n🎉 All master validation tests passed');
+}
+
+if (require.main === module) {
+  runMasterValidationTests().catch(error => {
+    console.error('❌ Master validation tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMasterValidationTests };
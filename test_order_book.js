@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Order Book Test Suite
+ * Local level-2 books from snapshots and diffs, sequence/checksum validation, consolidated depth and slippage
+ */
+
+const assert = require('assert');
+const zlib = require('zlib');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const SecurityService = require('./server/services/SecurityService');
+const TradingService = require('./server/services/TradingService');
+const tradingRoutes = require('./server/routes/trading');
+const OrderBook = require('./server/services/OrderBook');
+const BinanceExchange = require('./server/services/BinanceExchange');
+const KrakenExchange = require('./server/services/KrakenExchange');
+const WebSocketCoordinator = require('./server/services/WebSocketCoordinator');
+const QuantitativeEngine = require('./server/services/QuantitativeEngine');
+
+const { ORDERBOOK_ERRORS } = OrderBook;
+
+function jsonResponse(body) {
+  return { ok: true, status: 200, statusText: 'OK', text: async () => JSON.stringify(body) };
+}
+
+// /api/trading på en tilfældig port med en bruger fra users tabellen
+async function startApi() {
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  const { id } = await DatabaseService.run(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    ['depth', 'depth@example.com', 'x', 'user']
+  );
+  const token = SecurityService.generateJWT({ id, username: 'depth', role: 'user' });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trading', tradingRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  server.get = async (fetch, path) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/trading${path}`, {
+      headers: { authorization: `Bearer ${token}` }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return server;
+}
+
+async function runOrderBookTests() {
+  console.log('🧪 Order Book Test Suite');
+  console.log('========================\n');
+
+  const originalFetch = global.fetch;
+
+  try {
+    // Test 1: Snapshot, diffs and sequence validation
+    console.log('📋 Test 1: Snapshot and diffs');
+    const book = new OrderBook('Test', 'BTC/USDT', { maxDepth: 3 });
+    assert.throws(() => book.applyDiff({ bids: [['1', '1']] }), error => error.code === ORDERBOOK_ERRORS.NOT_SYNCED);
+
+    book.applySnapshot({
+      bids: [['100', '1'], ['99', '2'], ['98', '3'], ['97', '4']],
+      asks: [['101', '1'], ['102', '2']],
+      sequence: 10
+    });
+    assert.deepStrictEqual(book.getBids(), [[100, 1], [99, 2], [98, 3]], 'Trimmed to maxDepth');
+    assert.strictEqual(book.midPrice(), 100.5);
+
+    assert.strictEqual(book.applyDiff({ bids: [['100', '0'], ['99.5', '5']], asks: [['101', '0.5']], firstSequence: 9, sequence: 11 }), true);
+    assert.deepStrictEqual(book.getBids(2), [[99.5, 5], [99, 2]]);
+    assert.deepStrictEqual(book.getAsks(1), [[101, 0.5]]);
+    assert.strictEqual(book.applyDiff({ bids: [['50', '1']], firstSequence: 5, sequence: 11 }), false, 'Stale diff ignored');
+
+    assert.throws(
+      () => book.applyDiff({ bids: [['99', '1']], firstSequence: 13, sequence: 14 }),
+      error => error.code === ORDERBOOK_ERRORS.SEQUENCE_GAP
+    );
+    assert.strictEqual(book.synced, false);
+    assert.strictEqual(book.stats.gaps, 1);
+    console.log('✅ Levels updated, stale diff ignored, gap detected');
+
+    // Test 2: Fill and slippage estimates
+    console.log('\n📋 Test 2: Fill estimates');
+    const levels = [[100, 1], [101, 1], [102, 2]];
+    const byAmount = OrderBook.estimateFill(levels, 'buy', { amount: 2 }, 100);
+    assert.strictEqual(byAmount.averagePrice, 100.5);
+    assert.strictEqual(byAmount.worstPrice, 101);
+    assert.ok(Math.abs(byAmount.slippage - 0.005) < 1e-12);
+    assert.strictEqual(byAmount.complete, true);
+
+    const byNotional = OrderBook.estimateFill(levels, 'buy', { notional: 201 }, 100);
+    assert.ok(Math.abs(byNotional.filled - 2) < 1e-12);
+    assert.strictEqual(OrderBook.estimateFill(levels, 'buy', { amount: 10 }, 100).complete, false, 'Book too thin');
+
+    const sell = OrderBook.estimateFill([[99, 1], [98, 1]], 'sell', { amount: 2 }, 100);
+    assert.ok(Math.abs(sell.slippage - 0.015) < 1e-12, 'Selling below mid is positive slippage');
+    console.log('✅ Average price', byAmount.averagePrice, 'slippage', byAmount.slippage.toFixed(4));
+
+    // Test 3: Binance depth stream resyncs from REST and replays buffered diffs
+    console.log('\n📋 Test 3: Binance depth resync');
+    const binance = new BinanceExchange();
+    const binanceEmitted = [];
+    binance.wsManager.on('orderbook', book => binanceEmitted.push(book.sequence));
+
+    const depthRequests = [];
+    const snapshotIds = [105, 109];
+    global.fetch = async url => {
+      depthRequests.push(url);
+      return jsonResponse({
+        lastUpdateId: snapshotIds[depthRequests.length - 1],
+        bids: [['50000.00', '1.0'], ['49990.00', '2.0']],
+        asks: [['50010.00', '1.5'], ['50020.00', '3.0']]
+      });
+    };
+
+    binance.handleWebSocketMessage({
+      stream: 'btcusdt@depth@100ms',
+      data: { e: 'depthUpdate', E: Date.now(), s: 'BTCUSDT', U: 100, u: 104, b: [['49000.00', '9.0']], a: [] }
+    });
+    binance.handleWebSocketMessage({
+      stream: 'btcusdt@depth@100ms',
+      data: { e: 'depthUpdate', E: Date.now(), s: 'BTCUSDT', U: 105, u: 107, b: [['50000.00', '0.5']], a: [['50005.00', '0.2']] }
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(depthRequests.length, 1, 'One snapshot while loading');
+    assert.ok(depthRequests[0].includes('/api/v3/depth?symbol=BTCUSDT&limit=1000'));
+    const binanceBook = binance.getLocalOrderBook('BTC/USDT');
+    assert.strictEqual(binanceBook.sequence, 107);
+    assert.deepStrictEqual(binanceBook.getBids(2), [[50000, 0.5], [49990, 2]], 'Covered diff skipped, newer diff replayed');
+    assert.strictEqual(binanceBook.bestAsk(), 50005);
+
+    binance.processDepthUpdate({ s: 'BTCUSDT', E: Date.now(), U: 110, u: 111, b: [], a: [] });
+    assert.strictEqual(binance.getLocalOrderBook('BTC/USDT'), null, 'Gap marks book unsynced');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(depthRequests.length, 2);
+    assert.strictEqual(binance.getLocalOrderBook('BTC/USDT').sequence, 111);
+    assert.deepStrictEqual(binanceEmitted, [107, 111]);
+    console.log('✅ Resynced twice, book at update id', binance.getLocalOrderBook('BTC/USDT').sequence);
+
+    // Test 4: Kraken checksum validation and resubscribe
+    console.log('\n📋 Test 4: Kraken checksum');
+    const kraken = new KrakenExchange();
+    const sent = [];
+    kraken.wsManager.send = message => sent.push(message);
+
+    kraken.handleWebSocketMessage([
+      336,
+      { as: [['50010.00000', '1.50000000', '1']], bs: [['50000.00000', '0.05000000', '1']] },
+      'book-10',
+      'XBT/USDT'
+    ]);
+    const krakenBook = kraken.getLocalOrderBook('BTC/USDT');
+    assert.strictEqual(krakenBook.bestBid(), 50000);
+
+    // Asks så bids, uden punktum og foranstillede nuller
+    const checksum = zlib.crc32('5001000000' + '150000000' + '5000000000' + '5000000' + '4999000000' + '100000000');
+    kraken.handleWebSocketMessage([
+      336,
+      { b: [['49990.00000', '1.00000000', '2']], c: String(checksum) },
+      'book-10',
+      'XBT/USDT'
+    ]);
+    assert.deepStrictEqual(krakenBook.getBids(), [[50000, 0.05], [49990, 1]]);
+    assert.strictEqual(sent.length, 0);
+
+    kraken.handleWebSocketMessage([
+      336,
+      { a: [['50010.00000', '0.00000000', '3']] },
+      { b: [['49980.00000', '1.00000000', '3']], c: '12345' },
+      'book-10',
+      'XBT/USDT'
+    ]);
+    assert.strictEqual(krakenBook.synced, false);
+    assert.strictEqual(kraken.getLocalOrderBook('BTC/USDT'), null);
+    assert.deepStrictEqual(sent.map(message => message.event), ['unsubscribe', 'subscribe']);
+    assert.deepStrictEqual(sent[1].subscription, { name: 'book', depth: 10 });
+
+    kraken.handleWebSocketMessage([336, { b: [['49000.00000', '1.00000000', '4']], c: '1' }, 'book-10', 'XBT/USDT']);
+    assert.strictEqual(krakenBook.stats.checksumErrors, 1, 'Updates ignored until new snapshot');
+    console.log('✅ Valid checksum applied, mismatch resubscribed');
+
+    // Test 5: Consolidated book and slippage across exchanges
+    console.log('\n📋 Test 5: Consolidated depth');
+    const coordinator = new WebSocketCoordinator();
+    const first = new OrderBook('Binance', 'ETH/USDT');
+    first.applySnapshot({ bids: [['3000', '1'], ['2999', '2']], asks: [['3001', '1'], ['3002', '2']] });
+    const second = new OrderBook('Kraken', 'ETH/USDT');
+    second.applySnapshot({ bids: [['3000', '0.5'], ['2998', '1']], asks: [['3001.5', '1'], ['3002', '1']] });
+
+    const updates = [];
+    coordinator.on('orderBookUpdate', update => updates.push(update.exchange));
+    coordinator.handleOrderBookUpdate('Binance', first);
+    coordinator.handleOrderBookUpdate('Kraken', second);
+    assert.deepStrictEqual(updates, ['Binance', 'Kraken']);
+
+    const consolidated = coordinator.getConsolidatedOrderBook('ETH/USDT', 3);
+    assert.deepStrictEqual(consolidated.exchanges, ['Binance', 'Kraken']);
+    assert.deepStrictEqual(consolidated.bestBid, { price: 3000, amount: 1.5, exchanges: { Binance: 1, Kraken: 0.5 } });
+    assert.deepStrictEqual(consolidated.asks.map(level => level.price), [3001, 3001.5, 3002]);
+    assert.strictEqual(consolidated.asks[2].amount, 3);
+    assert.strictEqual(consolidated.crossed, false);
+    assert.deepStrictEqual(coordinator.getConsolidatedOrderBook('ETH/USDT', 3, 'Kraken').exchanges, ['Kraken']);
+
+    const estimate = coordinator.estimateSlippage('ETH/USDT', 'buy', { amount: 2 });
+    assert.strictEqual(estimate.averagePrice, 3001.25);
+    assert.strictEqual(estimate.referencePrice, 3000.5);
+    assert.strictEqual(coordinator.estimateSlippage('SOL/USDT', 'buy', { amount: 1 }), null);
+
+    second.updatedAt = Date.now() - coordinator.orderBookMaxAge - 1;
+    assert.deepStrictEqual(coordinator.getConsolidatedOrderBook('ETH/USDT').exchanges, ['Binance'], 'Stale book excluded');
+    second.updatedAt = Date.now();
+    console.log('✅ Consolidated', consolidated.exchanges.length, 'books, slippage', estimate.slippage.toFixed(5));
+
+    // Test 6: QuantitativeEngine uses real depth and falls back to the linear model
+    console.log('\n📋 Test 6: Depth-based slippage');
+    const engine = new QuantitativeEngine();
+    const linear = engine.calculateSlippage(6000, { symbol: 'ETH/USDT' });
+    assert.ok(Math.abs(linear - 0.00006) < 1e-12, 'Linear without depth source');
+
+    engine.setDepthSource(coordinator);
+    assert.strictEqual(engine.transactionCosts.slippageModel, 'orderbook');
+    const fromDepth = engine.calculateSlippage(6002.5, { symbol: 'ETH/USDT', side: 'buy' });
+    assert.ok(Math.abs(fromDepth - estimate.slippage) < 1e-9);
+    assert.ok(Math.abs(engine.calculateSlippage(1e9, { symbol: 'ETH/USDT' }) - 10) < 1e-9, 'Thin book falls back');
+    assert.ok(Math.abs(engine.calculateSlippage(6000, { symbol: 'SOL/USDT' }) - 0.00006) < 1e-12, 'Missing book falls back');
+    console.log('✅ Depth slippage', fromDepth.toFixed(6), 'vs linear', linear.toFixed(6));
+
+    // Test 7: Depth routes read the shared TradingService
+    console.log('\n📋 Test 7: Order book routes');
+    TradingService.setCoordinator(coordinator);
+    const api = await startApi();
+    const depth = await api.get(originalFetch, '/orderbook/ETH-USDT?depth=3');
+    assert.strictEqual(depth.status, 200);
+    assert.deepStrictEqual(depth.body.orderBook.asks.map(level => level.price), [3001, 3001.5, 3002]);
+    assert.deepStrictEqual((await api.get(originalFetch, '/orderbook/eth_usdt?exchange=kraken')).body.orderBook.exchanges, ['Kraken']);
+
+    const routed = await api.get(originalFetch, '/orderbook/ETH-USDT/slippage?side=buy&amount=2');
+    assert.strictEqual(routed.status, 200);
+    assert.strictEqual(routed.body.estimate.averagePrice, 3001.25);
+    assert.strictEqual((await api.get(originalFetch, '/orderbook/ETH-USDT/slippage?side=hold&amount=2')).status, 400);
+    await new Promise(resolve => api.close(resolve));
+    console.log('✅ Depth and slippage served over HTTP');
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  console.log('\n🎉 All order book tests passed');
+}
+
+if (require.main === module) {
+  runOrderBookTests().catch(error => {
+    console.error('❌ Order book tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runOrderBookTests };
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Order Ledger Test Suite
+ * Runs orders through the lifecycle against an in-memory SQLite database
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const TradingService = require('./server/services/TradingService');
+const PaperExchange = require('./server/services/PaperExchange');
+const RiskEngine = require('./server/services/RiskEngine');
+const SecurityService = require('./server/services/SecurityService');
+const tradingRoutes = require('./server/routes/trading');
+
+class ScriptedPriceSource extends EventEmitter {
+  constructor(price) {
+    super();
+    this.name = 'Scripted';
+    this.price = price;
+  }
+
+  async getTicker(symbol) {
+    return { symbol, price: this.price, changePercent: 0, volume: 1000, timestamp: new Date().toISOString(), exchange: this.name };
+  }
+
+  push(price) {
+    this.price = price;
+    this.emit('ticker', { symbol: 'BTC/USDT', price, timestamp: new Date().toISOString(), exchange: this.name });
+  }
+}
+
+// /api/trading på en tilfældig port med en bruger fra users tabellen
+async function startApi() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trading', tradingRoutes);
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function createToken(role) {
+  const username = `${role}_${Date.now()}`;
+  const { id } = await DatabaseService.run(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, `${username}@example.com`, 'x', role]
+  );
+  return SecurityService.generateJWT({ id, username, role });
+}
+
+function requestAs(server, token) {
+  return async (method, path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/trading${path}`, {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+async function openPositions() {
+  return DatabaseService.all("SELECT * FROM trading_positions WHERE status = 'open'");
+}
+
+async function runOrderLedgerTests() {
+  console.log('🧪 Order Ledger Test Suite');
+  console.log('==========================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+
+  // Test 1: Partial then full fill
+  console.log('📋 Test 1: Order lifecycle');
+  const order = await OrderLedger.createOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 1, type: 'market', exchange: 'Binance' });
+  assert.strictEqual(order.status, 'new');
+  const partial = await OrderLedger.recordFill(order.id, { quantity: 0.4, price: 100, fee: 0.04 });
+  assert.strictEqual(partial.order.status, 'partially_filled');
+  const full = await OrderLedger.recordFill(order.id, { quantity: 0.6, price: 110, fee: 0.066 });
+  assert.strictEqual(full.order.status, 'filled');
+  assert.ok(Math.abs(full.order.averagePrice - 106) < 1e-9);
+  assert.strictEqual((await OrderLedger.getFills({ orderId: order.id })).length, 2);
+  await assert.rejects(OrderLedger.cancelOrder(order.id), /Invalid order transition filled → cancelled/);
+  console.log('✅ new → partially_filled → filled @', full.order.averagePrice);
+
+  // Test 2: Fills update trading_positions with average cost
+  console.log('\n📋 Test 2: Position updates');
+  let positions = await openPositions();
+  assert.strictEqual(positions.length, 1);
+  assert.strictEqual(positions[0].side, 'long');
+  assert.ok(Math.abs(positions[0].amount - 1) < 1e-9);
+  assert.ok(Math.abs(positions[0].entry_price - 106) < 1e-9);
+
+  const exit = await OrderLedger.createOrder({ symbol: 'BTC/USDT', side: 'sell', amount: 1, type: 'market', exchange: 'Binance' });
+  await OrderLedger.recordFill(exit.id, { quantity: 1, price: 120, fee: 0 });
+  positions = await openPositions();
+  assert.strictEqual(positions.length, 0);
+  const closed = await DatabaseService.get("SELECT * FROM trading_positions WHERE status = 'closed'");
+  assert.ok(Math.abs(closed.realized_pnl - 14) < 1e-9, 'Realized P&L from average entry');
+  assert.strictEqual(closed.exit_price, 120);
+  console.log('✅ Position closed with realized P&L', closed.realized_pnl);
+
+  // Test 3: Cumulative execution reports are idempotent
+  console.log('\n📋 Test 3: Execution reports');
+  const limit = await OrderLedger.createOrder({ symbol: 'ETH/USDT', side: 'buy', amount: 2, type: 'limit', price: 3000 });
+  await OrderLedger.acknowledgeOrder(limit.id, 'Binance', 42);
+  await OrderLedger.applyExecutionReportByExchangeId('Binance', 42, { filledAmount: 1, averagePrice: 3000, fee: 3 });
+  await OrderLedger.applyExecutionReportByExchangeId('Binance', 42, { filledAmount: 1, averagePrice: 3000, fee: 3 });
+  let reported = await OrderLedger.getOrder(limit.id);
+  assert.strictEqual(reported.filledAmount, 1);
+  assert.strictEqual(reported.fees, 3);
+  reported = await OrderLedger.applyExecutionReport(limit.id, { filledAmount: 1, status: 'CANCELED' });
+  assert.strictEqual(reported.status, 'cancelled');
+  assert.strictEqual(await OrderLedger.applyExecutionReportByExchangeId('Binance', 'unknown', { filledAmount: 1 }), null);
+  console.log('✅ Duplicate report ignored, remainder cancelled');
+
+  // Test 4: /api/trading routes order through the shared TradingService and a paper exchange
+  console.log('\n📋 Test 4: Trading routes');
+  const source = new ScriptedPriceSource(50000);
+  const paper = new PaperExchange('Binance', { priceSource: source, initialBalances: { USDT: 100000 } });
+  await paper.initialize();
+  const coordinator = Object.assign(new EventEmitter(), {
+    exchanges: new Map([['Binance', { instance: paper, configKey: 'binance', priority: 1 }]]),
+    getTicker: symbol => source.getTicker(symbol),
+    getAllTickers: () => ({ 'BTC/USDT': { price: source.price } }),
+    estimateSlippage: () => null
+  });
+  // Risikogrænser og approval testes i test_risk_engine.js og test_human_approval.js - her skal exchange selv afvise
+  RiskEngine.updateConfig({ enabled: false });
+  SecurityService.approvalConfig.tradeThreshold = Infinity;
+  TradingService.setCoordinator(coordinator);
+  await PositionManager.initialize({ ledger: OrderLedger });
+
+  const api = await startApi();
+  const call = requestAs(api, await createToken('admin'));
+
+  const market = await call('POST', '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.5, type: 'market' });
+  assert.strictEqual(market.status, 200);
+  assert.strictEqual(market.body.order.status, 'filled');
+  assert.strictEqual(market.body.order.exchange, 'Binance');
+  assert.ok(market.body.order.averagePrice >= 50000);
+
+  const resting = await call('POST', '/order', { symbol: 'BTC/USDT', side: 'sell', amount: 0.2, type: 'limit', price: 51000 });
+  assert.strictEqual(resting.body.order.status, 'new');
+  source.push(51500);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual((await OrderLedger.getOrder(resting.body.order.id)).status, 'filled');
+
+  const rejected = await call('POST', '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 100, type: 'market' });
+  assert.strictEqual(rejected.body.success, false);
+  assert.strictEqual(rejected.body.order.status, 'rejected');
+  assert.ok(/insufficient/.test(rejected.body.order.rejectReason));
+  assert.strictEqual(rejected.status, 502, 'Exchange rejection is not a 200');
+  const failedEvents = await DatabaseService.all("SELECT event_type FROM security_events WHERE event_type = 'trade_failed'");
+  assert.strictEqual(failedEvents.length, 1);
+
+  const bid = await call('POST', '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.1, type: 'limit', price: 40000 });
+  const cancelled = await call('POST', `/orders/${bid.body.order.id}/cancel`);
+  assert.strictEqual(cancelled.status, 200);
+  assert.strictEqual(cancelled.body.order.status, 'cancelled');
+  assert.deepStrictEqual(await paper.getOpenOrders(), [], 'Cancelled on the exchange too');
+
+  const halved = await call('POST', '/close-position', { symbol: 'BTC/USDT', exchange: 'Binance', percentage: 50 });
+  assert.strictEqual(halved.body.order.side, 'sell');
+  assert.ok(Math.abs(halved.body.order.filledAmount - 0.15) < 1e-9, 'Half of the 0.3 BTC position');
+
+  const book = await call('GET', '/orders?symbol=BTC/USDT');
+  assert.strictEqual(book.body.orders.length, 7);
+  assert.strictEqual(book.body.total, 7);
+  assert.strictEqual(await OrderLedger.countOrders({ status: 'rejected' }), 1);
+
+  const portfolio = await call('GET', '/portfolio');
+  assert.strictEqual(portfolio.body.portfolio.positionCount, 2, 'Summary is awaited, not a pending promise');
+  assert.ok(Math.abs(portfolio.body.portfolio.positions.find(position => position.symbol === 'BTC/USDT').amount - 0.15) < 1e-9);
+  console.log('✅ Market, resting limit, rejected, cancelled and closing orders recorded');
+
+  // Test 5: Execution stats and Black Swan test read the ledger
+  console.log('\n📋 Test 5: Stats and Black Swan test');
+  const stats = await OrderLedger.getExecutionStats();
+  assert.strictEqual(stats.totalOrders, 8);
+  assert.strictEqual(stats.rejected, 1);
+  assert.ok(stats.fillRate > 0 && stats.fillRate < 100);
+
+  const swan = await call('POST', '/black-swan-test', { scenario: 'flash_crash' });
+  assert.strictEqual(swan.body.result.positions.length, 2);
+  assert.ok(swan.body.result.loss > 0.30, 'Crash plus exit slippage');
+  assert.strictEqual(swan.body.result.passed, false);
+  const history = await DatabaseService.all('SELECT * FROM black_swan_tests');
+  assert.strictEqual(history.length, 1);
+  const unknown = await call('POST', '/black-swan-test', { scenario: 'alien_invasion' });
+  assert.strictEqual(unknown.status, 500);
+  assert.ok(/Unknown Black Swan scenario/.test(unknown.body.error));
+  assert.strictEqual((await requestAs(api, await createToken('user'))('POST', '/black-swan-test', { scenario: 'flash_crash' })).status, 403);
+  console.log('✅ Flash crash loss:', (swan.body.result.loss * 100).toFixed(2) + '%');
+
+  await new Promise(resolve => api.close(resolve));
+  await paper.disconnect();
+
+  // Test 6: BNB commission stays out of quote fees and position P&L
+  console.log('\n📋 Test 6: Non-quote fees');
+  const bnbOrder = await OrderLedger.createOrder({ symbol: 'SOL/USDT', side: 'buy', amount: 2, type: 'limit', price: 100 });
+  await OrderLedger.acknowledgeOrder(bnbOrder.id, 'Binance', 43);
+  await OrderLedger.applyExecutionReportByExchangeId('Binance', 43, { filledAmount: 1, averagePrice: 100, fee: 0.001, feeCurrency: 'BNB' });
+  const bnbReported = await OrderLedger.applyExecutionReportByExchangeId('Binance', 43, { filledAmount: 2, averagePrice: 100, fee: 0.002, feeCurrency: 'BNB' });
+  assert.strictEqual(bnbReported.status, 'filled');
+  assert.strictEqual(bnbReported.fees, 0);
+  const bnbFills = await OrderLedger.getFills({ orderId: bnbOrder.id });
+  assert.deepStrictEqual(bnbFills.map(bnbFill => [bnbFill.feeCurrency, bnbFill.fee]), [['BNB', 0.001], ['BNB', 0.001]]);
+  const solPosition = await DatabaseService.get("SELECT * FROM trading_positions WHERE symbol = 'SOL/USDT'");
+  assert.strictEqual(solPosition.fees, 0);
+  assert.strictEqual(OrderLedger.isQuoteFee({ symbol: 'ETH/BNB', feeCurrency: 'BNB' }), true);
+  console.log('✅ BNB fees kept on the fills, out of quote fees');
+
+  console.log('\n🎉 All order ledger tests passed');
+}
+
+if (require.main === module) {
+  runOrderLedgerTests().catch(error => {
+    console.error('❌ Order ledger tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runOrderLedgerTests };
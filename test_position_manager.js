@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Position Manager Test Suite
+ * Builds positions from ledger fills under FIFO, LIFO and average cost
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+
+const tickers = { 'BTC/USDT': { price: 125 }, 'ETH/USDT': { price: 90 } };
+
+async function fill(symbol, side, amount, price, fee = 0) {
+  const order = await OrderLedger.createOrder({ symbol, side, amount, type: 'market', exchange: 'Binance' });
+  await OrderLedger.recordFill(order.id, { quantity: amount, price, fee });
+}
+
+function close(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} !== ${expected}`);
+}
+
+async function runPositionManagerTests() {
+  console.log('🧪 Position Manager Test Suite');
+  console.log('=============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  PositionManager.setTickerSource({ getAllTickers: () => tickers });
+
+  const updates = [];
+  PositionManager.on('positionUpdated', position => updates.push(position));
+
+  await fill('BTC/USDT', 'buy', 1, 100);
+  await fill('BTC/USDT', 'buy', 1, 120);
+  await fill('BTC/USDT', 'sell', 1, 130);
+
+  // Test 1: FIFO closes the oldest lot
+  console.log('📋 Test 1: FIFO');
+  let position = PositionManager.getPosition('Binance', 'BTC/USDT');
+  assert.strictEqual(updates.length, 3);
+  assert.strictEqual(position.amount, 1);
+  close(position.realizedPnl, 30, 'FIFO realized');
+  close(position.averageEntryPrice, 120, 'FIFO remaining lot');
+  close(position.unrealizedPnl, 5, 'FIFO unrealized');
+  assert.strictEqual(position.currentPrice, 125);
+  console.log('✅ Realized', position.realizedPnl, 'unrealized', position.unrealizedPnl);
+
+  // Test 2: LIFO replays the same fills from the database
+  console.log('\n📋 Test 2: LIFO rebuild');
+  await PositionManager.rebuild('lifo');
+  position = PositionManager.getPosition('Binance', 'BTC/USDT');
+  close(position.realizedPnl, 10, 'LIFO realized');
+  close(position.averageEntryPrice, 100, 'LIFO remaining lot');
+  close(position.unrealizedPnl, 25, 'LIFO unrealized');
+  console.log('✅ Realized', position.realizedPnl, 'unrealized', position.unrealizedPnl);
+
+  // Test 3: Average cost keeps a single blended lot
+  console.log('\n📋 Test 3: Average cost');
+  await PositionManager.rebuild('average');
+  position = PositionManager.getPosition('Binance', 'BTC/USDT');
+  assert.strictEqual(position.lots.length, 1);
+  close(position.realizedPnl, 20, 'Average realized');
+  close(position.averageEntryPrice, 110, 'Average entry');
+  close(position.unrealizedPnl, 15, 'Average unrealized');
+  console.log('✅ Realized', position.realizedPnl, 'unrealized', position.unrealizedPnl);
+
+  // Test 4: Shorts, flips and fees
+  console.log('\n📋 Test 4: Short position with fees');
+  await PositionManager.rebuild('fifo');
+  await fill('ETH/USDT', 'sell', 2, 100, 0.2);
+  position = PositionManager.getPosition('Binance', 'ETH/USDT');
+  assert.strictEqual(position.side, 'short');
+  close(position.unrealizedPnl, 20, 'Short gains when price falls');
+  close(position.realizedPnl, -0.2, 'Fee realized immediately');
+  await fill('ETH/USDT', 'buy', 3, 90);
+  position = PositionManager.getPosition('Binance', 'ETH/USDT');
+  assert.strictEqual(position.side, 'long');
+  assert.strictEqual(position.amount, 1);
+  close(position.realizedPnl, 19.8, 'Short closed at 90');
+  console.log('✅ Short covered and flipped long');
+
+  // Test 5: Portfolio totals
+  console.log('\n📋 Test 5: Portfolio P&L');
+  const pnl = PositionManager.getPortfolioPnL();
+  assert.strictEqual(pnl.openPositions, 2);
+  close(pnl.realized, 30 + 19.8, 'Total realized');
+  close(pnl.unrealized, 5, 'Total unrealized');
+  close(pnl.costBasis, 120 + 90, 'Total cost basis');
+  assert.throws(() => PositionManager.setMethod('hifo'), /Unknown cost basis method/);
+  console.log('✅ Portfolio P&L:', pnl.total.toFixed(2));
+
+  // Test 6: Fees in a non-quote asset stay out of P&L
+  console.log('\n📋 Test 6: BNB commission');
+  const today = new Date().toISOString().slice(0, 10);
+  const dailyBefore = PositionManager.dailyRealized.get(today) || 0;
+  const bnbOrder = await OrderLedger.createOrder({ symbol: 'SOL/USDT', side: 'buy', amount: 1, type: 'market', exchange: 'Binance' });
+  await OrderLedger.recordFill(bnbOrder.id, { quantity: 1, price: 100, fee: 0.001, feeCurrency: 'BNB' });
+  position = PositionManager.getPosition('Binance', 'SOL/USDT');
+  assert.strictEqual(position.fees, 0);
+  assert.strictEqual(position.realizedPnl, 0);
+  assert.deepStrictEqual(position.unconvertedFees, { BNB: 0.001 });
+  close(PositionManager.dailyRealized.get(today) || 0, dailyBefore, 'Daily realized untouched');
+  await PositionManager.rebuild('fifo');
+  assert.deepStrictEqual(PositionManager.getPosition('Binance', 'SOL/USDT').unconvertedFees, { BNB: 0.001 });
+  console.log('✅ BNB fee tracked apart from quote fees');
+
+  console.log('\n🎉 All position manager tests passed');
+}
+
+if (require.main === module) {
+  runPositionManagerTests().catch(error => {
+    console.error('❌ Position manager tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runPositionManagerTests };
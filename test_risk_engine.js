@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Risk Engine Test Suite
+ * Checks every pre-trade limit against positions built from ledger fills
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const TradingService = require('./server/services/TradingService');
+
+const LIMITS = {
+  enabled: true,
+  maxOrderNotional: 10000,
+  maxPositionNotional: 25000,
+  maxExchangeExposure: 50000,
+  dailyLossLimit: 1000,
+  maxConcentration: 0.5,
+  concentrationMinExposure: 20000,
+  priceBandPercent: 5,
+  requireReferencePrice: true
+};
+
+const tickers = {};
+const tickerSource = { getAllTickers: () => tickers };
+
+function codes(result) {
+  return result.reasons.map(reason => reason.code);
+}
+
+async function fill(exchange, symbol, side, quantity, price) {
+  const order = await OrderLedger.createOrder({ symbol, side, amount: quantity, type: 'market', exchange });
+  await OrderLedger.recordFill(order.id, { quantity, price });
+}
+
+async function runRiskEngineTests() {
+  console.log('🧪 Risk Engine Test Suite');
+  console.log('=========================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  PositionManager.setTickerSource(tickerSource);
+  RiskEngine.setTickerSource(tickerSource);
+  RiskEngine.updateConfig(LIMITS);
+
+  const { RISK_REASONS } = RiskEngine;
+  tickers['BTC/USDT'] = { price: 50000 };
+  tickers['ETH/USDT'] = { price: 2000 };
+
+  // Test 1: Order notional and missing reference price
+  console.log('📋 Test 1: Order notional');
+  assert.strictEqual(RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'buy', amount: 0.08, exchange: 'Binance' }).approved, true);
+  const big = RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'buy', amount: 0.3, exchange: 'Binance' });
+  assert.deepStrictEqual(codes(big), [RISK_REASONS.MAX_NOTIONAL]);
+  assert.strictEqual(big.reasons[0].value, 15000);
+  const unknown = RiskEngine.evaluate({ symbol: 'XYZ/USDT', side: 'buy', amount: 1 });
+  assert.deepStrictEqual(codes(unknown), [RISK_REASONS.NO_REFERENCE_PRICE]);
+  console.log('✅ 15000 notional rejected, unpriced market order rejected');
+
+  // Test 2: Price band applies to limit orders
+  console.log('\n📋 Test 2: Price band');
+  const band = RiskEngine.evaluate({ symbol: 'ETH/USDT', side: 'buy', amount: 1, price: 2200, exchange: 'Binance' });
+  assert.deepStrictEqual(codes(band), [RISK_REASONS.PRICE_BAND]);
+  assert.ok(Math.abs(band.reasons[0].value - 10) < 1e-9);
+  assert.strictEqual(RiskEngine.evaluate({ symbol: 'ETH/USDT', side: 'buy', amount: 1, price: 2050, exchange: 'Binance' }).approved, true);
+  console.log('✅ Limit 10% away from ticker rejected');
+
+  // Test 3: Position, exchange exposure and concentration from live positions
+  console.log('\n📋 Test 3: Position limits');
+  await fill('Binance', 'BTC/USDT', 'buy', 0.45, 50000);
+  const position = RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'buy', amount: 0.1, exchange: 'Binance' });
+  assert.ok(codes(position).includes(RISK_REASONS.MAX_POSITION));
+  const concentrated = RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'buy', amount: 0.01, exchange: 'Kraken' });
+  assert.ok(codes(concentrated).includes(RISK_REASONS.CONCENTRATION));
+  await fill('Binance', 'ETH/USDT', 'buy', 5, 2000);
+  await fill('Binance', 'SOL/USDT', 'buy', 100, 100);
+  tickers['SOL/USDT'] = { price: 100 };
+  RiskEngine.updateConfig({ maxExchangeExposure: 44000 });
+  const exposure = RiskEngine.evaluate({ symbol: 'ETH/USDT', side: 'buy', amount: 1, exchange: 'Binance' });
+  assert.deepStrictEqual(codes(exposure), [RISK_REASONS.EXCHANGE_EXPOSURE]);
+  RiskEngine.updateConfig({ maxExchangeExposure: LIMITS.maxExchangeExposure });
+  console.log('✅ MAX_POSITION, CONCENTRATION and EXCHANGE_EXPOSURE enforced');
+
+  // Test 4: Daily loss limit blocks new risk but closing is always allowed
+  console.log('\n📋 Test 4: Daily loss limit');
+  tickers['BTC/USDT'] = { price: 47000 };
+  const loss = RiskEngine.evaluate({ symbol: 'ETH/USDT', side: 'buy', amount: 1, exchange: 'Binance' });
+  assert.deepStrictEqual(codes(loss), [RISK_REASONS.DAILY_LOSS_LIMIT]);
+  const close = RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'sell', amount: 0.45, exchange: 'Binance' });
+  assert.strictEqual(close.approved, true);
+  assert.strictEqual(close.reducing, true);
+  const flip = RiskEngine.evaluate({ symbol: 'BTC/USDT', side: 'sell', amount: 0.9, exchange: 'Binance' });
+  assert.strictEqual(flip.reducing, false);
+  assert.ok(codes(flip).includes(RISK_REASONS.DAILY_LOSS_LIMIT));
+  await fill('Binance', 'BTC/USDT', 'sell', 0.45, 47000);
+  assert.strictEqual(PositionManager.getDailyRealizedPnL(), -1350);
+  assert.ok(codes(RiskEngine.evaluate({ symbol: 'ETH/USDT', side: 'buy', amount: 1, exchange: 'Binance' })).includes(RISK_REASONS.DAILY_LOSS_LIMIT));
+  console.log('✅ Daily P&L', PositionManager.getDailyRealizedPnL(), 'blocks new exposure, close allowed');
+
+  // Test 5: TradingService rejects before createOrder and logs a security event
+  console.log('\n📋 Test 5: Order path');
+  let createOrderCalls = 0;
+  const exchange = {
+    name: 'Binance',
+    isConnected: () => true,
+    async createOrder() {
+      createOrderCalls++;
+      return { orderId: 'x1', status: 'FILLED' };
+    }
+  };
+  const coordinator = Object.assign(new EventEmitter(), {
+    exchanges: new Map([['Binance', { instance: exchange, configKey: 'binance', priority: 1 }]]),
+    getTicker: async symbol => tickers[symbol] ? { symbol, price: tickers[symbol].price } : null,
+    getAllTickers: () => tickers
+  });
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  const result = await service.executeOrder({ symbol: 'ETH/USDT', side: 'buy', amount: 20, type: 'market', sourceIP: '10.0.0.1' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'RISK_REJECTED');
+  assert.ok(result.reasons.some(reason => reason.code === RISK_REASONS.MAX_NOTIONAL));
+  assert.strictEqual(result.order.status, 'rejected');
+  assert.strictEqual(createOrderCalls, 0);
+  await assert.rejects(
+    service.executeTrade('Binance', { symbol: 'ETH/USDT', side: 'buy', amount: 20, type: 'MARKET' }),
+    error => error.code === 'RISK_REJECTED'
+  );
+  assert.strictEqual(createOrderCalls, 0);
+
+  const events = await DatabaseService.all("SELECT * FROM security_events WHERE event_type = 'risk_rejected'");
+  assert.strictEqual(events.length, 2);
+  assert.strictEqual(events[0].source_ip, '10.0.0.1');
+  assert.ok(/MAX_NOTIONAL/.test(events[0].description));
+  const status = RiskEngine.getStatus();
+  assert.ok(status.stats.byReason.MAX_NOTIONAL >= 3);
+  console.log('✅ Rejected order never reached createOrder,', events.length, 'security events logged');
+
+  console.log('\n🎉 All risk engine tests passed');
+}
+
+if (require.main === module) {
+  runRiskEngineTests().catch(error => {
+    console.error('❌ Risk engine tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRiskEngineTests };
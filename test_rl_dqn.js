@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * RL DQN Test Suite
+ * Feed-forward Q-network, Double DQN targets, prioritized replay, headless training and model persistence
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NeuralNetwork = require('./server/services/NeuralNetwork');
+const ReinforcementLearningEngine = require('./server/services/ReinforcementLearningEngine');
+
+const HOUR = 60 * 60 * 1000;
+
+// Svingende pris så der er noget at lære: sinus omkring 50.000
+function waveCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const price = 50000 + 2000 * Math.sin(i / 8);
+    return {
+      timestamp: new Date(Date.UTC(2025, 8, 1) + i * HOUR).toISOString(),
+      open: price - 50,
+      high: price + 100,
+      low: price - 100,
+      close: price,
+      volume: 10
+    };
+  });
+}
+
+async function runRlDqnTests() {
+  console.log('🧪 RL DQN Test Suite');
+  console.log('===================\n');
+
+  const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-dqn-'));
+
+  try {
+    // Test 1: netværket lærer en simpel funktion
+    console.log('📋 Test 1: Feed-forward network learns a target function');
+    const network = new NeuralNetwork({ inputSize: 2, hiddenLayers: [16], outputSize: 2, learningRate: 0.01, seed: 7 });
+    const twin = new NeuralNetwork({ inputSize: 2, hiddenLayers: [16], outputSize: 2, learningRate: 0.01, seed: 7 });
+    assert.deepStrictEqual(network.predict([0.3, -0.2]), twin.predict([0.3, -0.2]), 'Same seed gives same weights');
+    assert.strictEqual(network.parameterCount(), 2 * 16 + 16 + 16 * 2 + 2);
+
+    const random = NeuralNetwork.createRandom(1);
+    const batch = () => Array.from({ length: 16 }, () => {
+      const input = [random() * 2 - 1, random() * 2 - 1];
+      return { input, action: 0, target: 2 * input[0] - input[1] };
+    });
+
+    const initialLoss = network.trainOnActions(batch()).loss;
+    let loss = initialLoss;
+    for (let i = 0; i < 400; i++) loss = network.trainOnActions(batch()).loss;
+    assert.ok(loss < initialLoss * 0.1, `Loss should fall (from ${initialLoss} to ${loss})`);
+
+    // Kun den valgte actions output trækkes mod target
+    const [q0, q1] = twin.predict([0.5, 0.5]);
+    for (let i = 0; i < 50; i++) twin.trainOnActions([{ input: [0.5, 0.5], action: 0, target: q0 + 5 }]);
+    const [trained0, trained1] = twin.predict([0.5, 0.5]);
+    assert.ok(Math.abs(trained0 - (q0 + 5)) < Math.abs(trained1 - (q1 + 5)));
+    console.log('✅ Loss', initialLoss.toFixed(4), '→', loss.toFixed(4));
+
+    // Test 2: serialisering og kopiering
+    console.log('\n📋 Test 2: Serialization and target copy');
+    const restored = NeuralNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+    assert.deepStrictEqual(restored.predict([0.1, 0.9]), network.predict([0.1, 0.9]));
+
+    const target = network.clone();
+    network.trainOnActions(batch());
+    assert.notDeepStrictEqual(target.predict([0.1, 0.9]), network.predict([0.1, 0.9]), 'Clone is independent');
+    target.copyFrom(network);
+    assert.deepStrictEqual(target.predict([0.1, 0.9]), network.predict([0.1, 0.9]));
+
+    const wrongShape = { ...network.toJSON(), hiddenLayers: [8] };
+    assert.throws(() => NeuralNetwork.fromJSON(wrongShape), /size mismatch/);
+    assert.throws(() => network.predict([1, 2, 3]), /Expected input of size 2/);
+    console.log('✅ JSON roundtrip and target network copy');
+
+    // Test 3: Double DQN targets
+    console.log('\n📋 Test 3: Double DQN targets');
+    const engine = new ReinforcementLearningEngine({ seed: 3, gamma: 0.9, logRewards: false });
+    await engine.initializeNeuralNetwork();
+    engine.agent.qNetwork.predict = () => [1, 5, 2];
+    engine.agent.targetNetwork.predict = () => [10, 3, 7];
+
+    const targets = await engine.calculateTargets([[0], [0]], [0, 2], [0.5, -1], [[0], [0]], [false, true]);
+    // Online netværket vælger action 1, target netværket vurderer den til 3 (ikke max 10)
+    assert.deepStrictEqual(targets, [0.5 + 0.9 * 3, -1]);
+    console.log('✅ Targets', targets.join(', '));
+
+    // Test 4: prioritized replay
+    console.log('\n📋 Test 4: Prioritized replay');
+    const replay = new ReinforcementLearningEngine({ seed: 11, batchSize: 4, logRewards: false });
+    await replay.initializeNeuralNetwork();
+    const emptyState = {};
+    replay.agent.memory = [1, 1, 1, 50].map((priority, i) => ({
+      state: emptyState, action: 'HOLD', reward: i === 3 ? 1 : 0, nextState: emptyState, done: true, priority
+    }));
+
+    const counts = [0, 0, 0, 0];
+    let mixedBatches = 0;
+    for (let i = 0; i < 50; i++) {
+      const { indices, weights } = replay.sampleBatch(4);
+      indices.forEach(index => counts[index]++);
+      assert.strictEqual(Math.max(...weights), 1, 'Weights normalized to 1');
+
+      // Hyppige samples vægtes ned i forhold til sjældne i samme batch
+      const frequent = weights.filter((weight, n) => indices[n] === 3);
+      const rare = weights.filter((weight, n) => indices[n] !== 3);
+      if (frequent.length > 0 && rare.length > 0) {
+        mixedBatches++;
+        assert.ok(Math.max(...frequent) < Math.min(...rare));
+      }
+    }
+    assert.ok(counts[3] > counts[0] + counts[1] + counts[2], `High priority sampled most (${counts.join('/')})`);
+    assert.ok(mixedBatches > 0);
+
+    await replay.replayLearning();
+    assert.strictEqual(replay.agent.trainingSteps, 1);
+    assert.ok(replay.agent.memory.every(exp => exp.priority > 0));
+    assert.ok(replay.agent.memory.some(exp => exp.priority !== 1 && exp.priority !== 50), 'Priorities refreshed from TD errors');
+    assert.ok(Number.isFinite(replay.agent.lastLoss));
+    console.log('✅ Sample counts', counts.join('/'), '- loss', replay.agent.lastLoss.toFixed(4));
+
+    // Test 5: headless træning over historiske candles
+    console.log('\n📋 Test 5: Headless training on historical candles');
+    const trainer = new ReinforcementLearningEngine({ seed: 5, batchSize: 16, targetUpdateFreq: 50, epsilon: 0.5, logRewards: false });
+    const curve = await trainer.trainOnHistory({ symbol: 'BTC/USDT', candles: waveCandles(120), episodes: 3 });
+
+    assert.strictEqual(curve.length, 3);
+    assert.deepStrictEqual(curve.map(point => point.episode), [1, 2, 3]);
+    assert.ok(curve.every(point => point.steps > 0 && Number.isFinite(point.reward) && Number.isFinite(point.avgLoss)));
+    assert.ok(trainer.agent.trainingSteps > 100);
+    assert.ok(trainer.config.epsilon < 0.5, 'Exploration decays while training');
+    assert.strictEqual(trainer.riskEngine, require('./server/services/RiskEngine'), 'Risk gate restored after training');
+
+    const report = trainer.getPerformanceReport();
+    assert.strictEqual(report.learningCurve.length, 3);
+    assert.deepStrictEqual(report.network.layers, [Object.keys(trainer.environment.stateSpace).length, 64, 64, 3]);
+    assert.ok(report.recentLoss.length > 0);
+
+    const vector = trainer.stateToVector(trainer.environment.currentState);
+    assert.strictEqual(vector.length, Object.keys(trainer.environment.stateSpace).length);
+    assert.ok(vector.every(Number.isFinite));
+    await assert.rejects(trainer.trainOnHistory({ candles: waveCandles(1) }), /Not enough historical data/);
+    console.log('✅ Trained', trainer.agent.trainingSteps, 'steps over', curve.length, 'episodes, final return', (curve[2].totalReturn * 100).toFixed(2) + '%');
+
+    // Test 6: gem og indlæs model
+    console.log('\n📋 Test 6: Model save and load');
+    const modelPath = path.join(modelDir, 'nested', 'model.json');
+    await trainer.saveModel(modelPath);
+
+    const loaded = new ReinforcementLearningEngine({ logRewards: false });
+    await loaded.loadModel(modelPath);
+    assert.deepStrictEqual(await loaded.getQValues(vector), await trainer.getQValues(vector));
+    assert.deepStrictEqual(loaded.agent.targetNetwork.predict(vector), trainer.agent.targetNetwork.predict(vector));
+    assert.strictEqual(loaded.agent.trainingSteps, trainer.agent.trainingSteps);
+    assert.strictEqual(loaded.getPerformanceReport().learningCurve.length, 3);
+
+    const progress = await ReinforcementLearningEngine.readProgress(modelPath);
+    assert.strictEqual(progress.episodeCount, 3);
+    assert.strictEqual(progress.learningCurve.length, 3);
+    assert.strictEqual(await ReinforcementLearningEngine.readProgress(path.join(modelDir, 'missing.json')), null);
+
+    const mismatched = new ReinforcementLearningEngine({ logRewards: false });
+    mismatched.environment.actionSpace = ['BUY', 'SELL'];
+    await assert.rejects(mismatched.loadModel(modelPath), /does not match/);
+    console.log('✅ Model restored with', loaded.agent.qNetwork.parameterCount(), 'parameters');
+  } finally {
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 All RL DQN tests passed');
+}
+
+if (require.main === module) {
+  runRlDqnTests().catch(error => {
+    console.error('❌ RL DQN tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRlDqnTests };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * RL Gym Test Suite
+ * Historical replay environment with reset/step/render, train/validation/test splits,
+ * seeded episodes, evaluation against buy-and-hold and the rl-gym CLI
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingGym = require('./server/services/TradingGym');
+const ReinforcementLearningEngine = require('./server/services/ReinforcementLearningEngine');
+const { run, parseArgs } = require('./rl-gym');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 8, 1);
+
+// Svingende pris omkring 50.000 med svag optrend
+function waveCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const price = 50000 + 2000 * Math.sin(i / 8) + 20 * i;
+    return {
+      timestamp: new Date(T0 + i * HOUR).toISOString(),
+      open: price - 50,
+      high: price + 100,
+      low: price - 100,
+      close: price,
+      volume: 10
+    };
+  });
+}
+
+function createEngine(config = {}) {
+  return new ReinforcementLearningEngine({ seed: 1, logRewards: false, ...config });
+}
+
+async function runRlGymTests() {
+  console.log('🧪 RL Gym Test Suite');
+  console.log('====================\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-gym-'));
+
+  try {
+    // Test 1: kronologiske splits
+    console.log('📋 Test 1: Train, validation and test splits');
+    const engine = createEngine();
+    const gym = new TradingGym({ engine, candles: waveCandles(100).reverse() });
+    assert.deepStrictEqual(TradingGym.SPLITS.map(split => gym.splits[split].length), [70, 15, 15]);
+    assert.ok(gym.splits.train[69].timestamp < gym.splits.validation[0].timestamp, 'Candles sorted before splitting');
+    assert.ok(gym.splits.validation[14].timestamp < gym.splits.test[0].timestamp);
+
+    const dated = TradingGym.splitBars(gym.bars, {
+      validationStart: new Date(T0 + 50 * HOUR).toISOString(),
+      testStart: new Date(T0 + 80 * HOUR).toISOString()
+    });
+    assert.deepStrictEqual([dated.train.length, dated.validation.length, dated.test.length], [50, 30, 20]);
+    assert.strictEqual(dated.test[0].timestamp.getTime(), T0 + 80 * HOUR);
+
+    assert.throws(() => TradingGym.splitBars(gym.bars, { validationStart: '2025-09-05', testStart: '2025-09-02' }),
+      error => error.code === 'RL_GYM_INVALID_REQUEST');
+    await assert.rejects(gym.reset({ split: 'holdout' }), /Unknown split/);
+    const empty = new TradingGym({ engine, candles: waveCandles(100), splits: { train: 1, validation: 0, test: 0 } });
+    await assert.rejects(empty.reset({ split: 'test' }), /Not enough candles in test split/);
+    console.log('✅ Ratio splits 70/15/15 and dated splits 50/30/20');
+
+    // Test 2: reset, step og render
+    console.log('\n📋 Test 2: reset / step / render');
+    await assert.rejects(gym.step('BUY'), error => error.code === 'RL_GYM_NOT_RESET');
+    const initial = await gym.reset({ split: 'validation' });
+    assert.strictEqual(engine.environment.portfolio.totalValue, 100000);
+    assert.strictEqual(engine.stateToVector(initial).length, Object.keys(engine.environment.stateSpace).length);
+
+    await assert.rejects(gym.step('SHORT'), /Invalid action/);
+    const bought = await gym.step('BUY');
+    assert.strictEqual(bought.done, false);
+    assert.strictEqual(bought.info.executionResult.action, 'BUY');
+    assert.strictEqual(bought.info.timestamp.getTime(), gym.splits.validation[1].timestamp.getTime());
+    assert.strictEqual(bought.reward, bought.info.rewardBreakdown.total, 'Reward from calculateAdvancedReward');
+    assert.ok(engine.environment.portfolio.positions.get('BTC/USDT') > 0);
+
+    const line = gym.render();
+    assert.ok(line.startsWith('[validation 1/14]') && line.includes('action BUY'), line);
+
+    let result = bought;
+    let steps = 1;
+    while (!result.done) {
+      result = await gym.step(2); // HOLD via index
+      steps++;
+    }
+    assert.strictEqual(steps, 14);
+    assert.strictEqual(result.info.truncated, true);
+    await assert.rejects(gym.step('HOLD'), error => error.code === 'RL_GYM_EPISODE_DONE');
+    console.log('✅', line);
+
+    // Test 3: seedede episoder
+    console.log('\n📋 Test 3: Seeded episodes');
+    const windowed = new TradingGym({ engine, candles: waveCandles(100), episodeLength: 20 });
+    const starts = [];
+    for (const seed of [7, 7, 8]) {
+      await windowed.reset({ seed });
+      starts.push(windowed.episode.bars[0].timestamp.getTime());
+      assert.strictEqual(windowed.episode.bars.length, 21);
+    }
+    assert.strictEqual(starts[0], starts[1], 'Same seed, same window');
+    assert.notStrictEqual(starts[0], starts[2]);
+
+    const rollout = async seed => {
+      const agent = createEngine({ epsilon: 1 });
+      await agent.initializeNeuralNetwork();
+      agent.learningEnabled = false;
+      const env = new TradingGym({ engine: agent, candles: waveCandles(100), episodeLength: 30 });
+      let state = await env.reset({ seed });
+      const actions = [];
+      let done = false;
+      while (!done) {
+        agent.learningEnabled = true; // epsilon 1: tilfældige actions fra engine.random
+        const action = await agent.selectAction(state);
+        agent.learningEnabled = false;
+        actions.push(action);
+        ({ state, done } = await env.step(action));
+      }
+      return { actions, value: agent.environment.portfolio.totalValue };
+    };
+    const first = await rollout(3);
+    assert.deepStrictEqual(await rollout(3), first, 'Seed fixes window and exploration');
+    assert.notDeepStrictEqual((await rollout(4)).actions, first.actions);
+    console.log('✅ Window starts', starts.map(start => (start - T0) / HOUR).join('/'), '- rollouts reproducible');
+
+    // Test 4: evaluering mod buy-and-hold
+    console.log('\n📋 Test 4: Evaluation against buy-and-hold');
+    const evaluator = createEngine();
+    await evaluator.initializeNeuralNetwork();
+    await evaluator.loadHistoricalData({ candles: waveCandles(100) });
+    await evaluator.setupEnvironment({ episodeLength: 10 });
+    const memoryBefore = evaluator.agent.memory.length;
+
+    const report = await evaluator.evaluate({ split: 'test' });
+    const testBars = evaluator.gym.splits.test;
+    assert.strictEqual(report.period.bars, testBars.length, 'Evaluation runs the whole split');
+    assert.strictEqual(report.steps, testBars.length - 1);
+    const closeStart = testBars[0].close;
+    const closeEnd = testBars[testBars.length - 1].close;
+    assert.ok(Math.abs(report.buyAndHold.totalReturn - (closeEnd - closeStart) / closeStart) < 1e-12);
+    assert.ok(Math.abs(report.excessReturn - (report.agent.totalReturn - report.buyAndHold.totalReturn)) < 1e-12);
+    assert.strictEqual(Object.values(report.actions).reduce((sum, count) => sum + count, 0), report.steps);
+    assert.strictEqual(evaluator.agent.memory.length, memoryBefore, 'No experiences stored while evaluating');
+    assert.strictEqual(evaluator.agent.trainingSteps, 0);
+    assert.strictEqual(evaluator.learningEnabled, true, 'Learning restored');
+    assert.strictEqual(evaluator.riskEngine, require('./server/services/RiskEngine'), 'Risk gate restored');
+    console.log('✅ Agent', (report.agent.totalReturn * 100).toFixed(2) + '% vs buy-and-hold', (report.buyAndHold.totalReturn * 100).toFixed(2) + '%');
+
+    // Test 5: træning med validering
+    console.log('\n📋 Test 5: Training with validation and seeds');
+    const trainer = createEngine({ batchSize: 16, targetUpdateFreq: 50, epsilon: 0.5 });
+    const curve = await trainer.trainOnHistory({ candles: waveCandles(160), episodes: 3, episodeLength: 60, seed: 10 });
+    assert.deepStrictEqual(curve.map(point => point.seed), [10, 11, 12]);
+    assert.ok(curve.every(point => point.steps === 60));
+    assert.ok(curve.every(point => point.validation && Number.isFinite(point.validation.totalReturn)));
+    assert.ok(Math.abs(curve[0].validation.excessReturn - (curve[0].validation.totalReturn - curve[0].validation.buyAndHoldReturn)) < 1e-12);
+    assert.strictEqual(trainer.isTraining, false);
+
+    const again = createEngine({ batchSize: 16, targetUpdateFreq: 50, epsilon: 0.5 });
+    const replayed = await again.trainOnHistory({ candles: waveCandles(160), episodes: 3, episodeLength: 60, seed: 10 });
+    assert.deepStrictEqual(replayed.map(point => point.reward), curve.map(point => point.reward), 'Training is reproducible with a seed');
+    console.log('✅ Validation returns', curve.map(point => (point.validation.totalReturn * 100).toFixed(2) + '%').join(', '));
+
+    // Test 6: CLI train → evaluate → export
+    console.log('\n📋 Test 6: rl-gym CLI');
+    assert.deepStrictEqual(parseArgs(['train', '--episode-length', '50', '--resume', '--seed', '4']), {
+      command: 'train',
+      options: { episodeLength: '50', resume: true, seed: '4' }
+    });
+
+    const candleFile = path.join(workDir, 'candles.json');
+    const modelPath = path.join(workDir, 'model.json');
+    const checkpoint = path.join(workDir, 'export', 'checkpoint.json');
+    fs.writeFileSync(candleFile, JSON.stringify(waveCandles(120)));
+
+    const trained = await run(['train', '--candles', candleFile, '--episodes', '2', '--seed', '5', '--model', modelPath]);
+    assert.strictEqual(trained.length, 2);
+    assert.ok(fs.existsSync(modelPath));
+
+    const evaluated = await run(['evaluate', '--candles', candleFile, '--model', modelPath, '--split', 'validation']);
+    assert.strictEqual(evaluated.split, 'validation');
+
+    const exported = await run(['export', '--candles', candleFile, '--model', modelPath, '--out', checkpoint]);
+    assert.strictEqual(exported.split, 'test');
+    const progress = await ReinforcementLearningEngine.readProgress(checkpoint);
+    assert.strictEqual(progress.episodeCount, 2);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(progress.evaluation)), JSON.parse(JSON.stringify(exported)));
+    assert.strictEqual((await ReinforcementLearningEngine.readProgress(modelPath)).evaluation, null);
+
+    await assert.rejects(run(['export', '--candles', candleFile, '--model', modelPath]), /requires --out/);
+    assert.strictEqual(await run(['help']), null);
+    console.log('✅ Checkpoint exported with test excess return', (exported.excessReturn * 100).toFixed(2) + '%');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 All RL gym tests passed');
+}
+
+if (require.main === module) {
+  runRlGymTests().catch(error => {
+    console.error('❌ RL gym tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRlGymTests };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * RL Portfolio Test Suite
+ * Multi-asset universe, target weight position sizing, cash/fee/leverage constraints,
+ * portfolio-level Sharpe minus drawdown reward and multi-asset gym training
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingGym = require('./server/services/TradingGym');
+const ReinforcementLearningEngine = require('./server/services/ReinforcementLearningEngine');
+const { run } = require('./rl-gym');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 8, 1);
+const UNIVERSE = ['BTC/USDT', 'ETH/USDT'];
+
+function close(actual, expected, message, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${message || 'Value'}: expected ${expected}, got ${actual}`);
+}
+
+function candles(count, priceAt) {
+  return Array.from({ length: count }, (_, i) => {
+    const price = priceAt(i);
+    return { timestamp: new Date(T0 + i * HOUR).toISOString(), open: price, high: price * 1.002, low: price * 0.998, close: price, volume: 10 };
+  });
+}
+
+// BTC stiger, ETH svinger nedad
+function universeCandles(count) {
+  return {
+    'BTC/USDT': candles(count, i => 50000 + 1000 * Math.sin(i / 6) + 40 * i),
+    'ETH/USDT': candles(count, i => 3000 + 150 * Math.cos(i / 5) - 3 * i)
+  };
+}
+
+function createEngine(config = {}) {
+  const engine = new ReinforcementLearningEngine({ universe: UNIVERSE, seed: 2, logRewards: false, ...config });
+  engine.riskEngine = null;
+  return engine;
+}
+
+function marketData(btc, eth) {
+  return {
+    symbol: 'BTC/USDT',
+    price: btc,
+    volume: 10,
+    volatility: 0.01,
+    assets: { 'BTC/USDT': { price: btc }, 'ETH/USDT': { price: eth } }
+  };
+}
+
+async function runRlPortfolioTests() {
+  console.log('🧪 RL Portfolio Test Suite');
+  console.log('==========================\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-portfolio-'));
+
+  try {
+    // Test 1: univers, startkapital og action space
+    console.log('📋 Test 1: Configurable universe, capital and action space');
+    const engine = createEngine({ initialCapital: 50000, positionLevels: [0, 0.5, 1] });
+    assert.strictEqual(engine.environment.portfolio.cash, 50000);
+    assert.strictEqual(engine.environment.symbol, 'BTC/USDT');
+    assert.deepStrictEqual(engine.environment.actionSpace, [
+      'HOLD', 'BTC/USDT@0', 'BTC/USDT@0.5', 'BTC/USDT@1', 'ETH/USDT@0', 'ETH/USDT@0.5', 'ETH/USDT@1'
+    ]);
+    const stateKeys = Object.keys(engine.environment.stateSpace);
+    assert.ok(['asset_0_weight', 'asset_0_return', 'asset_1_weight', 'asset_1_return', 'gross_leverage'].every(key => stateKeys.includes(key)));
+    assert.deepStrictEqual(new ReinforcementLearningEngine().environment.actionSpace, ['BUY', 'SELL', 'HOLD'], 'Default stays BUY/SELL/HOLD');
+    assert.throws(() => new ReinforcementLearningEngine({ universe: [] }), /at least one symbol/);
+    console.log('✅', engine.environment.actionSpace.length, 'actions over', UNIVERSE.join(' + '));
+
+    // Test 2: målvægte uden gearing - kontanter og fees
+    console.log('\n📋 Test 2: Target weights with cash and fee constraints');
+    await engine.updateEnvironmentState(marketData(50000, 2500), null);
+    const half = await engine.executeAction('ETH/USDT@0.5', marketData(50000, 2500));
+    assert.strictEqual(half.orders.length, 1);
+    close(half.orders[0].notional, 25000, 'Half the equity in ETH');
+    assert.ok(half.cost > 0 && half.orders[0].fee === half.cost);
+    close(engine.environment.portfolio.cash, 25000 - half.cost, 'Fees paid from cash');
+
+    // Begge fuldt investeret: 1 + 1 skaleres ned til maxLeverage 1, salg af ETH før køb af BTC
+    const both = await engine.executeAction({ 'BTC/USDT': 1, 'ETH/USDT': 1 }, marketData(50000, 2500));
+    assert.deepStrictEqual(both.orders.map(order => order.side), ['sell', 'buy']);
+    const { equity, gross } = engine.valuePortfolio();
+    assert.ok(gross <= equity + 1e-6, `Gross ${gross} within equity ${equity}`);
+    assert.ok(engine.environment.portfolio.cash >= -1e-9, 'Never borrows cash without leverage');
+    close(engine.positionValue('BTC/USDT') / engine.positionValue('ETH/USDT'), 1, 'Scaled proportionally', 0.02);
+
+    const noShort = await engine.executeAction({ 'ETH/USDT': -0.5 }, marketData(50000, 2500));
+    assert.strictEqual(noShort.orders[0].side, 'sell');
+    assert.strictEqual(engine.environment.portfolio.positions.get('ETH/USDT'), 0, 'Short clipped to flat without allowShort');
+
+    const unchanged = await engine.executeAction({ 'ETH/USDT': 0 }, marketData(50000, 2500));
+    assert.strictEqual(unchanged.executed, false);
+    assert.strictEqual(unchanged.error, 'Already at target weights');
+    const invalid = await engine.executeAction({ 'SOL/USDT': 0.2 }, marketData(50000, 2500));
+    assert.ok(/Invalid target weight/.test(invalid.error));
+    console.log('✅ Fees', (half.cost + both.cost).toFixed(2), '- gross exposure', (gross / equity).toFixed(3), '× equity');
+
+    // Test 3: gearing og short
+    console.log('\n📋 Test 3: Leverage and short positions');
+    const margin = createEngine({ maxLeverage: 2, allowShort: true });
+    await margin.updateEnvironmentState(marketData(50000, 2500), null);
+    const pair = await margin.executeAction({ 'BTC/USDT': 1.5, 'ETH/USDT': -1.5 }, marketData(50000, 2500));
+    assert.strictEqual(pair.orders.length, 2);
+    assert.ok(margin.environment.portfolio.positions.get('ETH/USDT') < 0);
+    const leveraged = margin.valuePortfolio();
+    close(leveraged.gross / leveraged.equity, 2, 'Gross scaled to maxLeverage', 0.01);
+    close(leveraged.net, 0, 'Market neutral', 50);
+
+    const state = await margin.updateEnvironmentState(marketData(51000, 2400), null);
+    assert.ok(margin.environment.portfolio.totalValue > 100000 - pair.cost, 'Long BTC up and short ETH down both gain');
+    close(state.asset_0_return, 0.02);
+    close(state.asset_1_return, -0.04);
+    assert.ok(state.asset_1_weight < 0 && state.gross_leverage > 0.9);
+
+    // Risk gate afviser kun den ene ordre
+    const gated = createEngine();
+    gated.riskEngine = {
+      assertOrder: async order => {
+        if (order.symbol !== 'ETH/USDT') return;
+        const error = new Error('Risk check failed: ETH blocked');
+        error.code = 'RISK_REJECTED';
+        error.reasons = [{ code: 'MAX_NOTIONAL' }];
+        throw error;
+      }
+    };
+    const partial = await gated.executeAction({ 'BTC/USDT': 0.4, 'ETH/USDT': 0.4 }, marketData(50000, 2500));
+    assert.deepStrictEqual(partial.orders.map(order => order.symbol), ['BTC/USDT']);
+    assert.strictEqual(partial.rejected[0].symbol, 'ETH/USDT');
+    assert.deepStrictEqual(partial.riskReasons, [{ code: 'MAX_NOTIONAL' }]);
+    console.log('✅ Long/short at', (leveraged.gross / leveraged.equity).toFixed(2), '× leverage - risk gate rejects per order');
+
+    // Test 4: reward = portefølje Sharpe - λ × drawdown
+    console.log('\n📋 Test 4: Portfolio Sharpe minus drawdown reward');
+    const scorer = createEngine({ rewardWindow: 12 });
+    const portfolio = scorer.environment.portfolio;
+    portfolio.returns = [0.01, -0.005, 0.002, 0.004, -0.001, 0.003, 0.006, -0.002, 0.001, 0.005, 0.002, -0.003, 0.004];
+    portfolio.maxValue = 110000;
+    portfolio.totalValue = 104500;
+    portfolio.drawdown = 0.05;
+    portfolio.maxDrawdown = 0.2;
+    portfolio.leverage = 0.5;
+
+    const reward = scorer.calculateAdvancedReward('HOLD', {}, { volatility: 0.08 }, {});
+    close(reward.sharpe, scorer.portfolioSharpe(portfolio.returns.slice(-12)) * scorer.config.sharpeWeight);
+    close(reward.profit, 0.004 * 100 * scorer.config.profitWeight, 'Step return in percent');
+    close(reward.drawdown_penalty, -scorer.config.lambda * 0.05, 'Current drawdown, not the historical max');
+    close(reward.risk_penalty, -scorer.config.riskPenalty * 0.08 * 0.5, 'Volatility penalty scaled by exposure');
+    close(reward.total, reward.sharpe + reward.profit + reward.drawdown_penalty + reward.risk_penalty + reward.action_penalty);
+
+    portfolio.drawdown = 0;
+    assert.ok(scorer.calculateAdvancedReward('HOLD', {}, { volatility: 0.01 }, {}).drawdown_penalty === 0, 'Recovered portfolio is no longer penalized');
+    console.log('✅ Sharpe', reward.sharpe.toFixed(4), '- drawdown', reward.drawdown_penalty.toFixed(4));
+
+    // Test 5: multi-asset gym
+    console.log('\n📋 Test 5: Multi-asset gym');
+    const data = universeCandles(80);
+    data['ETH/USDT'].splice(10, 1);
+    const gymEngine = createEngine({ positionLevels: [0, 1] });
+    const gym = new TradingGym({ engine: gymEngine, candles: data });
+    assert.strictEqual(gym.bars.length, 79, 'Timestamps missing for one symbol are skipped');
+    assert.deepStrictEqual(Object.keys(gym.bars[0].assets), UNIVERSE);
+    assert.throws(() => new TradingGym({ engine: gymEngine, candles: data['BTC/USDT'] }), /cover exactly the universe/);
+
+    await gym.reset({ split: 'test' });
+    const first = gym.marketData(0);
+    assert.strictEqual(first.price, first.assets['BTC/USDT'].price);
+    const step = await gym.step({ 'BTC/USDT': 0.3, 'ETH/USDT': 0.6 });
+    assert.strictEqual(step.info.executionResult.orders.length, 2);
+    await assert.rejects(gym.step({ 'DOGE/USDT': 1 }), /not in the universe/);
+    await gym.step('ETH/USDT@0');
+    assert.strictEqual(gymEngine.agent.memory.length, 1, 'Only the discrete action is stored for the Q-network');
+    assert.ok(gym.render().includes('leverage 0.3'), 'Render shows leverage');
+    while (!(await gym.step('HOLD')).done);
+
+    const report = gym.report();
+    const bars = gym.episode.bars;
+    const expected = UNIVERSE.reduce((sum, symbol) => sum + bars[bars.length - 1].assets[symbol].close / bars[0].assets[symbol].close, 0) / 2 - 1;
+    close(report.buyAndHold.totalReturn, expected, 'Equal-weight buy-and-hold');
+    assert.strictEqual(report.actions.REBALANCE, 1);
+    assert.strictEqual(report.agent.trades, 3);
+    console.log('✅ Test split', report.period.bars, 'bars - agent', (report.agent.totalReturn * 100).toFixed(2) + '% vs', (expected * 100).toFixed(2) + '%');
+
+    // Test 6: træning, gem/indlæs og CLI over to symboler
+    console.log('\n📋 Test 6: Multi-asset training, persistence and CLI');
+    const trainer = createEngine({ positionLevels: [0, 0.5, 1], batchSize: 16, epsilon: 0.5 });
+    const curve = await trainer.trainOnHistory({ candles: universeCandles(120), episodes: 2, seed: 3 });
+    assert.strictEqual(curve.length, 2);
+    assert.ok(curve.every(point => point.trades > 0 && point.validation));
+    await assert.rejects(trainer.loadHistoricalData({ symbol: 'BTC/USDT', candles: data['BTC/USDT'] }), /does not match the RL universe/);
+
+    const modelPath = path.join(workDir, 'model.json');
+    await trainer.saveModel(modelPath);
+    assert.deepStrictEqual((await ReinforcementLearningEngine.readProgress(modelPath)).portfolio.universe, UNIVERSE);
+    await assert.rejects(new ReinforcementLearningEngine({ logRewards: false }).loadModel(modelPath), /does not match/);
+
+    const candleFile = path.join(workDir, 'candles.json');
+    const cliModel = path.join(workDir, 'cli-model.json');
+    fs.writeFileSync(candleFile, JSON.stringify(universeCandles(100)));
+    await run(['train', '--candles', candleFile, '--symbols', UNIVERSE.join(','), '--position-levels', '0,1', '--max-leverage', '1', '--episodes', '1', '--seed', '1', '--model', cliModel]);
+    const evaluation = await run(['evaluate', '--candles', candleFile, '--model', cliModel]);
+    assert.deepStrictEqual(evaluation.symbols, UNIVERSE);
+    assert.ok(Number.isFinite(evaluation.buyAndHold.totalReturn));
+    console.log('✅ Trained', trainer.agent.trainingSteps, 'steps over', UNIVERSE.length, 'assets; CLI evaluation reuses the saved universe');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 All RL portfolio tests passed');
+}
+
+if (require.main === module) {
+  runRlPortfolioTests().catch(error => {
+    console.error('❌ RL portfolio tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRlPortfolioTests };
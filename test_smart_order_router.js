@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Smart Order Router Test Suite
+ * Splits market orders across paper exchanges by fee-adjusted price, capped by free balances
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const KillSwitch = require('./server/services/KillSwitch');
+const TradingService = require('./server/services/TradingService');
+const SecurityService = require('./server/services/SecurityService');
+const tradingRoutes = require('./server/routes/trading');
+const PaperExchange = require('./server/services/PaperExchange');
+const OrderBook = require('./server/services/OrderBook');
+const exchangeConfig = require('./config/exchange-config');
+const riskConfig = require('./config/risk-config');
+
+class ScriptedCoordinator extends EventEmitter {
+  constructor() {
+    super();
+    this.exchanges = new Map();
+    this.prices = {};
+    this.books = new Map();
+  }
+
+  async getTicker(symbol) {
+    const price = Math.min(...Object.values(this.prices));
+    return { symbol, price, timestamp: new Date().toISOString() };
+  }
+
+  getAllTickers() {
+    return { 'BTC/USDT': { symbol: 'BTC/USDT', price: Math.min(...Object.values(this.prices)) } };
+  }
+
+  getActiveOrderBooks(symbol, exchangeName) {
+    const book = this.books.get(exchangeName);
+    return book && book.symbol === symbol ? [[exchangeName, book]] : [];
+  }
+
+  async addPaperExchange(name, { price, takerFee, balances, priority }) {
+    this.prices[name] = price;
+    const paper = new PaperExchange(name, {
+      priceSource: { getTicker: async symbol => ({ symbol, price: this.prices[name], timestamp: new Date().toISOString() }) },
+      initialBalances: balances,
+      takerFee
+    });
+    await paper.initialize();
+    this.exchanges.set(name, { instance: paper, configKey: name.toLowerCase(), priority });
+    return paper;
+  }
+}
+
+async function createUser(username, role) {
+  const { id } = await DatabaseService.run(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, `${username}@example.com`, 'x', role]
+  );
+  return { userId: id, username, token: SecurityService.generateJWT({ id, username, role }) };
+}
+
+// /api/trading på en tilfældig port
+async function startApi() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trading', tradingRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  server.post = async (user, path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/trading${path}`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${user.token}`, 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return server;
+}
+
+async function runSmartOrderRouterTests() {
+  console.log('🧪 Smart Order Router Test Suite');
+  console.log('================================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  await KillSwitch.initialize({ database: DatabaseService });
+
+  const coordinator = new ScriptedCoordinator();
+  await coordinator.addPaperExchange('Binance', { price: 50000, takerFee: 0.001, balances: { USDT: 100000, BTC: 0.3 }, priority: 1 });
+  await coordinator.addPaperExchange('Kraken', { price: 49990, takerFee: 0.002, balances: { USDT: 3000 }, priority: 2 });
+  await coordinator.addPaperExchange('Coinbase', { price: 50020, takerFee: 0.001, balances: { USDT: 10000, BTC: 0.2 }, priority: 3 });
+
+  const binanceBook = new OrderBook('Binance', 'BTC/USDT');
+  binanceBook.applySnapshot({
+    bids: [['49990', '0.5'], ['49950', '1']],
+    asks: [['50000', '0.1'], ['50050', '0.2'], ['50100', '1']]
+  });
+  coordinator.books.set('Binance', binanceBook);
+
+  PositionManager.setTickerSource(coordinator);
+  RiskEngine.setTickerSource(coordinator);
+  RiskEngine.updateConfig({ enabled: true, maxOrderNotional: 20000, maxConcentration: 1 });
+
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  // Test 1: Fees come from exchange-config
+  console.log('📋 Test 1: Fee configuration');
+  assert.deepStrictEqual(exchangeConfig.getTradingFees('kraken'), exchangeConfig.kraken.fees);
+  assert.deepStrictEqual(exchangeConfig.getTradingFees('unknown'), exchangeConfig.global.defaultFees);
+  assert.strictEqual(service.orderRouter.getTakerFee({ paperTrading: false }, 'coinbase'), exchangeConfig.coinbase.fees.taker);
+  assert.strictEqual(service.orderRouter.getTakerFee(coordinator.exchanges.get('Kraken').instance, 'kraken'), 0.002);
+  console.log('✅ Coinbase taker fee', exchangeConfig.coinbase.fees.taker);
+
+  // Test 2: Plan fills the cheapest fee-adjusted levels first within each balance
+  console.log('\n📋 Test 2: Buy plan');
+  const plan = await service.planSmartOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.5 });
+  const allocation = name => plan.allocations.find(a => a.exchange === name);
+
+  assert.strictEqual(plan.benchmarkPrice, 49990, 'Best raw quote across venues');
+  assert.deepStrictEqual(plan.allocations.map(a => a.exchange), ['Binance', 'Coinbase', 'Kraken']);
+  assert.strictEqual(allocation('Binance').source, 'orderbook');
+  assert.strictEqual(allocation('Kraken').source, 'ticker');
+
+  const coinbaseCapacity = 10000 * 0.995 / (50020 * 1.001);
+  const krakenCapacity = 3000 * 0.995 / (49990 * 1.002);
+  assert.ok(Math.abs(allocation('Coinbase').amount - coinbaseCapacity) < 1e-9, 'Coinbase capped by USDT balance');
+  assert.ok(Math.abs(allocation('Kraken').amount - krakenCapacity) < 1e-9, 'Kraken capped by USDT balance');
+  assert.ok(Math.abs(allocation('Binance').amount - (0.5 - coinbaseCapacity - krakenCapacity)) < 1e-9);
+  assert.ok(allocation('Binance').expectedPrice > 50000 && allocation('Binance').expectedPrice < 50050, 'Walks the Binance asks');
+  assert.strictEqual(plan.unallocated, 0);
+  assert.ok(plan.expectedEffectivePrice > plan.expectedAveragePrice);
+  console.log('✅', plan.allocations.map(a => `${a.exchange} ${a.amount.toFixed(4)}`).join(', '));
+
+  // Test 3: Sells are capped by base balances and report what cannot be routed
+  console.log('\n📋 Test 3: Sell plan');
+  const sellPlan = await service.planSmartOrder({ symbol: 'BTC/USDT', side: 'sell', amount: 1 });
+  assert.deepStrictEqual(sellPlan.allocations.map(a => a.exchange).sort(), ['Binance', 'Coinbase']);
+  assert.ok(Math.abs(sellPlan.unallocated - (1 - 0.3 * 0.995 - 0.2 * 0.995)) < 1e-9);
+  assert.strictEqual(sellPlan.benchmarkPrice, 50020, 'Best bid across venues');
+  assert.strictEqual(sellPlan.venues.find(v => v.exchange === 'Kraken').capacity, 0);
+  console.log('✅ Unallocated', sellPlan.unallocated.toFixed(4), 'BTC');
+
+  // Test 4: Dust children are dropped and re-routed
+  console.log('\n📋 Test 4: Minimum child size');
+  const { fills } = service.orderRouter.allocate([
+    { exchange: 'A', fee: 0, levels: [[100, 0.05]], capacity: 1000, source: 'orderbook' },
+    { exchange: 'B', fee: 0, levels: [[101, Infinity]], capacity: 1000, source: 'ticker' }
+  ], 'buy', 1);
+  assert.deepStrictEqual(fills.map(fill => fill.exchange), ['B']);
+  assert.strictEqual(fills[0].amount, 1);
+  await assert.rejects(service.planSmartOrder({ symbol: 'BTC/USDT', side: 'hold', amount: 1 }), error => error.code === 'ROUTER_INVALID_ORDER');
+  console.log('✅ 5 USDT child on A re-routed to B');
+
+  // Test 5: Child orders execute in parallel through the ledger
+  console.log('\n📋 Test 5: Execution report');
+  const report = await service.executeSmartOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 0.5, userId: 1 });
+  assert.strictEqual(report.status, 'filled');
+  assert.strictEqual(report.children.length, 3);
+  assert.ok(report.children.every(child => child.status === 'filled'));
+  assert.ok(Math.abs(report.filledAmount - 0.5) < 1e-9);
+  assert.ok(report.averagePrice > 49990 && report.averagePrice < 50100);
+  assert.ok(Math.abs(report.slippageBps - (report.averagePrice - 49990) / 49990 * 10000) < 1e-9);
+  assert.ok(report.fees > 0 && report.effectivePrice > report.averagePrice);
+
+  const ledgerOrders = await OrderLedger.getOrders({ symbol: 'BTC/USDT' });
+  assert.strictEqual(ledgerOrders.length, 3);
+  assert.ok(ledgerOrders.every(order => order.metadata.routeId === report.routeId && order.source === 'smart_router'));
+  assert.deepStrictEqual(ledgerOrders.map(order => order.exchange).sort(), ['Binance', 'Coinbase', 'Kraken']);
+  console.log('✅ Average', report.averagePrice.toFixed(2), 'vs benchmark', report.benchmarkPrice, `(${report.slippageBps.toFixed(2)} bps)`);
+
+  // Test 6: Children rejected by the risk gate leave a partial fill
+  console.log('\n📋 Test 6: Partial report');
+  RiskEngine.updateConfig({ maxOrderNotional: 9000 });
+  const partial = await service.executeSmartOrder({ symbol: 'BTC/USDT', side: 'sell', amount: 0.5 });
+  assert.strictEqual(partial.status, 'partially_filled');
+  const rejected = partial.children.find(child => child.status === 'rejected');
+  assert.strictEqual(rejected.exchange, 'Coinbase', 'Largest child exceeds max order notional');
+  assert.strictEqual(rejected.code, 'RISK_REJECTED');
+  assert.ok(partial.filledAmount > 0 && partial.filledAmount < 0.5);
+  RiskEngine.updateConfig({ maxOrderNotional: 20000 });
+  console.log('✅', partial.children.map(child => `${child.exchange} ${child.status}`).join(', '));
+
+  // Test 7: /smart-order route and approval of a high-value smart order
+  console.log('\n📋 Test 7: Smart order route');
+  const api = await startApi();
+  const trader = await createUser('trader', 'user');
+  const admins = [await createUser('admin_a', 'admin'), await createUser('admin_b', 'admin')];
+
+  const placed = (await OrderLedger.getOrders({ symbol: 'BTC/USDT' })).length;
+  const preview = await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.1, preview: true });
+  assert.strictEqual(preview.status, 200);
+  assert.ok(preview.body.plan.allocations.length > 0 && preview.body.plan.unallocated === 0);
+  assert.strictEqual((await OrderLedger.getOrders({ symbol: 'BTC/USDT' })).length, placed, 'Preview places nothing');
+
+  const routed = await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.1 });
+  assert.strictEqual(routed.status, 200);
+  assert.strictEqual(routed.body.report.status, 'filled');
+  assert.ok(Math.abs(routed.body.report.filledAmount - 0.1) < 1e-9);
+  assert.strictEqual((await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'buy', amount: 0 })).status, 400);
+
+  const held = await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'sell', amount: 0.25 });
+  assert.strictEqual(held.status, 202);
+  assert.strictEqual(held.body.status, 'pending_approval');
+  const before = (await OrderLedger.getOrders({ symbol: 'BTC/USDT' })).length;
+  for (const admin of admins) {
+    await SecurityService.approveAction(held.body.approval.id, admin);
+  }
+  const approved = await SecurityService.getApprovalRequest(held.body.approval.id);
+  assert.strictEqual(approved.status, 'approved');
+  assert.strictEqual(approved.result.status, 'filled', 'Approval handler routed the order');
+  assert.ok(Math.abs(approved.result.filledAmount - 0.25) < 1e-9);
+  assert.ok((await OrderLedger.getOrders({ symbol: 'BTC/USDT' })).length > before);
+
+  // En godkendt high-value ordre under ordreloftet udføres hele vejen
+  const pending = (await SecurityService.getApprovalRequests({ status: 'pending' })).length;
+  const large = await api.post(trader, '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.15, type: 'market' });
+  assert.strictEqual(large.status, 202);
+  assert.ok(large.body.approval.details.value > SecurityService.approvalConfig.tradeThreshold);
+  for (const admin of admins) {
+    await SecurityService.approveAction(large.body.approval.id, admin);
+  }
+  const executed = await SecurityService.getApprovalRequest(large.body.approval.id);
+  assert.strictEqual(executed.result.success, true, JSON.stringify(executed.result));
+  assert.strictEqual(executed.result.order.status, 'filled');
+
+  // Fejler udførelsen efter godkendelsen, registreres den som fejlet og ikke som udført
+  RiskEngine.updateConfig({ maxPositionNotional: 100000 });
+  const failing = await api.post(trader, '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.15, type: 'market' });
+  RiskEngine.updateConfig({ maxOrderNotional: 5500 });
+  for (const admin of admins) {
+    await SecurityService.approveAction(failing.body.approval.id, admin);
+  }
+  const failed = await SecurityService.getApprovalRequest(failing.body.approval.id);
+  assert.strictEqual(failed.result.success, false);
+  assert.strictEqual(failed.result.code, 'RISK_REJECTED');
+  const failureEvents = await DatabaseService.all(
+    "SELECT event_type FROM security_events WHERE event_type IN ('trade_failed', 'approval_execution_failed')"
+  );
+  assert.deepStrictEqual(failureEvents.map(event => event.event_type).sort(), ['approval_execution_failed', 'trade_failed']);
+
+  // En smart ordre hvor alle børn afvises er ikke en 200
+  RiskEngine.updateConfig({ maxOrderNotional: 1000 });
+  const failedSmart = await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.05 });
+  assert.strictEqual(failedSmart.status, 422);
+  assert.strictEqual(failedSmart.body.success, false);
+  assert.strictEqual(failedSmart.body.report.status, 'failed');
+  RiskEngine.updateConfig({ maxOrderNotional: 20000, maxPositionNotional: riskConfig.maxPositionNotional });
+
+  // Over ordreloftet afvises den straks i stedet for at blive sat i kø til godkendelse
+  const oversized = await api.post(trader, '/order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.5, type: 'market' });
+  assert.strictEqual(oversized.status, 422);
+  assert.ok(oversized.body.reasons.some(reason => reason.code === 'MAX_NOTIONAL'));
+  const oversizedSmart = await api.post(trader, '/smart-order', { symbol: 'BTC/USDT', side: 'buy', amount: 0.5 });
+  assert.strictEqual(oversizedSmart.status, 422);
+  assert.strictEqual((await SecurityService.getApprovalRequests({ status: 'pending' })).length, pending, 'Nothing queued');
+
+  // Standardværdierne hænger sammen, og en tærskel på loftet stopper opstarten
+  assert.ok(SecurityService.approvalConfig.tradeThreshold < riskConfig.maxOrderNotional);
+  assert.throws(() => RiskEngine.assertApprovalThreshold(20000), error => error.code === 'RISK_CONFIG_INVALID');
+  RiskEngine.assertApprovalThreshold(SecurityService.approvalConfig.tradeThreshold);
+
+  // Uden referencepris afviser risk enginen straks - kræves der ingen, holdes ordren i stedet for at gå igennem som 0
+  for (const path of ['/smart-order', '/order']) {
+    const unpriced = await api.post(trader, path, { symbol: 'ETH/USDT', side: 'buy', amount: 500 });
+    assert.strictEqual(unpriced.status, 422, path);
+    assert.strictEqual(unpriced.body.reasons[0].code, 'NO_REFERENCE_PRICE');
+  }
+  RiskEngine.updateConfig({ requireReferencePrice: false });
+  for (const path of ['/smart-order', '/order']) {
+    const unpriced = await api.post(trader, path, { symbol: 'ETH/USDT', side: 'buy', amount: 500 });
+    assert.strictEqual(unpriced.status, 202, path);
+    assert.strictEqual(unpriced.body.approval.details.value, null);
+  }
+  RiskEngine.updateConfig({ requireReferencePrice: true });
+  assert.strictEqual((await OrderLedger.getOrders({ symbol: 'ETH/USDT' })).length, 0);
+
+  // Kun én anden admin kan godkende admin_a's ordre - kvorummet på 2 sænkes ikke
+  const unapprovable = await api.post(admins[0], '/smart-order', { symbol: 'BTC/USDT', side: 'sell', amount: 0.25 });
+  assert.strictEqual(unapprovable.status, 422);
+  assert.strictEqual(unapprovable.body.code, 'APPROVAL_UNAPPROVABLE');
+  await new Promise(resolve => api.close(resolve));
+  console.log('✅ Preview, direct and approved smart orders over HTTP - approved route filled', approved.result.filledAmount.toFixed(4), 'BTC');
+
+  console.log('\n🎉 All smart order router tests passed');
+}
+
+if (require.main === module) {
+  runSmartOrderRouterTests().catch(error => {
+    console.error('❌ Smart order router tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runSmartOrderRouterTests };
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Strategy Engine Test Suite
+ * Plugin strategies loaded from a directory, validated and run side by side against a paper
+ * exchange with their own capital allocation, positions and stats
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const OrderLedger = require('./server/services/OrderLedger');
+const PositionManager = require('./server/services/PositionManager');
+const RiskEngine = require('./server/services/RiskEngine');
+const KillSwitch = require('./server/services/KillSwitch');
+const StrategyEngine = require('./server/services/StrategyEngine');
+const TradingService = require('./server/services/TradingService');
+const PaperExchange = require('./server/services/PaperExchange');
+
+const STRATEGY_DIRECTORY = path.join(__dirname, 'server', 'strategies');
+
+class ScriptedCoordinator extends EventEmitter {
+  constructor(exchanges) {
+    super();
+    this.exchanges = exchanges;
+    this.prices = { 'BTC/USDT': 50000, 'ETH/USDT': 3000 };
+  }
+
+  async getTicker(symbol) {
+    return { symbol, price: this.prices[symbol], timestamp: new Date().toISOString() };
+  }
+
+  getAllTickers() {
+    return Object.fromEntries(Object.entries(this.prices).map(([symbol, price]) => [symbol, { symbol, price }]));
+  }
+
+  publish(symbol, price, changePercent = 0) {
+    this.prices[symbol] = price;
+    this.emit('tickerUpdate', { symbol, price, changePercent });
+  }
+}
+
+function candle(symbol, close, timeframe = '1h') {
+  return { exchange: 'Binance', symbol, timeframe, open: close, high: close, low: close, close, volume: 1, closed: true };
+}
+
+function writeModules(modules) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+  for (const [file, source] of Object.entries(modules)) {
+    fs.writeFileSync(path.join(directory, file), source);
+  }
+  return directory;
+}
+
+// Vent til alle kørende strategiers hooks er færdige
+async function settle() {
+  for (const instance of StrategyEngine.instances.values()) {
+    await instance.queue;
+  }
+}
+
+async function runStrategyEngineTests() {
+  console.log('🧪 Strategy Engine Test Suite');
+  console.log('=============================\n');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await OrderLedger.initialize(DatabaseService);
+  await PositionManager.initialize({ ledger: OrderLedger, method: 'fifo' });
+  await KillSwitch.initialize({ database: DatabaseService });
+
+  const exchanges = new Map();
+  const coordinator = new ScriptedCoordinator(exchanges);
+  const paper = new PaperExchange('Binance', { priceSource: { getTicker: symbol => coordinator.getTicker(symbol) }, initialBalances: { USDT: 1000000 } });
+  await paper.initialize();
+  exchanges.set('Binance', { instance: paper, configKey: 'binance', priority: 1 });
+
+  PositionManager.setTickerSource(coordinator);
+  RiskEngine.setTickerSource(coordinator);
+  RiskEngine.updateConfig({ enabled: true, maxOrderNotional: 100000, maxPositionNotional: 1000000, maxExchangeExposure: 1000000, maxConcentration: 1, dailyLossLimit: 100000 });
+
+  const service = TradingService;
+  service.setCoordinator(coordinator);
+
+  const candles = new EventEmitter();
+  await StrategyEngine.initialize({ directory: STRATEGY_DIRECTORY, executor: service, candles, totalCapital: 10000 });
+  StrategyEngine.attach(coordinator);
+
+  // Test 1: De indbyggede strategier indlæses fra mappen
+  console.log('📋 Test 1: Built-in strategies');
+  const listed = StrategyEngine.listStrategies();
+  assert.deepStrictEqual(listed.map(strategy => strategy.name).sort(), ['aggressive', 'conservative', 'moderate', 'sma_crossover']);
+  assert.deepStrictEqual(StrategyEngine.loadErrors, []);
+
+  const conservative = listed.find(strategy => strategy.name === 'conservative');
+  assert.strictEqual(conservative.file, 'daily-change.js');
+  assert.deepStrictEqual(conservative.symbols, ['BTC/USDT']);
+  assert.deepStrictEqual(conservative.hooks, ['onTick']);
+  assert.strictEqual(conservative.parameters.buyBelow.default, -2);
+  assert.strictEqual(conservative.running, false);
+
+  const crossover = listed.find(strategy => strategy.name === 'sma_crossover');
+  assert.deepStrictEqual(crossover.timeframes, ['1h']);
+  assert.deepStrictEqual(crossover.hooks, ['onCandle']);
+  console.log('✅', listed.length, 'strategies listed:', listed.map(strategy => strategy.name).join(', '));
+
+  // Test 2: Ugyldige moduler afvises med en begrundelse
+  console.log('\n📋 Test 2: Invalid modules');
+  const invalidDirectory = writeModules({
+    'a-valid.js': "module.exports = { name: 'valid', symbols: ['BTC/USDT'], onTick: () => null };",
+    'b-no-hooks.js': "module.exports = { name: 'no_hooks', symbols: ['BTC/USDT'] };",
+    'c-bad-param.js': "module.exports = { name: 'bad_param', symbols: ['BTC/USDT'], parameters: { size: { type: 'number', default: 150, max: 100 } }, onTick: () => null };",
+    'd-no-timeframe.js': "module.exports = { name: 'no_timeframe', symbols: ['BTC'], onCandle: () => null };",
+    'e-syntax.js': 'module.exports = {',
+    'f-duplicate.js': "module.exports = { name: 'valid', symbols: ['ETH/USDT'], onTick: () => null };"
+  });
+  const separate = new StrategyEngine.constructor();
+  OrderLedger.removeListener('fill', separate.onFill);
+  const { loaded, errors } = separate.loadDirectory(invalidDirectory);
+  assert.deepStrictEqual(loaded, ['valid']);
+  assert.deepStrictEqual(errors.map(error => error.file), ['b-no-hooks.js', 'c-bad-param.js', 'd-no-timeframe.js', 'e-syntax.js', 'f-duplicate.js']);
+  assert.deepStrictEqual(errors[0].errors, ['at least one of onTick, onCandle, onFill must be implemented']);
+  assert.deepStrictEqual(errors[1].errors, ['parameter size: default 150 is above 100']);
+  assert.deepStrictEqual(errors[2].errors, ['symbols must be a non-empty list like ["BTC/USDT"]', 'onCandle needs at least one timeframe']);
+  assert.ok(errors[4].error.includes('already registered from a-valid.js'), errors[4].error);
+  assert.deepStrictEqual(separate.loadErrors, errors);
+  fs.rmSync(invalidDirectory, { recursive: true });
+  console.log('✅', errors.length, 'modules rejected:', errors.map(error => error.file).join(', '));
+
+  // Test 3: Parametre og kapital valideres ved start
+  console.log('\n📋 Test 3: Parameters and capital allocation');
+  const attempts = [
+    [() => StrategyEngine.startStrategy('momentum', { capital: 100 }), 'STRATEGY_NOT_FOUND'],
+    [() => StrategyEngine.startStrategy('moderate', { capital: 0 }), 'STRATEGY_CAPITAL_INVALID'],
+    [() => StrategyEngine.startStrategy('moderate', { capital: 100, params: { leverage: 3 } }), 'STRATEGY_PARAMS_INVALID'],
+    [() => StrategyEngine.startStrategy('moderate', { capital: 100, params: { positionSize: 120 } }), 'STRATEGY_PARAMS_INVALID'],
+    [() => StrategyEngine.startStrategy('moderate', { capital: 10001 }), 'STRATEGY_CAPITAL_EXCEEDED']
+  ];
+  for (const [attempt, code] of attempts) {
+    assert.throws(attempt, error => error.code === code);
+  }
+
+  const moderate = StrategyEngine.startStrategy('moderate', { capital: 6000, params: { positionSize: 10 } });
+  assert.deepStrictEqual(moderate.allocation, { capital: 6000, committed: 0, available: 6000 });
+  assert.strictEqual(moderate.params.positionSize, 10);
+  assert.strictEqual(moderate.params.buyBelow, -1.5, 'Defaults fill the rest');
+  assert.throws(() => StrategyEngine.startStrategy('moderate', { capital: 100 }), error => error.code === 'STRATEGY_RUNNING');
+  assert.throws(() => StrategyEngine.startStrategy('aggressive', { capital: 4001 }), error => error.code === 'STRATEGY_CAPITAL_EXCEEDED');
+  await StrategyEngine.stopStrategy('moderate');
+  console.log('✅', attempts.length + 2, 'invalid starts rejected');
+
+  // Test 4: De tidligere presets handler på 24h ændringen og lukker på take profit
+  console.log('\n📋 Test 4: Daily change strategy');
+  // Pluginet har enhanced_trading_server's aggressive positionSize - server.js giver sit preset på 8 som params
+  assert.strictEqual(StrategyEngine.requireStrategy('aggressive').parameters.positionSize.default, 1);
+  const aggressive = StrategyEngine.startStrategy('aggressive', { capital: 1000, params: { positionSize: 8 } });
+  assert.strictEqual(aggressive.params.positionSize, 8);
+  await StrategyEngine.stopStrategy('aggressive');
+
+  StrategyEngine.startStrategy('moderate', { capital: 6000, params: { positionSize: 10, cooldownSeconds: 0 } });
+  coordinator.publish('BTC/USDT', 50000, -1);
+  await settle();
+  assert.strictEqual(StrategyEngine.getStats('moderate').stats.orders, 0, 'Above buyBelow');
+
+  coordinator.publish('BTC/USDT', 50000, -2);
+  await settle();
+  const bought = StrategyEngine.getStats('moderate');
+  assert.strictEqual(bought.stats.orders, 1);
+  assert.ok(Math.abs(bought.positions[0].quantity * 50000 - 600) < 1, 'positionSize 10% of 6000');
+
+  coordinator.publish('BTC/USDT', 52500, 0);
+  await settle();
+  const closed = await StrategyEngine.stopStrategy('moderate');
+  assert.ok(closed.stats.lastSignal.reason.startsWith('Take profit 4% hit'), closed.stats.lastSignal.reason);
+  assert.deepStrictEqual([closed.stats.orders, closed.stats.wins], [2, 1]);
+  assert.deepStrictEqual(closed.positions, []);
+  console.log('✅ moderate round trip P&L', closed.stats.realizedPnl.toFixed(2));
+
+  // Test 5: To strategier kører samtidigt med hver sin allokering, position og fills
+  console.log('\n📋 Test 5: Concurrent strategies');
+  const fills = [];
+  StrategyEngine.register({
+    name: 'dip_buyer',
+    symbols: ['BTC/USDT'],
+    parameters: { notional: { type: 'number', default: 600, min: 1 } },
+    onTick(ctx) {
+      return { side: 'buy', notional: ctx.params.notional, reason: 'Scripted buy' };
+    },
+    onFill(ctx, fill) {
+      fills.push({ strategy: ctx.name, side: fill.side, quantity: fill.quantity, committed: ctx.allocation.committed });
+    }
+  });
+  StrategyEngine.register({
+    name: 'eth_seller',
+    symbols: ['ETH/USDT'],
+    onTick: () => ({ side: 'sell', reason: 'Nothing to sell' })
+  });
+
+  StrategyEngine.startStrategy('dip_buyer', { capital: 1000 });
+  StrategyEngine.startStrategy('eth_seller', { capital: 500 });
+  const orders = [];
+  const onOrder = event => orders.push(event);
+  StrategyEngine.on('order', onOrder);
+
+  coordinator.publish('BTC/USDT', 50000);
+  coordinator.publish('ETH/USDT', 3000);
+  await settle();
+  coordinator.publish('BTC/USDT', 50000);
+  await settle();
+  coordinator.publish('BTC/USDT', 50000);
+  await settle();
+
+  const [first, second, exhausted] = orders.filter(event => event.strategy === 'dip_buyer');
+  assert.ok(Math.abs(first.order.amount - 0.012) < 1e-12, 'Notional 600 at 50000');
+  assert.ok(second.order.amount < 0.008 && second.order.amount > 0.0079, 'Clipped to what is left after fill cost and fees');
+  assert.strictEqual(exhausted.code, 'ALLOCATION_EXHAUSTED');
+  assert.strictEqual(orders.find(event => event.strategy === 'eth_seller').code, 'NO_POSITION');
+
+  const ledgerOrder = await OrderLedger.getOrder(first.order.id);
+  assert.strictEqual(ledgerOrder.source, 'strategy');
+  assert.strictEqual(ledgerOrder.metadata.strategy, 'dip_buyer');
+  assert.strictEqual(ledgerOrder.status, 'filled');
+
+  assert.deepStrictEqual(fills.map(fill => [fill.strategy, fill.side]), [['dip_buyer', 'buy'], ['dip_buyer', 'buy']], 'Ledger fills routed to onFill');
+  const buyer = StrategyEngine.getStats('dip_buyer');
+  assert.ok(Math.abs(buyer.positions[0].quantity - (first.order.amount + second.order.amount)) < 1e-12);
+  assert.ok(Math.abs(buyer.allocation.committed - 1000) < 1, buyer.allocation.committed);
+  assert.deepStrictEqual([buyer.stats.ticks, buyer.stats.orders, buyer.stats.rejected, buyer.stats.fills], [3, 2, 1, 2]);
+
+  const seller = StrategyEngine.getStats('eth_seller');
+  assert.deepStrictEqual([seller.stats.ticks, seller.stats.orders, seller.stats.rejected], [1, 0, 1]);
+  assert.strictEqual(seller.allocation.available, 500, 'Allocations are independent');
+  console.log('✅ dip_buyer holds', buyer.positions[0].quantity, 'BTC, eth_seller rejected', seller.stats.rejected);
+
+  // Test 6: Candle strategi handler på lukkede candles og tæller P&L
+  console.log('\n📋 Test 6: Candle hooks and P&L');
+  await StrategyEngine.stopAll();
+  StrategyEngine.startStrategy('sma_crossover', { capital: 2000, params: { fastPeriod: 2, slowPeriod: 3, positionSize: 50 } });
+
+  const closes = [100, 100, 100, 90, 110, 130, 120, 80];
+  for (const close of closes) {
+    coordinator.prices['ETH/USDT'] = close;
+    candles.emit('candleClosed', candle('ETH/USDT', close));
+    candles.emit('candleClosed', candle('ETH/USDT', close, '5m'));
+    await settle();
+  }
+
+  const sma = StrategyEngine.getStats('sma_crossover');
+  assert.strictEqual(sma.stats.candles, closes.length, 'Only the subscribed timeframe');
+  assert.deepStrictEqual([sma.stats.orders, sma.stats.fills, sma.stats.wins, sma.stats.losses], [2, 2, 0, 1]);
+  // Kryds op ved 130, ned ved 80 - paper slippage og fees trækker lidt mere
+  const grossPnl = (1000 / 130) * (80 - 130);
+  assert.ok(sma.stats.realizedPnl < grossPnl && sma.stats.realizedPnl > grossPnl - 5, sma.stats.realizedPnl);
+  assert.deepStrictEqual(sma.positions, []);
+  assert.strictEqual(sma.stats.lastSignal.side, 'sell');
+  console.log('✅ Crossover round trip P&L', sma.stats.realizedPnl.toFixed(2));
+
+  // Test 7: En fejlende strategi isoleres og kill switch stopper nye ordrer
+  console.log('\n📋 Test 7: Hook errors and kill switch');
+  StrategyEngine.register({ name: 'broken', symbols: ['BTC/USDT'], onTick: () => { throw new Error('boom'); } });
+  StrategyEngine.startStrategy('broken', { capital: 100 });
+  StrategyEngine.startStrategy('dip_buyer', { capital: 1000, params: { notional: 100 } });
+  const strategyErrors = [];
+  StrategyEngine.on('strategyError', event => strategyErrors.push(event));
+
+  orders.length = 0;
+  coordinator.publish('BTC/USDT', 50000);
+  await settle();
+  assert.deepStrictEqual(strategyErrors, [{ strategy: 'broken', hook: 'onTick', error: 'boom' }]);
+  assert.strictEqual(StrategyEngine.getStats('broken').stats.lastError, 'onTick: boom');
+  assert.strictEqual(orders.filter(event => event.success).length, 1, 'dip_buyer keeps trading');
+
+  await KillSwitch.trip({ reason: 'Strategy test', source: 'system' });
+  coordinator.publish('BTC/USDT', 50000);
+  await settle();
+  assert.strictEqual(orders[orders.length - 1].code, 'KILL_SWITCH');
+  await KillSwitch.rearm({ role: 'admin', comment: 'Strategy test done' });
+
+  const stopped = await StrategyEngine.stopStrategy('dip_buyer');
+  assert.strictEqual(stopped.stats.orders, 1);
+  assert.throws(() => StrategyEngine.requireInstance('dip_buyer'), error => error.code === 'STRATEGY_NOT_RUNNING');
+  const ticks = StrategyEngine.getStats('broken').stats.ticks;
+  await StrategyEngine.stopAll();
+  coordinator.publish('BTC/USDT', 50000);
+  await settle();
+  assert.strictEqual(ticks, 2);
+  assert.strictEqual(StrategyEngine.listStrategies().filter(strategy => strategy.running).length, 0);
+  StrategyEngine.removeListener('order', onOrder);
+  console.log('✅ broken isolated, kill switch rejected new orders');
+
+  console.log('\n🎉 All strategy engine tests passed');
+}
+
+if (require.main === module) {
+  runStrategyEngineTests().catch(error => {
+    console.error('❌ Strategy engine tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runStrategyEngineTests };
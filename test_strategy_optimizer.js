@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Strategy Optimizer Test Suite
+ * Grid, random and Bayesian-style searches over a plugin strategy's declared parameters with
+ * walk-forward windows on synthetic candles
+ */
+
+const assert = require('assert');
+const StrategyOptimizer = require('./server/services/StrategyOptimizer');
+const QuantitativeEngine = require('./server/services/QuantitativeEngine');
+const StrategyEngine = require('./server/services/StrategyEngine');
+
+const HOUR = 60 * 60 * 1000;
+
+// Bølger med en svag optrend - glidende gennemsnit kan handle dem
+function generateCandles(bars) {
+  const start = Date.UTC(2024, 0, 1);
+  const prices = Array.from({ length: bars }, (_, i) => 100 + 8 * Math.sin(i / 12) + 3 * Math.sin(i / 5) + i * 0.02);
+  return prices.map((price, i) => ({
+    timestamp: new Date(start + i * HOUR),
+    open: i > 0 ? prices[i - 1] : price,
+    high: Math.max(price, i > 0 ? prices[i - 1] : price),
+    low: Math.min(price, i > 0 ? prices[i - 1] : price),
+    close: price,
+    volume: 100
+  }));
+}
+
+async function runStrategyOptimizerTests() {
+  console.log('🧪 Strategy Optimizer Test Suite');
+  console.log('===============================\n');
+
+  StrategyEngine.ensureLoaded();
+  const optimizer = new StrategyOptimizer({ database: {} });
+  const candles = generateCandles(600);
+
+  // Test 1: Parameterrummet kommer fra strategiens erklæring
+  console.log('📋 Test 1: Parameter space');
+  const declared = optimizer.buildSpace('sma_crossover');
+  assert.deepStrictEqual(declared.dimensions.map(dimension => dimension.key), ['fastPeriod', 'slowPeriod', 'positionSize']);
+  assert.deepStrictEqual(declared.dimensions[0], { key: 'fastPeriod', min: 2, max: 50, step: null, integer: true });
+
+  const daily = optimizer.buildSpace('moderate', { buyBelow: { min: -3, max: -1, step: 0.5 } }, { positionSize: 20 });
+  assert.deepStrictEqual(daily.fixed, { positionSize: 20, cooldownSeconds: 60 }, 'Unbounded and fixed parameters are held');
+
+  const grid = optimizer.gridCandidates(optimizer.buildSpace('sma_crossover', { fastPeriod: [4, 8], slowPeriod: { min: 20, max: 40, step: 10 } }, { positionSize: 50 }), optimizer.buildConfig({ strategy: 'sma_crossover' }));
+  assert.strictEqual(grid.length, 6);
+  assert.deepStrictEqual(grid[5], { positionSize: 50, fastPeriod: 8, slowPeriod: 40 });
+
+  const invalid = [
+    [() => optimizer.buildSpace('sma_crossover', { lookback: [1, 2] }), 'OPTIMIZER_INVALID'],
+    [() => optimizer.buildSpace('sma_crossover', { fastPeriod: { min: 1, max: 10 } }), 'OPTIMIZER_INVALID'],
+    [() => optimizer.buildSpace('momentum'), 'STRATEGY_NOT_FOUND'],
+    [() => optimizer.buildConfig({ strategy: 'sma_crossover', method: 'genetic' }), 'OPTIMIZER_INVALID'],
+    [() => optimizer.gridCandidates(declared, optimizer.buildConfig({ strategy: 'sma_crossover', gridSize: 10 })), 'OPTIMIZER_INVALID']
+  ];
+  for (const [attempt, code] of invalid) {
+    assert.throws(attempt, error => error.code === code);
+  }
+  console.log('✅ Searched:', declared.dimensions.map(dimension => dimension.key).join(', '), '-', invalid.length, 'invalid spaces rejected');
+
+  // Test 2: Walk-forward vinduer
+  console.log('\n📋 Test 2: Walk-forward windows');
+  const rolling = optimizer.buildWindows(600, optimizer.buildConfig({ strategy: 'sma_crossover', windows: 4, trainRatio: 0.7 }));
+  assert.strictEqual(rolling.length, 4);
+  for (let i = 0; i < rolling.length; i++) {
+    assert.strictEqual(rolling[i].train[1], rolling[i].test[0], 'Test follows train');
+    assert.strictEqual(rolling[i].train[1] - rolling[i].train[0], rolling[0].train[1] - rolling[0].train[0], 'Rolling train length');
+    if (i > 0) assert.strictEqual(rolling[i].test[0], rolling[i - 1].test[1], 'Test segments are contiguous');
+  }
+  assert.strictEqual(rolling[3].test[1], 600, 'Ends at the last bar');
+
+  const anchored = optimizer.buildWindows(600, optimizer.buildConfig({ strategy: 'sma_crossover', anchored: true }));
+  assert.ok(anchored.every(window => window.train[0] === 0));
+  assert.throws(() => optimizer.buildWindows(60, optimizer.buildConfig({ strategy: 'sma_crossover', windows: 6 })), error => error.code === 'OPTIMIZER_NO_DATA');
+  console.log('✅ Window 0:', rolling[0].train.join('-'), 'train /', rolling[0].test.join('-'), 'test');
+
+  // Test 3: Grid search med rangeret rapport
+  console.log('\n📋 Test 3: Grid search report');
+  const windowEvents = [];
+  optimizer.on('window', window => windowEvents.push(window));
+  const report = await optimizer.optimize({
+    strategy: 'sma_crossover',
+    candles,
+    method: 'grid',
+    space: { fastPeriod: [3, 5, 8], slowPeriod: [15, 25] },
+    fixed: { positionSize: 100 },
+    windows: 3
+  });
+
+  assert.strictEqual(report.windows.length, 3);
+  assert.strictEqual(windowEvents.length, 3);
+  assert.ok(report.windows.every(window => window.evaluated === 6));
+  assert.ok(report.ranking.length >= 2);
+  for (let i = 1; i < report.ranking.length; i++) {
+    assert.ok(report.ranking[i - 1].outOfSample.mean >= report.ranking[i].outOfSample.mean, 'Ranked by out-of-sample score');
+  }
+  assert.deepStrictEqual(report.summary.recommended, report.ranking[0].params);
+  assert.ok(report.ranking.every(entry => entry.inSample.scores.length === 3 && entry.outOfSample.scores.length === 3));
+  report.windows.forEach((window, index) => {
+    assert.ok(report.ranking.every(entry => entry.inSample.scores[index] <= window.inSample.score), 'Each window picks its best in-sample candidate');
+    const selected = report.ranking.find(entry => JSON.stringify(entry.params) === JSON.stringify(window.params));
+    assert.strictEqual(selected.outOfSample.scores[index], window.outOfSample.score);
+  });
+
+  const baseline = report.ranking.find(entry => entry.baseline);
+  assert.deepStrictEqual(baseline.params, { positionSize: 100, fastPeriod: 10, slowPeriod: 30 }, 'Declared defaults are the baseline');
+  assert.strictEqual(report.summary.baseline.rank, baseline.rank);
+
+  const first = report.ranking[0];
+  assert.ok(Math.abs(first.degradation - (first.inSample.mean - first.outOfSample.mean)) < 1e-12);
+  assert.strictEqual(first.consistency, first.outOfSample.scores.filter(score => score > 0).length / 3);
+  assert.deepStrictEqual(report.summary.parameterStability.fastPeriod.values, report.windows.map(window => window.params.fastPeriod));
+  assert.ok(report.summary.parameterStability.fastPeriod.agreement > 0);
+  console.log('✅ Recommended', JSON.stringify(report.summary.recommended), 'OOS', first.outOfSample.mean.toFixed(4),
+    'efficiency', report.summary.efficiency === null ? 'n/a' : report.summary.efficiency.toFixed(2));
+
+  // Test 4: Score er calculateRiskAdjustedSharpe af backtestens bar-afkast
+  console.log('\n📋 Test 4: Risk-adjusted Sharpe score');
+  const quant = new QuantitativeEngine();
+  const segment = candles.slice(0, 200);
+  const backtest = await optimizer.backtester.run({ mode: 'plugin', strategy: 'sma_crossover', candles: segment, params: { fastPeriod: 5, slowPeriod: 15 } });
+  const equity = backtest.equityCurve.map(point => point.equity);
+  const returns = equity.slice(1).map((value, i) => (value - equity[i]) / equity[i]);
+  assert.ok(backtest.summary.totalTrades > 0);
+  assert.strictEqual(optimizer.score(backtest), quant.calculateRiskAdjustedSharpe(returns));
+  assert.ok(quant.calculateRiskAdjustedSharpe([0.01, 0.012, 0.008, 0.011]) > 0, 'Costs are a fraction of the $10k base');
+  console.log('✅ Score', optimizer.score(backtest).toFixed(4), 'over', returns.length, 'bar returns');
+
+  // Test 5: Random og bayesian søgning er reproducerbare og holder sig i budgettet
+  console.log('\n📋 Test 5: Random and Bayesian search');
+  const searchOptions = { strategy: 'sma_crossover', candles, fixed: { positionSize: 100 }, space: { fastPeriod: { min: 2, max: 12 }, slowPeriod: { min: 14, max: 40 } }, windows: 2, iterations: 12, initialSamples: 5, seed: 7 };
+  const randomReport = await new StrategyOptimizer({ database: {} }).optimize({ ...searchOptions, method: 'random' });
+  const randomAgain = await new StrategyOptimizer({ database: {} }).optimize({ ...searchOptions, method: 'random' });
+  assert.deepStrictEqual(randomAgain.windows.map(window => window.params), randomReport.windows.map(window => window.params), 'Seeded');
+  assert.ok(randomReport.windows.every(window => window.evaluated <= 12));
+
+  const bayesian = await new StrategyOptimizer({ database: {} }).optimize({ ...searchOptions, method: 'bayesian' });
+  assert.strictEqual(bayesian.method, 'bayesian');
+  assert.ok(bayesian.windows.every(window => window.evaluated === 12));
+
+  // Forslagene samler sig om de gode punkter: score = -|x - 30|
+  const space = { parameters: { x: { default: 50 } }, dimensions: [{ key: 'x', min: 0, max: 100, step: null, integer: true }], fixed: {} };
+  const evaluations = Array.from({ length: 11 }, (_, i) => ({ params: { x: i * 10 }, score: -Math.abs(i * 10 - 30) }));
+  const seen = new Map(evaluations.map(evaluation => [optimizer.paramsKey(evaluation.params), evaluation]));
+  const config = optimizer.buildConfig({ strategy: 'sma_crossover' });
+  const random = (() => { let state = 3; return () => { state = (state * 16807) % 2147483647; return state / 2147483647; }; })();
+  const proposals = Array.from({ length: 40 }, () => optimizer.proposeCandidate(space, evaluations, seen, random, config).x);
+  const distance = proposals.reduce((sum, x) => sum + Math.abs(x - 30), 0) / proposals.length;
+  assert.ok(distance < 15, `Mean distance ${distance} (uniform ≈ 29)`);
+  console.log('✅ Bayesian proposals within', distance.toFixed(1), 'of the optimum, random search reproducible');
+
+  console.log('\n🎉 All strategy optimizer tests passed');
+}
+
+if (require.main === module) {
+  runStrategyOptimizerTests().catch(error => {
+    console.error('❌ Strategy optimizer tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runStrategyOptimizerTests };
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Technical Indicators Test Suite
+ * Streaming SMA/EMA, RSI, MACD, Bollinger, ATR, VWAP, OBV, ADX, Stochastic, the indicator engine and RL state features
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('./server/services/DatabaseService');
+const CandleAggregator = require('./server/services/CandleAggregator');
+const IndicatorEngine = require('./server/services/IndicatorEngine');
+const ReinforcementLearningEngine = require('./server/services/ReinforcementLearningEngine');
+const {
+  SMA, EMA, RSI, MACD, BollingerBands, ATR, VWAP, OBV, ADX, Stochastic,
+  IndicatorSet, calculateSeries, summarize
+} = require('./server/services/TechnicalIndicators');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 8, 1);
+
+function close(actual, expected, message, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${message || 'Value'}: expected ${expected}, got ${actual}`);
+}
+
+// Jævn optrend: hver candle 10 højere med fast range
+function trendCandles(count, { start = 100, step = 10, range = 4, volume = 5 } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const closePrice = start + i * step;
+    return { openTime: T0 + i * HOUR, open: closePrice - step / 2, high: closePrice + range / 2, low: closePrice - range / 2, close: closePrice, volume };
+  });
+}
+
+async function runTechnicalIndicatorTests() {
+  console.log('🧪 Technical Indicators Test Suite');
+  console.log('==================================\n');
+
+  // Test 1: glidende gennemsnit
+  console.log('📋 Test 1: SMA and EMA');
+  const sma = new SMA(3);
+  const smaValues = [1, 2, 3, 4, 5].map(value => sma.update(value));
+  assert.deepStrictEqual(smaValues, [null, null, 2, 3, 4]);
+
+  const ema = new EMA(3);
+  const emaValues = [1, 2, 3, 4, 5].map(value => ema.update(value));
+  assert.deepStrictEqual(emaValues, [null, null, 2, 3, 4], 'Seeded with the SMA, then k = 0.5');
+  ema.update(11);
+  close(ema.value, 7.5);
+  console.log('✅ SMA', smaValues.slice(2).join(', '), '- EMA after jump', ema.value);
+
+  // Test 2: RSI mod Wilders eksempel (StockCharts data, uden afrunding af gennemsnittene)
+  console.log('\n📋 Test 2: RSI (Wilder smoothing)');
+  const wilderCloses = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00];
+  const rsi = new RSI(14);
+  const rsiValues = wilderCloses.map(value => rsi.update({ close: value }));
+  assert.strictEqual(rsiValues[13], null, 'Needs 14 price changes');
+  close(rsiValues[14], 70.46, 'First RSI', 0.01);
+  close(rsiValues[15], 66.25, 'Smoothed RSI', 0.01);
+
+  const rising = new RSI(3);
+  [1, 2, 3, 4].forEach(value => rising.update({ close: value }));
+  assert.strictEqual(rising.value, 100, 'No losses');
+  console.log('✅ RSI', rsiValues[14].toFixed(2), '→', rsiValues[15].toFixed(2));
+
+  // Test 3: MACD og Bollinger
+  console.log('\n📋 Test 3: MACD and Bollinger Bands');
+  const flatMacd = new MACD();
+  for (let i = 0; i < 33; i++) flatMacd.update({ close: 100 });
+  assert.strictEqual(flatMacd.value.histogram, null, 'Signal line needs 9 MACD values');
+  flatMacd.update({ close: 100 });
+  assert.deepStrictEqual(flatMacd.value, { macd: 0, signal: 0, histogram: 0 });
+
+  const trendMacd = new MACD();
+  trendCandles(40).forEach(candle => trendMacd.update(candle));
+  assert.ok(trendMacd.value.macd > 0 && trendMacd.value.signal > 0, 'Fast EMA above slow EMA in an uptrend');
+
+  const bands = new BollingerBands({ period: 20, stdDev: 2 });
+  for (let i = 1; i <= 20; i++) bands.update({ close: i });
+  const deviation = Math.sqrt((20 * 20 - 1) / 12);
+  close(bands.value.middle, 10.5);
+  close(bands.value.upper, 10.5 + 2 * deviation);
+  close(bands.value.lower, 10.5 - 2 * deviation);
+  close(bands.value.percentB, (20 - bands.value.lower) / (bands.value.upper - bands.value.lower));
+
+  const flatBands = new BollingerBands();
+  for (let i = 0; i < 20; i++) flatBands.update({ close: 50 });
+  assert.strictEqual(flatBands.value.percentB, 0.5, 'Zero width band');
+  console.log('✅ MACD', trendMacd.value.macd.toFixed(2), '- Bollinger', bands.value.lower.toFixed(2), '/', bands.value.upper.toFixed(2));
+
+  // Test 4: ATR, ADX og Stochastic
+  console.log('\n📋 Test 4: ATR, ADX and Stochastic');
+  const atr = new ATR(14);
+  const candles = trendCandles(40);
+  const atrValues = candles.map(candle => atr.update(candle));
+  // Første true range er high - low (4), derefter high - forrige close (2 + 10)
+  assert.strictEqual(atrValues[12], null);
+  close(atrValues[13], (4 + 13 * 12) / 14);
+  close(atrValues[14], (atrValues[13] * 13 + 12) / 14, 'Wilder smoothing');
+
+  const adx = new ADX(14);
+  const adxValues = candles.map(candle => adx.update(candle));
+  assert.strictEqual(adxValues[26], null);
+  assert.ok(adxValues[27], 'ADX ready after 2 × period candles');
+  close(adxValues[39].adx, 100, 'Only up moves');
+  assert.strictEqual(adxValues[39].minusDI, 0);
+
+  const stochastic = new Stochastic({ period: 14, smooth: 3 });
+  candles.forEach(candle => stochastic.update(candle));
+  close(stochastic.value.k, 100 * (candles[39].close - candles[26].low) / (candles[39].high - candles[26].low));
+  assert.ok(stochastic.value.d !== null);
+  console.log('✅ ATR', atr.value.toFixed(2), '- ADX', adxValues[39].adx.toFixed(1), '- %K', stochastic.value.k.toFixed(1));
+
+  // Test 5: VWAP nulstilles per døgn, OBV følger retningen
+  console.log('\n📋 Test 5: VWAP and OBV');
+  const vwap = new VWAP();
+  vwap.update({ openTime: T0, high: 12, low: 9, close: 9, volume: 1 });
+  vwap.update({ openTime: T0 + HOUR, high: 22, low: 19, close: 19, volume: 3 });
+  close(vwap.value, (10 * 1 + 20 * 3) / 4);
+  vwap.update({ openTime: T0 + 24 * HOUR, high: 32, low: 29, close: 29, volume: 2 });
+  close(vwap.value, 30, 'New UTC day starts a new session');
+
+  const obv = new OBV();
+  const obvValues = [[10, 5], [11, 3], [10.5, 2], [10.5, 7]].map(([price, volume]) => obv.update({ close: price, volume }));
+  assert.deepStrictEqual(obvValues, [0, 3, 1, 1]);
+  console.log('✅ VWAP', vwap.value, '- OBV', obvValues.join(' → '));
+
+  // Test 6: IndicatorSet, engine over candle strømmen og RL state
+  console.log('\n📋 Test 6: Indicator set, engine and RL state features');
+  const set = new IndicatorSet();
+  const series = calculateSeries(candles);
+  candles.forEach(candle => set.update(candle));
+  assert.deepStrictEqual(set.latest, series[series.length - 1]);
+  assert.strictEqual(set.update(candles[10]), set.latest, 'Older candles are ignored');
+  assert.strictEqual(set.count, 40);
+
+  // Uafbrudt optrend: stærk trend, men overkøbt
+  const summary = summarize(set.latest);
+  const scores = Object.fromEntries(summary.signals.map(signal => [signal.indicator, signal.score]));
+  assert.strictEqual(scores.adx, 1);
+  assert.strictEqual(scores.rsi, -1);
+
+  const oversold = { rsi: 25, macd: { histogram: 0.4 }, bollinger: { percentB: -0.1 }, adx: null, stochastic: null };
+  assert.strictEqual(summarize(oversold).bias, 'BULLISH');
+  assert.strictEqual(summarize({ ...oversold, rsi: 75, macd: { histogram: -0.4 }, bollinger: { percentB: 1.2 } }).bias, 'BEARISH');
+  assert.strictEqual(summarize(null).bias, 'NEUTRAL');
+
+  DatabaseService.db = new sqlite3.Database(':memory:');
+  await DatabaseService.createTables();
+  await CandleAggregator.initialize({ database: DatabaseService, timeframes: ['1h'], flushInterval: 0, backfill: false });
+  await IndicatorEngine.initialize({ candles: CandleAggregator });
+
+  try {
+    for (const candle of candles) {
+      await CandleAggregator.upsert({ ...candle, exchange: 'Binance', symbol: 'BTC/USDT', timeframe: '1h', ticks: 1, source: 'live' });
+    }
+
+    const latest = await IndicatorEngine.getLatest({ symbol: 'BTC/USDT', timeframe: '1h' });
+    assert.strictEqual(latest.exchange, 'Binance');
+    assert.strictEqual(latest.indicators.openTime, candles[39].openTime);
+    close(latest.indicators.rsi, set.latest.rsi);
+
+    const updates = [];
+    IndicatorEngine.on('update', update => updates.push(update));
+    const [next] = trendCandles(41).slice(40);
+    CandleAggregator.emit('candleClosed', { ...next, exchange: 'Binance', symbol: 'BTC/USDT', timeframe: '1h' });
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].indicators.openTime, next.openTime);
+
+    const { points } = await IndicatorEngine.getSeries({ symbol: 'BTC/USDT', timeframe: '1h', exchange: 'Binance', limit: 5 });
+    assert.strictEqual(points.length, 5);
+    assert.strictEqual(points[4].openTime, candles[39].openTime);
+    close(points[4].macd.macd, series[39].macd.macd, 'Series replays warm-up candles');
+
+    await assert.rejects(
+      IndicatorEngine.getLatest({ symbol: 'BTC/USDT', timeframe: '2h' }),
+      error => error.code === 'CANDLE_INVALID_REQUEST'
+    );
+
+    const rl = new ReinforcementLearningEngine();
+    let features = null;
+    for (const candle of candles) {
+      features = await rl.calculateTechnicalIndicators({ ...candle, price: candle.close, timestamp: new Date(candle.openTime) });
+    }
+    close(features.rsi, set.latest.rsi);
+    close(features.adx, 1, 'ADX normalized to 0-1');
+    assert.strictEqual(features.obv_trend, 1);
+    assert.strictEqual(await rl.detectMarketRegime({ price: candles[39].close, volatility: 0.01 }), 'BULL');
+
+    const state = await rl.updateEnvironmentState({ ...candles[39], price: candles[39].close, volatility: 0.01 }, null);
+    assert.strictEqual(state.regime_bull, 1);
+    assert.ok(rl.stateToVector(state).length >= Object.keys(rl.environment.stateSpace).length);
+    console.log('✅ Engine and RL share indicators -', summary.signals.length, 'signals on the trend');
+  } finally {
+    IndicatorEngine.removeAllListeners('update');
+    CandleAggregator.stop();
+  }
+
+  console.log('\n🎉 All technical indicator tests passed');
+}
+
+if (require.main === module) {
+  runTechnicalIndicatorTests().catch(error => {
+    console.error('❌ Technical indicator tests failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTechnicalIndicatorTests };
@@ -2,16 +2,85 @@ const express = require('express');
 const { authenticateToken } = require('./auth');
 const TradingService = require('../services/TradingService');
 const SecurityService = require('../services/SecurityService');
+const DatabaseService = require('../services/DatabaseService');
+const OrderLedger = require('../services/OrderLedger');
+const PositionManager = require('../services/PositionManager');
+const ConditionalOrderEngine = require('../services/ConditionalOrderEngine');
+const ExecutionAlgoEngine = require('../services/ExecutionAlgoEngine');
+const ArbitrageScanner = require('../services/ArbitrageScanner');
+const RiskEngine = require('../services/RiskEngine');
+const KillSwitch = require('../services/KillSwitch');
 
 const router = express.Router();
 
+// Godkendte high-value trades udføres først når approval workflowet er færdigt.
+// Fejl returneres med success: false så approval workflowet registrerer dem.
+SecurityService.registerApprovalHandler('high_value_trade', async details => {
+  const { order } = details;
+  const result = order.route === 'smart'
+    ? smartOrderResult(await TradingService.executeSmartOrder(order))
+    : await TradingService.executeOrder(order);
+
+  await logTrade(result, `${order.side} ${order.amount} ${order.symbol} (approved)`, order.userId, order.sourceIP);
+  return result;
+});
+
+// Ordreværdi i quote - null når hverken limit pris eller referencepris kendes
+function estimateOrderValue(order) {
+  const price = order.price || RiskEngine.getReferencePrice(order.symbol);
+  return price ? order.amount * price : null;
+}
+
+// En værdi der ikke kan bestemmes holdes til godkendelse i stedet for at slippe igennem som 0
+function requiresApproval(orderValue) {
+  return orderValue === null || orderValue > SecurityService.approvalConfig.tradeThreshold;
+}
+
+// Samme form som executeOrder giver ved en risikoafvisning
+function riskRejection(risk) {
+  return {
+    success: false,
+    error: `Risk check failed: ${risk.reasons.map(reason => reason.message).join('; ')}`,
+    code: 'RISK_REJECTED',
+    reasons: risk.reasons
+  };
+}
+
+// Smart ordre rapporter har ingen success - en helt fejlet rute svarer til en fejlet executeOrder
+function smartOrderResult(report) {
+  if (report.status !== 'failed') {
+    return { ...report, success: true };
+  }
+  return {
+    ...report,
+    success: false,
+    error: report.children.map(child => `${child.exchange}: ${child.error || child.status}`).join('; '),
+    ...(report.children.every(child => child.code === 'RISK_REJECTED') && { code: 'RISK_REJECTED' })
+  };
+}
+
+// Risikoafvisninger er klientens ansvar, alt andet fejlede på exchange siden
+function failureStatus(result) {
+  return result.code === 'RISK_REJECTED' ? 422 : 502;
+}
+
+async function logTrade(result, description, userId, sourceIP) {
+  await SecurityService.logSecurityEvent(
+    result.success ? 'trade_executed' : 'trade_failed',
+    result.success ? 'medium' : 'high',
+    result.success ? `Trade executed: ${description}` : `Trade failed: ${description}: ${result.error}`,
+    userId,
+    sourceIP
+  );
+}
+
 // Apply authentication to all trading routes
 router.use(authenticateToken);
 
 // Get portfolio summary
 router.get('/portfolio', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
+    const portfolio = await TradingService.getPortfolioSummary();
     
     res.json({
       success: true,
@@ -29,7 +98,7 @@ router.get('/portfolio', async (req, res) => {
 router.get('/market-data', async (req, res) => {
   try {
     const { symbol } = req.query;
-    const marketData = TradingService.getMarketData(symbol);
+    const marketData = await TradingService.getMarketData(symbol);
     
     res.json({
       success: true,
@@ -43,6 +112,62 @@ router.get('/market-data', async (req, res) => {
   }
 });
 
+// Consolidated level-2 order book across exchanges (symbol as BTC-USDT)
+router.get('/orderbook/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.replace(/[-_]/, '/').toUpperCase();
+    const orderBook = await TradingService.getMarketDepth(symbol, {
+      depth: Math.min(parseInt(req.query.depth) || 20, 500),
+      exchange: req.query.exchange || null
+    });
+    
+    res.json({
+      success: true,
+      orderBook
+    });
+  } catch (error) {
+    console.error('Order book fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch order book',
+      message: error.message
+    });
+  }
+});
+
+// Expected slippage for a market order against real depth
+router.get('/orderbook/:symbol/slippage', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.replace(/[-_]/, '/').toUpperCase();
+    const { side = 'buy', amount, notional, exchange } = req.query;
+    
+    if (!['buy', 'sell'].includes(side) || (!amount && !notional)) {
+      return res.status(400).json({
+        error: 'side (buy/sell) and amount or notional are required'
+      });
+    }
+    
+    const size = amount ? { amount: parseFloat(amount) } : { notional: parseFloat(notional) };
+    const estimate = await TradingService.estimateSlippage(symbol, side, size, exchange || null);
+    
+    if (!estimate) {
+      return res.status(404).json({
+        error: `No order book available for ${symbol}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      estimate
+    });
+  } catch (error) {
+    console.error('Slippage estimate error:', error);
+    res.status(500).json({
+      error: 'Failed to estimate slippage',
+      message: error.message
+    });
+  }
+});
+
 // Get exchange status
 router.get('/exchanges', async (req, res) => {
   try {
@@ -84,47 +209,136 @@ router.post('/order', async (req, res) => {
       });
     }
 
-    // Security verification for high-value trades
-    const orderValue = amount * (price || 1);
-    if (orderValue > 10000) {
+    const order = {
+      symbol,
+      side,
+      amount: parseFloat(amount),
+      price: price ? parseFloat(price) : null,
+      type,
+      userId: req.user.userId,
+      sourceIP: req.ip
+    };
+
+    // High-value trades holdes indtil admins har godkendt dem
+    const orderValue = estimateOrderValue(order);
+    if (requiresApproval(orderValue)) {
+      // Risikotjek før køen - admins skal ikke godkende en ordre risk enginen alligevel afviser
+      const risk = RiskEngine.evaluate(order);
+      if (!risk.approved) {
+        return res.status(422).json(riskRejection(risk));
+      }
+
       const approval = await SecurityService.requireHumanApproval('high_value_trade', {
-        symbol,
-        side,
-        amount,
+        order,
         value: orderValue,
         user: req.user.username
-      });
+      }, { requestedBy: req.user.userId });
       
-      // In a real system, this would wait for actual approval
-      console.log('High-value trade requires approval:', approval.id);
+      return res.status(202).json({
+        success: true,
+        status: 'pending_approval',
+        approval
+      });
+    }
+
+    const result = await TradingService.executeOrder(order);
+    await logTrade(result, `${side} ${amount} ${symbol}`, req.user.userId, req.ip);
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.code === 'APPROVAL_UNAPPROVABLE') {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Order execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Order execution failed'
+    });
+  }
+});
+
+// Smart order routing - fordel en market ordre på tværs af exchanges (preview giver kun planen)
+router.post('/smart-order', async (req, res) => {
+  try {
+    const { symbol, side, amount, preview = false } = req.body;
+
+    if (!symbol || !['buy', 'sell'].includes(side) || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        error: 'Symbol, side (buy/sell) and a positive amount are required'
+      });
     }
 
     const order = {
+      route: 'smart',
       symbol,
       side,
       amount: parseFloat(amount),
-      price: price ? parseFloat(price) : null,
-      type,
-      userId: req.user.userId
+      userId: req.user.userId,
+      sourceIP: req.ip
     };
 
-    const result = await TradingService.executeOrder(order);
-    
-    await SecurityService.logSecurityEvent(
-      'trade_executed',
-      'medium',
-      `Trade executed: ${side} ${amount} ${symbol}`,
+    if (preview) {
+      const plan = await TradingService.planSmartOrder(order);
+      return res.json({ success: true, plan });
+    }
+
+    const orderValue = estimateOrderValue(order);
+    if (requiresApproval(orderValue)) {
+      // Risikotjek før køen - admins skal ikke godkende en ordre risk enginen alligevel afviser
+      const risk = RiskEngine.evaluate(order);
+      if (!risk.approved) {
+        return res.status(422).json(riskRejection(risk));
+      }
+
+      const approval = await SecurityService.requireHumanApproval('high_value_trade', {
+        order,
+        value: orderValue,
+        user: req.user.username
+      }, { requestedBy: req.user.userId });
+
+      return res.status(202).json({
+        success: true,
+        status: 'pending_approval',
+        approval
+      });
+    }
+
+    const report = await TradingService.executeSmartOrder(order);
+    const result = smartOrderResult(report);
+    await logTrade(
+      result,
+      `smart routed ${side} ${report.filledAmount}/${amount} ${symbol} on ${report.children.map(child => child.exchange).join(', ')}`,
       req.user.userId,
       req.ip
     );
 
-    res.json(result);
+    res.status(result.success ? 200 : failureStatus(result)).json({
+      success: result.success,
+      ...(!result.success && { error: result.error, code: result.code }),
+      report
+    });
 
   } catch (error) {
-    console.error('Order execution error:', error);
+    if (['ROUTER_INVALID_ORDER', 'ROUTER_NO_LIQUIDITY', 'APPROVAL_UNAPPROVABLE'].includes(error.code)) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Smart order error:', error);
     res.status(500).json({
       success: false,
-      error: 'Order execution failed'
+      error: 'Smart order routing failed'
     });
   }
 });
@@ -132,15 +346,16 @@ router.post('/order', async (req, res) => {
 // Get order history
 router.get('/orders', async (req, res) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, status, symbol } = req.query;
+    const filters = { status, symbol };
     
-    const orders = TradingService.getOrderBook();
-    const paginatedOrders = orders.slice(offset, offset + parseInt(limit));
+    const orders = await TradingService.getOrderBook({ ...filters, limit, offset });
+    const total = await OrderLedger.countOrders(filters);
     
     res.json({
       success: true,
-      orders: paginatedOrders,
-      total: orders.length
+      orders,
+      total
     });
   } catch (error) {
     console.error('Order history fetch error:', error);
@@ -150,14 +365,376 @@ router.get('/orders', async (req, res) => {
   }
 });
 
+// Get fills for a single order
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const order = await OrderLedger.getOrder(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    const fills = await OrderLedger.getFills({ orderId: order.id });
+
+    res.json({
+      success: true,
+      order,
+      fills
+    });
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch order'
+    });
+  }
+});
+
+// Cancel open order
+router.post('/orders/:orderId/cancel', async (req, res) => {
+  try {
+    const order = await TradingService.cancelOrder(req.params.orderId);
+
+    await SecurityService.logSecurityEvent(
+      'order_cancelled',
+      'low',
+      `Order cancelled: ${order.id}`,
+      req.user.userId,
+      req.ip
+    );
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Order cancel error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to cancel order'
+    });
+  }
+});
+
+// Get conditional orders (stop, take-profit, trailing, OCO)
+router.get('/conditional-orders', async (req, res) => {
+  try {
+    const { status, symbol, limit = 100 } = req.query;
+    const orders = await ConditionalOrderEngine.getConditionalOrders({ status, symbol, limit });
+
+    res.json({
+      success: true,
+      orders
+    });
+  } catch (error) {
+    console.error('Conditional orders fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conditional orders'
+    });
+  }
+});
+
+// Create conditional order or OCO bracket
+router.post('/conditional-orders', async (req, res) => {
+  try {
+    const { bracket, ...params } = req.body;
+
+    const result = bracket
+      ? await ConditionalOrderEngine.createBracket({ ...params, userId: req.user.userId })
+      : await ConditionalOrderEngine.createConditionalOrder({ ...params, userId: req.user.userId });
+
+    res.json({
+      success: true,
+      ...(bracket ? result : { order: result })
+    });
+  } catch (error) {
+    console.error('Conditional order error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create conditional order'
+    });
+  }
+});
+
+// Cancel pending conditional order
+router.delete('/conditional-orders/:id', async (req, res) => {
+  try {
+    const order = await ConditionalOrderEngine.cancelConditionalOrder(req.params.id);
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Conditional order cancel error:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get execution algos (TWAP, VWAP, POV, iceberg)
+router.get('/algo-orders', async (req, res) => {
+  try {
+    const { status, symbol, limit = 100 } = req.query;
+    const algos = await ExecutionAlgoEngine.getAlgos({ status, symbol, limit });
+
+    res.json({
+      success: true,
+      algos
+    });
+  } catch (error) {
+    console.error('Execution algos fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch execution algos'
+    });
+  }
+});
+
+// Start parent order with an execution algo
+router.post('/algo-orders', async (req, res) => {
+  try {
+    const algo = await ExecutionAlgoEngine.createAlgo({ ...req.body, userId: req.user.userId });
+
+    await SecurityService.logSecurityEvent(
+      'execution_algo_created',
+      'medium',
+      `${algo.type.toUpperCase()} started: ${algo.side} ${algo.amount} ${algo.symbol}`,
+      req.user.userId,
+      req.ip
+    );
+
+    res.json({
+      success: true,
+      algo: ExecutionAlgoEngine.getProgress(algo)
+    });
+  } catch (error) {
+    console.error('Execution algo error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to start execution algo'
+    });
+  }
+});
+
+router.get('/algo-orders/:id', async (req, res) => {
+  try {
+    const algo = await ExecutionAlgoEngine.getAlgo(req.params.id);
+
+    if (!algo) {
+      return res.status(404).json({
+        error: 'Execution algo not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      algo
+    });
+  } catch (error) {
+    console.error('Execution algo fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch execution algo'
+    });
+  }
+});
+
+// Pause, resume or cancel a running algo
+router.post('/algo-orders/:id/:action(pause|resume|cancel)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    let algo;
+
+    if (action === 'pause') {
+      algo = await ExecutionAlgoEngine.pauseAlgo(id);
+    } else if (action === 'resume') {
+      algo = await ExecutionAlgoEngine.resumeAlgo(id);
+    } else {
+      algo = await ExecutionAlgoEngine.cancelAlgo(id, req.body.reason || 'Cancelled by user');
+    }
+
+    res.json({
+      success: true,
+      algo: ExecutionAlgoEngine.getProgress(algo)
+    });
+  } catch (error) {
+    console.error(`Execution algo ${req.params.action} error:`, error);
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Open arbitrage opportunities ranked by expected profit and liquidity
+router.get('/arbitrage', async (req, res) => {
+  try {
+    const { type, symbol, limit = 50 } = req.query;
+
+    res.json({
+      success: true,
+      opportunities: ArbitrageScanner.getOpportunities({ type, symbol, limit }),
+      stats: ArbitrageScanner.getStats()
+    });
+  } catch (error) {
+    console.error('Arbitrage fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch arbitrage opportunities'
+    });
+  }
+});
+
+// Recorded opportunities incl. closed and executed
+router.get('/arbitrage/history', async (req, res) => {
+  try {
+    const { status, type, limit = 100 } = req.query;
+    const opportunities = await ArbitrageScanner.getHistory({ status, type, limit });
+
+    res.json({
+      success: true,
+      opportunities
+    });
+  } catch (error) {
+    console.error('Arbitrage history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch arbitrage history'
+    });
+  }
+});
+
+// Execute an open opportunity - paper exchanges only
+router.post('/arbitrage/:id/execute', async (req, res) => {
+  try {
+    const result = await ArbitrageScanner.executeOpportunity(req.params.id, { userId: req.user.userId });
+
+    await SecurityService.logSecurityEvent(
+      'arbitrage_executed',
+      'medium',
+      `Arbitrage ${result.opportunityId} ${result.status}: ${result.legs.map(leg => `${leg.side} ${leg.symbol} on ${leg.exchange}`).join(', ')}`,
+      req.user.userId,
+      req.ip
+    );
+
+    res.json({
+      success: result.status === 'executed',
+      result
+    });
+  } catch (error) {
+    const { NOT_FOUND, LIVE_DISABLED } = ArbitrageScanner.ARBITRAGE_ERRORS;
+    if (error.code === NOT_FOUND || error.code === LIVE_DISABLED) {
+      return res.status(error.code === NOT_FOUND ? 404 : 409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Arbitrage execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Arbitrage execution failed'
+    });
+  }
+});
+
+// Get pre-trade risk limits and current usage
+router.get('/risk', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      risk: RiskEngine.getStatus()
+    });
+  } catch (error) {
+    console.error('Risk status fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch risk status'
+    });
+  }
+});
+
+// Kill switch status and history
+router.get('/kill-switch', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      killSwitch: KillSwitch.getStatus(),
+      history: await KillSwitch.getHistory(parseInt(req.query.limit) || 20)
+    });
+  } catch (error) {
+    console.error('Kill switch fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch kill switch status'
+    });
+  }
+});
+
+// Trip the kill switch - any authenticated user may stop trading
+router.post('/kill-switch/trip', async (req, res) => {
+  try {
+    const { reason, flatten = false, source = 'dashboard' } = req.body;
+    
+    const status = await KillSwitch.trip({
+      reason: reason || `Emergency stop by ${req.user.username}`,
+      source: source === 'api' ? 'api' : 'dashboard',
+      userId: req.user.userId,
+      sourceIP: req.ip,
+      flatten: !!flatten
+    });
+    
+    res.json({
+      success: true,
+      killSwitch: status
+    });
+  } catch (error) {
+    console.error('Kill switch trip error:', error);
+    res.status(500).json({
+      error: 'Failed to trip kill switch'
+    });
+  }
+});
+
+// Re-arm trading (admin only)
+router.post('/kill-switch/rearm', async (req, res) => {
+  try {
+    const status = await KillSwitch.rearm({
+      userId: req.user.userId,
+      role: req.user.role,
+      comment: req.body.comment,
+      sourceIP: req.ip
+    });
+    
+    res.json({
+      success: true,
+      killSwitch: status
+    });
+  } catch (error) {
+    if (error.code === 'KILL_SWITCH_FORBIDDEN') {
+      return res.status(403).json({
+        error: 'Admin role required'
+      });
+    }
+    console.error('Kill switch rearm error:', error);
+    res.status(500).json({
+      error: 'Failed to re-arm kill switch'
+    });
+  }
+});
+
 // Get trading positions
 router.get('/positions', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
+    const { exchange, symbol, includeClosed } = req.query;
+    const positions = PositionManager.getPositions({
+      exchange,
+      symbol,
+      includeClosed: includeClosed === 'true'
+    });
     
     res.json({
       success: true,
-      positions: portfolio.positions
+      positions,
+      pnl: PositionManager.getPortfolioPnL()
     });
   } catch (error) {
     console.error('Positions fetch error:', error);
@@ -167,10 +744,25 @@ router.get('/positions', async (req, res) => {
   }
 });
 
+// Get portfolio P&L
+router.get('/pnl', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      pnl: PositionManager.getPortfolioPnL()
+    });
+  } catch (error) {
+    console.error('P&L fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch P&L'
+    });
+  }
+});
+
 // Close position
 router.post('/close-position', async (req, res) => {
   try {
-    const { symbol, percentage = 100 } = req.body;
+    const { symbol, exchange, percentage = 100 } = req.body;
 
     if (!symbol) {
       return res.status(400).json({
@@ -184,8 +776,7 @@ router.post('/close-position', async (req, res) => {
       });
     }
 
-    const portfolio = TradingService.getPortfolioSummary();
-    const position = portfolio.positions.find(p => p.symbol === symbol);
+    const position = PositionManager.getPositions({ symbol, exchange })[0];
 
     if (!position) {
       return res.status(404).json({
@@ -199,11 +790,24 @@ router.post('/close-position', async (req, res) => {
       side: position.side === 'long' ? 'sell' : 'buy',
       amount: closeAmount,
       type: 'market',
-      userId: req.user.userId
+      exchange: position.exchange,
+      userId: req.user.userId,
+      sourceIP: req.ip
     };
 
     const result = await TradingService.executeOrder(closeOrder);
-    
+
+    if (!result.success) {
+      await SecurityService.logSecurityEvent(
+        'position_close_failed',
+        'high',
+        `Position close failed: ${percentage}% of ${symbol}: ${result.error}`,
+        req.user.userId,
+        req.ip
+      );
+      return res.status(failureStatus(result)).json(result);
+    }
+
     await SecurityService.logSecurityEvent(
       'position_closed',
       'low',
@@ -346,7 +950,7 @@ router.get('/black-swan-history', async (req, res) => {
 // Get trading performance metrics
 router.get('/performance', async (req, res) => {
   try {
-    const portfolio = TradingService.getPortfolioSummary();
+    const portfolio = await TradingService.getPortfolioSummary();
     
     // Calculate additional metrics
     const metrics = {